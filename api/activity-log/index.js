@@ -13,10 +13,43 @@
  *   userEmail   {string}  Required — the caller's email address. Identifies who
  *                         is asking (for the retention purge); it no longer
  *                         narrows what comes back.
- *   limit       {number}  Max entries to return (default 500, max 1000).
+ *   limit       {number}  Page size (default 500, max 1000).
+ *   continuationToken {string}  From the previous page's response; omit for
+ *                         the first page.
+ *   from, to    {string}  ISO date/time range (a bare `to` date covers that day).
+ *   action      {string}  Exact action type, e.g. "api_write".
+ *   user        {string}  Exact user email (case-insensitive).
+ *   orgId       {string}  Exact org id.
+ *   result      {string}  success | partial | failure.
+ *   q           {string}  Free text — matched in description, error, user and org.
+ *   format      {string}  xlsx | csv — instead of a page, every matching entry
+ *                         (up to EXPORT_MAX_ROWS) as a file to download:
+ *                         { filename, base64, mimeType, count, truncated }.
+ *
+ * A page is { entries, continuationToken, isAdmin }; continuationToken is null
+ * on the last page.
  */
 const store = require("../lib/activityLogStore");
+const journalStore = require("../lib/changeJournalStore");
 const { getCallerContext } = require("../lib/callerContext");
+const { buildExport, FORMATS } = require("../lib/activityLogExport");
+
+// An export walks the whole filtered log; past this it stops and says so.
+const EXPORT_MAX_ROWS = 50000;
+
+/** The filters a GET carries, trimmed; absent ones are null. */
+function readFilters(query) {
+  const get = (k) => String(query[k] || "").trim() || null;
+  return {
+    from:      get("from"),
+    to:        get("to"),
+    action:    get("action"),
+    userEmail: get("user"),
+    orgId:     get("orgId"),
+    result:    get("result"),
+    text:      get("q"),
+  };
+}
 
 module.exports = async function (context, req) {
   const method = req.method.toUpperCase();
@@ -45,7 +78,7 @@ module.exports = async function (context, req) {
         return;
       }
 
-      const entry = await store.create({
+      const entry = await store.create(context, {
         ownerOrgId:   caller.ownerOrgId,
         userId:       b.userId       || "",
         userEmail:    b.userEmail,
@@ -68,11 +101,17 @@ module.exports = async function (context, req) {
     if (method === "GET") {
       const callerEmail = (req.query.userEmail || "").trim();
       const limit       = Math.min(parseInt(req.query.limit) || 500, 1000);
+      const format      = String(req.query.format || "").toLowerCase() || null;
+      const continuationToken = req.query.continuationToken || null;
 
       if (!callerEmail) {
         context.res = json(400, { error: "userEmail query parameter is required" });
         return;
       }
+      if (format && !FORMATS.includes(format)) {
+        context.res = json(400, { error: `Unknown format: ${format} (expected ${FORMATS.join(" or ")})` });
+        return;
+      }
 
       // `userEmail` is supplied by the client, so this is a claim, not proof —
       // it decides only whether the retention purge runs, never what is
@@ -94,18 +133,40 @@ module.exports = async function (context, req) {
       // sees customer-owned entries, one customer never sees another's.
       const ownerOrgId = caller.mode === "customer" ? caller.customerId : "internal";
 
-      // Admin: silently purge stale entries while fetching.
-      if (isAdmin) {
+      // Admin: silently purge stale entries while fetching — and the change
+      // journal records they point at, which share the retention window. Once
+      // per visit is enough, so not on later pages or exports.
+      if (isAdmin && !continuationToken && !format) {
         store.purgeOld().catch((err) =>
           context.log.warn("[activity-log] purge error (non-critical):", err?.message)
         );
+        journalStore.purgeOld().catch((err) =>
+          context.log.warn("[activity-log] change journal purge error (non-critical):", err?.message)
+        );
+      }
+
+      const filters = { ownerOrgId, ...readFilters(req.query) };
+
+      if (format) {
+        const entries = [];
+        let token = null;
+        do {
+          const page = await store.query({ ...filters, limit: 1000, continuationToken: token });
+          entries.push(...page.entries);
+          token = page.continuationToken;
+        } while (token && entries.length < EXPORT_MAX_ROWS);
+
+        const truncated = entries.length > EXPORT_MAX_ROWS || !!token;
+        const rows = entries.slice(0, EXPORT_MAX_ROWS);
+        context.res = json(200, { ...buildExport(rows, format), count: rows.length, truncated });
+        return;
       }
 
-      const entries = await store.list({ ownerOrgId, limit });
+      const page = await store.query({ ...filters, limit, continuationToken });
 
       // `isAdmin` no longer changes what comes back — it survives only so the
       // page can name who the retention purge runs for.
-      context.res = json(200, { entries, isAdmin });
+      context.res = json(200, { entries: page.entries, continuationToken: page.continuationToken, isAdmin });
       return;
     }
 
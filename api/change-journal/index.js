@@ -0,0 +1,82 @@
+/**
+ * Change Journal API
+ *
+ * GET  /api/change-journal?ids=a,b,c  → the before/after records an Activity
+ *                                        Log entry points at (max 50 ids)
+ * POST /api/change-journal            → { id } marks a record as reverted
+ *
+ * Records are written by the Genesys proxy, never through this endpoint (see
+ * lib/changeJournal.js). Both verbs are scoped to the caller's own
+ * organisation the same way the Activity Log is: a record in another org's
+ * partition is indistinguishable from one that does not exist.
+ *
+ * The revert itself is sent by the Activity Log page through the proxy, under
+ * the caller's own access, and is journaled and logged like any other write.
+ * This endpoint only records that it happened, and who did it — taken from the
+ * caller's token, not the request body.
+ */
+const store = require("../lib/changeJournalStore");
+const { getCallerContext } = require("../lib/callerContext");
+
+const MAX_IDS = 50;
+
+module.exports = async function (context, req) {
+  const method = req.method.toUpperCase();
+
+  const json = (status, body) => ({
+    status,
+    headers: { "Content-Type": "application/json" },
+    body,
+  });
+
+  try {
+    const caller = await getCallerContext(context, req);
+    if (!caller.authorized) {
+      context.res = json(caller.status || 401, { error: caller.error || "unauthorized" });
+      return;
+    }
+
+    // ── GET — fetch records by id ────────────────────────
+    if (method === "GET") {
+      const ids = String(req.query.ids || "").split(",").map((s) => s.trim()).filter(Boolean);
+      if (!ids.length) {
+        context.res = json(400, { error: "ids query parameter is required" });
+        return;
+      }
+      if (ids.length > MAX_IDS) {
+        context.res = json(400, { error: `Too many ids: ${ids.length} (max ${MAX_IDS})` });
+        return;
+      }
+
+      const records = (await Promise.all(ids.map((id) => store.get(caller.ownerOrgId, id)))).filter(Boolean);
+      context.res = json(200, { records });
+      return;
+    }
+
+    // ── POST — mark a record reverted ────────────────────
+    if (method === "POST") {
+      const id = String((req.body || {}).id || "").trim();
+      if (!id) {
+        context.res = json(400, { error: "Missing required field: id" });
+        return;
+      }
+
+      const record = await store.markReverted(caller.ownerOrgId, id, {
+        revertedBy: caller.userName || caller.userEmail || "",
+        revertStatus: "reverted",
+      });
+      if (!record) {
+        context.res = json(404, { error: "Change not found" });
+        return;
+      }
+
+      context.res = json(200, record);
+      return;
+    }
+
+    context.res = json(405, { error: "Method not allowed" });
+  } catch (err) {
+    context.log.error("[change-journal] error:", err?.message || err);
+    context.res = json(500, { error: err?.message || "Internal server error" });
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * Config Baselines API — pin an org's configuration, check it for drift,
+ * accept drift.
+ *
+ * GET    /api/config-baselines?orgId=…[&report=1]
+ *          → { baseline, latest, drift } — the pinned baseline and the last
+ *            check's reading (row counts, no rows) and the drift between them;
+ *            report=1 adds { report: { filename, base64 } }, the drift workbook
+ * POST   /api/config-baselines   { orgId, action, types? }
+ *          action "pin"     read every object type now and make it the baseline;
+ *                           { baseline, unreadable } — types it could not read
+ *                           are left out until a check can
+ *          action "check"   read `types` (default all) now and return the drift,
+ *                           as GET does — what a scheduled check does, unsent
+ *          action "accept"  roll `types` forward to the last check's reading
+ *                           (409 when there is none to accept)
+ * DELETE /api/config-baselines?orgId=…   unpin
+ *
+ * The comparison and the object types are lib/configDrift.js; storage is
+ * lib/configBaselineStore.js. Reads run with the app's client credentials for
+ * the org, as the documentation export does.
+ *
+ * A customer session is locked to its own org and may look and check, but not
+ * pin, accept or unpin: the baseline is what we are contracted to keep the org
+ * at, and accepting drift is deciding a change was meant. Who pinned and who
+ * accepted is taken from the caller's token, not the body.
+ */
+const customers = require("../lib/customers.json");
+const XLSX = require("xlsx-js-style");
+const store = require("../lib/configBaselineStore");
+const configDrift = require("../lib/configDrift");
+const { getCallerContext } = require("../lib/callerContext");
+
+const ACTIONS = new Set(["pin", "check", "accept"]);
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+/** Drift per type as the page shows it: counts, and per sheet what differs. */
+function driftView(drift) {
+  return {
+    totals: drift.totals,
+    types: Object.fromEntries(Object.entries(drift.types).map(([t, d]) => [t, {
+      ...d.totals,
+      sheets: d.sheets.map((s) => s.status === "error"
+        ? { name: s.name, error: s.errorAfter || s.errorBefore }
+        : { name: s.name, added: s.added.length, removed: s.removed.length, changed: s.changed.length, unchanged: s.unchanged }),
+    }])),
+  };
+}
+
+function reportOf(customer, drift) {
+  const wb = configDrift.buildReport(drift, { before: "Baseline", after: `${customer.name} — last check` });
+  return {
+    filename: timestampedFilename(`Config_Drift_${customer.name.replace(/\s+/g, "_")}`, "xlsx"),
+    base64: Buffer.from(XLSX.write(wb, { bookType: "xlsx", type: "buffer" })).toString("base64"),
+  };
+}
+
+module.exports = async function (context, req) {
+  const method = req.method.toUpperCase();
+
+  const json = (status, body) => ({
+    status,
+    headers: { "Content-Type": "application/json" },
+    body,
+  });
+
+  try {
+    const b = req.body || {};
+    const orgId = String((method === "POST" ? b.orgId : req.query.orgId) || "").trim();
+    if (!orgId) {
+      context.res = json(400, { error: "Missing required field: orgId" });
+      return;
+    }
+    const customer = customers.find((c) => c.id === orgId);
+    if (!customer) {
+      context.res = json(404, { error: `Unknown org: ${orgId}` });
+      return;
+    }
+
+    const caller = await getCallerContext(context, req, { hintId: orgId });
+    if (!caller.authorized) {
+      context.res = json(caller.status || 401, { error: caller.error || "unauthorized" });
+      return;
+    }
+    if (caller.mode === "customer" && orgId !== caller.customerId) {
+      context.res = json(403, { error: "org_locked" });
+      return;
+    }
+    const by = caller.userName || caller.userEmail || "Unknown";
+    const internalOnly = () => {
+      if (caller.mode !== "customer") return false;
+      context.res = json(403, { error: "internal_only" });
+      return true;
+    };
+
+    // ── GET — baseline, last reading, drift ──────────────
+    if (method === "GET") {
+      const [baseline, latest] = await Promise.all([store.getBaseline(orgId), store.getLatest(orgId)]);
+      const drift = configDrift.driftOf(baseline, latest);
+      const body = {
+        baseline: configDrift.describe(baseline),
+        latest: configDrift.describe(latest),
+        drift: driftView(drift),
+      };
+      if (req.query.report && baseline && latest) body.report = reportOf(customer, drift);
+      context.res = json(200, body);
+      return;
+    }
+
+    // ── POST — pin, check, accept ────────────────────────
+    if (method === "POST") {
+      const action = String(b.action || "");
+      if (!ACTIONS.has(action)) {
+        context.res = json(400, { error: `Unknown action: ${action || "(none)"} — expected pin, check or accept` });
+        return;
+      }
+      const types = b.types == null ? configDrift.TYPES : b.types;
+      const unknown = Array.isArray(types) ? types.filter((t) => !configDrift.OBJECT_TYPES[t]) : null;
+      if (!Array.isArray(types) || !types.length || unknown.length) {
+        context.res = json(400, { error: unknown?.length ? `Unknown object types: ${unknown.join(", ")}` : "types must be a non-empty array" });
+        return;
+      }
+
+      if (action === "pin") {
+        if (internalOnly()) return;
+        const { baseline, unreadable } = await configDrift.pin(orgId, by);
+        context.res = json(200, { baseline: configDrift.describe(baseline), unreadable });
+        return;
+      }
+
+      if (action === "check") {
+        if (!(await store.getBaseline(orgId))) {
+          context.res = json(404, { error: "No baseline pinned for this org" });
+          return;
+        }
+        const { baseline, latest, drift, pinnedNow } = await configDrift.check(orgId, types, by);
+        context.res = json(200, {
+          baseline: configDrift.describe(baseline),
+          latest: configDrift.describe(latest),
+          drift: driftView(drift),
+          pinnedNow,
+        });
+        return;
+      }
+
+      if (internalOnly()) return;
+      let baseline;
+      try {
+        baseline = await configDrift.accept(orgId, types, by);
+      } catch (err) {
+        // Nothing pinned, or nothing read to accept — the request, not the server.
+        context.res = json(409, { error: err.message });
+        return;
+      }
+      context.res = json(200, { baseline: configDrift.describe(baseline) });
+      return;
+    }
+
+    // ── DELETE — unpin ───────────────────────────────────
+    if (method === "DELETE") {
+      if (internalOnly()) return;
+      await store.remove(orgId);
+      context.res = json(200, { deleted: true });
+      return;
+    }
+
+    context.res = json(405, { error: "Method not allowed" });
+  } catch (err) {
+    context.log.error("[config-baselines] error:", err?.message || err);
+    context.res = json(500, { error: err?.message || "Internal server error" });
+  }
+};
@@ -1,18 +1,107 @@
 /**
- * POST /api/doc-export
+ * Documentation export jobs.
  *
- * On-demand trigger for the Documentation export.
- * Body: { orgId: string, includeDataTables?: boolean }
+ * POST /api/doc-export   { orgId, sheets?, includeDataTables?, output? }
+ *        → 202 { jobId, status: "queued" } — sheets defaults to all 52 (SHEETS in
+ *          lib/exports/documentation.js), includeDataTables to true, output to
+ *          "workbook" ("site" for the zipped HTML site)
+ * POST /api/doc-export   { jobId, action: "run" }
+ *        runs the export in this request and answers when it is finished —
+ *        { jobId, status, summary?, error? }; 409 when the job is not queued
+ * POST /api/doc-export   { jobId, action: "cancel" }
+ *        → { jobId, status }; 409 when the job has already finished
+ * GET  /api/doc-export?jobId=…
+ *        → the job: status, and per sheet { status: data|empty|error, rows?,
+ *          error?, httpStatus? } as each fetch settles, plus dataTables
+ * GET  /api/doc-export?jobId=…&download=1
+ *        → { filename, base64, mimeType, summary } of a done job
  *
- * Returns:
- *   { success, filename, base64, mimeType, summary }
- *   mimeType is application/zip when both workbooks exist,
- *   otherwise application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+ * The page creates the job, sends the run request without waiting on it, and
+ * polls. Whatever happens to the run request on the way back — the gateway
+ * gives up on /api requests long before a large org is exported — the
+ * invocation carries on to functionTimeout and writes its progress and its file
+ * to the job (lib/docExportJobStore.js), as the scheduled runner's jobs do. The
+ * run writes progress and reads the cancel flag back every HEARTBEAT_MS.
  */
 const handler = require("../lib/exports/documentation");
+const store = require("../lib/docExportJobStore");
+const customers = require("../lib/customers.json");
 const { getCallerContext } = require("../lib/callerContext");
 
+const HEARTBEAT_MS = 2000;
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** The job as the page sees it. */
+function jobView(job) {
+  const { _etag, artifact, ...view } = job;
+  return view;
+}
+
+/**
+ * Run a started job to the end. Never throws: how it ended is on the job.
+ * @returns {Promise<Object>} the finished job
+ */
+async function run(context, job) {
+  const { jobId } = job;
+  const progress = { sheets: {}, dataTables: null };
+  let cancelled = false;
+  let dirty = false;
+  let stopped = false;
+
+  const flush = async () => {
+    if (dirty) {
+      dirty = false;
+      await store.update(jobId, { sheets: progress.sheets, dataTables: progress.dataTables });
+    }
+    cancelled = cancelled || !!(await store.get(jobId))?.cancelRequested;
+  };
+  const heartbeat = (async () => {
+    while (!stopped) {
+      await sleep(HEARTBEAT_MS);
+      // A missed beat only delays progress and cancelling; it must not end the export.
+      await flush().catch((err) => context.log.warn(`[doc-export] ${jobId} progress write failed: ${err.message}`));
+    }
+  })();
+
+  let result;
+  try {
+    result = await handler.execute(context, {
+      exportConfig: {
+        orgId: job.orgId, sheets: job.selected, includeDataTables: job.includeDataTables, output: job.output,
+      },
+    }, {
+      onSheet:      (name, outcome) => { progress.sheets[name] = outcome; dirty = true; },
+      onDataTables: (outcome) => { progress.dataTables = outcome; dirty = true; },
+      isCancelled:  () => cancelled,
+    });
+  } catch (err) {
+    result = { success: false, error: err.message };
+  }
+  stopped = true;
+  await heartbeat;
+
+  try {
+    await flush();
+    if (result.cancelled) {
+      await store.update(jobId, { status: "cancelled" });
+    } else if (!result.success) {
+      await store.update(jobId, { status: "failed", error: result.error || "Export failed" });
+    } else {
+      await store.finish(jobId, result);
+    }
+  } catch (err) {
+    context.log.error(`[doc-export] ${jobId} could not be finished: ${err.message}`);
+    await store.update(jobId, { status: "failed", error: `The export finished but could not be stored: ${err.message}` })
+      .catch(() => {});
+  }
+  context.log(`[doc-export] ${jobId} ${result.cancelled ? "cancelled" : result.success ? "done" : "failed"}`);
+  return store.get(jobId);
+}
+
 module.exports = async function (context, req) {
+  const method = req.method.toUpperCase();
+
   const json = (status, body) => ({
     status,
     headers: { "Content-Type": "application/json" },
@@ -20,28 +109,43 @@ module.exports = async function (context, req) {
   });
 
   try {
-    const { orgId, includeDataTables } = req.body || {};
+    const b = req.body || {};
+    const jobId = String((method === "POST" ? b.jobId : req.query.jobId) || "").trim();
 
-    if (!orgId) {
-      context.res = json(400, { error: "Missing required field: orgId" });
+    // The org decides who may see the job: the body's for a new one, the job's
+    // own after that.
+    let job = null;
+    let orgId;
+    if (jobId) {
+      job = await store.get(jobId);
+      if (!job) {
+        context.res = json(404, { error: "job_not_found" });
+        return;
+      }
+      orgId = job.orgId;
+    } else if (method === "POST") {
+      orgId = String(b.orgId || "").trim();
+      if (!orgId) {
+        context.res = json(400, { error: "Missing required field: orgId" });
+        return;
+      }
+    } else {
+      context.res = json(400, { error: "Missing required field: jobId" });
       return;
     }
 
     // Authenticate, and lock a customer to their own org.
     //
-    // This endpoint runs a full documentation export using the app's client
-    // credentials for whichever org the body names, and returns the workbook.
-    // Azure Static Web Apps serves /api/* anonymously unless a route rule says
-    // otherwise and staticwebapp.config.json declares none, so until now the
-    // org id in the body was the only thing deciding whose configuration got
-    // exported — to an unauthenticated caller.
+    // An export runs with the app's client credentials for whichever org the
+    // job names, and the file holds that org's whole configuration. Azure Static
+    // Web Apps serves /api/* anonymously unless a route rule says otherwise and
+    // staticwebapp.config.json declares none, so the caller is checked on every
+    // call — creating, running, polling, cancelling and downloading alike.
     //
     // `orgId` is passed as the region hint so a cross-region customer token is
     // verified against the right Genesys region (see callerContext).
-    // `identify: false` — nothing on this path reads caller.userId, and this is
-    // the endpoint with the least room to spare: a documentation export already
-    // runs about 29s of the 45s a Static Web Apps request gets, so it does not
-    // also pay for a users/me round trip on a cold identity cache.
+    // `identify: false` — nothing here reads caller.userId, and polling every
+    // two seconds should not pay for a users/me round trip on a cold cache.
     const caller = await getCallerContext(context, req, { hintId: orgId, identify: false });
     if (!caller.authorized) {
       context.res = json(caller.status || 401, { error: caller.error || "unauthorized" });
@@ -52,16 +156,83 @@ module.exports = async function (context, req) {
       return;
     }
 
-    const result = await handler.execute(context, {
-      exportConfig: { orgId, includeDataTables: includeDataTables !== false },
-    });
+    // ── GET — status, or the finished file ───────────────
+    if (method === "GET") {
+      if (!req.query.download) {
+        context.res = json(200, jobView(job));
+        return;
+      }
+      if (job.status !== "done") {
+        context.res = json(409, { error: "not_done", status: job.status });
+        return;
+      }
+      const base64 = await store.loadFile(job);
+      if (!base64) {
+        context.res = json(410, { error: "The file is no longer stored — export again" });
+        return;
+      }
+      context.res = json(200, { filename: job.filename, base64, mimeType: job.mimeType, summary: job.summary });
+      return;
+    }
+
+    if (method !== "POST") {
+      context.res = json(405, { error: "Method not allowed" });
+      return;
+    }
 
-    if (!result.success) {
-      context.res = json(500, { error: result.error || "Export failed" });
+    // ── POST { jobId, action } — run or cancel ───────────
+    if (job) {
+      if (b.action === "run") {
+        const started = await store.start(jobId);
+        if (!started) {
+          context.res = json(409, { error: "not_queued", status: job.status });
+          return;
+        }
+        const finished = await run(context, started);
+        context.res = json(200, { jobId, status: finished.status, summary: finished.summary, error: finished.error });
+        return;
+      }
+      if (b.action === "cancel") {
+        const updated = await store.requestCancel(jobId);
+        if (!updated) {
+          context.res = json(409, { error: "already_finished", status: job.status });
+          return;
+        }
+        context.res = json(200, { jobId, status: updated.status });
+        return;
+      }
+      context.res = json(400, { error: `Unknown action: ${b.action || "(none)"} — expected run or cancel` });
       return;
     }
 
-    context.res = json(200, result);
+    // ── POST { orgId, … } — new job ──────────────────────
+    const customer = customers.find((c) => c.id === orgId);
+    if (!customer) {
+      context.res = json(404, { error: `Unknown org: ${orgId}` });
+      return;
+    }
+    let selected = handler.SHEETS;
+    if (b.sheets != null) {
+      const unknown = Array.isArray(b.sheets) ? b.sheets.filter((s) => !handler.SHEETS.includes(s)) : [];
+      if (!Array.isArray(b.sheets) || !b.sheets.length || unknown.length) {
+        context.res = json(400, { error: unknown.length ? `Unknown sheets: ${unknown.join(", ")}` : "sheets must be a non-empty array" });
+        return;
+      }
+      selected = handler.SHEETS.filter((s) => b.sheets.includes(s));
+    }
+    const output = b.output == null ? "workbook" : b.output;
+    if (!handler.OUTPUTS.includes(output)) {
+      context.res = json(400, { error: `Unknown output: ${output} — expected ${handler.OUTPUTS.join(" or ")}` });
+      return;
+    }
+
+    // Old jobs go as new ones come; a failed purge must not cost the export.
+    await store.purgeOld().catch((err) => context.log.warn(`[doc-export] purge failed: ${err.message}`));
+
+    const created = await store.create({
+      orgId, orgName: customer.name, selected, includeDataTables: b.includeDataTables !== false, output,
+    });
+    context.res = json(202, { jobId: created.jobId, status: created.status });
   } catch (err) {
     context.log.error("doc-export error:", err.message);
     context.res = json(500, { error: err.message });
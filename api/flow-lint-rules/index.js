@@ -0,0 +1,76 @@
+/**
+ * Flow Lint Rules API — the flow lint rules an org has switched off.
+ *
+ * GET /api/flow-lint-rules?orgId=…
+ *       → { orgId, disabled: [ruleId], updatedAt, updatedBy } — nothing
+ *         disabled when the org has never been saved
+ * PUT /api/flow-lint-rules   { orgId, disabled: [ruleId] }
+ *       → the same, as saved
+ *
+ * The rules themselves live in js/lib/flowLint.js, where the page runs them;
+ * this only keeps the org's choice (lib/flowLintRuleStore.js). Ids are checked
+ * for shape, not against the list — an id the page no longer knows is ignored
+ * by it.
+ *
+ * INTERNAL ONLY, like Flow Lint itself: a customer session gets 403.
+ */
+const customers = require("../lib/customers.json");
+const store = require("../lib/flowLintRuleStore");
+const { getCallerContext } = require("../lib/callerContext");
+
+const RULE_ID_RE = /^[a-z][a-z0-9-]{0,63}$/;
+const MAX_RULES = 100;
+
+module.exports = async function (context, req) {
+  const method = req.method.toUpperCase();
+
+  const json = (status, body) => ({
+    status,
+    headers: { "Content-Type": "application/json" },
+    body,
+  });
+
+  try {
+    const b = req.body || {};
+    const orgId = String((method === "PUT" ? b.orgId : req.query.orgId) || "").trim();
+    if (!orgId) {
+      context.res = json(400, { error: "Missing required field: orgId" });
+      return;
+    }
+    if (!customers.find((c) => c.id === orgId)) {
+      context.res = json(404, { error: `Unknown org: ${orgId}` });
+      return;
+    }
+
+    const caller = await getCallerContext(context, req, { hintId: orgId });
+    if (!caller.authorized) {
+      context.res = json(caller.status || 401, { error: caller.error || "unauthorized" });
+      return;
+    }
+    if (caller.mode === "customer") {
+      context.res = json(403, { error: "internal_only" });
+      return;
+    }
+
+    if (method === "GET") {
+      context.res = json(200, await store.get(orgId));
+      return;
+    }
+
+    if (method === "PUT") {
+      const disabled = b.disabled;
+      if (!Array.isArray(disabled) || disabled.length > MAX_RULES || !disabled.every((id) => typeof id === "string" && RULE_ID_RE.test(id))) {
+        context.res = json(400, { error: "disabled must be an array of rule ids" });
+        return;
+      }
+      const by = caller.userName || caller.userEmail || "Unknown";
+      context.res = json(200, await store.save(orgId, [...new Set(disabled)], by));
+      return;
+    }
+
+    context.res = json(405, { error: "Method not allowed" });
+  } catch (err) {
+    context.log.error("flow-lint-rules error:", err.message);
+    context.res = json(500, { error: err.message });
+  }
+};
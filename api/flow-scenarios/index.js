@@ -0,0 +1,152 @@
+/**
+ * Flow Scenarios API — saved Flow Simulator scenarios, per org and flow.
+ *
+ * GET    /api/flow-scenarios?orgId=…&flowId=…  → [scenario], by name
+ * POST   /api/flow-scenarios                   { orgId, flowId, flowName, name, scenario, expected }
+ *                                              → 201 the saved scenario
+ * PUT    /api/flow-scenarios/{id}              { orgId, name?, flowName?, scenario?, expected? }
+ *                                              → the saved scenario
+ * DELETE /api/flow-scenarios/{id}?orgId=…      → { success: true }
+ *
+ * The simulator runs in the page (js/lib/flowSimulator.js); this only keeps
+ * what it was given and what it is expected to do (lib/flowScenarioStore.js).
+ * `scenario` is checked for shape and size, not against the flow — a scenario
+ * naming a data table the flow no longer uses is simply not asked for it.
+ *
+ * INTERNAL ONLY, like the simulator itself: a customer session gets 403.
+ */
+const customers = require("../lib/customers.json");
+const store = require("../lib/flowScenarioStore");
+const { getCallerContext } = require("../lib/callerContext");
+
+const FLOW_ID_RE = /^[A-Za-z0-9-]{1,64}$/;
+const MAX_NAME = 120;
+// Table Storage keeps up to 32K characters in a string property.
+const MAX_JSON = 30000;
+
+/** An error message for a bad body field, or "" when it is fine. */
+function checkFields(b, { partial }) {
+  if (!partial || b.name !== undefined) {
+    if (typeof b.name !== "string" || !b.name.trim() || b.name.length > MAX_NAME) {
+      return `name must be 1–${MAX_NAME} characters`;
+    }
+  }
+  if (!partial || b.scenario !== undefined) {
+    if (!b.scenario || typeof b.scenario !== "object" || Array.isArray(b.scenario)) return "scenario must be an object";
+    if (JSON.stringify(b.scenario).length > MAX_JSON) return "scenario is too large";
+  }
+  if (b.expected != null) {
+    const e = b.expected;
+    if (typeof e !== "object" || typeof e.outcome !== "string" || !Array.isArray(e.path) || !e.path.every((p) => typeof p === "string")) {
+      return "expected must be { outcome, path: [string] }";
+    }
+    if (JSON.stringify(e).length > MAX_JSON) return "expected path is too long to keep — the run has too many steps";
+  }
+  return "";
+}
+
+module.exports = async function (context, req) {
+  const method = req.method.toUpperCase();
+  const id = context.bindingData.id || null;
+
+  const json = (status, body) => ({
+    status,
+    headers: { "Content-Type": "application/json" },
+    body,
+  });
+
+  try {
+    const b = req.body || {};
+    const orgId = String(((method === "POST" || method === "PUT") ? b.orgId : req.query.orgId) || "").trim();
+    if (!orgId) {
+      context.res = json(400, { error: "Missing required field: orgId" });
+      return;
+    }
+    if (!customers.find((c) => c.id === orgId)) {
+      context.res = json(404, { error: `Unknown org: ${orgId}` });
+      return;
+    }
+
+    const caller = await getCallerContext(context, req, { hintId: orgId });
+    if (!caller.authorized) {
+      context.res = json(caller.status || 401, { error: caller.error || "unauthorized" });
+      return;
+    }
+    if (caller.mode === "customer") {
+      context.res = json(403, { error: "internal_only" });
+      return;
+    }
+    const by = caller.userName || caller.userEmail || "Unknown";
+
+    if (method === "GET") {
+      const flowId = String(req.query.flowId || "");
+      if (!FLOW_ID_RE.test(flowId)) {
+        context.res = json(400, { error: "flowId query parameter is required" });
+        return;
+      }
+      context.res = json(200, await store.listByFlow(orgId, flowId));
+      return;
+    }
+
+    if (method === "POST") {
+      if (!FLOW_ID_RE.test(String(b.flowId || ""))) {
+        context.res = json(400, { error: "Missing required field: flowId" });
+        return;
+      }
+      const bad = checkFields(b, { partial: false });
+      if (bad) {
+        context.res = json(400, { error: bad });
+        return;
+      }
+      const saved = await store.create({
+        orgId, flowId: b.flowId, flowName: String(b.flowName || ""), name: b.name.trim(),
+        scenario: b.scenario, expected: b.expected || null, by,
+      });
+      context.res = json(201, saved);
+      return;
+    }
+
+    if (method === "PUT") {
+      if (!id) {
+        context.res = json(400, { error: "Scenario ID required in URL" });
+        return;
+      }
+      const bad = checkFields(b, { partial: true });
+      if (bad) {
+        context.res = json(400, { error: bad });
+        return;
+      }
+      const saved = await store.update(orgId, id, {
+        name: b.name === undefined ? undefined : b.name.trim(),
+        flowName: b.flowName === undefined ? undefined : String(b.flowName),
+        scenario: b.scenario,
+        expected: b.expected,
+        by,
+      });
+      if (!saved) {
+        context.res = json(404, { error: "Scenario not found" });
+        return;
+      }
+      context.res = json(200, saved);
+      return;
+    }
+
+    if (method === "DELETE") {
+      if (!id) {
+        context.res = json(400, { error: "Scenario ID required in URL" });
+        return;
+      }
+      if (!(await store.remove(orgId, id))) {
+        context.res = json(404, { error: "Scenario not found" });
+        return;
+      }
+      context.res = json(200, { success: true });
+      return;
+    }
+
+    context.res = json(405, { error: "Method not allowed" });
+  } catch (err) {
+    context.log.error("flow-scenarios error:", err.message);
+    context.res = json(500, { error: err.message });
+  }
+};
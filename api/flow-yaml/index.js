@@ -1,11 +1,14 @@
 /**
- * POST /api/flow-yaml   → { yaml, flowName, flowType }
+ * POST /api/flow-yaml   { orgId, flowName, flowType, flowVersion? }
+ *                       → { yaml, flowName, flowType, flowVersion }
  *
  * Flow Overview needs the *structured* Archy YAML of a flow (the flat REST
  * latestconfiguration omits implicit default connections). Exporting YAML needs
  * the Flow Scripting SDK, which runs in the onboarding-runner. This managed
  * function verifies the caller is internal and forwards to the runner's
- * export-yaml endpoint (shared secret), returning the YAML text.
+ * export-yaml endpoint (shared secret), returning the YAML text. Flow Compare
+ * asks for a saved version (`flowVersion`, "3.0"); without one the latest is
+ * exported.
  *
  * INTERNAL ONLY — reading flows via client-credentials must be gated the same way
  * as the onboarding deploy endpoint.
@@ -39,9 +42,13 @@ module.exports = async function (context, req) {
   const orgId = String(body.orgId || "").trim();
   const flowName = String(body.flowName || "").trim();
   const flowType = String(body.flowType || "").trim().toLowerCase();
+  const flowVersion = String(body.flowVersion || "").trim();
   if (!orgId || !flowName || !flowType) {
     return json(context, 400, { error: "orgId, flowName and flowType are required" });
   }
+  if (flowVersion && !/^\d+(\.\d+)?$/.test(flowVersion)) {
+    return json(context, 400, { error: `invalid flowVersion '${flowVersion}'` });
+  }
   if (!customers.find((c) => c.id === orgId)) {
     return json(context, 400, { error: `unknown org '${orgId}'` });
   }
@@ -56,7 +63,7 @@ module.exports = async function (context, req) {
     const resp = await fetch(`${base}/api/export-yaml`, {
       method: "POST",
       headers: { "Content-Type": "application/json", "x-export-key": key },
-      body: JSON.stringify({ orgId, flowName, flowType }),
+      body: JSON.stringify({ orgId, flowName, flowType, ...(flowVersion ? { flowVersion } : {}) }),
     });
     const text = await resp.text();
     let data;
@@ -1,22 +1,48 @@
 const customers = require("../lib/customers.json");
 const { getGenesysToken } = require("../lib/genesysAuth");
+const { apiBase } = require("../lib/genesysHost");
 const {
   classifyCaller,
   getBearerToken,
   parseRegistry,
 } = require("../lib/orgConfigResolver");
 const { checkCustomerRequest } = require("../lib/entitlementAllowlist");
+const { governedFetch } = require("../lib/rateGovernor");
+const { isReadOnlyCall, simulatedResponse } = require("../lib/simulation");
+const { logProxyWrites } = require("../lib/proxyActivityLog");
+const { captureBefore } = require("../lib/changeJournal");
 
 const INTERNAL_COMPANY_ORG_ID = (process.env.INTERNAL_COMPANY_ORG_ID || "").trim();
 const ALLOWED_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
 
+// Batch mode bounds. The cap keeps one invocation well inside the Function
+// timeout even when every operation is a slow write; the concurrency ceiling
+// stops a single batch from being its own rate-limit storm. Pages chunk larger
+// fan-outs into several batches (see `proxyBatch` in genesysApi.js).
+const MAX_BATCH_OPERATIONS = 100;
+const DEFAULT_BATCH_CONCURRENCY = 8;
+const MAX_BATCH_CONCURRENCY = 16;
+
 /**
  * Make the actual Genesys Cloud API call and shape the Function response.
  * Used by both the internal (client-credentials) and customer (token-forwarding)
  * paths — only the region + bearer token differ.
+ *
+ * Every call is paced by the per-org rate-limit governor (`orgKey` is the
+ * customer slug), so concurrent sessions against one org share its allowance
+ * and queue instead of tripping 429s for each other. The time spent queued is
+ * sent to the page in X-Throttle-Delay-Ms, which is how a status line can say
+ * why a run has slowed down.
+ *
+ * With `simulate` set, a call that would change something is answered with a
+ * synthetic success and never sent (see lib/simulation.js).
  */
-async function callGenesys({ region, token, method, path, body, query }) {
-  let url = `https://api.${region}${path}`;
+async function callGenesys({ orgKey, region, token, method, path, body, query, simulate }) {
+  if (simulate === true && !isReadOnlyCall(method, path)) {
+    return simulatedResponse(method, body);
+  }
+
+  let url = `${apiBase(region)}${path}`;
   if (query) {
     const qs = new URLSearchParams(query).toString();
     if (qs) url += `?${qs}`;
@@ -43,10 +69,21 @@ async function callGenesys({ region, token, method, path, body, query }) {
     }
   }
 
-  const genesysResp = await fetch(url, fetchOpts);
+  let genesysResp;
+  let throttledMs;
+  try {
+    ({ resp: genesysResp, throttledMs } = await governedFetch(orgKey, url, fetchOpts));
+  } catch (err) {
+    if (err.code !== "rate_limit_queue_timeout") throw err;
+    return {
+      status: 429,
+      headers: { "Content-Type": "application/json", "X-Throttle-Delay-Ms": String(err.throttledMs || 0) },
+      body: { error: "rate_limited", message: "Genesys is rate-limiting this org; the request was not sent. Try again shortly." },
+    };
+  }
 
   if (genesysResp.status === 204) {
-    return { status: 204 };
+    return { status: 204, headers: { "X-Throttle-Delay-Ms": String(throttledMs) } };
   }
 
   const respBody = await genesysResp.text();
@@ -71,11 +108,121 @@ async function callGenesys({ region, token, method, path, body, query }) {
 
   return {
     status: genesysResp.status,
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", "X-Throttle-Delay-Ms": String(throttledMs) },
     body: parsed,
   };
 }
 
+/**
+ * Read what a journaled write is about to change, with the write's own target
+ * (see lib/changeJournal.js). Null for everything else, and for a simulated
+ * call — nothing is going to change.
+ */
+function snapshotFor(target, op) {
+  if (target.simulate === true) return Promise.resolve(null);
+  const read = (path, query) => callGenesys({
+    orgKey: target.orgKey, region: target.region, token: target.token, method: "GET", path, query,
+  });
+  return captureBefore(read, op);
+}
+
+/**
+ * Run one operation of a batch against an already-resolved target.
+ *
+ * Each operation is validated and guarded on its own: one malformed or
+ * not-entitled entry fails as its own result rather than sinking the batch,
+ * the same outcome the page would have seen had it sent that call alone.
+ * `target.guarded` is set for customer sessions only. `onSnapshot` receives
+ * the journal snapshot taken before a journaled write.
+ */
+async function runOperation(target, op, onSnapshot = () => {}) {
+  const { method, path, body, query } = op || {};
+
+  if (!method || !path) {
+    return { status: 400, body: { error: "Missing required fields: method, path" } };
+  }
+  if (!ALLOWED_METHODS.includes(String(method).toUpperCase())) {
+    return { status: 400, body: { error: `Invalid method: ${method}` } };
+  }
+
+  if (target.guarded) {
+    const guard = checkCustomerRequest(path, target.entitlements);
+    if (!guard.allowed) return { status: 403, body: { error: guard.reason } };
+  }
+
+  try {
+    onSnapshot(await snapshotFor(target, op));
+    const result = await callGenesys({
+      orgKey: target.orgKey,
+      region: target.region,
+      token: target.token,
+      method,
+      path,
+      body,
+      query,
+      simulate: target.simulate,
+    });
+    const throttledMs = Number(result.headers["X-Throttle-Delay-Ms"]) || 0;
+    const out = { status: result.status, body: result.body ?? null, throttledMs };
+    if (result.headers["X-Simulated"]) out.simulated = true;
+    return out;
+  } catch (err) {
+    return { status: 502, body: { error: err.message || "Genesys call failed" } };
+  }
+}
+
+/**
+ * Run a batch of operations with bounded concurrency. Results come back in
+ * request order, one per operation, so the caller can zip them with its input.
+ *
+ * Returns the Function response and, beside it, the journal snapshots for the
+ * activity log (kept out of the response body).
+ */
+async function runBatch(target, operations, concurrency) {
+  const limit = Math.max(1, Math.min(Number(concurrency) || DEFAULT_BATCH_CONCURRENCY, MAX_BATCH_CONCURRENCY));
+  const results = new Array(operations.length);
+  const snapshots = new Array(operations.length).fill(null);
+  let next = 0;
+
+  const worker = async () => {
+    for (let i = next++; i < operations.length; i = next++) {
+      results[i] = await runOperation(target, operations[i], (s) => { snapshots[i] = s; });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, operations.length) }, worker));
+
+  // Operations queue side by side, so the longest single wait — not the sum —
+  // is what the batch was actually slowed by.
+  const throttledMs = results.reduce((max, r) => Math.max(max, r.throttledMs || 0), 0);
+
+  return {
+    response: {
+      status: 200,
+      headers: { "Content-Type": "application/json", "X-Throttle-Delay-Ms": String(throttledMs) },
+      body: { results },
+    },
+    snapshots,
+  };
+}
+
+/** A single call and its Function response, in the shape logProxyWrites takes. */
+function loggedCall({ method, path, body, query }, result, snapshot = null) {
+  return {
+    method,
+    path,
+    body,
+    query,
+    snapshot,
+    result: { status: result.status, body: result.body ?? null, simulated: !!(result.headers && result.headers["X-Simulated"]) },
+  };
+}
+
+/** A batch's operations zipped with their results and snapshots. */
+function loggedBatch(operations, { response, snapshots }) {
+  return operations.map((op, i) => ({ ...(op || {}), snapshot: snapshots[i], result: response.body.results[i] }));
+}
+
 /**
  * POST /api/genesys-proxy
  *
@@ -92,13 +239,47 @@ async function callGenesys({ region, token, method, path, body, query }) {
  * The frontend sends:
  *   { customerId, method, path, body?, query? }
  * plus the user's token in the X-Genesys-Token header.
+ *
+ * Batch mode sends instead:
+ *   { customerId, operations: [{ method, path, body?, query? }], concurrency? }
+ * and gets back 200 { results: [{ status, body }] } in operation order. The
+ * caller is classified once for the whole batch; the org lock applies to the
+ * batch as a whole and the customer guard to every operation.
+ *
+ * Either shape may carry `simulate: true` (the app's Simulate switch): writes
+ * are then answered synthetically instead of being sent — see lib/simulation.js.
+ * The flag can only make a request do less, so it is safe to take from the body.
+ *
+ * Every write that is sent — or refused by the customer guard — is recorded in
+ * the Activity Log as an "api_write" entry, whichever page made it (see
+ * lib/proxyActivityLog.js). Reads and simulated writes are not. Updates to the
+ * objects lib/changeJournal.js lists are read first, so the entry can point at
+ * a before/after pair the Activity Log page can diff and revert.
  */
 module.exports = async function (context, req) {
   try {
-    const { customerId, method, path, body, query } = req.body || {};
+    const { customerId, method, path, body, query, operations, concurrency, simulate } = req.body || {};
+    const isBatch = operations !== undefined;
 
     // --- Validate input (customerId is only required for internal mode) ---
-    if (!method || !path) {
+    if (isBatch) {
+      if (!Array.isArray(operations) || operations.length === 0) {
+        context.res = {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+          body: { error: "operations must be a non-empty array" },
+        };
+        return;
+      }
+      if (operations.length > MAX_BATCH_OPERATIONS) {
+        context.res = {
+          status: 400,
+          headers: { "Content-Type": "application/json" },
+          body: { error: `Too many operations: ${operations.length} (max ${MAX_BATCH_OPERATIONS})` },
+        };
+        return;
+      }
+    } else if (!method || !path) {
       context.res = {
         status: 400,
         headers: { "Content-Type": "application/json" },
@@ -107,7 +288,7 @@ module.exports = async function (context, req) {
       return;
     }
 
-    if (!ALLOWED_METHODS.includes(method.toUpperCase())) {
+    if (!isBatch && !ALLOWED_METHODS.includes(method.toUpperCase())) {
       context.res = {
         status: 400,
         headers: { "Content-Type": "application/json" },
@@ -158,6 +339,17 @@ module.exports = async function (context, req) {
         return;
       }
 
+      if (isBatch) {
+        const batch = await runBatch(
+          { orgKey: cust.id, region: cust.region, token: userToken, guarded: true, entitlements: classification.entitlements, simulate },
+          operations,
+          concurrency
+        );
+        context.res = batch.response;
+        await logProxyWrites(context, req, { orgId: cust.id, batch: true, calls: loggedBatch(operations, batch) });
+        return;
+      }
+
       const guard = checkCustomerRequest(path, classification.entitlements);
       if (!guard.allowed) {
         context.res = {
@@ -165,19 +357,24 @@ module.exports = async function (context, req) {
           headers: { "Content-Type": "application/json" },
           body: { error: guard.reason },
         };
+        await logProxyWrites(context, req, { orgId: cust.id, calls: [loggedCall({ method, path, body, query }, context.res)] });
         return;
       }
 
       // Forward the user's OWN token to their OWN region (no elevation).
+      const snapshot = await snapshotFor({ orgKey: cust.id, region: cust.region, token: userToken, simulate }, { method, path, body });
       const result = await callGenesys({
+        orgKey: cust.id,
         region: cust.region,
         token: userToken,
         method,
         path,
         body,
         query,
+        simulate,
       });
       context.res = result;
+      await logProxyWrites(context, req, { orgId: cust.id, calls: [loggedCall({ method, path, body, query }, result, snapshot)] });
       return;
     }
 
@@ -260,15 +457,26 @@ module.exports = async function (context, req) {
       clientSecret
     );
 
+    if (isBatch) {
+      const batch = await runBatch({ orgKey: customerId, region: customer.region, token, simulate }, operations, concurrency);
+      context.res = batch.response;
+      await logProxyWrites(context, req, { orgId: customerId, batch: true, calls: loggedBatch(operations, batch) });
+      return;
+    }
+
+    const snapshot = await snapshotFor({ orgKey: customerId, region: customer.region, token, simulate }, { method, path, body });
     const result = await callGenesys({
+      orgKey: customerId,
       region: customer.region,
       token,
       method,
       path,
       body,
       query,
+      simulate,
     });
     context.res = result;
+    await logProxyWrites(context, req, { orgId: customerId, calls: [loggedCall({ method, path, body, query }, result, snapshot)] });
   } catch (err) {
     context.log.error("Proxy error:", err);
     context.res = {
@@ -3,6 +3,7 @@
  *
  * Proxies Genesys Cloud's IP-ranges endpoint:
  *   GET https://api.<regional-host>/api/v2/ipranges
+ * (or the local stand-in, through lib/genesysHost.js)
  *
  * Authentication uses the same client-credentials flow as /api/genesys-proxy:
  * the function picks any configured customer whose org lives in the requested
@@ -17,6 +18,7 @@
 
 const customers = require("../lib/customers.json");
 const { getGenesysToken } = require("../lib/genesysAuth");
+const { apiBase } = require("../lib/genesysHost");
 
 // Cloud Media Services CIDR ranges (commercial regions, Core + Satellite).
 // These are NOT returned by Genesys' /api/v2/ipranges endpoint — they're
@@ -148,7 +150,7 @@ module.exports = async function (context, req) {
       clientSecret
     );
 
-    const url = `https://api.${host}/api/v2/ipranges`;
+    const url = `${apiBase(host)}/api/v2/ipranges`;
     const genesysResp = await fetch(url, {
       method: "GET",
       headers: {
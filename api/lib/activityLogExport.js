@@ -0,0 +1,79 @@
+/**
+ * Activity Log export — the filtered log as an Excel workbook or a CSV file.
+ *
+ * Used by GET /api/activity-log?format=xlsx|csv. The handler pages through
+ * activityLogStore.query with the page's filters and hands the entries here;
+ * the result has the same { filename, base64, mimeType } shape as the other
+ * server-side exports, so the page downloads it the same way.
+ */
+const XLSX = require("xlsx-js-style");
+const { buildStyledWorkbook } = require("./excelStyles");
+
+const HEADERS = ["Time (UTC)", "User", "Email", "Org", "Action", "Description", "Result", "Count", "Error"];
+
+const MIME = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv:  "text/csv",
+};
+
+// Excel caps a cell at 32,767 characters; a batch description never gets close,
+// but an error message carrying a Genesys response body can.
+const CELL_MAX_CHARS = 32000;
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+function cell(value) {
+  const text = value == null ? "" : String(value);
+  return text.length > CELL_MAX_CHARS ? `${text.slice(0, CELL_MAX_CHARS)}…` : text;
+}
+
+function toRow(e) {
+  return [
+    (e.logTimestamp || "").replace("T", " ").replace(/\.\d+Z$|Z$/, ""),
+    cell(e.userName),
+    cell(e.userEmail),
+    cell(e.orgName || e.orgId),
+    cell(e.action),
+    cell(e.description),
+    cell(e.result),
+    e.count ?? "",
+    cell(e.errorMessage),
+  ];
+}
+
+/** RFC 4180: quote fields containing a delimiter, quote or line break. */
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the export file.
+ * @param {object[]} entries  Activity Log entries (see activityLogStore)
+ * @param {"xlsx"|"csv"} format
+ * @returns {{ filename: string, base64: string, mimeType: string }}
+ */
+function buildExport(entries, format) {
+  const rows = entries.map(toRow);
+  let buf;
+  if (format === "csv") {
+    // The BOM makes Excel open the file as UTF-8 instead of the local code page.
+    const lines = [HEADERS, ...rows].map((r) => r.map(csvField).join(","));
+    buf = Buffer.from("\uFEFF" + lines.join("\r\n") + "\r\n", "utf8");
+  } else {
+    const wb = buildStyledWorkbook([HEADERS, ...rows], "Activity Log");
+    buf = Buffer.from(XLSX.write(wb, { bookType: "xlsx", type: "buffer" }));
+  }
+  return {
+    filename: timestampedFilename("ActivityLog", format),
+    base64:   buf.toString("base64"),
+    mimeType: MIME[format],
+  };
+}
+
+module.exports = { buildExport, FORMATS: Object.keys(MIME) };
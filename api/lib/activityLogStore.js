@@ -8,11 +8,15 @@
  * Retention: entries with logTimestamp older than RETENTION_MONTHS are
  * excluded from reads and purged when an admin requests the log.
  *
+ * Every new entry is also handed to the SIEM forwarder (siemForwarder.js),
+ * which queues it for delivery and is a no-op unless SIEM_SINK is set.
+ *
  * Requires app setting:
  *   AZURE_STORAGE_CONNECTION_STRING
  */
 const { TableClient } = require("@azure/data-tables");
 const crypto = require("crypto");
+const siem = require("./siemForwarder");
 
 const TABLE_NAME       = "activitylog";
 const ADMIN_EMAIL      = "thva@tdc.dk";
@@ -174,40 +178,127 @@ function entryToEntity(data) {
 // ── CRUD ────────────────────────────────────────────────
 
 /**
- * Write a new activity log entry.
- * @param {object} data  Log entry fields (see entryToEntity)
+ * Write a new activity log entry, then queue it for the SIEM. Queuing never
+ * fails the write, and nothing is sent here — the scheduled runner's drain
+ * delivers it.
+ * @param {object} context  Azure Functions context of the caller, for logging
+ * @param {object} data     Log entry fields (see entryToEntity)
  */
-async function create(data) {
+async function create(context, data) {
   await ensureTable();
   const entity = entryToEntity(data);
   await getClient().createEntity(entity);
-  return entityToEntry(entity);
+  const entry = entityToEntry(entity);
+  await siem.forward(context, entry);
+  return entry;
+}
+
+/** One entry by id, or null (also once it has passed the retention window). */
+async function get(id) {
+  await ensureTable();
+  try {
+    const entity = await getClient().getEntity("log", id);
+    if ((entity.logTimestamp || "") < retentionCutoff()) return null;
+    return entityToEntry(entity);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+// ── Query ───────────────────────────────────────────────
+
+/** Quote a value for an OData filter string. */
+function odataString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/** The RowKey prefix for a moment in time (see makeRowKey). */
+function rowKeyAt(ms) {
+  return String(MAX_TS - ms).padStart(13, "0");
+}
+
+// Continuation tokens are the last RowKey returned, opaque to the caller. A
+// RowKey is unique and totally ordered, so "everything after it" resumes
+// exactly — even when filters applied here, rather than by the table, stopped
+// the previous page in the middle of a storage page.
+function encodeToken(rowKey) {
+  return Buffer.from(rowKey, "utf8").toString("base64url");
+}
+
+function decodeToken(token) {
+  if (!token) return null;
+  const rowKey = Buffer.from(String(token), "base64url").toString("utf8");
+  return /^\d{13}_[0-9a-f-]{36}$/.test(rowKey) ? rowKey : null;
 }
 
 /**
- * List log entries, newest first (RowKey sort order).
+ * Query log entries, newest first (RowKey sort order), one page at a time.
  * Entries older than RETENTION_MONTHS are excluded.
  *
- * @param {string|null} userEmail  Filter to a specific user; null = return all (admin)
- * @param {number}      limit      Maximum entries to return (default 500)
+ * The date range becomes a RowKey range, and action / org / result become
+ * table filters, so those narrow the scan itself. Owner scoping (a legacy entry
+ * with no ownerOrgId is internal), the user (case-insensitive) and free text are
+ * matched here, as the table can express neither.
+ *
+ * @param {object}  opts
+ * @param {string}  [opts.ownerOrgId]  Owner scope; null = every owner
+ * @param {string}  [opts.from]        ISO date/time — entries at or after
+ * @param {string}  [opts.to]          ISO date/time — entries at or before; a
+ *                                     bare date (YYYY-MM-DD) means the whole day
+ * @param {string}  [opts.action]      Exact action type
+ * @param {string}  [opts.orgId]       Exact org id
+ * @param {string}  [opts.result]      success | partial | failure
+ * @param {string}  [opts.userEmail]   Exact email, case-insensitive
+ * @param {string}  [opts.text]        Substring of description, error, user or org
+ * @param {number}  [opts.limit]       Page size (default 500)
+ * @param {string}  [opts.continuationToken]  From the previous page
+ * @returns {Promise<{ entries: object[], continuationToken: string|null }>}
  */
-async function list({ userEmail = null, ownerOrgId = null, limit = 500 } = {}) {
+async function query({
+  ownerOrgId = null, from = null, to = null, action = null, orgId = null, result = null,
+  userEmail = null, text = null, limit = 500, continuationToken = null,
+} = {}) {
   await ensureTable();
-  const cutoff  = retentionCutoff();
+  const cutoff = retentionCutoff();
+  const clauses = ["PartitionKey eq 'log'", `logTimestamp ge ${odataString(cutoff)}`];
+
+  const toMs = to ? Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}T23:59:59.999Z` : to) : NaN;
+  if (!isNaN(toMs)) clauses.push(`RowKey ge ${odataString(rowKeyAt(toMs))}`);
+  const fromMs = from ? Date.parse(from) : NaN;
+  if (!isNaN(fromMs)) clauses.push(`RowKey lt ${odataString(rowKeyAt(fromMs - 1))}`);
+
+  const after = decodeToken(continuationToken);
+  if (after) clauses.push(`RowKey gt ${odataString(after)}`);
+
+  if (action) clauses.push(`action eq ${odataString(action)}`);
+  if (orgId)  clauses.push(`orgId eq ${odataString(orgId)}`);
+  if (result) clauses.push(`result eq ${odataString(result)}`);
+  if (ownerOrgId && ownerOrgId !== "internal") clauses.push(`ownerOrgId eq ${odataString(ownerOrgId)}`);
+
+  const email  = userEmail ? userEmail.toLowerCase() : null;
+  const needle = text ? text.toLowerCase() : null;
   const entries = [];
-  const iter    = getClient().listEntities({
-    queryOptions: { filter: "PartitionKey eq 'log'" },
-  });
+  let lastRowKey = null;
+  let more = false;
 
+  const iter = getClient().listEntities({ queryOptions: { filter: clauses.join(" and ") } });
   for await (const entity of iter) {
-    if ((entity.logTimestamp || "") < cutoff) continue;
+    if (entries.length >= limit) { more = true; break; }
+    lastRowKey = entity.rowKey;
     if (ownerOrgId && (entity.ownerOrgId || "internal") !== ownerOrgId) continue;
-    if (userEmail && entity.userEmail?.toLowerCase() !== userEmail.toLowerCase()) continue;
+    if (email && entity.userEmail?.toLowerCase() !== email) continue;
+    if (needle) {
+      const haystack = [entity.description, entity.errorMessage, entity.userName, entity.userEmail, entity.orgName]
+        .join("\n").toLowerCase();
+      if (!haystack.includes(needle)) continue;
+    }
     entries.push(entityToEntry(entity));
-    if (entries.length >= limit) break;
   }
 
-  return entries;
+  // `more` is only known by reading one entity past the page; the token then
+  // resumes after the last entity actually examined, not the one peeked at.
+  return { entries, continuationToken: more && lastRowKey ? encodeToken(lastRowKey) : null };
 }
 
 /**
@@ -237,4 +328,4 @@ async function purgeOld() {
   return toDelete.length;
 }
 
-module.exports = { create, list, purgeOld, ADMIN_EMAIL };
+module.exports = { create, get, query, purgeOld, ADMIN_EMAIL };
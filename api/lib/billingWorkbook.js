@@ -594,6 +594,39 @@ function buildDateRangeWorkbook({ fromLabel, toLabel, orgsData }) {
   return XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
 }
 
+// ── Machine-readable rows ────────────────────────────────────────────
+
+const BILLING_ROW_COLUMNS = [
+  "Org", "Period", "License Type", "Section", "Product", "Committed", "Actual Usage", "On Demand",
+];
+
+/**
+ * The billing rows as one flat sheet, for CSV/JSON output (exportFormats.js) —
+ * the workbooks' banners and section headings become columns instead.
+ *
+ * @param {Array<{orgName: string, periods: Array<{label: string, processed: object}>}>} orgsData
+ * @returns {Array<{name: string, columns: string[], rows: Array[]}>}
+ */
+function billingSheets(orgsData) {
+  const rows = [];
+  for (const { orgName, periods } of orgsData) {
+    for (const { label, processed } of periods) {
+      const sections = [
+        ["Regular", processed.regularRows],
+        ["AI", processed.aiBreakdownRows],
+        ["Overage", processed.overageRows],
+      ];
+      for (const [section, list] of sections) {
+        for (const r of list) {
+          rows.push([orgName, label, processed.summary.licenseType, section,
+            r.name, r.committed, r.actualUsage, r.onDemand]);
+        }
+      }
+    }
+  }
+  return [{ name: "Billing", columns: BILLING_ROW_COLUMNS, rows }];
+}
+
 module.exports = {
   processBillingOverview,
   buildSingleOrgWorkbook,
@@ -602,4 +635,5 @@ module.exports = {
   buildDateRangeWorkbook,
   safeSheetName,
   fmtDate,
+  billingSheets,
 };
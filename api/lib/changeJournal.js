@@ -0,0 +1,142 @@
+/**
+ * Change journal — before/after snapshots of objects updated through the proxy.
+ *
+ * For the updates an operator most often needs to take back (role edits, queue
+ * and wrap-up code PUTs, schedules, data table rows, user and queue division
+ * changes) the proxy reads the object before sending the write, and keeps the
+ * pair once the write succeeds. The Activity Log entry for the write points at
+ * the pair (see proxyActivityLog.js), and the Activity Log page diffs it and
+ * offers Revert, which re-sends the previous state through the proxy after
+ * checking nobody has changed the object since.
+ *
+ * Everything here is pure apart from the `read` callback the proxy supplies,
+ * which makes a GET against the same org with the same credentials as the write.
+ * Capture never fails the write: an object that cannot be read is simply not
+ * journaled.
+ */
+
+// Each spec: which write it matches, and how the object is read back and the
+// write undone. `revert.pick` (PATCH) re-sends only the properties the original
+// request changed; without it the whole previous object is PUT back.
+const SPECS = [
+  { kind: "role",         label: "Role",           methods: ["PUT"],          re: /^\/api\/v2\/authorization\/roles\/([^/]+)$/ },
+  { kind: "queue",        label: "Queue",          methods: ["PUT", "PATCH"], re: /^\/api\/v2\/routing\/queues\/([^/]+)$/ },
+  { kind: "wrapupcode",   label: "Wrap-up code",   methods: ["PUT"],          re: /^\/api\/v2\/routing\/wrapupcodes\/([^/]+)$/ },
+  { kind: "schedule",     label: "Schedule",       methods: ["PUT"],          re: /^\/api\/v2\/architect\/schedules\/([^/]+)$/ },
+  { kind: "datatableRow", label: "Data table row", methods: ["PUT"],          re: /^\/api\/v2\/flows\/datatables\/([^/]+)\/rows\/([^/]+)$/, readQuery: { showbrief: "false" } },
+  { kind: "user",         label: "User",           methods: ["PATCH"],        re: /^\/api\/v2\/users\/([^/]+)$/ },
+];
+
+// POST /authorization/divisions/{id}/objects/USER moves the users named in the
+// body; each one is journaled on its own, with only its division recorded.
+const DIVISION_MOVE_RE = /^\/api\/v2\/authorization\/divisions\/([^/]+)\/objects\/USER$/;
+const MAX_MOVE_OBJECTS = 100;
+
+function isOk(status) {
+  return status >= 200 && status < 300;
+}
+
+function objectName(kind, obj, match) {
+  if (kind === "datatableRow") return decodeURIComponent(match[2]);
+  return (obj && (obj.name || obj.email)) || match[1];
+}
+
+/**
+ * Read the objects a write is about to change.
+ *
+ * @param {(path: string, query?: object) => Promise<{status, body}>} read
+ * @param {{ method, path, body }} op
+ * @returns {Promise<object|null>} Snapshot to hand to buildChanges, or null
+ *   when the call is not journaled or nothing could be read.
+ */
+async function captureBefore(read, { method, path, body }) {
+  const m = String(method || "").toUpperCase();
+  try {
+    const move = m === "POST" && DIVISION_MOVE_RE.exec(path || "");
+    if (move) {
+      const ids = (Array.isArray(body) ? body : []).filter((id) => typeof id === "string").slice(0, MAX_MOVE_OBJECTS);
+      const users = await Promise.all(ids.map((id) => read(`/api/v2/users/${id}`).catch(() => null)));
+      const before = {};
+      users.forEach((r, i) => {
+        if (r && isOk(r.status) && r.body && r.body.division) before[ids[i]] = r.body;
+      });
+      return Object.keys(before).length ? { kind: "divisionMove", divisionId: move[1], before } : null;
+    }
+
+    const spec = SPECS.find((s) => s.methods.includes(m) && s.re.test(path || ""));
+    if (!spec) return null;
+    const r = await read(path, spec.readQuery);
+    if (!r || !isOk(r.status) || !r.body || typeof r.body !== "object") return null;
+    return { kind: spec.kind, before: r.body };
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Only the properties `keys` names, from `obj`. */
+function pick(obj, keys) {
+  const out = {};
+  for (const k of keys) if (obj && k in obj) out[k] = obj[k];
+  return out;
+}
+
+/**
+ * Turn a snapshot and the write's outcome into journal records, one per
+ * changed object. Returns [] when the write failed.
+ *
+ * Each record: { kind, label, objectId, objectName, method, path, readPath,
+ * readQuery, revert: { method, path, pick?, body? }, before, after }.
+ */
+function buildChanges(snapshot, { method, path, body }, result) {
+  if (!snapshot || !result || !isOk(result.status)) return [];
+  const m = String(method).toUpperCase();
+
+  if (snapshot.kind === "divisionMove") {
+    // A user who was already there did not change.
+    return Object.entries(snapshot.before)
+      .filter(([, user]) => user.division.id !== snapshot.divisionId)
+      .map(([id, user]) => ({
+        kind: "userDivision",
+        label: "User division",
+        objectId: id,
+        objectName: user.name || user.email || id,
+        method: m,
+        path,
+        readPath: `/api/v2/users/${id}`,
+        readQuery: null,
+        revert: {
+          method: "POST",
+          path: `/api/v2/authorization/divisions/${user.division.id}/objects/USER`,
+          body: [id],
+        },
+        before: { division: user.division },
+        after: { division: { id: snapshot.divisionId } },
+      }));
+  }
+
+  const spec = SPECS.find((s) => s.kind === snapshot.kind);
+  const match = spec.re.exec(path);
+  const returned = result.body && typeof result.body === "object" && !Array.isArray(result.body) && !result.body.raw;
+  // Every journaled endpoint answers with the updated object; a PATCH that did
+  // not is described by what it sent.
+  const after = returned ? result.body : (m === "PATCH" ? { ...snapshot.before, ...body } : body);
+  const changedKeys = m === "PATCH" && body && typeof body === "object"
+    ? Object.keys(body).filter((k) => k !== "version")
+    : null;
+
+  return [{
+    kind: spec.kind,
+    label: spec.label,
+    objectId: match[spec.kind === "datatableRow" ? 2 : 1],
+    objectName: objectName(spec.kind, snapshot.before, match),
+    method: m,
+    path,
+    readPath: path,
+    readQuery: spec.readQuery || null,
+    revert: changedKeys ? { method: "PATCH", path, pick: changedKeys } : { method: "PUT", path },
+    before: changedKeys ? pick(snapshot.before, [...changedKeys, "version"]) : snapshot.before,
+    after: changedKeys ? pick(after, [...changedKeys, "version"]) : after,
+  }];
+}
+
+module.exports = { captureBefore, buildChanges };
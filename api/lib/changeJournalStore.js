@@ -0,0 +1,222 @@
+/**
+ * Change Journal Store — Azure Table Storage CRUD.
+ *
+ * Table: "changejournal"
+ * PartitionKey: ownerOrgId  (same owner tag as the Activity Log; a lookup in
+ *               another org's partition simply finds nothing)
+ * RowKey: uuid
+ *
+ * One record per object changed by a journaled write (see changeJournal.js),
+ * referenced by id from the write's Activity Log entry. The before/after
+ * snapshots are JSON split across numbered properties, because a whole role or
+ * queue easily passes Table Storage's 32 K limit on a single string.
+ *
+ * Retention matches the Activity Log: RETENTION_MONTHS, purged alongside it.
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING
+ */
+const { TableClient } = require("@azure/data-tables");
+const crypto = require("crypto");
+
+const TABLE_NAME       = "changejournal";
+const RETENTION_MONTHS = 12;
+
+// Snapshot chunking. 7 × 30,000 characters per side keeps a record (two sides,
+// stored as UTF-16) inside the 1 MB entity limit with room for the rest.
+const CHUNK_CHARS = 30000;
+const MAX_CHUNKS  = 7;
+
+let _client       = null;
+let _tableEnsured = false;
+
+function getClient() {
+  if (!_client) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _client = TableClient.fromConnectionString(connStr, TABLE_NAME);
+  }
+  return _client;
+}
+
+async function ensureTable() {
+  if (_tableEnsured) return;
+  try {
+    await getClient().createTable();
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+  }
+  _tableEnsured = true;
+}
+
+function retentionCutoff() {
+  const d = new Date();
+  d.setMonth(d.getMonth() - RETENTION_MONTHS);
+  return d.toISOString();
+}
+
+function safeParse(str, fallback) {
+  if (!str) return fallback;
+  try { return JSON.parse(str); } catch { return fallback; }
+}
+
+// ── Snapshot chunking ───────────────────────────────────
+
+/**
+ * Spread a snapshot over `<prefix>0`, `<prefix>1`, … on `entity`. Returns
+ * false, writing nothing, when it does not fit — the record is then kept for
+ * the diff summary but cannot be reverted.
+ */
+function writeChunks(entity, prefix, value) {
+  const json = JSON.stringify(value ?? null);
+  const count = Math.ceil(json.length / CHUNK_CHARS) || 1;
+  if (count > MAX_CHUNKS) return false;
+  for (let i = 0; i < count; i++) {
+    entity[`${prefix}${i}`] = json.slice(i * CHUNK_CHARS, (i + 1) * CHUNK_CHARS);
+  }
+  entity[`${prefix}Chunks`] = count;
+  return true;
+}
+
+function readChunks(entity, prefix) {
+  const count = entity[`${prefix}Chunks`] || 0;
+  if (!count) return null;
+  let json = "";
+  for (let i = 0; i < count; i++) json += entity[`${prefix}${i}`] || "";
+  return safeParse(json, null);
+}
+
+// ── Entity ↔ record mapping ─────────────────────────────
+
+function recordToEntity(data) {
+  const entity = {
+    partitionKey: data.ownerOrgId || "internal",
+    rowKey:       data.id || crypto.randomUUID(),
+    createdAt:    data.createdAt || new Date().toISOString(),
+    orgId:        data.orgId      || "",
+    orgName:      data.orgName    || "",
+    userId:       data.userId     || "",
+    userEmail:    data.userEmail  || "",
+    userName:     data.userName   || "",
+    kind:         data.kind       || "",
+    label:        data.label      || "",
+    objectId:     data.objectId   || "",
+    objectName:   data.objectName || "",
+    method:       data.method     || "",
+    path:         data.path       || "",
+    readPath:     data.readPath   || "",
+    readQuery:    data.readQuery ? JSON.stringify(data.readQuery) : "",
+    revert:       data.revert    ? JSON.stringify(data.revert)    : "",
+    revertedAt:   data.revertedAt   || "",
+    revertedBy:   data.revertedBy   || "",
+    revertStatus: data.revertStatus || "",
+  };
+  const fits = writeChunks(entity, "before", data.before) && writeChunks(entity, "after", data.after);
+  if (!fits) {
+    for (const k of Object.keys(entity)) if (/^(before|after)\d+$|Chunks$/.test(k)) delete entity[k];
+    entity.tooLarge = true;
+  }
+  return entity;
+}
+
+function entityToRecord(e) {
+  return {
+    id:           e.rowKey,
+    ownerOrgId:   e.partitionKey,
+    createdAt:    e.createdAt    || "",
+    orgId:        e.orgId        || "",
+    orgName:      e.orgName      || "",
+    userId:       e.userId       || "",
+    userEmail:    e.userEmail    || "",
+    userName:     e.userName     || "",
+    kind:         e.kind         || "",
+    label:        e.label        || "",
+    objectId:     e.objectId     || "",
+    objectName:   e.objectName   || "",
+    method:       e.method       || "",
+    path:         e.path         || "",
+    readPath:     e.readPath     || "",
+    readQuery:    safeParse(e.readQuery, null),
+    revert:       safeParse(e.revert, null),
+    before:       readChunks(e, "before"),
+    after:        readChunks(e, "after"),
+    tooLarge:     !!e.tooLarge,
+    revertedAt:   e.revertedAt   || "",
+    revertedBy:   e.revertedBy   || "",
+    revertStatus: e.revertStatus || "",
+  };
+}
+
+// ── CRUD ────────────────────────────────────────────────
+
+/**
+ * Write one journal record.
+ * @param {object} data  Record fields (see recordToEntity)
+ * @returns {Promise<string>} The new record's id
+ */
+async function create(data) {
+  await ensureTable();
+  const entity = recordToEntity(data);
+  await getClient().createEntity(entity);
+  return entity.rowKey;
+}
+
+/** A record in the caller's own partition, or null. */
+async function get(ownerOrgId, id) {
+  await ensureTable();
+  try {
+    const e = await getClient().getEntity(ownerOrgId || "internal", id);
+    if ((e.createdAt || "") < retentionCutoff()) return null;
+    return entityToRecord(e);
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Record that a change was reverted. Merges only the revert fields, so the
+ * snapshots are never rewritten. Returns the updated record, or null.
+ */
+async function markReverted(ownerOrgId, id, { revertedBy, revertStatus }) {
+  const existing = await get(ownerOrgId, id);
+  if (!existing) return null;
+  const revertedAt = new Date().toISOString();
+  await getClient().updateEntity(
+    { partitionKey: ownerOrgId || "internal", rowKey: id, revertedAt, revertedBy: revertedBy || "", revertStatus: revertStatus || "" },
+    "Merge"
+  );
+  return { ...existing, revertedAt, revertedBy: revertedBy || "", revertStatus: revertStatus || "" };
+}
+
+/**
+ * Delete every record older than the retention window, in all partitions.
+ * Errors per entity are swallowed.
+ * @returns {number} Number of entities deleted.
+ */
+async function purgeOld() {
+  await ensureTable();
+  const cutoff   = retentionCutoff();
+  const client   = getClient();
+  const toDelete = [];
+
+  const iter = client.listEntities({
+    queryOptions: { filter: `createdAt lt '${cutoff}'`, select: ["PartitionKey", "RowKey"] },
+  });
+  for await (const entity of iter) {
+    toDelete.push({ partitionKey: entity.partitionKey, rowKey: entity.rowKey });
+  }
+
+  for (const key of toDelete) {
+    try { await client.deleteEntity(key.partitionKey, key.rowKey); } catch (_) {}
+  }
+
+  return toDelete.length;
+}
+
+module.exports = { create, get, markReverted, purgeOld };
@@ -0,0 +1,104 @@
+/**
+ * Config Baseline Store — pinned org configurations, in Blob Storage.
+ *
+ * A baseline is what an org's managed configuration (queues, flows, data
+ * actions, OAuth clients, trunks, roles) is supposed to look like; the drift
+ * check (lib/configDrift.js) compares the org as it is now against it. One per
+ * org, not per schedule: accepting drift once settles it for every schedule
+ * and for the page.
+ *
+ * Container: "config-baselines" (private — read only through /api/config-baselines)
+ * Blob names, gzipped JSON:
+ *   <orgId>/baseline.json.gz   the pinned configuration
+ *       { v, orgId, pinnedAt, pinnedBy,
+ *         types: { <type>: { takenAt, takenBy, sheets } } }
+ *   <orgId>/latest.json.gz     what the last check read, which is what
+ *                              accepting drift copies into the baseline
+ *       { v, orgId, takenAt, takenBy, types: { <type>: { sheets } } }
+ *
+ * `sheets` is docDiff's shape — { <sheet>: { columns, rows } | { error } }.
+ * Each type carries its own takenAt because drift is accepted type by type.
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING   (the same account as the tables)
+ */
+const { BlobServiceClient } = require("@azure/storage-blob");
+const zlib = require("zlib");
+
+const CONTAINER_NAME = "config-baselines";
+
+let _container = null;
+let _containerEnsured = false;
+
+function getContainer() {
+  if (!_container) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _container = BlobServiceClient.fromConnectionString(connStr).getContainerClient(CONTAINER_NAME);
+  }
+  return _container;
+}
+
+async function ensureContainer() {
+  if (_containerEnsured) return;
+  await getContainer().createIfNotExists();
+  _containerEnsured = true;
+}
+
+/** Org ids come from customers.json, but never let one add path segments. */
+function blobName(orgId, kind) {
+  return `${String(orgId).replace(/[\\/]/g, "_")}/${kind}.json.gz`;
+}
+
+async function write(orgId, kind, doc) {
+  await ensureContainer();
+  await getContainer().getBlockBlobClient(blobName(orgId, kind)).uploadData(zlib.gzipSync(JSON.stringify(doc)), {
+    blobHTTPHeaders: { blobContentType: "application/gzip" },
+  });
+}
+
+async function read(orgId, kind) {
+  await ensureContainer();
+  try {
+    const buf = await getContainer().getBlockBlobClient(blobName(orgId, kind)).downloadToBuffer();
+    return JSON.parse(zlib.gunzipSync(buf).toString("utf8"));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/** @returns {Promise<Object|null>} the org's baseline, or null when none is pinned */
+async function getBaseline(orgId) {
+  return read(orgId, "baseline");
+}
+
+async function saveBaseline(orgId, baseline) {
+  await write(orgId, "baseline", baseline);
+}
+
+/** @returns {Promise<Object|null>} the last check's reading, or null before the first */
+async function getLatest(orgId) {
+  return read(orgId, "latest");
+}
+
+async function saveLatest(orgId, latest) {
+  await write(orgId, "latest", latest);
+}
+
+/** Unpin: the baseline and the last reading both go. */
+async function remove(orgId) {
+  await ensureContainer();
+  await Promise.all(["baseline", "latest"].map((kind) =>
+    getContainer().getBlockBlobClient(blobName(orgId, kind)).deleteIfExists()));
+}
+
+module.exports = {
+  getBaseline, saveBaseline, getLatest, saveLatest, remove,
+  CONTAINER_NAME,
+};
@@ -0,0 +1,249 @@
+/**
+ * Config drift — an org's managed configuration against its pinned baseline.
+ *
+ * Customers change things we are contracted to manage. An operator pins the
+ * org's configuration as it should be (configBaselineStore.js); a scheduled
+ * check (exports/configDrift.js) or Export › Documentation › Drift re-reads it
+ * and reports what differs. Drift that was meant is accepted, type by type,
+ * which rolls the baseline forward to what the check read.
+ *
+ * The object types, and the sheets each reads:
+ *   queues         Queues
+ *   flows          Flows
+ *   dataActions    Data Actions
+ *   oauthClients   OAuth - CODE, - TOKEN, - SAML2-BEARER, - PASSWORD, - CLIENT-CREDENTIALS
+ *   trunks         Trunks
+ *   roles          Roles — one row per permission policy
+ * All but Roles are the documentation export's own fetchers, so a row here is
+ * the row in the Documentation workbook, and the comparison is lib/docDiff.js —
+ * the one Documentation Compare uses, ids included: in one org a re-created
+ * object is drift too. Columns that change without anyone configuring anything
+ * (VOLATILE_COLUMNS) are left out of what is kept and compared.
+ */
+const { resolveOrg, genesysGetAllPagesWithToken } = require("./genesysFetch");
+const documentation = require("./exports/documentation");
+const store = require("./configBaselineStore");
+const { compareDocs, summaryText, buildDiffWorkbook } = require("./docDiff");
+
+const VERSION = 1;
+
+/** Agents joining and leaving a queue is not configuration. */
+const VOLATILE_COLUMNS = {
+  "Queues": ["Joined Members"],
+};
+
+async function fetchRoles(region, token) {
+  const headers = ["Name", "Description", "Domain", "Entity", "Actions", "Conditions"];
+  const roles = await genesysGetAllPagesWithToken(region, token, "/api/v2/authorization/roles", 100);
+  const rows = [];
+  for (const r of roles) {
+    const policies = r.permissionPolicies || [];
+    if (!policies.length) rows.push([r.name, r.description || "", "", "", "", ""]);
+    for (const p of policies) {
+      rows.push([
+        r.name,
+        r.description || "",
+        p.domain || "",
+        p.entityName || "",
+        [...(p.actionSet || [])].sort().join(", "),
+        p.conditionJson ? JSON.stringify(p.conditionJson) : "",
+      ]);
+    }
+  }
+  return { headers, rows };
+}
+
+const one = (sheet, fetch) => async (region, token) => ({ [sheet]: await fetch(region, token) });
+
+/** Object types in report order: { label, sheets, fetch(region, token) → { <sheet>: { headers, rows } } }. */
+const OBJECT_TYPES = {
+  queues:       { label: "Queues",        sheets: ["Queues"],       fetch: one("Queues", documentation.fetchQueues) },
+  flows:        { label: "Flows",         sheets: ["Flows"],        fetch: one("Flows", documentation.fetchFlows) },
+  dataActions:  { label: "Data actions",  sheets: ["Data Actions"], fetch: one("Data Actions", documentation.fetchDataActions) },
+  oauthClients: {
+    label: "OAuth clients",
+    sheets: ["OAuth - CODE", "OAuth - TOKEN", "OAuth - SAML2-BEARER", "OAuth - PASSWORD", "OAuth - CLIENT-CREDENTIALS"],
+    fetch: async (region, token) => {
+      const o = await documentation.fetchOAuthClients(region, token);
+      return {
+        "OAuth - CODE":               o.code,
+        "OAuth - TOKEN":              o.token,
+        "OAuth - SAML2-BEARER":       o.saml2,
+        "OAuth - PASSWORD":           o.password,
+        "OAuth - CLIENT-CREDENTIALS": o.clientCredentials,
+      };
+    },
+  },
+  trunks:       { label: "Trunks",        sheets: ["Trunks"],       fetch: one("Trunks", documentation.fetchTrunks) },
+  roles:        { label: "Roles",         sheets: ["Roles"],        fetch: one("Roles", fetchRoles) },
+};
+
+const TYPES = Object.keys(OBJECT_TYPES);
+
+/**
+ * The types a schedule reports on: each exportConfig.<type> is "notify" (the
+ * default) or "ignore".
+ */
+function notifyTypes(config = {}) {
+  return TYPES.filter((t) => config[t] !== "ignore");
+}
+
+/** { headers, rows } → docDiff's { columns, rows }, volatile columns dropped. */
+function toSheet(name, { headers, rows }) {
+  const drop = VOLATILE_COLUMNS[name] || [];
+  const keep = headers.map((h, i) => (drop.includes(h) ? -1 : i)).filter((i) => i >= 0);
+  return {
+    columns: keep.map((i) => String(headers[i])),
+    rows: rows.map((row) => keep.map((i) => (row[i] == null ? "" : row[i]))),
+  };
+}
+
+/**
+ * Read the org's configuration for `types`, in parallel. A type that cannot be
+ * read has an error on each of its sheets rather than failing the others.
+ * @returns {Promise<{ <type>: { sheets } }>}
+ */
+async function readConfig(orgId, types) {
+  const { region, token } = await resolveOrg(orgId);
+  const read = await Promise.all(types.map(async (type) => {
+    const def = OBJECT_TYPES[type];
+    try {
+      const fetched = await def.fetch(region, token);
+      return [type, { sheets: Object.fromEntries(def.sheets.map((s) => [s, toSheet(s, fetched[s])])) }];
+    } catch (err) {
+      const error = err.message || String(err);
+      return [type, { sheets: Object.fromEntries(def.sheets.map((s) => [s, { error }])) }];
+    }
+  }));
+  return Object.fromEntries(read);
+}
+
+/** "OAuth clients: 403 …" for each type that could not be read. */
+function readErrors(types) {
+  const errors = [];
+  for (const [type, { sheets }] of Object.entries(types)) {
+    const failed = Object.values(sheets).find((s) => s.error);
+    if (failed) errors.push(`${OBJECT_TYPES[type].label}: ${failed.error}`);
+  }
+  return errors;
+}
+
+/**
+ * Pin every object type as the org is now, replacing any baseline it had. A type
+ * that cannot be read (a missing OAuth scope, say) is left out, and pinned by the
+ * first check that can read it.
+ * @returns {Promise<{ baseline: Object, unreadable: string[] }>}
+ */
+async function pin(orgId, by) {
+  const types = await readConfig(orgId, TYPES);
+  const readable = TYPES.filter((t) => !readErrors({ [t]: types[t] }).length);
+  if (!readable.length) throw new Error(`Could not read ${readErrors(types).join("; ")}`);
+
+  const takenAt = new Date().toISOString();
+  const baseline = {
+    v: VERSION, orgId, pinnedAt: takenAt, pinnedBy: by,
+    types: Object.fromEntries(readable.map((t) => [t, { takenAt, takenBy: by, sheets: types[t].sheets }])),
+  };
+  await store.saveBaseline(orgId, baseline);
+  await store.saveLatest(orgId, { v: VERSION, orgId, takenAt, takenBy: by, types });
+  return { baseline, unreadable: readErrors(types) };
+}
+
+/**
+ * Drift per type between a baseline and a reading — the types both have.
+ * @returns {{ types: { <type>: compareDocs result }, totals: { added, removed, changed, errors } }}
+ */
+function driftOf(baseline, latest, types = TYPES) {
+  const out = { types: {}, totals: { added: 0, removed: 0, changed: 0, errors: 0 } };
+  for (const type of types) {
+    if (!baseline?.types?.[type] || !latest?.types?.[type]) continue;
+    const diff = compareDocs(baseline.types[type].sheets, latest.types[type].sheets);
+    out.types[type] = diff;
+    for (const k of Object.keys(out.totals)) out.totals[k] += diff.totals[k];
+  }
+  return out;
+}
+
+/** Anything to report: a difference, or a sheet that could not be read. */
+function hasDrift(drift) {
+  const { added, removed, changed, errors } = drift.totals;
+  return added + removed + changed + errors > 0;
+}
+
+/**
+ * Read `types` now, keep the reading as the org's latest, and compare it with
+ * the baseline. A type the baseline lacks (unreadable when it was pinned) is
+ * pinned from this reading instead of reported.
+ * @returns {Promise<{ baseline, latest, drift, pinnedNow: string[] }>}
+ */
+async function check(orgId, types, by) {
+  const baseline = await store.getBaseline(orgId);
+  if (!baseline) throw new Error("No baseline pinned for this org");
+
+  const takenAt = new Date().toISOString();
+  const latest = { v: VERSION, orgId, takenAt, takenBy: by, types: await readConfig(orgId, types) };
+  await store.saveLatest(orgId, latest);
+
+  const pinnedNow = types.filter((t) => !baseline.types[t] && !readErrors({ [t]: latest.types[t] }).length);
+  if (pinnedNow.length) {
+    for (const t of pinnedNow) baseline.types[t] = { takenAt, takenBy: by, sheets: latest.types[t].sheets };
+    await store.saveBaseline(orgId, baseline);
+  }
+
+  return { baseline, latest, drift: driftOf(baseline, latest, types.filter((t) => !pinnedNow.includes(t))), pinnedNow };
+}
+
+/**
+ * Accept the last check's reading of `types` as their baseline.
+ * @returns {Promise<Object>} the baseline, rolled forward
+ */
+async function accept(orgId, types, by) {
+  const [baseline, latest] = await Promise.all([store.getBaseline(orgId), store.getLatest(orgId)]);
+  if (!baseline) throw new Error("No baseline pinned for this org");
+  const missing = types.filter((t) => !latest?.types?.[t]);
+  if (missing.length) {
+    throw new Error(`The last check did not read ${missing.map((t) => OBJECT_TYPES[t]?.label || t).join(", ")} — run a check first`);
+  }
+  const errors = readErrors(Object.fromEntries(types.map((t) => [t, latest.types[t]])));
+  if (errors.length) throw new Error(`The last check could not read ${errors.join("; ")}`);
+
+  const acceptedAt = new Date().toISOString();
+  for (const t of types) {
+    baseline.types[t] = { takenAt: latest.takenAt, takenBy: latest.takenBy, acceptedAt, acceptedBy: by, sheets: latest.types[t].sheets };
+  }
+  await store.saveBaseline(orgId, baseline);
+  return baseline;
+}
+
+/** "Flows: 1 added, 2 changed across 1 sheet; Roles: …" — the types that differ. */
+function summaryLine(drift) {
+  const parts = Object.entries(drift.types)
+    .filter(([, d]) => hasDrift(d))
+    .map(([t, d]) => `${OBJECT_TYPES[t].label}: ${summaryText(d)}`);
+  return parts.length ? parts.join("; ") : "No drift";
+}
+
+/** The drift as one workbook — docDiff's layout, every type's sheets together. */
+function buildReport(drift, labels) {
+  const sheets = Object.values(drift.types).flatMap((d) => d.sheets);
+  return buildDiffWorkbook({ sheets, totals: drift.totals }, labels);
+}
+
+/** Baseline and reading without their rows — what the page shows. */
+function describe(doc) {
+  if (!doc) return null;
+  const { types, ...meta } = doc;
+  return {
+    ...meta,
+    types: Object.fromEntries(Object.entries(types).map(([t, { sheets, ...m }]) => [t, {
+      ...m,
+      rows: Object.values(sheets).reduce((n, s) => n + (s.rows?.length || 0), 0),
+      errors: Object.values(sheets).filter((s) => s.error).map((s) => s.error),
+    }])),
+  };
+}
+
+module.exports = {
+  OBJECT_TYPES, TYPES,
+  notifyTypes, readConfig, pin, check, accept, driftOf, hasDrift, summaryLine, buildReport, describe,
+};
@@ -0,0 +1,86 @@
+/**
+ * Analytics conversation-detail jobs, server-side.
+ *
+ * The async jobs API is the only conversation query that returns participant
+ * attributes, which is why Interactions › Search and Transcripts › Search use
+ * it in the browser (searchConversations in js/services/genesysApi.js). Their
+ * scheduled handlers — exports/interactionSearch.js and
+ * exports/transcriptSearch.js — run the same three steps here:
+ *
+ *   POST /api/v2/analytics/conversations/details/jobs               submit
+ *   GET  /api/v2/analytics/conversations/details/jobs/{id}          poll
+ *   GET  /api/v2/analytics/conversations/details/jobs/{id}/results  cursor pages
+ *
+ * The browser splits long ranges into 7-day jobs to stay inside the proxy's
+ * request timeout. Nothing here goes through that proxy, so one job covers the
+ * whole interval; the wait is bounded instead, well inside the runner's job
+ * timeout.
+ */
+const { genesysGet, genesysPost } = require("./genesysFetch");
+
+const JOBS_PATH = "/api/v2/analytics/conversations/details/jobs";
+
+const POLL_INTERVAL_MS = 3000;
+const MAX_WAIT_SECONDS = 300;
+const RESULTS_PAGE_SIZE = 2000;
+
+/**
+ * Every conversation with activity in `interval` matching `jobBody`'s filters.
+ *
+ * @param {string}   orgId
+ * @param {string}   interval   ISO 8601 interval
+ * @param {Object}   [jobBody]  segmentFilters, conversationFilters, …
+ * @param {Function} [log]      progress lines, e.g. context.log
+ * @returns {Promise<Object[]>} analytics conversation objects
+ */
+async function fetchConversations(orgId, interval, jobBody = {}, log = () => {}) {
+  const submitted = await genesysPost(orgId, JOBS_PATH, { interval, ...jobBody });
+  const jobId = submitted?.jobId;
+  if (!jobId) {
+    throw new Error(`Analytics job submission failed: ${submitted?.message || JSON.stringify(submitted)}`);
+  }
+  log(`Analytics job ${jobId} submitted for ${interval}`);
+
+  const start = Date.now();
+  for (;;) {
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+    const job = await genesysGet(orgId, `${JOBS_PATH}/${jobId}`);
+    if (job.state === "FULFILLED") break;
+    if (job.state === "FAILED") {
+      throw new Error(`Analytics job failed: ${job.errorMessage || "Unknown error"}`);
+    }
+    if ((Date.now() - start) / 1000 > MAX_WAIT_SECONDS) {
+      throw new Error(`Analytics job timed out after ${MAX_WAIT_SECONDS}s`);
+    }
+  }
+
+  const all = [];
+  let cursor = null;
+  do {
+    let path = `${JOBS_PATH}/${jobId}/results?pageSize=${RESULTS_PAGE_SIZE}`;
+    if (cursor) path += `&cursor=${encodeURIComponent(cursor)}`;
+    const page = await genesysGet(orgId, path);
+    for (const c of page.conversations || []) all.push(c);
+    cursor = page.cursor || null;
+  } while (cursor);
+
+  log(`Analytics job ${jobId}: ${all.length} conversations`);
+  return all;
+}
+
+/**
+ * Segment predicates for the filters both search pages offer. Empty values are
+ * "all" and add nothing.
+ *
+ * @param {{ queueId?, direction?, mediaType? }} filters
+ * @returns {Object} job body fields — `{}` when nothing is filtered
+ */
+function segmentFilterBody({ queueId, direction, mediaType } = {}) {
+  const predicates = [];
+  if (queueId)   predicates.push({ dimension: "queueId",   value: queueId });
+  if (direction) predicates.push({ dimension: "direction", value: direction });
+  if (mediaType) predicates.push({ dimension: "mediaType", value: mediaType });
+  return predicates.length ? { segmentFilters: [{ type: "and", predicates }] } : {};
+}
+
+module.exports = { fetchConversations, segmentFilterBody };
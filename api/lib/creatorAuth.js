@@ -45,6 +45,7 @@
  */
 const customers = require("./customers.json");
 const { getGenesysToken } = require("./genesysAuth");
+const { apiBase } = require("./genesysHost");
 
 const INTERNAL_OWNER = "internal";
 
@@ -148,7 +149,7 @@ async function verifyCreator(orgKey, { userId, requiredPermissions = [] } = {})
   let user;
   try {
     const token = await getGenesysToken(creds.tokenKey, creds.region, creds.clientId, creds.clientSecret);
-    const url = `https://api.${creds.region}/api/v2/users/${encodeURIComponent(userId)}?expand=authorization`;
+    const url = `${apiBase(creds.region)}/api/v2/users/${encodeURIComponent(userId)}?expand=authorization`;
     const resp = await fetch(url, {
       headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
     });
@@ -0,0 +1,55 @@
+/**
+ * Azure Blob delivery — uploads the file into the customer's own container.
+ *
+ * Settings: sasUrl (secret) — a container SAS URL with create and write
+ * permission, e.g. https://acct.blob.core.windows.net/reports?sv=…&sig=… —
+ * and pathPrefix, a folder inside the container ("" for the root).
+ *
+ * The SAS URL is the whole credential, which is why it is sealed and why the
+ * stored label names only the account and container.
+ */
+const { httpsUrlProblem, resolvedAddressProblem } = require("./common");
+
+function parse(sasUrl) {
+  const url = new URL(sasUrl);
+  return { account: url.hostname.split(".")[0], container: url.pathname.split("/").filter(Boolean)[0] || "" };
+}
+
+module.exports = {
+  name: "Azure Blob container",
+  secretFields: ["sasUrl"],
+
+  validate(t) {
+    if (!t.sasUrl) return "SAS URL is required";
+    const problem = httpsUrlProblem(t.sasUrl);
+    if (problem) return `SAS URL ${problem}`;
+    const url = new URL(t.sasUrl);
+    if (!url.searchParams.get("sig")) return "SAS URL has no signature (sig=) — copy the full URL";
+    if (url.pathname.split("/").filter(Boolean).length !== 1) {
+      return "SAS URL must point at a container, not a blob or the account";
+    }
+    if (t.pathPrefix && /(^|\/)\.\.(\/|$)/.test(t.pathPrefix)) return "folder must not contain ..";
+    return null;
+  },
+
+  describe(t) {
+    const { account, container } = parse(t.sasUrl);
+    const prefix = String(t.pathPrefix || "").replace(/^\/+|\/+$/g, "");
+    return `Blob ${account}/${container}${prefix ? `/${prefix}` : ""}`;
+  },
+
+  async send(t, { file }) {
+    if (!file) throw new Error("This export produced no file to upload");
+    const problem = await resolvedAddressProblem(t.sasUrl);
+    if (problem) throw new Error(`SAS URL ${problem}`);
+    const { ContainerClient } = require("@azure/storage-blob");
+    const prefix = String(t.pathPrefix || "").replace(/^\/+|\/+$/g, "");
+    const name = (prefix ? `${prefix}/` : "") + file.filename.replace(/[\\/]/g, "_");
+    await new ContainerClient(t.sasUrl).getBlockBlobClient(name).uploadData(
+      Buffer.from(file.base64, "base64"),
+      { blobHTTPHeaders: { blobContentType: file.mimeType || "application/octet-stream" } }
+    );
+    const { container } = parse(t.sasUrl);
+    return { detail: `${container}/${name}` };
+  },
+};
@@ -0,0 +1,97 @@
+/**
+ * Helpers shared by the delivery target types (see ../deliveryTargets.js).
+ */
+const net = require("net");
+const dns = require("dns").promises;
+
+const POST_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Why a URL cannot be a delivery target, or null.
+ *
+ * HTTPS only — these URLs carry the file or a link to it. Loopback and private
+ * addresses are refused because the runner, not the person who typed the URL,
+ * makes the request: a target must not reach what sits next to the Function.
+ * Only literal addresses are checked here, when the target is saved; what a
+ * name resolves to is checked when it is sent to (resolvedAddressProblem).
+ */
+function httpsUrlProblem(value) {
+  let url;
+  try { url = new URL(String(value || "")); } catch (_) { return "is not a valid URL"; }
+  if (url.protocol !== "https:") return "must be an https:// URL";
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal")) {
+    return "must not point at a local host";
+  }
+  if (net.isIP(host) && isPrivateAddress(host)) return "must not point at a private address";
+  return null;
+}
+
+function isPrivateAddress(ip) {
+  if (net.isIPv6(ip)) {
+    return ip === "::1" || ip === "::" || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) ||
+      (ip.startsWith("::ffff:") && isPrivateAddress(ip.slice(7)));
+  }
+  const [a, b] = ip.split(".").map(Number);
+  return a === 10 || a === 127 || a === 0 ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 100 && b >= 64 && b <= 127);
+}
+
+/**
+ * Why a target's host name cannot be sent to now, or null — it resolves to a
+ * loopback or private address. A public name saved as a target can be pointed
+ * inwards later, so this is asked at send time. A name that does not resolve
+ * is left for the request itself to report.
+ */
+async function resolvedAddressProblem(value) {
+  const host = new URL(String(value)).hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return null; // a literal, checked by httpsUrlProblem
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true });
+  } catch (_) {
+    return null;
+  }
+  const inside = addresses.find((a) => isPrivateAddress(a.address));
+  return inside ? `resolves to a private address (${inside.address})` : null;
+}
+
+/**
+ * POST a JSON body; throws with the HTTP status (and the start of the reply) on failure.
+ *
+ * The URL is checked again before sending, its resolved address included, and
+ * redirects are not followed: a public target answering 30x with an internal
+ * Location would otherwise get round both checks. Any 3xx is a failed delivery.
+ */
+async function postJson(url, body, headers = {}, timeoutMs = POST_TIMEOUT_MS) {
+  const problem = httpsUrlProblem(url) || await resolvedAddressProblem(url);
+  if (problem) throw new Error(`Target URL ${problem}`);
+  const resp = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+    redirect: "manual",
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (resp.status >= 300 && resp.status < 400) {
+    await resp.body?.cancel().catch(() => {});
+    const location = resp.headers.get("location");
+    throw new Error(`HTTP ${resp.status}: redirected${location ? ` to ${location.slice(0, 200)}` : ""} — ` +
+      "redirects are not followed; use the final URL as the target");
+  }
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => "");
+    throw new Error(`HTTP ${resp.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+  }
+  return resp;
+}
+
+/** "2026-10-19 06:00" in UTC, for message text. */
+function shortTime(iso) {
+  return new Date(iso).toISOString().replace("T", " ").slice(0, 16) + " UTC";
+}
+
+module.exports = { httpsUrlProblem, resolvedAddressProblem, postJson, shortTime };
@@ -0,0 +1,56 @@
+/**
+ * Email delivery — the file as a Mailjet attachment, as schedules always had.
+ *
+ * Not configured as a delivery target: deliveryTargets.resolve builds this one
+ * from the schedule's emailRecipients and emailMessage.
+ */
+const mailer = require("../mailer");
+const { formatText } = require("../exportChanges");
+
+module.exports = {
+  name: "Email",
+  secretFields: [],
+
+  validate() {
+    return null;
+  },
+
+  describe(target) {
+    return `Email to ${mailer.parseRecipients(target.recipients).join(", ")}`;
+  },
+
+  async send(target, { schedule, result, changes }) {
+    const timestamp = mailer.timestamp();
+    // Change-only delivery: say what changed, whichever body is used.
+    const changesText = changes ? `${formatText(changes)}\n\n` : "";
+    const defaultBody =
+      `Scheduled export: ${schedule.exportLabel}\n` +
+      `Summary: ${result.summary || "N/A"}\n\n` +
+      changesText +
+      `Generated: ${timestamp}\n\n` +
+      "Best regards,\nGenesys Admin App";
+
+    // Handlers may supply their own subject/body to match upstream conventions
+    // (e.g. Python's `[{customer}] {task_name} Export`). User-supplied
+    // emailMessage on the schedule always wins over handler defaults.
+    const subject = result.subject || `${schedule.exportLabel} — ${timestamp}`;
+    const custom  = target.message?.trim() || result.body;
+    const body    = custom ? `${custom}${changes ? `\n\n${changesText.trim()}` : ""}` : defaultBody;
+
+    const sent = await mailer.sendMail({
+      recipients: target.recipients,
+      subject,
+      text: body,
+      attachment: (result.base64 && result.filename)
+        ? { filename: result.filename, base64: result.base64, mimeType: result.mimeType }
+        : null,
+    });
+
+    // Addresses are NOT validated here, matching the behaviour this runner has
+    // always had: a schedule with one malformed recipient still attempts its
+    // send, and Mailjet's own verdict is what gets recorded. Rejecting the batch
+    // ourselves would turn a typo into a silently skipped export.
+    if (!sent.success) throw new Error(sent.error);
+    return { detail: `${target.recipients.length} recipient(s)` };
+  },
+};
@@ -0,0 +1,78 @@
+/**
+ * HTTPS delivery — POSTs the run to an endpoint of the customer's choosing.
+ *
+ * Settings: url, payload ("file" — the file inline as base64, the default —
+ * or "link" — a time-limited download link instead, for endpoints with a body
+ * size limit), secret (optional).
+ *
+ * Body (JSON):
+ *   { event: "scheduled-export.completed", scheduleId, runId, exportType,
+ *     exportLabel, summary, generatedAt,
+ *     file: { filename, mimeType, size, base64 }       — payload "file"
+ *     link: { url, expiresAt, filename, mimeType }     — payload "link"
+ *     changes: { firstRun, lines: [string] }           — change-only schedules }
+ *
+ * With a secret, each POST is signed the way the SIEM webhook is
+ * (lib/siemForwarder.js), so a receiver can share its verification code:
+ *   X-Export-Timestamp: <ISO time of this attempt>
+ *   X-Export-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *   X-Export-Run-Id:    <runId>
+ */
+const crypto = require("crypto");
+const { httpsUrlProblem, postJson } = require("./common");
+
+// Inline files can be large; give the receiver time to take one.
+const UPLOAD_TIMEOUT_MS = 120 * 1000;
+
+module.exports = {
+  name: "HTTPS POST",
+  secretFields: ["secret"],
+
+  validate(t) {
+    if (!t.url) return "URL is required";
+    const problem = httpsUrlProblem(t.url);
+    if (problem) return `URL ${problem}`;
+    if (t.payload && !["file", "link"].includes(t.payload)) return "payload must be file or link";
+    return null;
+  },
+
+  describe(t) {
+    const url = new URL(t.url);
+    return `HTTPS POST ${url.host}${url.pathname}${t.payload === "link" ? " (link)" : ""}`;
+  },
+
+  async send(t, { schedule, runId, startedAt, result, file, link, changes }) {
+    const body = {
+      event: "scheduled-export.completed",
+      scheduleId: schedule.id,
+      runId,
+      exportType: schedule.exportType,
+      exportLabel: schedule.exportLabel,
+      summary: result.summary || "",
+      generatedAt: startedAt,
+    };
+    if (changes) body.changes = { firstRun: changes.firstRun, lines: changes.lines };
+    if (t.payload === "link") {
+      const { url, expiresAt } = await link();
+      body.link = { url, expiresAt, filename: file?.filename || null, mimeType: file?.mimeType || null };
+    } else if (file) {
+      body.file = {
+        filename: file.filename,
+        mimeType: file.mimeType || "application/octet-stream",
+        size: Buffer.byteLength(file.base64, "base64"),
+        base64: file.base64,
+      };
+    }
+
+    const json = JSON.stringify(body);
+    const headers = { "X-Export-Run-Id": runId };
+    if (t.secret) {
+      const timestamp = new Date().toISOString();
+      headers["X-Export-Timestamp"] = timestamp;
+      headers["X-Export-Signature"] =
+        "sha256=" + crypto.createHmac("sha256", t.secret).update(`${timestamp}.${json}`).digest("hex");
+    }
+    const resp = await postJson(t.url, json, headers, UPLOAD_TIMEOUT_MS);
+    return { detail: `HTTP ${resp.status}` };
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * Slack delivery — posts a message with a download link to a channel.
+ *
+ * Settings: webhookUrl (secret) — the channel's incoming webhook
+ * (https://hooks.slack.com/services/…).
+ *
+ * As with Teams, the file itself is not sent, only a time-limited link to the
+ * copy kept with the run (DELIVERY_LINK_TTL_HOURS).
+ */
+const { httpsUrlProblem, postJson, shortTime } = require("./common");
+const { formatText } = require("../exportChanges");
+
+/** Slack mrkdwn treats &, < and > as markup. */
+function mrkdwn(text) {
+  return String(text || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+module.exports = {
+  name: "Slack",
+  secretFields: ["webhookUrl"],
+
+  validate(t) {
+    if (!t.webhookUrl) return "webhook URL is required";
+    const problem = httpsUrlProblem(t.webhookUrl);
+    return problem ? `webhook URL ${problem}` : null;
+  },
+
+  describe(t) {
+    return `Slack webhook (${new URL(t.webhookUrl).hostname})`;
+  },
+
+  async send(t, { schedule, startedAt, result, file, link, changes }) {
+    const { url, expiresAt } = await link();
+    const heading = `*${mrkdwn(schedule.exportLabel)}* — ${mrkdwn(result.summary || "scheduled export finished")}`;
+    const facts = `Generated ${shortTime(startedAt)} · ${mrkdwn(file?.filename || "")} · link valid until ${shortTime(expiresAt)}`;
+    await postJson(t.webhookUrl, {
+      text: `${schedule.exportLabel}: ${url}`,
+      blocks: [
+        { type: "section", text: { type: "mrkdwn", text: heading } },
+        // A section's text is capped at 3000 characters.
+        ...(changes ? [{ type: "section", text: { type: "mrkdwn", text: mrkdwn(formatText(changes)).slice(0, 3000) } }] : []),
+        { type: "context", elements: [{ type: "mrkdwn", text: facts }] },
+        {
+          type: "actions",
+          elements: [{ type: "button", text: { type: "plain_text", text: "Download" }, url }],
+        },
+      ],
+    });
+    return { detail: `Link valid until ${shortTime(expiresAt)}` };
+  },
+};
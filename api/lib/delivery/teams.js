@@ -0,0 +1,59 @@
+/**
+ * Microsoft Teams delivery — posts a card with a download link to a channel.
+ *
+ * Settings: webhookUrl (secret) — the channel's incoming webhook, either the
+ * Workflows ("Post to a channel when a webhook request is received") URL or a
+ * classic connector URL. Both accept an Adaptive Card sent as a message
+ * attachment, which is what this posts.
+ *
+ * The file itself is not sent — Teams webhooks cannot carry one — only a
+ * time-limited link to the copy kept with the run (DELIVERY_LINK_TTL_HOURS).
+ */
+const { httpsUrlProblem, postJson, shortTime } = require("./common");
+const { formatText } = require("../exportChanges");
+
+module.exports = {
+  name: "Microsoft Teams",
+  secretFields: ["webhookUrl"],
+
+  validate(t) {
+    if (!t.webhookUrl) return "webhook URL is required";
+    const problem = httpsUrlProblem(t.webhookUrl);
+    return problem ? `webhook URL ${problem}` : null;
+  },
+
+  describe(t) {
+    return `Teams webhook (${new URL(t.webhookUrl).hostname})`;
+  },
+
+  async send(t, { schedule, startedAt, result, file, link, changes }) {
+    const { url, expiresAt } = await link();
+    const changeBlocks = changes
+      ? [{ type: "TextBlock", wrap: true, spacing: "Medium", text: formatText(changes).replace(/\n/g, "\n\n") }]
+      : [];
+    const card = {
+      $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+      type: "AdaptiveCard",
+      version: "1.4",
+      body: [
+        { type: "TextBlock", size: "Medium", weight: "Bolder", wrap: true, text: schedule.exportLabel },
+        { type: "TextBlock", wrap: true, text: result.summary || "Scheduled export finished." },
+        ...changeBlocks,
+        {
+          type: "FactSet",
+          facts: [
+            { title: "Generated", value: shortTime(startedAt) },
+            { title: "File", value: file?.filename || "—" },
+            { title: "Link valid until", value: shortTime(expiresAt) },
+          ],
+        },
+      ],
+      actions: [{ type: "Action.OpenUrl", title: "Download", url }],
+    };
+    await postJson(t.webhookUrl, {
+      type: "message",
+      attachments: [{ contentType: "application/vnd.microsoft.card.adaptive", content: card }],
+    });
+    return { detail: `Link valid until ${shortTime(expiresAt)}` };
+  },
+};
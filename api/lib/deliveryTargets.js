@@ -0,0 +1,248 @@
+/**
+ * Delivery Target Registry — where a scheduled export's file goes once it exists.
+ *
+ * Mailjet email used to be the only way out. Some customers' mail servers
+ * reject the larger workbooks, and others want the file in their own storage
+ * rather than an inbox, so a schedule now delivers to any number of targets:
+ *
+ *   email   emailRecipients / emailMessage on the schedule, exactly as before.
+ *           Not listed in deliveryTargets — every schedule saved before targets
+ *           existed keeps delivering the way it did, with no migration.
+ *   sftp    upload to an SFTP server (password or private key)
+ *   blob    upload to an Azure Blob container through a SAS URL
+ *   teams   Microsoft Teams incoming webhook — a message with a download link
+ *   slack   Slack incoming webhook — a message with a download link
+ *   https   generic HTTPS POST of the file (or a link), optionally HMAC-signed
+ *
+ * Stored on the schedule as deliveryTargets: [{ id, type, label, ...settings }].
+ * Settings named in a type's `secretFields` are sealed (secretBox.js) before
+ * they are stored and never sent back to the browser: `redact` replaces each
+ * with `<field>Set: true`, and a save that leaves one blank keeps the stored
+ * value (`prepareForSave`).
+ *
+ * Each type is a module in api/lib/delivery/ exporting:
+ *
+ *   name                   "SFTP upload" — how the UI and run results call it
+ *   secretFields           settings to seal
+ *   validate(target)       → error string | null, given plain secrets
+ *   describe(target)       → short label without secrets, stored as `label`
+ *   async send(target, delivery) → { detail? }  — throws on failure
+ *
+ *   delivery = { schedule, runId, startedAt, result, file, link, changes }
+ *     file   { filename, base64, mimeType } or null when the export made none
+ *     changes  what changed since the last delivered run (lib/exportChanges.js),
+ *              or null unless the schedule delivers only on change
+ *     link() → Promise<{ url, expiresAt }> — a read-only SAS link to the copy
+ *              kept by exportArtifactStore.js, for targets that send a link
+ *
+ * Targets are delivered one after another and each gets its own outcome; one
+ * failing never stops the rest. `deliverAll` never throws. Given a deadline, a
+ * target still sending at it fails as timed out and those after it are not
+ * tried — the send is abandoned, not stopped, as nothing can cancel it.
+ *
+ * To add a target type:
+ *   1. Create api/lib/delivery/<type>.js
+ *   2. Register it in the `types` map below
+ *   3. Describe its fields in DELIVERY_TYPES in js/components/schedulePanel.js
+ */
+const crypto = require("crypto");
+const secrets = require("./secretBox");
+const artifacts = require("./exportArtifactStore");
+const runStore = require("./scheduleRunStore");
+const mailer = require("./mailer");
+
+const types = {
+  email: () => require("./delivery/email"),
+  sftp:  () => require("./delivery/sftp"),
+  blob:  () => require("./delivery/blob"),
+  teams: () => require("./delivery/teams"),
+  slack: () => require("./delivery/slack"),
+  https: () => require("./delivery/https"),
+};
+
+/** Types a schedule can list in deliveryTargets — email is configured on the schedule itself. */
+const CONFIGURABLE_TYPES = ["sftp", "blob", "teams", "slack", "https"];
+
+const MAX_TARGETS = 10;
+const DEFAULT_LINK_TTL_HOURS = 72;
+
+function getType(type) {
+  const factory = types[type];
+  return factory ? factory() : null;
+}
+
+/**
+ * How long a download link stays valid — DELIVERY_LINK_TTL_HOURS, default 72,
+ * and never past the day the file itself is purged.
+ */
+function linkTtlHours() {
+  const n = parseInt(process.env.DELIVERY_LINK_TTL_HOURS, 10);
+  return Math.min(n > 0 ? n : DEFAULT_LINK_TTL_HOURS, runStore.retentionDays() * 24);
+}
+
+// ── Saving ──────────────────────────────────────────────
+
+/**
+ * Validate targets sent by the browser and seal their secrets.
+ *
+ * A secret left blank on a target that already exists (same id, same type)
+ * keeps its stored value — the browser never had it to send back.
+ *
+ * @param {Array}  incoming   deliveryTargets from the request body
+ * @param {Array}  [existing] the schedule's stored targets, when editing
+ * @returns {{ targets: Array } | { error: string }}
+ */
+function prepareForSave(incoming, existing = []) {
+  if (!Array.isArray(incoming)) return { error: "deliveryTargets must be an array" };
+  if (incoming.length > MAX_TARGETS) return { error: `At most ${MAX_TARGETS} delivery targets per schedule` };
+
+  const targets = [];
+  for (const [i, raw] of incoming.entries()) {
+    const where = `Delivery target ${i + 1}`;
+    if (!raw || typeof raw !== "object") return { error: `${where} is not an object` };
+    if (raw.type === "email") {
+      return { error: `${where}: email is set with the schedule's email recipients, not as a delivery target` };
+    }
+    if (!CONFIGURABLE_TYPES.includes(raw.type)) return { error: `${where} has an unknown type: ${raw.type}` };
+
+    const def = getType(raw.type);
+    const prior = existing.find((t) => t.id === raw.id && t.type === raw.type) || null;
+    const plain = {};
+    for (const [k, v] of Object.entries(raw)) {
+      if (k === "id" || k === "label" || k.endsWith("Set")) continue;
+      plain[k] = typeof v === "string" ? v.trim() : v;
+    }
+
+    try {
+      for (const field of def.secretFields) {
+        if (!plain[field] && prior?.[field]) plain[field] = secrets.open(prior[field]);
+      }
+      const problem = def.validate(plain);
+      if (problem) return { error: `${where} (${def.name}): ${problem}` };
+
+      const target = { ...plain, id: prior?.id || crypto.randomUUID(), label: def.describe(plain) };
+      for (const field of def.secretFields) {
+        if (target[field]) target[field] = secrets.seal(target[field]);
+        else delete target[field];
+      }
+      targets.push(target);
+    } catch (err) {
+      return { error: `${where} (${def.name}): ${err.message}` };
+    }
+  }
+  return { targets };
+}
+
+/** Targets as the browser sees them — secrets replaced by `<field>Set: true`. */
+function redact(targets) {
+  return (targets || []).map((t) => {
+    const def = getType(t.type);
+    const out = { ...t };
+    for (const field of def?.secretFields || []) {
+      out[`${field}Set`] = !!t[field];
+      delete out[field];
+    }
+    return out;
+  });
+}
+
+// ── Delivering ──────────────────────────────────────────
+
+/** Every target a schedule delivers to, email first. */
+function resolve(schedule) {
+  const list = [];
+  const recipients = mailer.parseRecipients(schedule.emailRecipients);
+  if (recipients.length) {
+    list.push({
+      id: "email",
+      type: "email",
+      label: `Email to ${recipients.join(", ")}`,
+      recipients,
+      message: schedule.emailMessage || "",
+    });
+  }
+  return list.concat(schedule.deliveryTargets || []);
+}
+
+/**
+ * Deliver a finished export to each of the schedule's targets.
+ *
+ * @param {Object} context   Azure Functions context (for logging)
+ * @param {Object} schedule
+ * @param {Object} run       { runId, startedAt, result, artifact, changes?, onTarget?, deadline? } —
+ *                           artifact is the blob name the run's file was kept
+ *                           under; changes is passed on to every target;
+ *                           onTarget(index, total, label) is called before
+ *                           each target, for the job's progress; deadline (ms
+ *                           since epoch) is when delivery has to be over
+ * @returns {Promise<Array<{ targetId, type, label, status, error, detail }>>}
+ *   status is "sent" or "failed"
+ */
+async function deliverAll(context, schedule, { runId, startedAt, result, artifact, changes = null, onTarget, deadline = Infinity }) {
+  const file = result.base64 && result.filename
+    ? { filename: result.filename, base64: result.base64, mimeType: result.mimeType }
+    : null;
+
+  // One link per run, however many targets ask for it.
+  let linkPromise = null;
+  const link = () => {
+    if (!linkPromise) {
+      linkPromise = (async () => {
+        if (!artifact) {
+          throw new Error(file
+            ? "The file could not be kept in storage, so there is no link to send"
+            : "This export produced no file to link to");
+        }
+        const expiresOn = new Date(Date.now() + linkTtlHours() * 3600 * 1000);
+        return { url: await artifacts.shareUrl(artifact, expiresOn), expiresAt: expiresOn.toISOString() };
+      })();
+    }
+    return linkPromise;
+  };
+
+  const delivery = { schedule, runId, startedAt, result, file, link, changes };
+  const outcomes = [];
+
+  const list = resolve(schedule);
+  for (const [i, target] of list.entries()) {
+    const def = getType(target.type);
+    const outcome = { targetId: target.id, type: target.type, label: target.label || target.type };
+    try {
+      if (Date.now() >= deadline) throw new Error("Not attempted — the run was out of time");
+      if (onTarget) await onTarget(i, list.length, outcome.label);
+      if (!def) throw new Error(`Unknown delivery type: ${target.type}`);
+      const plain = { ...target };
+      for (const field of def.secretFields) {
+        if (plain[field]) plain[field] = secrets.open(plain[field]);
+      }
+      const sent = await beforeDeadline(def.send(plain, delivery), deadline);
+      outcomes.push({ ...outcome, status: "sent", error: null, detail: sent?.detail || null });
+    } catch (err) {
+      const error = err?.message || String(err);
+      context.log.warn(`Delivery to ${outcome.label} failed for ${schedule.id}: ${error}`);
+      outcomes.push({ ...outcome, status: "failed", error, detail: null });
+    }
+  }
+  return outcomes;
+}
+
+/** `promise`, or a rejection once `deadline` has passed without it settling. */
+function beforeDeadline(promise, deadline) {
+  if (deadline === Infinity) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("Timed out — still sending when the run had to end")),
+      Math.max(0, deadline - Date.now()));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  CONFIGURABLE_TYPES,
+  getType,
+  prepareForSave,
+  redact,
+  resolve,
+  deliverAll,
+  linkTtlHours,
+};
@@ -0,0 +1,273 @@
+/**
+ * Documentation diff — what differs between two documentation workbooks.
+ *
+ * CommonJS TWIN of js/lib/docDiff.js, the browser original behind Export ›
+ * Documentation › Compare. `api_location: "api"` means js/ is not on disk at
+ * run time, so this is a copy rather than a require (see cronSchedule.js); the
+ * two differ only in how they import. Change them together — a scheduled
+ * compare and one made on the page must agree on what differs. dev/check-twins
+ * (run on every pull request) fails when the code of the two differs.
+ *
+ * Used by:
+ *   exports/documentationCompare.js   the scheduled compare
+ *
+ * Keys, id handling and the workbook layout are documented on the original.
+ */
+const XLSX = require("xlsx-js-style");
+const { addStyledSheet } = require("./excelStyles");
+
+const INDEX_SHEET = "Index";
+
+/** Key columns per sheet. Sheets not listed match on "Name", else their first column. */
+const SHEET_KEYS = {
+  "Agent Copilots":             ["Assistant Name"],
+  "Agent Copilots - Rules":     ["Assistant Name", "Rule ID"],
+  "DB Schemas":                 ["Table Name", "Property Name"],
+  "DID Numbers":                ["Number"],
+  "DID Pools":                  ["Start Phone Number", "End Phone Number"],
+  "Data Actions":               ["Category", "Name"],
+  "Email Addresses":            ["Email Address"],
+  "Email Domains":              ["Domain"],
+  "External Contacts - Schema": ["Entity", "Schema", "Field"],
+  "Flows":                      ["Type", "Name"],
+  "OAuth - CLIENT-CREDENTIALS": ["Name", "Role", "Division"],
+  "OAuth - CODE":               ["Name", "Scope"],
+  "OAuth - PASSWORD":           ["Name", "Scope"],
+  "OAuth - SAML2-BEARER":       ["Name", "Scope"],
+  "OAuth - TOKEN":              ["Name", "Scope"],
+  "OB - Contact List Filters":  ["Name", "Clause Number", "Predicate: Column"],
+  "OB - Settings":              ["Settings Name"],
+  "Roles":                      ["Name", "Domain", "Entity"],
+  "Routing - Messaging":        ["Name", "Type"],
+  "Sites":                      ["Site Name"],
+  "Sites - Number Plans":       ["Site Name", "Plan Name"],
+  "Sites - Outbound Routes":    ["Site Name", "Route Name"],
+  "User Prompts":               ["Prompt Name", "Language"],
+  "Users":                      ["Email"],
+  "Utilization":                ["Type", "Name"],
+  "WFM - Activity Codes":       ["Business Unit", "Name"],
+  "WFM - Management Units":     ["Business Unit", "Name"],
+};
+
+const SUMMARY_SHEET = "Summary";
+const SOURCES_SHEET = "Sources";
+const EMPTY = "(empty)";
+
+const MARK_FILLS = {
+  added:   { fgColor: { rgb: "C6EFCE" } },
+  removed: { fgColor: { rgb: "FFC7CE" } },
+  changed: { fgColor: { rgb: "FFEB9C" } },
+};
+
+/** "ID", "Queue ID", "Trunk IDs" — columns whose values differ between orgs by nature. */
+function isIdColumn(name) {
+  return /(^|\s)ids?$/i.test(String(name).trim());
+}
+
+/**
+ * The documentation sheets of a workbook:
+ * { <sheet>: { columns: [string], rows: [[value, …], …] } | { error: string } }.
+ * Plain JSON, so a scheduled compare can keep it as its previous run's snapshot.
+ */
+function readDocSheets(wb) {
+  const sheets = {};
+  for (const name of wb.SheetNames) {
+    if (name === INDEX_SHEET) continue;
+    const aoa = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: "" });
+    const first = String(aoa[0]?.[0] ?? "");
+    if (first.startsWith("ERROR:")) {
+      sheets[name] = { error: String(aoa[1]?.[0] ?? "") || "Not exported" };
+      continue;
+    }
+    const [columns = [], ...rows] = aoa;
+    sheets[name] = { columns: columns.map(String), rows };
+  }
+  return sheets;
+}
+
+/** The key columns of a sheet, as present in `columns`. */
+function keyColumns(sheetName, columns, { ignoreIds = false } = {}) {
+  const wanted = SHEET_KEYS[sheetName] || (columns.includes("Name") ? ["Name"] : columns.slice(0, 1));
+  return wanted.filter((c) => columns.includes(c) && !(ignoreIds && isIdColumn(c)));
+}
+
+function cellText(v) {
+  return v == null ? "" : String(v).trim();
+}
+
+/** Map of unique key → row object ({ column: text }), in sheet order. */
+function keyedRows(sheet, keyCols) {
+  const out = new Map();
+  const seen = new Map();
+  for (const raw of sheet.rows) {
+    const row = {};
+    sheet.columns.forEach((c, i) => { row[c] = cellText(raw[i]); });
+    const base = keyCols.map((c) => row[c]).join(" | ") || "(no key)";
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    out.set(n === 1 ? base : `${base} #${n}`, row);
+  }
+  return out;
+}
+
+function compareSheet(name, before, after, ignoreIds) {
+  const columns = [...before.columns, ...after.columns.filter((c) => !before.columns.includes(c))];
+  const shared = columns.filter((c) => before.columns.includes(c) && after.columns.includes(c));
+  const compared = shared.filter((c) => !(ignoreIds && isIdColumn(c)));
+  const key = keyColumns(name, shared, { ignoreIds });
+  const a = keyedRows(before, key);
+  const b = keyedRows(after, key);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const [k, row] of b) {
+    if (!a.has(k)) added.push({ key: k, row });
+  }
+  for (const [k, row] of a) {
+    if (!b.has(k)) { removed.push({ key: k, row }); continue; }
+    const next = b.get(k);
+    const cells = compared.filter((c) => (row[c] ?? "") !== (next[c] ?? ""));
+    if (cells.length) changed.push({ key: k, before: row, after: next, cells });
+    else unchanged++;
+  }
+
+  const byKey = (x, y) => x.key.localeCompare(y.key, undefined, { sensitivity: "base" });
+  return {
+    name,
+    status: "compared",
+    onlyIn: null,
+    key,
+    columns,
+    columnsAdded: after.columns.filter((c) => !before.columns.includes(c)),
+    columnsRemoved: before.columns.filter((c) => !after.columns.includes(c)),
+    added: added.sort(byKey),
+    removed: removed.sort(byKey),
+    changed: changed.sort(byKey),
+    unchanged,
+  };
+}
+
+/**
+ * Compare two readDocSheets results.
+ *
+ * @param {Object} before   the older snapshot, or the reference org's
+ * @param {Object} after    the newer snapshot, or the org under review
+ * @param {{ ignoreIds?: boolean }} [options]
+ * @returns {{ sheets: Object[], totals: { added: number, removed: number, changed: number, errors: number } }}
+ *          sheets in name order; status "compared", or "error" with the side(s) that could not be read
+ */
+function compareDocs(before, after, { ignoreIds = false } = {}) {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .sort((x, y) => x.localeCompare(y, undefined, { sensitivity: "base" }));
+  const sheets = names.map((name) => {
+    const a = before[name];
+    const b = after[name];
+    if (a?.error || b?.error) {
+      return { name, status: "error", errorBefore: a?.error || null, errorAfter: b?.error || null };
+    }
+    // Absent is empty: the export leaves out a sheet with no rows.
+    if (!a) return { ...compareSheet(name, { columns: b.columns, rows: [] }, b, ignoreIds), onlyIn: "after" };
+    if (!b) return { ...compareSheet(name, a, { columns: a.columns, rows: [] }, ignoreIds), onlyIn: "before" };
+    return compareSheet(name, a, b, ignoreIds);
+  });
+
+  const totals = { added: 0, removed: 0, changed: 0, errors: 0 };
+  for (const s of sheets) {
+    if (s.status === "error") { totals.errors++; continue; }
+    totals.added += s.added.length;
+    totals.removed += s.removed.length;
+    totals.changed += s.changed.length;
+  }
+  return { sheets, totals };
+}
+
+/** One line for a run summary or a status bar. */
+function summaryText(diff) {
+  const { added, removed, changed, errors } = diff.totals;
+  const differing = diff.sheets.filter((s) => s.status === "compared" &&
+    (s.added.length || s.removed.length || s.changed.length)).length;
+  if (!added && !removed && !changed) {
+    return `No differences in ${diff.sheets.length - errors} sheets` +
+      (errors ? ` (${errors} could not be compared)` : "");
+  }
+  return `${added} added, ${removed} removed, ${changed} changed across ${differing} sheet${differing === 1 ? "" : "s"}` +
+    (errors ? ` (${errors} could not be compared)` : "");
+}
+
+function sheetNote(s, labels) {
+  if (s.status === "error") {
+    return [
+      s.errorBefore ? `Not exported in ${labels.before}: ${s.errorBefore}` : "",
+      s.errorAfter ? `Not exported in ${labels.after}: ${s.errorAfter}` : "",
+    ].filter(Boolean).join("; ");
+  }
+  return [
+    s.onlyIn ? `No rows in ${s.onlyIn === "after" ? labels.before : labels.after}` : "",
+    s.columnsAdded.length ? `Columns only in ${labels.after}: ${s.columnsAdded.join(", ")}` : "",
+    s.columnsRemoved.length ? `Columns only in ${labels.before}: ${s.columnsRemoved.join(", ")}` : "",
+  ].filter(Boolean).join("; ");
+}
+
+function markCells(ws, marks) {
+  for (const { r, c, kind } of marks) {
+    const cell = ws[XLSX.utils.encode_cell({ r, c })];
+    if (cell) cell.s = { ...cell.s, fill: MARK_FILLS[kind] };
+  }
+}
+
+/**
+ * The diff as a workbook: a Summary sheet (one row per sheet compared), a
+ * Sources sheet naming the two sides, and one sheet per documentation sheet
+ * that differs. In those, each row is Added (green), Removed (red) or Changed,
+ * a changed row showing "old → new" in the yellow cells that differ. Columns
+ * only one side has are shown, blank for the other side's rows.
+ *
+ * @param {Object} diff     compareDocs result
+ * @param {{ before: string, after: string }} labels   what the two sides were
+ */
+function buildDiffWorkbook(diff, labels) {
+  const wb = XLSX.utils.book_new();
+
+  addStyledSheet(wb, [
+    ["Sheet", "Matched On", "Added", "Removed", "Changed", "Unchanged", "Note"],
+    ...diff.sheets.map((s) => s.status === "error"
+      ? [s.name, "", "", "", "", "", sheetNote(s, labels)]
+      : [s.name, s.key.join(" + "), s.added.length, s.removed.length, s.changed.length, s.unchanged, sheetNote(s, labels)]),
+  ], SUMMARY_SHEET);
+  addStyledSheet(wb, [
+    ["Side", "Documentation"],
+    ["Before", labels.before],
+    ["After", labels.after],
+  ], SOURCES_SHEET);
+
+  for (const s of diff.sheets) {
+    if (s.status !== "compared" || !(s.added.length || s.removed.length || s.changed.length)) continue;
+    const data = [["Change", ...s.columns]];
+    const marks = [];
+    const push = (change, values, kind, cells) => {
+      const r = data.length;
+      data.push([change, ...values]);
+      s.columns.forEach((c, i) => {
+        if (cells.includes(c)) marks.push({ r, c: i + 1, kind });
+      });
+      marks.push({ r, c: 0, kind });
+    };
+    for (const { row } of s.added) push("Added", s.columns.map((c) => row[c] ?? ""), "added", s.columns);
+    for (const { row } of s.removed) push("Removed", s.columns.map((c) => row[c] ?? ""), "removed", s.columns);
+    for (const { before, after, cells } of s.changed) {
+      push("Changed", s.columns.map((c) => cells.includes(c)
+        ? `${before[c] || EMPTY} → ${after[c] || EMPTY}`
+        : after[c] ?? before[c] ?? ""), "changed", cells);
+    }
+    addStyledSheet(wb, data, s.name);
+    markCells(wb.Sheets[s.name], marks);
+  }
+  return wb;
+}
+
+module.exports = {
+  INDEX_SHEET, SHEET_KEYS,
+  isIdColumn, readDocSheets, keyColumns, compareDocs, summaryText, buildDiffWorkbook,
+};
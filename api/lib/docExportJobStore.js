@@ -0,0 +1,237 @@
+/**
+ * Doc Export Job Store — interactive documentation exports as jobs (Azure Table
+ * Storage), with their per-sheet progress.
+ *
+ * A documentation export used to be one POST held open until the workbook was
+ * built, minutes for a large org, with nothing to show in between. It is now a
+ * job (api/doc-export):
+ *
+ *   queued      created, with the sheets asked for
+ *   running     a run request is exporting it — `sheets` fills in as each
+ *               sheet's fetch settles, `dataTables` once its step starts
+ *   done | failed | cancelled   finished; a done job's file is in Blob Storage
+ *
+ * Table: "docexportjobs"
+ * PartitionKey: "job"
+ * RowKey: jobId (UUID)
+ *
+ * Cancelling sets `cancelRequested`; the run reads it back while it works and
+ * stops. Progress is merged into the row without touching that flag, so a
+ * progress write never undoes a cancel. A job still "running" past `leaseUntil`
+ * belongs to an invocation that died (functionTimeout is 10 minutes) and reads
+ * as failed.
+ *
+ * The file goes to the "export-artifacts" container (exportArtifactStore.js)
+ * under doc-export/<jobId>/<filename> — a workbook is well past what an entity
+ * holds. Jobs and their files are purged after JOB_TTL_HOURS.
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING
+ */
+const { TableClient } = require("@azure/data-tables");
+const crypto = require("crypto");
+const artifacts = require("./exportArtifactStore");
+
+const TABLE_NAME     = "docexportjobs";
+const LEASE_MS       = 11 * 60 * 1000;
+const JOB_TTL_HOURS  = 24;
+const ARTIFACT_SCOPE = "doc-export";
+const ACTIVE         = ["queued", "running"];
+
+let _client = null;
+let _tableEnsured = false;
+
+function getClient() {
+  if (!_client) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _client = TableClient.fromConnectionString(connStr, TABLE_NAME);
+  }
+  return _client;
+}
+
+async function ensureTable() {
+  if (_tableEnsured) return;
+  try {
+    await getClient().createTable();
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+  }
+  _tableEnsured = true;
+}
+
+function safeParse(str, fallback) {
+  try { return str ? JSON.parse(str) : fallback; } catch { return fallback; }
+}
+
+// ── Entity ↔ Job mapping ────────────────────────────────
+// `selected`, `sheets` and `dataTables` are stored as JSON strings.
+
+function entityToJob(e) {
+  const job = {
+    jobId:             e.rowKey,
+    orgId:             e.orgId,
+    orgName:           e.orgName || "",
+    selected:          safeParse(e.selected, []),      // sheet names asked for
+    includeDataTables: e.includeDataTables === true,
+    output:            e.output || "workbook",        // "workbook" | "site"
+    status:            e.status || "queued",
+    cancelRequested:   e.cancelRequested === true,
+    sheets:            safeParse(e.sheets, {}),        // name → { status, rows?, error?, httpStatus? }
+    dataTables:        safeParse(e.dataTables, null),  // { status, tables?, error? }
+    summary:           e.summary || "",
+    error:             e.error || null,
+    artifact:          e.artifact || null,             // blob name of the file
+    filename:          e.filename || null,
+    mimeType:          e.mimeType || null,
+    createdAt:         e.createdAt,
+    startedAt:         e.startedAt || null,
+    updatedAt:         e.updatedAt || e.createdAt,
+    finishedAt:        e.finishedAt || null,
+    leaseUntil:        e.leaseUntil || null,
+    _etag:             e.etag,
+  };
+  if (job.status === "running" && Date.parse(job.leaseUntil) <= Date.now()) {
+    job.status = "failed";
+    job.error = "The export stopped without finishing — it ran out of time or its worker was restarted";
+  }
+  return job;
+}
+
+/** Only the fields given — a Merge write leaves the rest of the row alone. */
+function patchToEntity(jobId, patch) {
+  const e = { partitionKey: "job", rowKey: jobId };
+  for (const [k, v] of Object.entries(patch)) {
+    if (k === "selected" || k === "sheets" || k === "dataTables") e[k] = JSON.stringify(v);
+    else if (k === "summary" || k === "error") e[k] = String(v || "").slice(0, 2000);
+    else e[k] = v == null ? "" : v;
+  }
+  return e;
+}
+
+/** True while the job is waiting to run or running. */
+function isActive(job) {
+  return !!job && ACTIVE.includes(job.status);
+}
+
+// ── Operations ──────────────────────────────────────────
+
+async function get(jobId) {
+  await ensureTable();
+  try {
+    return entityToJob(await getClient().getEntity("job", jobId));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * @param {{ orgId, orgName, selected: string[], includeDataTables: boolean, output: string }} fields
+ * @returns {Promise<Object>} the queued job
+ */
+async function create({ orgId, orgName, selected, includeDataTables, output }) {
+  await ensureTable();
+  const jobId = crypto.randomUUID();
+  const now = new Date().toISOString();
+  await getClient().createEntity(patchToEntity(jobId, {
+    orgId, orgName, selected, includeDataTables, output,
+    status: "queued", cancelRequested: false,
+    sheets: {}, createdAt: now, updatedAt: now,
+  }));
+  return get(jobId);
+}
+
+/**
+ * Move a queued job to running. Null when it is not queued any more — already
+ * started by another run request, or cancelled before it began.
+ */
+async function start(jobId) {
+  const current = await get(jobId);
+  if (!current || current.status !== "queued" || current.cancelRequested) return null;
+  const now = new Date();
+  try {
+    await getClient().updateEntity(patchToEntity(jobId, {
+      status: "running",
+      startedAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      leaseUntil: new Date(now.getTime() + LEASE_MS).toISOString(),
+    }), "Merge", { etag: current._etag });
+  } catch (err) {
+    if (err.statusCode === 412) return null; // another run request won
+    throw err;
+  }
+  return get(jobId);
+}
+
+/** Record progress, or the end of the job when `patch.status` is final. */
+async function update(jobId, patch) {
+  const now = new Date().toISOString();
+  const fields = { ...patch, updatedAt: now };
+  if (patch.status && !ACTIVE.includes(patch.status)) {
+    fields.finishedAt = now;
+    fields.leaseUntil = "";
+  }
+  await getClient().updateEntity(patchToEntity(jobId, fields), "Merge");
+}
+
+/**
+ * Ask a job to stop. A queued job is cancelled on the spot; a running one when
+ * its run next looks. Null when the job has already finished.
+ */
+async function requestCancel(jobId) {
+  const current = await get(jobId);
+  if (!isActive(current)) return null;
+  if (current.status === "queued") {
+    await update(jobId, { status: "cancelled", cancelRequested: true });
+  } else {
+    await getClient().updateEntity(patchToEntity(jobId, { cancelRequested: true }), "Merge");
+  }
+  return get(jobId);
+}
+
+/** Store the finished file and mark the job done. */
+async function finish(jobId, result) {
+  const { name } = await artifacts.save(ARTIFACT_SCOPE, jobId, result);
+  await update(jobId, {
+    status: "done",
+    summary: result.summary,
+    artifact: name,
+    filename: result.filename,
+    mimeType: result.mimeType,
+  });
+}
+
+/** @returns {Promise<string|null>} the finished file as base64 */
+async function loadFile(job) {
+  return job?.artifact ? artifacts.load(job.artifact) : null;
+}
+
+/**
+ * Delete jobs created more than JOB_TTL_HOURS ago, with their files — a queued
+ * one too: its page was closed before it ran. Running jobs are left to finish.
+ * @returns {Promise<number>} jobs deleted
+ */
+async function purgeOld() {
+  await ensureTable();
+  const cutoff = new Date(Date.now() - JOB_TTL_HOURS * 3600 * 1000).toISOString();
+  const iter = getClient().listEntities({
+    queryOptions: { filter: `PartitionKey eq 'job' and createdAt lt '${cutoff}'` },
+  });
+  let deleted = 0;
+  for await (const entity of iter) {
+    const job = entityToJob(entity);
+    if (job.status === "running") continue; // a stale one reads as failed
+    if (job.artifact) await artifacts.remove(job.artifact);
+    await getClient().deleteEntity("job", job.jobId);
+    deleted++;
+  }
+  return deleted;
+}
+
+module.exports = { get, create, start, update, requestCancel, finish, loadFile, purgeOld, isActive, JOB_TTL_HOURS };
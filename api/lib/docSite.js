@@ -0,0 +1,504 @@
+"use strict";
+/**
+ * Documentation site — the documentation export as a browsable HTML site.
+ *
+ * The workbook suits us; a customer handed it at handover has 52 tabs of rows
+ * and no way to get from a queue to the flow it runs. The site is the same
+ * rows, from the same fetchers (exports/documentation.js, exportConfig.output
+ * "site"), as static pages in a zip that opens from disk with no server:
+ *
+ *   index.html                 every object type, with its description and count
+ *   <type>/index.html          the type's sheet as one table
+ *   <type>/<object>.html       one object: its fields, what it links to, and
+ *                              what links to it
+ *   assets/site.css            screen and print styles
+ *   assets/search.js           the search box on every page, over
+ *   assets/search-index.js     every object's title — a script, not JSON, since
+ *                              a browser will not fetch() a file:// URL
+ *
+ * An object is the rows of a sheet that share its key (PAGES): one row for a
+ * queue, one per scope for an OAuth client, one per property for a DB schema.
+ *
+ * Objects link to each other two ways:
+ *   - cells that name another object (LINKS) — a queue's in-queue flow, a
+ *     schedule group's schedules — matched on that object's title;
+ *   - relations the caller read for the site alone, which no sheet holds — a
+ *     queue's wrap-up codes and members, the data tables a flow uses — passed
+ *     as edges and shown on both ends.
+ * A name that matches nothing (its sheet not exported, or the object deleted)
+ * stays plain text.
+ */
+const JSZip = require("jszip");
+
+/**
+ * Per sheet, the columns that identify an object and the ones that title it.
+ * Sheets not listed key on their first "… ID" column and are titled by "Name";
+ * lacking either, the first column does.
+ */
+const PAGES = {
+  "DID Pools":                { title: ["Start Phone Number", "End Phone Number"] },
+  "External Contacts - Schema": { key: ["Entity", "Schema"], title: ["Schema"] },
+  "Flows":                    { key: ["Type", "Name"] },
+  "Sites - Number Plans":     { key: ["Site Name", "Plan Name"], title: ["Plan Name"] },
+  "Sites - Outbound Routes":  { title: ["Route Name"] },
+  "OB - Settings":            { title: ["Settings Name"] },
+  "Utilization":              { key: ["Type", "Name"] },
+  // Default activity codes have the same ids in every business unit.
+  "WFM - Activity Codes":     { key: ["Business Unit", "ID"] },
+};
+
+/** Per sheet, the columns naming an object of another type. */
+const LINKS = {
+  "Agent Copilots":         { "Queue Name": "Queues" },
+  "Agent Copilots - Rules": { "Assistant Name": "Agent Copilots" },
+  "DB Schemas":             { "Table Name": "Data Tables" },
+  "Email Addresses":        { "Domain": "Email Domains", "Queue": "Queues", "Flow": "Flows", "Spam Flow": "Flows" },
+  "Messenger Deployments":  { "Configuration Name": "Messenger Configurations", "Flow Name": "Flows" },
+  "OB - Campaigns": {
+    "Contact List": "OB - Contact Lists", "Queue": "Queues", "Site": "Sites",
+    "Call Analysis Response Set": "OB - Call Analysis", "Contact List Filters": "OB - Contact List Filters",
+  },
+  "OB - Contact List Filters": { "Contact List": "OB - Contact Lists" },
+  "Policies":               { "Target Queues": "Queues", "Target Users": "Users", "Target Wrapup Codes": "Wrapup Codes" },
+  "Queues": {
+    "In Queue Flow": "Flows", "Email In Queue Flow": "Flows", "Message In Queue Flow": "Flows",
+    "Whisper Prompt": "User Prompts", "On Hold Prompt": "User Prompts",
+  },
+  "Routing - Calls": {
+    "Open Hours Flow": "Flows", "Closed Hours Flow": "Flows", "Holiday Hours Flow": "Flows",
+    "Schedule Group": "Schedule Groups",
+  },
+  "Routing - Messaging":    { "Flow": "Flows" },
+  "Schedule Groups":        { "Open Schedules": "Schedules", "Closed Schedules": "Schedules", "Holiday Schedules": "Schedules" },
+  "Sites - Number Plans":   { "Site Name": "Sites" },
+  "Speech - Programs":      { "Topics": "Speech - Topics" },
+  "Sites - Outbound Routes": { "Site Name": "Sites" },
+  "Triggers":               { "Flow Name": "Flows" },
+  "Trunks":                 { "Site": "Sites" },
+  "WFM - Activity Codes":   { "Business Unit": "WFM - Business Units" },
+  "WFM - Management Units": { "Business Unit": "WFM - Business Units" },
+};
+
+const INDEX = "index.html";
+
+/** The most ", "-separated pieces one name is looked for across. */
+const MAX_NAME_PIECES = 4;
+
+function esc(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+/** "OB - Contact Lists" → "ob-contact-lists". Never empty. */
+function slug(s) {
+  return String(s).toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 60) || "item";
+}
+
+function uniqueSlug(s, used) {
+  const base = slug(s);
+  let name = base;
+  for (let n = 2; used.has(name); n++) name = `${base}-${n}`;
+  used.add(name);
+  return name;
+}
+
+/** Column indices of `names` that `headers` has. */
+function columns(headers, names) {
+  return names.map((n) => headers.indexOf(n)).filter((i) => i >= 0);
+}
+
+function keyColumns(sheet, headers) {
+  const listed = PAGES[sheet]?.key && columns(headers, PAGES[sheet].key);
+  if (listed?.length) return listed;
+  const id = headers.findIndex((h) => /(^|\s)id$/i.test(String(h).trim()));
+  return id >= 0 ? [id] : titleColumns(sheet, headers);
+}
+
+function titleColumns(sheet, headers) {
+  const listed = PAGES[sheet]?.title && columns(headers, PAGES[sheet].title);
+  if (listed?.length) return listed;
+  const name = headers.indexOf("Name");
+  return [name >= 0 ? name : 0];
+}
+
+const cellText = (v) => (v == null ? "" : String(v));
+
+// ── Model ────────────────────────────────────────────────
+
+/**
+ * Objects per sheet, and lookups by key and by title.
+ * @returns {{ types: Object[], byKey: Map, byTitle: Map }}
+ */
+function buildModel(sheets) {
+  const usedTypes = new Set(["assets"]);
+  const types = [];
+  const byKey = new Map();   // "<sheet>\u0000<key>" → object
+  const byTitle = new Map(); // "<sheet>\u0000<title, lower case>" → first object so titled
+
+  const names = Object.keys(sheets).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+  for (const sheet of names) {
+    const data = sheets[sheet];
+    const type = { sheet, dir: uniqueSlug(sheet, usedTypes), error: data.error || null, headers: [], rows: [], objects: [] };
+    types.push(type);
+    if (data.error) continue;
+
+    type.headers = data.headers.map(String);
+    const keyCols = keyColumns(sheet, type.headers);
+    const titleCols = titleColumns(sheet, type.headers);
+    const titleOf = (row) => titleCols.map((i) => cellText(row[i])).join(" ");
+    type.rows = data.rows.slice().sort((a, b) => titleOf(a).localeCompare(titleOf(b), undefined, { sensitivity: "base" }));
+    const usedFiles = new Set(["index"]);
+
+    type.rowObjects = type.rows.map((row) => {
+      const key = keyCols.map((i) => cellText(row[i])).join(" / ");
+      let obj = byKey.get(`${sheet}\u0000${key}`);
+      if (!obj) {
+        const title = titleCols.map((i) => cellText(row[i])).filter(Boolean).join(" – ") || key || "(unnamed)";
+        obj = {
+          type, key, title,
+          file: `${uniqueSlug(title, usedFiles)}.html`,
+          rows: [], related: new Map(), referencedBy: [],
+        };
+        type.objects.push(obj);
+        byKey.set(`${sheet}\u0000${key}`, obj);
+        const t = `${sheet}\u0000${title.toLowerCase()}`;
+        if (!byTitle.has(t)) byTitle.set(t, obj);
+      }
+      obj.rows.push(row);
+      return obj;
+    });
+  }
+  return { types, byKey, byTitle };
+}
+
+/** The object a ref names — { sheet, key } or { sheet, name } — or null. */
+function resolve(model, ref) {
+  if (ref.key != null) {
+    const obj = model.byKey.get(`${ref.sheet}\u0000${ref.key}`);
+    if (obj) return obj;
+  }
+  return ref.name ? model.byTitle.get(`${ref.sheet}\u0000${String(ref.name).toLowerCase()}`) || null : null;
+}
+
+/**
+ * The parts of a linking cell: [{ text, obj }], obj null where nothing matches.
+ * A value naming one object is one part; otherwise it is split where joinArr
+ * joined it, taking the longest run of pieces that names an object — a
+ * schedule called "Sat, Sun" among others is still one link.
+ */
+function cellParts(model, target, value) {
+  const text = cellText(value);
+  if (!text) return [];
+  const whole = resolve(model, { sheet: target, name: text });
+  if (whole || !text.includes(", ")) return [{ text, obj: whole }];
+  const pieces = text.split(", ");
+  const parts = [];
+  for (let i = 0; i < pieces.length;) {
+    let end = Math.min(pieces.length, i + MAX_NAME_PIECES);
+    let obj = null;
+    for (; end > i; end--) {
+      obj = resolve(model, { sheet: target, name: pieces.slice(i, end).join(", ") });
+      if (obj) break;
+    }
+    if (!obj) end = i + 1;
+    parts.push({ text: pieces.slice(i, end).join(", "), obj });
+    i = end;
+  }
+  return parts;
+}
+
+/** Record every cell link and relation edge on the objects at both ends. */
+function connect(model, relations) {
+  for (const type of model.types) {
+    const links = LINKS[type.sheet];
+    if (!links) continue;
+    for (const [column, target] of Object.entries(links)) {
+      const i = type.headers.indexOf(column);
+      if (i < 0) continue;
+      type.rows.forEach((row, r) => {
+        const from = type.rowObjects[r];
+        for (const { obj } of cellParts(model, target, row[i])) {
+          if (obj && obj !== from && !obj.referencedBy.some((b) => b.obj === from && b.column === column)) {
+            obj.referencedBy.push({ obj: from, column });
+          }
+        }
+      });
+    }
+  }
+
+  const add = (obj, label, entry) => {
+    if (!obj.related.has(label)) obj.related.set(label, []);
+    const list = obj.related.get(label);
+    if (!list.some((e) => (e.obj ? e.obj === entry.obj : e.text === entry.text))) list.push(entry);
+  };
+  for (const edge of relations) {
+    const from = resolve(model, edge.from);
+    const to = resolve(model, edge.to);
+    if (from) add(from, edge.label, { obj: to, text: edge.to.name || edge.to.key });
+    if (to && edge.back) add(to, edge.back, { obj: from, text: edge.from.name || edge.from.key });
+  }
+}
+
+// ── Rendering ────────────────────────────────────────────
+
+/** Link from a page `depth` folders down to an object (or its type page). */
+function href(depth, obj) {
+  return `${"../".repeat(depth)}${obj.type.dir}/${obj.file}`;
+}
+
+function objLink(depth, obj, text) {
+  return obj ? `<a href="${esc(href(depth, obj))}">${esc(text ?? obj.title)}</a>` : esc(text);
+}
+
+function cellHtml(model, sheet, column, value, depth) {
+  const target = LINKS[sheet]?.[column];
+  if (!target) return esc(cellText(value));
+  return cellParts(model, target, value).map((p) => objLink(depth, p.obj, p.text)).join(", ");
+}
+
+function rowsTable(model, type, rows, depth, linkTitle) {
+  const titleCols = new Set(titleColumns(type.sheet, type.headers));
+  const head = type.headers.map((h) => `<th>${esc(h)}</th>`).join("");
+  const body = rows.map(({ row, obj }) => `<tr>${type.headers.map((h, i) => {
+    const html = linkTitle && titleCols.has(i) ? objLink(depth, obj, cellText(row[i]) || obj.title) : cellHtml(model, type.sheet, h, row[i], depth);
+    return `<td>${html}</td>`;
+  }).join("")}</tr>`).join("");
+  return `<div class="scroll"><table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table></div>`;
+}
+
+function page({ title, depth, crumbs, body, meta }) {
+  const up = "../".repeat(depth);
+  const trail = crumbs.map(([text, link]) => (link ? `<a href="${esc(link)}">${esc(text)}</a>` : esc(text))).join(" › ");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${esc(title)} — ${esc(meta.orgName)}</title>
+<link rel="stylesheet" href="${up}assets/site.css">
+</head>
+<body data-root="${up}">
+<header>
+  <div class="org">${esc(meta.orgName)} — configuration documentation</div>
+  <div class="search">
+    <input type="search" id="search" placeholder="Search objects…" autocomplete="off" aria-label="Search objects">
+    <ul id="search-results"></ul>
+  </div>
+</header>
+<nav class="crumbs">${trail}</nav>
+<main>
+<h1>${esc(title)}</h1>
+${body}
+</main>
+<footer>Generated ${esc(meta.generatedAt)}</footer>
+<script src="${up}assets/search-index.js"></script>
+<script src="${up}assets/search.js"></script>
+</body>
+</html>
+`;
+}
+
+function indexPage(model, meta, descriptions) {
+  const rows = model.types.map((type) => {
+    const status = type.error ? `<span class="error">Not exported: ${esc(type.error)}</span>`
+      : type.objects.length ? String(type.objects.length)
+      : "None";
+    return `<tr><td><a href="${esc(type.dir)}/${INDEX}">${esc(type.sheet)}</a></td>` +
+      `<td>${esc(descriptions[type.sheet] || "")}</td><td class="num">${status}</td></tr>`;
+  }).join("");
+  return page({
+    title: "Contents", depth: 0, meta, crumbs: [["Contents"]],
+    body: `<p class="lede">Generated ${esc(meta.generatedAt)}. Every object is on its own page, linked to the objects it uses and the ones that use it.</p>
+<table class="contents"><thead><tr><th>Object type</th><th>Description</th><th class="num">Objects</th></tr></thead><tbody>${rows}</tbody></table>`,
+  });
+}
+
+function typePage(model, type, meta, descriptions) {
+  let body = descriptions[type.sheet] ? `<p class="lede">${esc(descriptions[type.sheet])}</p>` : "";
+  if (type.error) {
+    body += `<p class="error">Not exported: ${esc(type.error)}</p>`;
+  } else if (!type.rows.length) {
+    body += "<p>None configured.</p>";
+  } else {
+    body += `<p>${type.objects.length} object${type.objects.length !== 1 ? "s" : ""}.</p>`;
+    body += rowsTable(model, type, type.rows.map((row, r) => ({ row, obj: type.rowObjects[r] })), 1, true);
+  }
+  return page({
+    title: type.sheet, depth: 1, meta,
+    crumbs: [["Contents", `../${INDEX}`], [type.sheet]],
+    body,
+  });
+}
+
+function objectPage(model, obj, meta, details) {
+  const { type } = obj;
+  let body;
+  if (obj.rows.length === 1) {
+    const [row] = obj.rows;
+    body = `<table class="fields"><tbody>${type.headers.map((h, i) =>
+      `<tr><th>${esc(h)}</th><td>${cellHtml(model, type.sheet, h, row[i], 1)}</td></tr>`).join("")}</tbody></table>`;
+  } else {
+    body = rowsTable(model, type, obj.rows.map((row) => ({ row, obj })), 1, false);
+  }
+
+  for (const [label, entries] of obj.related) {
+    const items = entries
+      .slice().sort((a, b) => String(a.obj?.title ?? a.text).localeCompare(String(b.obj?.title ?? b.text), undefined, { sensitivity: "base" }))
+      .map((e) => `<li>${objLink(1, e.obj, e.obj ? undefined : e.text)}</li>`).join("");
+    body += `<h2>${esc(label)}</h2><ul class="related">${items}</ul>`;
+  }
+
+  if (obj.referencedBy.length) {
+    const items = obj.referencedBy.map((b) =>
+      `<li>${esc(b.obj.type.sheet)}: ${objLink(1, b.obj)} <span class="via">(${esc(b.column)})</span></li>`).join("");
+    body += `<h2>Referenced by</h2><ul class="related">${items}</ul>`;
+  }
+
+  for (const d of details?.[type.sheet]?.[obj.key] || []) {
+    body += `<h2>${esc(d.title)}</h2>`;
+    body += d.rows.length
+      ? `<div class="scroll"><table><thead><tr>${d.headers.map((h) => `<th>${esc(h)}</th>`).join("")}</tr></thead>` +
+        `<tbody>${d.rows.map((row) => `<tr>${d.headers.map((h, i) => `<td>${esc(cellText(row[i]))}</td>`).join("")}</tr>`).join("")}</tbody></table></div>`
+      : "<p>None.</p>";
+  }
+
+  return page({
+    title: obj.title, depth: 1, meta,
+    crumbs: [["Contents", `../${INDEX}`], [type.sheet, INDEX], [obj.title]],
+    body,
+  });
+}
+
+const CSS = `*{box-sizing:border-box}
+body{margin:0;font:14px/1.45 -apple-system,"Segoe UI",Roboto,Helvetica,Arial,sans-serif;color:#1f2937;background:#fff}
+header{display:flex;align-items:center;justify-content:space-between;gap:16px;padding:10px 24px;background:#1e3a5f;color:#fff}
+header .org{font-weight:600}
+.search{position:relative;width:320px}
+.search input{width:100%;padding:6px 10px;border:0;border-radius:4px;font:inherit}
+#search-results{position:absolute;right:0;left:0;z-index:10;margin:2px 0 0;padding:0;list-style:none;background:#fff;border:1px solid #cbd5e1;border-radius:4px;max-height:60vh;overflow:auto;box-shadow:0 4px 12px rgba(0,0,0,.15)}
+#search-results:empty{display:none}
+#search-results li a{display:block;padding:5px 10px;color:#1f2937;text-decoration:none}
+#search-results li a:hover,#search-results li a:focus{background:#e0ecf8}
+#search-results .kind{color:#64748b;font-size:12px;margin-left:6px}
+.crumbs{padding:8px 24px;font-size:13px;color:#64748b;border-bottom:1px solid #e2e8f0}
+main{padding:8px 24px 24px}
+h1{font-size:22px;margin:12px 0}
+h2{font-size:16px;margin:20px 0 8px}
+a{color:#1d4ed8}
+.lede{color:#475569}
+.scroll{overflow-x:auto}
+table{border-collapse:collapse;font-size:13px}
+th,td{border:1px solid #e2e8f0;padding:4px 8px;text-align:left;vertical-align:top}
+thead th{background:#f1f5f9;position:sticky;top:0}
+table.fields th{background:#f8fafc;width:220px;font-weight:600}
+.num{text-align:right}
+.error{color:#b91c1c}
+.via{color:#64748b;font-size:12px}
+ul.related{margin:0;padding-left:20px;columns:3 240px}
+footer{padding:12px 24px;color:#94a3b8;font-size:12px;border-top:1px solid #e2e8f0}
+@media print{
+  @page{size:A4 landscape;margin:12mm}
+  body{font-size:10pt}
+  header,.crumbs{display:none}
+  main{padding:0}
+  a{color:inherit;text-decoration:none}
+  .scroll{overflow:visible}
+  table{font-size:8.5pt;width:100%}
+  thead{display:table-header-group}
+  thead th{position:static}
+  tr,li{break-inside:avoid}
+  h2{break-after:avoid}
+  ul.related{columns:2}
+}
+`;
+
+const SEARCH_JS = `(function () {
+  var input = document.getElementById("search");
+  var list = document.getElementById("search-results");
+  var root = document.body.getAttribute("data-root") || "";
+  var index = window.DOC_SEARCH || [];
+  input.addEventListener("input", function () {
+    var q = input.value.trim().toLowerCase();
+    list.innerHTML = "";
+    if (!q) return;
+    var hits = [];
+    for (var i = 0; i < index.length && hits.length < 50; i++) {
+      if (index[i][0].toLowerCase().indexOf(q) !== -1) hits.push(index[i]);
+    }
+    hits.forEach(function (hit) {
+      var li = document.createElement("li");
+      var a = document.createElement("a");
+      a.href = root + hit[2];
+      a.textContent = hit[0];
+      var kind = document.createElement("span");
+      kind.className = "kind";
+      kind.textContent = hit[1];
+      a.appendChild(kind);
+      li.appendChild(a);
+      list.appendChild(li);
+    });
+    if (!hits.length) {
+      var none = document.createElement("li");
+      none.textContent = "No matches";
+      none.style.padding = "5px 10px";
+      list.appendChild(none);
+    }
+  });
+  input.addEventListener("keydown", function (e) {
+    if (e.key === "Escape") { input.value = ""; list.innerHTML = ""; }
+    if (e.key === "Enter" && list.querySelector("a")) list.querySelector("a").click();
+  });
+})();
+`;
+
+// ── Entry point ──────────────────────────────────────────
+
+/**
+ * Build the site as a zip, everything under one folder.
+ *
+ * @param {Object} opts
+ * @param {string} opts.folder        the folder in the zip, e.g. "Documentation_Acme_20261019"
+ * @param {string} opts.orgName
+ * @param {string} opts.generatedAt   shown on every page
+ * @param {Object} opts.sheets        { <sheet>: { headers, rows } | { error } } — empty sheets included
+ * @param {Object} [opts.descriptions]  { <sheet>: string } for the contents and type pages
+ * @param {Object[]} [opts.relations] [{ from, to, label, back? }] — from/to are
+ *                                    { sheet, key } or { sheet, name }; label heads
+ *                                    the list on `from`'s page, back the one on `to`'s
+ * @param {Object} [opts.details]     { <sheet>: { <key>: [{ title, headers, rows }] } } —
+ *                                    extra tables for an object's page
+ * @returns {Promise<{ buffer: Buffer, pages: number }>}
+ */
+async function buildSite({ folder, orgName, generatedAt, sheets, descriptions = {}, relations = [], details = {} }) {
+  const model = buildModel(sheets);
+  connect(model, relations);
+
+  const meta = { orgName, generatedAt };
+  const zip = new JSZip();
+  const dir = zip.folder(folder);
+  let pages = 1;
+
+  dir.file(INDEX, indexPage(model, meta, descriptions));
+  const search = [];
+  for (const type of model.types) {
+    dir.file(`${type.dir}/${INDEX}`, typePage(model, type, meta, descriptions));
+    pages++;
+    search.push([type.sheet, "Object type", `${type.dir}/${INDEX}`]);
+    for (const obj of type.objects) {
+      dir.file(`${type.dir}/${obj.file}`, objectPage(model, obj, meta, details));
+      pages++;
+      search.push([obj.title, type.sheet, `${type.dir}/${obj.file}`]);
+    }
+  }
+
+  dir.file("assets/site.css", CSS);
+  dir.file("assets/search.js", SEARCH_JS);
+  dir.file("assets/search-index.js", `window.DOC_SEARCH = ${JSON.stringify(search)};\n`);
+
+  const buffer = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+  return { buffer, pages };
+}
+
+module.exports = { buildSite, PAGES, LINKS };
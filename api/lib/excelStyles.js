@@ -8,7 +8,8 @@
  *   - Borders: #D3D3D3 thin all sides
  *   - Frozen header row, auto-filter, auto-sized columns (max 50)
  *
- * Used by: exports/allGroups.js, exports/allRoles.js, exports/lastLogin.js
+ * Used by: exports/allGroups.js, exports/allRoles.js, exports/lastLogin.js,
+ *          activityLogExport.js
  */
 const XLSX = require("xlsx-js-style");
 
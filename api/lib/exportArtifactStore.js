@@ -0,0 +1,152 @@
+/**
+ * Export Artifact Store — the files scheduled exports produced, in Blob Storage.
+ *
+ * Each run that produced a file keeps it here so it can be downloaded or
+ * e-mailed again later; the run record (scheduleRunStore.js) holds the blob
+ * name. Table Storage caps an entity at 1 MB, which a documentation workbook
+ * easily exceeds, hence a blob per file rather than another table.
+ *
+ * Container: "export-artifacts" (private — files are only ever served through
+ *            /api/schedule-runs, which checks the caller can see the schedule)
+ * Blob name: <scheduleId>/<runId>/<filename>
+ *
+ * Delivery targets that send a link rather than the file (Teams, Slack, HTTPS
+ * in link mode — lib/deliveryTargets.js) get a read-only SAS URL for one blob
+ * from `shareUrl`; the container itself stays private.
+ *
+ * Schedules with change-only delivery (lib/exportChanges.js) also keep the
+ * previous run's snapshot here, gzipped JSON at <scheduleId>/snapshot.json.gz —
+ * one per schedule, replaced on every delivered run and deleted with the
+ * schedule. A handler that compares a run with the one before it keeps its own
+ * under another name, <scheduleId>/<kind>.json.gz — the documentation compare's
+ * is "documentation" (exports/documentationCompare.js).
+ *
+ * Interactive documentation exports (api/doc-export) keep their file here too,
+ * under doc-export/<jobId>/<filename>, until lib/docExportJobStore.js purges
+ * the job.
+ *
+ * Retention is the run record's: scheduleRunStore.purgeOld deletes the blob
+ * with its record. A storage-account lifecycle rule on the container is a
+ * sensible backstop (see the setup guide) but not required.
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING   (the same account as the tables)
+ */
+const { BlobServiceClient, BlobSASPermissions } = require("@azure/storage-blob");
+const zlib = require("zlib");
+
+const CONTAINER_NAME = "export-artifacts";
+
+let _container = null;
+let _containerEnsured = false;
+
+function getContainer() {
+  if (!_container) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _container = BlobServiceClient.fromConnectionString(connStr).getContainerClient(CONTAINER_NAME);
+  }
+  return _container;
+}
+
+async function ensureContainer() {
+  if (_containerEnsured) return;
+  await getContainer().createIfNotExists();
+  _containerEnsured = true;
+}
+
+/** Blob names keep the filename readable but never let it add path segments. */
+function blobName(scheduleId, runId, filename) {
+  const safe = String(filename || "export").replace(/[\\/]/g, "_");
+  return `${scheduleId}/${runId}/${safe}`;
+}
+
+/**
+ * Store a run's file.
+ * @returns {Promise<{ name: string, size: number }>}
+ */
+async function save(scheduleId, runId, { filename, base64, mimeType }) {
+  await ensureContainer();
+  const name = blobName(scheduleId, runId, filename);
+  const data = Buffer.from(base64, "base64");
+  await getContainer().getBlockBlobClient(name).uploadData(data, {
+    blobHTTPHeaders: { blobContentType: mimeType || "application/octet-stream" },
+  });
+  return { name, size: data.length };
+}
+
+/**
+ * Read a stored file back.
+ * @returns {Promise<string|null>} base64, or null when the blob is gone
+ */
+async function load(name) {
+  await ensureContainer();
+  try {
+    const buf = await getContainer().getBlockBlobClient(name).downloadToBuffer();
+    return buf.toString("base64");
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+async function remove(name) {
+  await ensureContainer();
+  await getContainer().getBlockBlobClient(name).deleteIfExists();
+}
+
+/**
+ * A read-only link to one stored file, valid until `expiresOn`. Signed with
+ * the account key from the connection string, so it needs no login — whoever
+ * holds the link can download the file until it expires.
+ * @returns {Promise<string>}
+ */
+async function shareUrl(name, expiresOn) {
+  return getContainer().getBlobClient(name).generateSasUrl({
+    permissions: BlobSASPermissions.parse("r"),
+    expiresOn,
+  });
+}
+
+// ── Previous-run snapshots ──────────────────────────────
+
+/** `kind` "snapshot" is change-only delivery's. */
+function snapshotName(scheduleId, kind = "snapshot") {
+  return `${scheduleId}/${kind}.json.gz`;
+}
+
+/** Replace the schedule's snapshot of its last delivered run. */
+async function saveSnapshot(scheduleId, snapshot, kind) {
+  await ensureContainer();
+  const data = zlib.gzipSync(JSON.stringify(snapshot));
+  await getContainer().getBlockBlobClient(snapshotName(scheduleId, kind)).uploadData(data, {
+    blobHTTPHeaders: { blobContentType: "application/gzip" },
+  });
+}
+
+/** @returns {Promise<Object|null>} the snapshot, or null when there is none yet */
+async function loadSnapshot(scheduleId, kind) {
+  await ensureContainer();
+  try {
+    const buf = await getContainer().getBlockBlobClient(snapshotName(scheduleId, kind)).downloadToBuffer();
+    return JSON.parse(zlib.gunzipSync(buf).toString("utf8"));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+async function removeSnapshot(scheduleId, kind) {
+  await remove(snapshotName(scheduleId, kind));
+}
+
+module.exports = {
+  save, load, remove, shareUrl,
+  saveSnapshot, loadSnapshot, removeSnapshot,
+  CONTAINER_NAME,
+};
@@ -0,0 +1,183 @@
+/**
+ * Export changes — what changed in a scheduled export since its previous run.
+ *
+ * Most recipients of the daily Roles, Trustee or Queues/Skills exports get the
+ * same workbook every day. A schedule with `deliverOnlyOnChange` is delivered
+ * only when the content differs from the previous run's, and then with a short
+ * summary of what changed — "3 users gained role Supervisor (Ann, Bob, Cid)",
+ * "2 members left queue Sales (Dan, Eve)".
+ *
+ * What is compared is a snapshot, stored per schedule beside the run files
+ * (exportArtifactStore.saveSnapshot):
+ *
+ *   { v: 1, relations: { <kind>: [[object, member], …] } }
+ *       from handlers that return `snapshot: { relations }` — who holds which
+ *       role, queue, skill, language or org access. Only those facts count, so
+ *       a column like "Date Last Login" that changes every day does not make
+ *       the report "changed".
+ *
+ *   { v: 1, sheets: { <sheet name>: [row as JSON, …] } }
+ *       read back from the workbook for every other handler — any cell that
+ *       differs is a change.
+ *
+ * Relation kinds with wording of their own are in RELATION_TEXT; any other kind
+ * is summarised generically.
+ */
+const XLSX = require("xlsx-js-style");
+
+const VERSION = 1;
+const MAX_LINES = 25;
+const MAX_NAMES = 3;
+
+const RELATION_TEXT = {
+  role:      { object: "role",           member: ["user", "users"],                 gain: "gained", loss: "lost" },
+  queue:     { object: "queue",          member: ["member", "members"],             gain: "joined", loss: "left" },
+  skill:     { object: "skill",          member: ["user", "users"],                 gain: "gained", loss: "lost" },
+  language:  { object: "language skill", member: ["user", "users"],                 gain: "gained", loss: "lost" },
+  orgAccess: { object: "access to",      member: ["trustee user", "trustee users"], gain: "gained", loss: "lost" },
+};
+
+/**
+ * The snapshot to compare for a handler's result — its own, or one read from
+ * the workbook. Null when the run produced nothing to compare.
+ */
+function snapshotOf(result) {
+  if (result.snapshot?.relations) {
+    // A user holding a role twice over (manual and inherited) is one fact.
+    const relations = {};
+    for (const [kind, pairs] of Object.entries(result.snapshot.relations)) {
+      relations[kind] = [...new Map(pairs.map((p) => [JSON.stringify(p), p])).values()];
+    }
+    return { v: VERSION, relations };
+  }
+  if (!result.base64) return null;
+  if (!/spreadsheetml|excel/i.test(result.mimeType || "") && !/\.xlsx?$/i.test(result.filename || "")) {
+    // Not a workbook: the bytes are all there is to compare.
+    return { v: VERSION, sheets: { [result.filename || "file"]: [result.base64] } };
+  }
+  const wb = XLSX.read(Buffer.from(result.base64, "base64"), { type: "buffer" });
+  const sheets = {};
+  for (const name of wb.SheetNames) {
+    sheets[name] = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: "" })
+      .map((row) => JSON.stringify(row));
+  }
+  return { v: VERSION, sheets };
+}
+
+/** Items of `a` missing from `b`, counting duplicates. */
+function minus(a, b) {
+  const left = new Map();
+  for (const x of b) left.set(x, (left.get(x) || 0) + 1);
+  const out = [];
+  for (const x of a) {
+    const n = left.get(x) || 0;
+    if (n) left.set(x, n - 1);
+    else out.push(x);
+  }
+  return out;
+}
+
+/** "Ann Smith <ann@x>" → "Ann Smith" — members are keyed by identity, named by name. */
+function displayName(member) {
+  return String(member).replace(/\s*<[^>]*>$/, "");
+}
+
+function names(members) {
+  const shown = members.slice(0, MAX_NAMES).map(displayName).join(", ");
+  return members.length > MAX_NAMES ? `${shown} and ${members.length - MAX_NAMES} more` : shown;
+}
+
+function relationLines(kind, before, after) {
+  const text = RELATION_TEXT[kind] || { object: kind, member: ["entry", "entries"], gain: "gained", loss: "lost" };
+  const key = ([object, member]) => JSON.stringify([object, member]);
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+
+  const byObject = (pairs, verb) => {
+    const groups = new Map();
+    for (const [object, member] of pairs) {
+      if (!groups.has(object)) groups.set(object, []);
+      groups.get(object).push(member);
+    }
+    return [...groups.entries()]
+      .sort((a, b) => b[1].length - a[1].length || String(a[0]).localeCompare(String(b[0])))
+      .map(([object, members]) =>
+        `${members.length} ${text.member[members.length === 1 ? 0 : 1]} ${verb} ${text.object} ${object} (${names(members)})`);
+  };
+
+  return [
+    ...byObject(after.filter((p) => !beforeKeys.has(key(p))), text.gain),
+    ...byObject(before.filter((p) => !afterKeys.has(key(p))), text.loss),
+  ];
+}
+
+function sheetLines(before, after) {
+  const lines = [];
+  for (const name of Object.keys(after)) {
+    if (!before[name]) {
+      const n = after[name].length;
+      lines.push(`Sheet "${name}" added (${n} row${n === 1 ? "" : "s"})`);
+      continue;
+    }
+    const added = minus(after[name], before[name]).length;
+    const removed = minus(before[name], after[name]).length;
+    if (added || removed) {
+      lines.push(`Sheet "${name}": ${[
+        added ? `${added} row${added === 1 ? "" : "s"} added or changed` : "",
+        removed ? `${removed} row${removed === 1 ? "" : "s"} removed or changed` : "",
+      ].filter(Boolean).join(", ")}`);
+    }
+  }
+  for (const name of Object.keys(before)) {
+    if (!after[name]) lines.push(`Sheet "${name}" removed`);
+  }
+  return lines;
+}
+
+/**
+ * Compare a run's snapshot with the previous one.
+ *
+ * @param {Object|null} previous   the stored snapshot, null on the first run
+ * @param {Object} current         snapshotOf(result)
+ * @returns {{ changed: boolean, firstRun: boolean, lines: string[], summary: string }}
+ */
+function compare(previous, current) {
+  // A first run — or one whose handler changed what it snapshots — has
+  // nothing like-for-like to compare against, so it counts as changed.
+  const comparable = previous && previous.v === current.v &&
+    !!previous.relations === !!current.relations;
+  if (!comparable) {
+    return {
+      changed: true,
+      firstRun: true,
+      lines: [],
+      summary: "First run with change-only delivery — nothing to compare against yet.",
+    };
+  }
+
+  let all;
+  if (current.relations) {
+    const kinds = [...new Set([...Object.keys(previous.relations), ...Object.keys(current.relations)])];
+    all = kinds.flatMap((k) => relationLines(k, previous.relations[k] || [], current.relations[k] || []));
+  } else {
+    all = sheetLines(previous.sheets || {}, current.sheets || {});
+  }
+
+  const lines = all.slice(0, MAX_LINES);
+  if (all.length > MAX_LINES) lines.push(`…and ${all.length - MAX_LINES} more changes`);
+  return {
+    changed: all.length > 0,
+    firstRun: false,
+    lines,
+    summary: all.length ? lines.join("\n") : "No changes since the last run.",
+  };
+}
+
+/** The changes as plain text for a message body. */
+function formatText(changes) {
+  if (!changes) return "";
+  if (changes.firstRun) return changes.summary;
+  return ["Changes since the last run:", ...changes.lines.map((l) => `- ${l}`)].join("\n");
+}
+
+module.exports = { snapshotOf, compare, formatText, RELATION_TEXT };
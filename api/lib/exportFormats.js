@@ -0,0 +1,139 @@
+/**
+ * Export output formats — what file a scheduled export delivers.
+ *
+ * Every handler builds an Excel workbook (exportHandlers.js). A BI pipeline
+ * wants the same rows machine-readable, so each schedule picks its
+ * outputFormats, any combination of:
+ *
+ *   xlsx   the workbook, as ever — the default
+ *   csv    one CSV per sheet (RFC 4180, UTF-8, header row first), zipped
+ *   json   { exportType, exportLabel, generatedAt,
+ *            sheets: { <sheet name>: [{ <column>: value, … }, …] } }
+ *
+ * One format is delivered as that file; more than one as a single zip holding
+ * each (csv/<sheet>.csv for the CSVs), so the runner, the run history and every
+ * delivery target still deal in one file per run.
+ *
+ * The rows come from the handler's `sheets` when it returns them —
+ * [{ name, columns: [string], rows: [[value, …], …] }] — and are otherwise read
+ * back from the workbook, its first row taken as the column names. Report-style
+ * workbooks (the billing exports, with their banners and section headings)
+ * return `sheets`, since that layout means nothing to a machine. A result that
+ * is neither — the documentation export's zip of split workbooks — is delivered
+ * as it is, whatever the schedule asks for.
+ *
+ * The browser's export pages offer the same choice for a download
+ * (downloadExport in js/utils.js), always reading the workbook.
+ */
+const XLSX = require("xlsx-js-style");
+const JSZip = require("jszip");
+
+const FORMATS = ["xlsx", "csv", "json"];
+const DEFAULT_FORMATS = ["xlsx"];
+
+/** The schedule's formats, in FORMATS order — schedules saved before formats existed get DEFAULT_FORMATS. */
+function outputFormats(schedule) {
+  const chosen = Array.isArray(schedule?.outputFormats) ? schedule.outputFormats : [];
+  const formats = FORMATS.filter((f) => chosen.includes(f));
+  return formats.length ? formats : DEFAULT_FORMATS;
+}
+
+/**
+ * Why `value` cannot be saved as outputFormats, or null.
+ * @returns {string|null}
+ */
+function validateOutputFormats(value) {
+  if (value == null) return null;
+  if (!Array.isArray(value) || !value.length) return "outputFormats must be a non-empty array";
+  const unknown = value.find((f) => !FORMATS.includes(f));
+  return unknown ? `Unknown output format: ${unknown} (use ${FORMATS.join(", ")})` : null;
+}
+
+/** [{ name, columns, rows }] for a handler's result. */
+function sheetsOf(result) {
+  if (Array.isArray(result.sheets)) return result.sheets;
+  const wb = XLSX.read(Buffer.from(result.base64, "base64"), { type: "buffer" });
+  return wb.SheetNames.map((name) => {
+    const [columns = [], ...rows] = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: "" });
+    return { name, columns: columns.map(String), rows };
+  });
+}
+
+function toCsv({ columns, rows }) {
+  return XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet([columns, ...rows]));
+}
+
+/** Row arrays as objects. A blank or repeated column name gets its position instead. */
+function toObjects({ columns, rows }) {
+  const seen = new Set();
+  const keys = columns.map((c, i) => {
+    const key = c && !seen.has(c) ? c : `Column ${i + 1}`;
+    seen.add(key);
+    return key;
+  });
+  return rows.map((row) => Object.fromEntries(keys.map((k, i) => [k, row[i] ?? ""])));
+}
+
+/** A sheet name as a file name inside the zip. */
+function csvName(name, used) {
+  const base = String(name).replace(/[\\/:*?"<>|]/g, "_") || "Sheet";
+  let file = `${base}.csv`;
+  for (let n = 2; used.has(file.toLowerCase()); n++) file = `${base} (${n}).csv`;
+  used.add(file.toLowerCase());
+  return file;
+}
+
+/**
+ * The file to deliver for a successful handler result, in the schedule's
+ * formats. Throws when the rows cannot be read back from the workbook.
+ *
+ * @param {Object} result     the handler's result, with its XLSX base64
+ * @param {Object} schedule
+ * @returns {Promise<{ filename: string, base64: string, mimeType: string }>}
+ */
+async function render(result, schedule) {
+  const formats = outputFormats(schedule);
+  const readable = Array.isArray(result.sheets) || /\.xlsx$/i.test(result.filename || "");
+  if (!readable || (formats.length === 1 && formats[0] === "xlsx")) {
+    return { filename: result.filename, base64: result.base64, mimeType: result.mimeType };
+  }
+
+  const base = String(result.filename || schedule.exportType || "export").replace(/\.xlsx?$/i, "");
+  const sheets = sheetsOf(result);
+  const files = {};
+  if (formats.includes("xlsx")) {
+    files[`${base}.xlsx`] = Buffer.from(result.base64, "base64");
+  }
+  if (formats.includes("json")) {
+    files[`${base}.json`] = JSON.stringify({
+      exportType: schedule.exportType,
+      exportLabel: schedule.exportLabel,
+      generatedAt: new Date().toISOString(),
+      sheets: Object.fromEntries(sheets.map((s) => [s.name, toObjects(s)])),
+    }, null, 2);
+  }
+  if (formats.includes("csv")) {
+    const used = new Set();
+    // Alone, the CSVs are the zip; alongside other formats they get a folder.
+    const dir = formats.length > 1 ? "csv/" : "";
+    for (const s of sheets) files[dir + csvName(s.name, used)] = toCsv(s);
+  }
+
+  const names = Object.keys(files);
+  if (names.length === 1 && formats[0] === "json") {
+    return {
+      filename: names[0],
+      base64: Buffer.from(files[names[0]], "utf8").toString("base64"),
+      mimeType: "application/json",
+    };
+  }
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return {
+    filename: `${base}.zip`,
+    base64: await zip.generateAsync({ type: "base64", compression: "DEFLATE" }),
+    mimeType: "application/zip",
+  };
+}
+
+module.exports = { FORMATS, DEFAULT_FORMATS, outputFormats, validateOutputFormats, render };
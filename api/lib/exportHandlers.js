@@ -11,8 +11,18 @@
  *     mimeType: string,
  *     summary: string,         // human-readable summary
  *     error?: string,
+ *     snapshot?: {             // what change-only delivery compares
+ *       relations: { <kind>: [[object, member], …] }   // lib/exportChanges.js
+ *     },
+ *     sheets?: [{ name, columns, rows }],  // the rows for CSV/JSON output
+ *     unchanged?: boolean,     // nothing to report: recorded, not delivered
  *   }
  *
+ * Without a snapshot, change-only delivery compares the workbook's rows.
+ * Without sheets, CSV and JSON output (lib/exportFormats.js) read the workbook
+ * back, first row as column names. A handler that knows it has nothing to say —
+ * the config drift check finding none — returns `unchanged` and no file.
+ *
  * To add a new export type:
  *   1. Create api/lib/exports/<type>.js
  *   2. Register it in the `handlers` map below
@@ -28,11 +38,22 @@ const handlers = {
   queuesSkills: () => require("./exports/queuesSkills"),
   trustee: () => require("./exports/trustee"),
   documentation:          () => require("./exports/documentation"),
+  documentationCompare:   () => require("./exports/documentationCompare"),
+  configDrift:            () => require("./exports/configDrift"),
   interactionTotals:      () => require("./exports/interactionTotals"),
   skillTemplates:         () => require("./exports/skillTemplates"),
   billingSingleOrg:       () => require("./exports/billingSingleOrg"),
   billingAllOrgsLatest:   () => require("./exports/billingAllOrgsLatest"),
   billingCalendarYear:    () => require("./exports/billingCalendarYear"),
+  // Interactive pages made schedulable; their exportConfig is the page's
+  // filters, captured by the schedule panel (captureConfig).
+  auditSearch:            () => require("./exports/auditSearch"),
+  interactionSearch:      () => require("./exports/interactionSearch"),
+  transcriptSearch:       () => require("./exports/transcriptSearch"),
+  getLists:               () => require("./exports/getLists"),
+  rolesCompare:           () => require("./exports/rolesCompare"),
+  // Runs several of the handlers above for one org and delivers them as one.
+  reportPack:             () => require("./exports/reportPack"),
   // Not an export: creates WebRTC phones and returns its run log as the
   // attachment. Registered here so it rides the existing schedule store,
   // runner and email path rather than growing a third scheduler.
@@ -94,7 +94,7 @@ function buildRowsWithAttribution(users, userGroupMap, groupGrantsCache, groupNa
       }
 
       for (const src of sources) {
-        rows.push({ index: userIndex, name, email, division, active, lastLogin,
+        rows.push({ index: userIndex, userId: user.id, name, email, division, active, lastLogin,
                     role: roleName, assigned: src.assigned, assignedBy: src.assignedBy });
       }
     }
@@ -205,6 +205,9 @@ async function execute(context, schedule) {
       base64,
       mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
       summary,
+      // For change-only delivery (lib/exportChanges.js): who holds which role,
+      // keyed by user id for the reason above.
+      snapshot: { relations: { role: rows.map((r) => [r.role, `${r.name} <${r.userId}>`]) } },
     };
   } catch (err) {
     context.log.error(`All Roles export error: ${err.message}`);
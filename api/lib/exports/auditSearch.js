@@ -0,0 +1,388 @@
+/**
+ * Server-side Audit Search export.
+ *
+ * Mirrors the browser-side logic in js/pages/audit/search.js but runs headless
+ * via client credentials — no browser required. The page's filters are
+ * captured into the schedule when it is created, with the date range kept as a
+ * number of days so each run covers the days before it: "every Monday, audits
+ * for Architect over the last 7 days".
+ *
+ * Routing is the page's:
+ *   ≤ 14 days, no service              → realtime API, every realtime service
+ *   ≤ 14 days, service in realtime map → realtime API
+ *   otherwise                          → async audit query; a service is required
+ *
+ * Requires:
+ *   schedule.exportConfig.orgId        — org to query
+ * Optional:
+ *   schedule.exportConfig.periodDays   — days back from the run, 0 = today only (default 7)
+ *   schedule.exportConfig.serviceName  — audit service, "" = all (required over 14 days)
+ *   schedule.exportConfig.entityType   — keep only this entity type
+ *   schedule.exportConfig.action       — keep only this action
+ *   schedule.exportConfig.changedBy    — keep only changes by this user or client (name)
+ *
+ * Returns:
+ *   { success, filename, base64, mimeType, summary, error? }
+ */
+const customers = require("../customers.json");
+const { genesysGet, genesysPost } = require("../genesysFetch");
+const XLSX = require("xlsx-js-style");
+const { buildStyledWorkbook } = require("../excelStyles");
+
+const CHUNK_DAYS = 30;
+const REALTIME_CHUNK_DAYS = 1; // realtime endpoint times out on multi-day intervals
+const REALTIME_MAX_DAYS = 14;
+const MAX_PERIOD_DAYS = 365;
+
+const POLL_INTERVAL_MS = 2000;
+const MAX_WAIT_SECONDS = 120;
+
+const COLUMNS = [
+  { key: "dateTime",   label: "Date & Time" },
+  { key: "service",    label: "Service" },
+  { key: "entityType", label: "Entity Type" },
+  { key: "entityName", label: "Entity Name" },
+  { key: "action",     label: "Action" },
+  { key: "changedBy",  label: "Changed By" },
+  { key: "level",      label: "Level" },
+  { key: "remoteIp",   label: "Remote IP" },
+  { key: "property",   label: "Property" },
+  { key: "oldValue",   label: "Old Value" },
+  { key: "newValue",   label: "New Value" },
+  { key: "context",    label: "Additional Context" },
+];
+
+// Service + entity type → the path that names the entity. Same map as the page.
+const ENTITY_PATH = {
+  "Triggers/Trigger":                   id => `/api/v2/processautomation/triggers/${id}`,
+  "ProcessAutomation/Trigger":          id => `/api/v2/processautomation/triggers/${id}`,
+  "Datatables/Schema":                  id => `/api/v2/flows/datatables/${id}`,
+  "Datatables/Row":                     id => `/api/v2/flows/datatables/${id}`,
+  "Architect/Flow":                     id => `/api/v2/flows/${id}`,
+  "Architect/Prompt":                   id => `/api/v2/architect/prompts/${id}`,
+  "Architect/IVR":                      id => `/api/v2/architect/ivrs/${id}`,
+  "Architect/Schedule":                 id => `/api/v2/architect/schedules/${id}`,
+  "Architect/ScheduleGroup":            id => `/api/v2/architect/schedulegroups/${id}`,
+  "Architect/EmergencyGroup":           id => `/api/v2/architect/emergencygroups/${id}`,
+  "Architect/FlowOutcome":              id => `/api/v2/flows/outcomes/${id}`,
+  "Architect/FlowMilestone":            id => `/api/v2/flows/milestones/${id}`,
+  "ContactCenter/Queue":                id => `/api/v2/routing/queues/${id}`,
+  "ContactCenter/WrapupCode":           id => `/api/v2/routing/wrapupcodes/${id}`,
+  "PeoplePermissions/Role":             id => `/api/v2/authorization/roles/${id}`,
+  "PeoplePermissions/OAuthClient":      id => `/api/v2/oauth/clients/${id}`,
+  "Directory/User":                     id => `/api/v2/users/${id}`,
+  "Groups/DirectoryGroup":              id => `/api/v2/groups/${id}`,
+  "Groups/Team":                        id => `/api/v2/teams/${id}`,
+  "Groups/SkillGroup":                  id => `/api/v2/routing/skillgroups/${id}`,
+  "Routing/RoutingSkill":               id => `/api/v2/routing/skills/${id}`,
+  "ResponseManagement/Response":        id => `/api/v2/responsemanagement/responses/${id}`,
+  "ResponseManagement/ResponseLibrary": id => `/api/v2/responsemanagement/libraries/${id}`,
+  "Telephony/Site":                     id => `/api/v2/telephony/providers/edges/sites/${id}`,
+  "Telephony/Trunk":                    id => `/api/v2/telephony/providers/edges/trunks/${id}`,
+  "Telephony/TrunkBase":                id => `/api/v2/telephony/providers/edges/trunkbasesettings/${id}`,
+  "Telephony/Phone":                    id => `/api/v2/telephony/providers/edges/phones/${id}`,
+  "Telephony/Edge":                     id => `/api/v2/telephony/providers/edges/${id}`,
+  "Telephony/IVR":                      id => `/api/v2/architect/ivrs/${id}`,
+  "Telephony/Schedule":                 id => `/api/v2/architect/schedules/${id}`,
+  "Telephony/ScheduleGroup":            id => `/api/v2/architect/schedulegroups/${id}`,
+  "Telephony/EmergencyGroup":           id => `/api/v2/architect/emergencygroups/${id}`,
+  "Outbound/Campaign":                  id => `/api/v2/outbound/campaigns/${id}`,
+  "Outbound/ContactList":               id => `/api/v2/outbound/contactlists/${id}`,
+  "Outbound/DNCList":                   id => `/api/v2/outbound/dnclists/${id}`,
+  "Outbound/RuleSet":                   id => `/api/v2/outbound/rulesets/${id}`,
+  "Outbound/CallableTimeSet":           id => `/api/v2/outbound/callabletimesets/${id}`,
+  "Knowledge/KnowledgeBase":            id => `/api/v2/knowledge/knowledgebases/${id}`,
+  "Integrations/Integration":           id => `/api/v2/integrations/${id}`,
+  "WebDeployments/Deployment":          id => `/api/v2/webdeployments/deployments/${id}`,
+  "WebDeployments/Configuration":       id => `/api/v2/webdeployments/configurations/${id}`,
+  "WorkforceManagement/BusinessUnit":   id => `/api/v2/workforcemanagement/businessunits/${id}`,
+  "WorkforceManagement/ManagementUnit": id => `/api/v2/workforcemanagement/managementunits/${id}`,
+  "Messaging/Integration":              id => `/api/v2/messaging/integrations/${id}`,
+};
+
+// ── Helpers ─────────────────────────────────────────────
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+function formatDateTime(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return String(iso);
+  return d.toLocaleString("sv-SE", { timeZone: "Europe/Copenhagen", dateStyle: "short", timeStyle: "medium" });
+}
+
+/** Split [start, end] into ISO intervals of at most `chunkDays` days. */
+function buildIntervalChunks(start, end, chunkDays) {
+  const chunks = [];
+  let cursor = start;
+  while (cursor < end) {
+    const chunkEnd = new Date(Math.min(cursor.getTime() + chunkDays * 86_400_000 - 1, end.getTime()));
+    chunks.push(`${cursor.toISOString()}/${chunkEnd.toISOString()}`);
+    cursor = new Date(chunkEnd.getTime() + 1);
+  }
+  return chunks;
+}
+
+/** Run async tasks with bounded concurrency. */
+async function runBatched(tasks, concurrency = 10) {
+  let idx = 0;
+  async function worker() {
+    while (idx < tasks.length) await tasks[idx++]();
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+}
+
+/** Cursor from a nextUri, which may be an absolute URL. */
+function nextCursor(resp) {
+  const match = (resp.nextUri || "").match(/[?&]cursor=([^&]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+// ── Audit queries ───────────────────────────────────────
+
+async function realtimeQuery(orgId, interval, serviceName) {
+  const all = [];
+  let cursor = null;
+  do {
+    let path = "/api/v2/audits/query/realtime?pageSize=500";
+    if (cursor) path += `&cursor=${encodeURIComponent(cursor)}`;
+    const resp = await genesysPost(orgId, path, { interval, serviceName });
+    for (const e of resp.entities || resp.audits || []) all.push(e);
+    cursor = nextCursor(resp);
+  } while (cursor);
+  return all;
+}
+
+async function asyncQuery(orgId, interval, serviceName) {
+  const submitted = await genesysPost(orgId, "/api/v2/audits/query", { interval, serviceName });
+  const txId = submitted?.id || submitted?.transactionId;
+  if (!txId) throw new Error(`Audit query submission failed: ${submitted?.message || JSON.stringify(submitted)}`);
+
+  const start = Date.now();
+  for (;;) {
+    await new Promise((r) => setTimeout(r, POLL_INTERVAL_MS));
+    const status = await genesysGet(orgId, `/api/v2/audits/query/${txId}`);
+    const state = String(status.state || "").toLowerCase();
+    if (state === "succeeded" || state === "fulfilled") break;
+    if (state === "failed") throw new Error(`Audit query failed: ${status.errorMessage || "Unknown error"}`);
+    if ((Date.now() - start) / 1000 > MAX_WAIT_SECONDS) {
+      throw new Error(`Audit query timed out after ${MAX_WAIT_SECONDS}s`);
+    }
+  }
+
+  const all = [];
+  let cursor = null;
+  do {
+    let path = `/api/v2/audits/query/${txId}/results?pageSize=500`;
+    if (cursor) path += `&cursor=${encodeURIComponent(cursor)}`;
+    const resp = await genesysGet(orgId, path);
+    for (const e of resp.entities || resp.audits || []) all.push(e);
+    cursor = nextCursor(resp);
+  } while (cursor);
+  return all;
+}
+
+// ── Name resolution ─────────────────────────────────────
+
+/** userId → name. Users first; an actor that is not one is usually an OAuth client. */
+async function resolveActors(orgId, entries) {
+  const names = new Map();
+  const ids = [...new Set(entries.map((e) => e.user?.id).filter(Boolean))];
+  await runBatched(ids.map((id) => async () => {
+    for (const path of [`/api/v2/users/${id}`, `/api/v2/oauth/clients/${id}`]) {
+      try {
+        const found = await genesysGet(orgId, path);
+        if (found?.name) { names.set(id, found.name); return; }
+      } catch { /* try the next kind */ }
+    }
+    names.set(id, id);
+  }));
+  return names;
+}
+
+/** entityId → name, for the entity types ENTITY_PATH knows. */
+async function resolveEntities(orgId, entries) {
+  const names = new Map();
+  const lookups = new Map();
+  for (const e of entries) {
+    const id = e.entity?.id;
+    const key = `${e.serviceName || ""}/${e.entityType || e.entity?.type || ""}`;
+    if (id && ENTITY_PATH[key] && !lookups.has(id)) lookups.set(id, ENTITY_PATH[key](id));
+  }
+  await runBatched([...lookups].map(([id, path]) => async () => {
+    try {
+      const found = await genesysGet(orgId, path);
+      names.set(id, found?.name || id);
+    } catch (err) {
+      names.set(id, err?.status === 404 ? `(deleted) ${id}` : id);
+    }
+  }));
+  return names;
+}
+
+// ── Rows ────────────────────────────────────────────────
+
+function contextText(entry) {
+  const raw = entry.context ?? entry.additionalContext ?? null;
+  if (Array.isArray(raw)) {
+    return raw
+      .map((item) => typeof item === "object" ? `${item.key ?? item.name ?? ""}: ${item.value ?? ""}` : String(item))
+      .filter(Boolean).join("; ");
+  }
+  if (raw && typeof raw === "object") {
+    return Object.entries(raw)
+      .filter(([, v]) => v !== null && v !== undefined && v !== "")
+      .map(([k, v]) => `${k}: ${v}`)
+      .join("; ");
+  }
+  return "";
+}
+
+/** One row per changed property, or one row for an entry with none. */
+function toRows(entry, serviceName, actorNames, entityNames) {
+  const id = entry.entity?.id;
+  const base = {
+    dateTime:   formatDateTime(entry.eventDate || entry.createdDate),
+    service:    entry.serviceName || serviceName || "",
+    entityType: entry.entity?.type || entry.entityType || "",
+    entityName: (id && entityNames.get(id)) || entry.entity?.name || id || "",
+    action:     entry.action || "",
+    changedBy:  actorNames.get(entry.user?.id) || entry.user?.name || entry.user?.id || "",
+    level:      entry.level || "",
+    remoteIp:   (entry.remoteIp || []).filter(Boolean).join(", "),
+    context:    contextText(entry),
+  };
+  const changes = entry.propertyChanges || entry.properties || [];
+  if (!changes.length) return [{ ...base, property: "", oldValue: "", newValue: "" }];
+  return changes.map((p) => ({
+    ...base,
+    property: String(p.property ?? p.Property ?? ""),
+    oldValue: [].concat(p.oldValues ?? p.oldValue ?? []).join(", "),
+    newValue: [].concat(p.newValues ?? p.newValue ?? []).join(", "),
+  }));
+}
+
+// ── Core export logic ───────────────────────────────────
+
+async function execute(context, schedule) {
+  const config = schedule?.exportConfig || {};
+  const orgId = config.orgId;
+  const serviceName = String(config.serviceName || "");
+  const periodDays = config.periodDays == null || config.periodDays === "" ? 7 : Number(config.periodDays);
+
+  if (!orgId) {
+    return { success: false, error: "No orgId specified in export config" };
+  }
+
+  const customer = customers.find((c) => c.id === orgId);
+  if (!customer) {
+    return { success: false, error: `Unknown org: ${orgId}` };
+  }
+
+  if (!Number.isInteger(periodDays) || periodDays < 0 || periodDays > MAX_PERIOD_DAYS) {
+    return { success: false, error: `periodDays must be a whole number from 0 to ${MAX_PERIOD_DAYS}` };
+  }
+  if (!serviceName && periodDays > REALTIME_MAX_DAYS) {
+    return { success: false, error: `A service is required for periods over ${REALTIME_MAX_DAYS} days` };
+  }
+
+  const end = new Date();
+  const start = new Date(`${new Date(end.getTime() - periodDays * 86_400_000).toISOString().slice(0, 10)}T00:00:00.000Z`);
+  const from = start.toISOString().slice(0, 10);
+  const to = end.toISOString().slice(0, 10);
+
+  context.log(`Audit Search export for ${customer.name} (${orgId}): ${serviceName || "all services"}, ${from} to ${to}`);
+
+  try {
+    const entries = [];
+    let failedChunks = 0;
+    let totalChunks = 0;
+    const collect = async (query) => {
+      totalChunks++;
+      try {
+        for (const e of await query()) entries.push(e);
+      } catch (err) {
+        failedChunks++;
+        context.log.warn(`Audit query chunk failed: ${err.message}`);
+      }
+    };
+
+    let realtimeServices = null;
+    if (periodDays <= REALTIME_MAX_DAYS) {
+      const mapping = await genesysGet(orgId, "/api/v2/audits/query/realtime/servicemapping").catch(() => null);
+      realtimeServices = (mapping?.services || []).map((s) => s.name).sort();
+    }
+
+    if (realtimeServices && !serviceName) {
+      if (!realtimeServices.length) throw new Error("The realtime audit service mapping is unavailable");
+      for (const interval of buildIntervalChunks(start, end, REALTIME_CHUNK_DAYS)) {
+        await Promise.all(realtimeServices.map((svc) => collect(() => realtimeQuery(orgId, interval, svc))));
+      }
+    } else if (realtimeServices && realtimeServices.includes(serviceName)) {
+      for (const interval of buildIntervalChunks(start, end, REALTIME_CHUNK_DAYS)) {
+        await collect(() => realtimeQuery(orgId, interval, serviceName));
+      }
+    } else {
+      for (const interval of buildIntervalChunks(start, end, CHUNK_DAYS)) {
+        await collect(() => asyncQuery(orgId, interval, serviceName));
+      }
+    }
+
+    if (totalChunks && failedChunks === totalChunks) {
+      throw new Error(`Every audit query failed (${totalChunks})`);
+    }
+    context.log(`Fetched ${entries.length} audit entries${failedChunks ? `, ${failedChunks} of ${totalChunks} queries failed` : ""}`);
+
+    const [actorNames, entityNames] = await Promise.all([
+      resolveActors(orgId, entries),
+      resolveEntities(orgId, entries),
+    ]);
+
+    // The page's client-side filters, applied to what the query returned.
+    const kept = entries.filter((e) => {
+      if (config.entityType && (e.entity?.type || e.entityType || "") !== config.entityType) return false;
+      if (config.action && e.action !== config.action) return false;
+      if (config.changedBy) {
+        const actor = actorNames.get(e.user?.id) || e.user?.name || e.user?.id || "";
+        if (actor !== config.changedBy) return false;
+      }
+      return true;
+    });
+    kept.sort((a, b) =>
+      new Date(b.eventDate || b.createdDate || 0) - new Date(a.eventDate || a.createdDate || 0));
+
+    const rows = kept.flatMap((e) => toRows(e, serviceName, actorNames, entityNames));
+    const wb = buildStyledWorkbook([
+      COLUMNS.map((c) => c.label),
+      ...rows.map((r) => COLUMNS.map((c) => r[c.key])),
+    ], "Audit Search");
+
+    const buf = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+    const base64 = Buffer.from(buf).toString("base64");
+    const filename = timestampedFilename(`Audit_Search_${customer.name.replace(/\s+/g, "_")}_${from}_${to}`, "xlsx");
+
+    const filters = [config.entityType, config.action, config.changedBy].filter(Boolean);
+    const summary =
+      `${customer.name}: ${kept.length} audit entr${kept.length === 1 ? "y" : "ies"} ` +
+      `(${serviceName || "all services"}${filters.length ? `, ${filters.join(", ")}` : ""}, ${from} to ${to})` +
+      (failedChunks ? ` — ${failedChunks} of ${totalChunks} queries failed` : "");
+
+    return {
+      success: true,
+      filename,
+      base64,
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      summary,
+    };
+  } catch (err) {
+    context.log.error(`Audit Search export error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { execute };
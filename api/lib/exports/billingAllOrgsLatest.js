@@ -14,13 +14,15 @@
  *   schedule.exportConfig = {}        // ignored
  *
  * Returns:
- *   { success, filename, base64, mimeType, summary, error?, subject?, body? }
+ *   { success, filename, base64, mimeType, summary, error?, subject?, body?, sheets? }
  */
 const customers = require("../customers.json");
 const { getGenesysToken } = require("../genesysAuth");
+const { apiBase } = require("../genesysHost");
 const {
   processBillingOverview,
   buildAllOrgsLatestWorkbook,
+  billingSheets,
 } = require("../billingWorkbook");
 
 // ── Billing trustee mapping (mirror of js/utils/billingTrustees.js) ──
@@ -59,7 +61,7 @@ async function genesysCall(customerId, method, path) {
   }
 
   const token = await getGenesysToken(customerId, customer.region, clientId, clientSecret);
-  const url   = `https://api.${customer.region}${path}`;
+  const url   = `${apiBase(customer.region)}${path}`;
   const resp  = await fetch(url, {
     method,
     headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
@@ -187,6 +189,10 @@ async function execute(context, schedule) {
       summary,
       subject,
       body,
+      sheets:   billingSheets(orgsData.map(({ orgName, processed }) => ({
+        orgName,
+        periods: [{ label: `${processed.summary.startDate} to ${processed.summary.endDate}`, processed }],
+      }))),
     };
   } catch (err) {
     context.log.error("[billingAllOrgsLatest] Export failed:", err.message);
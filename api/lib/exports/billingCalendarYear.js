@@ -17,9 +17,11 @@
  */
 const customers = require("../customers.json");
 const { getGenesysToken } = require("../genesysAuth");
+const { apiBase } = require("../genesysHost");
 const {
   processBillingOverview,
   buildCalendarYearWorkbook,
+  billingSheets,
 } = require("../billingWorkbook");
 
 // ── Billing trustee mapping (mirror of js/utils/billingTrustees.js) ──
@@ -56,7 +58,7 @@ async function genesysCall(customerId, method, path) {
   }
 
   const token = await getGenesysToken(customerId, customer.region, clientId, clientSecret);
-  const url   = `https://api.${customer.region}${path}`;
+  const url   = `${apiBase(customer.region)}${path}`;
   const resp  = await fetch(url, {
     method,
     headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
@@ -236,6 +238,7 @@ async function execute(context, schedule) {
       summary,
       subject,
       body,
+      sheets:   billingSheets(orgsData),
     };
   } catch (err) {
     context.log.error("[billingCalendarYear] Export failed:", err.message);
@@ -14,11 +14,12 @@
  *   }
  *
  * Returns:
- *   { success, filename, base64, mimeType, summary, error? }
+ *   { success, filename, base64, mimeType, summary, subject, body, sheets, error? }
  */
 const customers = require("../customers.json");
 const { getGenesysToken } = require("../genesysAuth");
-const { processBillingOverview, buildSingleOrgWorkbook, safeSheetName } = require("../billingWorkbook");
+const { apiBase } = require("../genesysHost");
+const { processBillingOverview, buildSingleOrgWorkbook, safeSheetName, billingSheets } = require("../billingWorkbook");
 
 // ── Billing trustee mapping (mirror of js/utils/billingTrustees.js) ──
 const BILLING_ORG_TRUSTEE_MAP = {
@@ -48,7 +49,7 @@ async function genesysCall(customerId, method, path) {
   }
 
   const token = await getGenesysToken(customerId, customer.region, clientId, clientSecret);
-  const url   = `https://api.${customer.region}${path}`;
+  const url   = `${apiBase(customer.region)}${path}`;
   const resp  = await fetch(url, {
     method,
     headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
@@ -145,6 +146,10 @@ async function execute(context, schedule) {
       summary,
       subject,
       body,
+      sheets:   billingSheets([{
+        orgName,
+        periods: [{ label: `${processed.summary.startDate} to ${processed.summary.endDate}`, processed }],
+      }]),
     };
   } catch (err) {
     context.log.error("[billingSingleOrg] Export failed:", err.message);
@@ -0,0 +1,123 @@
+/**
+ * Server-side Config Drift check — the org against its pinned baseline.
+ *
+ * Re-reads the object types the schedule notifies on and compares them with the
+ * org's baseline (lib/configDrift.js, lib/configBaselineStore.js). Drift is
+ * delivered as the Documentation Compare workbook — a Summary sheet, then each
+ * differing sheet's added, removed and changed rows with the changed cells
+ * highlighted — and the summary names the types that drifted. No drift, and
+ * nothing delivered: the run is recorded as "unchanged".
+ *
+ * Drift stays in the report, run after run, until an operator accepts it on
+ * Export › Documentation › Drift (or puts it back in the org). A sheet the
+ * check could not read is reported too, not taken for drift.
+ *
+ * An org without a baseline has one pinned by its first run, from every type
+ * it can read, ignored ones included; drift is reported from the next run on.
+ *
+ * Requires:
+ *   schedule.exportConfig.orgId          — org to check
+ * Optional, per object type — "notify" (the default) or "ignore":
+ *   schedule.exportConfig.queues, .flows, .dataActions, .oauthClients, .trunks, .roles
+ *
+ * Returns:
+ *   { success, filename, base64, mimeType, summary, error?, unchanged? }
+ */
+const customers = require("../customers.json");
+const XLSX = require("xlsx-js-style");
+const store = require("../configBaselineStore");
+const drift = require("../configDrift");
+
+const CHECKED_BY = "Scheduled check";
+
+// ── Helpers ─────────────────────────────────────────────
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+function formatDateTime(iso) {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return String(iso || "");
+  return d.toLocaleString("sv-SE", { timeZone: "Europe/Copenhagen", dateStyle: "short", timeStyle: "short" });
+}
+
+/** "pinned 2026-10-01 09:00, last accepted 2026-10-12 14:10" */
+function baselineLabel(baseline) {
+  const accepted = Object.values(baseline.types).map((t) => t.acceptedAt).filter(Boolean).sort().pop();
+  return `Baseline — pinned ${formatDateTime(baseline.pinnedAt)}` +
+    (accepted ? `, last accepted ${formatDateTime(accepted)}` : "");
+}
+
+// ── Core export logic ───────────────────────────────────
+
+async function execute(context, schedule) {
+  const config = schedule?.exportConfig || {};
+  const orgId = config.orgId;
+
+  if (!orgId) {
+    return { success: false, error: "No orgId specified in export config" };
+  }
+
+  const customer = customers.find((c) => c.id === orgId);
+  if (!customer) {
+    return { success: false, error: `Unknown org: ${orgId}` };
+  }
+
+  const types = drift.notifyTypes(config);
+  if (!types.length) {
+    return { success: false, error: "Every object type is set to ignore — nothing to check" };
+  }
+  const ignored = drift.TYPES.filter((t) => !types.includes(t)).map((t) => drift.OBJECT_TYPES[t].label);
+  const ignoredNote = ignored.length ? ` (ignored: ${ignored.join(", ")})` : "";
+
+  context.log(`Config Drift check for ${customer.name} (${orgId}): ${types.join(", ")}`);
+
+  try {
+    if (!(await store.getBaseline(orgId))) {
+      context.log("No baseline — pinning one from this run");
+      const { unreadable } = await drift.pin(orgId, CHECKED_BY);
+      return {
+        success: true,
+        unchanged: true,
+        summary: `${customer.name}: no baseline yet — pinned one from this run; drift is reported from the next run` +
+          (unreadable.length ? ` (could not read ${unreadable.join("; ")})` : ""),
+      };
+    }
+
+    const { baseline, latest, drift: result, pinnedNow } = await drift.check(orgId, types, CHECKED_BY);
+    const pinnedNote = pinnedNow.length
+      ? ` — ${pinnedNow.map((t) => drift.OBJECT_TYPES[t].label).join(", ")} added to the baseline from this run`
+      : "";
+
+    if (!drift.hasDrift(result)) {
+      return {
+        success: true,
+        unchanged: true,
+        summary: `${customer.name}: no drift from the baseline${ignoredNote}${pinnedNote}`,
+      };
+    }
+
+    const wb = drift.buildReport(result, {
+      before: baselineLabel(baseline),
+      after: `${customer.name} — ${formatDateTime(latest.takenAt)}`,
+    });
+    const buf = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+
+    return {
+      success: true,
+      filename: timestampedFilename(`Config_Drift_${customer.name.replace(/\s+/g, "_")}`, "xlsx"),
+      base64: Buffer.from(buf).toString("base64"),
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      summary: `${customer.name}: ${drift.summaryLine(result)}${ignoredNote}${pinnedNote}`,
+    };
+  } catch (err) {
+    context.log(`Config Drift check failed: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { execute };
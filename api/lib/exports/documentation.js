@@ -3,12 +3,20 @@
  * Documentation Export — full Genesys Cloud configuration workbook.
  *
  * Produces up to two Excel workbooks that mirror the Python Export_All.py output:
- *   1. Documentation_<Org>_<ts>.xlsx  — all 42 configuration sheets + Index cover
+ *   1. Documentation_<Org>_<ts>.xlsx  — all 52 configuration sheets + Index cover
  *   2. Documentation_DataTables_<Org>_<ts>.xlsx — one sheet per data-table with its rows
  *
  * When both workbooks contain data they are bundled into a single ZIP archive.
  * If the DataTables workbook is empty only the main XLSX is returned.
  *
+ * exportConfig.sheets narrows the main workbook to the sheets named (SHEETS);
+ * only their fetches run, so Queues + Users + Flows takes seconds, not minutes.
+ *
+ * exportConfig.output "site" builds a zipped, cross-linked HTML site from the
+ * same sheets instead of the workbooks (lib/docSite.js). It reads three things
+ * no sheet holds, for its links: each queue's wrap-up codes and members, and
+ * the flows that use each data table.
+ *
  * Each fetch function returns:
  *   { headers, rows }  on success  (rows may be empty)
  *   { error }          when the API returns 403 / 404 → sheet shows error status
@@ -22,6 +30,7 @@ const {
   genesysGetAllPagesWithToken: genesysGetAllPages,
 } = require("../genesysFetch");
 const { addStyledSheet }  = require("../excelStyles");
+const { buildSite }       = require("../docSite");
 
 // ─────────────────────────────────────────────────────────
 // Constants
@@ -30,6 +39,12 @@ const { addStyledSheet }  = require("../excelStyles");
 const MAIN_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
 const ZIP_MIME  = "application/zip";
 
+/** What an export produces: the workbook(s), or the HTML site. */
+const OUTPUTS = ["workbook", "site"];
+
+/** How many per-object reads (a queue's members, a business unit's activity codes) run at once. */
+const DETAIL_CONCURRENCY = 5;
+
 const SHEET_DESCRIPTIONS = {
   "Queues":                   "Contact center queues with routing configuration",
   "Users":                    "Active users with roles and authorization details",
@@ -41,7 +56,7 @@ const SHEET_DESCRIPTIONS = {
   "Integrations":             "Third-party system integrations",
   "DID Pools":                "Phone number pool allocations",
   "DID Numbers":              "Direct inward dial number assignments",
-  "Policies":                 "Security and routing policies",
+  "Policies":                 "Recording policies — media retention, evaluations and surveys",
   "DB Schemas":               "Data table schemas and definitions",
   "Flow Outcomes":            "Flow execution outcome tracking",
   "Milestones":               "Flow milestone definitions",
@@ -73,6 +88,16 @@ const SHEET_DESCRIPTIONS = {
   "OAuth - SAML2-BEARER":     "OAuth clients using SAML2 Bearer Extension (per-scope rows)",
   "OAuth - PASSWORD":         "OAuth clients using Resource Owner Password Grant (per-scope rows)",
   "OAuth - CLIENT-CREDENTIALS":"OAuth clients using Client Credentials Grant (per-role-division rows)",
+  "WFM - Business Units":     "Workforce management business units with time zone and week start",
+  "WFM - Management Units":   "Workforce management units by business unit, with adherence settings",
+  "WFM - Activity Codes":     "Workforce management activity codes by business unit",
+  "Quality - Evaluation Forms":"Quality evaluation forms with question groups and question counts",
+  "Knowledge Bases":          "Knowledge bases with language and article counts",
+  "Speech - Topics":          "Speech and text analytics topics with dialect and strictness",
+  "Speech - Programs":        "Speech and text analytics programs and the topics they detect",
+  "Recording - Settings":     "Organization-wide recording settings",
+  "Utilization":              "Organization utilization — capacity and interruptions per media type and label",
+  "External Contacts - Schema":"Custom field schemas for external contacts and organizations (per-field rows)",
 };
 
 // ─────────────────────────────────────────────────────────
@@ -190,6 +215,15 @@ function pct(v) {
   return `${Math.round(v * 100)}%`;
 }
 
+/** Run `fn` over `items`, DETAIL_CONCURRENCY at a time. */
+async function forEachLimited(items, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) await fn(items[next++]);
+  };
+  await Promise.all(Array.from({ length: Math.min(DETAIL_CONCURRENCY, items.length) }, worker));
+}
+
 /** Safe wrap to handle 403/404 — returns { error } if caught. */
 async function safe(fn) {
   try {
@@ -1250,7 +1284,10 @@ async function fetchOAuthClients(region, token) {
     genesysGetAllPages(region, token, "/api/v2/users?state=any", 100),
   ]);
 
-  const clients  = clientsResp.status  === "fulfilled" ? (clientsResp.value.entities  || []) : [];
+  // The clients themselves are the sheet: without them it is an error, not
+  // empty. An empty OAuth sheet reads as "every client deleted" to a drift check.
+  if (clientsResp.status === "rejected") throw clientsResp.reason;
+  const clients  = clientsResp.value.entities || [];
   const roleMap  = {};
   const divMap   = {};
   const userMap  = {};
@@ -1801,6 +1838,232 @@ async function fetchOBSettings(region, token) {
   return { headers, rows };
 }
 
+// ── Workforce management, quality, knowledge, speech analytics ──
+
+async function fetchWfm(region, token) {
+  const buHeaders = ["ID","Name","Division","Time Zone","Start Day Of Week","Management Units"];
+  const muHeaders = [
+    "Business Unit","ID","Name","Division","Time Zone","Start Day Of Week",
+    "Adherence Target %","Severe Alert Threshold (min)",
+  ];
+  const acHeaders = [
+    "Business Unit","ID","Name","Category","Active","Default","Length (min)",
+    "Counts As Paid Time","Counts As Work Time","Agent Time Off Selectable",
+  ];
+
+  const resp  = await genesysGet(region, token, "/api/v2/workforcemanagement/businessunits");
+  const units = resp.entities || [];
+
+  const buRows = [];
+  const muRows = [];
+  const acRows = [];
+  // Management units and activity codes are read per business unit; one that
+  // cannot be read makes its sheet an error rather than quietly short.
+  const failed = {};
+  const fail = (sheet, err) => { failed[sheet] = failed[sheet] || { error: err.message, status: err.status }; };
+
+  await forEachLimited(units, async (bu) => {
+    const [detailResp, musResp, codesResp] = await Promise.allSettled([
+      genesysGet(region, token, `/api/v2/workforcemanagement/businessunits/${bu.id}?expand=settings`),
+      genesysGet(region, token, `/api/v2/workforcemanagement/businessunits/${bu.id}/managementunits`),
+      genesysGet(region, token, `/api/v2/workforcemanagement/businessunits/${bu.id}/activitycodes`),
+    ]);
+    const detail = detailResp.status === "fulfilled" ? detailResp.value : bu;
+    const mus    = musResp.status === "fulfilled" ? (musResp.value.entities || []) : [];
+    if (musResp.status === "rejected") fail("managementUnits", musResp.reason);
+
+    buRows.push([
+      bu.id, bu.name, detail.division?.name || bu.division?.name || "",
+      detail.settings?.timeZone || "", detail.settings?.startDayOfWeek || "",
+      musResp.status === "fulfilled" ? mus.length : "",
+    ]);
+
+    for (const mu of mus) {
+      let m = mu;
+      try {
+        m = await genesysGet(region, token, `/api/v2/workforcemanagement/managementunits/${mu.id}?expand=settings`);
+      } catch (_) { /* the list's fields */ }
+      const adherence = m.settings?.adherence || {};
+      muRows.push([
+        bu.name, mu.id, mu.name, m.division?.name || "",
+        m.settings?.timeZone || m.timeZone || "",
+        m.settings?.startDayOfWeek || m.startDayOfWeek || "",
+        adherence.adherenceTargetPercent ?? "",
+        adherence.severeAlertThresholdMinutes ?? "",
+      ]);
+    }
+
+    if (codesResp.status === "rejected") {
+      fail("activityCodes", codesResp.reason);
+      return;
+    }
+    for (const c of codesResp.value.entities || []) {
+      acRows.push([
+        bu.name, c.id, c.name, c.category || "",
+        c.active ?? "", c.defaultCode ?? "", c.lengthInMinutes ?? "",
+        c.countsAsPaidTime ?? "", c.countsAsWorkTime ?? "", c.agentTimeOffSelectable ?? "",
+      ]);
+    }
+  });
+
+  return {
+    businessUnits:   { headers: buHeaders, rows: buRows },
+    managementUnits: failed.managementUnits || { headers: muHeaders, rows: muRows },
+    activityCodes:   failed.activityCodes   || { headers: acHeaders, rows: acRows },
+  };
+}
+
+async function fetchEvaluationForms(region, token) {
+  const headers = ["ID","Name","Published","Last Modified","Question Groups","Question Count"];
+  const forms = await genesysGetAllPages(region, token, "/api/v2/quality/forms/evaluations", 100);
+
+  // The list leaves out the questions; each form's own GET has them.
+  const rows = [];
+  await forEachLimited(forms, async (f) => {
+    let groups = null;
+    try {
+      const detail = await genesysGet(region, token, `/api/v2/quality/forms/evaluations/${f.id}`);
+      groups = detail.questionGroups || [];
+    } catch (_) { /* counts left blank */ }
+    rows.push([
+      f.id, f.name,
+      f.published != null ? (f.published ? "True" : "False") : "",
+      f.modifiedDate ? formatTs(new Date(f.modifiedDate)) : "",
+      groups ? joinArr(groups, "name") : "",
+      groups ? groups.reduce((n, g) => n + (g.questions || []).length, 0) : "",
+    ]);
+  });
+
+  return { headers, rows };
+}
+
+async function fetchKnowledgeBases(region, token) {
+  const headers = ["ID","Name","Description","Core Language","Article Count","Published","Date Modified"];
+  // Cursor-paginated (nextUri), max pageSize 100.
+  const bases = await genesysGetAllPagesCursor(region, token, "/api/v2/knowledge/knowledgebases", 100);
+  const rows = bases.map((kb) => [
+    kb.id, kb.name, kb.description || "", kb.coreLanguage || "",
+    kb.articleCount ?? "",
+    kb.published != null ? (kb.published ? "True" : "False") : "",
+    kb.dateModified ? formatTs(new Date(kb.dateModified)) : "",
+  ]);
+  return { headers, rows };
+}
+
+async function fetchSpeechAnalytics(region, token) {
+  const topicHeaders = [
+    "ID","Name","Description","Dialect","Published","Strictness","Participants",
+    "Phrase Count","Program Count","Tags",
+  ];
+  const programHeaders = ["ID","Name","Description","Published","Topics","Tags","Date Modified"];
+
+  // Both cursor-paginated (nextUri). Programs without topics are worth
+  // knowing about, so one failing leaves the other's sheet alone.
+  const [topicsResp, programsResp] = await Promise.allSettled([
+    genesysGetAllPagesCursor(region, token, "/api/v2/speechandtextanalytics/topics"),
+    genesysGetAllPagesCursor(region, token, "/api/v2/speechandtextanalytics/programs"),
+  ]);
+  const failure = (resp) => ({ error: resp.reason.message, status: resp.reason.status });
+
+  const topics = topicsResp.status === "rejected" ? failure(topicsResp) : {
+    headers: topicHeaders,
+    rows: topicsResp.value.map((t) => [
+      t.id, t.name, t.description || "", t.dialect || "",
+      t.published != null ? (t.published ? "True" : "False") : "",
+      t.strictness || "", t.participants || "",
+      (t.phrases || []).length, t.programsCount ?? "",
+      joinArr(t.tags),
+    ]),
+  };
+  const programs = programsResp.status === "rejected" ? failure(programsResp) : {
+    headers: programHeaders,
+    rows: programsResp.value.map((p) => [
+      p.id, p.name, p.description || "",
+      p.published != null ? (p.published ? "True" : "False") : "",
+      joinArr(p.topics, "name"), joinArr(p.tags),
+      p.dateModified ? formatTs(new Date(p.dateModified)) : "",
+    ]),
+  };
+
+  return { topics, programs };
+}
+
+// ── Org-wide settings and schemas ──
+
+async function fetchRecordingSettings(region, token) {
+  // Org-wide recording settings, one per row. Recording (media retention)
+  // policies are the Policies sheet.
+  const headers = ["Setting","Value"];
+  const s = await genesysGet(region, token, "/api/v2/recording/settings");
+  const rows = [
+    ["Max Simultaneous Streams",                  s.maxSimultaneousStreams ?? ""],
+    ["Max Configurable Screen Recording Streams", s.maxConfigurableScreenRecordingStreams ?? ""],
+    ["Regional Recording Storage Enabled",        s.regionalRecordingStorageEnabled ?? ""],
+    ["Recording Playback URL TTL (min)",          s.recordingPlaybackUrlTtl ?? ""],
+    ["Recording Batch Download URL TTL (min)",    s.recordingBatchDownloadUrlTtl ?? ""],
+  ];
+  return { headers, rows };
+}
+
+async function fetchUtilization(region, token) {
+  const headers = ["Type","Name","Maximum Capacity","Interruptible By","Include Non-ACD"];
+  const u = await genesysGet(region, token, "/api/v2/routing/utilization");
+
+  // Label-based utilization is optional — orgs without it have no labels.
+  let labelMap = {};
+  try {
+    const labels = await genesysGetAllPages(region, token, "/api/v2/routing/utilization/labels", 100);
+    for (const l of labels) labelMap[l.id] = l.name;
+  } catch (_) { /* skip */ }
+
+  const rows = [];
+  for (const [mediaType, m] of Object.entries(u.utilization || {})) {
+    rows.push([
+      "Media Type", mediaType, m.maximumCapacity ?? "",
+      joinArr(m.interruptableMediaTypes), m.includeNonAcd ?? "",
+    ]);
+  }
+  for (const [labelId, l] of Object.entries(u.labelUtilizations || {})) {
+    rows.push([
+      "Label", labelMap[labelId] || labelId, l.maximumCapacity ?? "",
+      (l.interruptingLabelIds || []).map((id) => labelMap[id] || id).join(", "), "",
+    ]);
+  }
+  return { headers, rows };
+}
+
+async function fetchExternalContactSchemas(region, token) {
+  const headers = ["Entity","Schema","Version","Field","Title","Type","Required","Description"];
+
+  const [contactsResp, orgsResp] = await Promise.allSettled([
+    genesysGet(region, token, "/api/v2/externalcontacts/contacts/schemas"),
+    genesysGet(region, token, "/api/v2/externalcontacts/organizations/schemas"),
+  ]);
+  // Contacts are the sheet; organization schemas are extra.
+  if (contactsResp.status === "rejected") throw contactsResp.reason;
+
+  const rows = [];
+  const addSchemas = (entity, resp) => {
+    for (const schema of resp.entities || []) {
+      const js       = schema.jsonSchema || {};
+      const required = new Set(js.required || []);
+      for (const [field, def] of Object.entries(js.properties || {})) {
+        // The type is a $ref into the schema's definitions: "#/definitions/text" → "text".
+        const ref = (def.allOf || []).map((a) => a.$ref).find(Boolean) || def.$ref || "";
+        rows.push([
+          entity, schema.name || js.title || schema.id, schema.version ?? "",
+          field, def.title || "", ref.split("/").pop() || def.type || "",
+          required.has(field), def.description || "",
+        ]);
+      }
+    }
+  };
+  addSchemas("Contact", contactsResp.value);
+  if (orgsResp.status === "fulfilled") addSchemas("Organization", orgsResp.value);
+
+  return { headers, rows };
+}
+
 // ─────────────────────────────────────────────────────────
 // Data Tables Contents workbook
 // ─────────────────────────────────────────────────────────
@@ -1830,18 +2093,15 @@ function uniqueSheetName(rawName, used) {
   return fallback;
 }
 
-async function buildDataTablesWorkbook(region, token, orgName, tsStr, context) {
-  const dtWb = XLSX.utils.book_new();
-  const dtInventory = [];
-  const usedNames = new Set();
-  let sheetsAdded = 0;
-
-  const tables = await genesysGetAllPages(
-    region, token,
-    "/api/v2/flows/datatables?expand=schema",
-    100
-  );
+async function fetchDataTableList(region, token) {
+  return genesysGetAllPages(region, token, "/api/v2/flows/datatables?expand=schema", 100);
+}
 
+/**
+ * Every table's rows, fetched in parallel.
+ * @returns {Promise<PromiseSettledResult<{ table, colHeaders, allRows }>[]>}
+ */
+async function fetchDataTableRows(region, token, tables, context) {
   context?.log(`[dt] ${tables.length} data table(s) to fetch`);
   memMark(context, "before data table row fetch");
 
@@ -1869,21 +2129,34 @@ async function buildDataTablesWorkbook(region, token, orgName, tsStr, context) {
     .map((r) => `${r.value.table.name || r.value.table.id}=${r.value.allRows.length}`);
   context?.log(`[dt] row counts: ${counts.join(", ")}`);
   memMark(context, "after data table row fetch");
+  return tableResults;
+}
+
+/** A data table row as cells under `colHeaders`; objects as JSON. */
+function dataTableCells(row, colHeaders) {
+  return colHeaders.map((col) => {
+    const v = row[col];
+    if (v == null) return "";
+    if (typeof v === "object") return JSON.stringify(v);
+    return v;
+  });
+}
+
+async function buildDataTablesWorkbook(region, token, orgName, tsStr, context) {
+  const dtWb = XLSX.utils.book_new();
+  const dtInventory = [];
+  const usedNames = new Set();
+  let sheetsAdded = 0;
+
+  const tables       = await fetchDataTableList(region, token);
+  const tableResults = await fetchDataTableRows(region, token, tables, context);
 
   for (const result of tableResults) {
     if (result.status !== "fulfilled") continue;
     const { table, colHeaders, allRows } = result.value;
     const sheetName = uniqueSheetName(table.name || table.id, usedNames);
 
-    const wsData = [
-      colHeaders,
-      ...allRows.map((row) => colHeaders.map((col) => {
-        const v = row[col];
-        if (v == null) return "";
-        if (typeof v === "object") return JSON.stringify(v);
-        return v;
-      })),
-    ];
+    const wsData = [colHeaders, ...allRows.map((row) => dataTableCells(row, colHeaders))];
 
     // One unwritable table must not cost the whole workbook — record it in the
     // index and carry on.
@@ -1910,11 +2183,286 @@ async function buildDataTablesWorkbook(region, token, orgName, tsStr, context) {
   return dtWb;
 }
 
+// ─────────────────────────────────────────────────────────
+// Sheets
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Every configuration sheet and the fetch behind it. A fetch that feeds several
+ * sheets returns one { headers, rows } per sheet; `sheets` maps each sheet name
+ * to its key in that result. Only the fetches behind the selected sheets run.
+ */
+const SOURCES = [
+  { fetch: fetchAgentCopilots, sheets: { "Agent Copilots": "copilots", "Agent Copilots - Rules": "rules" } },
+  { fetch: fetchDBSchemas,     sheets: "DB Schemas" },
+  { fetch: fetchDIDNumbers,    sheets: "DID Numbers" },
+  { fetch: fetchDIDPools,      sheets: "DID Pools" },
+  { fetch: fetchDataActions,   sheets: "Data Actions" },
+  { fetch: fetchEmail,         sheets: { "Email Addresses": "addresses", "Email Domains": "domains" } },
+  { fetch: fetchFlowOutcomes,  sheets: "Flow Outcomes" },
+  { fetch: fetchFlows,         sheets: "Flows" },
+  { fetch: fetchExternalContactSchemas, sheets: "External Contacts - Schema" },
+  { fetch: fetchIntegrations,  sheets: "Integrations" },
+  { fetch: fetchKnowledgeBases, sheets: "Knowledge Bases" },
+  { fetch: fetchMessengerConfigurations, sheets: "Messenger Configurations" },
+  { fetch: fetchMessengerDeployments,    sheets: "Messenger Deployments" },
+  { fetch: fetchFlowMilestones,          sheets: "Milestones" },
+  { fetch: fetchOBAttemptLimits,         sheets: "OB - Attempt Controls" },
+  { fetch: fetchOBCallAnalysis,          sheets: "OB - Call Analysis" },
+  { fetch: fetchOBCampaignRules,         sheets: "OB - Campaign Rules" },
+  { fetch: fetchOBCampaigns,             sheets: "OB - Campaigns" },
+  { fetch: fetchOBContactListFilters,    sheets: "OB - Contact List Filters" },
+  { fetch: fetchOBContactListTemplates,  sheets: "OB - Contact List Templates" },
+  { fetch: fetchOBContactLists,          sheets: "OB - Contact Lists" },
+  { fetch: fetchOBCallableTimeSets,      sheets: "OB - Contactable Time Sets" },
+  { fetch: fetchOBSettings,              sheets: "OB - Settings" },
+  {
+    fetch: fetchOAuthClients,
+    sheets: {
+      "OAuth - CLIENT-CREDENTIALS": "clientCredentials",
+      "OAuth - CODE":               "code",
+      "OAuth - PASSWORD":           "password",
+      "OAuth - SAML2-BEARER":       "saml2",
+      "OAuth - TOKEN":              "token",
+    },
+  },
+  { fetch: fetchPolicies,        sheets: "Policies" },
+  { fetch: fetchEvaluationForms, sheets: "Quality - Evaluation Forms" },
+  { fetch: fetchQueues,          sheets: "Queues" },
+  { fetch: fetchRecordingSettings, sheets: "Recording - Settings" },
+  { fetch: fetchCallRouting,     sheets: "Routing - Calls" },
+  { fetch: fetchMessageRouting,  sheets: "Routing - Messaging" },
+  { fetch: fetchScheduleGroups,  sheets: "Schedule Groups" },
+  { fetch: fetchSchedules,       sheets: "Schedules" },
+  {
+    fetch: fetchSites,
+    sheets: { "Sites": "sites", "Sites - Number Plans": "numberPlans", "Sites - Outbound Routes": "outboundRoutes" },
+  },
+  { fetch: fetchSpeechAnalytics, sheets: { "Speech - Programs": "programs", "Speech - Topics": "topics" } },
+  { fetch: fetchTriggers,    sheets: "Triggers" },
+  { fetch: fetchTrunks,      sheets: "Trunks" },
+  { fetch: fetchUserPrompts, sheets: "User Prompts" },
+  { fetch: fetchUsers,       sheets: "Users" },
+  { fetch: fetchUtilization, sheets: "Utilization" },
+  {
+    fetch: fetchWfm,
+    sheets: {
+      "WFM - Activity Codes":   "activityCodes",
+      "WFM - Business Units":   "businessUnits",
+      "WFM - Management Units": "managementUnits",
+    },
+  },
+  { fetch: fetchWrapupCodes, sheets: "Wrapup Codes" },
+];
+
+function sheetsOf(src) {
+  return typeof src.sheets === "string" ? [src.sheets] : Object.keys(src.sheets);
+}
+
+/** All 52 sheet names, in workbook order. */
+const SHEETS = SOURCES.flatMap(sheetsOf)
+  .sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
+
+const CANCELLED = { success: false, cancelled: true, error: "Export cancelled" };
+const CANCEL_POLL_MS = 1000;
+
+/**
+ * `promise`'s value, or null as soon as `isCancelled()` turns true. Requests
+ * already sent are not aborted — their results are dropped.
+ */
+async function untilCancelled(promise, isCancelled) {
+  if (!isCancelled) return promise;
+  let timer;
+  const cancelled = new Promise((resolve) => {
+    timer = setInterval(() => { if (isCancelled()) resolve(null); }, CANCEL_POLL_MS);
+  });
+  try {
+    return await Promise.race([promise, cancelled]);
+  } finally {
+    clearInterval(timer);
+  }
+}
+
+// ─────────────────────────────────────────────────────────
+// HTML site (exportConfig.output "site")
+// ─────────────────────────────────────────────────────────
+
+/**
+ * Collects a relation read per object, and what could not be read: one line per
+ * kind, since a missing permission fails every object alike.
+ */
+function relationReader(total) {
+  const edges = [];
+  const failed = {}; // kind → { count, message }
+  return {
+    edges,
+    fail(kind, err) {
+      failed[kind] = failed[kind] || { count: 0, message: err.message };
+      failed[kind].count++;
+    },
+    errors: () => Object.entries(failed).map(([kind, f]) => `${kind} not read for ${f.count} of ${total}: ${f.message}`),
+  };
+}
+
+/**
+ * Each queue's wrap-up codes and members — two calls per queue, which is why
+ * only the site reads them.
+ * @returns {Promise<{ edges: Object[], errors: string[] }>}
+ */
+async function fetchQueueRelations(region, token, queueIds) {
+  const read = relationReader(`${queueIds.length} queues`);
+  await forEachLimited(queueIds, async (queueId) => {
+    const from = { sheet: "Queues", key: queueId };
+    const [codes, members] = await Promise.allSettled([
+      genesysGetAllPages(region, token, `/api/v2/routing/queues/${queueId}/wrapupcodes`, 100),
+      genesysGetAllPages(region, token, `/api/v2/routing/queues/${queueId}/members`, 100),
+    ]);
+    if (codes.status === "fulfilled") {
+      for (const c of codes.value) {
+        read.edges.push({ from, to: { sheet: "Wrapup Codes", name: c.name }, label: "Wrap-up codes", back: "Queues" });
+      }
+    } else {
+      read.fail("Queue wrap-up codes", codes.reason);
+    }
+    if (members.status === "fulfilled") {
+      for (const m of members.value) {
+        read.edges.push({ from, to: { sheet: "Users", key: m.id, name: m.name }, label: "Members", back: "Queues" });
+      }
+    } else {
+      read.fail("Queue members", members.reason);
+    }
+  });
+  return { edges: read.edges, errors: read.errors() };
+}
+
+/**
+ * The flows that use each data table, from Architect dependency tracking.
+ * @returns {Promise<{ edges: Object[], errors: string[] }>}
+ */
+async function fetchDataTableConsumers(region, token, tables) {
+  const read = relationReader(`${tables.length} data tables`);
+  await forEachLimited(tables, async (table) => {
+    try {
+      const consumers = await genesysGetAllPages(
+        region, token,
+        `/api/v2/architect/dependencytracking/consumingresources?id=${table.id}&objectType=DATATABLE`,
+        100
+      );
+      for (const c of consumers.filter((c) => /FLOW$/.test(c.type || ""))) {
+        read.edges.push({
+          from: { sheet: "Flows", name: c.name }, to: { sheet: "Data Tables", key: table.id, name: table.name },
+          label: "Data tables", back: "Used by flows",
+        });
+      }
+    } catch (err) {
+      read.fail("Data table usage", err);
+    }
+  });
+  return { edges: read.edges, errors: read.errors() };
+}
+
+/**
+ * The site for the fetched sheets, plus a Data Tables type — its contents only
+ * when includeDataTables — and the relations its links need.
+ * @returns {Promise<{ buffer: Buffer, pages: number, notes: string[] }|Object>} or CANCELLED
+ */
+async function buildSiteExport(context, { region, token, customer, results, includeDataTables, hooks, tsStr, folder }) {
+  const sheets    = { ...results };
+  const relations = [];
+  const details   = { "Data Tables": {} };
+  const notes     = [];
+  const usable    = (name) => results[name] && !results[name].error;
+
+  // The list of data tables always — flows link to them — their rows if asked.
+  if (hooks.isCancelled?.()) return CANCELLED;
+  if (includeDataTables) hooks.onDataTables?.({ status: "running" });
+  let tables = [];
+  try {
+    tables = await untilCancelled(fetchDataTableList(region, token), hooks.isCancelled);
+    if (!tables) return CANCELLED;
+    const contents = {};
+    if (includeDataTables) {
+      const settled = await untilCancelled(fetchDataTableRows(region, token, tables, context), hooks.isCancelled);
+      if (!settled) return CANCELLED;
+      for (const r of settled) if (r.status === "fulfilled") contents[r.value.table.id] = r.value;
+      hooks.onDataTables?.({ status: tables.length ? "data" : "empty", tables: tables.length });
+    }
+    sheets["Data Tables"] = {
+      headers: ["ID", "Name", "Division", "Description", "Columns", ...(includeDataTables ? ["Rows"] : [])],
+      rows: tables.map((t) => {
+        const cols = Object.keys(t.schema?.properties || {});
+        const row = [t.id, t.name || "", t.division?.name || "", t.description || "", cols.join(", ")];
+        if (includeDataTables) row.push(contents[t.id] ? contents[t.id].allRows.length : "");
+        return row;
+      }),
+    };
+    for (const { table, colHeaders, allRows } of Object.values(contents)) {
+      details["Data Tables"][table.id] = [{
+        title: "Contents", headers: colHeaders, rows: allRows.map((row) => dataTableCells(row, colHeaders)),
+      }];
+    }
+  } catch (err) {
+    sheets["Data Tables"] = { error: err.message };
+    if (includeDataTables) hooks.onDataTables?.({ status: "error", error: err.message });
+  }
+
+  // Relations, for the links no sheet holds. Each is read only when the sheet
+  // it hangs off was exported.
+  const reads = [];
+  if (usable("Queues")) {
+    const idCol = results.Queues.headers.indexOf("Queue ID");
+    reads.push(fetchQueueRelations(region, token, results.Queues.rows.map((r) => r[idCol]).filter(Boolean)));
+  }
+  if (usable("Flows") && tables.length) reads.push(fetchDataTableConsumers(region, token, tables));
+  if (reads.length) {
+    context.log(`[site] reading relations (${reads.length} kind(s))…`);
+    const read = await untilCancelled(Promise.all(reads), hooks.isCancelled);
+    if (!read) return CANCELLED;
+    for (const { edges, errors } of read) {
+      for (const e of edges) relations.push(e);
+      for (const e of errors) notes.push(e);
+    }
+  }
+  if (sheets["Data Tables"].error) notes.push(`data tables not read: ${sheets["Data Tables"].error}`);
+
+  memMark(context, "before site build");
+  const { buffer, pages } = await buildSite({
+    folder,
+    orgName: customer.name,
+    generatedAt: tsStr,
+    sheets,
+    descriptions: { ...SHEET_DESCRIPTIONS, "Data Tables": "Architect data tables, with the flows that use them" },
+    relations,
+    details,
+  });
+  return { buffer, pages, notes };
+}
+
+/** "Acme: 40 sheets OK, 1 empty, 1 errors", and how many were selected when not all. */
+function sheetSummary(orgName, selected, results) {
+  const ok     = selected.filter((n) => !results[n].error && results[n].rows.length).length;
+  const errors = selected.filter((n) => results[n].error).length;
+  let summary  = `${orgName}: ${ok} sheets OK, ${selected.length - ok - errors} empty, ${errors} errors`;
+  if (selected.length < SHEETS.length) summary += ` (${selected.length} of ${SHEETS.length} sheets selected)`;
+  return summary;
+}
+
 // ─────────────────────────────────────────────────────────
 // Entry point
 // ─────────────────────────────────────────────────────────
 
-async function execute(context, schedule) {
+/**
+ * @param {Object} context
+ * @param {Object} schedule   { exportConfig: { orgId, sheets?, includeDataTables?, output? } }
+ * @param {Object} [hooks]    what an export job (api/doc-export) listens with:
+ *   onSheet(name, { status: "data"|"empty"|"error", rows?, error?, httpStatus? })
+ *                            as each sheet's fetch settles
+ *   onDataTables({ status: "running"|"data"|"empty"|"error", tables?, error? })
+ *   isCancelled() → boolean  checked while fetching; when it turns true the
+ *                            export stops waiting, builds nothing and returns
+ *                            { success: false, cancelled: true }
+ */
+async function execute(context, schedule, hooks = {}) {
   const config = schedule?.exportConfig || {};
   const orgId  = config.orgId;
   // Opt-out, not opt-in: callers that say nothing still get the DataTables
@@ -1924,6 +2472,16 @@ async function execute(context, schedule) {
 
   if (!orgId) return { success: false, error: "No orgId specified in exportConfig" };
 
+  // Likewise every sheet unless the config names some.
+  const unknownSheets = (config.sheets || []).filter((name) => !SHEETS.includes(name));
+  if (unknownSheets.length) return { success: false, error: `Unknown sheets: ${unknownSheets.join(", ")}` };
+  const selected = config.sheets ? SHEETS.filter((name) => config.sheets.includes(name)) : SHEETS;
+  if (!selected.length) return { success: false, error: "No sheets selected" };
+
+  // Scheduled exports saved before the site existed say nothing: the workbook.
+  const output = config.output || "workbook";
+  if (!OUTPUTS.includes(output)) return { success: false, error: `Unknown output: ${output} (use ${OUTPUTS.join(" or ")})` };
+
   const customer = customers.find((c) => c.id === orgId);
   if (!customer)  return { success: false, error: `Unknown org: ${orgId}` };
 
@@ -1949,68 +2507,55 @@ async function execute(context, schedule) {
   const tsFile = tsForFilename(now);
   const safeOrg = customer.name.replace(/[^a-zA-Z0-9_-]/g, "_");
 
-  // ── Fire all top-level fetches in parallel ──
-
-  context.log("Fetching all Genesys data in parallel…");
-
-  const [
-    queuesR, usersR, callRoutingR, wrapupR, triggersR, trunksR,
-    dataActionsR, integrationsR, didPoolsR, didNumsR, policiesR,
-    dbSchemasR, flowOutcomesR, milestonesR, flowsR, msgRoutingR,
-    messengerConfigsR, messengerDeployR, schedulesR, schedGroupsR,
-    promptsR, emailR, sitesR, agentCopilotsR, oauthR,
-    obCampaignsR, obAttemptR, obCallableTimeR, obCallAnalysisR,
-    obCampaignRulesR, obContactListFiltersR, obContactListsR,
-    obContactListTemplatesR, obSettingsR,
-  ] = await Promise.allSettled([
-    safe(() => fetchQueues(region, token)),
-    safe(() => fetchUsers(region, token)),
-    safe(() => fetchCallRouting(region, token)),
-    safe(() => fetchWrapupCodes(region, token)),
-    safe(() => fetchTriggers(region, token)),
-    safe(() => fetchTrunks(region, token)),
-    safe(() => fetchDataActions(region, token)),
-    safe(() => fetchIntegrations(region, token)),
-    safe(() => fetchDIDPools(region, token)),
-    safe(() => fetchDIDNumbers(region, token)),
-    safe(() => fetchPolicies(region, token)),
-    safe(() => fetchDBSchemas(region, token)),
-    safe(() => fetchFlowOutcomes(region, token)),
-    safe(() => fetchFlowMilestones(region, token)),
-    safe(() => fetchFlows(region, token)),
-    safe(() => fetchMessageRouting(region, token)),
-    safe(() => fetchMessengerConfigurations(region, token)),
-    safe(() => fetchMessengerDeployments(region, token)),
-    safe(() => fetchSchedules(region, token)),
-    safe(() => fetchScheduleGroups(region, token)),
-    safe(() => fetchUserPrompts(region, token)),
-    safe(() => fetchEmail(region, token)),
-    safe(() => fetchSites(region, token)),
-    safe(() => fetchAgentCopilots(region, token)),
-    safe(() => fetchOAuthClients(region, token)),
-    safe(() => fetchOBCampaigns(region, token)),
-    safe(() => fetchOBAttemptLimits(region, token)),
-    safe(() => fetchOBCallableTimeSets(region, token)),
-    safe(() => fetchOBCallAnalysis(region, token)),
-    safe(() => fetchOBCampaignRules(region, token)),
-    safe(() => fetchOBContactListFilters(region, token)),
-    safe(() => fetchOBContactLists(region, token)),
-    safe(() => fetchOBContactListTemplates(region, token)),
-    safe(() => fetchOBSettings(region, token)),
-  ]);
+  // ── Fire the selected sheets' fetches in parallel ──
 
-  context.log("All fetches complete — building workbook…");
+  context.log(`Fetching ${selected.length} sheet(s) in parallel…`);
+
+  const inventory = []; // [{name, status}] for cover sheet
+  const results   = {}; // sheet → { headers, rows } | { error, status }
+  const sources   = SOURCES.filter((src) => sheetsOf(src).some((name) => selected.includes(name)));
+
+  const fetches = Promise.allSettled(sources.map(async (src) => {
+    const data = await safe(() => src.fetch(region, token));
+    for (const name of sheetsOf(src).filter((n) => selected.includes(n))) {
+      const sheet = data.error ? data : (typeof src.sheets === "string" ? data : data[src.sheets[name]]);
+      results[name] = sheet;
+      hooks.onSheet?.(name, sheet.error
+        ? { status: "error", error: sheet.error, httpStatus: sheet.status || null }
+        : { status: sheet.rows.length ? "data" : "empty", rows: sheet.rows.length });
+    }
+  }));
+  if (!(await untilCancelled(fetches, hooks.isCancelled))) return CANCELLED;
 
-  // Helper: unwrap a PromiseSettledResult → value or error object
-  const val = (r) => r.status === "fulfilled" ? r.value : { error: r.reason?.message || String(r.reason) };
+  // ── HTML site ──
+
+  if (output === "site") {
+    context.log("All fetches complete — building site…");
+    const site = await buildSiteExport(context, {
+      region, token, customer, results, includeDataTables, hooks, tsStr,
+      folder: `Documentation_${safeOrg}_${tsFile}`,
+    });
+    if (site === CANCELLED) return CANCELLED;
+    let summary = `${sheetSummary(customer.name, selected, results)} — HTML site, ${site.pages} pages`;
+    if (site.notes.length) summary += ` — ${site.notes.join("; ")}`;
+    context.log(`Documentation site complete — ${summary}`);
+    return {
+      success:  true,
+      filename: `Documentation_Site_${safeOrg}_${tsFile}.zip`,
+      base64:   site.buffer.toString("base64"),
+      mimeType: ZIP_MIME,
+      summary,
+    };
+  }
+
+  context.log("All fetches complete — building workbook…");
 
   // ── Build main workbook ──
 
-  const wb        = XLSX.utils.book_new();
-  const inventory = []; // [{name, status}] for cover sheet
+  const wb = XLSX.utils.book_new();
 
-  const addSheet = (name, result) => {
-    const data = val(result);
+  for (const name of selected) {
+    const data = results[name];
     if (data.error) {
       // Error: create a styled error sheet (matching Python's create_error_sheet)
       createErrorSheet(wb, safeSheet(name), data.error, tsStr);
@@ -2019,101 +2564,19 @@ async function execute(context, schedule) {
       // and needs fixing at the client, a 408/500 is transient. Telling them
       // apart previously meant opening the workbook.
       context.log(`[sheet] error — ${name}: ${data.error}`);
-    } else {
-      const { headers, rows } = data;
-      if (rows.length === 0) {
-        // No data: omit the sheet entirely and exclude from the index
-        return;
-      }
-      // Sort rows alphabetically by first column (Name) to match Python output
-      rows.sort((a, b) => String(a[0] || "").localeCompare(String(b[0] || ""), undefined, { sensitivity: "base" }));
-      addStyledSheet(wb, [headers, ...rows], safeSheet(name));
-      inventory.push({ name, status: "data" });
+      continue;
     }
-  };
-
-  // Sheets in alphabetical order (Python sorts before inserting Index)
-
-  // Agent Copilots — two sub-sheets from one fetch
-  const acData = val(agentCopilotsR);
-  if (acData.error) {
-    addSheet("Agent Copilots",         { status: "rejected", reason: { message: acData.error } });
-    addSheet("Agent Copilots - Rules", { status: "rejected", reason: { message: acData.error } });
-  } else {
-    addSheet("Agent Copilots",         { status: "fulfilled", value: acData.copilots });
-    addSheet("Agent Copilots - Rules", { status: "fulfilled", value: acData.rules    });
-  }
-
-  addSheet("DB Schemas",              dbSchemasR);
-  addSheet("DID Numbers",             didNumsR);
-  addSheet("DID Pools",               didPoolsR);
-  addSheet("Data Actions",            dataActionsR);
-
-  // Email — two sub-sheets
-  const emailData = val(emailR);
-  if (emailData.error) {
-    addSheet("Email Addresses", { status: "rejected", reason: { message: emailData.error } });
-    addSheet("Email Domains",   { status: "rejected", reason: { message: emailData.error } });
-  } else {
-    addSheet("Email Addresses", { status: "fulfilled", value: emailData.addresses });
-    addSheet("Email Domains",   { status: "fulfilled", value: emailData.domains   });
-  }
-
-  addSheet("Flow Outcomes",            flowOutcomesR);
-  addSheet("Flows",                    flowsR);
-  addSheet("Integrations",             integrationsR);
-  addSheet("Messenger Configurations", messengerConfigsR);
-  addSheet("Messenger Deployments",    messengerDeployR);
-  addSheet("Milestones",               milestonesR);
-  addSheet("OB - Attempt Controls",    obAttemptR);
-  addSheet("OB - Call Analysis",       obCallAnalysisR);
-  addSheet("OB - Campaign Rules",      obCampaignRulesR);
-  addSheet("OB - Campaigns",           obCampaignsR);
-  addSheet("OB - Contact List Filters",obContactListFiltersR);
-  addSheet("OB - Contact List Templates", obContactListTemplatesR);
-  addSheet("OB - Contact Lists",       obContactListsR);
-  addSheet("OB - Contactable Time Sets",obCallableTimeR);
-  addSheet("OB - Settings",            obSettingsR);
-
-  // OAuth — five sub-sheets
-  const oauthData = val(oauthR);
-  if (oauthData.error) {
-    for (const sub of ["OAuth - CLIENT-CREDENTIALS","OAuth - CODE","OAuth - PASSWORD","OAuth - SAML2-BEARER","OAuth - TOKEN"]) {
-      addSheet(sub, { status: "rejected", reason: { message: oauthData.error } });
+    const { headers, rows } = data;
+    if (rows.length === 0) {
+      // No data: omit the sheet entirely and exclude from the index
+      continue;
     }
-  } else {
-    addSheet("OAuth - CLIENT-CREDENTIALS", { status: "fulfilled", value: oauthData.clientCredentials });
-    addSheet("OAuth - CODE",               { status: "fulfilled", value: oauthData.code     });
-    addSheet("OAuth - PASSWORD",           { status: "fulfilled", value: oauthData.password });
-    addSheet("OAuth - SAML2-BEARER",       { status: "fulfilled", value: oauthData.saml2    });
-    addSheet("OAuth - TOKEN",              { status: "fulfilled", value: oauthData.token     });
-  }
-
-  addSheet("Policies",         policiesR);
-  addSheet("Queues",           queuesR);
-  addSheet("Routing - Calls",  callRoutingR);
-  addSheet("Routing - Messaging", msgRoutingR);
-  addSheet("Schedule Groups",  schedGroupsR);
-  addSheet("Schedules",        schedulesR);
-
-  // Sites — three sub-sheets
-  const sitesData = val(sitesR);
-  if (sitesData.error) {
-    addSheet("Sites",                   { status: "rejected", reason: { message: sitesData.error } });
-    addSheet("Sites - Number Plans",    { status: "rejected", reason: { message: sitesData.error } });
-    addSheet("Sites - Outbound Routes", { status: "rejected", reason: { message: sitesData.error } });
-  } else {
-    addSheet("Sites",                   { status: "fulfilled", value: sitesData.sites          });
-    addSheet("Sites - Number Plans",    { status: "fulfilled", value: sitesData.numberPlans    });
-    addSheet("Sites - Outbound Routes", { status: "fulfilled", value: sitesData.outboundRoutes });
+    // Sort rows alphabetically by first column (Name) to match Python output
+    rows.sort((a, b) => String(a[0] || "").localeCompare(String(b[0] || ""), undefined, { sensitivity: "base" }));
+    addStyledSheet(wb, [headers, ...rows], safeSheet(name));
+    inventory.push({ name, status: "data" });
   }
 
-  addSheet("Triggers",      triggersR);
-  addSheet("Trunks",        trunksR);
-  addSheet("User Prompts",  promptsR);
-  addSheet("Users",         usersR);
-  addSheet("Wrapup Codes",  wrapupR);
-
   // Sort sheets alphabetically — controls tab order in the Excel file.
   // Index is inserted at position 0 after sorting, so it is not included here.
   wb.SheetNames.sort((a, b) => a.localeCompare(b, undefined, { sensitivity: "base" }));
@@ -2132,19 +2595,23 @@ async function execute(context, schedule) {
   let dtError    = null;
   try {
     if (includeDataTables) {
-      dtWorkbook = await buildDataTablesWorkbook(region, token, customer.name, tsStr, context);
+      if (hooks.isCancelled?.()) return CANCELLED;
+      hooks.onDataTables?.({ status: "running" });
+      dtWorkbook = await untilCancelled(
+        buildDataTablesWorkbook(region, token, customer.name, tsStr, context), hooks.isCancelled);
+      if (!dtWorkbook) return CANCELLED;
+      const tables = Math.max(dtWorkbook.SheetNames.length - 1, 0);
+      hooks.onDataTables?.({ status: tables ? "data" : "empty", tables });
     }
   } catch (err) {
     // Swallowing this used to drop the DataTables workbook — and with it the
     // ZIP — with nothing on screen to say so. Report it in the summary.
     dtError = err.message;
     context.log.warn(`DataTables workbook build failed: ${err.message}`);
+    hooks.onDataTables?.({ status: "error", error: err.message });
   }
 
-  const okeCount  = inventory.filter((i) => i.status === "data").length;
-  const errCount  = inventory.filter((i) => i.status === "error").length;
-  const skipCount = inventory.filter((i) => i.status === "skip").length;
-  let summary     = `${customer.name}: ${okeCount} sheets OK, ${skipCount} empty, ${errCount} errors`;
+  let summary = sheetSummary(customer.name, selected, results);
   if (!includeDataTables) {
     summary += " — data tables not requested";
   } else if (dtError) {
@@ -2188,4 +2655,10 @@ async function execute(context, schedule) {
   };
 }
 
-module.exports = { execute };
+module.exports = {
+  execute,
+  SHEETS,
+  OUTPUTS,
+  // The fetchers the config baseline re-reads on its own (lib/configDrift.js).
+  fetchQueues, fetchFlows, fetchDataActions, fetchOAuthClients, fetchTrunks,
+};
@@ -0,0 +1,164 @@
+/**
+ * Server-side Documentation Compare export — configuration drift.
+ *
+ * Runs the documentation export (exports/documentation.js, without data table
+ * contents) and compares its workbook, sheet by sheet, with one of:
+ *
+ *   baselineOrgId set   a documentation export of that org taken in the same
+ *                       run — a demo or reference org against the customer's
+ *   otherwise           this schedule's previous run, kept as a snapshot beside
+ *                       its run files (exportArtifactStore, kind
+ *                       "documentation") — what changed since the last run
+ *
+ * The comparison is lib/docDiff.js, the twin of the one Export › Documentation ›
+ * Compare uses in the browser, and the delivered workbook is the same: a Summary
+ * sheet, then each differing sheet's added, removed and changed rows with the
+ * changed cells highlighted.
+ *
+ * The first run against a previous run has nothing to compare with; it delivers
+ * the documentation workbook itself as the baseline. So does a run after the
+ * schedule's org was changed. The handler does not save the snapshot itself: it
+ * returns it as `baseline`, and the runner saves it once the run has been
+ * delivered, as it does for change-only delivery — a run that fails, times out
+ * or is retried leaves the previous snapshot in place, so its drift is reported
+ * again rather than compared away. Every delivered run, "Run now" included,
+ * replaces the snapshot.
+ *
+ * Requires:
+ *   schedule.exportConfig.orgId          — org under review
+ * Optional:
+ *   schedule.exportConfig.baselineOrgId  — org to compare against, instead of the previous run
+ *   schedule.exportConfig.ignoreIds      — leave id columns out of the comparison, "true" or
+ *                                          "false"; by default only against another org
+ *
+ * Returns:
+ *   { success, filename, base64, mimeType, summary, baseline?, error? }
+ *   baseline — { kind, snapshot } for exportArtifactStore.saveSnapshot, when
+ *              comparing with the previous run
+ */
+const customers = require("../customers.json");
+const XLSX = require("xlsx-js-style");
+const artifacts = require("../exportArtifactStore");
+const documentation = require("./documentation");
+const { readDocSheets, compareDocs, summaryText, buildDiffWorkbook } = require("../docDiff");
+
+const SNAPSHOT_KIND = "documentation";
+const SNAPSHOT_VERSION = 1;
+
+// ── Helpers ─────────────────────────────────────────────
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+function formatDateTime(iso) {
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return String(iso || "");
+  return d.toLocaleString("sv-SE", { timeZone: "Europe/Copenhagen", dateStyle: "short", timeStyle: "short" });
+}
+
+/** The org's documentation sheets, or throws with the export's own error. */
+async function documentationSheets(context, orgId) {
+  const result = await documentation.execute(context, { exportConfig: { orgId, includeDataTables: false } });
+  if (!result.success) throw new Error(result.error || "Documentation export failed");
+  return { result, sheets: readDocSheets(XLSX.read(Buffer.from(result.base64, "base64"), { type: "buffer" })) };
+}
+
+// ── Core export logic ───────────────────────────────────
+
+async function execute(context, schedule) {
+  const config = schedule?.exportConfig || {};
+  const orgId = config.orgId;
+  const baselineOrgId = config.baselineOrgId || "";
+
+  if (!orgId) {
+    return { success: false, error: "No orgId specified in export config" };
+  }
+
+  const customer = customers.find((c) => c.id === orgId);
+  if (!customer) {
+    return { success: false, error: `Unknown org: ${orgId}` };
+  }
+
+  const baselineCustomer = baselineOrgId ? customers.find((c) => c.id === baselineOrgId) : null;
+  if (baselineOrgId && !baselineCustomer) {
+    return { success: false, error: `Unknown baseline org: ${baselineOrgId}` };
+  }
+  if (baselineOrgId === orgId) {
+    return { success: false, error: "baselineOrgId must be a different org than orgId" };
+  }
+
+  // The schedule form stores "" (automatic), "true" or "false".
+  const ignoreIds = config.ignoreIds == null || config.ignoreIds === ""
+    ? !!baselineOrgId
+    : String(config.ignoreIds) === "true";
+  const generatedAt = new Date().toISOString();
+
+  context.log(`Documentation Compare for ${customer.name} (${orgId}) against ` +
+    (baselineCustomer ? `${baselineCustomer.name} (${baselineOrgId})` : "the previous run"));
+
+  try {
+    // Both orgs side by side: Genesys rate limits are per org, and the run has
+    // to fit inside the runner's job timeout.
+    const [current, baseline] = await Promise.all([
+      documentationSheets(context, orgId),
+      baselineCustomer ? documentationSheets(context, baselineOrgId) : null,
+    ]);
+
+    let before;
+    let beforeLabel;
+    let against;
+    let next = null;
+    if (baseline) {
+      before = baseline.sheets;
+      beforeLabel = `${baselineCustomer.name} — ${formatDateTime(generatedAt)}`;
+      against = baselineCustomer.name;
+    } else {
+      const previous = await artifacts.loadSnapshot(schedule.id, SNAPSHOT_KIND);
+      next = {
+        kind: SNAPSHOT_KIND,
+        snapshot: { v: SNAPSHOT_VERSION, orgId, generatedAt, sheets: current.sheets },
+      };
+
+      if (!previous || previous.v !== SNAPSHOT_VERSION || previous.orgId !== orgId) {
+        context.log("No previous run to compare with — delivering the documentation as the baseline");
+        return {
+          ...current.result,
+          summary: `${customer.name}: first run — this documentation is the baseline the next run is compared with`,
+          baseline: next,
+        };
+      }
+      before = previous.sheets;
+      beforeLabel = `${customer.name} — ${formatDateTime(previous.generatedAt)}`;
+      against = `its run of ${formatDateTime(previous.generatedAt)}`;
+    }
+
+    const diff = compareDocs(before, current.sheets, { ignoreIds });
+    const wb = buildDiffWorkbook(diff, {
+      before: beforeLabel,
+      after: `${customer.name} — ${formatDateTime(generatedAt)}`,
+    });
+
+    const buf = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+    const base64 = Buffer.from(buf).toString("base64");
+    const filename = timestampedFilename(`Documentation_Compare_${customer.name.replace(/[^\w]+/g, "_")}`, "xlsx");
+    const summary = `${customer.name} against ${against}: ${summaryText(diff)}`;
+
+    return {
+      success: true,
+      filename,
+      base64,
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      summary,
+      ...(next && { baseline: next }),
+    };
+  } catch (err) {
+    context.log.error(`Documentation Compare export error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { execute };
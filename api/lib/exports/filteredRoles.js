@@ -62,6 +62,7 @@ async function execute(context, schedule) {
 
     // Build rows: one per user who holds at least one selected role
     const rows = [];
+    const held = []; // [role, user] pairs, for change-only delivery
     for (const user of allUsers) {
       const name     = user.name  || "N/A";
       const email    = user.email || "N/A";
@@ -76,6 +77,9 @@ async function execute(context, schedule) {
 
       const roleValues = selectedRoles.map(r => userRoles.has(r));
       rows.push([name, email, division, ...roleValues]);
+      for (const r of selectedRoles) {
+        if (userRoles.has(r)) held.push([r, `${name} <${user.id}>`]);
+      }
     }
 
     context.log(`${rows.length} users matched out of ${allUsers.length}`);
@@ -99,6 +103,7 @@ async function execute(context, schedule) {
       base64,
       mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
       summary,
+      snapshot: { relations: { role: held } },
     };
   } catch (err) {
     context.log.error(`Filtered Roles export error: ${err.message}`);
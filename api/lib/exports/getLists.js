@@ -0,0 +1,174 @@
+/**
+ * Server-side Get Lists export.
+ *
+ * Mirrors the browser-side logic in js/pages/utilities/getLists.js but runs
+ * headless via client credentials — no browser required. One schedule delivers
+ * one list, whole: the page's column filters are a view of what was loaded and
+ * are not part of the schedule.
+ *
+ * Lists (LIST_DEFS — same keys, columns and file names as the page):
+ *   presence-definitions  one row per definition per language label
+ *   wrapup-codes          one row per code, with its division's name
+ *
+ * Requires:
+ *   schedule.exportConfig.orgId  — org to read
+ *   schedule.exportConfig.list   — a key of LIST_DEFS
+ *
+ * Returns:
+ *   { success, filename, base64, mimeType, summary, error? }
+ */
+const customers = require("../customers.json");
+const { genesysGet, genesysGetAllPages } = require("../genesysFetch");
+const XLSX = require("xlsx-js-style");
+const { buildStyledWorkbook } = require("../excelStyles");
+
+// ── Helpers ─────────────────────────────────────────────
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+// ── Lists ───────────────────────────────────────────────
+
+/**
+ * Presence definitions with every language label. Deactivated definitions are
+ * fetched separately and merged by id, best-effort — see the page for why.
+ */
+async function fetchPresenceDefinitions(orgId, context) {
+  const byId = new Map();
+  const collect = (resp) => {
+    for (const e of resp?.entities || []) if (e?.id) byId.set(e.id, e);
+  };
+
+  collect(await genesysGet(orgId, "/api/v2/presence/definitions?localeCode=ALL"));
+  try {
+    collect(await genesysGet(orgId, "/api/v2/presence/definitions?localeCode=ALL&deactivated=TRUE"));
+  } catch (err) {
+    context.log.warn(`Deactivated presence definitions unavailable: ${err.message}`);
+  }
+
+  const rows = [];
+  for (const e of byId.values()) {
+    const base = {
+      systemPresence: e.systemPresence || "",
+      type: e.type || "",
+      deactivated: e.deactivated ? "Yes" : "No",
+      id: e.id || "",
+      divisionId: e.divisionId || "",
+    };
+    const labels = e.languageLabels || {};
+    const locales = Object.keys(labels).sort();
+    if (!locales.length) rows.push({ ...base, language: "", label: "" });
+    for (const loc of locales) rows.push({ ...base, language: loc, label: labels[loc] ?? "" });
+  }
+
+  rows.sort((a, b) =>
+    a.systemPresence.localeCompare(b.systemPresence) || a.language.localeCompare(b.language));
+  return rows;
+}
+
+/** Wrap-up codes, with division names filled in where the reference left them off. */
+async function fetchWrapupCodes(orgId, context) {
+  const [codes, divisions] = await Promise.all([
+    genesysGetAllPages(orgId, "/api/v2/routing/wrapupcodes"),
+    genesysGetAllPages(orgId, "/api/v2/authorization/divisions").catch((err) => {
+      context.log.warn(`Divisions unavailable, using embedded names: ${err.message}`);
+      return [];
+    }),
+  ]);
+
+  const divisionNames = new Map(divisions.map((d) => [d.id, d.name]));
+  const rows = codes.map((c) => ({
+    name: c.name || "",
+    id: c.id || "",
+    description: c.description || "",
+    divisionName: c.division?.name || divisionNames.get(c.division?.id) || "",
+  }));
+
+  rows.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+  return rows;
+}
+
+const LIST_DEFS = {
+  "presence-definitions": {
+    label: "Presence Definitions",
+    filePrefix: "Presence_Definitions",
+    sheetName: "Presence Definitions",
+    unit: "rows",
+    columns: [
+      { key: "systemPresence", label: "System Presence" },
+      { key: "language",       label: "Language" },
+      { key: "label",          label: "Label" },
+      { key: "type",           label: "Type" },
+      { key: "deactivated",    label: "Deactivated" },
+      { key: "id",             label: "ID" },
+      { key: "divisionId",     label: "Division ID" },
+    ],
+    fetch: fetchPresenceDefinitions,
+  },
+  "wrapup-codes": {
+    label: "Wrap-up Codes",
+    filePrefix: "Wrapup_Codes",
+    sheetName: "Wrap-up Codes",
+    unit: "codes",
+    columns: [
+      { key: "name",         label: "Name" },
+      { key: "id",           label: "ID" },
+      { key: "description",  label: "Description" },
+      { key: "divisionName", label: "Division Name" },
+    ],
+    fetch: fetchWrapupCodes,
+  },
+};
+
+// ── Core export logic ───────────────────────────────────
+
+async function execute(context, schedule) {
+  const config = schedule?.exportConfig || {};
+  const orgId = config.orgId;
+  const def = LIST_DEFS[config.list];
+
+  if (!orgId) {
+    return { success: false, error: "No orgId specified in export config" };
+  }
+
+  const customer = customers.find((c) => c.id === orgId);
+  if (!customer) {
+    return { success: false, error: `Unknown org: ${orgId}` };
+  }
+
+  if (!def) {
+    return { success: false, error: `Unknown list: ${config.list || "(none)"} (use ${Object.keys(LIST_DEFS).join(", ")})` };
+  }
+
+  context.log(`Get Lists export for ${customer.name} (${orgId}): ${def.label}`);
+
+  try {
+    const rows = await def.fetch(orgId, context);
+
+    const wb = buildStyledWorkbook([
+      def.columns.map((c) => c.label),
+      ...rows.map((r) => def.columns.map((c) => r[c.key] ?? "")),
+    ], def.sheetName);
+
+    const buf = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+    const base64 = Buffer.from(buf).toString("base64");
+    const filename = timestampedFilename(`${def.filePrefix}_${customer.name.replace(/[^\w]+/g, "_")}`, "xlsx");
+
+    return {
+      success: true,
+      filename,
+      base64,
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      summary: `${customer.name}: ${def.label}, ${rows.length} ${def.unit}`,
+    };
+  } catch (err) {
+    context.log.error(`Get Lists export error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { execute };
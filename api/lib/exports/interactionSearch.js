@@ -0,0 +1,279 @@
+/**
+ * Server-side Interaction Search export (historical, with participant data).
+ *
+ * Mirrors the browser-side logic in js/pages/interactions/search.js but runs
+ * headless via client credentials — no browser required. The page's filters are
+ * captured into the schedule when it is created; its dates become a period that
+ * rolls forward with each run.
+ *
+ * The workbook holds what the page's three exports would, in one file:
+ *   Interactions      one row per conversation that STARTED in the period
+ *   Participant Data  the filtered keys' values when participant-data filters
+ *                     are set (split on commas with multiValue), otherwise every
+ *                     attribute of every participant
+ *
+ * Historical data can take up to 48 hours to appear, so a "days" period ends two
+ * days before the run, as the page's Previous 7/30 Days do.
+ *
+ * Requires:
+ *   schedule.exportConfig.orgId         — org to query
+ * Optional:
+ *   schedule.exportConfig.periodPreset  — "days" (default), "lastWeek" (Mon–Sun) or "lastMonth"
+ *   schedule.exportConfig.periodDays    — length of a "days" period (default 7)
+ *   schedule.exportConfig.queueId       — segment filters, "" = all
+ *   schedule.exportConfig.direction
+ *   schedule.exportConfig.mediaType
+ *   schedule.exportConfig.divisionId    — conversation filter, "" = all
+ *   schedule.exportConfig.pdFilters     — [{ key, value }], value "" = key present
+ *   schedule.exportConfig.pdExclude     — keep the conversations that do NOT match
+ *   schedule.exportConfig.multiValue    — split comma-separated values in Participant Data
+ *
+ * Returns:
+ *   { success, filename, base64, mimeType, summary, error? }
+ */
+const customers = require("../customers.json");
+const { fetchConversations, segmentFilterBody } = require("../conversationJobs");
+const XLSX = require("xlsx-js-style");
+const { buildStyledWorkbook, addStyledSheet } = require("../excelStyles");
+
+const MAX_PERIOD_DAYS = 93;
+
+const COLUMNS = [
+  { key: "conversationId", label: "Conversation ID" },
+  { key: "startTime",      label: "Start Time" },
+  { key: "endTime",        label: "End Time" },
+  { key: "direction",      label: "Direction" },
+  { key: "mediaType",      label: "Media Type" },
+  { key: "ani",            label: "ANI" },
+  { key: "dnis",           label: "DNIS" },
+  { key: "disconnect",     label: "Disconnect Type" },
+];
+
+const PD_COLUMNS = [
+  { key: "conversationId", label: "Conversation ID" },
+  { key: "attrKey",        label: "Key" },
+  { key: "attrValue",      label: "Value" },
+];
+
+// ── Helpers ─────────────────────────────────────────────
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+function formatDateTime(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return String(iso);
+  return d.toLocaleString("sv-SE", { timeZone: "Europe/Copenhagen", dateStyle: "short", timeStyle: "medium" });
+}
+
+function dayStr(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+/** { from, to } as YYYY-MM-DD (UTC) for the configured period, or { error }. */
+function periodDates(config) {
+  const now = new Date();
+  const preset = config.periodPreset || "days";
+  if (preset === "lastWeek") {
+    const dow = (now.getUTCDay() + 6) % 7; // Mon=0 … Sun=6
+    const lastSun = new Date(now.getTime() - (dow + 1) * 86_400_000);
+    return { from: dayStr(new Date(lastSun.getTime() - 6 * 86_400_000)), to: dayStr(lastSun) };
+  }
+  if (preset === "lastMonth") {
+    const last = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 0));
+    return { from: dayStr(new Date(Date.UTC(last.getUTCFullYear(), last.getUTCMonth(), 1))), to: dayStr(last) };
+  }
+  if (preset !== "days") return { error: `Unknown periodPreset: ${preset}` };
+
+  const days = config.periodDays == null || config.periodDays === "" ? 7 : Number(config.periodDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_PERIOD_DAYS) {
+    return { error: `periodDays must be a whole number from 1 to ${MAX_PERIOD_DAYS}` };
+  }
+  return {
+    from: dayStr(new Date(now.getTime() - (days + 1) * 86_400_000)),
+    to:   dayStr(new Date(now.getTime() - 2 * 86_400_000)),
+  };
+}
+
+/** First non-empty session field across participants. */
+function extractSessionField(participants, field) {
+  for (const p of participants || []) {
+    for (const s of p.sessions || []) {
+      if (s[field]) return s[field];
+    }
+  }
+  return "";
+}
+
+function extractDisconnect(participants) {
+  for (const p of participants || []) {
+    for (const s of p.sessions || []) {
+      for (const seg of s.segments || []) {
+        if (seg.disconnectType) return seg.disconnectType;
+      }
+    }
+  }
+  return "";
+}
+
+function toRow(conv) {
+  return {
+    conversationId: conv.conversationId || "",
+    startTime:      formatDateTime(conv.conversationStart),
+    endTime:        formatDateTime(conv.conversationEnd),
+    direction:      extractSessionField(conv.participants, "direction"),
+    mediaType:      extractSessionField(conv.participants, "mediaType"),
+    ani:            extractSessionField(conv.participants, "ani"),
+    dnis:           extractSessionField(conv.participants, "dnis"),
+    disconnect:     extractDisconnect(conv.participants),
+  };
+}
+
+// ── Participant data ────────────────────────────────────
+//
+// attrValue and filterByPD are js/lib/participantData.js, which explains the
+// rules (every filter satisfied by SOME participant, case-insensitive, a blank
+// value asks only for the key). Change them there and here together.
+
+function attrValue(attrs, keyLower) {
+  const key = Object.keys(attrs || {}).find((k) => k.toLowerCase() === keyLower);
+  return key == null ? null : String(attrs[key] ?? "");
+}
+
+function filterByPD(conversations, filters, exclude = false) {
+  if (!filters.length) return conversations;
+  return conversations.filter((conv) => {
+    const participants = conv.participants || [];
+    const matches = filters.every((f) => {
+      const fKeyLower = f.key.toLowerCase();
+      return participants.some((p) => {
+        const v = attrValue(p.attributes, fKeyLower);
+        if (v == null) return false;
+        if (f.value === "") return true;
+        return v.toLowerCase() === f.value.toLowerCase();
+      });
+    });
+    return exclude ? !matches : matches;
+  });
+}
+
+/** The filtered keys' values per conversation, as the page's "Selected participant data". */
+function selectedParticipantDataRows(convs, filters, multiValue) {
+  const rows = [];
+  for (const conv of convs) {
+    for (const f of filters) {
+      const fKeyLower = f.key.toLowerCase();
+      const values = new Set();
+      for (const p of conv.participants || []) {
+        const v = attrValue(p.attributes, fKeyLower);
+        if (v != null) values.add(v);
+      }
+      for (const raw of values) {
+        const tokens = multiValue ? raw.split(",").map((t) => t.trim()).filter(Boolean) : [raw];
+        for (const t of tokens) rows.push({ conversationId: conv.conversationId, attrKey: f.key, attrValue: t });
+      }
+    }
+  }
+  return rows;
+}
+
+/** Every attribute of every participant, as the page's "All participant data". */
+function allParticipantDataRows(convs) {
+  const rows = [];
+  for (const conv of convs) {
+    for (const p of conv.participants || []) {
+      for (const [k, v] of Object.entries(p.attributes || {}).sort()) {
+        rows.push({ conversationId: conv.conversationId, attrKey: k, attrValue: v ?? "" });
+      }
+    }
+  }
+  return rows;
+}
+
+function sheetData(columns, rows) {
+  return [columns.map((c) => c.label), ...rows.map((r) => columns.map((c) => r[c.key]))];
+}
+
+// ── Core export logic ───────────────────────────────────
+
+async function execute(context, schedule) {
+  const config = schedule?.exportConfig || {};
+  const orgId = config.orgId;
+  const pdFilters = (Array.isArray(config.pdFilters) ? config.pdFilters : [])
+    .filter((f) => f && String(f.key || "").trim())
+    .map((f) => ({ key: String(f.key).trim(), value: String(f.value ?? "").trim() }));
+  const pdExclude = config.pdExclude === true;
+
+  if (!orgId) {
+    return { success: false, error: "No orgId specified in export config" };
+  }
+
+  const customer = customers.find((c) => c.id === orgId);
+  if (!customer) {
+    return { success: false, error: `Unknown org: ${orgId}` };
+  }
+
+  const period = periodDates(config);
+  if (period.error) {
+    return { success: false, error: period.error };
+  }
+  const { from, to } = period;
+
+  context.log(`Interaction Search export for ${customer.name} (${orgId}), ${from} to ${to}`);
+
+  try {
+    const jobBody = segmentFilterBody(config);
+    if (config.divisionId) {
+      jobBody.conversationFilters = [{ type: "and", predicates: [{ dimension: "divisionId", value: config.divisionId }] }];
+    }
+
+    const interval = `${from}T00:00:00.000Z/${to}T23:59:59.999Z`;
+    const fetched = await fetchConversations(orgId, interval, jobBody, context.log);
+
+    // The job returns conversations with any activity in the interval; the
+    // page, and so this, is defined on start time.
+    const rangeStart = new Date(`${from}T00:00:00.000Z`);
+    const rangeEnd = new Date(`${to}T23:59:59.999Z`);
+    const started = fetched.filter((c) => {
+      const t = new Date(c.conversationStart);
+      return t >= rangeStart && t <= rangeEnd;
+    });
+    const conversations = filterByPD(started, pdFilters, pdExclude);
+
+    const pdRows = pdFilters.length
+      ? selectedParticipantDataRows(conversations, pdFilters, config.multiValue === true)
+      : allParticipantDataRows(conversations);
+
+    const wb = buildStyledWorkbook(sheetData(COLUMNS, conversations.map(toRow)), "Interactions");
+    addStyledSheet(wb, sheetData(PD_COLUMNS, pdRows), "Participant Data");
+
+    const buf = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+    const base64 = Buffer.from(buf).toString("base64");
+    const filename = timestampedFilename(`InteractionSearch_${customer.name.replace(/\s+/g, "_")}_${from}_${to}`, "xlsx");
+
+    const matched = pdFilters.length
+      ? ` ${pdExclude ? "not matching" : "matching"} ${pdFilters.map((f) => f.value ? `${f.key}=${f.value}` : f.key).join(", ")}`
+      : "";
+    const summary =
+      `${customer.name}: ${conversations.length} conversation${conversations.length !== 1 ? "s" : ""}${matched} ` +
+      `(${from} to ${to}` + (pdFilters.length ? `, of ${started.length} fetched` : "") + ")";
+
+    return {
+      success: true,
+      filename,
+      base64,
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      summary,
+    };
+  } catch (err) {
+    context.log.error(`Interaction Search export error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { execute };
@@ -14,6 +14,7 @@
  */
 const customers = require("../customers.json");
 const { getGenesysToken } = require("../genesysAuth");
+const { apiBase } = require("../genesysHost");
 const XLSX = require("xlsx-js-style");
 const { buildStyledWorkbook, STYLE_HEADER } = require("../excelStyles");
 
@@ -99,7 +100,7 @@ async function genesysFetch(customerId, method, path, body) {
   }
 
   const token = await getGenesysToken(customerId, customer.region, clientId, clientSecret);
-  const url = `https://api.${customer.region}${path}`;
+  const url = `${apiBase(customer.region)}${path}`;
 
   const opts = {
     method,
@@ -115,7 +115,7 @@ function buildRows(users, queueMap, sel) {
     for (const q of qVals) {
       for (const s of sVals) {
         for (const l of lVals) {
-          rows.push({ name, queue: q, skill: s, languageSkill: l });
+          rows.push({ userId: user.id, name, queue: q, skill: s, languageSkill: l });
         }
       }
     }
@@ -124,6 +124,23 @@ function buildRows(users, queueMap, sel) {
   return { rows, usersWithRows };
 }
 
+/**
+ * Who is in which queue and holds which skill or language, for change-only
+ * delivery (lib/exportChanges.js). The rows are every combination of the
+ * three, so they are taken apart again here — a new skill is one change, not
+ * one per queue the user is in.
+ */
+function relationsOf(rows) {
+  const relations = { queue: [], skill: [], language: [] };
+  for (const r of rows) {
+    const member = `${r.name} <${r.userId}>`;
+    if (r.queue) relations.queue.push([r.queue, member]);
+    if (r.skill) relations.skill.push([r.skill, member]);
+    if (r.languageSkill) relations.language.push([r.languageSkill, member]);
+  }
+  return relations;
+}
+
 function userMatchesGroup1Filters(user, sel) {
   if (sel.users.size > 0 && !sel.users.has(user.id)) return false;
 
@@ -194,6 +211,7 @@ async function execute(context, schedule) {
       base64,
       mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
       summary: `${customer.name}: ${usersWithRows} users, ${rows.length} rows`,
+      snapshot: { relations: relationsOf(rows) },
     };
   } catch (err) {
     context.log.error(`Queues/Skills export error: ${err.message}`);
@@ -0,0 +1,235 @@
+/**
+ * Server-side Report Pack — several exports for one org, delivered as one.
+ *
+ * A customer's monthly governance pack is typically Last Login, License
+ * Consumption, All Roles and Queues/Skills: four schedules and four emails. A
+ * report pack is one schedule that runs the chosen handlers side by side for the
+ * same org and delivers their files together, once:
+ *
+ *   packFormat "workbook"  one workbook — an Index sheet (export, status, its
+ *                          sheets linked, summary) followed by every member's
+ *                          sheets, named after the member
+ *   packFormat "zip"       a zip of each member's own file, plus Index.txt
+ *
+ * A member that fails does not fail the pack: the others are delivered and the
+ * failure is noted on the Index and in the summary. Only a pack whose every
+ * member failed is a failed run.
+ *
+ * Each member runs with only the pack's org in its exportConfig, so it uses its
+ * own defaults (all licences, no login filter, every queue and skill). Members
+ * are limited to MEMBERS — per-org exports that need nothing else; the browser's
+ * Report Packs page (js/pages/export/reportPacks.js) offers the same list.
+ *
+ * Requires:
+ *   schedule.exportConfig.orgId       — org to export
+ *   schedule.exportConfig.members     — exportTypes to run, keys of MEMBERS
+ * Optional:
+ *   schedule.exportConfig.packName    — names the file and the Index (default "Report Pack")
+ *   schedule.exportConfig.packFormat  — "workbook" (default) or "zip"
+ *
+ * Returns:
+ *   { success, filename, base64, mimeType, summary, error? }
+ */
+const customers = require("../customers.json");
+const XLSX = require("xlsx-js-style");
+const JSZip = require("jszip");
+const { buildStyledWorkbook } = require("../excelStyles");
+const { getHandler } = require("../exportHandlers");
+
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+/** The exports a pack may hold, with the label each gets in the pack. */
+const MEMBERS = {
+  lastLogin:           "Last Login",
+  licensesConsumption: "License Consumption",
+  allRoles:            "All Roles",
+  queuesSkills:        "Queues/Skills",
+  allGroups:           "All Groups",
+  skillTemplates:      "Skill Templates",
+  rolesSingleOrg:      "Roles",
+  interactionTotals:   "Interaction Totals",
+};
+
+// ── Helpers ─────────────────────────────────────────────
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+function safeName(s) {
+  return String(s).replace(/[^\w\-]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+/** A worksheet name Excel accepts (31 characters, none of : \ / ? * [ ]), unique in `used`. */
+function sheetName(name, used) {
+  const base = String(name).replace(/[:\\/?*[\]]/g, "-").trim().slice(0, 31) || "Sheet";
+  let out = base;
+  for (let n = 2; used.has(out.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    out = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(out.toLowerCase());
+  return out;
+}
+
+/**
+ * Run one member. Never throws — a member's failure is an outcome of the pack.
+ * @returns {Promise<{ type, label, ok: boolean, result?: Object, error?: string }>}
+ */
+async function runMember(context, schedule, type, org) {
+  const label = MEMBERS[type];
+  try {
+    const result = await getHandler(type).execute(context, {
+      ...schedule,
+      exportType: type,
+      exportLabel: label,
+      exportConfig: { orgId: org.id, orgName: org.name },
+    });
+    if (!result?.success) return { type, label, ok: false, error: result?.error || "Export returned failure" };
+    if (!result.base64) return { type, label, ok: false, error: "Export produced no file" };
+    return { type, label, ok: true, result };
+  } catch (err) {
+    context.log.warn(`Report pack member ${type} failed: ${err.message}`);
+    return { type, label, ok: false, error: err.message };
+  }
+}
+
+/** "Last Login: 120 users" / "All Roles: failed — <error>" */
+function outcomeLine(m) {
+  return m.ok
+    ? `${m.label}: ${m.result.summary || "done"}`
+    : `${m.label}: failed — ${m.error}`;
+}
+
+// ── Bundling ────────────────────────────────────────────
+
+function bundleWorkbook(packName, org, outcomes) {
+  const used = new Set(["index"]);
+  const placed = outcomes.map((m) => {
+    if (!m.ok) return { m, sheets: [] };
+    const memberWb = XLSX.read(Buffer.from(m.result.base64, "base64"), { type: "buffer", cellStyles: true });
+    const sheets = memberWb.SheetNames.map((name) => ({
+      name: sheetName(memberWb.SheetNames.length === 1 ? m.label : `${m.label} - ${name}`, used),
+      ws: memberWb.Sheets[name],
+    }));
+    return { m, sheets };
+  });
+
+  const wb = buildStyledWorkbook([
+    ["Export", "Status", "Sheets", "Summary"],
+    ...placed.map(({ m, sheets }) => [
+      m.label,
+      m.ok ? "OK" : "Failed",
+      sheets.map((s) => s.name).join(", "),
+      m.ok ? (m.result.summary || "") : m.error,
+    ]),
+  ], "Index");
+
+  // The Sheets column links to each member's first sheet.
+  const index = wb.Sheets.Index;
+  placed.forEach(({ sheets }, i) => {
+    const cell = index[XLSX.utils.encode_cell({ r: i + 1, c: 2 })];
+    if (cell && sheets.length) cell.l = { Target: `#'${sheets[0].name.replace(/'/g, "''")}'!A1` };
+  });
+
+  for (const { sheets } of placed) {
+    for (const s of sheets) XLSX.utils.book_append_sheet(wb, s.ws, s.name);
+  }
+
+  const buf = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+  return {
+    filename: timestampedFilename(`${safeName(packName)}_${safeName(org.name)}`, "xlsx"),
+    base64: Buffer.from(buf).toString("base64"),
+    mimeType: XLSX_MIME,
+  };
+}
+
+async function bundleZip(packName, org, outcomes) {
+  const zip = new JSZip();
+  const used = new Set();
+  for (const m of outcomes) {
+    if (!m.ok) continue;
+    let name = String(m.result.filename || `${safeName(m.label)}.xlsx`).replace(/[\\/]/g, "_");
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = name.replace(/(\.[^.]*)?$/, ` (${n})$1`);
+    used.add(name.toLowerCase());
+    zip.file(name, Buffer.from(m.result.base64, "base64"));
+  }
+  zip.file("Index.txt", [
+    `${packName} — ${org.name}`,
+    `Generated ${new Date().toISOString()}`,
+    "",
+    ...outcomes.map(outcomeLine),
+  ].join("\r\n"));
+
+  return {
+    filename: timestampedFilename(`${safeName(packName)}_${safeName(org.name)}`, "zip"),
+    base64: await zip.generateAsync({ type: "base64", compression: "DEFLATE" }),
+    mimeType: "application/zip",
+  };
+}
+
+// ── Core export logic ───────────────────────────────────
+
+async function execute(context, schedule) {
+  const config = schedule?.exportConfig || {};
+  const orgId = config.orgId;
+  const packName = String(config.packName || "").trim() || "Report Pack";
+  const packFormat = config.packFormat === "zip" ? "zip" : "workbook";
+  const members = [...new Set(Array.isArray(config.members) ? config.members : [])];
+
+  if (!orgId) {
+    return { success: false, error: "No orgId specified in export config" };
+  }
+
+  const customer = customers.find((c) => c.id === orgId);
+  if (!customer) {
+    return { success: false, error: `Unknown org: ${orgId}` };
+  }
+
+  if (!members.length) {
+    return { success: false, error: "The report pack has no exports selected" };
+  }
+  const unknown = members.filter((m) => !MEMBERS[m]);
+  if (unknown.length) {
+    return { success: false, error: `Not available in a report pack: ${unknown.join(", ")}` };
+  }
+
+  context.log(`Report pack "${packName}" for ${customer.name} (${orgId}): ${members.join(", ")}`);
+
+  // Side by side — they share the org's rate-limit allowance through the
+  // governor, and one slow member should not push the rest past the job timeout.
+  const outcomes = await Promise.all(members.map((type) => runMember(context, schedule, type, customer)));
+  const ok = outcomes.filter((m) => m.ok);
+
+  if (!ok.length) {
+    return {
+      success: false,
+      error: `All ${outcomes.length} exports in the pack failed — ${outcomes.map((m) => `${m.label}: ${m.error}`).join("; ")}`,
+    };
+  }
+
+  try {
+    const file = packFormat === "zip"
+      ? await bundleZip(packName, customer, outcomes)
+      : bundleWorkbook(packName, customer, outcomes);
+    const failed = outcomes.length - ok.length;
+
+    return {
+      success: true,
+      ...file,
+      summary: [
+        `${packName} — ${customer.name}: ${ok.length} of ${outcomes.length} exports delivered` +
+          (failed ? `, ${failed} failed` : ""),
+        ...outcomes.map(outcomeLine),
+      ].join("\n"),
+    };
+  } catch (err) {
+    context.log.error(`Report pack error: ${err.message}`);
+    return { success: false, error: `Could not bundle the report pack: ${err.message}` };
+  }
+}
+
+module.exports = { execute, MEMBERS };
@@ -0,0 +1,174 @@
+/**
+ * Server-side Roles Compare export.
+ *
+ * Mirrors the "Compare Roles" mode of js/pages/roles/compare.js but runs
+ * headless via client credentials — no browser required. The roles, and the
+ * page's "Differences only" and filter settings, are captured into the schedule
+ * when it is created; each run fetches the roles as they are then, so a
+ * schedule is a recurring check that two roles meant to match still do.
+ *
+ * Wildcard policies (* entity or * action) are expanded against the permission
+ * catalog, as on the page, so "*" and the actions it stands for compare equal.
+ *
+ * Requires:
+ *   schedule.exportConfig.orgId       — org to read
+ *   schedule.exportConfig.roleIds     — 2–10 role ids
+ * Optional:
+ *   schedule.exportConfig.diffOnly    — only rows where the roles differ
+ *   schedule.exportConfig.filterText  — only domains or entities containing this
+ *
+ * Returns:
+ *   { success, filename, base64, mimeType, summary, error? }
+ */
+const customers = require("../customers.json");
+const { genesysGet, genesysGetAllPages } = require("../genesysFetch");
+const XLSX = require("xlsx-js-style");
+const { buildStyledWorkbook } = require("../excelStyles");
+
+const MIN_ROLES = 2;
+const MAX_ROLES = 10;
+
+// ── Helpers ─────────────────────────────────────────────
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+/** { domain: { entityName: [action, …] } } from GET /api/v2/authorization/permissions. */
+async function fetchPermissionCatalog(orgId) {
+  const catalog = {};
+  for (const p of await genesysGetAllPages(orgId, "/api/v2/authorization/permissions")) {
+    if (!p.domain || !p.permissionMap) continue;
+    if (!catalog[p.domain]) catalog[p.domain] = {};
+    for (const [entityName, actionList] of Object.entries(p.permissionMap)) {
+      catalog[p.domain][entityName] = actionList.map((a) => a.action).sort();
+    }
+  }
+  return catalog;
+}
+
+/** Policies with wildcards expanded and duplicate (domain, entity) pairs merged. */
+function expandPolicies(policies, catalog) {
+  const merged = new Map();
+  for (const p of policies) {
+    const domainCatalog = catalog[p.domain] || {};
+    const actionIsWild = (p.actionSet || []).includes("*");
+    const entities = p.entityName === "*" ? Object.keys(domainCatalog) : [p.entityName];
+    for (const entityName of entities) {
+      const actions = actionIsWild ? (domainCatalog[entityName] || []) : (p.actionSet || []);
+      const key = `${p.domain}::${entityName}`;
+      if (!merged.has(key)) merged.set(key, { domain: p.domain, entityName, actions: new Set() });
+      for (const a of actions) merged.get(key).actions.add(a);
+    }
+  }
+  return [...merged.values()].map((p) => ({
+    domain: p.domain,
+    entityName: p.entityName,
+    actionSet: [...p.actions].sort(),
+  }));
+}
+
+/** Column names — role names, made unique should two roles share one. */
+function columnNames(roles) {
+  const seen = new Map();
+  return roles.map((r) => {
+    const name = r.name || r.id;
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
+    return n === 1 ? name : `${name} (${n})`;
+  });
+}
+
+// ── Core export logic ───────────────────────────────────
+
+async function execute(context, schedule) {
+  const config = schedule?.exportConfig || {};
+  const orgId = config.orgId;
+  const roleIds = [...new Set(Array.isArray(config.roleIds) ? config.roleIds : [])];
+  const filterText = String(config.filterText || "").trim().toLowerCase();
+
+  if (!orgId) {
+    return { success: false, error: "No orgId specified in export config" };
+  }
+
+  const customer = customers.find((c) => c.id === orgId);
+  if (!customer) {
+    return { success: false, error: `Unknown org: ${orgId}` };
+  }
+
+  if (roleIds.length < MIN_ROLES || roleIds.length > MAX_ROLES) {
+    return { success: false, error: `Roles Compare needs ${MIN_ROLES} to ${MAX_ROLES} roles, got ${roleIds.length}` };
+  }
+
+  context.log(`Roles Compare export for ${customer.name} (${orgId}): ${roleIds.length} roles`);
+
+  try {
+    let roles = await Promise.all(roleIds.map(async (id) => {
+      try {
+        return await genesysGet(orgId, `/api/v2/authorization/roles/${id}`);
+      } catch (err) {
+        if (err.status === 404) throw new Error(`Role ${id} no longer exists`);
+        throw err;
+      }
+    }));
+
+    const needsExpansion = roles.some((r) => (r.permissionPolicies || []).some((p) =>
+      p.entityName === "*" || (p.actionSet || []).includes("*")));
+    if (needsExpansion) {
+      context.log("Wildcard permissions — fetching the permission catalog…");
+      const catalog = await fetchPermissionCatalog(orgId);
+      roles = roles.map((r) => ({ ...r, permissionPolicies: expandPolicies(r.permissionPolicies || [], catalog) }));
+    }
+
+    // domain::entity → { domain, entity, actions per column }
+    const cols = columnNames(roles);
+    const index = new Map();
+    roles.forEach((role, i) => {
+      for (const p of role.permissionPolicies || []) {
+        const key = `${p.domain}::${p.entityName}`;
+        if (!index.has(key)) index.set(key, { domain: p.domain, entity: p.entityName, perms: cols.map(() => []) });
+        index.get(key).perms[i] = [...(p.actionSet || [])].sort();
+      }
+    });
+
+    const all = [...index.values()].sort((a, b) =>
+      a.domain.localeCompare(b.domain) || a.entity.localeCompare(b.entity));
+    const differs = (row) => new Set(row.perms.map((a) => a.join(","))).size > 1;
+    const differences = all.filter(differs).length;
+
+    const rows = all.filter((row) => {
+      if (config.diffOnly === true && !differs(row)) return false;
+      if (filterText && !row.domain.toLowerCase().includes(filterText) && !row.entity.toLowerCase().includes(filterText)) return false;
+      return true;
+    });
+
+    const wb = buildStyledWorkbook([
+      ["Domain", "Entity", ...cols],
+      ...rows.map((row) => [row.domain, row.entity, ...row.perms.map((a) => a.join(", "))]),
+    ], "Permissions");
+
+    const buf = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+    const base64 = Buffer.from(buf).toString("base64");
+    const filename = timestampedFilename(`Roles_Compare_${customer.name.replace(/\s+/g, "_")}`, "xlsx");
+
+    const summary =
+      `${customer.name}: ${cols.join(", ")} — ${all.length} permission rows, ` +
+      `${differences} difference${differences !== 1 ? "s" : ""}`;
+
+    return {
+      success: true,
+      filename,
+      base64,
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      summary,
+    };
+  } catch (err) {
+    context.log.error(`Roles Compare export error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { execute };
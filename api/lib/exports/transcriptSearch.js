@@ -0,0 +1,244 @@
+/**
+ * Server-side Transcript Search export.
+ *
+ * Mirrors the browser-side logic in js/pages/interactions/transcripts/search.js
+ * but runs headless via client credentials — no browser required. The page's
+ * date search is one day with an optional time window; a schedule keeps the
+ * window and the filters and runs it for the day `dayOffset` days before the
+ * run, checking every conversation for a Speech & Text Analytics transcript as
+ * the page's "Check Transcripts" does:
+ *
+ *   GET /api/v2/conversations/{id}                     → communicationId
+ *   GET /api/v2/speechandtextanalytics/conversations/{id}/communications/{commId}/transcripturl
+ *       200 → transcript exists; 404, 400 or 403 → none; anything else → error
+ *
+ * Requires:
+ *   schedule.exportConfig.orgId             — org to query
+ * Optional:
+ *   schedule.exportConfig.dayOffset         — 0 = the day of the run, 1 = the day before (default)
+ *   schedule.exportConfig.timeFrom          — "HH:MM" UTC (default "00:00")
+ *   schedule.exportConfig.timeTo            — "HH:MM" UTC (default "23:59")
+ *   schedule.exportConfig.queueId           — segment filters, "" = all
+ *   schedule.exportConfig.mediaType
+ *   schedule.exportConfig.direction
+ *   schedule.exportConfig.transcriptFilter  — "all" (default), "true", "false" or "error"
+ *
+ * Returns:
+ *   { success, filename, base64, mimeType, summary, error? }
+ */
+const customers = require("../customers.json");
+const { genesysGet, genesysGetAllPages } = require("../genesysFetch");
+const { fetchConversations, segmentFilterBody } = require("../conversationJobs");
+const XLSX = require("xlsx-js-style");
+const { buildStyledWorkbook } = require("../excelStyles");
+
+const CONCURRENCY = 10;
+const MAX_DAY_OFFSET = 30;
+// Two calls per conversation. Past this a run would not finish inside the
+// runner's job timeout; the time window or a queue narrows it, as on the page.
+const MAX_CONVERSATIONS = 2000;
+
+const TS = { TRUE: "true", FALSE: "false", ERROR: "error" };
+const TRANSCRIPT_FILTERS = ["all", TS.TRUE, TS.FALSE, TS.ERROR];
+
+const COLUMNS = [
+  { key: "conversationId",      label: "Conversation ID" },
+  { key: "startTime",           label: "Start Time" },
+  { key: "endTime",             label: "End Time" },
+  { key: "duration",            label: "Duration (s)" },
+  { key: "queue",               label: "Queue" },
+  { key: "agentName",           label: "Agent" },
+  { key: "mediaType",           label: "Media Type" },
+  { key: "direction",           label: "Direction" },
+  { key: "transcriptStatus",    label: "Transcript Exists" },
+  { key: "transcriptCheckedAt", label: "Checked At" },
+];
+
+// ── Helpers ─────────────────────────────────────────────
+
+function timestampedFilename(prefix, ext) {
+  const now = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  const ts = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `${prefix}_${ts}.${ext}`;
+}
+
+function formatDateTime(iso) {
+  if (!iso) return "";
+  const d = new Date(iso);
+  if (isNaN(d.getTime())) return String(iso);
+  return d.toLocaleString("sv-SE", { timeZone: "Europe/Copenhagen", dateStyle: "short", timeStyle: "medium" });
+}
+
+/** Run async tasks with bounded concurrency. */
+async function runBatched(tasks, concurrency = CONCURRENCY) {
+  let idx = 0;
+  async function worker() {
+    while (idx < tasks.length) await tasks[idx++]();
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
+}
+
+function extractSessionField(participants, field) {
+  for (const p of participants || []) {
+    for (const s of p.sessions || []) {
+      if (s[field]) return s[field];
+    }
+  }
+  return "";
+}
+
+function extractQueueName(participants, queueNames) {
+  for (const p of participants || []) {
+    for (const s of p.sessions || []) {
+      for (const seg of s.segments || []) {
+        if (seg.queueId) return queueNames.get(seg.queueId) || seg.queueId;
+      }
+    }
+  }
+  return "";
+}
+
+function extractAgentName(participants) {
+  const agent = (participants || []).find((p) => p.purpose === "agent" && p.participantName);
+  return agent ? agent.participantName : "";
+}
+
+function toRow(conv, queueNames) {
+  const start = conv.conversationStart;
+  const end = conv.conversationEnd;
+  return {
+    conversationId: conv.conversationId || "",
+    startTime:      formatDateTime(start),
+    endTime:        formatDateTime(end),
+    duration:       start && end ? Math.round((new Date(end) - new Date(start)) / 1000) : "",
+    direction:      extractSessionField(conv.participants, "direction"),
+    mediaType:      extractSessionField(conv.participants, "mediaType"),
+    queue:          extractQueueName(conv.participants, queueNames),
+    agentName:      extractAgentName(conv.participants),
+  };
+}
+
+/** The customer's communicationId, else the first one found on anybody. */
+function customerCommunicationId(convDetail, mediaType) {
+  const mediaKey = String(mediaType || "").toLowerCase() === "voice" ? "calls" : "messages";
+  for (const p of convDetail?.participants || []) {
+    if (p.purpose !== "customer") continue;
+    for (const comm of p[mediaKey] || p.calls || p.messages || []) {
+      if (comm.id) return comm.id;
+    }
+  }
+  for (const p of convDetail?.participants || []) {
+    for (const key of ["messages", "calls"]) {
+      for (const comm of p[key] || []) {
+        if (comm.id) return comm.id;
+      }
+    }
+  }
+  return null;
+}
+
+const NOT_AVAILABLE = new Set([400, 403, 404]);
+
+async function checkTranscript(orgId, row) {
+  try {
+    const detail = await genesysGet(orgId, `/api/v2/conversations/${row.conversationId}`);
+    const commId = customerCommunicationId(detail, row.mediaType);
+    if (!commId) return TS.FALSE;
+    await genesysGet(orgId,
+      `/api/v2/speechandtextanalytics/conversations/${row.conversationId}/communications/${commId}/transcripturl`);
+    return TS.TRUE;
+  } catch (err) {
+    // A purged or inaccessible conversation has no transcript to find.
+    return NOT_AVAILABLE.has(err.status) ? TS.FALSE : TS.ERROR;
+  }
+}
+
+// ── Core export logic ───────────────────────────────────
+
+async function execute(context, schedule) {
+  const config = schedule?.exportConfig || {};
+  const orgId = config.orgId;
+  const dayOffset = config.dayOffset == null || config.dayOffset === "" ? 1 : Number(config.dayOffset);
+  const timeFrom = config.timeFrom || "00:00";
+  const timeTo = config.timeTo || "23:59";
+  const transcriptFilter = config.transcriptFilter || "all";
+
+  if (!orgId) {
+    return { success: false, error: "No orgId specified in export config" };
+  }
+
+  const customer = customers.find((c) => c.id === orgId);
+  if (!customer) {
+    return { success: false, error: `Unknown org: ${orgId}` };
+  }
+
+  if (!Number.isInteger(dayOffset) || dayOffset < 0 || dayOffset > MAX_DAY_OFFSET) {
+    return { success: false, error: `dayOffset must be a whole number from 0 to ${MAX_DAY_OFFSET}` };
+  }
+  if (!/^\d\d:\d\d$/.test(timeFrom) || !/^\d\d:\d\d$/.test(timeTo) || timeFrom >= timeTo) {
+    return { success: false, error: "timeFrom and timeTo must be HH:MM, timeFrom first" };
+  }
+  if (!TRANSCRIPT_FILTERS.includes(transcriptFilter)) {
+    return { success: false, error: `Unknown transcriptFilter: ${transcriptFilter}` };
+  }
+
+  const date = new Date(Date.now() - dayOffset * 86_400_000).toISOString().slice(0, 10);
+  context.log(`Transcript Search export for ${customer.name} (${orgId}), ${date} ${timeFrom}–${timeTo}`);
+
+  try {
+    const interval = `${date}T${timeFrom}:00.000Z/${date}T${timeTo}:59.999Z`;
+    const [conversations, queues] = await Promise.all([
+      fetchConversations(orgId, interval, segmentFilterBody(config), context.log),
+      genesysGetAllPages(orgId, "/api/v2/routing/queues").catch(() => []),
+    ]);
+
+    if (conversations.length > MAX_CONVERSATIONS) {
+      return {
+        success: false,
+        error: `${conversations.length} conversations is more than one run can check (${MAX_CONVERSATIONS}) — narrow the time window or pick a queue`,
+      };
+    }
+
+    const queueNames = new Map(queues.map((q) => [q.id, q.name]));
+    const rows = conversations.map((c) => toRow(c, queueNames));
+
+    context.log(`Checking transcripts for ${rows.length} conversations…`);
+    await runBatched(rows.map((row) => async () => {
+      row.transcriptStatus = await checkTranscript(orgId, row);
+      row.transcriptCheckedAt = formatDateTime(new Date());
+    }));
+
+    const count = (status) => rows.filter((r) => r.transcriptStatus === status).length;
+    const found = count(TS.TRUE);
+    const errored = count(TS.ERROR);
+    const shown = transcriptFilter === "all" ? rows : rows.filter((r) => r.transcriptStatus === transcriptFilter);
+
+    const wb = buildStyledWorkbook([
+      COLUMNS.map((c) => c.label),
+      ...shown.map((r) => COLUMNS.map((c) => r[c.key])),
+    ], "Transcript Check");
+
+    const buf = XLSX.write(wb, { bookType: "xlsx", type: "buffer" });
+    const base64 = Buffer.from(buf).toString("base64");
+    const filename = timestampedFilename(`TranscriptSearch_${customer.name.replace(/\s+/g, "_")}_${date}`, "xlsx");
+
+    const summary =
+      `${customer.name}: ${found} of ${rows.length} conversations have a transcript ` +
+      `(${date} ${timeFrom}–${timeTo} UTC)` +
+      (errored ? ` — ${errored} could not be checked` : "");
+
+    return {
+      success: true,
+      filename,
+      base64,
+      mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      summary,
+    };
+  } catch (err) {
+    context.log.error(`Transcript Search export error: ${err.message}`);
+    return { success: false, error: err.message };
+  }
+}
+
+module.exports = { execute };
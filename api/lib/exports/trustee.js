@@ -296,6 +296,14 @@ async function execute(context, schedule) {
       base64,
       mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
       summary,
+      // For change-only delivery (lib/exportChanges.js): which trustee user can
+      // reach which customer org.
+      snapshot: {
+        relations: {
+          orgAccess: allUsers.flatMap((u) => Object.keys(u.orgs)
+            .map((cn) => [cn, `${u.name} (${u.trusteeOrg}) <${u.email}>`])),
+        },
+      },
     };
   } catch (err) {
     log.error(`Trustee export failed: ${err.message}`);
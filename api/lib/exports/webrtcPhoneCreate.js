@@ -29,6 +29,7 @@
  */
 const customers = require("../customers.json");
 const { getGenesysToken } = require("../genesysAuth");
+const { apiBase } = require("../genesysHost");
 const XLSX = require("xlsx-js-style");
 const rules = require("../webrtcPhoneRules");
 const { verifyCreator, INTERNAL_OWNER } = require("../creatorAuth");
@@ -56,7 +57,7 @@ function makeClient(orgId) {
 
   async function request(method, path, body) {
     const token = await getGenesysToken(orgId, region, clientId, clientSecret);
-    const resp = await fetch("https://api." + region + path, {
+    const resp = await fetch(apiBase(region) + path, {
       method,
       headers: { Authorization: "Bearer " + token, "Content-Type": "application/json" },
       body: body === undefined ? undefined : JSON.stringify(body),
@@ -0,0 +1,85 @@
+/**
+ * Flow Lint Rule Store — which flow lint rules are switched off, per org
+ * (Azure Table Storage).
+ *
+ * Flows › Flow Lint runs every rule in js/lib/flowLint.js unless the org's row
+ * switches it off. Only the switched-off ids are kept, so a rule added later
+ * is on everywhere until someone decides otherwise.
+ *
+ * Table: "flowlintrules"
+ * PartitionKey: orgId
+ * RowKey: "rules"
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING
+ */
+const { TableClient } = require("@azure/data-tables");
+
+const TABLE_NAME = "flowlintrules";
+const ROW_KEY = "rules";
+
+let _client = null;
+let _tableEnsured = false;
+
+function getClient() {
+  if (!_client) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _client = TableClient.fromConnectionString(connStr, TABLE_NAME);
+  }
+  return _client;
+}
+
+/** Create the table if it doesn't exist (idempotent). */
+async function ensureTable() {
+  if (_tableEnsured) return;
+  try {
+    await getClient().createTable();
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+  }
+  _tableEnsured = true;
+}
+
+function entityToRules(entity) {
+  let disabled = [];
+  try { disabled = JSON.parse(entity.disabled || "[]"); } catch { /* a damaged row reads as all on */ }
+  return {
+    orgId: entity.partitionKey,
+    disabled: Array.isArray(disabled) ? disabled : [],
+    updatedAt: entity.updatedAt || null,
+    updatedBy: entity.updatedBy || "",
+  };
+}
+
+/** @returns {Promise<{ orgId, disabled: string[], updatedAt, updatedBy }>} all on when never saved */
+async function get(orgId) {
+  await ensureTable();
+  try {
+    return entityToRules(await getClient().getEntity(orgId, ROW_KEY));
+  } catch (err) {
+    if (err.statusCode === 404) return { orgId, disabled: [], updatedAt: null, updatedBy: "" };
+    throw err;
+  }
+}
+
+/** Replace the org's switched-off rules. */
+async function save(orgId, disabled, updatedBy) {
+  await ensureTable();
+  const entity = {
+    partitionKey: orgId,
+    rowKey: ROW_KEY,
+    disabled: JSON.stringify(disabled),
+    updatedAt: new Date().toISOString(),
+    updatedBy: updatedBy || "",
+  };
+  await getClient().upsertEntity(entity, "Replace");
+  return entityToRules(entity);
+}
+
+module.exports = { get, save };
@@ -0,0 +1,157 @@
+/**
+ * Flow Scenario Store — saved Flow Simulator scenarios (Azure Table Storage).
+ *
+ * A scenario is the inputs of one simulated call (js/lib/flowSimulator.js) and
+ * what it is expected to do: the path and outcome of the run it was saved
+ * from. Re-running a flow's scenarios after the flow changes shows which of
+ * them now go somewhere else.
+ *
+ * Table: "flowscenarios"
+ * PartitionKey: orgId
+ * RowKey: UUID
+ *
+ * `scenario` and `expected` are stored as JSON strings and returned parsed.
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING
+ */
+const { TableClient } = require("@azure/data-tables");
+const crypto = require("crypto");
+
+const TABLE_NAME = "flowscenarios";
+
+let _client = null;
+let _tableEnsured = false;
+
+function getClient() {
+  if (!_client) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _client = TableClient.fromConnectionString(connStr, TABLE_NAME);
+  }
+  return _client;
+}
+
+/** Create the table if it doesn't exist (idempotent). */
+async function ensureTable() {
+  if (_tableEnsured) return;
+  try {
+    await getClient().createTable();
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+  }
+  _tableEnsured = true;
+}
+
+function parseJson(text, fallback) {
+  try { return text ? JSON.parse(text) : fallback; } catch { return fallback; }
+}
+
+function entityToScenario(entity) {
+  return {
+    id: entity.rowKey,
+    orgId: entity.partitionKey,
+    flowId: entity.flowId,
+    flowName: entity.flowName || "",
+    name: entity.name,
+    scenario: parseJson(entity.scenario, {}),
+    expected: parseJson(entity.expected, null),
+    createdBy: entity.createdBy || "",
+    createdAt: entity.createdAt,
+    updatedBy: entity.updatedBy || "",
+    updatedAt: entity.updatedAt || entity.createdAt,
+  };
+}
+
+function scenarioToEntity(s) {
+  return {
+    partitionKey: s.orgId,
+    rowKey: s.id,
+    flowId: s.flowId,
+    flowName: s.flowName || "",
+    name: s.name,
+    scenario: JSON.stringify(s.scenario || {}),
+    expected: s.expected ? JSON.stringify(s.expected) : "",
+    createdBy: s.createdBy || "",
+    createdAt: s.createdAt,
+    updatedBy: s.updatedBy || "",
+    updatedAt: s.updatedAt,
+  };
+}
+
+/** A flow's scenarios, by name. */
+async function listByFlow(orgId, flowId) {
+  await ensureTable();
+  const out = [];
+  const iter = getClient().listEntities({
+    queryOptions: { filter: `PartitionKey eq '${orgId}' and flowId eq '${flowId}'` },
+  });
+  for await (const entity of iter) out.push(entityToScenario(entity));
+  return out.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+async function getById(orgId, id) {
+  await ensureTable();
+  try {
+    return entityToScenario(await getClient().getEntity(orgId, id));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+async function create(data) {
+  await ensureTable();
+  const now = new Date().toISOString();
+  const s = {
+    id: crypto.randomUUID(),
+    orgId: data.orgId,
+    flowId: data.flowId,
+    flowName: data.flowName,
+    name: data.name,
+    scenario: data.scenario,
+    expected: data.expected || null,
+    createdBy: data.by,
+    createdAt: now,
+    updatedBy: data.by,
+    updatedAt: now,
+  };
+  await getClient().createEntity(scenarioToEntity(s));
+  return s;
+}
+
+/** Replace the name, inputs or expectation; whatever is not given is kept. */
+async function update(orgId, id, data) {
+  await ensureTable();
+  const existing = await getById(orgId, id);
+  if (!existing) return null;
+  const updated = {
+    ...existing,
+    name: data.name ?? existing.name,
+    flowName: data.flowName ?? existing.flowName,
+    scenario: data.scenario ?? existing.scenario,
+    expected: data.expected === undefined ? existing.expected : data.expected,
+    updatedBy: data.by,
+    updatedAt: new Date().toISOString(),
+  };
+  await getClient().updateEntity(scenarioToEntity(updated), "Replace");
+  return updated;
+}
+
+async function remove(orgId, id) {
+  await ensureTable();
+  try {
+    await getClient().deleteEntity(orgId, id);
+    return true;
+  } catch (err) {
+    if (err.statusCode === 404) return false;
+    throw err;
+  }
+}
+
+module.exports = { listByFlow, getById, create, update, remove };
@@ -4,6 +4,7 @@
  * Caches tokens per customer org and automatically refreshes
  * when they are about to expire.
  */
+const { loginBase } = require("./genesysHost");
 
 // Token cache: customerId → { accessToken, expiresAt }
 const tokenCache = new Map();
@@ -25,7 +26,7 @@ async function getGenesysToken(customerId, region, clientId, clientSecret) {
     return cached.accessToken;
   }
 
-  const tokenUrl = `https://login.${region}/oauth/token`;
+  const tokenUrl = `${loginBase(region)}/oauth/token`;
 
   const resp = await fetch(tokenUrl, {
     method: "POST",
@@ -53,4 +54,21 @@ async function getGenesysToken(customerId, region, clientId, clientSecret) {
   return accessToken;
 }
 
-module.exports = { getGenesysToken };
+/**
+ * The customer a cached client-credentials token belongs to, or null.
+ *
+ * Lets code that is handed a bare token — the documentation export threads one
+ * through a hundred call sites — still be attributed to its org, which is what
+ * the rate-limit governor keys on.
+ *
+ * @param {string} token
+ * @returns {string|null} customerId
+ */
+function customerForToken(token) {
+  for (const [customerId, cached] of tokenCache) {
+    if (cached.accessToken === token) return customerId;
+  }
+  return null;
+}
+
+module.exports = { getGenesysToken, customerForToken };
@@ -14,14 +14,23 @@
  *   - `genesysGetWithToken(region, token, path)` takes an already-resolved
  *     token, which is how the documentation export works — it resolves once and
  *     threads the token through a hundred call sites.
+ *
+ * `genesysPost` is for the query endpoints that take their filters as a body —
+ * audit queries and analytics jobs. Those are reads that happen to be POSTs.
  */
 const customers = require("./customers.json");
-const { getGenesysToken } = require("./genesysAuth");
-
-// Transient statuses worth a second go. Every request here is an idempotent
-// GET, so retrying carries no side effects. 401/403/404 will not improve by
-// asking again and fail on the first attempt.
-const RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const { getGenesysToken, customerForToken } = require("./genesysAuth");
+const { apiBase } = require("./genesysHost");
+const { governedFetch, BACKGROUND_QUEUE_WAIT_MS } = require("./rateGovernor");
+
+// Transient statuses worth a second go. Every request here is a GET or a query
+// POST, so retrying carries no side effects beyond, at worst, a second query
+// job that nobody collects. 401/403/404 will not improve by
+// asking again and fail on the first attempt. 429 is not here: the rate-limit
+// governor queues those itself, sharing the org's allowance with the proxy —
+// with the long background queue wait, since nothing here sits behind the
+// proxy's 45-second gateway.
+const RETRY_STATUSES = new Set([408, 500, 502, 503, 504]);
 const MAX_ATTEMPTS   = 3;
 
 /** How many pages of one paged endpoint to fetch at once. */
@@ -43,20 +52,30 @@ async function resolveOrg(customerId) {
   return { region: customer.region, token };
 }
 
-/** GET one path with an already-resolved token, retrying transient failures. */
-async function genesysGetWithToken(region, token, path) {
-  const url = `https://api.${region}${path}`;
+/**
+ * Send one request with an already-resolved token, retrying transient failures.
+ *
+ * Paced by the per-org rate-limit governor, waiting up to
+ * BACKGROUND_QUEUE_WAIT_MS for a slot. The org is looked up from the token; a
+ * token this instance did not issue is paced per region instead.
+ */
+async function genesysRequestWithToken(region, token, method, path, body) {
+  const url    = `${apiBase(region)}${path}`;
+  const orgKey = customerForToken(token) || region;
+  const init   = {
+    method,
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+  };
+  if (body !== undefined) init.body = JSON.stringify(body);
 
   for (let attempt = 1; ; attempt++) {
-    const resp = await fetch(url, {
-      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
-    });
-    if (resp.ok) return resp.json();
+    const { resp } = await governedFetch(orgKey, url, init, { maxWaitMs: BACKGROUND_QUEUE_WAIT_MS });
+    if (resp.ok) return resp.status === 204 ? null : resp.json();
 
-    const body = await resp.text().catch(() => "");
-    const err  = new Error(`Genesys API ${resp.status} for ${path}`);
+    const text = await resp.text().catch(() => "");
+    const err  = new Error(`Genesys API ${resp.status} for ${method === "GET" ? "" : `${method} `}${path}`);
     err.status = resp.status;
-    err.detail = body.slice(0, 200);
+    err.detail = text.slice(0, 200);
 
     if (attempt >= MAX_ATTEMPTS || !RETRY_STATUSES.has(resp.status)) throw err;
 
@@ -68,6 +87,16 @@ async function genesysGetWithToken(region, token, path) {
   }
 }
 
+/** GET one path with an already-resolved token. */
+async function genesysGetWithToken(region, token, path) {
+  return genesysRequestWithToken(region, token, "GET", path);
+}
+
+/** POST a query body to one path with an already-resolved token. */
+async function genesysPostWithToken(region, token, path, body) {
+  return genesysRequestWithToken(region, token, "POST", path, body);
+}
+
 /**
  * Fetch every page of a paged endpoint with an already-resolved token.
  *
@@ -130,6 +159,12 @@ async function genesysGet(customerId, path) {
   return genesysGetWithToken(region, token, path);
 }
 
+/** POST a query body to one path for a customer org, resolving credentials. */
+async function genesysPost(customerId, path, body) {
+  const { region, token } = await resolveOrg(customerId);
+  return genesysPostWithToken(region, token, path, body);
+}
+
 /** Fetch every page of a paged endpoint for a customer org. */
 async function genesysGetAllPages(customerId, path, pageSize = 100) {
   const { region, token } = await resolveOrg(customerId);
@@ -141,6 +176,8 @@ module.exports = {
   genesysGetAllPages,
   genesysGetWithToken,
   genesysGetAllPagesWithToken,
+  genesysPost,
+  genesysPostWithToken,
   resolveOrg,
   PAGE_CONCURRENCY,
 };
@@ -0,0 +1,40 @@
+/**
+ * Base URLs for Genesys Cloud, per region.
+ *
+ * Every outbound Genesys call in the API builds its URL here, which is what
+ * lets local development swap the whole of Genesys for the offline stand-in in
+ * dev/mock-genesys with one setting.
+ *
+ * Optional app setting (local development only):
+ *   GENESYS_API_BASE_OVERRIDE — e.g. http://localhost:4010. Sends every api.*
+ *   and login.* call there, whatever the customer's region. Honoured only for
+ *   a loopback address: a stray value in a deployed app would otherwise hand
+ *   every org's client credentials to whatever it named.
+ */
+
+const LOOPBACK_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+function resolveOverride() {
+  const raw = (process.env.GENESYS_API_BASE_OVERRIDE || "").trim();
+  if (!raw) return null;
+  try {
+    const url = new URL(raw);
+    if (LOOPBACK_HOSTS.has(url.hostname)) return url.origin;
+  } catch (_) { /* fall through */ }
+  console.warn(`[genesysHost] Ignoring GENESYS_API_BASE_OVERRIDE=${raw}: only a loopback URL is accepted`);
+  return null;
+}
+
+const OVERRIDE = resolveOverride();
+
+/** `https://api.<region>`, or the local override. */
+function apiBase(region) {
+  return OVERRIDE || `https://api.${region}`;
+}
+
+/** `https://login.<region>`, or the local override. */
+function loginBase(region) {
+  return OVERRIDE || `https://login.${region}`;
+}
+
+module.exports = { apiBase, loginBase };
@@ -1,6 +1,7 @@
 const customers = require("./customers.json");
 const crypto = require("crypto");
 const { expandPackages } = require("./packages");
+const { apiBase } = require("./genesysHost");
 
 const DEFAULT_REGION = process.env.GENESYS_HOME_REGION || "mypurecloud.de";
 const INTERNAL_COMPANY_ORG_ID = (process.env.INTERNAL_COMPANY_ORG_ID || "").trim().toLowerCase();
@@ -39,7 +40,7 @@ function setCachedClassification(token, value) {
 const identityCache = new Map();
 
 async function fetchUserMe(accessToken, region) {
-  const resp = await fetch(`https://api.${region}/api/v2/users/me`, {
+  const resp = await fetch(`${apiBase(region)}/api/v2/users/me`, {
     method: "GET",
     headers: { Authorization: `Bearer ${accessToken}` },
   });
@@ -150,7 +151,7 @@ function isConfigured(registry) {
 }
 
 async function fetchOrganizationMe(accessToken, region) {
-  const resp = await fetch(`https://api.${region}/api/v2/organizations/me`, {
+  const resp = await fetch(`${apiBase(region)}/api/v2/organizations/me`, {
     method: "GET",
     headers: { Authorization: `Bearer ${accessToken}` },
   });
@@ -0,0 +1,177 @@
+/**
+ * Activity Log entries for writes that pass through the Genesys proxy.
+ *
+ * Pages log their own runs through activityLogService, but only the runs they
+ * choose to — a data table row edit or a one-off PATCH never showed up. The
+ * proxy sees every write whichever page made it, so it records them itself:
+ * one "api_write" entry per request (a batch is one entry), carrying the
+ * caller's verified identity, the org, and each call's method, path, status
+ * and a truncated request body.
+ *
+ * Writes the proxy journaled (see changeJournal.js) also get their before/after
+ * snapshots stored in the change journal; the entry's item for that call lists
+ * the journal record ids, which is how the Activity Log page finds the diff.
+ *
+ * Reads are not logged, and neither are simulated writes — nothing was sent,
+ * and the Simulation Plan already lists them. Logging never fails the call:
+ * the write has already happened by the time the entry is made, so a storage
+ * outage is reported to the Function log and otherwise ignored.
+ */
+const customers = require("./customers.json");
+const store = require("./activityLogStore");
+const journalStore = require("./changeJournalStore");
+const { buildChanges } = require("./changeJournal");
+const { getCallerContext } = require("./callerContext");
+const { isReadOnlyCall } = require("./simulation");
+
+// Enough of a body to see what was changed; the store shrinks the entry as a
+// whole if a batch still overflows (see serializeDetails).
+const BODY_MAX_CHARS = 2000;
+
+// Property names whose values are never written to the log.
+const SECRET_KEY_RE = /secret|password|token|credential|apikey|api_key/i;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY_RE.test(k) && v != null && v !== "" ? "[redacted]" : redact(v);
+  }
+  return out;
+}
+
+/** The request body as log text: secrets masked, uploads summarised, capped. */
+function bodyText(body) {
+  if (body == null) return "";
+  if (body.__fileUpload) {
+    const { fileName, fileMimeType, fileBase64 } = body.__fileUpload;
+    const bytes = Math.floor(((fileBase64 || "").length * 3) / 4);
+    return `[file upload: ${fileName || "unnamed"}, ${fileMimeType || "unknown type"}, ~${bytes} bytes]`;
+  }
+  const text = typeof body === "string" ? body : JSON.stringify(redact(body));
+  return text.length > BODY_MAX_CHARS
+    ? `${text.slice(0, BODY_MAX_CHARS)}… (${text.length} chars)`
+    : text;
+}
+
+function isOk(status) {
+  return status >= 200 && status < 300;
+}
+
+/** Genesys' own message for a failed call, else whatever the proxy said. */
+function errorText(result) {
+  const b = result.body;
+  if (b && typeof b === "object") return b.message || b.error || `HTTP ${result.status}`;
+  return `HTTP ${result.status}`;
+}
+
+function callLine({ method, path, query }) {
+  const qs = query ? new URLSearchParams(query).toString() : "";
+  return `${String(method).toUpperCase()} ${path}${qs ? `?${qs}` : ""}`;
+}
+
+/**
+ * Store the journal records for one call. Returns their ids; a record that
+ * fails to store is left out rather than failing the entry.
+ */
+async function journal(context, call, base) {
+  const ids = [];
+  for (const change of buildChanges(call.snapshot, call, call.result)) {
+    try {
+      ids.push(await journalStore.create({ ...base, ...change }));
+    } catch (err) {
+      context.log.warn("[proxy] change journal write failed:", err?.message || err);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Write one Activity Log entry for the writes among `calls`.
+ *
+ * @param {object} context  Function context (for logging and caller lookup)
+ * @param {object} req      The proxy request (carries the caller's token)
+ * @param {object} opts
+ * @param {string} opts.orgId  Customer slug the calls were made against
+ * @param {boolean} opts.batch  Whether the request was a batch
+ * @param {Array<{method, path, query?, body?, snapshot?, result: {status, body, simulated?}}>} opts.calls
+ *   `snapshot` is what changeJournal.captureBefore read before the call.
+ */
+async function logProxyWrites(context, req, { orgId, batch = false, calls }) {
+  try {
+    const writes = calls.filter(
+      (c) => c.method && c.path && c.result && !c.result.simulated && !isReadOnlyCall(c.method, c.path)
+    );
+    if (!writes.length) return;
+
+    const caller = await getCallerContext(context, req, { hintId: orgId });
+    const orgName = (customers.find((c) => c.id === orgId) || {}).name || orgId;
+
+    const failed = writes.filter((c) => !isOk(c.result.status));
+    const result =
+      failed.length === 0 ? "success" :
+      failed.length === writes.length ? "failure" : "partial";
+
+    let description;
+    if (writes.length === 1) {
+      description = `${callLine(writes[0])} → ${writes[0].result.status}`;
+    } else {
+      const byMethod = {};
+      for (const c of writes) {
+        const m = String(c.method).toUpperCase();
+        byMethod[m] = (byMethod[m] || 0) + 1;
+      }
+      const mix = Object.entries(byMethod).map(([m, n]) => `${m} ×${n}`).join(", ");
+      description = `Batch of ${writes.length} writes (${mix})` + (failed.length ? ` — ${failed.length} failed` : "");
+    }
+
+    const identity = {
+      ownerOrgId: caller.ownerOrgId,
+      userId:     caller.userId    || "",
+      userEmail:  caller.userEmail || "",
+      userName:   caller.userName  || "",
+    };
+    const journalIds = [];
+    for (const c of writes) {
+      journalIds.push(c.snapshot ? await journal(context, c, { ...identity, orgId, orgName }) : []);
+    }
+
+    await store.create(context, {
+      ...identity,
+      orgId,
+      orgName,
+      action:       "api_write",
+      description,
+      result,
+      errorMessage: failed.length ? errorText(failed[0].result) : null,
+      count:        writes.length,
+      details: {
+        summary: {
+          mode: caller.mode,
+          batch,
+          calls: writes.length,
+          failed: failed.length,
+        },
+        phases: [{
+          phase: "Calls",
+          items: writes.map((c, i) => {
+            const ok = isOk(c.result.status);
+            const body = bodyText(c.body);
+            const item = {
+              new: `${callLine(c)} → ${c.result.status}`,
+              status: ok ? "ok" : "error",
+              detail: ok ? body : [errorText(c.result), body].filter(Boolean).join("\n"),
+            };
+            if (journalIds[i].length) item.journalIds = journalIds[i];
+            return item;
+          }),
+        }],
+      },
+    });
+  } catch (err) {
+    context.log.warn("[proxy] activity log write failed:", err?.message || err);
+  }
+}
+
+module.exports = { logProxyWrites };
@@ -0,0 +1,205 @@
+/**
+ * Per-org rate-limit governor for outbound Genesys calls.
+ *
+ * Genesys limits requests per OAuth client per org. Internal sessions all use
+ * the same client-credentials token for a given customer, so two operators
+ * running big jobs against one org are drawing from one allowance — and until
+ * this existed, each page paced itself without knowing the other was there.
+ * The first to hit 429 was simply the unlucky one.
+ *
+ * One token bucket per org, shared by everything in this Functions instance
+ * that talks to Genesys: the proxy and the export handlers (via genesysFetch).
+ * A request that finds the bucket empty waits its turn in a FIFO queue rather
+ * than failing. The bucket learns from Genesys as it goes:
+ *   - `inin-ratelimit-allowed` resizes the bucket to the org's real allowance;
+ *   - `inin-ratelimit-count` reaching it pauses the org until
+ *     `inin-ratelimit-reset`;
+ *   - a 429's `Retry-After` pauses the org for that long, and the request is
+ *     queued again instead of being handed back to the page.
+ *
+ * In-memory and per instance. A scaled-out app has one governor per instance,
+ * which still removes the contention between pages routed to the same host —
+ * the common case for a single team — and costs nothing to run.
+ *
+ * Optional app setting:
+ *   GENESYS_RATE_LIMIT_PER_MINUTE — starting allowance before Genesys reports
+ *   its own (default 300, the documented per-client limit).
+ */
+
+const DEFAULT_PER_MINUTE = Number(process.env.GENESYS_RATE_LIMIT_PER_MINUTE) || 300;
+
+// A single proxied call runs behind the Static Web Apps gateway, which gives up
+// at 45 seconds. Waiting past this would only turn a slow answer into no answer,
+// so the request is released with a 429 and the page's own retry takes over.
+const MAX_QUEUE_WAIT_MS = 30_000;
+
+// Exports, doc-export jobs, scheduled exports and config drift have no gateway
+// in front of them and minutes of calls left to make. Under sustained
+// throttling they should wait their turn, not give up the whole run — so
+// genesysFetch passes this instead.
+const BACKGROUND_QUEUE_WAIT_MS = 10 * 60_000;
+
+// 429 re-queues per request. A write that was rate-limited was not processed,
+// so re-sending it is as safe as re-sending a GET.
+const MAX_ATTEMPTS = 4;
+
+// Backoff for a 429 that carries no Retry-After.
+const FALLBACK_PAUSE_MS = 1000;
+
+const buckets = new Map(); // orgKey → bucket
+
+function getBucket(orgKey) {
+  let b = buckets.get(orgKey);
+  if (!b) {
+    b = {
+      capacity: DEFAULT_PER_MINUTE,
+      tokens: DEFAULT_PER_MINUTE,
+      refillPerMs: DEFAULT_PER_MINUTE / 60_000,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+      queue: [],
+      timer: null,
+    };
+    buckets.set(orgKey, b);
+  }
+  return b;
+}
+
+function refill(b, now) {
+  b.tokens = Math.min(b.capacity, b.tokens + (now - b.updatedAt) * b.refillPerMs);
+  b.updatedAt = now;
+}
+
+/** Hand out tokens to waiters in arrival order; re-arm for the rest. */
+function drain(b) {
+  if (b.timer) {
+    clearTimeout(b.timer);
+    b.timer = null;
+  }
+  const now = Date.now();
+  refill(b, now);
+
+  while (b.queue.length && now >= b.pausedUntil && b.tokens >= 1) {
+    b.tokens -= 1;
+    const waiter = b.queue.shift();
+    clearTimeout(waiter.deadline);
+    waiter.resolve(now - waiter.enqueuedAt);
+  }
+
+  if (b.queue.length) {
+    const untilToken = b.tokens >= 1 ? 0 : (1 - b.tokens) / b.refillPerMs;
+    const wait = Math.max(b.pausedUntil - now, untilToken, 5);
+    b.timer = setTimeout(() => drain(b), Math.ceil(wait));
+  }
+}
+
+/**
+ * Wait for a slot for one request to `orgKey`.
+ *
+ * @param {string} orgKey
+ * @param {number} [maxWaitMs]  How long to wait in the queue (default MAX_QUEUE_WAIT_MS)
+ * @returns {Promise<number>} Milliseconds spent waiting (0 when not throttled).
+ *   Rejects with `code: "rate_limit_queue_timeout"` when no slot opens within
+ *   `maxWaitMs`.
+ */
+function acquire(orgKey, maxWaitMs = MAX_QUEUE_WAIT_MS) {
+  const b = getBucket(orgKey);
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, enqueuedAt: Date.now(), deadline: null };
+    waiter.deadline = setTimeout(() => {
+      const i = b.queue.indexOf(waiter);
+      if (i !== -1) b.queue.splice(i, 1);
+      reject(queueTimeout(orgKey, maxWaitMs, Date.now() - waiter.enqueuedAt));
+    }, maxWaitMs);
+    b.queue.push(waiter);
+    drain(b);
+  });
+}
+
+function queueTimeout(orgKey, maxWaitMs, throttledMs) {
+  const err = new Error(`Rate-limit queue wait exceeded ${maxWaitMs / 1000}s for ${orgKey}`);
+  err.code = "rate_limit_queue_timeout";
+  err.status = 429;
+  err.throttledMs = throttledMs;
+  return err;
+}
+
+/** Stop handing out slots for `orgKey` for `ms`. Never shortens a pause. */
+function pause(orgKey, ms) {
+  const b = getBucket(orgKey);
+  b.pausedUntil = Math.max(b.pausedUntil, Date.now() + ms);
+  drain(b);
+}
+
+/**
+ * Learn from a Genesys response's rate-limit headers.
+ *
+ * `inin-ratelimit-*` arrive on ordinary responses as well as 429s, which is
+ * what lets the governor slow down before Genesys starts refusing.
+ */
+function observe(orgKey, resp) {
+  const h = resp.headers;
+  if (!h || typeof h.get !== "function") return;
+  const b = getBucket(orgKey);
+
+  const allowed = Number(h.get("inin-ratelimit-allowed"));
+  if (Number.isFinite(allowed) && allowed > 0 && allowed !== b.capacity) {
+    b.capacity = allowed;
+    b.refillPerMs = allowed / 60_000;
+    b.tokens = Math.min(b.tokens, allowed);
+  }
+
+  const count = Number(h.get("inin-ratelimit-count"));
+  const reset = Number(h.get("inin-ratelimit-reset"));
+  if (Number.isFinite(allowed) && Number.isFinite(count) && count >= allowed && Number.isFinite(reset) && reset > 0) {
+    pause(orgKey, reset * 1000);
+  }
+
+  if (resp.status === 429) {
+    const retryAfter = Number(h.get("retry-after"));
+    pause(orgKey, Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : FALLBACK_PAUSE_MS);
+  }
+}
+
+/**
+ * `fetch` through the governor.
+ *
+ * Waits for a slot, sends, learns from the answer, and on 429 queues the same
+ * request again behind the pause it just set. Returns the final response with
+ * the total time spent waiting, so a caller can tell the page why it was slow.
+ *
+ * `maxWaitMs` is one deadline for the whole call, counted from its start: each
+ * re-queue after a 429 gets only what is left of it. Given afresh per attempt,
+ * four attempts at 30s would keep a proxied call waiting well past the
+ * gateway's 45s. When it runs out the call rejects like `acquire`, with
+ * `code: "rate_limit_queue_timeout"` and the time waited on `err.throttledMs`.
+ *
+ * @param {string} orgKey
+ * @param {string} url
+ * @param {object} opts  fetch options
+ * @param {object} [governor]
+ * @param {number} [governor.maxWaitMs]  Queue wait for the call — MAX_QUEUE_WAIT_MS
+ *   for the interactive proxy (the default), BACKGROUND_QUEUE_WAIT_MS for work
+ *   with no gateway in front of it
+ * @returns {Promise<{ resp: Response, throttledMs: number }>}
+ */
+async function governedFetch(orgKey, url, opts, { maxWaitMs = MAX_QUEUE_WAIT_MS } = {}) {
+  const deadline = Date.now() + maxWaitMs;
+  let throttledMs = 0;
+  for (let attempt = 1; ; attempt++) {
+    const remainingMs = deadline - Date.now();
+    if (remainingMs <= 0) throw queueTimeout(orgKey, maxWaitMs, throttledMs);
+    try {
+      throttledMs += await acquire(orgKey, remainingMs);
+    } catch (err) {
+      if (err.code !== "rate_limit_queue_timeout") throw err;
+      throw queueTimeout(orgKey, maxWaitMs, throttledMs + (err.throttledMs || 0));
+    }
+    const resp = await fetch(url, opts);
+    observe(orgKey, resp);
+    if (resp.status !== 429 || attempt >= MAX_ATTEMPTS) return { resp, throttledMs };
+    await resp.text().catch(() => ""); // release the connection before re-queuing
+  }
+}
+
+module.exports = { governedFetch, acquire, observe, pause, MAX_QUEUE_WAIT_MS, BACKGROUND_QUEUE_WAIT_MS };
@@ -0,0 +1,128 @@
+/**
+ * Scheduled export failure alerts.
+ *
+ * When a schedule has failed `retryPolicy.alertAfterFailures` runs in a row
+ * (lib/scheduleRetry.js), its owner and the superusers get one email saying
+ * which step failed:
+ *
+ *   handler    the export itself — no handler, it threw, or it reported failure
+ *   delivery   the file was made but email or another delivery target refused it
+ *   store      the run finished but its result could not be saved to Table
+ *              Storage
+ *
+ * One email per streak: the schedule records lastAlertAt, and a success clears
+ * it. A store failure is the exception — the streak counter lives in the store
+ * that just failed, so it is alerted at once, and the streak is kept in this
+ * process instead: no further store alert for that schedule until its run
+ * status is saved again (storeRecovered). That case matters more than it
+ * looks: a schedule whose last run cannot be recorded still looks due, and
+ * runs again on every tick until storage recovers — one mail per tick would
+ * turn an outage into a flood.
+ *
+ * Best-effort, like every notification here: a mail that cannot be sent is
+ * logged and never fails the run it is reporting.
+ */
+const mailer = require("./mailer");
+const { superuserEmails } = require("./superusers");
+
+const STEP_TEXT = {
+  handler:  "Export handler — the export itself did not complete.",
+  delivery: "Delivery — the file was produced but could not be delivered.",
+  store:    "Store — the run finished but its result could not be saved to Table Storage. " +
+            "Until storage recovers the schedule still looks due and may run again on every 5-minute tick.",
+};
+
+const TRIGGER_TEXT = { schedule: "scheduled run", retry: "retry", manual: "Run now" };
+
+const _storeAlerted = new Set(); // scheduleIds alerted for a store failure not yet recovered from
+
+/**
+ * Mail the schedule's owner and the superusers about a run of failures.
+ *
+ * @param {Object} context   Azure Functions context, for logging
+ * @param {Object} schedule
+ * @param {Object} failure
+ * @param {string} failure.step          handler | delivery | store
+ * @param {string} failure.error
+ * @param {string} failure.trigger       schedule | retry | manual
+ * @param {number} [failure.attempt]
+ * @param {number} [failure.consecutiveFailures]  unknown for a store failure
+ * @param {string} [failure.nextRetryAt]
+ * @param {Date}   [failure.nextRunAt]
+ * @param {number} [failure.maxAttempts]
+ * @returns {Promise<boolean>} true when the mail went
+ */
+async function sendFailureAlert(context, schedule, failure) {
+  if (failure.step === "store") {
+    if (_storeAlerted.has(schedule.id)) return false;
+    _storeAlerted.add(schedule.id);
+  }
+
+  const owner = schedule.createdBy ? [schedule.createdBy] : [];
+  const all = [...owner, ...(await superuserEmails(context))];
+  const recipients = all.filter((e, i) => all.findIndex((x) => x.toLowerCase() === e.toLowerCase()) === i);
+  if (!recipients.length) {
+    context.log.warn(`No one to alert about failing schedule ${schedule.id}`);
+    return false;
+  }
+
+  const label = schedule.exportLabel || schedule.exportType;
+  const trigger = failure.trigger === "retry"
+    ? `retry (attempt ${failure.attempt} of ${failure.maxAttempts})`
+    : TRIGGER_TEXT[failure.trigger] || failure.trigger;
+  const next = failure.nextRetryAt
+    ? `Next attempt: retry at ${isoText(failure.nextRetryAt)} UTC`
+    : failure.nextRunAt
+      ? `Next attempt: the next scheduled run, ${isoText(failure.nextRunAt)} UTC`
+      : "Next attempt: none scheduled";
+
+  const lines = [
+    failure.consecutiveFailures
+      ? `The scheduled export "${label}" has failed ${failure.consecutiveFailures} times in a row.`
+      : `The scheduled export "${label}" could not record its last run.`,
+    "",
+    `Step that failed: ${STEP_TEXT[failure.step] || failure.step}`,
+    `Error: ${failure.error || "unknown"}`,
+    "",
+    `Last attempt: ${isoText(new Date())} UTC (${trigger})`,
+    next,
+  ];
+  if (schedule.exportConfig?.orgName) lines.push(`Organisation: ${schedule.exportConfig.orgName}`);
+  lines.push(
+    `Owner: ${schedule.createdByName || schedule.createdBy || "unknown"}`,
+    `Schedule id: ${schedule.id}`,
+    "",
+    "Each run — and the file, when one was produced — is listed under History on the Scheduled Exports page, " +
+      "where the schedule can also be run again with Run now.",
+  );
+  if (failure.step !== "store") {
+    lines.push("You will not be alerted again about this schedule until it has succeeded once more.");
+  }
+  lines.push("", "Best regards,\nGenesys Admin App");
+
+  try {
+    const sent = await mailer.sendMail({
+      recipients,
+      subject: `[Scheduled export failing] ${label}`,
+      text: lines.join("\n"),
+      log: (msg) => context.log.warn(msg),
+    });
+    if (!sent.success) context.log.warn(`Failure alert for ${schedule.id} not sent: ${sent.error}`);
+    return sent.success;
+  } catch (err) {
+    context.log.warn(`Failure alert for ${schedule.id} threw: ${err.message}`);
+    return false;
+  }
+}
+
+/** The schedule's run status was saved again: a later store failure is a new streak. */
+function storeRecovered(scheduleId) {
+  _storeAlerted.delete(scheduleId);
+}
+
+/** "2026-10-19 06:00" from a Date or ISO string. */
+function isoText(value) {
+  return new Date(value).toISOString().replace("T", " ").slice(0, 16);
+}
+
+module.exports = { sendFailureAlert, storeRecovered };
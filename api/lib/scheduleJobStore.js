@@ -0,0 +1,201 @@
+/**
+ * Schedule Job Store — the lease and live progress of each running scheduled
+ * export (Azure Table Storage).
+ *
+ * The runner used to work through the due schedules one after another inside
+ * the timer's single request, so one slow documentation export held up every
+ * report behind it, and two ticks that overlapped could both decide the same
+ * schedule was due. Each due schedule is now a job of its own:
+ *
+ *   queued    claimed by a tick (the lease is taken), not started yet
+ *   running   a job invocation has started it — `phase` says where it is
+ *   done | failed | timed-out   finished; the row stays as the latest job
+ *
+ * Table: "schedulejobs"
+ * PartitionKey: "job"
+ * RowKey: schedule id — one row per schedule, so the row IS the lease
+ *
+ * A schedule can only be claimed when its row is missing, finished, or holds a
+ * lease past `leaseUntil`. Claims are created or replaced under the row's etag,
+ * so of two ticks racing for the same schedule exactly one wins. A lease is
+ * longer than any invocation can live (host.json functionTimeout, 10 minutes):
+ * one still held after that belongs to a job that died, and the next tick takes
+ * the schedule over.
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING
+ */
+const { TableClient } = require("@azure/data-tables");
+const crypto = require("crypto");
+
+const TABLE_NAME = "schedulejobs";
+const LEASE_MS   = 11 * 60 * 1000;
+const ACTIVE     = ["queued", "running"];
+
+let _client = null;
+let _tableEnsured = false;
+
+function getClient() {
+  if (!_client) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _client = TableClient.fromConnectionString(connStr, TABLE_NAME);
+  }
+  return _client;
+}
+
+async function ensureTable() {
+  if (_tableEnsured) return;
+  try {
+    await getClient().createTable();
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+  }
+  _tableEnsured = true;
+}
+
+// ── Entity ↔ Job mapping ────────────────────────────────
+
+function entityToJob(e) {
+  return {
+    scheduleId: e.rowKey,
+    jobId:      e.jobId,
+    trigger:    e.trigger || "schedule",
+    status:     e.status || "queued",
+    phase:      e.phase || null,          // export | store | compare | deliver, while running
+    progress:   e.progress || "",         // e.g. "Slack webhook (2 of 3)"
+    claimedAt:  e.claimedAt || null,
+    startedAt:  e.startedAt || null,
+    updatedAt:  e.updatedAt || null,
+    finishedAt: e.finishedAt || null,
+    leaseUntil: e.leaseUntil || null,
+    runId:      e.runId || null,
+    error:      e.error || null,
+    _etag:      e.etag,
+  };
+}
+
+function jobToEntity(job) {
+  return {
+    partitionKey: "job",
+    rowKey:     job.scheduleId,
+    jobId:      job.jobId,
+    trigger:    job.trigger || "schedule",
+    status:     job.status,
+    phase:      job.phase || "",
+    progress:   String(job.progress || "").slice(0, 500),
+    claimedAt:  job.claimedAt || "",
+    startedAt:  job.startedAt || "",
+    updatedAt:  job.updatedAt || "",
+    finishedAt: job.finishedAt || "",
+    leaseUntil: job.leaseUntil || "",
+    runId:      job.runId || "",
+    error:      String(job.error || "").slice(0, 2000),
+  };
+}
+
+/** True while the job holds its schedule's lease. */
+function isActive(job, now = Date.now()) {
+  return !!job && ACTIVE.includes(job.status) && Date.parse(job.leaseUntil) > now;
+}
+
+// ── Operations ──────────────────────────────────────────
+
+async function get(scheduleId) {
+  await ensureTable();
+  try {
+    return entityToJob(await getClient().getEntity("job", scheduleId));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/** Every schedule's latest job. */
+async function listAll() {
+  await ensureTable();
+  const jobs = [];
+  const iter = getClient().listEntities({ queryOptions: { filter: "PartitionKey eq 'job'" } });
+  for await (const entity of iter) jobs.push(entityToJob(entity));
+  return jobs;
+}
+
+/**
+ * Take a schedule's lease for a new job.
+ * @param {string} scheduleId
+ * @param {string} trigger   schedule | retry | manual
+ * @returns {Promise<Object|null>} the queued job, or null when another job
+ *   holds the lease or another tick claimed it first
+ */
+async function claim(scheduleId, trigger) {
+  await ensureTable();
+  const now = new Date();
+  const job = {
+    scheduleId,
+    jobId:      crypto.randomUUID(),
+    trigger,
+    status:     "queued",
+    claimedAt:  now.toISOString(),
+    updatedAt:  now.toISOString(),
+    leaseUntil: new Date(now.getTime() + LEASE_MS).toISOString(),
+  };
+
+  const current = await get(scheduleId);
+  if (isActive(current, now.getTime())) return null;
+  try {
+    if (current) {
+      await getClient().updateEntity(jobToEntity(job), "Replace", { etag: current._etag });
+    } else {
+      await getClient().createEntity(jobToEntity(job));
+    }
+  } catch (err) {
+    if (err.statusCode === 409 || err.statusCode === 412) return null; // lost the race
+    throw err;
+  }
+  return job;
+}
+
+/**
+ * Move a queued job to running. Fails (null) when the job is not the one
+ * holding the lease any more, or was already started — a dispatch the timer
+ * retried must not run the export a second time.
+ */
+async function start(scheduleId, jobId) {
+  const current = await get(scheduleId);
+  if (!current || current.jobId !== jobId || current.status !== "queued") return null;
+  const now = new Date().toISOString();
+  const job = { ...current, status: "running", startedAt: now, updatedAt: now };
+  try {
+    await getClient().updateEntity(jobToEntity(job), "Replace", { etag: current._etag });
+  } catch (err) {
+    if (err.statusCode === 412) return null;
+    throw err;
+  }
+  return job;
+}
+
+/**
+ * Record progress, or the end of the job when `patch.status` is final (the
+ * lease is released with it). Ignored when the lease has passed to a newer job.
+ */
+async function update(scheduleId, jobId, patch) {
+  const current = await get(scheduleId);
+  if (!current || current.jobId !== jobId) return null;
+  const now = new Date().toISOString();
+  const job = { ...current, ...patch, updatedAt: now };
+  if (!ACTIVE.includes(job.status)) {
+    job.finishedAt = now;
+    job.leaseUntil = "";
+    job.phase = null;
+    job.progress = "";
+  }
+  await getClient().updateEntity(jobToEntity(job), "Replace", { etag: current._etag });
+  return job;
+}
+
+module.exports = { get, listAll, claim, start, update, isActive, LEASE_MS };
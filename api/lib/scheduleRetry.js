@@ -0,0 +1,121 @@
+/**
+ * Schedule retry policy — what a scheduled export does after a failed run.
+ *
+ * A handler that throws used to leave `lastStatus: "error"` and nothing else:
+ * the schedule waited for its next period, so a monthly report could skip a
+ * whole month without anyone noticing. Each schedule now carries a policy:
+ *
+ *   retryPolicy: {
+ *     maxAttempts          runs per period, the first included (1 = no retry)
+ *     backoffMinutes       wait before the first retry; doubles for each one after
+ *     alertAfterFailures   consecutive failed runs before the owner and the
+ *                          superusers are mailed (0 = never)
+ *   }
+ *
+ * Retries stay within the period. A retry that would fall at or after the
+ * schedule's next regular run is not scheduled: that run is the next attempt,
+ * and it starts the count afresh. The runner ticks every 5 minutes, so a
+ * retry runs on the first tick at or after its time.
+ *
+ * State on the schedule, written by the runner after every run (`afterRun`):
+ *   retryAttempt          attempt number of the latest scheduled/retry run
+ *   nextRetryAt           when the next retry is due, or null
+ *   consecutiveFailures   failed runs in a row, any trigger; 0 after a success
+ *   lastAlertAt           when this streak was alerted; null after a success,
+ *                         so each streak is alerted once
+ */
+const cron = require("./cronSchedule");
+
+const DEFAULT_POLICY = { maxAttempts: 1, backoffMinutes: 15, alertAfterFailures: 3 };
+const LIMITS = {
+  maxAttempts:        [1, 6],
+  backoffMinutes:     [5, 720],
+  alertAfterFailures: [0, 20],
+};
+
+/** The schedule's policy with defaults filled in — schedules saved before it existed get DEFAULT_POLICY. */
+function retryPolicy(schedule) {
+  const p = schedule?.retryPolicy || {};
+  const out = {};
+  for (const key of Object.keys(DEFAULT_POLICY)) {
+    const n = p[key] == null || p[key] === "" ? NaN : Number(p[key]);
+    out[key] = Number.isInteger(n) ? n : DEFAULT_POLICY[key];
+  }
+  return out;
+}
+
+/**
+ * Why a policy cannot be saved, or null. Absent fields take their default.
+ * @returns {string|null}
+ */
+function validateRetryPolicy(policy) {
+  if (policy == null) return null;
+  if (typeof policy !== "object") return "retryPolicy must be an object";
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    if (policy[key] == null || policy[key] === "") continue;
+    const n = Number(policy[key]);
+    if (!Number.isInteger(n) || n < min || n > max) return `retryPolicy.${key} must be a whole number from ${min} to ${max}`;
+  }
+  return null;
+}
+
+/**
+ * When attempt `attempt + 1` should run, or null when there is none this period.
+ * @returns {string|null} ISO time
+ */
+function nextRetryAt(schedule, attempt, now = new Date()) {
+  const { maxAttempts, backoffMinutes } = retryPolicy(schedule);
+  if (attempt >= maxAttempts) return null;
+  const at = new Date(now.getTime() + backoffMinutes * 2 ** (attempt - 1) * 60 * 1000);
+  let next = null;
+  try { next = cron.nextRun(schedule, now); } catch (_) { /* unusable timing — no period to stay inside */ }
+  if (next && at >= next) return null;
+  return at.toISOString();
+}
+
+/**
+ * The schedule's retry and alert state after a run.
+ *
+ * @param {Object} schedule   as it was when the run started
+ * @param {Object} run
+ * @param {string} run.trigger  "schedule" | "retry" | "manual"
+ * @param {number} run.attempt  attempt number (scheduled and retry runs)
+ * @param {boolean} run.failed
+ * @param {Date}   run.now
+ * @returns {{ fields: Object, alert: boolean }} fields to store on the
+ *   schedule, and whether this run is the one that should raise the alert
+ */
+function afterRun(schedule, { trigger, attempt, failed, now }) {
+  const policy = retryPolicy(schedule);
+  const fields = {};
+  // Any pending "Run now" is served by this run, whatever triggered it — a
+  // request that lands on the same tick as a scheduled run does not run twice.
+  if (schedule.runRequestedAt) {
+    fields.runRequestedAt = null;
+    fields.runRequestedBy = null;
+  }
+
+  if (!failed) {
+    fields.consecutiveFailures = 0;
+    fields.lastAlertAt = null;
+    // A success ends the period's retries, whatever triggered it.
+    fields.retryAttempt = 0;
+    fields.nextRetryAt = null;
+    return { fields, alert: false };
+  }
+
+  fields.consecutiveFailures = (schedule.consecutiveFailures || 0) + 1;
+  if (trigger !== "manual") {
+    // A failed "Run now" neither uses up nor reschedules the period's retries.
+    fields.retryAttempt = attempt;
+    fields.nextRetryAt = nextRetryAt(schedule, attempt, now);
+  }
+
+  const alert = policy.alertAfterFailures > 0 &&
+    fields.consecutiveFailures >= policy.alertAfterFailures &&
+    !schedule.lastAlertAt;
+  if (alert) fields.lastAlertAt = now.toISOString();
+  return { fields, alert };
+}
+
+module.exports = { DEFAULT_POLICY, LIMITS, retryPolicy, validateRetryPolicy, nextRetryAt, afterRun };
@@ -0,0 +1,218 @@
+/**
+ * Schedule Run Store — one record per scheduled-export run (Azure Table Storage).
+ *
+ * A schedule itself only remembers its latest run (lastRun / lastStatus /
+ * lastError). This keeps every run, so "last Tuesday's report never arrived"
+ * can be answered — and, with the file kept in Blob Storage by
+ * exportArtifactStore.js, put right.
+ *
+ * Table: "schedulerruns"
+ * PartitionKey: schedule id   (a schedule's history is one partition query)
+ * RowKey: inverted-timestamp_uuid (smallest RowKey = newest run, sorts first)
+ *
+ * Retention: runs older than RUN_HISTORY_RETENTION_DAYS (default 90) are
+ * purged by the scheduled runner, together with their artifact. Runs of a
+ * deleted schedule are kept until then — the file may be exactly what someone
+ * comes asking for.
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING
+ */
+const { TableClient } = require("@azure/data-tables");
+const crypto = require("crypto");
+
+const TABLE_NAME = "schedulerruns";
+const MAX_TS     = 9_999_999_999_999; // stays valid until ~year 2286
+const DEFAULT_RETENTION_DAYS = 90;
+
+let _client = null;
+let _tableEnsured = false;
+
+function getClient() {
+  if (!_client) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _client = TableClient.fromConnectionString(connStr, TABLE_NAME);
+  }
+  return _client;
+}
+
+async function ensureTable() {
+  if (_tableEnsured) return;
+  try {
+    await getClient().createTable();
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+  }
+  _tableEnsured = true;
+}
+
+/** Days a run (and its file) is kept — RUN_HISTORY_RETENTION_DAYS, default 90. */
+function retentionDays() {
+  const n = parseInt(process.env.RUN_HISTORY_RETENTION_DAYS, 10);
+  return n > 0 ? n : DEFAULT_RETENTION_DAYS;
+}
+
+function odataString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+// ── Entity ↔ Run mapping ────────────────────────────────
+
+function entityToRun(e) {
+  return {
+    id:           e.rowKey,
+    scheduleId:   e.partitionKey,
+    ownerOrgId:   e.ownerOrgId || "internal",
+    exportType:   e.exportType || "",
+    exportLabel:  e.exportLabel || e.exportType || "",
+    startedAt:    e.startedAt,
+    finishedAt:   e.finishedAt || null,
+    durationMs:   e.durationMs ?? null,
+    status:       e.status || "unknown",       // success | unchanged | delivery-failed | error
+                                               // (email-failed on runs before delivery targets)
+    error:        e.error || null,
+    trigger:      e.trigger || "schedule",     // schedule | retry | manual (Run now)
+    attempt:      e.attempt ?? null,           // attempt in the period; null for Run now
+    failedStep:   e.failedStep || null,        // handler | delivery | store, on a failed run
+    summary:      e.summary || "",
+    changeSummary: e.changeSummary || null,     // change-only schedules: what changed, one line each
+    filename:     e.filename || null,
+    mimeType:     e.mimeType || null,
+    fileSize:     e.fileSize ?? null,
+    artifact:     e.artifact || null,           // blob name, null when not kept
+    artifactError: e.artifactError || null,
+    emailStatus:  e.emailStatus || null,        // sent | failed | skipped
+    emailError:   e.emailError || null,
+    // One outcome per delivery target: { targetId, type, label, status, error, detail }
+    deliveries:   e.deliveries ? JSON.parse(e.deliveries) : [],
+    recipients:   e.recipients || "",
+    resendCount:  e.resendCount || 0,
+    lastResentAt: e.lastResentAt || null,
+    lastResentBy: e.lastResentBy || null,
+  };
+}
+
+// ── CRUD operations ─────────────────────────────────────
+
+/** A new run id for `startedAt` — sorts newest first within the schedule. */
+function newRunId(startedAt) {
+  const inverted = String(MAX_TS - Date.parse(startedAt)).padStart(13, "0");
+  return `${inverted}_${crypto.randomUUID()}`;
+}
+
+/**
+ * Record a finished run.
+ * @param {Object} run  scheduleId, id (from newRunId) and the fields of entityToRun
+ * @returns {Promise<Object>} the stored run
+ */
+async function create(run) {
+  await ensureTable();
+  const entity = {
+    partitionKey:  run.scheduleId,
+    rowKey:        run.id,
+    ownerOrgId:    run.ownerOrgId || "internal",
+    exportType:    run.exportType || "",
+    exportLabel:   run.exportLabel || "",
+    startedAt:     run.startedAt,
+    finishedAt:    run.finishedAt || "",
+    durationMs:    run.durationMs ?? null,
+    status:        run.status,
+    error:         String(run.error || "").slice(0, 4000),
+    trigger:       run.trigger || "schedule",
+    attempt:       run.attempt ?? null,
+    failedStep:    run.failedStep || "",
+    summary:       String(run.summary || "").slice(0, 4000),
+    changeSummary: String(run.changeSummary || "").slice(0, 8000),
+    filename:      run.filename || "",
+    mimeType:      run.mimeType || "",
+    fileSize:      run.fileSize ?? null,
+    artifact:      run.artifact || "",
+    artifactError: String(run.artifactError || "").slice(0, 2000),
+    emailStatus:   run.emailStatus || "",
+    emailError:    String(run.emailError || "").slice(0, 2000),
+    deliveries:    JSON.stringify(run.deliveries || []),
+    recipients:    run.recipients || "",
+    resendCount:   0,
+  };
+  await getClient().createEntity(entity);
+  return entityToRun(entity);
+}
+
+async function get(scheduleId, runId) {
+  await ensureTable();
+  try {
+    return entityToRun(await getClient().getEntity(scheduleId, runId));
+  } catch (err) {
+    if (err.statusCode === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * A schedule's runs, newest first.
+ * @param {string} scheduleId
+ * @param {number} [limit]
+ */
+async function listForSchedule(scheduleId, limit = 100) {
+  await ensureTable();
+  const runs = [];
+  const iter = getClient().listEntities({
+    queryOptions: { filter: `PartitionKey eq ${odataString(scheduleId)}` },
+  });
+  for await (const entity of iter) {
+    runs.push(entityToRun(entity));
+    if (runs.length >= limit) break;
+  }
+  return runs;
+}
+
+/** Note a re-send on the run it re-sent. */
+async function recordResend(scheduleId, runId, byEmail) {
+  await ensureTable();
+  const existing = await get(scheduleId, runId);
+  if (!existing) return null;
+  const patch = {
+    partitionKey: scheduleId,
+    rowKey:       runId,
+    resendCount:  existing.resendCount + 1,
+    lastResentAt: new Date().toISOString(),
+    lastResentBy: byEmail || "",
+  };
+  await getClient().updateEntity(patch, "Merge");
+  return { ...existing, ...patch };
+}
+
+/**
+ * Delete runs older than the retention period.
+ * @param {(blobName: string) => Promise<void>} [removeArtifact]  called for each
+ *   run that kept a file, before its record goes
+ * @returns {Promise<number>} runs deleted
+ */
+async function purgeOld(removeArtifact) {
+  await ensureTable();
+  const cutoff = new Date(Date.now() - retentionDays() * 24 * 3600 * 1000).toISOString();
+  const client = getClient();
+  const stale = [];
+  const iter = client.listEntities({
+    queryOptions: { filter: `startedAt lt ${odataString(cutoff)}` },
+  });
+  for await (const entity of iter) stale.push(entity);
+
+  for (const e of stale) {
+    if (e.artifact && removeArtifact) {
+      // A file we failed to delete is retried on the next purge, so the
+      // record stays until its file is gone.
+      try { await removeArtifact(e.artifact); } catch (_) { continue; }
+    }
+    try { await client.deleteEntity(e.partitionKey, e.rowKey); } catch (_) {}
+  }
+  return stale.length;
+}
+
+module.exports = { newRunId, create, get, listForSchedule, recordResend, purgeOld, retentionDays };
@@ -5,6 +5,24 @@
  * PartitionKey: "schedule"  (single partition — low volume, simple queries)
  * RowKey: UUID
  *
+ * Timing: scheduleType is daily, weekly, monthly or cron. The first three use
+ * scheduleTime and the day fields; cron uses cronExpression. timeZone (IANA)
+ * applies to all four — empty means Europe/Copenhagen, which every schedule
+ * saved before it existed was in. When each one fires is worked out in
+ * lib/cronSchedule.js.
+ *
+ * Delivery: emailRecipients / emailMessage as ever, plus deliveryTargets — SFTP,
+ * Blob, Teams, Slack and HTTPS targets, stored as JSON with their secrets
+ * already sealed (lib/deliveryTargets.js). This store never sees them in plain
+ * text. deliverOnlyOnChange skips delivery when nothing changed since the last
+ * delivered run (lib/exportChanges.js). outputFormats (JSON array — xlsx, csv,
+ * json) is what the runner delivers (lib/exportFormats.js); unset means xlsx.
+ *
+ * Failure handling: retryPolicy (JSON) and the runner's retry/alert state —
+ * retryAttempt, nextRetryAt, consecutiveFailures, lastAlertAt — described in
+ * lib/scheduleRetry.js. runRequestedAt / runRequestedBy mark a "Run now" the
+ * runner has yet to pick up.
+ *
  * Requires app setting:
  *   AZURE_STORAGE_CONNECTION_STRING
  */
@@ -56,9 +74,14 @@ function entityToSchedule(entity) {
     scheduleTime: entity.scheduleTime,
     scheduleDayOfWeek: entity.scheduleDayOfWeek ?? null,
     scheduleDayOfMonth: entity.scheduleDayOfMonth ?? null,
+    cronExpression: entity.cronExpression || "",
+    timeZone: entity.timeZone || "",
     enabled: entity.enabled === true,
     emailRecipients: entity.emailRecipients || "",
     emailMessage: entity.emailMessage || "",
+    deliveryTargets: entity.deliveryTargets
+      ? JSON.parse(entity.deliveryTargets)
+      : [],
     exportConfig: entity.exportConfig
       ? JSON.parse(entity.exportConfig)
       : {},
@@ -73,6 +96,15 @@ function entityToSchedule(entity) {
     lastRun: entity.lastRun || null,
     lastStatus: entity.lastStatus || null,
     lastError: entity.lastError || null,
+    deliverOnlyOnChange: entity.deliverOnlyOnChange === true,
+    outputFormats: entity.outputFormats ? JSON.parse(entity.outputFormats) : null,
+    retryPolicy: entity.retryPolicy ? JSON.parse(entity.retryPolicy) : null,
+    retryAttempt: entity.retryAttempt || 0,
+    nextRetryAt: entity.nextRetryAt || null,
+    consecutiveFailures: entity.consecutiveFailures || 0,
+    lastAlertAt: entity.lastAlertAt || null,
+    runRequestedAt: entity.runRequestedAt || null,
+    runRequestedBy: entity.runRequestedBy || null,
   };
 }
 
@@ -87,9 +119,14 @@ function scheduleToEntity(schedule) {
     scheduleTime: schedule.scheduleTime,
     scheduleDayOfWeek: schedule.scheduleDayOfWeek,
     scheduleDayOfMonth: schedule.scheduleDayOfMonth,
+    cronExpression: schedule.cronExpression || "",
+    timeZone: schedule.timeZone || "",
     enabled: schedule.enabled,
     emailRecipients: schedule.emailRecipients,
     emailMessage: schedule.emailMessage,
+    deliveryTargets: JSON.stringify(schedule.deliveryTargets || []),
+    deliverOnlyOnChange: !!schedule.deliverOnlyOnChange,
+    outputFormats: schedule.outputFormats ? JSON.stringify(schedule.outputFormats) : "",
     exportConfig: JSON.stringify(schedule.exportConfig || {}),
     createdBy: schedule.createdBy,
     createdById: schedule.createdById || "",
@@ -99,6 +136,13 @@ function scheduleToEntity(schedule) {
     lastRun: schedule.lastRun,
     lastStatus: schedule.lastStatus,
     lastError: schedule.lastError,
+    retryPolicy: schedule.retryPolicy ? JSON.stringify(schedule.retryPolicy) : "",
+    retryAttempt: schedule.retryAttempt || 0,
+    nextRetryAt: schedule.nextRetryAt || "",
+    consecutiveFailures: schedule.consecutiveFailures || 0,
+    lastAlertAt: schedule.lastAlertAt || "",
+    runRequestedAt: schedule.runRequestedAt || "",
+    runRequestedBy: schedule.runRequestedBy || "",
   };
 }
 
@@ -144,10 +188,16 @@ async function create(data) {
     scheduleTime: data.scheduleTime,
     scheduleDayOfWeek: data.scheduleDayOfWeek ?? null,
     scheduleDayOfMonth: data.scheduleDayOfMonth ?? null,
+    cronExpression: data.cronExpression || "",
+    timeZone: data.timeZone || "",
     enabled: data.enabled !== false,
     emailRecipients: data.emailRecipients || "",
     emailMessage: data.emailMessage || "",
+    deliveryTargets: data.deliveryTargets || [],
+    deliverOnlyOnChange: !!data.deliverOnlyOnChange,
+    outputFormats: data.outputFormats || null,
     exportConfig: data.exportConfig || {},
+    retryPolicy: data.retryPolicy || null,
     createdBy: data.createdBy,
     createdById: data.createdById || "",
     createdByName: data.createdByName || "",
@@ -176,10 +226,16 @@ async function update(id, data) {
     scheduleTime: data.scheduleTime ?? existing.scheduleTime,
     scheduleDayOfWeek: data.scheduleDayOfWeek ?? existing.scheduleDayOfWeek,
     scheduleDayOfMonth: data.scheduleDayOfMonth ?? existing.scheduleDayOfMonth,
+    cronExpression: data.cronExpression ?? existing.cronExpression,
+    timeZone: data.timeZone ?? existing.timeZone,
     enabled: data.enabled ?? existing.enabled,
     emailRecipients: data.emailRecipients ?? existing.emailRecipients,
     emailMessage: data.emailMessage ?? existing.emailMessage,
+    deliveryTargets: data.deliveryTargets ?? existing.deliveryTargets,
+    deliverOnlyOnChange: data.deliverOnlyOnChange ?? existing.deliverOnlyOnChange,
+    outputFormats: data.outputFormats ?? existing.outputFormats,
     exportConfig: data.exportConfig ?? existing.exportConfig,
+    retryPolicy: data.retryPolicy ?? existing.retryPolicy,
     // Preserve immutable fields
     id,
     createdBy: existing.createdBy,
@@ -225,11 +281,19 @@ function canEdit(schedule, userEmail) {
 
 // ── Run tracking ────────────────────────────────────────
 
+// Run-state fields the runner may set besides the last-run ones (see
+// lib/scheduleRetry.js). Anything else in its patch is ignored, so the runner
+// can never overwrite what the owner configured.
+const RUN_STATE_FIELDS = [
+  "retryAttempt", "nextRetryAt", "consecutiveFailures", "lastAlertAt",
+  "runRequestedAt", "runRequestedBy",
+];
+
 /**
  * Update the last-run status fields of a schedule.
  * Used by the scheduled runner after executing an export.
  */
-async function updateRunStatus(id, { lastRun, lastStatus, lastError }) {
+async function updateRunStatus(id, { lastRun, lastStatus, lastError, ...state }) {
   await ensureTable();
   const client = getClient();
   const existing = await getById(id);
@@ -242,9 +306,30 @@ async function updateRunStatus(id, { lastRun, lastStatus, lastError }) {
     lastError: lastError || null,
     updatedAt: new Date().toISOString(),
   };
+  for (const key of RUN_STATE_FIELDS) {
+    if (key in state) updated[key] = state[key];
+  }
 
   await client.updateEntity(scheduleToEntity(updated), "Replace");
   return updated;
 }
 
-module.exports = { listAll, getById, create, update, remove, canEdit, updateRunStatus, ADMIN_EMAIL };
+/**
+ * Ask the runner to run a schedule on its next tick ("Run now").
+ * Merged rather than replaced, so it cannot undo an edit saved meanwhile.
+ */
+async function requestRun(id, byEmail) {
+  await ensureTable();
+  const existing = await getById(id);
+  if (!existing) return null;
+  const runRequestedAt = new Date().toISOString();
+  await getClient().updateEntity({
+    partitionKey: "schedule",
+    rowKey: id,
+    runRequestedAt,
+    runRequestedBy: byEmail || "",
+  }, "Merge");
+  return { ...existing, runRequestedAt, runRequestedBy: byEmail || "" };
+}
+
+module.exports = { listAll, getById, create, update, remove, canEdit, updateRunStatus, requestRun, ADMIN_EMAIL };
@@ -0,0 +1,60 @@
+/**
+ * Secret box — encrypts the credentials a schedule's delivery targets carry.
+ *
+ * SFTP passwords, Blob SAS URLs and webhook URLs are all someone else's keys.
+ * They are stored on the schedule row, so they are sealed with AES-256-GCM
+ * before they reach Table Storage: read access to the storage account (or a
+ * table export lying around) must not be enough to write into a customer's
+ * SFTP server. The API never sends a sealed value back to the browser either —
+ * see deliveryTargets.redact.
+ *
+ * Sealed form: "v1:" + base64(iv[12] | tag[16] | ciphertext). The prefix leaves
+ * room to rotate the scheme without guessing which rows use which.
+ *
+ * Requires app setting:
+ *   DELIVERY_SECRET_KEY   any long random string; hashed to the 256-bit key.
+ *                         Changing it makes every stored secret unreadable —
+ *                         each target then has to be given its secret again.
+ */
+const crypto = require("crypto");
+
+const PREFIX = "v1:";
+
+function key() {
+  const secret = process.env.DELIVERY_SECRET_KEY;
+  if (!secret) {
+    throw new Error(
+      "DELIVERY_SECRET_KEY is not configured. " +
+      "Add it to your Azure Static Web App application settings."
+    );
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+}
+
+/** True for a value `seal` produced. */
+function isSealed(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+/** Encrypt a plain-text secret. */
+function seal(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key(), iv);
+  const enc = Buffer.concat([cipher.update(String(plain), "utf8"), cipher.final()]);
+  return PREFIX + Buffer.concat([iv, cipher.getAuthTag(), enc]).toString("base64");
+}
+
+/** Decrypt a sealed secret. Throws when the key has changed or the value was tampered with. */
+function open(sealed) {
+  if (!isSealed(sealed)) throw new Error("Not a sealed secret");
+  const raw = Buffer.from(sealed.slice(PREFIX.length), "base64");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key(), raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  try {
+    return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString("utf8");
+  } catch (_) {
+    throw new Error("Stored secret could not be decrypted — has DELIVERY_SECRET_KEY changed?");
+  }
+}
+
+module.exports = { seal, open, isSealed };
@@ -0,0 +1,368 @@
+/**
+ * SIEM forwarding — every Activity Log entry, also sent to the security team's
+ * collector within a tick of being written.
+ *
+ * activityLogStore.create hands each new entry to `forward`, which only queues
+ * it. One sink, chosen by app setting:
+ *
+ *   SIEM_SINK=webhook   HTTPS POST of the entry as JSON to SIEM_WEBHOOK_URL,
+ *                       signed with HMAC-SHA256 over "<timestamp>.<body>" using
+ *                       SIEM_WEBHOOK_SECRET:
+ *                         X-Siem-Timestamp: <ISO time of this attempt>
+ *                         X-Siem-Signature: sha256=<hex>
+ *                         X-Siem-Event-Id:  <entry id — stable across retries>
+ *   SIEM_SINK=syslog    One RFC 5424 syslog line with a CEF payload, newline
+ *                       framed, over TCP to SIEM_SYSLOG_HOST:SIEM_SYSLOG_PORT
+ *                       (default 6514 with SIEM_SYSLOG_TLS=true, else 601).
+ *
+ * Unset, forwarding is off and nothing here touches the network or the queue.
+ *
+ * Nothing is sent while the entry is written. `forward` puts it on the queue in
+ * Table Storage (siemQueueStore.js) as due now — the same row the onboarding
+ * runner writes — because the request that wrote it should not wait on
+ * somebody else's collector, and a collector that is down would otherwise cost
+ * every write, every proxied write included, SEND_TIMEOUT_MS. `drain` sends the
+ * queue — the scheduled runner calls it on every tick, and the SIEM Forwarding
+ * page can call it on demand — stops a pass after MAX_CONSECUTIVE_FAILURES, and
+ * retries with exponential backoff; after MAX_ATTEMPTS the entry moves to
+ * "failed", where it stays until an admin replays it.
+ *
+ * Delivery is at least once. A retry after a timeout may repeat an entry the
+ * collector did receive; the event id is there to de-duplicate on.
+ */
+const crypto = require("crypto");
+const net    = require("net");
+const tls    = require("tls");
+const os     = require("os");
+const queue  = require("./siemQueueStore");
+
+const SEND_TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS    = 10;
+// Backoff after attempt n: 1, 2, 4, … minutes, capped at 6 hours. Ten attempts
+// span roughly a day and a half — long enough to ride out a collector outage
+// over a weekend night, short enough that "failed" still means something.
+const BACKOFF_BASE_MS = 60 * 1000;
+const BACKOFF_MAX_MS  = 6 * 60 * 60 * 1000;
+// A pass stops trying after this many failures in a row: with the collector
+// down, every attempt costs SEND_TIMEOUT_MS, and a queue of hundreds would run
+// the Function past its timeout. Whatever is left is picked up next pass.
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+const PRODUCT_VENDOR  = "TDC";
+const PRODUCT_NAME    = "Genesys Admin Tool";
+const APP_NAME        = "genesys-admin";
+
+// ── Configuration ───────────────────────────────────────
+
+/**
+ * The configured sink, or null when forwarding is off. Throws when SIEM_SINK
+ * names a sink whose own settings are missing — a half-configured sink should
+ * be loud, not silently off.
+ */
+function sinkConfig() {
+  const kind = String(process.env.SIEM_SINK || "").trim().toLowerCase();
+  if (!kind) return null;
+
+  if (kind === "webhook") {
+    const url    = process.env.SIEM_WEBHOOK_URL;
+    const secret = process.env.SIEM_WEBHOOK_SECRET;
+    if (!url || !secret) throw new Error("SIEM_SINK=webhook needs SIEM_WEBHOOK_URL and SIEM_WEBHOOK_SECRET");
+    return { kind, url, secret };
+  }
+
+  if (kind === "syslog") {
+    const host = process.env.SIEM_SYSLOG_HOST;
+    if (!host) throw new Error("SIEM_SINK=syslog needs SIEM_SYSLOG_HOST");
+    const useTls = String(process.env.SIEM_SYSLOG_TLS || "").toLowerCase() === "true";
+    const port = parseInt(process.env.SIEM_SYSLOG_PORT, 10) || (useTls ? 6514 : 601);
+    return { kind, host, port, tls: useTls };
+  }
+
+  throw new Error(`Unknown SIEM_SINK: ${kind} (expected webhook or syslog)`);
+}
+
+/** What the status page shows about the sink — never the secret. */
+function describeSink() {
+  try {
+    const cfg = sinkConfig();
+    if (!cfg) return { configured: false, kind: null, target: null, error: null };
+    const target = cfg.kind === "webhook"
+      ? new URL(cfg.url).origin + new URL(cfg.url).pathname
+      : `${cfg.tls ? "tls" : "tcp"}://${cfg.host}:${cfg.port}`;
+    return { configured: true, kind: cfg.kind, target, error: null };
+  } catch (err) {
+    return { configured: false, kind: null, target: null, error: err.message };
+  }
+}
+
+// ── Formatting ──────────────────────────────────────────
+
+/** The webhook body: the entry as the Activity Log API returns it, plus a source tag. */
+function toEvent(entry) {
+  return { source: APP_NAME, ...entry };
+}
+
+function cefHeader(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/\|/g, "\\|").replace(/[\r\n]+/g, " ");
+}
+
+function cefValue(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/=/g, "\\=")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+const CEF_SEVERITY = { success: 3, partial: 6, failure: 8 };
+
+/**
+ * One syslog line: RFC 5424 header (facility local0), CEF payload. `details`
+ * is left out — a SIEM line is a summary, and the full entry stays in the log.
+ */
+function toSyslogLine(entry) {
+  const severity = CEF_SEVERITY[entry.result] ?? 3;
+  // local0 (16); syslog severity: err for failures, warning for partial, notice otherwise.
+  const pri = 16 * 8 + (entry.result === "failure" ? 3 : entry.result === "partial" ? 4 : 5);
+  const ts  = entry.logTimestamp || new Date().toISOString();
+
+  // [key, value, label] — a custom field (cs1, cn1, …) carries its label only
+  // when it carries a value.
+  const ext = [
+    ["rt",         Date.parse(ts) || Date.now()],
+    ["externalId", entry.id],
+    ["suser",      entry.userEmail],
+    ["suid",       entry.userId],
+    ["cs1",        entry.userName,   "userName"],
+    ["cs2",        entry.orgId,      "orgId"],
+    ["cs3",        entry.orgName,    "orgName"],
+    ["cs4",        entry.ownerOrgId, "ownerOrgId"],
+    ["cn1",        entry.count,      "count"],
+    ["outcome",    entry.result],
+    ["msg",        entry.errorMessage ? `${entry.description} — ${entry.errorMessage}` : entry.description],
+  ]
+    .filter(([, v]) => v !== "" && v != null)
+    .map(([k, v, label]) => (label ? `${k}Label=${label} ` : "") + `${k}=${cefValue(v)}`)
+    .join(" ");
+
+  const cef = [
+    "CEF:0",
+    cefHeader(PRODUCT_VENDOR),
+    cefHeader(PRODUCT_NAME),
+    "1.0",
+    cefHeader(entry.action),
+    cefHeader(entry.action),
+    severity,
+    ext,
+  ].join("|");
+
+  return `<${pri}>1 ${ts} ${os.hostname() || "-"} ${APP_NAME} - ${cefHeader(entry.action).replace(/\s+/g, "_") || "-"} - ${cef}`;
+}
+
+// ── Transport ───────────────────────────────────────────
+
+async function sendWebhook(cfg, entry) {
+  const body      = JSON.stringify(toEvent(entry));
+  const timestamp = new Date().toISOString();
+  const signature = crypto.createHmac("sha256", cfg.secret).update(`${timestamp}.${body}`).digest("hex");
+
+  const resp = await fetch(cfg.url, {
+    method: "POST",
+    headers: {
+      "Content-Type":     "application/json",
+      "X-Siem-Timestamp": timestamp,
+      "X-Siem-Signature": `sha256=${signature}`,
+      "X-Siem-Event-Id":  entry.id,
+    },
+    body,
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+  });
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => "");
+    throw new Error(`Webhook answered HTTP ${resp.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+  }
+}
+
+function sendSyslog(cfg, entry) {
+  const line = toSyslogLine(entry) + "\n";
+  return new Promise((resolve, reject) => {
+    const socket = cfg.tls
+      ? tls.connect({ host: cfg.host, port: cfg.port, servername: cfg.host })
+      : net.connect({ host: cfg.host, port: cfg.port });
+    const fail = (err) => { socket.destroy(); reject(err); };
+    socket.setTimeout(SEND_TIMEOUT_MS, () => fail(new Error(`Syslog ${cfg.host}:${cfg.port} timed out`)));
+    socket.once("error", fail);
+    socket.once(cfg.tls ? "secureConnect" : "connect", () => {
+      socket.end(line, () => resolve());
+    });
+  });
+}
+
+/** Deliver one entry to the configured sink. Throws on any failure. */
+async function send(entry) {
+  const cfg = sinkConfig();
+  if (!cfg) throw new Error("SIEM forwarding is not configured");
+  if (cfg.kind === "webhook") return sendWebhook(cfg, entry);
+  return sendSyslog(cfg, entry);
+}
+
+// ── Forward, retry, replay ──────────────────────────────
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1), BACKOFF_MAX_MS);
+}
+
+/** One attempt; the outcome is recorded, never thrown. */
+async function attempt(entry) {
+  try {
+    await send(entry);
+    await queue.recordOutcome({ ok: true, id: entry.id }).catch(() => {});
+    return { ok: true };
+  } catch (err) {
+    const error = err?.message || String(err);
+    await queue.recordOutcome({ ok: false, id: entry.id, error }).catch(() => {});
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Queue a freshly written entry for `drain`, due now. Never throws: a failure
+ * to queue is only logged — the entry is in the Activity Log either way, and
+ * can be replayed from there.
+ *
+ * @param {object} context  Azure Functions context of the write, for logging
+ * @param {object} entry    The entry as activityLogStore returns it
+ * @returns {Promise<{ queued: boolean }>}
+ */
+async function forward(context, entry) {
+  let cfg;
+  try { cfg = sinkConfig(); } catch (err) { context.log.warn(`[siem] ${err.message}`); return { queued: false }; }
+  if (!cfg) return { queued: false };
+  try {
+    await queue.enqueue(entry.id, { attempts: 0, nextAttemptAt: new Date().toISOString() });
+    return { queued: true };
+  } catch (err) {
+    context.log.warn(`[siem] could not queue ${entry.id}: ${err?.message || err}`);
+    return { queued: false };
+  }
+}
+
+/**
+ * Send one entry now; a failed delivery is queued for `drain` with its first
+ * attempt counted. Never throws.
+ * @returns {Promise<{ forwarded: boolean, queued?: boolean, error?: string }>}
+ */
+async function sendNow(context, entry) {
+  let cfg;
+  try { cfg = sinkConfig(); } catch (err) { context.log.warn(`[siem] ${err.message}`); return { forwarded: false }; }
+  if (!cfg) return { forwarded: false };
+
+  const out = await attempt(entry);
+  if (out.ok) return { forwarded: true };
+  try {
+    const now = Date.now();
+    await queue.enqueue(entry.id, {
+      attempts:      1,
+      lastAttemptAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now + backoffMs(1)).toISOString(),
+      lastError:     out.error,
+    });
+    return { forwarded: false, queued: true, error: out.error };
+  } catch (err) {
+    context.log.warn(`[siem] could not queue ${entry.id} after "${out.error}": ${err?.message || err}`);
+    return { forwarded: false, queued: false, error: out.error };
+  }
+}
+
+/**
+ * Retry the queue.
+ *
+ * @param {(id: string) => Promise<object|null>} loadEntry
+ *   Reads an entry back from the Activity Log (activityLogStore.get). An entry
+ *   it cannot find has aged out and is dropped from the queue.
+ * @param {object}   [opts]
+ * @param {string[]} [opts.ids]    Replay exactly these queued entries, due or
+ *                                 not, pending or failed
+ * @param {number}   [opts.limit]  Max entries per call (default 200)
+ * @returns {Promise<{ delivered: number, retrying: number, failed: number, dropped: number, deferred: number }>}
+ *   `deferred` counts entries not tried because the sink kept failing.
+ */
+async function drain(loadEntry, { ids = null, limit = 200 } = {}) {
+  const totals = { delivered: 0, retrying: 0, failed: 0, dropped: 0, deferred: 0 };
+  if (!sinkConfig()) return totals;
+
+  const items = ids
+    ? (await Promise.all(ids.slice(0, limit).map((id) => queue.get(id)))).filter(Boolean)
+    : await queue.listDue(limit);
+
+  let streak = 0;
+  for (const item of items) {
+    if (streak >= MAX_CONSECUTIVE_FAILURES) {
+      totals.deferred++;
+      continue;
+    }
+    const entry = await loadEntry(item.id);
+    if (!entry) {
+      await queue.remove(item.id);
+      totals.dropped++;
+      continue;
+    }
+
+    const out = await attempt(entry);
+    if (out.ok) {
+      await queue.remove(item.id);
+      totals.delivered++;
+      streak = 0;
+      continue;
+    }
+    streak++;
+
+    // A replay of a failed entry gets a fresh run of attempts.
+    const attempts = (item.status === "failed" ? 0 : item.attempts) + 1;
+    const now = Date.now();
+    const fields = { attempts, lastAttemptAt: new Date(now).toISOString(), lastError: out.error };
+    if (attempts >= MAX_ATTEMPTS) {
+      await queue.markFailed(item.id, fields);
+      totals.failed++;
+    } else {
+      if (item.status === "failed") await queue.remove(item.id);
+      await queue.enqueue(item.id, { ...fields, nextAttemptAt: new Date(now + backoffMs(attempts)).toISOString() });
+      totals.retrying++;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Re-send entries straight from the Activity Log, queued or not — for a
+ * collector that lost data on its side. A failure is queued like any other;
+ * once the sink has failed MAX_CONSECUTIVE_FAILURES times in a row the rest
+ * are queued without trying, for `drain` to deliver when it recovers.
+ * @param {object}   context  Azure Functions context, for logging
+ * @param {object[]} entries
+ * @returns {Promise<{ delivered: number, queued: number }>}
+ */
+async function replayEntries(context, entries) {
+  const totals = { delivered: 0, queued: 0 };
+  let streak = 0;
+  for (const entry of entries) {
+    if (streak >= MAX_CONSECUTIVE_FAILURES) {
+      await queue.enqueue(entry.id, { attempts: 0, nextAttemptAt: new Date().toISOString() });
+      totals.queued++;
+      continue;
+    }
+    const out = await sendNow(context, entry);
+    if (out.forwarded) {
+      totals.delivered++;
+      streak = 0;
+      await queue.remove(entry.id).catch(() => {});
+    } else {
+      streak++;
+      if (out.queued) totals.queued++;
+    }
+  }
+  return totals;
+}
+
+module.exports = {
+  forward, drain, replayEntries, describeSink, toSyslogLine, MAX_ATTEMPTS,
+};
@@ -0,0 +1,190 @@
+/**
+ * SIEM Queue Store — Azure Table Storage CRUD.
+ *
+ * Table: "siemqueue"
+ * PartitionKey: "pending"  — waiting for its next delivery attempt
+ *               "failed"   — gave up after MAX_ATTEMPTS; stays until replayed
+ *               "state"    — one row, "sink": when the sink last accepted or
+ *                            refused an entry
+ * RowKey: the Activity Log entry id (so the queue sorts newest first, like the
+ *         log, and an entry is queued at most once)
+ *
+ * Only the entry id is queued. The entry itself is read back from the
+ * activitylog table when it is retried, so a queued row stays small whatever
+ * the entry's details weigh — and an entry purged by retention is simply
+ * dropped from the queue.
+ *
+ * Requires app setting:
+ *   AZURE_STORAGE_CONNECTION_STRING
+ */
+const { TableClient } = require("@azure/data-tables");
+
+const TABLE_NAME = "siemqueue";
+const STATE_ROW  = "sink";
+
+let _client       = null;
+let _tableEnsured = false;
+
+function getClient() {
+  if (!_client) {
+    const connStr = process.env.AZURE_STORAGE_CONNECTION_STRING;
+    if (!connStr) {
+      throw new Error(
+        "AZURE_STORAGE_CONNECTION_STRING is not configured. " +
+        "Add it to your Azure Static Web App application settings."
+      );
+    }
+    _client = TableClient.fromConnectionString(connStr, TABLE_NAME);
+  }
+  return _client;
+}
+
+async function ensureTable() {
+  if (_tableEnsured) return;
+  try {
+    await getClient().createTable();
+  } catch (err) {
+    if (err.statusCode !== 409) throw err;
+  }
+  _tableEnsured = true;
+}
+
+function entityToItem(e) {
+  return {
+    id:            e.rowKey,
+    status:        e.partitionKey,
+    attempts:      e.attempts      || 0,
+    enqueuedAt:    e.enqueuedAt    || "",
+    lastAttemptAt: e.lastAttemptAt || "",
+    nextAttemptAt: e.nextAttemptAt || "",
+    lastError:     e.lastError     || "",
+  };
+}
+
+// ── Queue ───────────────────────────────────────────────
+
+/**
+ * Queue (or re-queue) an entry. Upserts, so queuing an entry that is already
+ * pending just moves its next attempt.
+ * @param {string} id  Activity Log entry id
+ * @param {object} fields  { attempts, nextAttemptAt, lastAttemptAt?, lastError? }
+ */
+async function enqueue(id, { attempts = 0, nextAttemptAt, lastAttemptAt = "", lastError = "" }) {
+  await ensureTable();
+  await getClient().upsertEntity({
+    partitionKey:  "pending",
+    rowKey:        id,
+    enqueuedAt:    new Date().toISOString(),
+    attempts,
+    nextAttemptAt: nextAttemptAt || new Date().toISOString(),
+    lastAttemptAt,
+    lastError:     String(lastError || "").slice(0, 2000),
+  }, "Replace");
+}
+
+/** Pending entries whose next attempt is due, oldest first, at most `limit`. */
+async function listDue(limit = 100) {
+  await ensureTable();
+  const now  = new Date().toISOString();
+  const due  = [];
+  const iter = getClient().listEntities({
+    queryOptions: { filter: `PartitionKey eq 'pending' and nextAttemptAt le '${now}'` },
+  });
+  for await (const e of iter) due.push(entityToItem(e));
+  // RowKeys sort newest first; deliver in the order things happened.
+  return due.reverse().slice(0, limit);
+}
+
+/** Every pending and failed entry, newest first, at most `limit` of each. */
+async function list(limit = 200) {
+  await ensureTable();
+  const out = { pending: [], failed: [] };
+  for (const status of Object.keys(out)) {
+    const iter = getClient().listEntities({ queryOptions: { filter: `PartitionKey eq '${status}'` } });
+    for await (const e of iter) {
+      out[status].push(entityToItem(e));
+      if (out[status].length >= limit) break;
+    }
+  }
+  return out;
+}
+
+/** A queued entry (pending or failed), or null. */
+async function get(id) {
+  await ensureTable();
+  for (const status of ["pending", "failed"]) {
+    try {
+      return entityToItem(await getClient().getEntity(status, id));
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+  }
+  return null;
+}
+
+/** Take an entry off the queue, wherever it is. */
+async function remove(id) {
+  await ensureTable();
+  for (const status of ["pending", "failed"]) {
+    try {
+      await getClient().deleteEntity(status, id);
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+  }
+}
+
+/** Move a pending entry to "failed" — no more automatic attempts. */
+async function markFailed(id, { attempts, lastAttemptAt, lastError }) {
+  await ensureTable();
+  const client = getClient();
+  await client.upsertEntity({
+    partitionKey: "failed",
+    rowKey:       id,
+    enqueuedAt:   new Date().toISOString(),
+    attempts,
+    nextAttemptAt: "",
+    lastAttemptAt,
+    lastError:    String(lastError || "").slice(0, 2000),
+  }, "Replace");
+  try { await client.deleteEntity("pending", id); } catch (err) { if (err.statusCode !== 404) throw err; }
+}
+
+// ── Sink state ──────────────────────────────────────────
+
+/**
+ * Record the outcome of a delivery attempt. Merges, so a success leaves the
+ * last failure visible and vice versa.
+ */
+async function recordOutcome({ ok, id, error = "" }) {
+  await ensureTable();
+  const at = new Date().toISOString();
+  await getClient().upsertEntity(
+    ok
+      ? { partitionKey: "state", rowKey: STATE_ROW, lastDeliveredAt: at, lastDeliveredId: id }
+      : { partitionKey: "state", rowKey: STATE_ROW, lastFailureAt: at, lastFailureId: id, lastError: String(error).slice(0, 2000) },
+    "Merge"
+  );
+}
+
+/** { lastDeliveredAt, lastDeliveredId, lastFailureAt, lastFailureId, lastError } */
+async function getState() {
+  await ensureTable();
+  try {
+    const e = await getClient().getEntity("state", STATE_ROW);
+    return {
+      lastDeliveredAt: e.lastDeliveredAt || "",
+      lastDeliveredId: e.lastDeliveredId || "",
+      lastFailureAt:   e.lastFailureAt   || "",
+      lastFailureId:   e.lastFailureId   || "",
+      lastError:       e.lastError       || "",
+    };
+  } catch (err) {
+    if (err.statusCode === 404) {
+      return { lastDeliveredAt: "", lastDeliveredId: "", lastFailureAt: "", lastFailureId: "", lastError: "" };
+    }
+    throw err;
+  }
+}
+
+module.exports = { enqueue, listDue, list, get, remove, markFailed, recordOutcome, getState };
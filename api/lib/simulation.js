@@ -0,0 +1,63 @@
+/**
+ * Simulation (dry-run) support for the Genesys proxy.
+ *
+ * With the app's Simulate switch on, the proxy still classifies the caller and
+ * applies the org lock and customer guard — the plan must only list calls that
+ * would actually have been allowed — but a call that would change something is
+ * never forwarded. It is answered here with a synthetic success instead, and
+ * the page carries on as if it had gone through, which is what lets a
+ * multi-step page (create a queue, then add members to its new id) produce a
+ * complete plan rather than stopping at the first write.
+ *
+ * Reads still go to Genesys: a plan computed against invented data would not
+ * be the plan for this org. That includes the POST endpoints that only read —
+ * searches, analytics and audit queries — which are listed below.
+ */
+const crypto = require("crypto");
+
+// POSTs that read. Matched against the path without its query string.
+const READ_ONLY_POST = [
+  /\/(query|search)(\/realtime)?$/,     // analytics, audits, users/search, journey paths
+  /^\/api\/v2\/analytics\/.+\/jobs$/,   // async analytics query jobs
+];
+
+/** True if the call changes nothing in Genesys and may be forwarded while simulating. */
+function isReadOnlyCall(method, path) {
+  const m = String(method || "").toUpperCase();
+  if (m === "GET") return true;
+  if (m !== "POST") return false;
+  const bare = String(path || "").split("?")[0];
+  return READ_ONLY_POST.some((re) => re.test(bare));
+}
+
+/**
+ * The synthetic response for a write that was not sent.
+ *
+ * Shaped so the common follow-ups keep working: a create answers with the body
+ * it was given plus a placeholder id, an update with the body and the next
+ * version, a delete with 204. `X-Simulated` tells the browser to record it.
+ */
+function simulatedResponse(method, body) {
+  const m = String(method || "").toUpperCase();
+  const headers = { "Content-Type": "application/json", "X-Simulated": "1" };
+
+  if (m === "DELETE") return { status: 204, headers: { "X-Simulated": "1" } };
+
+  const echo = body && typeof body === "object" && !Array.isArray(body) && !body.__fileUpload ? body : {};
+  if (m === "POST") {
+    return {
+      status: 200,
+      headers,
+      body: { ...echo, id: echo.id || `simulated-${crypto.randomUUID()}`, simulated: true },
+    };
+  }
+  // PUT / PATCH
+  const version = Number(echo.version);
+  return {
+    status: 200,
+    headers,
+    body: { ...echo, ...(Number.isFinite(version) ? { version: version + 1 } : {}), simulated: true },
+  };
+}
+
+module.exports = { isReadOnlyCall, simulatedResponse };
@@ -79,6 +79,7 @@ function isSuperuser(caller) {
 
 const { resolveOrgCredentials, INTERNAL_OWNER } = require("./creatorAuth");
 const { getGenesysToken } = require("./genesysAuth");
+const { apiBase } = require("./genesysHost");
 
 const EMAIL_TTL_MS = 60 * 60 * 1000;
 let _emailCache = { at: 0, emails: [] };
@@ -113,7 +114,7 @@ async function superuserEmails(context) {
     const token = await getGenesysToken(creds.tokenKey, creds.region, creds.clientId, creds.clientSecret);
     for (const id of ids) {
       try {
-        const resp = await fetch(`https://api.${creds.region}/api/v2/users/${encodeURIComponent(id)}`, {
+        const resp = await fetch(`${apiBase(creds.region)}/api/v2/users/${encodeURIComponent(id)}`, {
           headers: { Authorization: `Bearer ${token}` },
         });
         if (!resp.ok) continue;
@@ -145,7 +145,7 @@ async function cancel(context, req, jobId) {
     .flatMap((p) => p.items || [])
     .filter((i) => i.status === "planned").length;
   try {
-    await activityLog.create({
+    await activityLog.create(context, {
       userEmail: b.userEmail || job.startedBy || "",
       userName:  b.userName  || job.startedByName || "",
       userId:    b.userId    || job.startedById || "",
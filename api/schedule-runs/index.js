@@ -0,0 +1,150 @@
+/**
+ * Schedule Run History API — past runs of a scheduled export, and their files.
+ *
+ * GET  /api/schedule-runs?scheduleId={id}           → { runs } newest first
+ * GET  /api/schedule-runs/{runId}?scheduleId={id}   → { filename, base64, mimeType }
+ *                                                     — the file that run produced
+ * POST /api/schedule-runs/{runId}                   → re-send that file by email
+ *        body { scheduleId, userEmail, recipients? }  recipients default to the
+ *                                                     schedule's current ones
+ * POST /api/schedule-runs                           → "Run now": 202 { queued,
+ *        body { scheduleId, userEmail }               runRequestedAt } — the
+ *                                                     runner runs it on its next
+ *                                                     tick, through the same path
+ *                                                     as a scheduled run
+ *
+ * Visibility follows the schedule: whoever can see it (owner scoping, as in
+ * /api/schedules) can read its history and download its files. Re-sending mails
+ * the file out, so it takes what editing the schedule takes — the creator or
+ * the admin (scheduleStore.canEdit) — since the same person could point the
+ * schedule at any address anyway. Run now delivers the same way, so it takes
+ * the same.
+ *
+ * Runs are written by api/scheduled-runner (lib/scheduleRunStore.js), files
+ * kept in Blob Storage (lib/exportArtifactStore.js), both until
+ * RUN_HISTORY_RETENTION_DAYS.
+ */
+const store = require("../lib/scheduleStore");
+const runStore = require("../lib/scheduleRunStore");
+const artifacts = require("../lib/exportArtifactStore");
+const mailer = require("../lib/mailer");
+const { getCallerContext, ownerVisibleTo } = require("../lib/callerContext");
+
+module.exports = async function (context, req) {
+  const method = req.method.toUpperCase();
+  const runId = context.bindingData.runId || null;
+
+  const json = (status, body) => ({
+    status,
+    headers: { "Content-Type": "application/json" },
+    body,
+  });
+
+  try {
+    const caller = await getCallerContext(context, req);
+    if (!caller.authorized) {
+      context.res = json(caller.status || 401, { error: caller.error || "unauthorized" });
+      return;
+    }
+
+    const b = req.body || {};
+    const scheduleId = req.query.scheduleId || b.scheduleId || "";
+    if (!scheduleId) {
+      context.res = json(400, { error: "scheduleId is required" });
+      return;
+    }
+    const schedule = await store.getById(scheduleId);
+    if (!schedule || !ownerVisibleTo(schedule.ownerOrgId, caller.ownerOrgId)) {
+      context.res = json(404, { error: "Schedule not found" });
+      return;
+    }
+
+    // ── GET — history ───────────────────────────────────
+    if (method === "GET" && !runId) {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+      context.res = json(200, {
+        runs: await runStore.listForSchedule(scheduleId, limit),
+        retentionDays: runStore.retentionDays(),
+      });
+      return;
+    }
+
+    // ── POST — run now ──────────────────────────────────
+    // Queued rather than run here: an export can outlast the gateway's request
+    // timeout, and the runner is the one place that records, retries and alerts.
+    if (method === "POST" && !runId) {
+      if (!store.canEdit(schedule, b.userEmail)) {
+        context.res = json(403, { error: "Only the creator or admin can run this schedule" });
+        return;
+      }
+      const queued = await store.requestRun(scheduleId, caller.userEmail || b.userEmail);
+      context.res = json(202, { queued: true, runRequestedAt: queued.runRequestedAt });
+      return;
+    }
+
+    const run = runId ? await runStore.get(scheduleId, runId) : null;
+    if (!run) {
+      context.res = json(404, { error: "Run not found" });
+      return;
+    }
+    const loadFile = async () => {
+      if (!run.artifact) return null;
+      const base64 = await artifacts.load(run.artifact);
+      return base64 && { filename: run.filename, base64, mimeType: run.mimeType };
+    };
+
+    // ── GET — download ──────────────────────────────────
+    if (method === "GET") {
+      const file = await loadFile();
+      if (!file) {
+        context.res = json(404, { error: "This run's file was not kept or has expired" });
+        return;
+      }
+      context.res = json(200, file);
+      return;
+    }
+
+    // ── POST — re-send ──────────────────────────────────
+    if (method === "POST") {
+      if (!store.canEdit(schedule, b.userEmail)) {
+        context.res = json(403, { error: "Only the creator or admin can re-send this schedule's exports" });
+        return;
+      }
+      const file = await loadFile();
+      if (!file) {
+        context.res = json(404, { error: "This run's file was not kept or has expired" });
+        return;
+      }
+
+      const recipients = b.recipients || schedule.emailRecipients;
+      const generated = new Date(run.startedAt).toISOString().replace("T", " ").slice(0, 19);
+      const sent = await mailer.sendMail({
+        recipients,
+        subject: `${schedule.exportLabel} — ${generated} (re-sent)`,
+        text:
+          `Scheduled export: ${schedule.exportLabel}\n` +
+          `Summary: ${run.summary || "N/A"}\n\n` +
+          `Generated: ${generated}\n` +
+          `Re-sent: ${mailer.timestamp()}\n\n` +
+          "Best regards,\nGenesys Admin App",
+        attachment: file,
+        validate: true,
+        log: (msg) => context.log.error(msg),
+      });
+      if (!sent.success) {
+        const status = sent.reason === "invalid_recipient" || sent.reason === "no_recipients" ? 400 : 502;
+        context.res = json(status, { error: sent.error });
+        return;
+      }
+
+      const updated = await runStore.recordResend(scheduleId, runId, caller.userEmail || b.userEmail);
+      context.res = json(200, { sent: true, recipients: mailer.parseRecipients(recipients), run: updated });
+      return;
+    }
+
+    context.res = json(405, { error: "Method not allowed" });
+  } catch (err) {
+    context.log.error("Schedule runs API error:", err);
+    context.res = json(500, { error: err.message || "Internal server error" });
+  }
+};
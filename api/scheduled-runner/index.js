@@ -4,22 +4,119 @@
  * Called every 5 minutes by an Azure Timer Trigger (genesys-admin-timer
  * Function App) via POST. Protected by a shared secret (SCHEDULE_RUNNER_KEY).
  *
- * For each enabled schedule whose time is due, it runs the corresponding
- * export handler, builds the Excel file, and emails the result via Mailjet.
+ * Three ways to call it:
+ *   { mode: "dispatch" }     claim a job (lib/scheduleJobStore.js) for every due
+ *                            schedule and return them — { jobs: [{ scheduleId,
+ *                            jobId, trigger }] }. The timer then runs each as a
+ *                            request of its own, SCHEDULE_RUNNER_CONCURRENCY at
+ *                            a time, so one slow export holds up nothing else.
+ *   { scheduleId, jobId }    run one claimed job.
+ *   {} (anything else)       claim and run every due job here, up to
+ *                            SCHEDULE_RUNNER_CONCURRENCY side by side — what a
+ *                            timer or workflow that predates dispatch still gets.
+ * Claiming takes the schedule's lease, so two overlapping ticks cannot run the
+ * same schedule twice; a job that dies gives it back when the lease runs out.
+ * Each handler gets SCHEDULE_JOB_TIMEOUT_MINUTES (default 7) — past that the run
+ * is recorded as failed at the handler step and the job as "timed-out". Delivery
+ * has to be over 9 minutes after the run started: a target still sending then
+ * fails as timed out and the rest are not tried. Neither can be cancelled — a
+ * timed-out handler or send is abandoned and may still finish in the
+ * background, so a target can receive a file from a run recorded as failed. Each
+ * job's phase (export, store, compare, deliver) is kept on its row and shown on the
+ * Scheduled Exports page while it runs.
  *
- * Schedule evaluation (all times in Europe/Copenhagen — CET/CEST):
+ * For each due schedule, it runs the corresponding
+ * export handler, builds the Excel file, and delivers it to each of the
+ * schedule's targets (lib/deliveryTargets.js): email via Mailjet as before,
+ * plus any SFTP, Blob, Teams, Slack or HTTPS targets. Every target gets its own
+ * outcome on the run; one failing does not stop the others, and any failure
+ * makes the run "delivery-failed" with each failure in lastError.
+ *
+ * Schedule evaluation (lib/cronSchedule.js), in each schedule's own time zone
+ * (timeZone, Europe/Copenhagen when unset):
  *   - daily:   runs once per day at scheduleTime
  *   - weekly:  runs once per week on scheduleDayOfWeek at scheduleTime
  *   - monthly: runs once per month on scheduleDayOfMonth at scheduleTime
+ *   - cron:    runs at every time cronExpression matches
  *
  * A schedule is considered "due" if:
  *   1. It is enabled
- *   2. The current UTC time is past the configured time
- *   3. It hasn't already run in the current period (day/week-day/month-day)
+ *   2. It has fired today (its zone's today) at or before the current time
+ *   3. It hasn't run since that fire
+ *
+ * Every run is recorded (lib/scheduleRunStore.js) — start, end, duration, the
+ * handler's summary, each target's outcome and the file's size — and the file
+ * itself is kept in Blob Storage (lib/exportArtifactStore.js) so it can be
+ * downloaded or re-sent from the Scheduled Exports page. The file is stored
+ * before it is delivered: a run whose delivery failed is exactly the one
+ * someone will ask for, and the link targets send points at that copy.
+ * Failing to record never fails the run.
+ *
+ * What is stored and delivered is the schedule's outputFormats
+ * (lib/exportFormats.js) — the workbook, CSVs, JSON, or a zip of several —
+ * converted from the handler's result before it is stored. A conversion that
+ * fails fails the run at the handler step.
+ *
+ * A schedule with deliverOnlyOnChange (lib/exportChanges.js) compares each run
+ * with the snapshot of its last delivered run, after the file is stored and
+ * before anything is delivered. Nothing changed: the run is recorded as
+ * "unchanged" and no target is contacted. Something changed: every target gets
+ * the change summary with the file, and the run's snapshot becomes the new
+ * baseline — only once delivery succeeded, so changes a failed delivery never
+ * got out are reported again next time. A comparison that fails delivers as if
+ * changed rather than holding the report back. A handler can also say it has
+ * nothing to report (`unchanged` — the config drift check with no drift); that
+ * run is "unchanged" too, whatever the schedule's setting.
+ *
+ * Besides its regular times, a schedule runs when:
+ *   - someone pressed "Run now" (runRequestedAt, set by POST /api/schedule-runs)
+ *     — on the next tick, through exactly this path, even when it is disabled
+ *   - a retry is due (nextRetryAt) — after a failed run, per the schedule's
+ *     retryPolicy, within the same period (lib/scheduleRetry.js)
+ * Each run records its trigger, its attempt number and, when it failed, the step
+ * that failed: handler, delivery or store. After retryPolicy.alertAfterFailures
+ * failures in a row the owner and the superusers are mailed once
+ * (lib/scheduleAlerts.js). A run whose status cannot be saved is alerted at once,
+ * and not again until a status for that schedule is saved — it still looks due
+ * and runs on every tick. One schedule failing, even to save its status, never
+ * stops the others.
+ *
+ * Each tick also retries the SIEM forwarding queue (lib/siemForwarder.js), before
+ * and independently of the schedules, and once an hour purges run history past
+ * its retention.
  */
 const store = require("../lib/scheduleStore");
 const { getHandler } = require("../lib/exportHandlers");
-const mailer = require("../lib/mailer");
+const activityLog = require("../lib/activityLogStore");
+const siem = require("../lib/siemForwarder");
+const cron = require("../lib/cronSchedule");
+const runStore = require("../lib/scheduleRunStore");
+const artifacts = require("../lib/exportArtifactStore");
+const delivery = require("../lib/deliveryTargets");
+const retry = require("../lib/scheduleRetry");
+const { sendFailureAlert, storeRecovered } = require("../lib/scheduleAlerts");
+const jobs = require("../lib/scheduleJobStore");
+const exportChanges = require("../lib/exportChanges");
+const exportFormats = require("../lib/exportFormats");
+
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+const DEFAULT_JOB_TIMEOUT_MINUTES = 7;
+// Room left inside functionTimeout (10 min) for storing and delivering the file.
+const MAX_JOB_TIMEOUT_MINUTES = 8;
+// Delivery is over this long after the run started, whatever the targets are
+// doing, so the run is still recorded inside functionTimeout.
+const DELIVERY_DEADLINE_MS = 9 * 60 * 1000;
+
+function concurrency() {
+  const n = parseInt(process.env.SCHEDULE_RUNNER_CONCURRENCY, 10);
+  return Math.min(n > 0 ? n : DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+}
+
+function jobTimeoutMs() {
+  const n = parseFloat(process.env.SCHEDULE_JOB_TIMEOUT_MINUTES);
+  return Math.min(n > 0 ? n : DEFAULT_JOB_TIMEOUT_MINUTES, MAX_JOB_TIMEOUT_MINUTES) * 60 * 1000;
+}
 
 module.exports = async function (context, req) {
   // ── Verify shared secret ──────────────────────────────
@@ -47,14 +144,44 @@ module.exports = async function (context, req) {
     return;
   }
 
-  context.log("Scheduled runner triggered at", new Date().toISOString());
-
   const json = (status, body) => ({
     status,
     headers: { "Content-Type": "application/json" },
     body,
   });
 
+  const b = req.body || {};
+
+  // ── One job ───────────────────────────────────────────
+  if (b.scheduleId && b.jobId) {
+    const result = await runJob(context, { scheduleId: b.scheduleId, jobId: b.jobId });
+    context.res = json(result.skipped ? 409 : 200, result);
+    return;
+  }
+
+  context.log("Scheduled runner triggered at", new Date().toISOString());
+
+  try {
+    const t = await siem.drain(activityLog.get);
+    if (t.delivered || t.retrying || t.failed || t.dropped || t.deferred) {
+      context.log(`SIEM queue: ${t.delivered} delivered, ${t.retrying} retrying, ${t.failed} failed, ` +
+        `${t.dropped} dropped, ${t.deferred} deferred`);
+    }
+  } catch (err) {
+    context.log.warn("SIEM queue drain failed (non-critical):", err?.message || err);
+  }
+
+  // Hourly is plenty for a retention measured in days, and keeps a full
+  // table scan off every five-minute tick.
+  if (new Date().getUTCMinutes() < 5) {
+    try {
+      const purged = await runStore.purgeOld(artifacts.remove);
+      if (purged) context.log(`Run history: purged ${purged} run(s) past retention.`);
+    } catch (err) {
+      context.log.warn("Run history purge failed (non-critical):", err?.message || err);
+    }
+  }
+
   let schedules;
   try {
     schedules = await store.listAll();
@@ -65,190 +192,358 @@ module.exports = async function (context, req) {
   }
 
   const enabled = schedules.filter((s) => s.enabled);
-  if (!enabled.length) {
-    context.log("No enabled schedules. Exiting.");
-    context.res = json(200, { message: "No enabled schedules", ran: 0 });
-    return;
-  }
-
   const now = new Date();
-  const dueSchedules = enabled.filter((s) => isDue(s, now));
+  const dueSchedules = schedules
+    .map((schedule) => ({ schedule, trigger: dueReason(context, schedule, now) }))
+    .filter((d) => d.trigger);
 
   if (!dueSchedules.length) {
     context.log(`${enabled.length} enabled schedules, none due right now.`);
-    context.res = json(200, { message: "No schedules due", enabled: enabled.length, ran: 0 });
+    context.res = json(200, { message: "No schedules due", enabled: enabled.length, ran: 0, jobs: [] });
     return;
   }
 
-  context.log(`${dueSchedules.length} schedule(s) due. Processing…`);
-  const results = [];
+  // ── Claim a job per due schedule ──────────────────────
+  const claimed = [];
+  let busy = 0;
+  for (const { schedule, trigger } of dueSchedules) {
+    try {
+      const job = await jobs.claim(schedule.id, trigger);
+      if (job) claimed.push({ scheduleId: job.scheduleId, jobId: job.jobId, trigger });
+      else busy++;
+    } catch (err) {
+      context.log.warn(`Could not claim schedule ${schedule.id}: ${err?.message || err}`);
+    }
+  }
+  if (busy) context.log(`${busy} due schedule(s) already running under another job — skipped.`);
 
-  for (const schedule of dueSchedules) {
-    const result = await runExport(context, schedule);
-    results.push(result);
+  if (b.mode === "dispatch") {
+    context.log(`${claimed.length} job(s) dispatched.`);
+    context.res = json(200, { message: "Dispatched", jobs: claimed, busy });
+    return;
   }
 
+  context.log(`${claimed.length} job(s) claimed. Running up to ${concurrency()} at a time…`);
+  const results = new Array(claimed.length);
+  let next = 0;
+  const worker = async () => {
+    for (let i = next++; i < claimed.length; i = next++) {
+      results[i] = await runJob(context, claimed[i]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency(), claimed.length) }, worker));
+
   context.log("Scheduled runner complete.");
-  context.res = json(200, { message: "Runner complete", ran: results.length, results });
+  context.res = json(200, { message: "Runner complete", ran: results.length, busy, results });
 };
 
-// ── Due check ───────────────────────────────────────────
-
-function getDenmarkTime(date) {
-  // Get current time components in Europe/Copenhagen (CET/CEST)
-  const parts = new Intl.DateTimeFormat("en-GB", {
-    timeZone: "Europe/Copenhagen",
-    year: "numeric", month: "2-digit", day: "2-digit",
-    hour: "2-digit", minute: "2-digit", second: "2-digit",
-    weekday: "short", hour12: false,
-  }).formatToParts(date);
-
-  const get = (type) => parts.find((p) => p.type === type)?.value;
-  return {
-    year: Number(get("year")),
-    month: Number(get("month")),
-    day: Number(get("day")),
-    hour: Number(get("hour")),
-    minute: Number(get("minute")),
-    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday")),
-    dateStr: `${get("year")}-${get("month")}-${get("day")}`,
-  };
-}
+// ── Run one claimed job ─────────────────────────────────
 
-function isDue(schedule, now) {
-  const dk = getDenmarkTime(now);
-  const [hh, mm] = (schedule.scheduleTime || "08:00").split(":").map(Number);
+/**
+ * Start a claimed job, run its schedule and close the job. Never throws:
+ * whatever happens to one job must leave the others running.
+ */
+async function runJob(context, { scheduleId, jobId }) {
+  let job;
+  try {
+    job = await jobs.start(scheduleId, jobId);
+  } catch (err) {
+    context.log.error(`Could not start job ${jobId} for ${scheduleId}: ${err?.message || err}`);
+    return { id: scheduleId, jobId, status: "error", error: err?.message || String(err) };
+  }
+  if (!job) {
+    // Started already, or the lease was taken over — either way, not ours to run.
+    return { id: scheduleId, jobId, skipped: true, error: "Job already started or no longer holds the lease" };
+  }
 
-  // Is the scheduled time already past for today (DK)?
-  const scheduleMins = hh * 60 + mm;
-  const nowMins = dk.hour * 60 + dk.minute;
-  if (nowMins < scheduleMins) return false; // Not yet time
+  const close = async (patch) => {
+    try {
+      await jobs.update(scheduleId, jobId, patch);
+    } catch (err) {
+      context.log.warn(`Could not update job ${jobId} for ${scheduleId}: ${err?.message || err}`);
+    }
+  };
 
-  // Is today the right day for this schedule type?
-  if (schedule.scheduleType === "weekly") {
-    if (dk.weekday !== schedule.scheduleDayOfWeek) return false;
-  } else if (schedule.scheduleType === "monthly") {
-    if (dk.day !== schedule.scheduleDayOfMonth) return false;
+  let result;
+  try {
+    const schedule = await store.getById(scheduleId);
+    if (!schedule) {
+      await close({ status: "failed", error: "Schedule was deleted" });
+      return { id: scheduleId, jobId, status: "error", error: "Schedule was deleted" };
+    }
+    result = await runExport(context, schedule, job.trigger, (phase, progress = "") => close({ phase, progress }));
+  } catch (err) {
+    // runExport handles its own failures; this is the last line so that
+    // something unforeseen in one schedule still lets the rest run.
+    context.log.error(`Schedule ${scheduleId} failed unexpectedly: ${err?.message || err}`);
+    result = { id: scheduleId, trigger: job.trigger, status: "error", error: err?.message || String(err) };
   }
-  // daily: every day is the right day
 
-  // Has it already run in the current period (DK date)?
-  // This prevents double-runs AND acts as catch-up: if the runner
-  // was delayed or missed the exact window, the next cycle will
-  // still pick it up — as long as it hasn't run today yet.
-  if (schedule.lastRun) {
-    const lastRunDk = getDenmarkTime(new Date(schedule.lastRun));
-    if (lastRunDk.dateStr === dk.dateStr) return false;
-  }
+  await close({
+    status: result.timedOut ? "timed-out" : ["success", "unchanged"].includes(result.status) ? "done" : "failed",
+    runId: result.runId || null,
+    error: result.error || null,
+  });
+  return { ...result, jobId };
+}
 
-  return true;
+/** Reject with `message` when `promise` has not settled within `ms`. */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new Error(message), { timedOut: true })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Why a schedule runs on this tick — "schedule", "manual" (Run now) or "retry" —
+ * or null when it does not. A disabled schedule only runs when asked to.
+ */
+function dueReason(context, schedule, now) {
+  if (schedule.enabled) {
+    try {
+      if (cron.isDue(schedule, now)) return "schedule";
+    } catch (err) {
+      // Saved before validation, or hand-edited in the table — skip it
+      // rather than let one bad expression stop every other schedule.
+      context.log.warn(`Schedule ${schedule.id} has an unusable cron expression: ${err.message}`);
+    }
+  }
+  if (schedule.runRequestedAt) return "manual";
+  if (schedule.enabled && schedule.nextRetryAt && Date.parse(schedule.nextRetryAt) <= now.getTime()) {
+    return "retry";
+  }
+  return null;
 }
 
-// ── Execute a single export + email ─────────────────────
+// ── Execute a single export + delivery ──────────────────
 
-async function runExport(context, schedule) {
+async function runExport(context, schedule, trigger = "schedule", progress = async () => {}) {
   const { id, exportType, exportLabel } = schedule;
-  context.log(`Running export: ${exportLabel} (${exportType}) [${id}]`);
+  // A "Run now" sits outside the period's attempts (lib/scheduleRetry.js).
+  const attempt = trigger === "schedule" ? 1
+    : trigger === "retry" ? (schedule.retryAttempt || 1) + 1
+    : null;
+  context.log(`Running export: ${exportLabel} (${exportType}) [${id}] — ${trigger}` +
+    (attempt > 1 ? `, attempt ${attempt}` : ""));
+
+  const startedAt = new Date().toISOString();
+  const runId = runStore.newRunId(startedAt);
+
+  // Ends the run: the schedule's run state, the history record, then the alert
+  // if one is due. Returns the step that failed, or null.
+  const finish = async (status, fields = {}) => {
+    const finishedAt = new Date().toISOString();
+    const failed = !["success", "unchanged"].includes(status);
+    const after = retry.afterRun(schedule, { trigger, attempt, failed, now: new Date(finishedAt) });
+
+    let storeError = null;
+    try {
+      await store.updateRunStatus(id, {
+        lastRun: finishedAt,
+        lastStatus: status,
+        lastError: fields.error || null,
+        ...after.fields,
+      });
+      storeRecovered(id);
+    } catch (err) {
+      storeError = err?.message || String(err);
+      context.log.error(`Could not save the run status of ${id}: ${storeError}`);
+    }
+    const failedStep = storeError ? "store" : failed ? fields.failedStep : null;
+
+    await recordRun(context, schedule, {
+      id: runId, startedAt, finishedAt,
+      durationMs: Date.parse(finishedAt) - Date.parse(startedAt),
+      status, trigger, attempt, ...fields,
+      error: fields.error || (storeError && `Run status not saved: ${storeError}`) || null,
+      failedStep,
+    });
+
+    if (storeError || after.alert) {
+      let nextRunAt = null;
+      try { nextRunAt = cron.nextRun(schedule, new Date(finishedAt)); } catch (_) { /* no next run to name */ }
+      await sendFailureAlert(context, schedule, {
+        step: failedStep,
+        error: storeError || fields.error,
+        trigger,
+        attempt,
+        maxAttempts: retry.retryPolicy(schedule).maxAttempts,
+        consecutiveFailures: storeError ? null : after.fields.consecutiveFailures,
+        nextRetryAt: storeError ? null : after.fields.nextRetryAt,
+        nextRunAt,
+      });
+    }
+    return failedStep;
+  };
 
   const handler = getHandler(exportType);
   if (!handler) {
     context.log.error(`No handler registered for exportType "${exportType}"`);
-    await store.updateRunStatus(id, {
-      lastRun: new Date().toISOString(),
-      lastStatus: "error",
-      lastError: `No handler for exportType: ${exportType}`,
-    });
-    return { id, exportType, status: "error", error: "No handler" };
+    const failedStep = await finish("error", { error: `No handler for exportType: ${exportType}`, failedStep: "handler" });
+    return { id, exportType, trigger, status: "error", error: "No handler", failedStep, runId };
   }
 
-  // 1. Run the export
+  // 1. Run the export — time-boxed. A handler past its time is abandoned, not
+  // stopped (nothing can cancel it), so the run is ended and recorded here while
+  // the invocation still has time left to do it.
   let result;
   try {
-    result = await handler.execute(context, schedule);
+    await progress("export");
+    const minutes = Math.round(jobTimeoutMs() / 60000 * 10) / 10;
+    result = await withTimeout(
+      handler.execute(context, schedule),
+      jobTimeoutMs(),
+      `Export timed out after ${minutes} min (SCHEDULE_JOB_TIMEOUT_MINUTES)`,
+    );
   } catch (err) {
     context.log.error(`Export handler threw: ${err.message}`);
-    await store.updateRunStatus(id, {
-      lastRun: new Date().toISOString(),
-      lastStatus: "error",
-      lastError: err.message,
-    });
-    return { id, exportType, status: "error", error: err.message };
+    const failedStep = await finish("error", { error: err.message, failedStep: "handler" });
+    return { id, exportType, trigger, status: "error", error: err.message, failedStep, runId, timedOut: !!err.timedOut };
   }
 
   if (!result.success) {
     context.log.error(`Export failed: ${result.error}`);
-    await store.updateRunStatus(id, {
-      lastRun: new Date().toISOString(),
-      lastStatus: "error",
-      lastError: result.error || "Export returned failure",
+    const failedStep = await finish("error", {
+      error: result.error || "Export returned failure", summary: result.summary, failedStep: "handler",
     });
-    return { id, exportType, status: "error", error: result.error };
+    return { id, exportType, trigger, status: "error", error: result.error, failedStep, runId };
   }
 
-  // 2. Send email with the result
-  const emailError = await sendResultEmail(context, schedule, result);
+  // The handler's own "nothing to report" (the config drift check finding no
+  // drift) — recorded like change-only delivery's, with nothing to store.
+  if (result.unchanged) {
+    context.log(`Nothing to report for ${exportLabel} — not delivered.`);
+    const failedStep = await finish("unchanged", {
+      summary: result.summary,
+      deliveries: [],
+      emailStatus: "skipped",
+    });
+    return { id, exportType, trigger, status: "unchanged", failedStep, runId };
+  }
 
-  // 3. Update run status
-  const finalStatus = emailError ? "email-failed" : "success";
-  await store.updateRunStatus(id, {
-    lastRun: new Date().toISOString(),
-    lastStatus: finalStatus,
-    lastError: emailError || null,
+  // 2. Convert to the schedule's formats and keep the file, before anything can
+  // go wrong with the delivery
+  let output = result;
+  if (result.base64 && result.filename) {
+    try {
+      output = { ...result, ...(await exportFormats.render(result, schedule)) };
+    } catch (err) {
+      const error = `Could not convert the export to ${exportFormats.outputFormats(schedule).join(", ")}: ${err.message}`;
+      context.log.error(`${exportLabel}: ${error}`);
+      const failedStep = await finish("error", { error, summary: result.summary, failedStep: "handler" });
+      return { id, exportType, trigger, status: "error", error, failedStep, runId };
+    }
+  }
+  const file = {};
+  if (output.base64 && output.filename) {
+    await progress("store");
+    file.filename = output.filename;
+    file.mimeType = output.mimeType || "";
+    file.fileSize = Buffer.byteLength(output.base64, "base64");
+    try {
+      file.artifact = (await artifacts.save(id, runId, output)).name;
+    } catch (err) {
+      context.log.warn(`Could not store the export file for ${exportLabel}: ${err?.message || err}`);
+      file.artifactError = err?.message || String(err);
+    }
+  }
+
+  // 3. Change-only delivery: anything new since the last delivered run?
+  let changes = null;
+  let snapshot = null;
+  if (schedule.deliverOnlyOnChange) {
+    await progress("compare");
+    try {
+      snapshot = exportChanges.snapshotOf(result);
+      if (snapshot) changes = exportChanges.compare(await artifacts.loadSnapshot(id), snapshot);
+    } catch (err) {
+      context.log.warn(`Could not compare ${exportLabel} with its last run — delivering anyway: ${err?.message || err}`);
+      snapshot = null;
+    }
+    if (changes && !changes.changed) {
+      context.log(`No changes in ${exportLabel} since its last run — not delivered.`);
+      const failedStep = await finish("unchanged", {
+        summary: result.summary,
+        changeSummary: changes.summary,
+        ...file,
+        deliveries: [],
+        emailStatus: "skipped",
+      });
+      return { id, exportType, trigger, status: "unchanged", failedStep, runId };
+    }
+  }
+
+  // 4. Deliver to each target — email, SFTP, Blob, Teams, Slack, HTTPS
+  const deliveries = await delivery.deliverAll(context, schedule, {
+    runId, startedAt, result: output, artifact: file.artifact || null, changes,
+    deadline: Date.parse(startedAt) + DELIVERY_DEADLINE_MS,
+    onTarget: (i, total, label) => progress("deliver", `${label} (${i + 1} of ${total})`),
+  });
+  const failed = deliveries.filter((d) => d.status === "failed");
+  const deliveryError = !deliveries.length
+    // Checked here rather than left to a target: this run has nothing to say
+    // and no one to say it to, and the message points at the schedule's own
+    // configuration.
+    ? "No email recipients or delivery targets configured"
+    : failed.map((d) => `${d.label}: ${d.error}`).join("; ") || null;
+  const email = deliveries.find((d) => d.type === "email");
+
+  // The new baseline, once its changes are out. Losing it only means the next
+  // run reports these changes again.
+  if (snapshot && !deliveryError) {
+    try {
+      await artifacts.saveSnapshot(id, snapshot);
+    } catch (err) {
+      context.log.warn(`Could not save the change snapshot of ${exportLabel}: ${err?.message || err}`);
+    }
+  }
+  // The same for a handler that compares with its own previous run
+  // (documentationCompare): its snapshot is returned, not saved, so that a run
+  // that never got out is compared with the same baseline again.
+  if (result.baseline && !deliveryError) {
+    try {
+      await artifacts.saveSnapshot(id, result.baseline.snapshot, result.baseline.kind);
+    } catch (err) {
+      context.log.warn(`Could not save the ${result.baseline.kind} snapshot of ${exportLabel}: ${err?.message || err}`);
+    }
+  }
+
+  // 5. Update run status
+  const finalStatus = deliveryError ? "delivery-failed" : "success";
+  const failedStep = await finish(finalStatus, {
+    error: deliveryError,
+    failedStep: "delivery",
+    summary: result.summary,
+    changeSummary: changes?.summary || null,
+    ...file,
+    deliveries,
+    emailStatus: !email ? "skipped" : email.status,
+    emailError: email?.error || null,
   });
 
   context.log(
-    emailError
-      ? `Export OK but email failed: ${emailError}`
-      : `Export + email OK for ${exportLabel}`
+    deliveryError
+      ? `Export OK but delivery failed: ${deliveryError}`
+      : `Export + delivery OK for ${exportLabel} (${deliveries.length} target(s))`
   );
 
-  return { id, exportType, status: finalStatus, error: emailError || null };
+  return { id, exportType, trigger, status: finalStatus, error: deliveryError, failedStep, runId, deliveries };
 }
 
-// ── Email via Mailjet ───────────────────────────────────
-
-/**
- * Mail a finished export.
- *
- * @returns {Promise<string|null>} An error message, or null on success. The
- *   caller records this on the schedule as `lastError`, so the string is what
- *   an admin reads on the Scheduled Exports page.
- */
-async function sendResultEmail(context, schedule, result) {
-  const recipientList = mailer.parseRecipients(schedule.emailRecipients);
-  if (!recipientList.length) {
-    // Checked before composing: this run has nothing to say and no one to say
-    // it to, and the message differs from the mailer's generic wording because
-    // it points at the schedule's own configuration.
-    return "No email recipients configured";
-  }
-
-  const timestamp = mailer.timestamp();
-  const defaultBody =
-    `Scheduled export: ${schedule.exportLabel}\n` +
-    `Summary: ${result.summary || "N/A"}\n\n` +
-    `Generated: ${timestamp}\n\n` +
-    "Best regards,\nGenesys Admin App";
-
-  // Handlers may supply their own subject/body to match upstream conventions
-  // (e.g. Python's `[{customer}] {task_name} Export`). User-supplied
-  // emailMessage on the schedule always wins over handler defaults.
-  const subject = result.subject || `${schedule.exportLabel} — ${timestamp}`;
-  const body    = schedule.emailMessage?.trim() || result.body || defaultBody;
-
-  const sent = await mailer.sendMail({
-    recipients: recipientList,
-    subject,
-    text: body,
-    attachment: (result.base64 && result.filename)
-      ? { filename: result.filename, base64: result.base64, mimeType: result.mimeType }
-      : null,
-    log: (msg) => context.log.error(msg),
-  });
-
-  // Addresses are NOT validated here, matching the behaviour this runner has
-  // always had: a schedule with one malformed recipient still attempts its
-  // send, and Mailjet's own verdict is what gets recorded. Rejecting the batch
-  // ourselves would turn a typo into a silently skipped export.
-  return sent.success ? null : sent.error;
+/** Write the run's history record; a storage failure only costs the record. */
+async function recordRun(context, schedule, run) {
+  try {
+    await runStore.create({
+      ...run,
+      scheduleId:  schedule.id,
+      ownerOrgId:  schedule.ownerOrgId,
+      exportType:  schedule.exportType,
+      exportLabel: schedule.exportLabel,
+      recipients:  schedule.emailRecipients,
+    });
+  } catch (err) {
+    context.log.warn(`Could not record run history for ${schedule.id}: ${err?.message || err}`);
+  }
 }
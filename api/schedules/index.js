@@ -10,8 +10,44 @@
  * For PUT/DELETE, the request must include `userEmail` so the backend
  * can verify ownership.  POST must include `userEmail` and `userName`
  * so the schedule records who created it.
+ *
+ * Timing is checked with lib/cronSchedule.js before it is stored: scheduleType
+ * daily/weekly/monthly needs scheduleTime (HH:MM), cron needs a cronExpression
+ * that parses and fires at least once, and a timeZone, when given, must be an
+ * IANA zone. A schedule the runner cannot evaluate is refused here rather than
+ * skipped silently on every tick.
+ *
+ * deliveryTargets (SFTP, Blob, Teams, Slack, HTTPS — lib/deliveryTargets.js)
+ * are validated and their secrets sealed before they are stored, and every
+ * response carries them redacted: a secret is reported as `<field>Set: true`,
+ * never returned. On PUT, a secret left blank keeps the stored one, and an
+ * absent deliveryTargets leaves the list unchanged.
+ *
+ * retryPolicy ({ maxAttempts, backoffMinutes, alertAfterFailures } —
+ * lib/scheduleRetry.js) is range-checked the same way; absent fields take their
+ * defaults, and on PUT an absent retryPolicy leaves it unchanged.
+ *
+ * deliverOnlyOnChange (boolean — lib/exportChanges.js) delivers a run only when
+ * its content differs from the last delivered run's. The snapshot it compares
+ * against is deleted when the option is turned off or the schedule is deleted,
+ * so turning it back on starts from a fresh baseline.
+ *
+ * outputFormats (any of "xlsx", "csv", "json" — lib/exportFormats.js) is what
+ * each run delivers; absent means the workbook, and on PUT an absent
+ * outputFormats leaves it unchanged. An empty or unknown list is a 400.
+ *
+ * GET answers each schedule with its latest runner job (lib/scheduleJobStore.js)
+ * as `job: { status, phase, progress, trigger, claimedAt, startedAt, updatedAt,
+ * finishedAt }`, or null — what the Scheduled Exports page shows while it runs.
+ * A job still queued or running after its lease is reported as "stalled".
  */
 const store = require("../lib/scheduleStore");
+const jobStore = require("../lib/scheduleJobStore");
+const delivery = require("../lib/deliveryTargets");
+const artifacts = require("../lib/exportArtifactStore");
+const { validateSchedule } = require("../lib/cronSchedule");
+const { retryPolicy, validateRetryPolicy } = require("../lib/scheduleRetry");
+const { outputFormats, validateOutputFormats } = require("../lib/exportFormats");
 const { getCallerContext, ownerVisibleTo } = require("../lib/callerContext");
 
 /**
@@ -40,11 +76,51 @@ function lockTargetOrg(exportConfig, caller) {
   if (caller.mode !== "customer") return { config: cfg };
 
   if (cfg.orgId && cfg.orgId !== caller.customerId) return { error: "org_locked" };
+  // The documentation compare reads a second org the same way; a customer has
+  // only their own, so there is nothing else for them to compare it with.
+  if (cfg.baselineOrgId) return { error: "org_locked" };
   // Absent or matching → pin it to the caller's own org explicitly, so a stored
   // schedule always records the org it is allowed to run against.
   return { config: { ...cfg, orgId: caller.customerId } };
 }
 
+/** A schedule as the browser may see it — delivery secrets redacted. */
+function forBrowser(schedule) {
+  return { ...schedule, deliveryTargets: delivery.redact(schedule.deliveryTargets) };
+}
+
+/**
+ * Latest job per schedule id. Progress is a nicety — a job table that cannot
+ * be read leaves the list without it rather than failing the page.
+ */
+async function jobsBySchedule(context) {
+  try {
+    const map = new Map();
+    for (const full of await jobStore.listAll()) {
+      const { jobId, leaseUntil, runId, error, _etag, ...job } = full;
+      // Still "running" past its lease means the invocation died mid-run.
+      if (["queued", "running"].includes(job.status) && !jobStore.isActive(full)) job.status = "stalled";
+      map.set(job.scheduleId, job);
+    }
+    return map;
+  } catch (err) {
+    context.log.warn("Could not read schedule jobs:", err?.message || err);
+    return new Map();
+  }
+}
+
+/**
+ * Forget a schedule's change-only baseline, or another `kind` of previous-run
+ * snapshot (exportArtifactStore.js). A stale one only costs a blob.
+ */
+async function dropSnapshot(context, scheduleId, kind) {
+  try {
+    await artifacts.removeSnapshot(scheduleId, kind);
+  } catch (err) {
+    context.log.warn(`Could not remove the ${kind || "change"} snapshot of ${scheduleId}:`, err?.message || err);
+  }
+}
+
 module.exports = async function (context, req) {
   const method = req.method.toUpperCase();
   const id = context.bindingData.id || null;
@@ -82,11 +158,13 @@ module.exports = async function (context, req) {
           context.res = json(404, { error: "Schedule not found" });
           return;
         }
-        context.res = json(200, { ...schedule, canEdit: store.canEdit(schedule, callerEmail) });
+        const job = (await jobsBySchedule(context)).get(id) || null;
+        context.res = json(200, { ...forBrowser(schedule), job, canEdit: store.canEdit(schedule, callerEmail) });
       } else {
+        const jobs = await jobsBySchedule(context);
         const schedules = (await store.listAll())
           .filter((s) => ownerVisibleTo(s.ownerOrgId, caller.ownerOrgId))
-          .map((s) => ({ ...s, canEdit: store.canEdit(s, callerEmail) }));
+          .map((s) => ({ ...forBrowser(s), job: jobs.get(s.id) || null, canEdit: store.canEdit(s, callerEmail) }));
         context.res = json(200, schedules);
       }
       return;
@@ -96,31 +174,61 @@ module.exports = async function (context, req) {
     if (method === "POST") {
       const b = req.body || {};
 
-      if (!b.exportType || !b.scheduleType || !b.scheduleTime || !b.userEmail) {
+      if (!b.exportType || !b.scheduleType || !b.userEmail) {
         context.res = json(400, {
           error:
-            "Missing required fields: exportType, scheduleType, scheduleTime, userEmail",
+            "Missing required fields: exportType, scheduleType, userEmail",
         });
         return;
       }
 
+      const timingError = validateSchedule(b);
+      if (timingError) {
+        context.res = json(400, { error: timingError });
+        return;
+      }
+
       const lock = lockTargetOrg(b.exportConfig, caller);
       if (lock.error) {
         context.res = json(403, { error: lock.error });
         return;
       }
 
+      const targets = delivery.prepareForSave(b.deliveryTargets || []);
+      if (targets.error) {
+        context.res = json(400, { error: targets.error });
+        return;
+      }
+
+      const retryError = validateRetryPolicy(b.retryPolicy);
+      if (retryError) {
+        context.res = json(400, { error: retryError });
+        return;
+      }
+
+      const formatError = validateOutputFormats(b.outputFormats);
+      if (formatError) {
+        context.res = json(400, { error: formatError });
+        return;
+      }
+
       const schedule = await store.create({
         ownerOrgId: caller.ownerOrgId,
         exportType: b.exportType,
         exportLabel: b.exportLabel || b.exportType,
         scheduleType: b.scheduleType,
-        scheduleTime: b.scheduleTime,
+        scheduleTime: b.scheduleType === "cron" ? "" : b.scheduleTime,
         scheduleDayOfWeek: b.scheduleDayOfWeek ?? null,
         scheduleDayOfMonth: b.scheduleDayOfMonth ?? null,
+        cronExpression: b.scheduleType === "cron" ? String(b.cronExpression).trim() : "",
+        timeZone: b.timeZone || "",
         enabled: b.enabled !== false,
         emailRecipients: b.emailRecipients || "",
         emailMessage: b.emailMessage || "",
+        deliveryTargets: targets.targets,
+        retryPolicy: b.retryPolicy ? retryPolicy(b) : null,
+        deliverOnlyOnChange: b.deliverOnlyOnChange === true,
+        outputFormats: outputFormats(b),
         exportConfig: lock.config,
         createdBy: b.userEmail,
         createdByName: b.userName || "",
@@ -130,7 +238,7 @@ module.exports = async function (context, req) {
         createdById: b.userId || "",
       });
 
-      context.res = json(201, schedule);
+      context.res = json(201, forBrowser(schedule));
       return;
     }
 
@@ -169,6 +277,44 @@ module.exports = async function (context, req) {
         exportConfig = lock.config;
       }
 
+      // Validate the timing as it will be after the edit — an edit may change
+      // only the zone, or only the expression.
+      const timing = {
+        scheduleType:       b.scheduleType       ?? existing.scheduleType,
+        scheduleTime:       b.scheduleTime       ?? existing.scheduleTime,
+        scheduleDayOfWeek:  b.scheduleDayOfWeek  ?? existing.scheduleDayOfWeek,
+        scheduleDayOfMonth: b.scheduleDayOfMonth ?? existing.scheduleDayOfMonth,
+        cronExpression:     b.cronExpression     ?? existing.cronExpression,
+        timeZone:           b.timeZone           ?? existing.timeZone,
+      };
+      const timingError = validateSchedule(timing);
+      if (timingError) {
+        context.res = json(400, { error: timingError });
+        return;
+      }
+
+      let deliveryTargets;
+      if (b.deliveryTargets !== undefined) {
+        const targets = delivery.prepareForSave(b.deliveryTargets, existing.deliveryTargets);
+        if (targets.error) {
+          context.res = json(400, { error: targets.error });
+          return;
+        }
+        deliveryTargets = targets.targets;
+      }
+
+      const retryError = validateRetryPolicy(b.retryPolicy);
+      if (retryError) {
+        context.res = json(400, { error: retryError });
+        return;
+      }
+
+      const formatError = validateOutputFormats(b.outputFormats);
+      if (formatError) {
+        context.res = json(400, { error: formatError });
+        return;
+      }
+
       const updated = await store.update(id, {
         exportType: b.exportType,
         exportLabel: b.exportLabel,
@@ -176,13 +322,22 @@ module.exports = async function (context, req) {
         scheduleTime: b.scheduleTime,
         scheduleDayOfWeek: b.scheduleDayOfWeek,
         scheduleDayOfMonth: b.scheduleDayOfMonth,
+        cronExpression: b.cronExpression != null ? String(b.cronExpression).trim() : undefined,
+        timeZone: b.timeZone,
         enabled: b.enabled,
         emailRecipients: b.emailRecipients,
         emailMessage: b.emailMessage,
+        deliveryTargets,
+        retryPolicy: b.retryPolicy ? retryPolicy(b) : undefined,
+        deliverOnlyOnChange: b.deliverOnlyOnChange != null ? b.deliverOnlyOnChange === true : undefined,
+        outputFormats: b.outputFormats != null ? outputFormats(b) : undefined,
         exportConfig,
       });
+      if (existing.deliverOnlyOnChange && b.deliverOnlyOnChange === false) {
+        await dropSnapshot(context, id);
+      }
 
-      context.res = json(200, updated);
+      context.res = json(200, forBrowser(updated));
       return;
     }
 
@@ -210,6 +365,8 @@ module.exports = async function (context, req) {
       }
 
       await store.remove(id);
+      if (existing.deliverOnlyOnChange) await dropSnapshot(context, id);
+      if (existing.exportType === "documentationCompare") await dropSnapshot(context, id, "documentation");
       context.res = json(200, { success: true });
       return;
     }
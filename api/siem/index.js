@@ -0,0 +1,164 @@
+/**
+ * SIEM Forwarding API — delivery status and replay (superuser only).
+ *
+ * GET  /api/siem  → { sink, state, pending, failed, maxAttempts }
+ *                   sink:  { configured, kind, target, error } — never the secret
+ *                   state: when the sink last accepted / refused an entry
+ *                   pending / failed: the retry queue (see lib/siemQueueStore.js),
+ *                   each row joined with its Activity Log entry's summary
+ *
+ * POST /api/siem  → body { action, … }
+ *   { action: "retry" }                    retry every queued entry that is due
+ *   { action: "replay", ids: [...] }       retry these queued entries now,
+ *                                          pending or failed (max 200)
+ *   { action: "replay-range", from, to }   re-send every Activity Log entry in
+ *                                          the range, queued or not (max 1000) —
+ *                                          for a collector that lost data
+ *   { action: "discard", ids: [...] }      drop queued entries without sending
+ *
+ * Forwarding covers every owner's entries, internal and customer alike, so
+ * this page does too — which is why it is superuser-only rather than scoped to
+ * the caller's org like the Activity Log. Replay and discard are themselves
+ * logged (and so forwarded): the SIEM should hear when its feed was edited.
+ */
+const store = require("../lib/activityLogStore");
+const queue = require("../lib/siemQueueStore");
+const siem = require("../lib/siemForwarder");
+const { getCallerContext } = require("../lib/callerContext");
+const { isSuperuser } = require("../lib/superusers");
+
+const MAX_IDS = 200;
+const MAX_REPLAY_RANGE = 1000;
+
+module.exports = async function (context, req) {
+  const method = req.method.toUpperCase();
+
+  const json = (status, body) => ({
+    status,
+    headers: { "Content-Type": "application/json" },
+    body,
+  });
+
+  try {
+    const caller = await getCallerContext(context, req);
+    if (!caller.authorized) {
+      context.res = json(caller.status || 401, { error: caller.error || "unauthorized" });
+      return;
+    }
+    if (!isSuperuser(caller)) {
+      context.res = json(403, { error: "forbidden" });
+      return;
+    }
+
+    // ── GET — status ─────────────────────────────────────
+    if (method === "GET") {
+      const [state, queued] = await Promise.all([queue.getState(), queue.list()]);
+      // The queue holds ids only; show what each one was.
+      const withEntry = async (item) => {
+        const e = await store.get(item.id);
+        return {
+          ...item,
+          entry: e && {
+            logTimestamp: e.logTimestamp,
+            userEmail:    e.userEmail,
+            userName:     e.userName,
+            orgName:      e.orgName || e.orgId,
+            action:       e.action,
+            description:  e.description,
+            result:       e.result,
+          },
+        };
+      };
+      context.res = json(200, {
+        sink:        siem.describeSink(),
+        state,
+        pending:     await Promise.all(queued.pending.map(withEntry)),
+        failed:      await Promise.all(queued.failed.map(withEntry)),
+        maxAttempts: siem.MAX_ATTEMPTS,
+      });
+      return;
+    }
+
+    // ── POST — retry / replay / discard ──────────────────
+    if (method === "POST") {
+      const b = req.body || {};
+      const action = String(b.action || "");
+      const ids = Array.isArray(b.ids) ? b.ids.filter((id) => typeof id === "string" && id) : [];
+
+      if (action !== "discard" && !siem.describeSink().configured) {
+        context.res = json(409, { error: "SIEM forwarding is not configured", sink: siem.describeSink() });
+        return;
+      }
+      if ((action === "replay" || action === "discard") && !ids.length) {
+        context.res = json(400, { error: "ids is required" });
+        return;
+      }
+      if (ids.length > MAX_IDS) {
+        context.res = json(400, { error: `Too many ids: ${ids.length} (max ${MAX_IDS})` });
+        return;
+      }
+
+      const logIt = (description, count) => store.create({
+        ownerOrgId:  caller.ownerOrgId,
+        userId:      caller.userId    || "",
+        userEmail:   caller.userEmail || "",
+        userName:    caller.userName  || "",
+        action:      "siem_replay",
+        description,
+        result:      "success",
+        count,
+      }).catch((err) => context.log.warn("[siem] activity log write failed:", err?.message || err));
+
+      if (action === "retry") {
+        const totals = await siem.drain(store.get);
+        context.res = json(200, totals);
+        return;
+      }
+
+      if (action === "replay") {
+        const totals = await siem.drain(store.get, { ids });
+        await logIt(`Replayed ${ids.length} queued SIEM deliver${ids.length === 1 ? "y" : "ies"}`, ids.length);
+        context.res = json(200, totals);
+        return;
+      }
+
+      if (action === "replay-range") {
+        const from = Date.parse(b.from);
+        const to   = Date.parse(b.to);
+        if (isNaN(from) || isNaN(to) || from > to) {
+          context.res = json(400, { error: "from and to must be ISO dates, from before to" });
+          return;
+        }
+        const page = await store.query({
+          from: new Date(from).toISOString(),
+          to:   new Date(to).toISOString(),
+          limit: MAX_REPLAY_RANGE,
+        });
+        // Oldest first, so the collector receives them in the order they happened.
+        const totals = await siem.replayEntries(context, page.entries.reverse());
+        await logIt(
+          `Replayed ${page.entries.length} Activity Log entr${page.entries.length === 1 ? "y" : "ies"} ` +
+          `to the SIEM (${new Date(from).toISOString()} – ${new Date(to).toISOString()})`,
+          page.entries.length
+        );
+        context.res = json(200, { ...totals, matched: page.entries.length, truncated: !!page.continuationToken });
+        return;
+      }
+
+      if (action === "discard") {
+        for (const id of ids) await queue.remove(id);
+        await logIt(`Discarded ${ids.length} queued SIEM deliver${ids.length === 1 ? "y" : "ies"}`, ids.length);
+        context.res = json(200, { discarded: ids.length });
+        return;
+      }
+
+      context.res = json(400, { error: `Unknown action: ${action}` });
+      return;
+    }
+
+    context.res = json(405, { error: "Method not allowed" });
+  } catch (err) {
+    context.log.error("[siem] error:", err?.message || err);
+    context.res = json(500, { error: err?.message || "Internal server error" });
+  }
+};
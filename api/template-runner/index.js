@@ -21,6 +21,7 @@ const templateStore = require("../lib/templateStore");
 const scheduleStore = require("../lib/templateScheduleStore");
 const customers = require("../lib/customers.json");
 const { getGenesysToken } = require("../lib/genesysAuth");
+const { apiBase } = require("../lib/genesysHost");
 
 module.exports = async function (context, req) {
   // ── Verify shared secret ──────────────────────────────
@@ -88,7 +89,7 @@ module.exports = async function (context, req) {
     }
 
     const token = await getGenesysToken(orgId, customer.region, clientId, clientSecret);
-    const baseUrl = `https://api.${customer.region}`;
+    const baseUrl = apiBase(customer.region);
 
     // 4. Resolve targets from the schedule
     const targets = Array.isArray(schedule.targets) ? schedule.targets : [];
@@ -0,0 +1,80 @@
+/**
+ * Checks that modules kept as copies across the apps still say the same thing.
+ *
+ * Each Function App is deployed on its own and js/ is not on disk in any of
+ * them, so a module the browser and a Function both need is copied rather than
+ * required. The point of such a module is that both sides agree — on when a
+ * schedule fires, on what differs between two documentation workbooks — so the
+ * code below each copy's header comment must be identical to the browser
+ * original's, module syntax aside:
+ *
+ *   original (ES module)   `import` lines, `export `, `const XLSX = window.XLSX;`
+ *   copies (CommonJS)      `"use strict";`, `const … = require(…);` lines and the
+ *                          closing `module.exports = { … }` block
+ *
+ * The header comments may differ. Add a module to TWINS when it gains a copy.
+ *
+ * Run:  node dev/check-twins   (no dependencies; exits 1 on drift)
+ * Also run by .github/workflows/checks.yml on every pull request.
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const TWINS = [
+  {
+    original: "js/lib/cronSchedule.js",
+    copies: ["api/lib/cronSchedule.js", "timer-functions/lib/cronSchedule.js"],
+  },
+  {
+    original: "js/lib/docDiff.js",
+    copies: ["api/lib/docDiff.js"],
+  },
+];
+
+/** The code of one copy, with its header and module syntax taken out. */
+function body(file) {
+  return fs.readFileSync(path.join(ROOT, file), "utf8")
+    .replace(/\r\n/g, "\n")
+    .replace(/^\/\*\*[\s\S]*?\*\/\s*/, "")
+    .replace(/^"use strict";\s*/m, "")
+    .replace(/^import .*\n/gm, "")
+    .replace(/^const .* = require\(.*\);\n/gm, "")
+    .replace(/^\s*const XLSX = window\.XLSX;\n/gm, "")
+    .replace(/^export /gm, "")
+    .replace(/\nmodule\.exports = \{[\s\S]*?\};\s*$/, "\n")
+    .trim()
+    .split("\n");
+}
+
+/** The first line where two copies part, or -1. */
+function firstDifference(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] !== b[i]) return i;
+  }
+  return -1;
+}
+
+let drifted = 0;
+for (const { original, copies } of TWINS) {
+  const code = body(original);
+  for (const copy of copies) {
+    const other = body(copy);
+    const i = firstDifference(code, other);
+    if (i === -1) {
+      console.log(`ok    ${copy}`);
+      continue;
+    }
+    drifted++;
+    console.error(`DRIFT ${copy} differs from ${original} at code line ${i + 1}:`);
+    console.error(`  ${original}: ${code[i] ?? "(end of file)"}`);
+    console.error(`  ${copy}: ${other[i] ?? "(end of file)"}`);
+  }
+}
+if (drifted) {
+  console.error(`\n${drifted} copy(ies) out of step with their original — change them together.`);
+  process.exit(1);
+}
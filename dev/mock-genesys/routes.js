@@ -0,0 +1,535 @@
+/**
+ * Endpoint handlers for the Genesys stand-in.
+ *
+ * Covers what js/services/genesysApi.js and the export handlers actually call
+ * for users, groups, divisions (and moving objects between them), roles and
+ * grants, queues and members, wrap-up codes, flows, schedules, data tables and
+ * rows, phones (with sites and base settings), the async
+ * analytics conversation jobs, and the audit queries — plus the handful of
+ * calls sign-in and the proxy's caller check make (oauth, users/me,
+ * organizations/me), and the IP-ranges list.
+ *
+ * Each handler gets `{ params, query, body, state }` and returns
+ * `{ status, body }`. Error bodies are Genesys-shaped (`message`, `code`,
+ * `status`) because several pages show `message` to the user.
+ *
+ * Filters are the ones pages rely on; anything else in a query is ignored,
+ * the way Genesys ignores an unknown parameter.
+ */
+const { newId, pageOf, cursorPageOf } = require("./store");
+
+// How long an async job stays queued and then pending before it finishes.
+// Long enough that the pages' poll loops go round more than once.
+const JOB_QUEUED_MS = 500;
+const JOB_MS = Number(process.env.MOCK_GENESYS_JOB_MS) || 4000;
+
+function ok(body) {
+  return { status: 200, body };
+}
+
+function noContent() {
+  return { status: 204 };
+}
+
+function genesysError(status, code, message) {
+  return { status, body: { message, code, status, messageParams: {}, contextId: newId(), details: [], errors: [] } };
+}
+
+function notFound(what, id) {
+  return genesysError(404, "not.found", `${what} ${id} not found`);
+}
+
+/** Genesys name filters accept a trailing `*`; either way the match is case-insensitive. */
+function nameMatches(name, filter) {
+  if (!filter) return true;
+  const f = String(filter).toLowerCase();
+  const n = String(name || "").toLowerCase();
+  return f.endsWith("*") ? n.startsWith(f.slice(0, -1)) : n.includes(f);
+}
+
+/** `?id=a&id=b` and `?id=a,b` both select by id. */
+function idFilter(query) {
+  const raw = query.id;
+  if (!raw) return null;
+  return new Set([].concat(raw).flatMap((v) => String(v).split(",")).filter(Boolean));
+}
+
+function ref(obj) {
+  return { id: obj.id, name: obj.name, selfUri: obj.selfUri };
+}
+
+/** Reject a write that carries a stale `version`, as Genesys does. */
+function versionConflict(current, body) {
+  if (body && body.version !== undefined && current.version !== undefined && Number(body.version) !== Number(current.version)) {
+    return genesysError(409, "general.conflict", `The version supplied (${body.version}) does not match the current version (${current.version})`);
+  }
+  return null;
+}
+
+// ── Generic collections ──────────────────────────────────────────────
+
+/**
+ * GET list / GET one / POST / PUT / PATCH / DELETE over one array in the
+ * store. `present` shapes an item for output, `filter` narrows the list, and
+ * `keep` names store-only fields a PUT must not wipe.
+ */
+function collection(base, key, label, { present = (x) => x, filter = () => true, keep = [] } = {}) {
+  const idRe = new RegExp(`^${base}/([^/]+)$`);
+  const find = (state, id) => state[key].find((x) => x.id === id);
+
+  return [
+    ["GET", new RegExp(`^${base}$`), ({ state, query }) => {
+      const ids = idFilter(query);
+      const items = state[key].filter((x) => (!ids || ids.has(x.id)) && nameMatches(x.name, query.name) && filter(x, query));
+      const page = pageOf(items, query, base);
+      page.entities = page.entities.map((x) => present(x, query, state));
+      return ok(page);
+    }],
+    ["GET", idRe, ({ state, params, query }) => {
+      const item = find(state, params[0]);
+      return item ? ok(present(item, query, state)) : notFound(label, params[0]);
+    }],
+    ["POST", new RegExp(`^${base}$`), ({ state, body }) => {
+      if (!body || !body.name) return genesysError(400, "bad.request", `${label} name is required`);
+      if (state[key].some((x) => x.name === body.name)) {
+        return genesysError(400, "general.bad.request", `A ${label.toLowerCase()} named ${body.name} already exists`);
+      }
+      const id = newId();
+      const item = { ...body, id, version: 1, selfUri: `${base}/${id}` };
+      state[key].push(item);
+      return ok(present(item, {}, state));
+    }],
+    ...["PUT", "PATCH"].map((method) => [method, idRe, ({ state, params, body }) => {
+      const item = find(state, params[0]);
+      if (!item) return notFound(label, params[0]);
+      const conflict = versionConflict(item, body);
+      if (conflict) return conflict;
+      const next = method === "PUT" ? { ...body } : { ...item, ...body };
+      for (const k of keep) next[k] = item[k];
+      Object.assign(next, { id: item.id, selfUri: item.selfUri, version: (Number(item.version) || 1) + 1 });
+      state[key][state[key].indexOf(item)] = next;
+      return ok(present(next, {}, state));
+    }]),
+    ["DELETE", idRe, ({ state, params }) => {
+      const item = find(state, params[0]);
+      if (!item) return notFound(label, params[0]);
+      state[key].splice(state[key].indexOf(item), 1);
+      return noContent();
+    }],
+  ];
+}
+
+// ── Users, groups, authorization ─────────────────────────────────────
+
+function presentUser(state, user, query = {}) {
+  const expand = String(query.expand || "").split(",");
+  const out = { ...user };
+  if (expand.includes("groups")) {
+    out.groups = state.groups
+      .filter((g) => (state.groupMembers[g.id] || []).includes(user.id))
+      .map((g) => ({ id: g.id, selfUri: g.selfUri }));
+  }
+  if (expand.includes("authorization")) {
+    const grants = state.grants.filter((g) => g.userId === user.id);
+    const roles = grants.map((g) => state.roles.find((r) => r.id === g.roleId)).filter(Boolean);
+    out.authorization = {
+      roles: roles.map((r) => ({ id: r.id, name: r.name })),
+      permissions: user.id === state.me.userId ? state.me.permissions : [],
+      permissionPolicies: roles.flatMap((r) => r.permissionPolicies),
+    };
+  }
+  return out;
+}
+
+function userRoutes() {
+  return [
+    ["GET", /^\/api\/v2\/users\/me$/, ({ state, query }) => {
+      const me = state.users.find((u) => u.id === state.me.userId);
+      return ok(presentUser(state, me, query));
+    }],
+    ["POST", /^\/api\/v2\/users\/search$/, ({ state, body = {} }) => {
+      // The criteria pages send: EXACT / CONTAINS / STARTS_WITH on a list of fields.
+      const clauses = Array.isArray(body.query) ? body.query : [];
+      const matches = (u) => clauses.every((c) => {
+        const fields = c.fields || (c.field ? [c.field] : []);
+        const want = String(c.value || "").toLowerCase();
+        return fields.some((f) => {
+          const have = String(f.split(".").reduce((o, k) => (o == null ? o : o[k]), u) ?? "").toLowerCase();
+          if (c.type === "EXACT") return have === want;
+          if (c.type === "STARTS_WITH") return have.startsWith(want);
+          return have.includes(want);
+        });
+      });
+      const page = pageOf(state.users.filter(matches), { pageSize: body.pageSize || 25, pageNumber: body.pageNumber || 1 }, "/api/v2/users/search");
+      return ok({ total: page.total, pageCount: page.pageCount, pageSize: page.pageSize, pageNumber: page.pageNumber, results: page.entities });
+    }],
+    ["GET", /^\/api\/v2\/users\/([^/]+)\/queues$/, ({ state, params, query }) => {
+      const queues = state.queues
+        .map((q) => ({ q, m: (state.queueMembers[q.id] || []).find((m) => m.id === params[0]) }))
+        .filter(({ m }) => m)
+        .map(({ q, m }) => ({ ...ref(q), division: q.division, joined: m.joined }));
+      return ok(pageOf(queues, query, `/api/v2/users/${params[0]}/queues`));
+    }],
+    ...collection("/api/v2/users", "users", "User", {
+      present: (u, query, state) => presentUser(state, u, query),
+      // Genesys lists active users only unless asked for `state=any` (or a specific state).
+      filter: (u, query) => !query.state ? u.state === "active" : query.state === "any" || u.state === query.state,
+    }),
+
+    ["GET", /^\/api\/v2\/groups\/([^/]+)\/members$/, ({ state, params, query }) => {
+      if (!state.groups.some((g) => g.id === params[0])) return notFound("Group", params[0]);
+      const ids = state.groupMembers[params[0]] || [];
+      return ok(pageOf(state.users.filter((u) => ids.includes(u.id)), query, `/api/v2/groups/${params[0]}/members`));
+    }],
+    ...collection("/api/v2/groups", "groups", "Group"),
+
+    // Move objects into a division. Only the types pages move through here that
+    // the mock keeps are supported; anything else is answered like Genesys
+    // answers a type it does not know.
+    ["POST", /^\/api\/v2\/authorization\/divisions\/([^/]+)\/objects\/([^/]+)$/, ({ state, params, body }) => {
+      const division = state.divisions.find((d) => d.id === params[0]);
+      if (!division) return notFound("Division", params[0]);
+      const key = { USER: "users", QUEUE: "queues" }[params[1]];
+      if (!key) return genesysError(400, "bad.request", `Unsupported object type ${params[1]}`);
+      if (!Array.isArray(body)) return genesysError(400, "bad.request", "Body must be an array of object ids");
+      for (const id of body) {
+        const obj = state[key].find((x) => x.id === id);
+        if (!obj) return notFound(params[1] === "USER" ? "User" : "Queue", id);
+        obj.division = ref(division);
+        obj.version = (Number(obj.version) || 1) + 1;
+      }
+      return noContent();
+    }],
+    ...collection("/api/v2/authorization/divisions", "divisions", "Division"),
+
+    ["GET", /^\/api\/v2\/authorization\/roles\/([^/]+)\/users$/, ({ state, params, query }) => {
+      if (!state.roles.some((r) => r.id === params[0])) return notFound("Role", params[0]);
+      const ids = new Set(state.grants.filter((g) => g.roleId === params[0]).map((g) => g.userId));
+      return ok(pageOf(state.users.filter((u) => ids.has(u.id)), query, `/api/v2/authorization/roles/${params[0]}/users`));
+    }],
+    ...collection("/api/v2/authorization/roles", "roles", "Role"),
+
+    ["GET", /^\/api\/v2\/authorization\/subjects\/([^/]+)$/, ({ state, params }) => {
+      const subject = state.users.find((u) => u.id === params[0]) || state.groups.find((g) => g.id === params[0]);
+      if (!subject) return notFound("Subject", params[0]);
+      const grants = state.grants.filter((g) => g.userId === subject.id).map((g) => {
+        const role = state.roles.find((r) => r.id === g.roleId);
+        const division = state.divisions.find((d) => d.id === g.divisionId);
+        return { subjectId: subject.id, division: ref(division), role: { ...ref(role), policies: role.permissionPolicies }, grantMadeAt: g.grantMadeAt };
+      });
+      return ok({ id: subject.id, name: subject.name, grants, version: 1, selfUri: `/api/v2/authorization/subjects/${subject.id}` });
+    }],
+    ["POST", /^\/api\/v2\/authorization\/subjects\/([^/]+)\/divisions\/([^/]+)\/roles\/([^/]+)$/, ({ state, params }) => {
+      const [userId, divisionId, roleId] = params;
+      if (!state.grants.some((g) => g.userId === userId && g.divisionId === divisionId && g.roleId === roleId)) {
+        state.grants.push({ userId, divisionId, roleId, grantMadeAt: new Date().toISOString() });
+      }
+      return noContent();
+    }],
+    ["DELETE", /^\/api\/v2\/authorization\/subjects\/([^/]+)\/divisions\/([^/]+)\/roles\/([^/]+)$/, ({ state, params }) => {
+      const [userId, divisionId, roleId] = params;
+      state.grants = state.grants.filter((g) => !(g.userId === userId && g.divisionId === divisionId && g.roleId === roleId));
+      return noContent();
+    }],
+  ];
+}
+
+// ── Queues ───────────────────────────────────────────────────────────
+
+function queueRoutes() {
+  const memberEntity = (state, m) => {
+    const user = state.users.find((u) => u.id === m.id);
+    return { id: m.id, name: user ? user.name : m.id, user: user ? ref(user) : { id: m.id }, ringNumber: 1, joined: m.joined, memberBy: "user" };
+  };
+  const recount = (state, queue) => {
+    const members = state.queueMembers[queue.id] || [];
+    queue.memberCount = queue.userMemberCount = members.length;
+    queue.joinedMemberCount = members.filter((m) => m.joined).length;
+  };
+
+  return [
+    ["GET", /^\/api\/v2\/routing\/queues\/([^/]+)\/members$/, ({ state, params, query }) => {
+      if (!state.queues.some((q) => q.id === params[0])) return notFound("Queue", params[0]);
+      let members = state.queueMembers[params[0]] || [];
+      if (query.joined !== undefined) members = members.filter((m) => String(m.joined) === String(query.joined));
+      const page = pageOf(members, query, `/api/v2/routing/queues/${params[0]}/members`);
+      page.entities = page.entities.map((m) => memberEntity(state, m));
+      return ok(page);
+    }],
+    // Add members, or remove them with ?delete=true. At most 100 per call, as in Genesys.
+    ["POST", /^\/api\/v2\/routing\/queues\/([^/]+)\/members$/, ({ state, params, query, body }) => {
+      const queue = state.queues.find((q) => q.id === params[0]);
+      if (!queue) return notFound("Queue", params[0]);
+      if (!Array.isArray(body)) return genesysError(400, "bad.request", "Body must be an array of members");
+      if (body.length > 100) return genesysError(400, "bad.request", "A maximum of 100 members can be added or removed at once");
+      const ids = body.map((m) => m.id).filter(Boolean);
+      const current = state.queueMembers[queue.id] || (state.queueMembers[queue.id] = []);
+      if (String(query.delete) === "true") {
+        state.queueMembers[queue.id] = current.filter((m) => !ids.includes(m.id));
+      } else {
+        for (const id of ids) if (!current.some((m) => m.id === id)) current.push({ id, joined: false });
+      }
+      recount(state, queue);
+      return noContent();
+    }],
+    ["PATCH", /^\/api\/v2\/routing\/queues\/([^/]+)\/members\/([^/]+)$/, ({ state, params, body = {} }) => {
+      const member = (state.queueMembers[params[0]] || []).find((m) => m.id === params[1]);
+      if (!member) return notFound("Queue member", params[1]);
+      if (body.joined !== undefined) member.joined = !!body.joined;
+      recount(state, state.queues.find((q) => q.id === params[0]));
+      return noContent();
+    }],
+    ["DELETE", /^\/api\/v2\/routing\/queues\/([^/]+)\/members\/([^/]+)$/, ({ state, params }) => {
+      const queue = state.queues.find((q) => q.id === params[0]);
+      if (!queue) return notFound("Queue", params[0]);
+      state.queueMembers[queue.id] = (state.queueMembers[queue.id] || []).filter((m) => m.id !== params[1]);
+      recount(state, queue);
+      return noContent();
+    }],
+    ...collection("/api/v2/routing/queues", "queues", "Queue", {
+      filter: (q, query) => !query.divisionId || [].concat(query.divisionId).includes(q.division.id),
+    }),
+    ...collection("/api/v2/routing/wrapupcodes", "wrapupcodes", "Wrap-up code"),
+  ];
+}
+
+// ── Flows and data tables ────────────────────────────────────────────
+
+function flowRoutes() {
+  const presentTable = ({ rows, ...table }, query = {}) => {
+    if (!String(query.expand || "").includes("schema")) delete table.schema;
+    return table;
+  };
+  const findTable = (state, id) => state.datatables.find((t) => t.id === id);
+  const rowRe = /^\/api\/v2\/flows\/datatables\/([^/]+)\/rows\/([^/]+)$/;
+
+  return [
+    ["GET", /^\/api\/v2\/flows\/datatables\/([^/]+)\/rows$/, ({ state, params, query }) => {
+      const table = findTable(state, params[0]);
+      if (!table) return notFound("Data table", params[0]);
+      // showbrief defaults to true: keys only.
+      const brief = String(query.showbrief) !== "false";
+      const page = pageOf(table.rows, query, `/api/v2/flows/datatables/${table.id}/rows`);
+      page.entities = page.entities.map((r) => (brief ? { key: r.key } : r));
+      return ok(page);
+    }],
+    ["POST", /^\/api\/v2\/flows\/datatables\/([^/]+)\/rows$/, ({ state, params, body = {} }) => {
+      const table = findTable(state, params[0]);
+      if (!table) return notFound("Data table", params[0]);
+      if (!body.key) return genesysError(400, "flows.datatables.schema.exception", "The row is missing its key");
+      if (table.rows.some((r) => r.key === body.key)) {
+        return genesysError(409, "flows.datatables.row.already.exists", `A row with key ${body.key} already exists`);
+      }
+      table.rows.push({ ...body });
+      return ok(body);
+    }],
+    ["GET", rowRe, ({ state, params }) => {
+      const table = findTable(state, params[0]);
+      const row = table && table.rows.find((r) => r.key === decodeURIComponent(params[1]));
+      return row ? ok(row) : notFound("Row", params[1]);
+    }],
+    ["PUT", rowRe, ({ state, params, body = {} }) => {
+      const table = findTable(state, params[0]);
+      const key = decodeURIComponent(params[1]);
+      const i = table ? table.rows.findIndex((r) => r.key === key) : -1;
+      if (i === -1) return notFound("Row", key);
+      table.rows[i] = { ...body, key };
+      return ok(table.rows[i]);
+    }],
+    ["DELETE", rowRe, ({ state, params }) => {
+      const table = findTable(state, params[0]);
+      const key = decodeURIComponent(params[1]);
+      if (!table || !table.rows.some((r) => r.key === key)) return notFound("Row", key);
+      table.rows = table.rows.filter((r) => r.key !== key);
+      return noContent();
+    }],
+    ["POST", /^\/api\/v2\/flows\/datatables$/, ({ state, body = {} }) => {
+      if (!body.name || !body.schema) return genesysError(400, "bad.request", "A data table needs a name and a schema");
+      const id = newId();
+      const table = { ...body, id, rows: [], selfUri: `/api/v2/flows/datatables/${id}` };
+      state.datatables.push(table);
+      return ok(presentTable(table, { expand: "schema" }));
+    }],
+    ...collection("/api/v2/flows/datatables", "datatables", "Data table", { present: presentTable, keep: ["rows"] }),
+    ...collection("/api/v2/architect/schedules", "schedules", "Schedule"),
+    ...collection("/api/v2/flows", "flows", "Flow", {
+      // `type` is a comma-separated list of lower-case flow types.
+      filter: (f, query) => !query.type || String([].concat(query.type)).toLowerCase().split(",").includes(f.type.toLowerCase()),
+    }),
+  ];
+}
+
+// ── Telephony ────────────────────────────────────────────────────────
+
+function telephonyRoutes() {
+  const base = "/api/v2/telephony/providers/edges";
+  return [
+    ...collection(`${base}/phones`, "phones", "Phone", {
+      filter: (p, query) =>
+        (!query["site.id"] || p.site.id === query["site.id"]) &&
+        (!query["webRtcUser.id"] || (p.webRtcUser && p.webRtcUser.id === query["webRtcUser.id"])),
+    }),
+    ...collection(`${base}/phonebasesettings`, "phoneBaseSettings", "Phone base settings"),
+    ...collection(`${base}/sites`, "sites", "Site"),
+  ];
+}
+
+// ── Async jobs: analytics conversation details, audits ───────────────
+
+/** Where a job is in its life, from how long ago it was submitted. */
+function jobState(job, labels) {
+  const age = Date.now() - job.createdAt;
+  if (age < JOB_QUEUED_MS) return labels.queued;
+  if (age < JOB_MS) return labels.running;
+  return job.fail ? labels.failed : labels.done;
+}
+
+const ANALYTICS = { queued: "QUEUED", running: "PENDING", done: "FULFILLED", failed: "FAILED" };
+const AUDIT = { queued: "Queued", running: "Running", done: "Succeeded", failed: "Failed" };
+
+function inInterval(isoDate, interval) {
+  if (!interval) return true;
+  const [from, to] = String(interval).split("/").map((s) => Date.parse(s));
+  const t = Date.parse(isoDate);
+  return (!Number.isFinite(from) || t >= from) && (!Number.isFinite(to) || t < to);
+}
+
+function auditMatches(entry, body = {}) {
+  if (!inInterval(entry.eventDate, body.interval)) return false;
+  if (body.serviceName && entry.serviceName !== body.serviceName) return false;
+  return (body.filters || []).every((f) => {
+    const prop = String(f.property || "").toLowerCase();
+    if (prop === "entitytype") return entry.entityType === f.value;
+    if (prop === "action") return entry.action === f.value;
+    if (prop === "userid") return entry.user.id === f.value;
+    if (prop === "entityid") return entry.entity.id === f.value;
+    return true;
+  });
+}
+
+function jobRoutes(faults) {
+  const jobsBase = "/api/v2/analytics/conversations/details/jobs";
+  const findJob = (state, id, kind) => {
+    const job = state.jobs.get(id);
+    return job && job.kind === kind ? job : null;
+  };
+
+  return [
+    ["POST", new RegExp(`^${jobsBase}$`), ({ state, body = {} }) => {
+      if (!body.interval) return genesysError(400, "bad.request", "interval is required");
+      const jobId = newId();
+      state.jobs.set(jobId, { kind: "analytics", createdAt: Date.now(), body, fail: faults.takeJobFailure() });
+      return { status: 202, body: { jobId } };
+    }],
+    ["GET", new RegExp(`^${jobsBase}/([^/]+)$`), ({ state, params }) => {
+      const job = findJob(state, params[0], "analytics");
+      if (!job) return notFound("Job", params[0]);
+      const s = jobState(job, ANALYTICS);
+      return ok({
+        state: s,
+        submissionDate: new Date(job.createdAt).toISOString(),
+        expirationDate: new Date(job.createdAt + 86400000).toISOString(),
+        ...(s === "FAILED" ? { errorMessage: "Mock job failure (injected)" } : {}),
+      });
+    }],
+    ["GET", new RegExp(`^${jobsBase}/([^/]+)/results$`), ({ state, params, query }) => {
+      const job = findJob(state, params[0], "analytics");
+      if (!job) return notFound("Job", params[0]);
+      if (jobState(job, ANALYTICS) !== "FULFILLED") return genesysError(400, "bad.request", "Job is not complete");
+      const all = state.conversations.filter((c) => inInterval(c.conversationStart, job.body.interval));
+      const { items, cursor } = cursorPageOf(all, query, 250);
+      return ok({ conversations: items, ...(cursor ? { cursor } : {}), dataAvailabilityDate: new Date().toISOString() });
+    }],
+    ["POST", /^\/api\/v2\/analytics\/conversations\/details\/query$/, ({ state, body = {} }) => {
+      const all = state.conversations.filter((c) => inInterval(c.conversationStart, body.interval));
+      const paging = body.paging || {};
+      const page = pageOf(all, { pageSize: Math.min(paging.pageSize || 25, 100), pageNumber: paging.pageNumber || 1 }, "");
+      return ok(page.entities.length ? { conversations: page.entities, totalHits: page.total } : { totalHits: page.total });
+    }],
+    ["GET", /^\/api\/v2\/analytics\/conversations\/([^/]+)\/details$/, ({ state, params }) => {
+      const conv = state.conversations.find((c) => c.conversationId === params[0]);
+      return conv ? ok(conv) : notFound("Conversation", params[0]);
+    }],
+
+    ["GET", /^\/api\/v2\/audits\/query\/(realtime\/)?servicemapping$/, ({ state }) => ok(state.auditServiceMapping)],
+    ["POST", /^\/api\/v2\/audits\/query\/realtime$/, ({ state, body = {}, query }) => {
+      // Realtime covers the last 14 days; older intervals are a 400, as in Genesys.
+      const [from] = String(body.interval || "").split("/");
+      if (Date.parse(from) < Date.now() - 14 * 86400000 - 60_000) {
+        return genesysError(400, "bad.request", "Realtime audit queries are limited to the last 14 days");
+      }
+      const all = state.audits.filter((e) => auditMatches(e, body));
+      const { items, cursor } = cursorPageOf(all, query, 500);
+      return ok({
+        entities: items,
+        pageSize: items.length,
+        ...(cursor ? { nextUri: `/api/v2/audits/query/realtime?pageSize=${query.pageSize || 100}&cursor=${cursor}` } : {}),
+      });
+    }],
+    ["POST", /^\/api\/v2\/audits\/query$/, ({ state, body = {} }) => {
+      if (!body.interval || !body.serviceName) return genesysError(400, "bad.request", "interval and serviceName are required");
+      const id = newId();
+      state.jobs.set(id, { kind: "audit", createdAt: Date.now(), body, fail: faults.takeJobFailure() });
+      return { status: 202, body: { id, state: AUDIT.queued, startDate: new Date().toISOString(), interval: body.interval, serviceName: body.serviceName } };
+    }],
+    ["GET", /^\/api\/v2\/audits\/query\/([^/]+)$/, ({ state, params }) => {
+      const job = findJob(state, params[0], "audit");
+      if (!job) return notFound("Audit query", params[0]);
+      const s = jobState(job, AUDIT);
+      return ok({
+        id: params[0],
+        state: s,
+        startDate: new Date(job.createdAt).toISOString(),
+        interval: job.body.interval,
+        serviceName: job.body.serviceName,
+        ...(s === AUDIT.failed ? { errorMessage: "Mock audit query failure (injected)" } : {}),
+      });
+    }],
+    ["GET", /^\/api\/v2\/audits\/query\/([^/]+)\/results$/, ({ state, params, query }) => {
+      const job = findJob(state, params[0], "audit");
+      if (!job) return notFound("Audit query", params[0]);
+      if (jobState(job, AUDIT) !== AUDIT.done) return genesysError(400, "bad.request", "Audit query is not complete");
+      const all = state.audits.filter((e) => auditMatches(e, job.body));
+      const { items, cursor } = cursorPageOf(all, query, 500);
+      return ok({
+        id: params[0],
+        pageSize: items.length,
+        entities: items,
+        ...(cursor ? { cursor, nextUri: `/api/v2/audits/query/${params[0]}/results?pageSize=${query.pageSize || 100}&cursor=${cursor}` } : {}),
+      });
+    }],
+  ];
+}
+
+// ── Org and sign-in ──────────────────────────────────────────────────
+
+function orgRoutes() {
+  return [
+    ["GET", /^\/api\/v2\/organizations\/me$/, ({ state }) => ok(state.organization)],
+    // Documentation ranges (RFC 5737), so nothing here is mistaken for the real list.
+    ["GET", /^\/api\/v2\/ipranges$/, () => ok({
+      entities: [
+        { cidr: "192.0.2.0/24", service: "api", region: "mock" },
+        { cidr: "198.51.100.0/24", service: "media", region: "mock" },
+        { cidr: "203.0.113.0/24", service: "smtp", region: "mock" },
+      ],
+    })],
+  ];
+}
+
+/**
+ * Build the route table. Order matters: the first pattern that matches wins,
+ * which is why the sub-resources come before their collection.
+ */
+function buildRoutes(faults) {
+  return [
+    ...orgRoutes(),
+    ...userRoutes(),
+    ...queueRoutes(),
+    ...flowRoutes(),
+    ...telephonyRoutes(),
+    ...jobRoutes(faults),
+  ].map(([method, re, handler]) => ({ method, re, handler }));
+}
+
+module.exports = { buildRoutes, genesysError };
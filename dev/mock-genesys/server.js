@@ -0,0 +1,308 @@
+/**
+ * Offline Genesys Cloud stand-in for local development.
+ *
+ * Serves recorded fixtures (fixtures/) for the endpoints the pages and the
+ * export handlers use, so a page can be run end to end with no customer org
+ * and no network. Point the API at it with the app setting
+ *
+ *   GENESYS_API_BASE_OVERRIDE=http://localhost:4010
+ *
+ * and the browser with (in the devtools console, on the locally served app)
+ *
+ *   localStorage.setItem("gc_genesys_base", "http://localhost:4010")
+ *
+ * Both overrides are loopback-only (see api/lib/genesysHost.js and
+ * js/config.js). Sign-in is accepted for anyone and returns the fixture org's
+ * "Dev Admin", a member of Genesys App - Master Admin. For the proxy to treat
+ * that session as internal, set INTERNAL_COMPANY_ORG_ID to the fixture org id
+ * (fixtures/org.json). Any GENESYS_<CUSTOMER>_CLIENT_ID / _SECRET pair is
+ * accepted for client credentials.
+ *
+ * Run:  node dev/mock-genesys/server.js        (no dependencies; Node 18+)
+ *
+ * Environment:
+ *   MOCK_GENESYS_PORT        listen port (default 4010)
+ *   MOCK_GENESYS_USERS       size of the user list (default 240)
+ *   MOCK_GENESYS_JOB_MS      how long analytics and audit jobs take (default 4000)
+ *   MOCK_GENESYS_RATE_LIMIT  requests per minute before a real 429 (default off);
+ *                            when set, every response carries inin-ratelimit-*
+ *   MOCK_GENESYS_FAULTS      JSON array of fault rules to start with
+ *
+ * Control endpoints (no auth):
+ *   GET    /__mock/faults   list the active fault rules
+ *   POST   /__mock/faults   add one: { status, path?, method?, count?, retryAfter?, message? }
+ *                           or { failJobs: n } to make the next n async jobs fail
+ *   DELETE /__mock/faults   clear them
+ *   POST   /__mock/reset    reload the fixtures, discarding every write
+ */
+const http = require("http");
+const crypto = require("crypto");
+const { getState, reset } = require("./store");
+const { buildRoutes, genesysError } = require("./routes");
+
+const PORT = Number(process.env.MOCK_GENESYS_PORT) || 4010;
+const RATE_LIMIT = Number(process.env.MOCK_GENESYS_RATE_LIMIT) || 0;
+const TOKEN_TTL_S = 86400;
+
+// ── Fault injection ──────────────────────────────────────────────────
+
+/**
+ * Rules are checked in the order they were added. `path` is a regular
+ * expression tested against the path (without query); `count` is how many
+ * matching requests fail before the rule retires itself (default: until
+ * cleared).
+ */
+const faults = {
+  rules: [],
+  jobFailures: 0,
+
+  add(rule) {
+    if (rule.failJobs) {
+      this.jobFailures += Number(rule.failJobs) || 1;
+      return;
+    }
+    const status = Number(rule.status);
+    if (![400, 401, 403, 404, 409, 429, 500, 502, 503, 504].includes(status)) {
+      throw new Error("status must be one of 400, 401, 403, 404, 409, 429, 500, 502, 503, 504");
+    }
+    this.rules.push({
+      status,
+      path: rule.path || ".*",
+      re: new RegExp(rule.path || ".*"),
+      method: rule.method ? String(rule.method).toUpperCase() : null,
+      remaining: rule.count === undefined ? Infinity : Number(rule.count),
+      retryAfter: rule.retryAfter === undefined ? 1 : Number(rule.retryAfter),
+      message: rule.message || null,
+    });
+  },
+
+  /** The rule this request trips, if any, counting it down. */
+  match(method, path) {
+    const rule = this.rules.find((r) => r.re.test(path) && (!r.method || r.method === method));
+    if (!rule) return null;
+    rule.remaining -= 1;
+    if (rule.remaining <= 0) this.rules.splice(this.rules.indexOf(rule), 1);
+    return rule;
+  },
+
+  takeJobFailure() {
+    if (this.jobFailures <= 0) return false;
+    this.jobFailures -= 1;
+    return true;
+  },
+
+  list() {
+    return {
+      rules: this.rules.map(({ re, ...r }) => ({ ...r, remaining: r.remaining === Infinity ? null : r.remaining })),
+      jobFailures: this.jobFailures,
+    };
+  },
+};
+
+function faultResponse(rule, method, path) {
+  if (rule.status === 429) {
+    return {
+      ...genesysError(429, "too.many.requests", rule.message || `Rate limit exceeded the maximum. [${method} ${path}] (injected)`),
+      headers: { "Retry-After": String(rule.retryAfter) },
+    };
+  }
+  if (rule.status === 403) {
+    return genesysError(403, "missing.any.permissions", rule.message || "Unable to perform the requested action. You are missing the following permission(s): (injected)");
+  }
+  return genesysError(rule.status, rule.status >= 500 ? "internal.server.error" : "bad.request", rule.message || `Injected ${rule.status}`);
+}
+
+// ── Rate limit (optional) ────────────────────────────────────────────
+
+// One fixed window per token, like Genesys' per-client allowance.
+const windows = new Map(); // token → { startedAt, count }
+
+function rateLimitHeaders(token) {
+  if (!RATE_LIMIT) return { headers: {}, exceeded: false };
+  const now = Date.now();
+  let w = windows.get(token);
+  if (!w || now - w.startedAt >= 60_000) {
+    w = { startedAt: now, count: 0 };
+    windows.set(token, w);
+  }
+  w.count += 1;
+  const resetS = Math.ceil((w.startedAt + 60_000 - now) / 1000);
+  return {
+    exceeded: w.count > RATE_LIMIT,
+    resetS,
+    headers: {
+      "inin-ratelimit-allowed": String(RATE_LIMIT),
+      "inin-ratelimit-count": String(Math.min(w.count, RATE_LIMIT)),
+      "inin-ratelimit-reset": String(resetS),
+    },
+  };
+}
+
+// ── HTTP plumbing ────────────────────────────────────────────────────
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, PUT, PATCH, DELETE, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type",
+  "Access-Control-Expose-Headers": "Retry-After, inin-ratelimit-allowed, inin-ratelimit-count, inin-ratelimit-reset",
+};
+
+function send(res, { status, body, headers = {} }) {
+  const out = { ...CORS, ...headers };
+  if (status === 204 || body === undefined) {
+    res.writeHead(status, out);
+    res.end();
+    return;
+  }
+  const text = JSON.stringify(body);
+  res.writeHead(status, { ...out, "Content-Type": "application/json", "Content-Length": Buffer.byteLength(text) });
+  res.end(text);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Parse a request body as JSON, whatever the Content-Type claims (curl sends
+ * form-encoded by default). Multipart uploads are accepted unread.
+ */
+function parseBody(text, contentType = "") {
+  if (!text) return undefined;
+  if (contentType.includes("multipart/form-data")) return { __multipart: true };
+  return JSON.parse(text);
+}
+
+/** Query parameters, with repeated keys collected into arrays. */
+function parseQuery(searchParams) {
+  const query = {};
+  for (const [k, v] of searchParams) {
+    query[k] = k in query ? [].concat(query[k], v) : v;
+  }
+  return query;
+}
+
+// ── Sign-in ──────────────────────────────────────────────────────────
+
+function issueToken() {
+  return { access_token: `mock-${crypto.randomBytes(24).toString("hex")}`, token_type: "bearer", expires_in: TOKEN_TTL_S };
+}
+
+/**
+ * The login host's two endpoints. /oauth/authorize signs in without a form —
+ * there is only one user — and sends the browser straight back with a code;
+ * /oauth/token accepts any code, PKCE verifier or client credentials.
+ */
+function handleOAuth(req, res, url) {
+  if (req.method === "GET" && url.pathname === "/oauth/authorize") {
+    const redirect = url.searchParams.get("redirect_uri");
+    if (!redirect) return send(res, { status: 400, body: { error: "invalid_request", error_description: "redirect_uri is required" } });
+    const back = new URL(redirect);
+    back.searchParams.set("code", `mock-code-${crypto.randomBytes(8).toString("hex")}`);
+    const state = url.searchParams.get("state");
+    if (state) back.searchParams.set("state", state);
+    res.writeHead(302, { ...CORS, Location: back.toString() });
+    return res.end();
+  }
+  if (req.method === "POST" && url.pathname === "/oauth/token") {
+    return send(res, { status: 200, body: issueToken() });
+  }
+  return send(res, { status: 404, body: { error: "not_found" } });
+}
+
+// ── Control endpoints ────────────────────────────────────────────────
+
+function handleControl(req, res, url, body) {
+  try {
+    if (url.pathname === "/__mock/reset" && req.method === "POST") {
+      reset();
+      return send(res, { status: 200, body: { reset: true } });
+    }
+    if (url.pathname === "/__mock/faults") {
+      if (req.method === "GET") return send(res, { status: 200, body: faults.list() });
+      if (req.method === "DELETE") {
+        faults.rules = [];
+        faults.jobFailures = 0;
+        return send(res, { status: 200, body: faults.list() });
+      }
+      if (req.method === "POST") {
+        for (const rule of [].concat(body || [])) faults.add(rule);
+        return send(res, { status: 200, body: faults.list() });
+      }
+    }
+  } catch (err) {
+    return send(res, { status: 400, body: { error: err.message } });
+  }
+  return send(res, { status: 404, body: { error: "not_found" } });
+}
+
+// ── Dispatch ─────────────────────────────────────────────────────────
+
+const routes = buildRoutes(faults);
+
+async function handle(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  if (req.method === "OPTIONS") return send(res, { status: 204 });
+
+  const text = await readBody(req);
+  if (url.pathname.startsWith("/oauth/")) return handleOAuth(req, res, url);
+
+  let body;
+  try {
+    body = parseBody(text, req.headers["content-type"]);
+  } catch (_) {
+    return send(res, genesysError(400, "bad.request", "The request body could not be parsed as JSON"));
+  }
+  if (url.pathname.startsWith("/__mock/")) return handleControl(req, res, url, body);
+
+  const auth = String(req.headers.authorization || "");
+  if (!/^Bearer\s+\S+/i.test(auth)) {
+    return send(res, genesysError(401, "bad.credentials", "Invalid login credentials."));
+  }
+
+  const method = req.method.toUpperCase();
+  const path = url.pathname.replace(/\/+$/, "");
+
+  const rule = faults.match(method, path);
+  if (rule) return send(res, faultResponse(rule, method, path));
+
+  const limit = rateLimitHeaders(auth);
+  if (limit.exceeded) {
+    return send(res, {
+      ...genesysError(429, "too.many.requests", `Rate limit exceeded the maximum. [${method} ${path}]`),
+      headers: { ...limit.headers, "Retry-After": String(limit.resetS) },
+    });
+  }
+
+  const route = routes.find((r) => r.method === method && r.re.test(path));
+  if (!route) {
+    console.warn(`[mock-genesys] no fixture for ${method} ${path}`);
+    return send(res, { ...genesysError(404, "not.found", `The mock has no handler for ${method} ${path}`), headers: limit.headers });
+  }
+
+  const params = route.re.exec(path).slice(1);
+  const result = route.handler({ params, query: parseQuery(url.searchParams), body, state: getState() });
+  return send(res, { ...result, headers: { ...limit.headers, ...(result.headers || {}) } });
+}
+
+if (process.env.MOCK_GENESYS_FAULTS) {
+  for (const rule of [].concat(JSON.parse(process.env.MOCK_GENESYS_FAULTS))) faults.add(rule);
+}
+reset();
+
+http
+  .createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error("[mock-genesys]", err);
+      send(res, genesysError(500, "internal.server.error", err.message));
+    });
+  })
+  .listen(PORT, () => {
+    const { organization, users } = getState();
+    console.log(`[mock-genesys] ${organization.name} (${organization.id}), ${users.length} users, listening on http://localhost:${PORT}`);
+  });
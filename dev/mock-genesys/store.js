@@ -0,0 +1,281 @@
+/**
+ * In-memory org for the Genesys stand-in.
+ *
+ * Loaded from fixtures/ on start and on POST /__mock/reset. Writes change it,
+ * so a page that creates a queue and then reads it back sees its own queue —
+ * and a reset puts everything back.
+ *
+ * The recorded users are 24 people; an org that size never pages at the
+ * default pageSize of 100, and paging is where pages break. So the list is
+ * extended with numbered copies up to MOCK_GENESYS_USERS (default 240, i.e.
+ * three pages). Conversations and audit entries are derived from the users
+ * and queues rather than recorded, so they always refer to objects that exist.
+ */
+const crypto = require("crypto");
+const path = require("path");
+const fs = require("fs");
+
+const FIXTURES = path.join(__dirname, "fixtures");
+const USER_COUNT = Number(process.env.MOCK_GENESYS_USERS) || 240;
+
+// The conversations and audits live in the fortnight before the server starts,
+// which is the window the interactive pages default to.
+const HISTORY_DAYS = 14;
+const CONVERSATIONS_PER_DAY = 60;
+
+function load(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), "utf8"));
+}
+
+/** Deterministic UUID-shaped id, so a reset hands out the same ids again. */
+function mockId(kind, n) {
+  const h = crypto.createHash("sha1").update(`${kind}:${n}`).digest("hex");
+  return `${h.slice(0, 8)}-${h.slice(8, 12)}-4${h.slice(13, 16)}-8${h.slice(17, 20)}-${h.slice(20, 32)}`;
+}
+
+function newId() {
+  return crypto.randomUUID();
+}
+
+let state;
+
+function padUsers(recorded) {
+  const users = recorded.slice();
+  for (let n = recorded.length; n < USER_COUNT; n++) {
+    const src = recorded[1 + (n % (recorded.length - 1))];
+    const id = mockId("user", n);
+    const email = `agent${String(n).padStart(3, "0")}@mock-org.example`;
+    users.push({
+      ...src,
+      id,
+      name: `Agent ${String(n).padStart(3, "0")}`,
+      email,
+      username: email,
+      primaryContactInfo: [{ address: email, mediaType: "EMAIL", type: "PRIMARY" }],
+      chat: { jabberId: `${id.slice(0, 24)}@mock.orgspan.com` },
+      selfUri: `/api/v2/users/${id}`,
+    });
+  }
+  return users;
+}
+
+function buildConversations(users, queues) {
+  const agents = users.filter((u) => u.state === "active").slice(1);
+  const media = ["voice", "voice", "voice", "message", "email", "callback"];
+  const end = Date.now() - 60 * 60 * 1000;
+  const total = HISTORY_DAYS * CONVERSATIONS_PER_DAY;
+  const out = [];
+
+  for (let n = 0; n < total; n++) {
+    const start = end - Math.floor(((n + 0.5) / total) * HISTORY_DAYS * 86400000);
+    const queue = queues[n % queues.length];
+    const agent = agents[(n * 7) % agents.length];
+    const mediaType = media[n % media.length];
+    const abandoned = n % 11 === 0;
+    const talkMs = 45_000 + ((n * 7919) % 600_000);
+    const queueMs = 3_000 + ((n * 104729) % 120_000);
+    const at = (ms) => new Date(start + ms).toISOString();
+    const ani = `tel:+4520${String(100000 + ((n * 31) % 899999)).padStart(6, "0")}`;
+
+    const participants = [
+      {
+        participantId: mockId("participant", `${n}:c`),
+        participantName: "Customer",
+        purpose: "customer",
+        attributes: { orderId: `ORD-${10000 + n}` },
+        sessions: [{
+          sessionId: mockId("session", `${n}:c`),
+          mediaType,
+          direction: "inbound",
+          ani,
+          dnis: "tel:+4570200200",
+          segments: [{ segmentStart: at(0), segmentEnd: at(queueMs + (abandoned ? 0 : talkMs)), segmentType: "interact", queueId: queue.id }],
+        }],
+      },
+      {
+        participantId: mockId("participant", `${n}:q`),
+        participantName: queue.name,
+        purpose: "acd",
+        sessions: [{
+          sessionId: mockId("session", `${n}:q`),
+          mediaType,
+          direction: "inbound",
+          segments: [{ segmentStart: at(0), segmentEnd: at(queueMs), segmentType: "interact", queueId: queue.id, disconnectType: abandoned ? "peer" : "transfer" }],
+          metrics: [{ name: "tAcd", value: queueMs, emitDate: at(queueMs) }],
+        }],
+      },
+    ];
+    if (!abandoned) {
+      participants.push({
+        participantId: mockId("participant", `${n}:a`),
+        participantName: agent.name,
+        purpose: "agent",
+        userId: agent.id,
+        sessions: [{
+          sessionId: mockId("session", `${n}:a`),
+          mediaType,
+          direction: "inbound",
+          segments: [
+            { segmentStart: at(queueMs), segmentEnd: at(queueMs + talkMs), segmentType: "interact", queueId: queue.id },
+            { segmentStart: at(queueMs + talkMs), segmentEnd: at(queueMs + talkMs + 20_000), segmentType: "wrapup", queueId: queue.id, wrapUpCode: "ININ-WRAP-UP-TIMEOUT" },
+          ],
+          metrics: [{ name: "tHandle", value: talkMs + 20_000, emitDate: at(queueMs + talkMs + 20_000) }],
+        }],
+      });
+    }
+
+    out.push({
+      conversationId: mockId("conversation", n),
+      conversationStart: at(0),
+      conversationEnd: at(queueMs + (abandoned ? 0 : talkMs + 20_000)),
+      originatingDirection: "inbound",
+      divisionIds: [queue.division.id],
+      participants,
+    });
+  }
+  return out.reverse(); // oldest first, as analytics returns them
+}
+
+function buildAudits(users, queues, flows) {
+  const admin = users[0];
+  const actors = [admin, users[3], users[6], users[9]];
+  const end = Date.now() - 30 * 60 * 1000;
+  const events = [];
+  const push = (n, serviceName, entityType, action, entity, changes) => {
+    const actor = actors[n % actors.length];
+    events.push({
+      id: mockId("audit", n),
+      userHomeOrgId: null,
+      user: { id: actor.id, name: actor.name, selfUri: actor.selfUri },
+      client: { id: mockId("client", 1), selfUri: "" },
+      remoteIp: [`10.20.0.${10 + (n % 40)}`],
+      serviceName,
+      level: "USER",
+      eventDate: new Date(end - n * 4 * 60 * 60 * 1000).toISOString(),
+      message: { localizableMessageCode: `${entityType}_${action}`.toUpperCase(), message: `${action} ${entityType} ${entity.name}`, messageParams: {} },
+      action,
+      entity: { id: entity.id, name: entity.name, selfUri: entity.selfUri },
+      entityType,
+      status: "SUCCESS",
+      application: "",
+      initiatingAction: { transactionId: mockId("tx", n) },
+      propertyChanges: changes,
+      context: {},
+    });
+  };
+  for (let n = 0; n < 80; n++) {
+    const q = queues[n % queues.length];
+    const f = flows[n % flows.length];
+    const u = users[1 + (n % 23)];
+    switch (n % 4) {
+      case 0: push(n, "Routing", "Queue", "Update", q, [{ property: "acwSettings.timeoutMs", oldValues: ["30000"], newValues: ["60000"] }]); break;
+      case 1: push(n, "Architect", "Flow", "Publish", f, [{ property: "publishedVersion", oldValues: ["2"], newValues: ["3"] }]); break;
+      case 2: push(n, "Directory", "User", "Update", u, [{ property: "title", oldValues: ["Agent"], newValues: ["Team Lead"] }]); break;
+      default: push(n, "Routing", "QueueMember", "Add", q, [{ property: "userId", oldValues: [], newValues: [u.id] }]);
+    }
+  }
+  return events;
+}
+
+function reset() {
+  const { organization, me } = load("org.json");
+  const users = padUsers(load("users.json"));
+  const { groups, members: groupMembers } = load("groups.json");
+  const { roles, grants } = load("roles.json");
+  const { queues, members: queueMembers } = load("queues.json");
+  const flows = load("flows.json");
+  const wrapupcodes = load("wrapupcodes.json");
+  const schedules = load("schedules.json");
+  const { sites, phoneBaseSettings, phones } = load("telephony.json");
+  const datatables = load("datatables.json");
+
+  state = {
+    organization,
+    me,
+    users,
+    groups,
+    groupMembers,
+    divisions: load("divisions.json"),
+    roles,
+    grants,
+    queues,
+    queueMembers,
+    flows,
+    wrapupcodes,
+    schedules,
+    datatables,
+    sites,
+    phoneBaseSettings,
+    phones,
+    auditServiceMapping: load("audits.json"),
+    conversations: buildConversations(users, queues),
+    audits: buildAudits(users, queues, flows),
+    jobs: new Map(), // jobId → { kind, createdAt, body, fail }
+  };
+  return state;
+}
+
+function getState() {
+  return state || reset();
+}
+
+// ── Paging ────────────────────────────────────────────────────────────
+
+/**
+ * A pageNumber/pageSize envelope, shaped like Genesys': `pageCount` and
+ * `total` always present, `nextUri` only while there is a next page.
+ */
+function pageOf(items, query, basePath) {
+  const pageSize = Math.min(Math.max(Number(query.pageSize) || 25, 1), 500);
+  const pageNumber = Math.max(Number(query.pageNumber) || 1, 1);
+  const total = items.length;
+  const pageCount = Math.max(Math.ceil(total / pageSize), 1);
+  const entities = items.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+  const uri = (n) => `${basePath}?pageSize=${pageSize}&pageNumber=${n}`;
+  const page = {
+    entities,
+    pageSize,
+    pageNumber,
+    total,
+    pageCount,
+    firstUri: uri(1),
+    selfUri: uri(pageNumber),
+    lastUri: uri(pageCount),
+  };
+  if (pageNumber < pageCount) page.nextUri = uri(pageNumber + 1);
+  if (pageNumber > 1) page.previousUri = uri(pageNumber - 1);
+  return page;
+}
+
+// Cursors are opaque to callers; here they are just the next offset.
+function encodeCursor(offset) {
+  return Buffer.from(`o:${offset}`).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  const m = /^o:(\d+)$/.exec(Buffer.from(String(cursor), "base64url").toString());
+  return m ? Number(m[1]) : 0;
+}
+
+/**
+ * One cursor page. Genesys may return fewer than the pageSize asked for, and
+ * does on the analytics and audit result endpoints, so `maxPage` caps it —
+ * callers that stop on a short page instead of a missing cursor get caught.
+ */
+function cursorPageOf(items, query, maxPage) {
+  const pageSize = Math.min(Math.max(Number(query.pageSize) || 100, 1), maxPage);
+  const offset = decodeCursor(query.cursor);
+  const slice = items.slice(offset, offset + pageSize);
+  const next = offset + slice.length < items.length ? encodeCursor(offset + slice.length) : null;
+  return { items: slice, cursor: next };
+}
+
+module.exports = {
+  getState,
+  reset,
+  mockId,
+  newId,
+  pageOf,
+  cursorPageOf,
+};
@@ -0,0 +1,106 @@
+/**
+ * Local SIEM collector stand-in for testing Activity Log forwarding.
+ *
+ * Accepts both sinks api/lib/siemForwarder.js can send to and prints what
+ * arrives:
+ *
+ *   webhook  http://localhost:4020/   checks X-Siem-Signature against
+ *                                     SIEM_WEBHOOK_SECRET and answers 401 when
+ *                                     it does not match
+ *   syslog   tcp://localhost:4021     one CEF line per newline
+ *
+ * Point the API at it in api/local.settings.json with either
+ *
+ *   SIEM_SINK=webhook  SIEM_WEBHOOK_URL=http://localhost:4020/  SIEM_WEBHOOK_SECRET=<same as here>
+ *   SIEM_SINK=syslog   SIEM_SYSLOG_HOST=localhost  SIEM_SYSLOG_PORT=4021
+ *
+ * Run:  SIEM_WEBHOOK_SECRET=dev-secret node dev/siem-listener/server.js   (no dependencies)
+ *
+ * Environment:
+ *   SIEM_LISTENER_HTTP_PORT  webhook port (default 4020)
+ *   SIEM_LISTENER_TCP_PORT   syslog port (default 4021)
+ *   SIEM_WEBHOOK_SECRET      HMAC secret (default "dev-secret")
+ *   SIEM_LISTENER_FAIL       answer the first n webhook calls with 503 (default 0)
+ *
+ * Control endpoints:
+ *   GET    /__listener/events  everything received so far (both sinks)
+ *   DELETE /__listener/events  forget it
+ *   POST   /__listener/fail    { count } — fail the next n webhook calls with
+ *                              503, to exercise the retry queue; { down: true }
+ *                              fails every call until { down: false }
+ */
+const http = require("http");
+const net = require("net");
+const crypto = require("crypto");
+
+const HTTP_PORT = parseInt(process.env.SIEM_LISTENER_HTTP_PORT, 10) || 4020;
+const TCP_PORT  = parseInt(process.env.SIEM_LISTENER_TCP_PORT, 10) || 4021;
+const SECRET    = process.env.SIEM_WEBHOOK_SECRET || "dev-secret";
+
+let failNext = parseInt(process.env.SIEM_LISTENER_FAIL, 10) || 0;
+let down = false;
+const events = [];
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function verify(req, raw) {
+  const timestamp = req.headers["x-siem-timestamp"] || "";
+  const given = String(req.headers["x-siem-signature"] || "");
+  const expected = "sha256=" + crypto.createHmac("sha256", SECRET).update(`${timestamp}.${raw}`).digest("hex");
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (chunk) => { raw += chunk; });
+  req.on("end", () => {
+    const url = new URL(req.url, `http://localhost:${HTTP_PORT}`);
+
+    if (url.pathname === "/__listener/events") {
+      if (req.method === "DELETE") { events.length = 0; return send(res, 200, { cleared: true }); }
+      return send(res, 200, events);
+    }
+    if (url.pathname === "/__listener/fail" && req.method === "POST") {
+      const body = JSON.parse(raw || "{}");
+      if (typeof body.down === "boolean") down = body.down;
+      if (body.count != null) failNext = parseInt(body.count, 10) || 0;
+      return send(res, 200, { failNext, down });
+    }
+
+    if (req.method !== "POST") return send(res, 405, { error: "POST only" });
+    if (!verify(req, raw)) {
+      console.log(`[webhook] 401 — bad signature (event ${req.headers["x-siem-event-id"] || "?"})`);
+      return send(res, 401, { error: "bad signature" });
+    }
+    if (down || failNext > 0) {
+      if (failNext > 0) failNext--;
+      console.log(`[webhook] 503 — simulated outage (event ${req.headers["x-siem-event-id"]})`);
+      return send(res, 503, { error: "simulated outage" });
+    }
+
+    const event = JSON.parse(raw);
+    events.push({ sink: "webhook", receivedAt: new Date().toISOString(), event });
+    console.log(`[webhook] ${event.logTimestamp} ${event.action} ${event.userEmail} — ${event.description}`);
+    send(res, 202, { accepted: event.id });
+  });
+}).listen(HTTP_PORT, () => console.log(`SIEM webhook listener on http://localhost:${HTTP_PORT}/ (secret "${SECRET}")`));
+
+net.createServer((socket) => {
+  let buffer = "";
+  socket.on("data", (chunk) => {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, nl);
+      buffer = buffer.slice(nl + 1);
+      if (!line) continue;
+      events.push({ sink: "syslog", receivedAt: new Date().toISOString(), line });
+      console.log(`[syslog] ${line}`);
+    }
+  });
+  socket.on("error", () => {});
+}).listen(TCP_PORT, () => console.log(`SIEM syslog listener on tcp://localhost:${TCP_PORT}`));
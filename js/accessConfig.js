@@ -31,6 +31,9 @@
  * FULL ACCESS KEY LIST  (these are the `access` values on each nav leaf)
  * Listed alphabetically by section name.
  * ──────────────────────────────────────────────────────────────────────
+ *   ADMIN
+ *   admin.siem                         SIEM Forwarding  (SUPERUSER only — never granted via GROUP_ACCESS)
+ *
  *   AUDIT
  *   audit.search                       Search
  *
@@ -79,6 +82,7 @@
  *
  *   EXPORT
  *   export.scheduled                   Scheduled Exports
+ *   export.reportPacks                 Report Packs (several exports in one scheduled delivery)
  *   export.roles.allOrgs               Roles — All Orgs
  *   export.roles.singleOrg             Roles — Single Org
  *   export.licenses.consumption        Licenses — Consumption
@@ -89,6 +93,8 @@
  *   export.billing.customOrgs          Billing — Custom Orgs
  *   export.billing.periodComparison    Billing — Period Comparison
  *   export.documentation.create        Documentation — Create
+ *   export.documentation.compare       Documentation — Compare
+ *   export.documentation.drift         Documentation — Drift
  *   export.interactions.totals         Interactions — Totals
  *   export.users.allGroups             Users — All Groups
  *   export.users.allRoles              Users — All Roles
@@ -100,6 +106,9 @@
  *
  *   FLOWS
  *   flows.flowoverview                 Flow Overview  (read-only flow visualiser)
+ *   flows.flowcompare                  Flow Compare  (structural diff of two flow versions or orgs)
+ *   flows.flowlint                     Flow Lint  (static checks on a flow; saves the org's rule set)
+ *   flows.flowsimulator                Flow Simulator  (runs a flow against input scenarios; saves them per flow)
  *   flows.journey                      Journey Flow
  *   flows.delete                       Delete Flow  (Master Admin + SUPERUSER only; never available to customers)
  *
@@ -170,7 +179,7 @@ const ADMIN_BASE = [
   "gdpr.*", "interactions.*", "roles.*", "users.*",
   "utilities.*", "wrapupCodes.*",
   "deployment.basic", "deployment.datatables", "deployment.test.testCases",
-  "flows.flowoverview", "flows.journey",
+  "flows.flowoverview", "flows.flowcompare", "flows.flowlint", "flows.flowsimulator", "flows.journey",
   "phones.webrtc.changeSite", "phones.webrtc.create",
 ];
 export const GROUP_ACCESS = {
@@ -26,6 +26,8 @@ import { resolveAccess, resolveCustomerAccess } from "./services/accessService.j
 import { APP_VERSION } from "./releaseNotes.js";
 import { renderReleaseNotesPage } from "./pages/releaseNotes.js";
 import renderRequests, { CONTEXT_KEY as REQUEST_CONTEXT_KEY } from "./pages/requests.js";
+import { simulation } from "./services/simulation.js";
+import { renderSimulationPlanPage } from "./pages/simulationPlan.js";
 
 function setHeader({ authText }) {
   document.getElementById("brandTitle").textContent = CONFIG.appName;
@@ -329,6 +331,34 @@ function renderSignInGate() {
     } catch (_) { /* storage unavailable — the form simply asks nothing */ }
   });
 
+  // --- Simulate switch ---
+  //
+  // Global rather than per page: the point is to run the same page the same way
+  // and only see what it would do. The Plan button appears once there is a plan
+  // or the switch is on, so a live session's header is unchanged.
+  const simulateBtn = document.getElementById("simulateBtn");
+  const planBtn = document.getElementById("simulationPlanBtn");
+  const syncSimulation = () => {
+    const on = simulation.isEnabled();
+    const count = simulation.getPlan().length;
+    simulateBtn.textContent = on ? "Simulate: ON" : "Simulate: off";
+    simulateBtn.setAttribute("aria-pressed", String(on));
+    document.querySelector(".app-header").classList.toggle("is-simulating", on);
+    planBtn.textContent = `Plan (${count})`;
+    planBtn.hidden = !on && count === 0;
+  };
+  simulateBtn.addEventListener("click", () => {
+    const on = !simulation.isEnabled();
+    if (!on && simulation.getPlan().length) {
+      // Turning it off makes the next Run real. Say so once, here, rather than
+      // leave it to the amber edge disappearing.
+      if (!confirm("Turn Simulate off? Pages will change Genesys for real from now on. The recorded plan is kept.")) return;
+    }
+    simulation.setEnabled(on);
+  });
+  simulation.onChange(syncSimulation);
+  syncSimulation();
+
   // --- Sign-out button ---
   document.getElementById("signOutBtn").addEventListener("click", () => refreshSession());
 
@@ -343,6 +373,9 @@ function renderSignInGate() {
       // Release notes (reached from the sidebar version footer) — no access key
       if (route === "/release-notes") return renderReleaseNotesPage(isInternalMode);
 
+      // Simulation plan — no access key: it only shows what this session recorded.
+      if (route === "/simulation") return renderSimulationPlanPage();
+
       // Requests board — no access key either, and like the release notes it
       // needs to know whether the viewer is staff, so a shipped request does not
       // link a customer to an internal-only note.
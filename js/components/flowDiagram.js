@@ -0,0 +1,281 @@
+/**
+ * Flow diagram — an Architect flow, as laid out by js/lib/flowLayout.js, drawn
+ * on Flow Overview's dark canvas with pan, zoom and "find this node".
+ *
+ * Flow Compare, Flow Lint and Flow Simulator draw the same diagram and differ
+ * only in what they pick out — a change, a finding, the path a call took — so
+ * each page passes that in as a style per node and per edge, and keeps
+ * everything else here.
+ *
+ * Usage:
+ *   const diagram = createFlowDiagram($canvas, {
+ *     idPrefix: "fl",                          // element ids and classes in the SVG
+ *     tintMarked: true,
+ *     nodeStyle: (n) => ({ color, opacity, badge, title }),
+ *     edgeStyle: (e) => ({ color, width, opacity }),
+ *   });
+ *   diagram.render(laid);                      // fit to the canvas; null clears it
+ *   diagram.render(laid, { keepView: true });  // redraw where the user left it
+ *   diagram.select(nodeId);                    // ring one node (null: none)
+ *   diagram.centerOn(nodeId);
+ *   diagram.fit();
+ *
+ * Node style (every field optional):
+ *   color    outline of an action, header of a task or menu
+ *   opacity  below 1 to dim an action the page has nothing to say about
+ *   badge    short text on the action's top-right corner (step numbers)
+ *   title    appended to the hover text, after "Kind: label"
+ * With `tintMarked`, a coloured task is outlined and washed in its colour too,
+ * and an action's accent bar takes the colour instead of its kind's.
+ *
+ * Edge style (every field optional): color (its label takes it as well),
+ * width, opacity. A jump keeps its dashes whatever the style.
+ */
+import { ACTION_KINDS } from "../lib/flowYaml.js";
+
+const SVGNS = "http://www.w3.org/2000/svg";
+
+// Palette — Flow Overview's dark canvas. Exported for the pages' own CSS.
+export const CANVAS_BG = "#0d1117";
+export const NODE_FILL = "#161b22";
+export const NODE_STROKE = "#30363d";
+export const NODE_TEXT = "#c9d1d9";
+export const NODE_SUBTEXT = "#8b949e";
+export const CONTAINER_HEADER = "#21262d";
+export const EDGE_COLOR = "#6e7681";
+export const JUMP_COLOR = "#8957e5";
+export const SELECT_COLOR = "#f0b429";
+
+const FONT = "system-ui, sans-serif";
+
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVGNS, tag);
+  if (attrs) for (const k in attrs) el.setAttribute(k, attrs[k]);
+  return el;
+}
+
+function truncate(str, max) {
+  str = String(str || "");
+  return str.length > max ? str.slice(0, max - 1) + "…" : str;
+}
+
+function cssId(s) {
+  return String(s).replace(/[^a-zA-Z0-9_-]/g, "_");
+}
+
+function kindLabel(kind) {
+  return (ACTION_KINDS[kind] && ACTION_KINDS[kind].label) || kind || "Action";
+}
+
+/**
+ * @param {HTMLElement} canvas   Element the SVG fills; sized by the page's CSS
+ * @param {Object}   opts
+ * @param {string}   opts.idPrefix     Prefix for ids and classes, e.g. "fl"
+ * @param {boolean}  [opts.tintMarked] Colour a marked node throughout (see above)
+ * @param {Function} [opts.nodeStyle]  (node) → node style
+ * @param {Function} [opts.edgeStyle]  (edge) → edge style
+ * @returns {{ render, select, centerOn, fit }}
+ */
+export function createFlowDiagram(canvas, { idPrefix, tintMarked = false, nodeStyle = () => ({}), edgeStyle = () => ({}) }) {
+  let laid = null;
+  let svg = null;
+  let vpG = null;
+  let markers = null;  // colour → marker id, per render
+  let selected = null;
+  const vp = { s: 1, tx: 0, ty: 0 };
+
+  const width = () => canvas.clientWidth || 900;
+  const height = () => canvas.clientHeight || 600;
+
+  // ── Drawing ────────────────────────────────────────────
+  /**
+   * Draw `laid`, replacing whatever was drawn. Without `keepView` it is fitted
+   * to the canvas; with it, a redraw of the same flow stays where it was.
+   */
+  function render(next, { keepView = false } = {}) {
+    canvas.querySelector("svg")?.remove();
+    laid = next;
+    if (!laid) {
+      svg = vpG = null;
+      return;
+    }
+    const keep = keepView && !!svg;
+    svg = svgEl("svg", { viewBox: `0 0 ${width()} ${height()}` });
+    svg.appendChild(svgEl("defs"));
+    markers = new Map();
+    vpG = svgEl("g");
+    svg.appendChild(vpG);
+
+    const edgeG = svgEl("g");
+    vpG.appendChild(edgeG);
+    for (const e of laid.edges) drawEdge(edgeG, e, edgeStyle(e) || {});
+    const nodeG = svgEl("g");
+    vpG.appendChild(nodeG);
+    for (const n of laid.nodes.filter((x) => x.isContainer)) drawNode(nodeG, n, nodeStyle(n) || {});
+    for (const n of laid.nodes.filter((x) => !x.isContainer)) drawNode(nodeG, n, nodeStyle(n) || {});
+
+    canvas.appendChild(svg);
+    attachPanZoom(svg);
+    if (keep) applyTransform();
+    else fit();
+    refreshSelection();
+  }
+
+  /** The arrowhead in `color`, made on first use. */
+  function arrow(color) {
+    if (!markers.has(color)) {
+      const id = `${idPrefix}-arrow-${markers.size}`;
+      const m = svgEl("marker", { id, viewBox: "0 0 10 10", refX: "9", refY: "5", markerWidth: "7", markerHeight: "7", orient: "auto-start-reverse" });
+      m.appendChild(svgEl("path", { d: "M 0 0 L 10 5 L 0 10 z", fill: color }));
+      svg.querySelector("defs").appendChild(m);
+      markers.set(color, id);
+    }
+    return `url(#${markers.get(color)})`;
+  }
+
+  function drawEdge(g, e, style) {
+    const pts = e.points || [];
+    if (pts.length < 2) return;
+    const jump = e.kind === "jump";
+    const color = style.color || (jump ? JUMP_COLOR : EDGE_COLOR);
+    const path = svgEl("path", {
+      d: "M " + pts.map((p) => `${p.x} ${p.y}`).join(" L "),
+      fill: "none",
+      stroke: color,
+      "stroke-width": String(style.width || 1.3),
+      "marker-end": arrow(color),
+    });
+    if (jump) path.setAttribute("stroke-dasharray", "5 4");
+    if (style.opacity != null) path.setAttribute("opacity", String(style.opacity));
+    g.appendChild(path);
+    if (e.label && !jump) {
+      const mid = pts[Math.floor(pts.length / 2)];
+      const t = svgEl("text", { x: mid.x + 4, y: mid.y - 3, fill: style.color || NODE_SUBTEXT, "font-size": "10", "font-family": FONT });
+      t.textContent = truncate(e.label, 22);
+      g.appendChild(t);
+    }
+  }
+
+  function drawNode(g, n, { color = null, opacity = null, badge = null, title = "" }) {
+    const gg = svgEl("g", { transform: `translate(${n.x},${n.y})`, id: `${idPrefix}-node-${cssId(n.id)}` });
+    if (n.isContainer) {
+      const tint = tintMarked && color;
+      gg.appendChild(svgEl("rect", {
+        width: n.w, height: n.h, rx: 8, fill: tint ? `${color}14` : "none",
+        stroke: tint ? color : NODE_STROKE, "stroke-width": tint ? 2.5 : 1.2,
+        ...(tint ? {} : { "stroke-dasharray": "2 3" }),
+      }));
+      gg.appendChild(svgEl("rect", { width: n.w, height: 26, rx: 8, fill: color || CONTAINER_HEADER }));
+      const ht = svgEl("text", { x: 10, y: 17, fill: color ? "#ffffff" : NODE_TEXT, "font-size": "12.5", "font-weight": "600", "font-family": FONT });
+      ht.textContent = truncate((n.isStart ? "▶ " : "") + n.label, Math.max(6, Math.floor(n.w / 8)));
+      gg.appendChild(ht);
+    } else {
+      if (opacity != null) gg.setAttribute("opacity", String(opacity));
+      gg.appendChild(svgEl("rect", {
+        width: n.w, height: n.h, rx: 6, fill: NODE_FILL,
+        stroke: color || NODE_STROKE, "stroke-width": color ? 2.5 : 1.1,
+      }));
+      const accent = (tintMarked && color) || (ACTION_KINDS[n.kind] || ACTION_KINDS.action).color;
+      gg.appendChild(svgEl("rect", { width: 4, height: n.h, rx: 2, fill: accent }));
+      const label = svgEl("text", { x: 12, y: n.sublabel ? 20 : n.h / 2 + 4, fill: NODE_TEXT, "font-size": "12", "font-family": FONT });
+      label.textContent = truncate(n.label, Math.max(6, Math.floor((n.w - 16) / 6.6)));
+      gg.appendChild(label);
+      if (n.sublabel) {
+        const sub = svgEl("text", { x: 12, y: 37, fill: NODE_SUBTEXT, "font-size": "10.5", "font-family": FONT });
+        sub.textContent = truncate(n.sublabel, Math.max(6, Math.floor((n.w - 16) / 5.6)));
+        gg.appendChild(sub);
+      }
+      if (badge) {
+        const text = truncate(badge, 14);
+        const w = 8 + text.length * 6;
+        gg.appendChild(svgEl("rect", { x: n.w - w + 6, y: -8, width: w, height: 16, rx: 8, fill: color || EDGE_COLOR }));
+        const t = svgEl("text", { x: n.w - w / 2 + 6, y: 4, fill: "#ffffff", "font-size": "10", "text-anchor": "middle", "font-family": FONT });
+        t.textContent = text;
+        gg.appendChild(t);
+      }
+    }
+    const tip = svgEl("title");
+    tip.textContent = `${n.isContainer && n.kind === "task" ? "Task" : kindLabel(n.kind)}: ${n.label}${title}`;
+    gg.appendChild(tip);
+    g.appendChild(gg);
+  }
+
+  // ── Selection ──────────────────────────────────────────
+  /** Ring `nodeId` on top of its colour; null takes the ring away. */
+  function select(nodeId) {
+    selected = nodeId || null;
+    refreshSelection();
+  }
+
+  function refreshSelection() {
+    if (!svg) return;
+    svg.querySelectorAll(`.${idPrefix}-selected`).forEach((x) => x.remove());
+    if (!selected) return;
+    const n = laid.nodes.find((x) => x.id === selected);
+    const gg = n && svg.querySelector(`#${idPrefix}-node-${cssId(n.id)}`);
+    if (!gg) return;
+    const ring = svgEl("rect", { x: -4, y: -4, width: n.w + 8, height: n.h + 8, rx: 9, fill: "none", stroke: SELECT_COLOR, "stroke-width": 3 });
+    ring.classList.add(`${idPrefix}-selected`);
+    gg.appendChild(ring);
+  }
+
+  // ── Pan / zoom ─────────────────────────────────────────
+  function applyTransform() {
+    if (vpG) vpG.setAttribute("transform", `translate(${vp.tx},${vp.ty}) scale(${vp.s})`);
+  }
+
+  function fit() {
+    if (!laid) return;
+    const W = width();
+    const H = height();
+    const s = Math.min(W / (laid.width + 60), H / (laid.height + 60), 1.4);
+    vp.s = s > 0 ? s : 1;
+    vp.tx = (W - laid.width * vp.s) / 2;
+    vp.ty = (H - laid.height * vp.s) / 2;
+    applyTransform();
+  }
+
+  function centerOn(id) {
+    const n = laid?.nodes.find((x) => x.id === id);
+    if (!n) return;
+    vp.s = Math.max(vp.s, 0.75);
+    vp.tx = width() / 2 - (n.x + n.w / 2) * vp.s;
+    vp.ty = height() / 2 - (n.y + n.h / 2) * vp.s;
+    applyTransform();
+  }
+
+  function attachPanZoom(el) {
+    let panning = false, sx = 0, sy = 0;
+    el.addEventListener("wheel", (e) => {
+      e.preventDefault();
+      const r = el.getBoundingClientRect();
+      const k = (el.viewBox.baseVal.width || r.width) / r.width;
+      const mx = (e.clientX - r.left) * k;
+      const my = (e.clientY - r.top) * k;
+      const ns = Math.max(0.05, Math.min(4, vp.s * (e.deltaY < 0 ? 1.12 : 1 / 1.12)));
+      vp.tx = mx - (mx - vp.tx) * (ns / vp.s);
+      vp.ty = my - (my - vp.ty) * (ns / vp.s);
+      vp.s = ns;
+      applyTransform();
+    }, { passive: false });
+    el.addEventListener("mousedown", (e) => { panning = true; sx = e.clientX; sy = e.clientY; el.style.cursor = "grabbing"; });
+    el.addEventListener("mousemove", (e) => {
+      if (!panning) return;
+      const r = el.getBoundingClientRect();
+      const k = (el.viewBox.baseVal.width || r.width) / r.width;
+      vp.tx += (e.clientX - sx) * k;
+      vp.ty += (e.clientY - sy) * k;
+      sx = e.clientX; sy = e.clientY;
+      applyTransform();
+    });
+    const stop = () => { panning = false; el.style.cursor = "grab"; };
+    el.addEventListener("mouseup", stop);
+    el.addEventListener("mouseleave", stop);
+  }
+
+  new ResizeObserver(() => {
+    if (svg) svg.setAttribute("viewBox", `0 0 ${width()} ${height()}`);
+  }).observe(canvas);
+
+  return { render, select, centerOn, fit };
+}
@@ -12,7 +12,7 @@
  *
  * Also exports helpers used by the Scheduled Exports overview page.
  */
-import { escapeHtml, makeStatus } from "../utils.js";
+import { escapeHtml, makeStatus, EXPORT_FORMATS } from "../utils.js";
 import {
   fetchSchedules,
   createSchedule,
@@ -21,6 +21,12 @@ import {
 } from "../services/scheduleService.js";
 import { orgContext } from "../services/orgContext.js";
 import { logAction } from "../services/activityLogService.js";
+import {
+  DEFAULT_TIME_ZONE,
+  nextRuns,
+  scheduleTimeZone,
+  validateSchedule,
+} from "../lib/cronSchedule.js";
 
 // ── Constants ───────────────────────────────────────────
 const DAYS_OF_WEEK = [
@@ -28,14 +34,91 @@ const DAYS_OF_WEEK = [
   "Thursday", "Friday", "Saturday",
 ];
 
+/**
+ * What a schedule does after a failed run — mirrors DEFAULT_POLICY and LIMITS
+ * in api/lib/scheduleRetry.js, which is what enforces them.
+ */
+const RETRY_FIELDS = [
+  { key: "maxAttempts",        label: "Attempts per run",        min: 1, max: 6,   default: 1,
+    hint: "1 = no retry. Retries stay before the next regular run." },
+  { key: "backoffMinutes",     label: "First retry after (min)", min: 5, max: 720, default: 15,
+    hint: "Doubles for each retry after the first." },
+  { key: "alertAfterFailures", label: "Alert after failures",    min: 0, max: 20,  default: 3,
+    hint: "Failed runs in a row before you and the superusers are emailed. 0 = never." },
+];
+
+/**
+ * Delivery targets besides email, and the fields each takes. The API
+ * (api/lib/deliveryTargets.js and api/lib/delivery/) is what validates them;
+ * this only decides what the form asks for. Secret fields are never sent back
+ * by the API — an existing target shows `<key>Set` instead, and a secret left
+ * blank on save keeps the stored one.
+ */
+const DELIVERY_TYPES = {
+  sftp: {
+    label: "SFTP upload",
+    fields: [
+      { key: "host", label: "Host", placeholder: "sftp.example.com", required: true },
+      { key: "port", label: "Port", type: "number", placeholder: "22" },
+      { key: "username", label: "Username", required: true },
+      { key: "password", label: "Password", secret: true },
+      { key: "privateKey", label: "Private key (PEM)", secret: true, multiline: true,
+        hint: "A password, a private key, or both" },
+      { key: "remoteDir", label: "Remote directory", placeholder: "/exports" },
+      { key: "hostKeyFingerprint", label: "Host key fingerprint", placeholder: "SHA256:…",
+        hint: "Recommended — without it, any key the server presents is accepted" },
+    ],
+  },
+  blob: {
+    label: "Azure Blob container",
+    fields: [
+      { key: "sasUrl", label: "Container SAS URL", secret: true, required: true, wide: true,
+        placeholder: "https://account.blob.core.windows.net/container?sv=…&sig=…",
+        hint: "Needs create and write permission on the container" },
+      { key: "pathPrefix", label: "Folder (optional)", placeholder: "reports/monthly" },
+    ],
+  },
+  teams: {
+    label: "Microsoft Teams",
+    fields: [
+      { key: "webhookUrl", label: "Incoming webhook URL", secret: true, required: true, wide: true,
+        hint: "Posts a download link, valid for a limited time — not the file itself" },
+    ],
+  },
+  slack: {
+    label: "Slack",
+    fields: [
+      { key: "webhookUrl", label: "Incoming webhook URL", secret: true, required: true, wide: true,
+        placeholder: "https://hooks.slack.com/services/…",
+        hint: "Posts a download link, valid for a limited time — not the file itself" },
+    ],
+  },
+  https: {
+    label: "HTTPS POST",
+    fields: [
+      { key: "url", label: "URL", required: true, wide: true, placeholder: "https://example.com/hooks/exports" },
+      { key: "payload", label: "Send", options: [
+        { value: "file", label: "The file (base64 in the JSON body)" },
+        { value: "link", label: "A download link" },
+      ] },
+      { key: "secret", label: "Signing secret (optional)", secret: true,
+        hint: "Signs each POST: X-Export-Signature: sha256=<HMAC of timestamp.body>" },
+    ],
+  },
+};
+
 // ── Helpers (exported for overview page) ────────────────
 
-/** Human-readable schedule description. */
+/**
+ * Human-readable schedule description. The time zone is named only when it is
+ * not the Danish default, which is what every older schedule is in.
+ */
 export function describeSchedule(s) {
-  if (s.scheduleType === "daily") return `Daily at ${s.scheduleTime}`;
+  const zone = scheduleTimeZone(s) === DEFAULT_TIME_ZONE ? "" : ` (${scheduleTimeZone(s)})`;
+  if (s.scheduleType === "daily") return `Daily at ${s.scheduleTime}${zone}`;
   if (s.scheduleType === "weekly") {
     const day = DAYS_OF_WEEK[s.scheduleDayOfWeek] || "?";
-    return `Every ${day} at ${s.scheduleTime}`;
+    return `Every ${day} at ${s.scheduleTime}${zone}`;
   }
   if (s.scheduleType === "monthly") {
     const d = s.scheduleDayOfMonth;
@@ -44,17 +127,29 @@ export function describeSchedule(s) {
       : d === 2 || d === 22 ? "nd"
       : d === 3 || d === 23 ? "rd"
       : "th";
-    return `${d}${suf} of every month at ${s.scheduleTime}`;
+    return `${d}${suf} of every month at ${s.scheduleTime}${zone}`;
   }
+  if (s.scheduleType === "cron") return `Cron ${s.cronExpression}${zone}`;
   return s.scheduleType;
 }
 
-/** Danish wall-clock, matching the times schedules are expressed in. */
-const DK_DATETIME = {
-  timeZone: "Europe/Copenhagen",
-  year: "numeric", month: "2-digit", day: "2-digit",
-  hour: "2-digit", minute: "2-digit", second: "2-digit",
-};
+/** Wall-clock in the schedule's own zone, matching the times it is expressed in. */
+function formatInZone(date, timeZone, extra = {}) {
+  return date.toLocaleString("da-DK", {
+    timeZone,
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+    ...extra,
+  });
+}
+
+/** Every IANA zone the browser knows, for the time zone picker. */
+function timeZoneOptions(current) {
+  const zones = typeof Intl.supportedValuesOf === "function"
+    ? Intl.supportedValuesOf("timeZone")
+    : [DEFAULT_TIME_ZONE, "UTC"];
+  return [...new Set([DEFAULT_TIME_ZONE, "UTC", current, ...zones])].filter(Boolean);
+}
 
 /**
  * When a schedule last ran, as HTML.
@@ -64,8 +159,9 @@ const DK_DATETIME = {
  */
 export function formatLastRun(s) {
   if (!s.lastRun) return `<span class="se-none">Never</span>`;
-  const when = new Date(s.lastRun).toLocaleString("da-DK", DK_DATETIME);
-  return `<span class="${s.lastStatus === "success" ? "se-ok" : "se-fail"}">${escapeHtml(when)}</span>`;
+  const when = formatInZone(new Date(s.lastRun), scheduleTimeZone(s));
+  const ok = s.lastStatus === "success" || s.lastStatus === "unchanged";
+  return `<span class="${ok ? "se-ok" : "se-fail"}">${escapeHtml(when)}</span>`;
 }
 
 /**
@@ -77,9 +173,104 @@ export function formatLastRun(s) {
  * hide the one thing worth reading.
  */
 export function formatLastStatus(s) {
-  if (!s.lastRun) return `<span class="se-none">—</span>`;
-  if (s.lastStatus === "success") return `<span class="se-ok">Success</span>`;
-  return `<span class="se-fail" title="${escapeHtml(s.lastError || "")}">Failure${s.lastError ? ` — ${escapeHtml(s.lastError)}` : ""}</span>`;
+  const running = formatJob(s.job);
+  if (running) return running;
+  const pending = [];
+  if (s.runRequestedAt) pending.push("Run now requested");
+  if (s.nextRetryAt) {
+    const max = s.retryPolicy?.maxAttempts;
+    const when = formatInZone(new Date(s.nextRetryAt), scheduleTimeZone(s));
+    pending.push(`Retry ${(s.retryAttempt || 1) + 1}${max ? ` of ${max}` : ""} at ${when}`);
+  }
+  const hint = pending.length ? `<br><span class="sp-form-hint">${escapeHtml(pending.join(" · "))}</span>` : "";
+
+  if (!s.lastRun) return `<span class="se-none">—</span>${hint}`;
+  if (s.lastStatus === "success") return `<span class="se-ok">Success</span>${hint}`;
+  // Change-only delivery found nothing new — a success with nothing to send.
+  if (s.lastStatus === "unchanged") return `<span class="se-ok">No changes — not delivered</span>${hint}`;
+  return `<span class="se-fail" title="${escapeHtml(s.lastError || "")}">Failure${s.lastError ? ` — ${escapeHtml(s.lastError)}` : ""}</span>${hint}`;
+}
+
+const JOB_PHASES = {
+  export: "Running export", store: "Storing file", compare: "Comparing with last run", deliver: "Delivering",
+};
+
+/** True while the runner has a job queued or running for the schedule. */
+export function isJobActive(s) {
+  return s.job?.status === "queued" || s.job?.status === "running";
+}
+
+/**
+ * A queued or running job (api/lib/scheduleJobStore.js), as HTML — or "" when
+ * there is none, and the last run is what to show.
+ */
+function formatJob(job) {
+  if (job?.status === "queued") {
+    return `<span class="se-running">Queued — starting shortly</span>`;
+  }
+  if (job?.status !== "running") return "";
+  const phase = JOB_PHASES[job.phase] || "Running";
+  const mins = Math.max(0, Math.floor((Date.now() - Date.parse(job.startedAt)) / 60000));
+  return `<span class="se-running">${escapeHtml(phase)}${job.progress ? ` — ${escapeHtml(job.progress)}` : ""}</span>` +
+    `<br><span class="sp-form-hint">Started ${mins < 1 ? "under a minute" : `${mins} min`} ago</span>`;
+}
+
+/**
+ * Where a schedule delivers to, as HTML — its email recipients, then one line
+ * per other target (the label the API stored, which never includes a secret).
+ */
+export function formatDelivery(s) {
+  const lines = [
+    s.emailRecipients ? escapeHtml(s.emailRecipients) : "",
+    ...(s.deliveryTargets || []).map((t) =>
+      `<span class="sp-target-tag">${escapeHtml(t.label || DELIVERY_TYPES[t.type]?.label || t.type)}</span>`),
+  ].filter(Boolean);
+  if (!lines.length) return `<span class="se-none">None</span>`;
+  const formats = (s.outputFormats || []).filter((f) => EXPORT_FORMATS[f]);
+  const asFormats = formats.length && formats.join() !== "xlsx"
+    ? `<br><span class="sp-form-hint">As ${escapeHtml(formats.map((f) => f.toUpperCase()).join(" + "))}</span>` : "";
+  const onChange = s.deliverOnlyOnChange ? `<br><span class="sp-form-hint">Only when changed</span>` : "";
+  return lines.join("<br>") + asFormats + onChange;
+}
+
+/** One delivery target's editor, for an existing target or a new one of `type`. */
+function targetEditorHtml(target) {
+  const def = DELIVERY_TYPES[target.type];
+  const fields = def.fields.map((f) => {
+    const id = `spT_${Math.random().toString(36).slice(2, 9)}`;
+    const value = f.secret ? "" : String(target[f.key] ?? "");
+    const placeholder = f.secret && target[`${f.key}Set`]
+      ? "Saved — leave blank to keep"
+      : (f.placeholder || "");
+    let input;
+    if (f.options) {
+      input = `<select class="sp-form-select" id="${id}" data-key="${f.key}">${f.options.map((o) =>
+        `<option value="${escapeHtml(o.value)}"${value === o.value ? " selected" : ""}>${escapeHtml(o.label)}</option>`
+      ).join("")}</select>`;
+    } else if (f.multiline) {
+      input = `<textarea class="sp-form-textarea sp-cron-input" id="${id}" data-key="${f.key}" rows="3"
+                 placeholder="${escapeHtml(placeholder)}" autocomplete="off">${escapeHtml(value)}</textarea>`;
+    } else {
+      const type = f.secret ? "password" : (f.type || "text");
+      input = `<input class="sp-form-input" id="${id}" data-key="${f.key}" type="${type}"
+                 value="${escapeHtml(value)}" placeholder="${escapeHtml(placeholder)}"
+                 ${f.secret ? `autocomplete="new-password"` : ""}>`;
+    }
+    return `
+      <div class="sp-form-group${f.wide || f.multiline ? " sp-form-wide" : ""}">
+        <label class="sp-form-label" for="${id}">${escapeHtml(f.label)}${f.required ? " *" : ""}</label>
+        ${input}
+        ${f.hint ? `<span class="sp-form-hint">${escapeHtml(f.hint)}</span>` : ""}
+      </div>`;
+  }).join("");
+  return `
+    <div class="sp-target" data-type="${escapeHtml(target.type)}" data-id="${escapeHtml(target.id || "")}">
+      <div class="sp-target-head">
+        <span class="sp-form-label">${escapeHtml(def.label)}</span>
+        <button type="button" class="btn btn-sm sp-target-del">Remove</button>
+      </div>
+      <div class="sp-form-grid">${fields}</div>
+    </div>`;
 }
 
 /**
@@ -111,6 +302,9 @@ export function canEditSchedule(schedule, me) {
  * @param {boolean} [opts.canDelete]     Whether to show the delete button
  * @param {boolean} [opts.requiresOrg]   Show org selector in form
  * @param {Array}   [opts.extraConfigFields] Extra fields to add to exportConfig
+ * @param {Function} [opts.captureConfig] () => exportConfig from the page's current
+ *                                        filters; throws an Error saying what is missing
+ * @param {Function} [opts.configSummary] (exportConfig) => string, to show what was captured
  * @returns {HTMLElement}
  */
 export function buildScheduleForm(opts) {
@@ -120,6 +314,15 @@ export function buildScheduleForm(opts) {
   const extraConfigFields = opts.extraConfigFields || [];
   const dynamicOrgFields = opts.dynamicOrgFields || null;
   const orgFilter = typeof opts.orgFilter === "function" ? opts.orgFilter : null;
+  const captureConfig = typeof opts.captureConfig === "function" ? opts.captureConfig : null;
+  const summarize = typeof opts.configSummary === "function" ? opts.configSummary : () => "";
+
+  // The page's filters as they are now — taken once, when the form opens
+  let captured = null;
+  let captureError = "";
+  if (captureConfig) {
+    try { captured = captureConfig(); } catch (e) { captureError = e.message; }
+  }
 
   // Get org list and existing config
   let customers = requiresOrg ? orgContext.getCustomers() : [];
@@ -168,9 +371,29 @@ export function buildScheduleForm(opts) {
       </div>`;
   }).join("");
 
+  // Captured filters — read-only. Editing keeps the saved ones unless asked.
+  const capturedLine = captured
+    ? `${captured.orgName ? `${captured.orgName}: ` : ""}${summarize(captured) || "no filters"}`
+    : "";
+  const capturedHtml = captureConfig ? `
+      <div class="sp-form-group sp-form-wide">
+        <label class="sp-form-label">Filters</label>
+        ${isEdit ? `
+        <div class="sp-captured">${escapeHtml(`${existingConfig.orgName ? `${existingConfig.orgName}: ` : ""}${summarize(existingConfig) || "no filters"}`)}</div>
+        <label class="sp-checkbox-item">
+          <input type="checkbox" id="spRecapture" ${captured ? "" : "disabled"}>
+          Replace with this page's current filters${captured ? ` — ${escapeHtml(capturedLine)}` : ""}
+        </label>` : `
+        <div class="sp-captured">${escapeHtml(capturedLine)}</div>`}
+        ${captureError
+          ? `<span class="sp-form-hint sp-form-hint--error">${escapeHtml(captureError)}</span>`
+          : `<span class="sp-form-hint">Taken from the page as it is now. Dates run relative to each run.</span>`}
+      </div>` : "";
+
   form.innerHTML = `
     <h4 class="sp-form-title">${isEdit ? "Edit Schedule" : "New Schedule"}</h4>
     <div class="sp-form-grid">
+      ${capturedHtml}
       ${orgSelectorHtml}
       ${dynamicFieldsSlotHtml}
       ${extraFieldsHtml}
@@ -180,15 +403,35 @@ export function buildScheduleForm(opts) {
           <option value="daily"${s?.scheduleType === "daily" ? " selected" : ""}>Daily</option>
           <option value="weekly"${s?.scheduleType === "weekly" ? " selected" : ""}>Weekly</option>
           <option value="monthly"${s?.scheduleType === "monthly" ? " selected" : ""}>Monthly</option>
+          <option value="cron"${s?.scheduleType === "cron" ? " selected" : ""}>Custom (cron)</option>
         </select>
       </div>
 
       <div class="sp-form-group">
-        <label class="sp-form-label" for="spTime">Time (Danish time)</label>
+        <label class="sp-form-label" for="spTimeZone">Time zone</label>
+        <select class="sp-form-select" id="spTimeZone">
+          ${timeZoneOptions(s?.timeZone).map(z =>
+            `<option value="${escapeHtml(z)}"${scheduleTimeZone(s) === z ? " selected" : ""}>${escapeHtml(z)}</option>`
+          ).join("")}
+        </select>
+      </div>
+
+      <div class="sp-form-group" id="spTimeGrp"
+           style="display:${s?.scheduleType === "cron" ? "none" : ""}">
+        <label class="sp-form-label" for="spTime">Time</label>
         <input  class="sp-form-input" id="spTime" type="time"
                 value="${s?.scheduleTime || "08:00"}">
       </div>
 
+      <div class="sp-form-group sp-form-wide" id="spCronGrp"
+           style="display:${s?.scheduleType === "cron" ? "" : "none"}">
+        <label class="sp-form-label" for="spCron">Cron expression</label>
+        <input  class="sp-form-input sp-cron-input" id="spCron" type="text"
+                placeholder="0 7 * * MON-FRI"
+                value="${escapeHtml(s?.cronExpression || "")}">
+        <span class="sp-form-hint">minute hour day-of-month month day-of-week — e.g. <code>0 7 * * MON-FRI</code> for 07:00 on weekdays, <code>30 6 1,15 * *</code> for 06:30 on the 1st and 15th</span>
+      </div>
+
       <div class="sp-form-group sp-day-week" id="spDayWeekGrp"
            style="display:${s?.scheduleType === "weekly" ? "" : "none"}">
         <label class="sp-form-label" for="spDayWeek">Day of week</label>
@@ -209,12 +452,17 @@ export function buildScheduleForm(opts) {
         </select>
       </div>
 
+      <div class="sp-form-group sp-form-wide">
+        <label class="sp-form-label">Next runs</label>
+        <ol class="sp-next-runs" id="spNextRuns"></ol>
+      </div>
+
       <div class="sp-form-group sp-form-wide">
         <label class="sp-form-label" for="spRecipients">Email recipients</label>
         <input  class="sp-form-input" id="spRecipients" type="text"
                 placeholder="user@example.com, user2@example.com"
                 value="${escapeHtml(s?.emailRecipients || "")}">
-        <span class="sp-form-hint">Separate with , or ; — the result will be emailed to these addresses</span>
+        <span class="sp-form-hint">Separate with , or ; — the result will be emailed to these addresses. May be left empty when another delivery target is set.</span>
       </div>
 
       <div class="sp-form-group sp-form-wide">
@@ -223,6 +471,51 @@ export function buildScheduleForm(opts) {
                   placeholder="Leave empty for default message">${escapeHtml(s?.emailMessage || "")}</textarea>
       </div>
 
+      <div class="sp-form-group sp-form-wide">
+        <label class="sp-form-label">Other delivery targets</label>
+        <div class="sp-targets" id="spTargets">
+          ${(s?.deliveryTargets || []).filter((t) => DELIVERY_TYPES[t.type]).map(targetEditorHtml).join("")}
+        </div>
+        <div class="sp-target-add">
+          <select class="sp-form-select" id="spTargetType">
+            ${Object.entries(DELIVERY_TYPES).map(([type, def]) =>
+              `<option value="${type}">${escapeHtml(def.label)}</option>`
+            ).join("")}
+          </select>
+          <button type="button" class="btn btn-sm" id="spTargetAdd">+ Add target</button>
+        </div>
+      </div>
+
+      ${RETRY_FIELDS.map((f) => `
+        <div class="sp-form-group">
+          <label class="sp-form-label" for="spRetry_${f.key}">${escapeHtml(f.label)}</label>
+          <input class="sp-form-input" id="spRetry_${f.key}" type="number"
+                 min="${f.min}" max="${f.max}" step="1"
+                 value="${s?.retryPolicy?.[f.key] ?? f.default}">
+          <span class="sp-form-hint">${escapeHtml(f.hint)}</span>
+        </div>`).join("")}
+
+      <div class="sp-form-group sp-form-wide">
+        <label class="sp-form-label">File format</label>
+        <div class="sp-format-options">
+          ${Object.entries(EXPORT_FORMATS).map(([f, label]) => `
+            <label class="sp-checkbox-item">
+              <input type="checkbox" id="spFormat_${f}" value="${f}" ${(s?.outputFormats || ["xlsx"]).includes(f) ? "checked" : ""}>
+              ${escapeHtml(label)}
+            </label>`).join("")}
+        </div>
+        <span class="sp-form-hint">More than one is delivered as a single zip holding each.</span>
+      </div>
+
+      <div class="sp-form-group sp-form-wide sp-form-toggle-row">
+        <label class="sp-form-label">Only deliver when changed</label>
+        <label class="sp-toggle">
+          <input type="checkbox" id="spOnlyOnChange" ${s?.deliverOnlyOnChange ? "checked" : ""}>
+          <span class="sp-toggle-slider"></span>
+        </label>
+        <span class="sp-form-hint">Skip delivery when the content is the same as last time; otherwise send it with a summary of what changed.</span>
+      </div>
+
       <div class="sp-form-group sp-form-toggle-row">
         <label class="sp-form-label">Enabled</label>
         <label class="sp-toggle">
@@ -247,12 +540,65 @@ export function buildScheduleForm(opts) {
   const $type = form.querySelector("#spSchedType");
   const $dayWeekGrp = form.querySelector("#spDayWeekGrp");
   const $dayMonthGrp = form.querySelector("#spDayMonthGrp");
+  const $timeGrp = form.querySelector("#spTimeGrp");
+  const $cronGrp = form.querySelector("#spCronGrp");
 
   $type.addEventListener("change", () => {
     $dayWeekGrp.style.display = $type.value === "weekly" ? "" : "none";
     $dayMonthGrp.style.display = $type.value === "monthly" ? "" : "none";
+    $timeGrp.style.display = $type.value === "cron" ? "none" : "";
+    $cronGrp.style.display = $type.value === "cron" ? "" : "none";
+  });
+
+  // ── Delivery targets ──────────────────────────────────
+  const $targets = form.querySelector("#spTargets");
+  form.querySelector("#spTargetAdd").addEventListener("click", () => {
+    const type = form.querySelector("#spTargetType").value;
+    $targets.insertAdjacentHTML("beforeend", targetEditorHtml({ type }));
+  });
+  $targets.addEventListener("click", (ev) => {
+    const del = ev.target.closest(".sp-target-del");
+    if (del) del.closest(".sp-target").remove();
   });
 
+  /** The targets as entered — a blank secret means "keep the stored one". */
+  function getTargets() {
+    return [...$targets.querySelectorAll(".sp-target")].map((el) => {
+      const target = { type: el.dataset.type };
+      if (el.dataset.id) target.id = el.dataset.id;
+      el.querySelectorAll("[data-key]").forEach((input) => {
+        const value = input.value.trim();
+        if (value) target[input.dataset.key] = input.dataset.key === "port" ? Number(value) : value;
+      });
+      return target;
+    });
+  }
+
+  // ── Next-runs preview ─────────────────────────────────
+  // Computed with the same module the runner decides with
+  // (js/lib/cronSchedule.js and its api/ twin), so the list is a promise the
+  // runner keeps — daylight-saving changes included.
+  const $nextRuns = form.querySelector("#spNextRuns");
+  const browserZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  function renderPreview() {
+    const timing = getTiming();
+    const problem = validateSchedule(timing);
+    if (problem) {
+      $nextRuns.innerHTML = `<li class="sp-form-hint sp-form-hint--error">${escapeHtml(problem)}</li>`;
+      return;
+    }
+    const zone = scheduleTimeZone(timing);
+    $nextRuns.innerHTML = nextRuns(timing, new Date(), 5).map((d) => {
+      const here = zone === browserZone ? ""
+        : ` <span class="sp-form-hint">(${escapeHtml(formatInZone(d, browserZone, { second: undefined }))} your time)</span>`;
+      return `<li>${escapeHtml(formatInZone(d, zone, { weekday: "short", second: undefined }))}${here}</li>`;
+    }).join("");
+  }
+
+  form.addEventListener("input", renderPreview);
+  form.addEventListener("change", renderPreview);
+
   // ── Dynamic org fields (e.g. role multi-select) ─────────────────────
   const $dofSlot = dynamicOrgFields ? form.querySelector("#spDynamicFieldsSlot") : null;
   let dynamicLoading = false;
@@ -348,16 +694,30 @@ export function buildScheduleForm(opts) {
   const setFormStatus = makeStatus($status, "sp-form-status");
 
   // ── Collect form data ─────────────────────────────────
-  function getFormData() {
-    const data = {
+  function getTiming() {
+    const isCron = $type.value === "cron";
+    return {
       scheduleType: $type.value,
-      scheduleTime: form.querySelector("#spTime").value,
+      scheduleTime: isCron ? "" : form.querySelector("#spTime").value,
       scheduleDayOfWeek: $type.value === "weekly"
         ? Number(form.querySelector("#spDayWeek").value) : null,
       scheduleDayOfMonth: $type.value === "monthly"
         ? Number(form.querySelector("#spDayMonth").value) : null,
+      cronExpression: isCron ? form.querySelector("#spCron").value.trim() : "",
+      timeZone: form.querySelector("#spTimeZone").value,
+    };
+  }
+
+  function getFormData() {
+    const data = {
+      ...getTiming(),
       emailRecipients: form.querySelector("#spRecipients").value.trim(),
       emailMessage: form.querySelector("#spMessage").value.trim(),
+      deliveryTargets: getTargets(),
+      retryPolicy: Object.fromEntries(RETRY_FIELDS.map((f) =>
+        [f.key, Number(form.querySelector(`#spRetry_${f.key}`).value)])),
+      deliverOnlyOnChange: form.querySelector("#spOnlyOnChange").checked,
+      outputFormats: Object.keys(EXPORT_FORMATS).filter((f) => form.querySelector(`#spFormat_${f}`).checked),
       enabled: form.querySelector("#spEnabled").checked,
     };
 
@@ -399,6 +759,11 @@ export function buildScheduleForm(opts) {
           }
         }
       }
+    // Captured page filters: always on create, on edit only when replacing.
+    // With no exportConfig in an update the API keeps the saved one.
+    if (captured && (!isEdit || form.querySelector("#spRecapture").checked)) {
+      data.exportConfig = { ...(data.exportConfig || {}), ...captured };
+    }
     return data;
   }
 
@@ -407,6 +772,7 @@ export function buildScheduleForm(opts) {
     if (requiresOrg && (!data.exportConfig || !data.exportConfig.orgId)) {
       return "Please select an organisation";
     }
+    if (captureConfig && !isEdit && !captured) return captureError;
     if (dynamicOrgFields) {
       if (dynamicLoading) return "Options are still loading, please wait";
       if (dynamicLoaded) {
@@ -425,8 +791,31 @@ export function buildScheduleForm(opts) {
         }
       }
     }
-    if (!data.scheduleTime) return "Time is required";
-    if (!data.emailRecipients) return "At least one email recipient is required";
+    const timingError = validateSchedule(data);
+    if (timingError) return timingError;
+    if (!data.outputFormats.length) return "Choose at least one file format";
+    if (!data.emailRecipients && !data.deliveryTargets.length) {
+      return "Add at least one email recipient or another delivery target";
+    }
+    const existingTargets = s?.deliveryTargets || [];
+    for (const t of data.deliveryTargets) {
+      const def = DELIVERY_TYPES[t.type];
+      const saved = existingTargets.find((e) => e.id && e.id === t.id) || {};
+      for (const f of def.fields) {
+        if (f.required && !t[f.key] && !(f.secret && saved[`${f.key}Set`])) {
+          return `${def.label}: ${f.label} is required`;
+        }
+      }
+      if (t.type === "sftp" && !t.password && !t.privateKey && !saved.passwordSet && !saved.privateKeySet) {
+        return "SFTP upload: a password or a private key is required";
+      }
+    }
+    for (const f of RETRY_FIELDS) {
+      const n = data.retryPolicy[f.key];
+      if (!Number.isInteger(n) || n < f.min || n > f.max) {
+        return `${f.label} must be a whole number from ${f.min} to ${f.max}`;
+      }
+    }
     const emailRe = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     const addrs = data.emailRecipients.split(/[,;]/).map(s => s.trim()).filter(Boolean);
     for (const addr of addrs) {
@@ -469,6 +858,7 @@ export function buildScheduleForm(opts) {
     });
   }
 
+  renderPreview();
   return form;
 }
 
@@ -483,9 +873,11 @@ export function buildScheduleForm(opts) {
  * @param {Object} opts.me               Genesys user { email, name }
  * @param {boolean} [opts.requiresOrg]   Show org selector when creating schedule
  * @param {Array}   [opts.extraConfigFields] Extra config fields for the form
+ * @param {Function} [opts.captureConfig] Take exportConfig from the page's filters — see buildScheduleForm
+ * @param {Function} [opts.configSummary] (exportConfig) => string for the Config column
  * @returns {HTMLElement}
  */
-export function createSchedulePanel({ exportType, exportLabel, me, requiresOrg, extraConfigFields, dynamicOrgFields, configSummary, orgFilter }) {
+export function createSchedulePanel({ exportType, exportLabel, me, requiresOrg, extraConfigFields, dynamicOrgFields, configSummary, orgFilter, captureConfig }) {
   const el = document.createElement("div");
   el.className = "sp-section";
 
@@ -526,7 +918,7 @@ export function createSchedulePanel({ exportType, exportLabel, me, requiresOrg,
         <th>Schedule</th>
         ${hasOrg ? "<th>Organisation</th>" : ""}
         ${hasConfig ? "<th>Config</th>" : ""}
-        <th>Recipients</th>
+        <th>Delivery</th>
         <th>Enabled</th>
         <th>Created by</th>
         <th>Last run</th>
@@ -540,7 +932,7 @@ export function createSchedulePanel({ exportType, exportLabel, me, requiresOrg,
         <td>${escapeHtml(describeSchedule(s))}</td>
         ${hasOrg ? `<td>${escapeHtml(s.exportConfig?.orgName || "—")}</td>` : ""}
         ${hasConfig ? `<td>${escapeHtml(configSummary(s.exportConfig || {}) || "—")}</td>` : ""}
-        <td class="sp-cell-email">${escapeHtml(s.emailRecipients)}</td>
+        <td class="sp-cell-email">${formatDelivery(s)}</td>
         <td>${s.enabled
           ? `<span class="sp-badge sp-badge--on">On</span>`
           : `<span class="sp-badge sp-badge--off">Off</span>`}</td>
@@ -575,6 +967,8 @@ export function createSchedulePanel({ exportType, exportLabel, me, requiresOrg,
       extraConfigFields,
       dynamicOrgFields,
       orgFilter,
+      captureConfig,
+      configSummary,
       onSave: async (formData) => {
         if (existing) {
           await updateSchedule(existing.id, {
@@ -601,7 +995,7 @@ export function createSchedulePanel({ exportType, exportLabel, me, requiresOrg,
           logAction({
             me,
             action:      "schedule_create",
-            description: `Created ${formData.scheduleType} schedule for '${exportLabel}' at ${formData.scheduleTime}`,
+            description: `Created schedule for '${exportLabel}': ${describeSchedule(formData)}`,
           });
         }
         hideForm();
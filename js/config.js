@@ -1,9 +1,26 @@
 const REGION = "mypurecloud.de";
 
+// Local development against the offline Genesys stand-in (dev/mock-genesys):
+// `localStorage.setItem("gc_genesys_base", "http://localhost:4010")` sends
+// sign-in and the app's direct Genesys calls there instead. Ignored unless
+// both the app and the stand-in are on this machine.
+const LOOPBACK = ["localhost", "127.0.0.1", "[::1]"];
+const GENESYS_BASE_OVERRIDE = (() => {
+  try {
+    const raw = localStorage.getItem("gc_genesys_base");
+    if (!raw || !LOOPBACK.includes(window.location.hostname)) return null;
+    const url = new URL(raw);
+    return LOOPBACK.includes(url.hostname) ? url.origin : null;
+  } catch (_) {
+    return null;
+  }
+})();
+
 export const CONFIG = {
   region: REGION,
   authHost: `login.${REGION}`,
-  apiBase: `https://api.${REGION}`,
+  apiBase: GENESYS_BASE_OVERRIDE || `https://api.${REGION}`,
+  genesysBaseOverride: GENESYS_BASE_OVERRIDE,
   appName: "Genesys Admin Tool",
 
   // OAuth Client Application (Authorization Code + PKCE)
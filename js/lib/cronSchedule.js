@@ -0,0 +1,346 @@
+/**
+ * Schedule times — cron expressions evaluated in an IANA time zone.
+ *
+ * Pure logic: no HTTP, no DOM, no dependencies beyond Intl. Both schedulers
+ * ask this module when a schedule fires — the export runner
+ * (api/scheduled-runner, via the CommonJS twin api/lib/cronSchedule.js) and the
+ * template-schedule orchestrator (timer-functions/lib/cronSchedule.js) — and the
+ * schedule form uses it for the "next runs" preview, so what the form promises
+ * is what the runner does.
+ *
+ * A schedule is either a cron expression (`scheduleType: "cron"`,
+ * `cronExpression`) or one of the original fixed shapes — daily, weekly,
+ * monthly, and "once" for template schedules — which are read as the cron
+ * expression they always meant. `timeZone` defaults to Europe/Copenhagen, the
+ * zone every schedule was implicitly in before it could be chosen.
+ *
+ * Cron: five fields — minute hour day-of-month month day-of-week — with lists
+ * (1,15), ranges (1-5), steps (*\/15, 8-18/2), month and weekday names (JAN,
+ * MON) and 0 or 7 for Sunday. When both day fields are restricted — neither
+ * starts with `*`, so `*\/2` counts as unrestricted — a day matches either, as
+ * in Vixie cron; otherwise it must match both. @hourly, @daily, @weekly,
+ * @monthly and @yearly are accepted as shorthands.
+ *
+ * Daylight saving, resolved the way java.time and Temporal's "compatible" mode
+ * do:
+ *   - a wall-clock time skipped by the spring-forward gap runs that much later
+ *     (02:30 → 03:30 in Copenhagen), so a daily job is never silently lost;
+ *   - a wall-clock time that happens twice in the autumn runs once, at the
+ *     first occurrence — unless the hour field is `*`, in which case the job
+ *     means "every hour" and runs in both.
+ */
+
+export const DEFAULT_TIME_ZONE = "Europe/Copenhagen";
+
+/** Types the export scheduler accepts (template schedules add "once"). */
+export const SCHEDULE_TYPES = ["daily", "weekly", "monthly", "cron"];
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/** How far ahead to look for a match: covers Feb 29 on a given weekday. */
+const SEARCH_DAYS = 366 * 28;
+
+const MACROS = {
+  "@yearly":   "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly":  "0 0 1 * *",
+  "@weekly":   "0 0 * * 0",
+  "@daily":    "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly":   "0 * * * *",
+};
+
+const FIELDS = [
+  { name: "minute",       min: 0, max: 59 },
+  { name: "hour",         min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month",        min: 1, max: 12,
+    names: ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"] },
+  { name: "day of week",  min: 0, max: 7,
+    names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"] },
+];
+
+// ── Parsing ─────────────────────────────────────────────
+
+function parseValue(text, field) {
+  const upper = text.toUpperCase();
+  if (field.names) {
+    const i = field.names.indexOf(upper);
+    if (i >= 0) return i + field.min;
+  }
+  if (!/^\d+$/.test(text)) throw new Error(`"${text}" is not a valid ${field.name}`);
+  const n = Number(text);
+  if (n < field.min || n > field.max) {
+    throw new Error(`${field.name} ${n} is out of range (${field.min}–${field.max})`);
+  }
+  return n;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!range || !Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`"${part}" is not a valid ${field.name}`);
+    }
+    let lo, hi;
+    if (range === "*") {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes("-")) {
+      const [a, b] = range.split("-");
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (lo > hi) throw new Error(`${field.name} range "${range}" runs backwards`);
+    } else {
+      lo = parseValue(range, field);
+      // "5/15" means from 5 to the end of the range in steps of 15.
+      hi = stepText === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression.
+ * @param {string} expression
+ * @returns {{ minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set,
+ *             anyDay: boolean, anyWeekday: boolean, anyHour: boolean }}
+ * @throws {Error} with a message fit to show the user
+ */
+export function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) {
+    throw new Error(`A cron expression has 5 fields (minute hour day month weekday); got ${parts.length}`);
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  // 7 is Sunday too.
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes, hours, days, months, weekdays,
+    // "*/2" restricts nothing either: only a field that starts with "*" is left
+    // out of the day-of-month OR day-of-week rule, as in Vixie cron.
+    anyDay:     parts[2].startsWith("*"),
+    anyWeekday: parts[4].startsWith("*"),
+    anyHour:    parts[1] === "*",
+  };
+}
+
+/** Whether `timeZone` is an IANA zone this runtime knows. */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ── Schedule → cron ─────────────────────────────────────
+
+function hhmm(time) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(time || "08:00"));
+  return m ? [Number(m[1]), Number(m[2])] : [8, 0];
+}
+
+/** The zone a schedule's times are in. */
+export function scheduleTimeZone(schedule) {
+  return schedule?.timeZone || DEFAULT_TIME_ZONE;
+}
+
+/**
+ * The cron expression a schedule stands for — its own for "cron", the
+ * equivalent one for the fixed shapes. Null for "once", which is not periodic.
+ */
+export function toCronExpression(schedule) {
+  const [hh, mm] = hhmm(schedule.scheduleTime);
+  switch (schedule.scheduleType) {
+    case "cron":    return String(schedule.cronExpression || "").trim();
+    case "daily":   return `${mm} ${hh} * * *`;
+    case "weekly":  return `${mm} ${hh} * * ${Number(schedule.scheduleDayOfWeek) || 0}`;
+    case "monthly": return `${mm} ${hh} ${Number(schedule.scheduleDayOfMonth) || 1} * *`;
+    default:        return null;
+  }
+}
+
+// ── Time zone arithmetic ────────────────────────────────
+
+const formatters = new Map();
+
+function formatter(timeZone) {
+  let f = formatters.get(timeZone);
+  if (!f) {
+    f = new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23",
+      year: "numeric", month: "numeric", day: "numeric",
+      hour: "numeric", minute: "numeric", second: "numeric",
+    });
+    formatters.set(timeZone, f);
+  }
+  return f;
+}
+
+/**
+ * Wall-clock fields in `timeZone` at a UTC instant. `wall` is that wall-clock
+ * time written as if it were UTC, which makes offsets plain subtraction.
+ */
+function wallClock(timeZone, utcMs) {
+  const p = {};
+  for (const { type, value } of formatter(timeZone).formatToParts(new Date(utcMs))) p[type] = Number(value);
+  const wall = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return { ...p, wall };
+}
+
+/** How far `timeZone` is ahead of UTC at an instant, in ms. */
+function offsetAt(timeZone, utcMs) {
+  const whole = Math.floor(utcMs / 1000) * 1000;
+  return wallClock(timeZone, whole).wall - whole;
+}
+
+/**
+ * The fire instants of one local calendar day, ascending.
+ * `dayWall` is local midnight written as UTC (see wallClock).
+ */
+function firesOnDay(cron, timeZone, dayWall) {
+  // Offsets safely before the day starts and after it ends. Equal → no
+  // transition today, and every wall time maps with the one offset.
+  const before = offsetAt(timeZone, dayWall - 14 * 60 * MINUTE);
+  const after  = offsetAt(timeZone, dayWall + DAY + 14 * 60 * MINUTE);
+
+  const out = [];
+  for (const h of [...cron.hours].sort((a, b) => a - b)) {
+    for (const m of [...cron.minutes].sort((a, b) => a - b)) {
+      const wall = dayWall + (h * 60 + m) * MINUTE;
+      if (before === after) { out.push(wall - before); continue; }
+
+      const valid = [...new Set([wall - before, wall - after])]
+        .filter((u) => offsetAt(timeZone, u) === wall - u)
+        .sort((a, b) => a - b);
+      if (!valid.length) out.push(wall - before);       // in the gap → shifted later
+      else if (cron.anyHour) out.push(...valid);        // repeated hour, hourly job → both
+      else out.push(valid[0]);                          // repeated hour → first only
+    }
+  }
+  return [...new Set(out)].sort((a, b) => a - b);
+}
+
+function dayMatches(cron, dayWall) {
+  const d = new Date(dayWall);
+  if (!cron.months.has(d.getUTCMonth() + 1)) return false;
+  const dom = cron.days.has(d.getUTCDate());
+  const dow = cron.weekdays.has(d.getUTCDay());
+  // A "*" field's set is every value, except for a step ("*/2") — so AND them.
+  if (cron.anyDay || cron.anyWeekday) return dom && dow;
+  return dom || dow;
+}
+
+function localMidnight(timeZone, utcMs) {
+  const w = wallClock(timeZone, utcMs);
+  return Date.UTC(w.year, w.month - 1, w.day);
+}
+
+// ── Next / previous runs ────────────────────────────────
+
+/** Fire instants strictly after `after`, one local day at a time. */
+function* firesAfter(schedule, after) {
+  const timeZone = scheduleTimeZone(schedule);
+  const afterMs = after.getTime();
+
+  if (schedule.scheduleType === "once") {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(schedule.scheduleDate || ""));
+    if (!m) return;
+    const [hh, mm] = hhmm(schedule.scheduleTime);
+    const dayWall = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    const cron = { hours: new Set([hh]), minutes: new Set([mm]), anyHour: false };
+    for (const t of firesOnDay(cron, timeZone, dayWall)) if (t > afterMs) { yield new Date(t); return; }
+    return;
+  }
+
+  const cron = parseCron(toCronExpression(schedule));
+  let dayWall = localMidnight(timeZone, afterMs);
+  for (let i = 0; i < SEARCH_DAYS; i++, dayWall += DAY) {
+    if (!dayMatches(cron, dayWall)) continue;
+    for (const t of firesOnDay(cron, timeZone, dayWall)) if (t > afterMs) yield new Date(t);
+  }
+}
+
+/**
+ * The next `count` times a schedule fires after `after`.
+ * @param {Object} schedule  { scheduleType, scheduleTime, scheduleDayOfWeek,
+ *                             scheduleDayOfMonth, scheduleDate, cronExpression, timeZone }
+ * @param {Date}   [after]
+ * @param {number} [count]
+ * @returns {Date[]} fewer than `count` when the schedule stops firing
+ * @throws {Error} on an invalid cron expression
+ */
+export function nextRuns(schedule, after = new Date(), count = 5) {
+  const out = [];
+  if (count <= 0) return out;
+  for (const t of firesAfter(schedule, after)) {
+    out.push(t);
+    if (out.length >= count) break;
+  }
+  return out;
+}
+
+/** The next time a schedule fires after `after`, or null. */
+export function nextRun(schedule, after = new Date()) {
+  return nextRuns(schedule, after, 1)[0] || null;
+}
+
+/**
+ * Whether a periodic schedule should run now.
+ *
+ * Due when it has fired today — today in the schedule's own zone — at or
+ * before `now`, and has not run since. Missed fires are caught up once, not
+ * once each, and only on the day they belong to: a runner that was down
+ * overnight does not replay yesterday, and a weekly schedule created on a
+ * Wednesday does not run at once for the Monday just gone. That is the rule
+ * the runner always applied to daily schedules, generalised.
+ *
+ * @param {Object} schedule  as for nextRuns, plus lastRun (ISO)
+ * @param {Date}   now
+ */
+export function isDue(schedule, now = new Date()) {
+  const timeZone = scheduleTimeZone(schedule);
+  const cron = parseCron(toCronExpression(schedule));
+  const dayWall = localMidnight(timeZone, now.getTime());
+  if (!dayMatches(cron, dayWall)) return false;
+
+  const fired = firesOnDay(cron, timeZone, dayWall).filter((t) => t <= now.getTime());
+  if (!fired.length) return false;
+  const last = fired[fired.length - 1];
+  return !schedule.lastRun || Date.parse(schedule.lastRun) < last;
+}
+
+/**
+ * Check a schedule's timing fields.
+ * @returns {string|null} what is wrong, or null when it is usable
+ */
+export function validateSchedule(schedule, types = SCHEDULE_TYPES) {
+  if (!types.includes(schedule.scheduleType)) {
+    return `scheduleType must be one of: ${types.join(", ")}`;
+  }
+  if (schedule.timeZone != null && schedule.timeZone !== "" && !isValidTimeZone(schedule.timeZone)) {
+    return `Unknown time zone: ${schedule.timeZone}`;
+  }
+  if (schedule.scheduleType === "cron") {
+    if (!schedule.cronExpression) return "cronExpression is required for a cron schedule";
+    try {
+      parseCron(schedule.cronExpression);
+    } catch (err) {
+      return err.message;
+    }
+    if (!nextRun(schedule)) return "This cron expression never runs";
+    return null;
+  }
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(schedule.scheduleTime || ""));
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return "scheduleTime must be HH:MM";
+  return null;
+}
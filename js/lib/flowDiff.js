@@ -0,0 +1,276 @@
+/**
+ * Flow diff — a structural comparison of two parsed Architect flows: two
+ * versions of one flow, or the same flow in two orgs.
+ *
+ *   diffFlows(before, after) → { tasks, actions, branches, variables,
+ *                                dependencies, marks, totals }
+ *   summaryText(diff)        → "Differences in 2 tasks, 5 actions, 1 branch"
+ *
+ * `before` and `after` are what loadFlow (flowSource.js) returns: the parsed
+ * flow (flowYaml.js) with its action, variable and dependency indexes.
+ *
+ * Action ids are minted while the YAML is walked (`<taskRef>#<n>`), so they
+ * mean nothing across two parses. Matching is structural instead: tasks (and
+ * menus, states, bots) on their refId, then on their name; the actions of a
+ * matched task in walk order, on action type + name first and then on action
+ * type alone for what is left — a renamed action is changed, not replaced.
+ * Whatever is still unmatched was added or removed.
+ *
+ * A matched action is changed when one of its settings differs (`props`, its
+ * own settings without the nested actions). A branch is re-pointed when it
+ * now leads somewhere else. One that now leads to an added action, or used to
+ * lead to a removed one, is explained by that action and not repeated — except
+ * a jump, whose new target task is the point.
+ *
+ * `marks` colours the diagrams: node id → "added" | "removed" | "changed" |
+ * "repointed", one map per side. The actions of an added or removed task are
+ * marked with it, but listed only as the task.
+ *
+ * No DOM, no network: Flows › Flow Compare draws the result.
+ */
+
+// ── Matching ─────────────────────────────────────────────────────────────────
+
+/**
+ * Longest common subsequence of two lists under a key, as index pairs in
+ * order. Tasks stay small (a few hundred actions), so the full table is fine.
+ */
+function lcsPairs(a, b, key) {
+  const n = a.length, m = b.length;
+  if (!n || !m) return [];
+  const ka = a.map(key), kb = b.map(key);
+  const w = m + 1;
+  const t = new Uint32Array((n + 1) * w);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      t[i * w + j] = ka[i] === kb[j] ? t[(i + 1) * w + j + 1] + 1 : Math.max(t[(i + 1) * w + j], t[i * w + j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0, j = 0;
+  while (i < n && j < m) {
+    if (ka[i] === kb[j]) { pairs.push([i, j]); i++; j++; }
+    else if (t[(i + 1) * w + j] >= t[i * w + j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+/** Pair two action lists: type + name, then type alone over the leftovers. */
+function matchActions(a, b) {
+  const pairs = lcsPairs(a, b, (x) => `${x.actionKey}|${x.name}`).map(([i, j]) => [a[i], b[j]]);
+  const usedA = new Set(pairs.map((p) => p[0]));
+  const usedB = new Set(pairs.map((p) => p[1]));
+  const restA = a.filter((x) => !usedA.has(x));
+  const restB = b.filter((x) => !usedB.has(x));
+  for (const [i, j] of lcsPairs(restA, restB, (x) => x.actionKey)) pairs.push([restA[i], restB[j]]);
+  return pairs;
+}
+
+/** Walk order of an action id: the counter after the "#". */
+function seq(id) {
+  return Number(String(id).slice(String(id).lastIndexOf("#") + 1)) || 0;
+}
+
+/** taskId → its actions in walk order. */
+function actionsByTask(data) {
+  const out = new Map();
+  for (const a of data.actionById.values()) {
+    if (!out.has(a.taskId)) out.set(a.taskId, []);
+    out.get(a.taskId).push(a);
+  }
+  for (const list of out.values()) list.sort((x, y) => seq(x.id) - seq(y.id));
+  return out;
+}
+
+/** before task id → after task id: refId first, then name among the rest. */
+function matchTasks(before, after) {
+  const match = new Map();
+  const afterIds = new Set(after.map((t) => t.id));
+  for (const t of before) if (afterIds.has(t.id)) match.set(t.id, t.id);
+  const taken = new Set(match.values());
+  const byName = new Map();
+  for (const t of after) {
+    if (taken.has(t.id)) continue;
+    if (!byName.has(t.name)) byName.set(t.name, []);
+    byName.get(t.name).push(t);
+  }
+  for (const t of before) {
+    if (match.has(t.id)) continue;
+    const cand = byName.get(t.name);
+    if (cand && cand.length) match.set(t.id, cand.shift().id);
+  }
+  return match;
+}
+
+// ── Describing ───────────────────────────────────────────────────────────────
+
+function containerKind(t) {
+  return t.isMenu ? "Menu" : t.isState ? "State" : t.isBot ? "Bot" : "Task";
+}
+
+function taskRef(t, data) {
+  const count = [...data.actionById.values()].filter((a) => a.taskId === t.id).length;
+  return { id: t.id, name: t.name, kind: containerKind(t), actionCount: count };
+}
+
+function actionRef(a) {
+  return { id: a.id, name: a.name, kind: a.kind, actionKey: a.actionKey, taskId: a.taskId, taskName: a.taskName };
+}
+
+/** Where a branch leads, for display: an action, a task, or nowhere. */
+function targetRef(data, id) {
+  if (!id) return { id: null, label: "— (end)" };
+  const a = data.actionById.get(id);
+  if (a) return { id, label: `${a.name} · ${a.taskName}` };
+  const t = data.tasks.find((x) => x.id === id);
+  return { id, label: t ? `${containerKind(t)}: ${t.name}` : id };
+}
+
+/** Outgoing branches of every action: source → Map(label → { target, kind }). */
+function branchesBySource(data) {
+  const out = new Map();
+  for (const e of data.edges) {
+    if (!data.actionById.has(e.source)) continue;
+    if (!out.has(e.source)) out.set(e.source, new Map());
+    const label = e.label || "Next";
+    if (!out.get(e.source).has(label)) out.get(e.source).set(label, { target: e.target, kind: e.kind });
+  }
+  return out;
+}
+
+/** Settings that differ, as { setting, before, after }. A missing setting reads as empty. */
+function propChanges(a, b) {
+  const pa = a.props || {}, pb = b.props || {};
+  const keys = [...new Set([...Object.keys(pa), ...Object.keys(pb)])].sort();
+  const out = [];
+  for (const k of keys) {
+    const va = pa[k] == null ? "" : pa[k];
+    const vb = pb[k] == null ? "" : pb[k];
+    if (va !== vb) out.push({ setting: k, before: va, after: vb });
+  }
+  return out;
+}
+
+// ── Diff ─────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {{ data: object, varIndex: Map, depIndex: Map }} before  from loadFlow
+ * @param {{ data: object, varIndex: Map, depIndex: Map }} after
+ */
+export function diffFlows(before, after) {
+  const A = before.data, B = after.data;
+  const marks = { before: new Map(), after: new Map() };
+  const mark = (side, id, how) => {
+    // "changed" outranks "repointed" on a node that is both.
+    if (side.get(id) !== "changed") side.set(id, how);
+  };
+
+  // Tasks.
+  const taskMatch = matchTasks(A.tasks, B.tasks);
+  const matchedAfterTasks = new Set(taskMatch.values());
+  const tasks = {
+    added: B.tasks.filter((t) => !matchedAfterTasks.has(t.id)).map((t) => taskRef(t, B)),
+    removed: A.tasks.filter((t) => !taskMatch.has(t.id)).map((t) => taskRef(t, A)),
+    renamed: [],
+  };
+  const taskById = (data, id) => data.tasks.find((t) => t.id === id);
+  for (const [ia, ib] of taskMatch) {
+    const ta = taskById(A, ia), tb = taskById(B, ib);
+    if (ta.name === tb.name) continue;
+    tasks.renamed.push({ before: taskRef(ta, A), after: taskRef(tb, B) });
+    marks.before.set(ia, "changed");
+    marks.after.set(ib, "changed");
+  }
+
+  // Actions, within matched tasks.
+  const actsA = actionsByTask(A), actsB = actionsByTask(B);
+  const actionMatch = new Map(); // before action id → after action id
+  const actions = { added: [], removed: [], changed: [] };
+  for (const [ia, ib] of taskMatch) {
+    const la = actsA.get(ia) || [], lb = actsB.get(ib) || [];
+    const pairs = matchActions(la, lb);
+    for (const [a, b] of pairs) actionMatch.set(a.id, b.id);
+    const pairedB = new Set(pairs.map((p) => p[1].id));
+    for (const a of la) if (!actionMatch.has(a.id)) { actions.removed.push(actionRef(a)); mark(marks.before, a.id, "removed"); }
+    for (const b of lb) if (!pairedB.has(b.id)) { actions.added.push(actionRef(b)); mark(marks.after, b.id, "added"); }
+    for (const [a, b] of pairs) {
+      const changes = propChanges(a, b);
+      if (!changes.length) continue;
+      actions.changed.push({ before: actionRef(a), after: actionRef(b), changes });
+      marks.before.set(a.id, "changed");
+      marks.after.set(b.id, "changed");
+    }
+  }
+  // The whole of an added or removed task lights up with it.
+  for (const t of tasks.removed) {
+    marks.before.set(t.id, "removed");
+    for (const a of actsA.get(t.id) || []) marks.before.set(a.id, "removed");
+  }
+  for (const t of tasks.added) {
+    marks.after.set(t.id, "added");
+    for (const a of actsB.get(t.id) || []) marks.after.set(a.id, "added");
+  }
+
+  // Branches. A target maps across through the action match, or the task
+  // match for a jump; one that exists on only one side was added or removed.
+  // A jump is always reported: sending callers to a new task is the change.
+  const mapTarget = (id) => (id == null ? null : actionMatch.get(id) || taskMatch.get(id) || undefined);
+  const existsInA = (id) => id == null || actionMatch.has(id) || taskMatch.has(id);
+  const matchedAfterActions = new Set(actionMatch.values());
+  const existsInB = (id) => id == null || matchedAfterActions.has(id) || matchedAfterTasks.has(id);
+  const outA = branchesBySource(A), outB = branchesBySource(B);
+  const branches = [];
+  for (const [ia, ib] of actionMatch) {
+    const ba = outA.get(ia) || new Map(), bb = outB.get(ib) || new Map();
+    for (const label of new Set([...ba.keys(), ...bb.keys()])) {
+      const ea = ba.get(label), eb = bb.get(label);
+      const ta = ea ? ea.target : null;
+      const tb = eb ? eb.target : null;
+      const isJump = (ea || eb).kind === "jump";
+      if (!isJump && (!existsInA(ta) || !existsInB(tb))) continue;
+      if (mapTarget(ta) === tb) continue;
+      branches.push({
+        action: actionRef(B.actionById.get(ib)),
+        label,
+        before: targetRef(A, ta),
+        after: targetRef(B, tb),
+      });
+      mark(marks.before, ia, "repointed");
+      mark(marks.after, ib, "repointed");
+    }
+  }
+
+  // Variables and dependencies, by name and by type + name.
+  const variables = {
+    added: [...after.varIndex.values()].filter((v) => !before.varIndex.has(v.variable.name) && !v.variable.isSystem).map((v) => v.variable),
+    removed: [...before.varIndex.values()].filter((v) => !after.varIndex.has(v.variable.name) && !v.variable.isSystem).map((v) => v.variable),
+  };
+  const depRef = (d) => ({ key: d.key, name: d.name, type: d.type, uses: d.usages.length });
+  const dependencies = {
+    added: [...after.depIndex.values()].filter((d) => !before.depIndex.has(d.key)).map(depRef),
+    removed: [...before.depIndex.values()].filter((d) => !after.depIndex.has(d.key)).map(depRef),
+  };
+
+  const totals = {
+    tasks: tasks.added.length + tasks.removed.length + tasks.renamed.length,
+    actions: actions.added.length + actions.removed.length + actions.changed.length,
+    branches: branches.length,
+    variables: variables.added.length + variables.removed.length,
+    dependencies: dependencies.added.length + dependencies.removed.length,
+  };
+  return { tasks, actions, branches, variables, dependencies, marks, totals };
+}
+
+const TOTAL_LABELS = [
+  ["tasks", "task", "tasks"], ["actions", "action", "actions"], ["branches", "branch", "branches"],
+  ["variables", "variable", "variables"], ["dependencies", "dependency", "dependencies"],
+];
+
+/** One line for the status bar and the activity log. */
+export function summaryText(diff) {
+  const parts = TOTAL_LABELS
+    .filter(([key]) => diff.totals[key])
+    .map(([key, one, many]) => `${diff.totals[key]} ${diff.totals[key] === 1 ? one : many}`);
+  return parts.length ? `Differences in ${parts.join(", ")}` : "No structural differences";
+}
@@ -0,0 +1,437 @@
+/**
+ * Flow expressions — parses and evaluates Architect expressions, for the flow
+ * simulator (flowSimulator.js).
+ *
+ *   evaluate(text, scope)          → value
+ *   parseExpression(text)          → syntax tree (cached)
+ *   formatValue(value)             → display text ("NOT_SET", "Gold", "2026-10-17T10:00:00Z")
+ *   coerce(value, type)            → value converted for a variable of `type`
+ *   parseInputValue(text, type)    → value of what a tester typed for `type`
+ *
+ * `scope` is { has(name), get(name), now }: the variables of the run and the
+ * simulated current time. A dotted name is the longest variable `scope` knows,
+ * then properties of it (`Flow.Queue.name`); a name it does not know at all is
+ * NOT_SET, as an attribute nobody set is in Architect.
+ *
+ * Values: NOT_SET is null; strings, numbers (integer and decimal alike) and
+ * booleans are themselves; a date-time is a Date; a collection is an array; a
+ * queue, skill, prompt or schedule group looked up by name is { type, name }.
+ *
+ * This is the subset of the language flows branch on — comparisons, and/or/not,
+ * arithmetic and string concatenation, If(), the IsSet family, string, list,
+ * conversion and date-time functions, and the Find… lookups. Anything else
+ * throws, naming the function, so a run stops and says why instead of guessing.
+ * Like Architect, using NOT_SET in arithmetic or an ordering comparison is an
+ * error; `==` and `!=` compare it like any other value.
+ *
+ * No DOM, no network.
+ */
+
+// ── Tokens ───────────────────────────────────────────────────────────────────
+
+const OPERATORS = ["==", "!=", "<>", "<=", ">=", "&&", "||", "<", ">", "=", "+", "-", "*", "/", "%", "!", "(", ")", ",", "[", "]", "."];
+const ESCAPES = { n: "\n", t: "\t", r: "\r" };
+
+function tokenize(text) {
+  const out = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '"') {
+      let s = "";
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === "\\" && i + 1 < text.length) { s += ESCAPES[text[i + 1]] || text[i + 1]; i += 2; continue; }
+        s += text[i++];
+      }
+      if (i >= text.length) throw new Error("Unterminated string");
+      i++;
+      out.push({ t: "str", v: s });
+      continue;
+    }
+    const num = /^\d+(\.\d+)?/.exec(text.slice(i));
+    if (num) { out.push({ t: "num", v: Number(num[0]) }); i += num[0].length; continue; }
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i));
+    if (name) { out.push({ t: "name", v: name[0] }); i += name[0].length; continue; }
+    const op = OPERATORS.find((o) => text.startsWith(o, i));
+    if (!op) throw new Error(`Unexpected "${ch}"`);
+    out.push({ t: "op", v: op });
+    i += op.length;
+  }
+  out.push({ t: "end" });
+  return out;
+}
+
+// ── Parser ───────────────────────────────────────────────────────────────────
+
+const COMPARISONS = { "==": "==", "=": "==", "!=": "!=", "<>": "!=", "<": "<", "<=": "<=", ">": ">", ">=": ">=" };
+
+/**
+ * Precedence climbing, loosest first: or, and, not, comparison, + -, * / %,
+ * unary minus, then calls, indexes and properties. Keywords and function names
+ * are matched without regard to case.
+ */
+function parse(text) {
+  const toks = tokenize(text);
+  let p = 0;
+  const peek = () => toks[p];
+  const isOp = (v) => peek().t === "op" && peek().v === v;
+  const isWord = (w) => peek().t === "name" && peek().v.toLowerCase() === w;
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`Expected "${v}"`);
+    p++;
+  };
+
+  function orExpr() {
+    let left = andExpr();
+    while (isWord("or") || isOp("||")) { p++; left = { k: "or", a: left, b: andExpr() }; }
+    return left;
+  }
+  function andExpr() {
+    let left = notExpr();
+    while (isWord("and") || isOp("&&")) { p++; left = { k: "and", a: left, b: notExpr() }; }
+    return left;
+  }
+  function notExpr() {
+    if (isWord("not") || isOp("!")) { p++; return { k: "not", a: notExpr() }; }
+    return comparison();
+  }
+  function comparison() {
+    const left = additive();
+    if (peek().t === "op" && COMPARISONS[peek().v]) {
+      const op = COMPARISONS[toks[p++].v];
+      return { k: "cmp", op, a: left, b: additive() };
+    }
+    return left;
+  }
+  function additive() {
+    let left = multiplicative();
+    while (isOp("+") || isOp("-")) { const op = toks[p++].v; left = { k: "arith", op, a: left, b: multiplicative() }; }
+    return left;
+  }
+  function multiplicative() {
+    let left = unary();
+    while (isOp("*") || isOp("/") || isOp("%")) { const op = toks[p++].v; left = { k: "arith", op, a: left, b: unary() }; }
+    return left;
+  }
+  function unary() {
+    if (isOp("-")) { p++; return { k: "neg", a: unary() }; }
+    return postfix();
+  }
+  function postfix() {
+    let node = primary();
+    for (;;) {
+      if (isOp("[")) { p++; const index = orExpr(); expect("]"); node = { k: "index", a: node, i: index }; continue; }
+      if (isOp(".") && toks[p + 1].t === "name") { node = { k: "prop", a: node, name: toks[p + 1].v }; p += 2; continue; }
+      return node;
+    }
+  }
+  function primary() {
+    const tok = peek();
+    if (tok.t === "num" || tok.t === "str") { p++; return { k: "lit", v: tok.v }; }
+    if (isOp("(")) { p++; const e = orExpr(); expect(")"); return e; }
+    if (tok.t !== "name") throw new Error(tok.t === "end" ? "Expression ends too soon" : `Unexpected "${tok.v}"`);
+    p++;
+    const word = tok.v.toLowerCase();
+    if (word === "true" || word === "false") return { k: "lit", v: word === "true" };
+    if (tok.v === "NOT_SET") return { k: "lit", v: null };
+    if (isOp("(")) {
+      p++;
+      const args = [];
+      if (!isOp(")")) {
+        args.push(orExpr());
+        while (isOp(",")) { p++; args.push(orExpr()); }
+      }
+      expect(")");
+      return { k: "call", fn: tok.v, args };
+    }
+    // A variable name runs on through its dots (Flow.Customer.Tier); which part
+    // is the variable and which are properties is settled against the scope.
+    const path = [tok.v];
+    while (isOp(".") && toks[p + 1].t === "name") { path.push(toks[p + 1].v); p += 2; }
+    return { k: "path", path };
+  }
+
+  const tree = orExpr();
+  if (peek().t !== "end") throw new Error(`Unexpected "${peek().v}"`);
+  return tree;
+}
+
+const treeCache = new Map();
+
+/** Parse once per distinct text; a simulation evaluates the same conditions repeatedly. */
+export function parseExpression(text) {
+  const key = String(text == null ? "" : text);
+  if (!treeCache.has(key)) {
+    if (treeCache.size > 2000) treeCache.clear();
+    treeCache.set(key, key.trim() ? parse(key) : { k: "lit", v: null });
+  }
+  return treeCache.get(key);
+}
+
+// ── Values ───────────────────────────────────────────────────────────────────
+
+const isDate = (v) => v instanceof Date;
+const isResource = (v) => !!v && typeof v === "object" && !Array.isArray(v) && !isDate(v) && "name" in v && "type" in v;
+
+/** Display text for a value. */
+export function formatValue(v) {
+  if (v == null) return "NOT_SET";
+  if (isDate(v)) return isNaN(v) ? "(invalid date)" : v.toISOString().replace(/\.000Z$/, "Z");
+  if (Array.isArray(v)) return `[${v.map(formatValue).join(", ")}]`;
+  if (isResource(v)) return v.name;
+  return String(v);
+}
+
+function typeName(v) {
+  if (v == null) return "NOT_SET";
+  if (isDate(v)) return "date-time";
+  if (Array.isArray(v)) return "collection";
+  if (isResource(v)) return v.type;
+  return typeof v;
+}
+
+function equal(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (isDate(a) && isDate(b)) return a.getTime() === b.getTime();
+  if (isResource(a) || isResource(b)) return formatValue(a) === formatValue(b);
+  if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((x, i) => equal(x, b[i]));
+  return a === b;
+}
+
+function order(a, b, op) {
+  if (a == null || b == null) throw new Error(`NOT_SET used in "${op}"`);
+  const x = isDate(a) ? a.getTime() : a;
+  const y = isDate(b) ? b.getTime() : b;
+  if (typeof x !== typeof y) throw new Error(`Cannot compare ${typeName(a)} with ${typeName(b)}`);
+  if (op === "<") return x < y;
+  if (op === "<=") return x <= y;
+  if (op === ">") return x > y;
+  return x >= y;
+}
+
+function arith(a, b, op) {
+  if (a == null || b == null) throw new Error(`NOT_SET used in "${op}"`);
+  if (op === "+" && (typeof a === "string" || typeof b === "string")) return formatValue(a) + formatValue(b);
+  if (typeof a !== "number" || typeof b !== "number") throw new Error(`Cannot apply "${op}" to ${typeName(a)} and ${typeName(b)}`);
+  if ((op === "/" || op === "%") && b === 0) throw new Error("Division by zero");
+  if (op === "+") return a + b;
+  if (op === "-") return a - b;
+  if (op === "*") return a * b;
+  if (op === "/") return a / b;
+  return a % b;
+}
+
+function truth(v, what) {
+  if (typeof v !== "boolean") throw new Error(`${what} needs true or false, got ${typeName(v)}`);
+  return v;
+}
+
+function property(v, name) {
+  if (v == null) return null;
+  if (isResource(v)) return name.toLowerCase() === "name" ? v.name : null;
+  if (typeof v === "object" && !isDate(v) && !Array.isArray(v)) return v[name] === undefined ? null : v[name];
+  throw new Error(`${typeName(v)} has no property "${name}"`);
+}
+
+// ── Functions ────────────────────────────────────────────────────────────────
+
+const str = (v, fn) => {
+  if (v == null) throw new Error(`NOT_SET passed to ${fn}()`);
+  return formatValue(v);
+};
+const int = (v, fn) => {
+  if (typeof v !== "number") throw new Error(`${fn}() needs a number, got ${typeName(v)}`);
+  return Math.trunc(v);
+};
+const date = (v, fn) => {
+  if (!isDate(v)) throw new Error(`${fn}() needs a date-time, got ${typeName(v)}`);
+  return v;
+};
+const list = (v, fn) => {
+  if (!Array.isArray(v)) throw new Error(`${fn}() needs a collection, got ${typeName(v)}`);
+  return v;
+};
+const shift = (unitMs) => (args, fn) => new Date(date(args[0], fn).getTime() + unitMs * int(args[1], fn));
+const resource = (type) => ([name], fn) => (name == null ? null : { type, name: str(name, fn) });
+
+/**
+ * Function name (lower-case) → [arity, implementation(args, fn, scope)].
+ * Arity -1 takes any number. `If` is not here: it only evaluates the side it
+ * picks, so `If(IsSet(Flow.X), Flow.X > 3, false)` works with Flow.X unset.
+ */
+const FUNCTIONS = {
+  isset:               [1, ([v]) => v != null],
+  isnotsetorempty:     [1, ([v]) => v == null || v === "" || (Array.isArray(v) && !v.length)],
+  tostring:            [1, ([v]) => (v == null ? null : formatValue(v))],
+  toint:               [1, ([v], fn) => {
+    const n = typeof v === "number" ? v : parseInt(str(v, fn), 10);
+    if (!Number.isFinite(n)) throw new Error(`ToInt("${formatValue(v)}") is not a number`);
+    return Math.trunc(n);
+  }],
+  todecimal:           [1, ([v], fn) => {
+    const n = typeof v === "number" ? v : Number(str(v, fn));
+    if (!Number.isFinite(n)) throw new Error(`ToDecimal("${formatValue(v)}") is not a number`);
+    return n;
+  }],
+  tobool:              [1, ([v], fn) => {
+    if (typeof v === "boolean") return v;
+    const s = str(v, fn).toLowerCase();
+    if (s !== "true" && s !== "false") throw new Error(`ToBool("${s}") is not true or false`);
+    return s === "true";
+  }],
+  todatetime:          [1, ([v], fn) => {
+    if (isDate(v)) return v;
+    const d = new Date(str(v, fn));
+    if (isNaN(d)) throw new Error(`ToDateTime("${formatValue(v)}") is not a date-time`);
+    return d;
+  }],
+  tophonenumber:       [1, ([v]) => v],
+  contains:            [2, ([a, b], fn) => (Array.isArray(a) ? a.some((x) => equal(x, b)) : str(a, fn).includes(str(b, fn)))],
+  startswith:          [2, ([a, b], fn) => str(a, fn).startsWith(str(b, fn))],
+  endswith:            [2, ([a, b], fn) => str(a, fn).endsWith(str(b, fn))],
+  findstring:          [2, ([a, b], fn) => str(a, fn).indexOf(str(b, fn))],
+  left:                [2, ([s, n], fn) => str(s, fn).slice(0, Math.max(0, int(n, fn)))],
+  right:               [2, ([s, n], fn) => { const t = str(s, fn); return t.slice(Math.max(0, t.length - int(n, fn))); }],
+  substring:           [3, ([s, start, n], fn) => str(s, fn).substr(int(start, fn), int(n, fn))],
+  length:              [1, ([v], fn) => (Array.isArray(v) ? v.length : str(v, fn).length)],
+  lower:               [1, ([s], fn) => str(s, fn).toLowerCase()],
+  upper:               [1, ([s], fn) => str(s, fn).toUpperCase()],
+  tolower:             [1, ([s], fn) => str(s, fn).toLowerCase()],
+  toupper:             [1, ([s], fn) => str(s, fn).toUpperCase()],
+  trim:                [1, ([s], fn) => str(s, fn).trim()],
+  replace:             [3, ([s, a, b], fn) => str(s, fn).split(str(a, fn)).join(str(b, fn))],
+  split:               [2, ([s, sep], fn) => str(s, fn).split(str(sep, fn))],
+  append:              [-1, (args, fn) => args.map((a) => str(a, fn)).join("")],
+  count:               [1, ([v], fn) => list(v, fn).length],
+  getat:               [2, ([v, i], fn) => { const l = list(v, fn); const k = int(i, fn); return k >= 0 && k < l.length ? l[k] : null; }],
+  makelist:            [-1, (args) => args],
+  abs:                 [1, ([n]) => { if (typeof n !== "number") throw new Error("Abs() needs a number"); return Math.abs(n); }],
+  min:                 [2, ([a, b]) => (order(a, b, "<=") ? a : b)],
+  max:                 [2, ([a, b]) => (order(a, b, ">=") ? a : b)],
+  round:               [1, ([n]) => { if (typeof n !== "number") throw new Error("Round() needs a number"); return Math.round(n); }],
+  getcurrentdatetimeutc: [0, (args, fn, scope) => scope.now],
+  // 1 = Sunday … 7 = Saturday, read in UTC like every date-time in a flow.
+  dayofweek:           [1, ([d], fn) => date(d, fn).getUTCDay() + 1],
+  year:                [1, ([d], fn) => date(d, fn).getUTCFullYear()],
+  month:               [1, ([d], fn) => date(d, fn).getUTCMonth() + 1],
+  day:                 [1, ([d], fn) => date(d, fn).getUTCDate()],
+  hour:                [1, ([d], fn) => date(d, fn).getUTCHours()],
+  minute:              [1, ([d], fn) => date(d, fn).getUTCMinutes()],
+  adddays:             [2, shift(86400000)],
+  addhours:            [2, shift(3600000)],
+  addminutes:          [2, shift(60000)],
+  addseconds:          [2, shift(1000)],
+  findqueue:           [1, resource("queue")],
+  findskill:           [1, resource("skill")],
+  findlanguageskill:   [1, resource("languageSkill")],
+  finduserprompt:      [1, resource("prompt")],
+  findsystemprompt:    [1, resource("prompt")],
+  findschedulegroup:   [1, resource("scheduleGroup")],
+  findschedule:        [1, resource("schedule")],
+  findwrapupcode:      [1, resource("wrapupCode")],
+  findgroup:           [1, resource("group")],
+  // Audio only ever reaches a Play Audio, which the simulator does not evaluate;
+  // these pass their argument through so an If() around them still works.
+  toaudio:             [1, ([v]) => v],
+  toaudiotts:          [1, ([v]) => v],
+  audioplaybackoptions: [-1, ([v]) => v],
+};
+
+function call(node, scope) {
+  const key = node.fn.toLowerCase();
+  if (key === "if") {
+    if (node.args.length !== 3) throw new Error("If() takes 3 arguments");
+    return truth(ev(node.args[0], scope), "If()") ? ev(node.args[1], scope) : ev(node.args[2], scope);
+  }
+  const def = FUNCTIONS[key];
+  if (!def) throw new Error(`${node.fn}() is not simulated`);
+  if (def[0] !== -1 && node.args.length !== def[0]) {
+    throw new Error(`${node.fn}() takes ${def[0]} argument${def[0] === 1 ? "" : "s"}`);
+  }
+  return def[1](node.args.map((a) => ev(a, scope)), node.fn, scope);
+}
+
+function resolvePath(path, scope) {
+  for (let n = path.length; n > 0; n--) {
+    const name = path.slice(0, n).join(".");
+    if (!scope.has(name)) continue;
+    let v = scope.get(name);
+    for (const prop of path.slice(n)) v = property(v, prop);
+    return v;
+  }
+  return null;
+}
+
+function ev(node, scope) {
+  switch (node.k) {
+    case "lit": return node.v;
+    case "path": return resolvePath(node.path, scope);
+    case "call": return call(node, scope);
+    case "or": return truth(ev(node.a, scope), "or") || truth(ev(node.b, scope), "or");
+    case "and": return truth(ev(node.a, scope), "and") && truth(ev(node.b, scope), "and");
+    case "not": return !truth(ev(node.a, scope), "not");
+    case "neg": {
+      const v = ev(node.a, scope);
+      if (typeof v !== "number") throw new Error(`Cannot negate ${typeName(v)}`);
+      return -v;
+    }
+    case "cmp": {
+      const a = ev(node.a, scope), b = ev(node.b, scope);
+      if (node.op === "==") return equal(a, b);
+      if (node.op === "!=") return !equal(a, b);
+      return order(a, b, node.op);
+    }
+    case "arith": return arith(ev(node.a, scope), ev(node.b, scope), node.op);
+    case "index": {
+      const l = list(ev(node.a, scope), "[]");
+      const i = int(ev(node.i, scope), "[]");
+      return i >= 0 && i < l.length ? l[i] : null;
+    }
+    case "prop": return property(ev(node.a, scope), node.name);
+    default: throw new Error("Unknown expression");
+  }
+}
+
+/**
+ * Evaluate `text` against `scope`. Throws with a short reason when the text does
+ * not parse or cannot be evaluated.
+ */
+export function evaluate(text, scope) {
+  return ev(parseExpression(text), scope);
+}
+
+// ── Typing ───────────────────────────────────────────────────────────────────
+
+/**
+ * Convert a value for a variable of `type` (flowYaml's lower-cased declaration:
+ * "string", "integer", "decimal", "boolean", "datetime", "stringcollection", …).
+ * Untyped or unknown types keep the value as it is.
+ */
+export function coerce(value, type) {
+  if (value == null) return null;
+  const t = String(type || "").toLowerCase();
+  if (t.endsWith("collection")) {
+    const base = t.replace(/collection$/, "");
+    return (Array.isArray(value) ? value : [value]).map((x) => coerce(x, base));
+  }
+  if (t === "string") return formatValue(value);
+  if (t === "integer") return FUNCTIONS.toint[1]([value], "ToInt");
+  if (t === "decimal") return FUNCTIONS.todecimal[1]([value], "ToDecimal");
+  if (t === "boolean") return FUNCTIONS.tobool[1]([value], "ToBool");
+  if (t === "datetime") return FUNCTIONS.todatetime[1]([value], "ToDateTime");
+  return value;
+}
+
+/**
+ * The value a tester typed. Text is taken literally — `+4570101010` is a string,
+ * not an expression — then converted for `type`. Empty text and NOT_SET are
+ * NOT_SET; a collection is comma-separated.
+ */
+export function parseInputValue(text, type) {
+  const s = String(text == null ? "" : text).trim();
+  if (!s || s === "NOT_SET") return null;
+  if (String(type || "").toLowerCase().endsWith("collection")) return coerce(s.split(",").map((x) => x.trim()), type);
+  return coerce(s, type || "string");
+}
@@ -0,0 +1,443 @@
+/**
+ * Flow lint — static checks over a parsed Architect flow.
+ *
+ *   lintFlow(data, { disabled, prompts }) → { findings[], skipped[] }
+ *   lintSummary(findings)                 → "1 error, 4 warnings, 2 info"
+ *
+ * `data` is what parseFlowYaml (flowYaml.js) returns. Each rule in LINT_RULES is
+ * one function over it; `disabled` switches rules off by id, which is how an
+ * org's rule set is applied (kept per org by /api/flow-lint-rules). A finding
+ * names the node it is about, so the page can take the reader to it.
+ *
+ * Where flowTestCases.js reports what it trips over while walking paths, this
+ * looks at the whole flow at once, paths or not: a task nothing reaches, a
+ * variable nobody reads, a transfer with nowhere to go when it fails.
+ *
+ * The prompt check needs the org's user prompts and the languages each has a
+ * resource for (`prompts`: Map lower-cased name → Set of lower-cased language
+ * codes). Without them it is skipped, and says so.
+ *
+ * No DOM, no network: Flows › Flow Lint draws the result.
+ */
+
+export const SEVERITIES = Object.freeze({
+  error:   { label: "Error",   order: 0 },
+  warning: { label: "Warning", order: 1 },
+  info:    { label: "Info",    order: 2 },
+});
+
+export const LINT_RULES = Object.freeze([
+  {
+    id: "unreachable-task",
+    label: "Unreachable tasks",
+    severity: "warning",
+    description: "A task, menu, state or bot that nothing reaches from the start of the flow or its error handler.",
+  },
+  {
+    id: "unread-variable",
+    label: "Variables set but never read",
+    severity: "info",
+    description: "A declared variable that is assigned but never used afterwards (flow outputs excepted).",
+  },
+  {
+    id: "unset-variable",
+    label: "Variables read but never set",
+    severity: "warning",
+    description: "A declared variable that is used but never assigned, has no initial value and is not an input — it is NOT_SET wherever it is read.",
+  },
+  {
+    id: "data-action-failure-disconnect",
+    label: "Data action failure ends in a disconnect",
+    severity: "warning",
+    description: "A data action whose Failure or Timeout output leads straight to a Disconnect.",
+  },
+  {
+    id: "hardcoded-queue",
+    label: "Hard-coded queues",
+    severity: "info",
+    description: "A queue chosen by name in the flow rather than looked up — moving the flow needs a queue of exactly that name.",
+  },
+  {
+    id: "hardcoded-skill",
+    label: "Hard-coded skills",
+    severity: "info",
+    description: "An ACD or language skill chosen by name in the flow rather than looked up.",
+  },
+  {
+    id: "transfer-no-failure",
+    label: "Transfers without a failure path",
+    severity: "warning",
+    description: "A transfer with nothing on its Failure output, so a failed transfer ends the interaction.",
+  },
+  {
+    id: "loop-no-exit",
+    label: "Loops without an exit",
+    severity: "error",
+    description: "Actions that lead round in a circle with no branch out: no ending, no transfer, nothing leaving the circle.",
+  },
+  {
+    id: "missing-prompt-language",
+    label: "Prompts missing a supported language",
+    severity: "warning",
+    description: "A user prompt the flow plays that has no resource for one of the flow's supported languages.",
+  },
+]);
+
+const RULE_BY_ID = new Map(LINT_RULES.map((r) => [r.id, r]));
+
+/** Failure-type outputs of a data action. */
+const FAILURE_OUTPUT_RE = /^(failure|timeout)$/i;
+
+/** How far a failure path is followed before it is taken to go somewhere. */
+const FOLLOW_LIMIT = 50;
+
+// ── Graph helpers ────────────────────────────────────────────────────────────
+
+function indexGraph(data) {
+  const taskById = new Map((data.tasks || []).map((t) => [t.id, t]));
+  const outEdges = new Map();
+  for (const e of data.edges || []) {
+    if (!outEdges.has(e.source)) outEdges.set(e.source, []);
+    outEdges.get(e.source).push(e);
+  }
+  return { taskById, outEdges, actionById: data.actionById || new Map() };
+}
+
+/** The action an edge leads to: a jump to a container lands on its entry. */
+function resolve(g, target) {
+  if (!target) return null;
+  const t = g.taskById.get(target);
+  return t ? t.entryId || null : target;
+}
+
+function isEnding(a) {
+  return !!a && (a.kind === "end" || a.kind === "transfer");
+}
+
+function containerKind(t) {
+  return t.isMenu ? "Menu" : t.isState ? "State" : t.isBot ? "Bot" : "Task";
+}
+
+function finding(ruleId, at, message, detail) {
+  return {
+    rule: ruleId,
+    severity: RULE_BY_ID.get(ruleId).severity,
+    message,
+    detail: detail || "",
+    nodeId: at ? at.id : null,
+    task: at ? at.taskName || "" : "",
+    action: at ? at.name || "" : "",
+  };
+}
+
+// ── Rules ────────────────────────────────────────────────────────────────────
+
+function unreachableTasks(data, g) {
+  const reached = new Set();
+  const seen = new Set();
+  const queue = [];
+  for (const t of data.tasks || []) {
+    if (!t.isStart && !t.isHandler) continue;
+    reached.add(t.id);
+    if (t.entryId) queue.push(t.entryId);
+  }
+  while (queue.length) {
+    const n = queue.pop();
+    if (seen.has(n)) continue;
+    seen.add(n);
+    const a = g.actionById.get(n);
+    if (a) reached.add(a.taskId);
+    for (const e of g.outEdges.get(n) || []) {
+      if (g.taskById.has(e.target)) reached.add(e.target);
+      const next = resolve(g, e.target);
+      if (next) queue.push(next);
+    }
+  }
+  return (data.tasks || [])
+    .filter((t) => !reached.has(t.id))
+    .map((t) => ({
+      ...finding("unreachable-task", null, `${containerKind(t)} "${t.name}" is never reached — nothing jumps to it or calls it from the start of the flow.`),
+      nodeId: t.id,
+      task: t.name,
+    }));
+}
+
+/** Declared variable name → { reads: [action], writes: [action] }. */
+function variableAccess(data, g) {
+  const access = new Map((data.variables || []).map((v) => [v.name, { variable: v, reads: [], writes: [] }]));
+  for (const a of g.actionById.values()) {
+    for (const name of a.reads || []) access.get(name)?.reads.push(a);
+    for (const name of a.writes || []) access.get(name)?.writes.push(a);
+  }
+  return access;
+}
+
+function unreadVariables(data, g) {
+  const out = [];
+  for (const { variable: v, reads, writes } of variableAccess(data, g).values()) {
+    if (!writes.length || reads.length || v.isOutput) continue;
+    out.push(finding("unread-variable", writes[0],
+      `${v.name} is set but never read.`,
+      `Set in ${writes.length} place(s): ${writes.map((a) => a.name).join(", ")}`));
+  }
+  return out;
+}
+
+function unsetVariables(data, g) {
+  const out = [];
+  for (const { variable: v, reads, writes } of variableAccess(data, g).values()) {
+    if (!reads.length || writes.length || v.isInput || v.initialText) continue;
+    out.push(finding("unset-variable", reads[0],
+      `${v.name} is read but never set — it is NOT_SET wherever it is used.`,
+      `Read in ${reads.length} place(s): ${reads.map((a) => a.name).join(", ")}`));
+  }
+  return out;
+}
+
+/**
+ * A data action's Failure or Timeout branch, followed through the actions with
+ * only one way on, ends at a Disconnect. A branch that leads where Success does
+ * is not handling the failure at all, so it is not this rule's business.
+ * Workflows have no caller to disconnect.
+ */
+function dataActionFailureDisconnect(data, g) {
+  if (data.meta && data.meta.type === "workflow") return [];
+  const out = [];
+  for (const a of g.actionById.values()) {
+    if (a.actionKey !== "callData") continue;
+    const outs = g.outEdges.get(a.id) || [];
+    const success = outs.find((e) => /^success$/i.test(e.label));
+    for (const e of outs) {
+      if (!FAILURE_OUTPUT_RE.test(e.label)) continue;
+      if (success && success.target === e.target) continue;
+      let cur = resolve(g, e.target);
+      let played = false;
+      const seen = new Set();
+      for (let i = 0; cur && i < FOLLOW_LIMIT && !seen.has(cur); i++) {
+        seen.add(cur);
+        const b = g.actionById.get(cur);
+        if (!b) break;
+        if (b.actionKey === "disconnect") {
+          out.push(finding("data-action-failure-disconnect", a,
+            `Data action "${a.name}" disconnects the caller on ${e.label}${played ? "" : " without playing them anything"}.`,
+            `${e.label} → ${b.name} (${b.taskName})`));
+          break;
+        }
+        if (b.kind === "audio") played = true;
+        if (isEnding(b)) break;
+        const next = g.outEdges.get(cur) || [];
+        if (next.length !== 1) break;
+        cur = resolve(g, next[0].target);
+      }
+    }
+  }
+  return out;
+}
+
+function hardcoded(ruleId, type, noun) {
+  return (data, g) => {
+    const out = [];
+    for (const dep of data.dependencies || []) {
+      if (dep.type !== type) continue;
+      for (const u of dep.usages || []) {
+        const a = g.actionById.get(u.actionId);
+        out.push(finding(ruleId, a || { id: u.actionId, name: u.actionName, taskName: u.taskName },
+          `${noun} "${dep.name}" is chosen by name.`,
+          `Another org needs a ${noun.toLowerCase()} of exactly this name; a data table or variable keeps it configurable.`));
+      }
+    }
+    return out;
+  };
+}
+
+function transfersWithoutFailure(data, g) {
+  const out = [];
+  for (const a of g.actionById.values()) {
+    if (a.kind !== "transfer") continue;
+    const outs = g.outEdges.get(a.id) || [];
+    if (outs.some((e) => /fail/i.test(e.label))) continue;
+    out.push(finding("transfer-no-failure", a,
+      `Transfer "${a.name}" has no Failure path — if the transfer fails, the interaction ends.`));
+  }
+  return out;
+}
+
+/**
+ * Strongly connected components of the action graph (Tarjan's, iterative: a
+ * large flow would run the recursive form out of stack, as the test case walk
+ * once did).
+ */
+function components(g) {
+  const index = new Map();
+  const low = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const comps = [];
+  let counter = 0;
+  const succ = (n) => (g.outEdges.get(n) || []).map((e) => resolve(g, e.target)).filter((t) => t && g.actionById.has(t));
+
+  for (const root of g.actionById.keys()) {
+    if (index.has(root)) continue;
+    const work = [{ n: root, next: succ(root), i: 0 }];
+    index.set(root, counter); low.set(root, counter); counter++;
+    stack.push(root); onStack.add(root);
+    while (work.length) {
+      const top = work[work.length - 1];
+      if (top.i < top.next.length) {
+        const m = top.next[top.i++];
+        if (!index.has(m)) {
+          index.set(m, counter); low.set(m, counter); counter++;
+          stack.push(m); onStack.add(m);
+          work.push({ n: m, next: succ(m), i: 0 });
+        } else if (onStack.has(m)) {
+          low.set(top.n, Math.min(low.get(top.n), index.get(m)));
+        }
+        continue;
+      }
+      work.pop();
+      if (work.length) {
+        const parent = work[work.length - 1].n;
+        low.set(parent, Math.min(low.get(parent), low.get(top.n)));
+      }
+      if (low.get(top.n) === index.get(top.n)) {
+        const comp = [];
+        let m;
+        do { m = stack.pop(); onStack.delete(m); comp.push(m); } while (m !== top.n);
+        comps.push(comp);
+      }
+    }
+  }
+  return comps;
+}
+
+/**
+ * A circle of actions is only a problem when nothing in it leads out. Anything
+ * that ends the interaction counts as a way out, as does a branch off the end
+ * of the task — a loop action that has run its count, or a called task
+ * returning. So a Loop with a count is never flagged; two tasks that jump to
+ * each other on every branch are.
+ */
+function loopsWithoutExit(data, g) {
+  const out = [];
+  for (const comp of components(g)) {
+    const inside = new Set(comp);
+    const only = comp.length === 1 ? comp[0] : null;
+    if (only && !(g.outEdges.get(only) || []).some((e) => resolve(g, e.target) === only)) continue;
+    const leaves = comp.some((n) => {
+      const a = g.actionById.get(n);
+      if (isEnding(a) || a.endsTask) return true;
+      const outs = g.outEdges.get(n) || [];
+      if (!outs.length) return true;
+      return outs.some((e) => !inside.has(resolve(g, e.target)));
+    });
+    if (leaves) continue;
+    const actions = comp.map((n) => g.actionById.get(n));
+    const tasks = [...new Set(actions.map((a) => a.taskName))];
+    out.push(finding("loop-no-exit", actions[actions.length - 1],
+      `${actions.length} action(s) in ${tasks.map((t) => `"${t}"`).join(", ")} go round in a circle with no way out.`,
+      actions.map((a) => a.name).join(" → ")));
+  }
+  return out;
+}
+
+/** User prompts the flow plays, by the name the org knows them by. */
+function promptsUsed(data, g) {
+  const used = new Map(); // lower-cased name → { name, actions[] }
+  const add = (name, a) => {
+    const key = name.toLowerCase();
+    if (!used.has(key)) used.set(key, { name, actions: [] });
+    const entry = used.get(key);
+    if (!entry.actions.includes(a)) entry.actions.push(a);
+  };
+  for (const a of g.actionById.values()) {
+    for (const v of Object.values(a.props || {})) {
+      for (const m of String(v).matchAll(/\bPrompt\.([A-Za-z0-9_]+)/g)) add(m[1], a);
+    }
+  }
+  for (const dep of data.dependencies || []) {
+    if (dep.type !== "prompt") continue;
+    for (const u of dep.usages || []) {
+      const a = g.actionById.get(u.actionId);
+      if (a) add(dep.name.replace(/^Prompt\./, ""), a);
+    }
+  }
+  return used;
+}
+
+function missingPromptLanguages(data, g, { prompts }) {
+  const languages = ((data.meta && data.meta.supportedLanguages) || []).map((l) => l.toLowerCase());
+  if (!languages.length) return [];
+  const out = [];
+  for (const { name, actions } of promptsUsed(data, g).values()) {
+    const where = `Played by ${actions.length} action(s): ${actions.map((a) => a.name).join(", ")}`;
+    const has = prompts.get(name.toLowerCase());
+    if (!has) {
+      out.push({
+        ...finding("missing-prompt-language", actions[0],
+          `Prompt.${name} is not one of the org's user prompts (a system prompt, or one that was deleted).`, where),
+        severity: "info",
+      });
+      continue;
+    }
+    const missing = languages.filter((l) => !has.has(l));
+    if (!missing.length) continue;
+    out.push(finding("missing-prompt-language", actions[0],
+      `Prompt.${name} has no ${missing.join(", ")} resource.`, where));
+  }
+  return out;
+}
+
+const CHECKS = {
+  "unreachable-task": unreachableTasks,
+  "unread-variable": unreadVariables,
+  "unset-variable": unsetVariables,
+  "data-action-failure-disconnect": dataActionFailureDisconnect,
+  "hardcoded-queue": hardcoded("hardcoded-queue", "queue", "Queue"),
+  "hardcoded-skill": hardcoded("hardcoded-skill", "skill", "Skill"),
+  "transfer-no-failure": transfersWithoutFailure,
+  "loop-no-exit": loopsWithoutExit,
+  "missing-prompt-language": missingPromptLanguages,
+};
+
+// ── Lint ─────────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} data  parsed flow (parseFlowYaml)
+ * @param {object} [opts]
+ * @param {string[]} [opts.disabled]  rule ids switched off for this org
+ * @param {Map<string, Set<string>>|null} [opts.prompts]  the org's user prompts → languages
+ * @returns {{ findings: object[], skipped: { rule: string, reason: string }[] }}
+ */
+export function lintFlow(data, opts = {}) {
+  const disabled = new Set(opts.disabled || []);
+  const ctx = { prompts: opts.prompts || null };
+  const g = indexGraph(data);
+  const findings = [];
+  const skipped = [];
+  for (const rule of LINT_RULES) {
+    if (disabled.has(rule.id)) { skipped.push({ rule: rule.id, reason: "Switched off for this org" }); continue; }
+    if (rule.id === "missing-prompt-language" && !ctx.prompts) {
+      skipped.push({ rule: rule.id, reason: "The org's prompts could not be read" });
+      continue;
+    }
+    findings.push(...CHECKS[rule.id](data, g, ctx));
+  }
+  findings.sort((a, b) =>
+    SEVERITIES[a.severity].order - SEVERITIES[b.severity].order
+    || a.task.localeCompare(b.task)
+    || a.action.localeCompare(b.action));
+  return { findings, skipped };
+}
+
+/** One line for the status bar. */
+export function lintSummary(findings) {
+  if (!findings.length) return "No findings";
+  return Object.entries(SEVERITIES)
+    .map(([key, s]) => {
+      const n = findings.filter((f) => f.severity === key).length;
+      if (!n) return "";
+      return key === "info" ? `${n} info` : `${n} ${s.label.toLowerCase()}${n === 1 ? "" : "s"}`;
+    })
+    .filter(Boolean)
+    .join(", ");
+}
@@ -0,0 +1,549 @@
+/**
+ * Flow simulator — runs a parsed Architect flow against one scenario and
+ * records the path it takes.
+ *
+ *   scenarioInputs(data)              → what the flow asks a scenario for
+ *   simulate(data, scenario)          → { steps[], outcome, assumptions[], variables }
+ *   pathOf(result)                    → ["Main › Check VIP → Yes", …]
+ *   expectationOf(result)             → { outcome, path } — what a saved scenario expects
+ *   compareRun(expected, result)      → { status, step, expected, actual }
+ *
+ * Where flowTestCases.js enumerates the paths a flow has, this answers which one
+ * a given call takes. Conditions are evaluated (flowExpression.js) against the
+ * flow's variables; what the flow would learn from outside comes from the
+ * scenario:
+ *
+ *   {
+ *     now:         "2026-10-17T10:00:00Z"        what GetCurrentDateTimeUtc() returns
+ *     variables:   { "Call.Ani": "+4570101010" } call attributes and inputs, as typed
+ *     dtmf:        ["2", "4711"]                 one entry per menu or Collect Input, in order
+ *     dataTables:  [{ table, key, result, values }]   result: found | notFound | failure
+ *     dataActions: [{ action, result, values }]       result: success | failure | timeout
+ *     schedules:   { "Opening Hours": "closed", "*": "open" }   "*" = any other group
+ *     branches:    [{ task, action, branch }]    force a branch wherever an action of that name is
+ *   }
+ *
+ * A data table entry with a `key` answers only the lookup whose value matches it;
+ * one without answers the rest. What the scenario does not say is assumed — the
+ * primary branch, Found, Success, Open — and every assumption is listed with the
+ * result, so a run never looks more certain than it is. Common modules, bots and
+ * intents are not simulated: they take their primary branch unless forced.
+ *
+ * The walk is the one flowTestCases.js describes (docs/test-case-design.md §4):
+ * jumps land on the target's entry, Call Task returns and Jump to Task does not,
+ * End Task inside a called task goes back to the caller. An output the YAML
+ * leaves out continues with the next action, as an empty output does in
+ * Architect. An expression that cannot be evaluated stops the run there; in
+ * Architect it would take the flow's error handling, which is not followed.
+ *
+ * No DOM, no network: Flows › Flow Simulator runs it and keeps the scenarios.
+ */
+
+import { coerce, evaluate, formatValue, parseInputValue } from "./flowExpression.js";
+
+/** Ceiling on steps per run; a loop whose exit never comes true stops here. */
+export const MAX_STEPS = 1000;
+
+/** The results a scenario can give, per kind of outside answer. */
+export const RESULT_OPTIONS = Object.freeze({
+  dataTable:  [["found", "Found"], ["notFound", "Not Found"], ["failure", "Failure"]],
+  dataAction: [["success", "Success"], ["failure", "Failure"], ["timeout", "Timeout"]],
+  schedule:   [["open", "Open"], ["closed", "Closed"], ["holiday", "Holiday"], ["emergency", "Emergency"]],
+});
+
+const LOOP_KEYS = new Set(["loop", "loopAnythingElse"]);
+const TASK_SCOPED_ENDINGS = new Set(["endTask", "endState"]);
+const ENDING_KINDS = new Set(["end", "transfer"]);
+
+/** Branch labels taken when nothing decides, best first — as in flowTestCases.js. */
+const PRIMARY_LABELS = ["", "success", "found", "default", "next", "complete", "out", "exit", "yes", "call"];
+
+/** Actions whose writes the simulator makes itself. */
+const SIMULATED_WRITES = new Set(["updateData", "dataTableLookup", "callData", "collectInput", "loop"]);
+
+/** Set by the simulator itself, so not asked of a scenario. */
+const BUILT_IN = new Set(["Flow.StartDateTimeUtc"]);
+
+/** Attribute scopes a flow reads without declaring them. */
+const ATTRIBUTE_RE = /\b(?:Call|Session|Message|Email|Chat|Interaction|Flow|System)\.[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*/g;
+
+// ── Scenario ─────────────────────────────────────────────────────────────────
+
+export function emptyScenario() {
+  return { now: "", variables: {}, dtmf: [], dataTables: [], dataActions: [], schedules: {}, branches: [] };
+}
+
+/** A scenario with every field present and of the right shape, whatever was stored. */
+export function normalizeScenario(s) {
+  const src = s && typeof s === "object" ? s : {};
+  const obj = (v) => (v && typeof v === "object" && !Array.isArray(v) ? v : {});
+  const arr = (v) => (Array.isArray(v) ? v : []);
+  return {
+    now: typeof src.now === "string" ? src.now : "",
+    variables: obj(src.variables),
+    dtmf: arr(src.dtmf).map(String),
+    dataTables: arr(src.dataTables).filter((e) => e && e.table),
+    dataActions: arr(src.dataActions).filter((e) => e && e.action),
+    schedules: obj(src.schedules),
+    branches: arr(src.branches).filter((b) => b && b.action && b.branch),
+  };
+}
+
+/** Every expression text in the flow, for finding the attributes it reads. */
+function expressionsOf(data) {
+  const out = [];
+  for (const v of data.variables || []) if (v.initialExpr) out.push(v.initialExpr);
+  for (const a of data.actionById.values()) {
+    if (a.exprText) out.push(a.exprText);
+    for (const c of a.cases || []) if (c.exprText) out.push(c.exprText);
+    for (const s of a.sets || []) if (s.expr) out.push(s.expr);
+    for (const i of a.inputs || []) if (i.expr) out.push(i.expr);
+  }
+  return out;
+}
+
+/**
+ * What a scenario for this flow can fill in: the call attributes and inputs it
+ * reads, the data tables and data actions it calls (with the columns and outputs
+ * it keeps), the schedule groups it evaluates by name, and whether it takes
+ * key presses.
+ */
+export function scenarioInputs(data) {
+  const declared = new Map((data.variables || []).map((v) => [v.name, v]));
+  const attrs = new Set();
+  for (const text of expressionsOf(data)) {
+    // String literals can look like attributes ("Call.Ani is missing").
+    const code = text.replace(/"(?:[^"\\]|\\.)*"/g, "\"\"");
+    for (const m of code.match(ATTRIBUTE_RE) || []) {
+      // The longest declared prefix is the variable; undeclared, the whole name is.
+      const parts = m.split(".");
+      let name = m;
+      for (let n = parts.length; n > 1; n--) {
+        if (declared.has(parts.slice(0, n).join("."))) { name = parts.slice(0, n).join("."); break; }
+      }
+      if (!declared.has(name) && !BUILT_IN.has(name)) attrs.add(name);
+    }
+  }
+  const attributes = [
+    ...[...attrs].sort().map((name) => ({ name, type: "string", source: "attribute" })),
+    ...(data.variables || []).filter((v) => v.isInput).map((v) => ({ name: v.name, type: v.type, source: "input" })),
+  ];
+
+  const dataTables = new Map(), dataActions = new Map(), groups = new Set();
+  let dynamicGroups = false, usesDtmf = false;
+  for (const a of data.actionById.values()) {
+    if (a.actionKey === "dataTableLookup" && a.depName) {
+      if (!dataTables.has(a.depName)) dataTables.set(a.depName, new Set());
+      for (const o of a.outputs) if (o.on === "found") dataTables.get(a.depName).add(o.name);
+    }
+    if (a.actionKey === "callData" && a.depName) {
+      if (!dataActions.has(a.depName)) dataActions.set(a.depName, new Set());
+      for (const o of a.outputs) if (o.on === "success") dataActions.get(a.depName).add(o.name);
+    }
+    if (a.actionKey === "evaluateScheduleGroup") {
+      for (const i of a.inputs.filter((x) => x.name === "scheduleGroup")) {
+        const m = /^"((?:[^"\\]|\\.)*)"$/.exec(i.expr);
+        if (m) groups.add(m[1].replace(/\\(.)/g, "$1"));
+        else dynamicGroups = true;
+      }
+    }
+    if (a.actionKey === "menu" || a.actionKey === "getInput" || a.actionKey === "collectInput") usesDtmf = true;
+  }
+  const listOf = (map, field) => [...map].sort((x, y) => x[0].localeCompare(y[0]))
+    .map(([name, cols]) => ({ name, [field]: [...cols].sort() }));
+
+  return {
+    attributes,
+    variables: (data.variables || []).filter((v) => !v.isInput).map((v) => ({ name: v.name, type: v.type })),
+    dataTables: listOf(dataTables, "columns"),
+    dataActions: listOf(dataActions, "outputs"),
+    scheduleGroups: [...groups].sort(),
+    dynamicGroups,
+    usesDtmf,
+  };
+}
+
+// ── Graph ────────────────────────────────────────────────────────────────────
+
+function indexGraph(data) {
+  const outEdges = new Map();
+  for (const e of data.edges || []) {
+    if (!outEdges.has(e.source)) outEdges.set(e.source, []);
+    outEdges.get(e.source).push(e);
+  }
+  return {
+    outEdges,
+    nodeById: new Map((data.nodes || []).map((n) => [n.id, n])),
+    taskById: new Map((data.tasks || []).map((t) => [t.id, t])),
+    actionById: data.actionById,
+    types: new Map((data.variables || []).map((v) => [v.name, v.type])),
+  };
+}
+
+/** "Not Found", "notFound" and "not found" are one label. */
+const labelKey = (l) => String(l || "").replace(/\s+/g, "").toLowerCase();
+
+/** Where an edge lands: a task's entry for a jump, else its target. */
+function landing(g, edge) {
+  if (!edge || !edge.target) return null;
+  const task = g.taskById.get(edge.target);
+  return task ? task.entryId || null : edge.target;
+}
+
+/** Is `nodeId` inside `containerId` (a loop), however deep? */
+function isInside(g, nodeId, containerId) {
+  let n = g.nodeById.get(nodeId);
+  for (let hops = 0; n && hops < 50; hops++) {
+    if (n.parent === containerId) return true;
+    n = g.nodeById.get(n.parent);
+  }
+  return false;
+}
+
+// ── Run ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Run `data` (parseFlowYaml) through `scenario`. Never throws for something the
+ * flow or the scenario does: that becomes the outcome or an assumption.
+ */
+export function simulate(data, scenario, { maxSteps = MAX_STEPS } = {}) {
+  const g = indexGraph(data);
+  const sc = normalizeScenario(scenario);
+  const now = sc.now && !isNaN(new Date(sc.now)) ? new Date(sc.now) : new Date();
+  const vars = new Map();
+  const scope = { has: (n) => vars.has(n), get: (n) => vars.get(n), now };
+  const assumptions = [];
+  const steps = [];
+  let dtmfAt = 0;
+
+  // Declared variables at their initial values, then the scenario's.
+  for (const v of data.variables || []) {
+    let value = null;
+    if (v.initialExpr) {
+      try { value = coerce(evaluate(v.initialExpr, scope), v.type); } catch (err) {
+        assumptions.push(`Initial value of ${v.name} could not be evaluated (${err.message}) — NOT_SET`);
+      }
+    }
+    vars.set(v.name, value);
+  }
+  vars.set("Flow.StartDateTimeUtc", now);
+  for (const [name, text] of Object.entries(sc.variables)) {
+    try { vars.set(name, parseInputValue(text, g.types.get(name) || "string")); } catch (err) {
+      assumptions.push(`${name}: "${text}" — ${err.message}; left as it was`);
+    }
+  }
+
+  const forced = (action) => sc.branches.find((b) =>
+    b.action === action.name && (!b.task || b.task === action.taskName));
+
+  const start = (data.tasks || []).find((t) => t.isStart);
+  let cur = start ? start.entryId : null;
+  let prev = null;
+  const stack = [];
+  const loops = new Map(); // loop id → { count, index }
+  let outcome = start ? null : { kind: "stuck", text: "The flow has no starting task" };
+
+  while (cur && !outcome) {
+    if (steps.length >= maxSteps) {
+      outcome = { kind: "limit", text: `Stopped after ${maxSteps} steps — the flow may be going round a loop` };
+      break;
+    }
+    const action = g.actionById.get(cur);
+    if (!action) { outcome = { kind: "stuck", text: "The path left the flow's actions" }; break; }
+    const outs = g.outEdges.get(cur) || [];
+    const step = {
+      index: steps.length + 1, nodeId: cur, task: action.taskName, action: action.name,
+      actionKey: action.actionKey, kind: action.kind, branch: "", edgeId: "", decidedBy: "",
+      options: outs.map((e) => e.label || "Next"), note: "", changes: [], values: null,
+    };
+    steps.push(step);
+
+    const assign = (name, value) => {
+      const typed = coerce(value, g.types.get(name));
+      vars.set(name, typed);
+      step.changes.push({ variable: name, value: formatValue(typed) });
+    };
+    const input = (name) => {
+      const i = action.inputs.find((x) => x.name === name);
+      return i && i.expr ? evaluate(i.expr, scope) : null;
+    };
+    const assume = (text) => { assumptions.push(`Step ${step.index} (${action.name}): ${text}`); step.decidedBy = "assumed"; };
+
+    let decision;
+    try {
+      decision = decide(g, action, outs, { prev, loops, forced, assign, input, assume, scope, sc, step, types: g.types, nextDtmf: () => sc.dtmf[dtmfAt++] });
+    } catch (err) {
+      decision = { outcome: { kind: "stuck", text: `Stopped at "${action.name}": ${err.message}` } };
+    }
+    step.values = Object.fromEntries([...vars].map(([k, v]) => [k, formatValue(v)]));
+
+    if (decision.outcome) { outcome = { ...decision.outcome, nodeId: cur }; break; }
+    step.branch = decision.label || "";
+    step.edgeId = decision.edge ? decision.edge.id : "";
+    prev = cur;
+
+    if (decision.returns) {
+      if (stack.length) { cur = stack.pop(); continue; }
+      outcome = { kind: "end", text: "End of flow — nothing follows, so Architect disconnects", nodeId: cur };
+      break;
+    }
+    if (decision.edge && decision.edge.kind === "jump" && action.actionKey === "callTask") {
+      const ret = outs.find((e) => e.kind !== "jump" && (!e.label || labelKey(e.label) === "default"));
+      if (ret) stack.push(ret.target);
+    }
+    const next = decision.edge ? landing(g, decision.edge) : decision.target || null;
+    if (next) { cur = next; continue; }
+    if (stack.length) { cur = stack.pop(); continue; }
+    outcome = { kind: "end", text: "End of flow — nothing follows, so Architect disconnects", nodeId: cur };
+  }
+
+  return {
+    steps,
+    outcome: outcome || { kind: "stuck", text: "The path did not resolve" },
+    assumptions,
+    variables: Object.fromEntries([...vars].map(([k, v]) => [k, formatValue(v)])),
+  };
+}
+
+/**
+ * What happens at one action. Returns { edge } or { target } to carry on (with
+ * the branch `label`), { returns } at the end of a sequence, or { outcome }.
+ */
+function decide(g, action, outs, ctx) {
+  const key = action.actionKey;
+  const { step } = ctx;
+  const byLabel = (label) => outs.find((e) => labelKey(e.label) === labelKey(label));
+  // The branch named `label`; one the YAML left out carries on with the next action.
+  const take = (label, how) => {
+    step.decidedBy = step.decidedBy || how;
+    const edge = byLabel(label);
+    if (edge) return { edge, label: edge.label || label };
+    if (action.nextId) {
+      step.note = [step.note, `no ${label} path of its own — carries on`].filter(Boolean).join("; ");
+      return { target: action.nextId, label };
+    }
+    return { returns: true, label };
+  };
+
+  // A forced branch beats everything the action would decide itself.
+  const force = ctx.forced(action);
+  if (force && outs.length) {
+    const edge = byLabel(force.branch);
+    if (edge) {
+      step.decidedBy = "forced";
+      return { edge, label: edge.label || force.branch };
+    }
+    ctx.assume(`forced branch "${force.branch}" does not exist here`);
+  }
+
+  if (LOOP_KEYS.has(key)) return loopStep(g, action, outs, ctx, take);
+
+  switch (key) {
+    case "decision": {
+      const v = evaluate(action.exprText, ctx.scope);
+      if (typeof v !== "boolean") throw new Error(`the condition gave ${formatValue(v)}, not true or false`);
+      step.note = `${action.exprText} → ${v}`;
+      return take(v ? "Yes" : "No", "condition");
+    }
+    case "switch": {
+      for (const c of action.cases) {
+        if (!c.exprText) continue;
+        const v = evaluate(c.exprText, ctx.scope);
+        if (v === true) { step.note = `${c.label}: ${c.exprText}`; return take(c.label, "condition"); }
+      }
+      step.note = "No case is true";
+      return take("Default", "condition");
+    }
+    case "updateData":
+      runAssignments(action, ctx);
+      break;
+    case "dataTableLookup":
+      return lookupStep(action, ctx, take);
+    case "callData":
+      return dataActionStep(action, ctx, take);
+    case "evaluateScheduleGroup": {
+      const group = formatValue(ctx.input("scheduleGroup") || action.depName || null);
+      let state = ctx.sc.schedules[group] || ctx.sc.schedules["*"];
+      if (!state) { state = "open"; ctx.assume(`no state given for schedule group "${group}" — assumed Open`); }
+      step.note = `Schedule group ${group}: ${labelOf(RESULT_OPTIONS.schedule, state)}`;
+      return take(labelOf(RESULT_OPTIONS.schedule, state), "scenario");
+    }
+    case "menu":
+    case "getInput": {
+      const entry = ctx.nextDtmf();
+      if (entry == null) return { outcome: { kind: "stuck", text: `Menu "${action.name}" waits for a key press — add DTMF input to the scenario` } };
+      const pressed = String(entry).trim();
+      const edge = outs.find((e) => String(e.label).split(" · ")[0] === pressed)
+        || outs.find((e) => labelKey(String(e.label).split(" · ").pop()) === labelKey(pressed));
+      if (!edge) return { outcome: { kind: "stuck", text: `Menu "${action.name}" has no choice for "${pressed}"` } };
+      step.decidedBy = "scenario";
+      step.note = `Caller pressed ${pressed}`;
+      return { edge, label: edge.label };
+    }
+    case "collectInput": {
+      const entry = ctx.nextDtmf();
+      const digits = entry == null ? "" : String(entry).trim();
+      if (!digits) { step.note = "No input"; return take("Failure", "scenario"); }
+      step.note = `Caller entered ${digits}`;
+      for (const o of action.outputs) if (o.on === "success") ctx.assign(o.variable, digits);
+      const edge = outs.find((e) => ["success", "next", ""].includes(labelKey(e.label)));
+      step.decidedBy = "scenario";
+      return edge ? { edge, label: edge.label || "Success" } : { target: action.nextId, label: "Success" };
+    }
+    case "callCommonModule":
+      step.note = `Common module "${action.depName || action.name}" is not simulated`;
+      break;
+    default:
+      break;
+  }
+
+  if (action.writes.length && !SIMULATED_WRITES.has(key)) {
+    step.note = [step.note, `sets ${action.writes.join(", ")} — not simulated, left as they were`].filter(Boolean).join("; ");
+  }
+
+  // Endings. A transfer with a Failure output still ends here unless forced.
+  if (ENDING_KINDS.has(action.kind)) {
+    if (TASK_SCOPED_ENDINGS.has(key)) return { returns: true, label: "" };
+    const kind = action.kind === "transfer" ? "transfer" : key === "disconnect" ? "disconnect" : "end";
+    return { outcome: { kind, text: describeEnding(action, ctx) } };
+  }
+  if (!outs.length) return { returns: true, label: "" };
+  if (outs.length === 1) return { edge: outs[0], label: outs[0].label };
+
+  // Several ways on and nothing to decide between them: the primary branch.
+  const edge = PRIMARY_LABELS.map((l) => outs.find((e) => labelKey(e.label) === l)).find(Boolean) || outs[0];
+  if (key === "callTask") {
+    const call = outs.find((e) => e.kind === "jump");
+    if (call) return { edge: call, label: call.label };
+  }
+  ctx.assume(`not simulated — took "${edge.label || "Next"}"`);
+  return { edge, label: edge.label };
+}
+
+function runAssignments(action, ctx) {
+  for (const s of action.sets) {
+    let v;
+    try { v = evaluate(s.expr, ctx.scope); } catch (err) { throw new Error(`${s.target} = ${s.expr}: ${err.message}`); }
+    ctx.assign(s.target, v);
+  }
+}
+
+/** Label of a result value ("notFound" → "Not Found"). */
+function labelOf(options, value) {
+  const hit = options.find(([v]) => v === value);
+  return hit ? hit[1] : String(value || "");
+}
+
+/** Write a scenario's values to the outputs filled on `on`, typed for each variable. */
+function writeOutputs(action, on, values, ctx) {
+  for (const o of action.outputs) {
+    if (o.on !== on) continue;
+    const text = values && Object.prototype.hasOwnProperty.call(values, o.name) ? values[o.name] : "";
+    ctx.assign(o.variable, parseInputValue(text, ctx.types.get(o.variable) || "string"));
+  }
+}
+
+function lookupStep(action, ctx, take) {
+  const table = action.depName || action.name;
+  const keyValue = formatValue(ctx.input("lookupValue"));
+  const mine = ctx.sc.dataTables.filter((e) => e.table === table);
+  const entry = mine.find((e) => e.key && String(e.key) === keyValue) || mine.find((e) => !e.key);
+  let result = entry && entry.result;
+  if (!result) { result = "found"; ctx.assume(`no result given for data table "${table}" (key ${keyValue}) — assumed Found`); }
+  ctx.step.note = `Data table ${table}, key ${keyValue}: ${labelOf(RESULT_OPTIONS.dataTable, result)}`;
+  if (result === "found") writeOutputs(action, "found", entry && entry.values, ctx);
+  return take(labelOf(RESULT_OPTIONS.dataTable, result), "scenario");
+}
+
+function dataActionStep(action, ctx, take) {
+  const name = action.depName || action.name;
+  const inputs = action.inputs.map((i) => `${i.name} = ${formatValue(ctx.input(i.name))}`);
+  const entry = ctx.sc.dataActions.find((e) => e.action === name);
+  let result = entry && entry.result;
+  if (!result) { result = "success"; ctx.assume(`no result given for data action "${name}" — assumed Success`); }
+  ctx.step.note = `Data action ${name}${inputs.length ? ` (${inputs.join(", ")})` : ""}: ${labelOf(RESULT_OPTIONS.dataAction, result)}`;
+  if (result === "success") writeOutputs(action, "success", entry && entry.values, ctx);
+  return take(labelOf(RESULT_OPTIONS.dataAction, result), "scenario");
+}
+
+/**
+ * A loop runs its body `loopCount` times. Arriving from outside starts it over;
+ * arriving from its own body is the next iteration.
+ */
+function loopStep(g, action, outs, ctx, take) {
+  let st = ctx.loops.get(action.id);
+  if (!st || !ctx.prev || !isInside(g, ctx.prev, action.id)) {
+    const count = action.inputs.some((i) => i.name === "loopCount") ? ctx.input("loopCount") : null;
+    if (typeof count !== "number") {
+      if (action.actionKey === "loopAnythingElse") {
+        ctx.assume("a bot's listening loop is not simulated — took Exit");
+        return take("Exit", "assumed");
+      }
+      throw new Error(`loop count is ${formatValue(count)}, not a number`);
+    }
+    st = { count, index: 0 };
+    ctx.loops.set(action.id, st);
+  } else {
+    st.index++;
+  }
+  if (st.index < st.count && outs.some((e) => e.label === "Loop")) {
+    for (const o of action.outputs) if (o.on === "loop") ctx.assign(o.variable, st.index);
+    ctx.step.note = `Iteration ${st.index + 1} of ${st.count}`;
+    return take("Loop", "condition");
+  }
+  ctx.step.note = `Loop done after ${st.count} iteration${st.count === 1 ? "" : "s"}`;
+  return take("Exit", "condition");
+}
+
+/** How the call leaves the flow, naming what it went to where that is known. */
+function describeEnding(action, ctx) {
+  const key = action.actionKey;
+  const named = (field) => {
+    try {
+      const v = ctx.input(field);
+      if (v != null) return formatValue(v);
+    } catch { /* fall back to the literal name */ }
+    return action.depName || "";
+  };
+  if (key === "transferToAcd") return `Transferred to queue ${named("targetQueue") || "(unnamed)"}`;
+  if (key === "transferToNumber") return `Transferred to number ${named("targetNumber") || "(unnamed)"}`;
+  if (key === "transferToVoicemail" || key === "transferToGroupVoicemail") return "Sent to voicemail";
+  if (/^transferTo/.test(key)) return `Transferred: ${action.depName || action.name}`;
+  if (key === "disconnect") return `Disconnected: ${action.name}`;
+  if (key === "exitBotFlow") return `Bot flow exits: ${action.name}`;
+  if (TASK_SCOPED_ENDINGS.has(key)) return `"${action.name}" — nothing follows, so Architect disconnects`;
+  return `Flow ends: ${action.name}`;
+}
+
+// ── Regression ───────────────────────────────────────────────────────────────
+
+/** The path as one line per step: task › action → branch. */
+export function pathOf(result) {
+  return result.steps.map((s) => `${s.task} › ${s.action}${s.branch ? ` → ${s.branch}` : ""}`);
+}
+
+/** What a saved scenario expects of later runs. */
+export function expectationOf(result) {
+  return { outcome: result.outcome.text, path: pathOf(result) };
+}
+
+/**
+ * A run against what its scenario expects: "pass" when the path and the outcome
+ * are the same, "changed" with the first step that differs when not, "new" when
+ * nothing is expected yet.
+ */
+export function compareRun(expected, result) {
+  if (!expected || !Array.isArray(expected.path)) return { status: "new", step: 0, expected: "", actual: "" };
+  const path = pathOf(result);
+  let i = 0;
+  while (i < path.length && i < expected.path.length && path[i] === expected.path[i]) i++;
+  const samePath = i === path.length && i === expected.path.length;
+  if (samePath && expected.outcome === result.outcome.text) return { status: "pass", step: 0, expected: "", actual: "" };
+  if (samePath) return { status: "changed", step: 0, expected: expected.outcome, actual: result.outcome.text };
+  return {
+    status: "changed",
+    step: i + 1,
+    expected: expected.path[i] || "(path ended)",
+    actual: path[i] || "(path ended)",
+  };
+}
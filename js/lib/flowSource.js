@@ -9,7 +9,8 @@
  *
  *   listFlows(api, orgId)                        → [{ id, name, type }]
  *   indexFlows(list)                             → { byId, byName }
- *   loadFlow(api, orgId, meta)                   → { data, varIndex, depIndex, actionIndex }
+ *   listFlowVersions(api, orgId, flowId)         → [{ id, createdDate, createdBy }], newest first
+ *   loadFlow(api, orgId, meta, { version })      → { data, varIndex, depIndex, actionIndex }
  *   discoverDepFlowIds(data, flowByName, selfId) → [flowId]
  *
  * Deliberately UI-free: no DOM, no tab state, no spinners, no caching. Callers
@@ -100,6 +101,28 @@ export function indexFlows(list) {
   };
 }
 
+/**
+ * A flow's saved versions, newest first. Version ids are "1.0", "2.0", … and
+ * sort numerically, not as text.
+ *
+ * @param {object} api     app API client
+ * @param {string} orgId   customer org id
+ * @param {string} flowId
+ * @returns {Promise<Array<{ id: string, createdDate: string, createdBy: string }>>}
+ */
+export async function listFlowVersions(api, orgId, flowId) {
+  const versions = await gc.fetchFlowVersions(api, orgId, flowId, { query: { pageSize: "100" } });
+  return (versions || [])
+    .filter((v) => v.id)
+    .map((v) => ({
+      id: String(v.id),
+      // Epoch milliseconds on this endpoint, unlike most of the API.
+      createdDate: v.createdDate ? new Date(v.createdDate).toISOString() : "",
+      createdBy: (v.createdBy && v.createdBy.name) || "",
+    }))
+    .sort((a, b) => parseFloat(b.id) - parseFloat(a.id));
+}
+
 /**
  * Fetch one flow's YAML and parse it into the node/edge model plus its three
  * cross-reference indexes. Not cached — the caller decides what to keep.
@@ -107,12 +130,13 @@ export function indexFlows(list) {
  * @param {object} api    app API client
  * @param {string} orgId  customer org id
  * @param {{ name: string, type: string }} meta  from listFlows
+ * @param {{ version?: string }} [opts]  a saved version ("3.0"); the latest when omitted
  * @returns {Promise<{ data: object, varIndex: Map, depIndex: Map, actionIndex: Map }>}
  */
-export async function loadFlow(api, orgId, meta) {
+export async function loadFlow(api, orgId, meta, { version } = {}) {
   const resp = await api.appRequest("/api/flow-yaml", {
     method: "POST",
-    body: { orgId, flowName: meta && meta.name, flowType: meta && meta.type },
+    body: { orgId, flowName: meta && meta.name, flowType: meta && meta.type, ...(version ? { flowVersion: version } : {}) },
   });
   if (!resp || !resp.yaml) throw new Error((resp && resp.error) || "no YAML returned");
   if (!window.jsyaml) throw new Error("YAML parser not loaded (js/lib/js-yaml.min.js).");
@@ -15,6 +15,11 @@
  *   buildVariableIndex(data)         → Map varName → { variable, usages[] }
  *   buildDependencyIndex(data)       → Map depKey → { id, name, type, usages[] }
  *   buildActionIndex(data)           → Map actionId → normalized action
+ *
+ * Alongside display text, actions keep what the flow simulator needs to run
+ * them: `expr` on each assignment, `inputs` ({ name, expr }) and `outputs`
+ * ({ name, variable, on }) on lookups, data actions, collected input, loops and
+ * schedule evaluations, and `nextId`, where the sequence continues.
  */
 
 import { ACTION_KINDS } from "./flowModel.js";
@@ -61,6 +66,29 @@ function valueText(v) {
   if (typeof v.var === "string") return v.var;
   return "";
 }
+/**
+ * A value node as an expression that can be evaluated (js/lib/flowExpression.js):
+ * `exp` as written, a literal quoted back into Architect syntax, a bare variable
+ * as its name, `noValue` as NOT_SET. valueText renders the literal "Gold" and
+ * the expression Gold the same way — fine on a diagram, wrong for running it.
+ * A resource chosen by name (`lit: { name }`) becomes that name.
+ */
+function exprOf(v) {
+  if (v == null) return "";
+  if (typeof v !== "object") return literalExpr(v);
+  if (v.noValue) return "NOT_SET";
+  if (typeof v.exp === "string") return v.exp;
+  if (typeof v.var === "string") return v.var;
+  if (v.lit != null) {
+    if (typeof v.lit !== "object") return literalExpr(v.lit);
+    return v.lit.name != null ? literalExpr(String(v.lit.name)) : "";
+  }
+  return "";
+}
+function literalExpr(x) {
+  if (typeof x === "number" || typeof x === "boolean") return String(x);
+  return `"${String(x).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
 
 // ── Action classification (YAML action key → display kind) ───────────────────
 
@@ -170,6 +198,12 @@ export function parseFlowYaml(root) {
   const varNames = new Set(variables.map((v) => v.name));
   // startUpRef addresses a task OR a state, depending on the flow type.
   const startRef = jumpTargetId(flow.startUpRef);
+  // Containers entered from the flow's settings rather than from an action — an
+  // error handler's jumpToTask, chiefly. Nothing in the graph points at them.
+  const handlerRefs = new Set();
+  for (const k of Object.keys(flow)) {
+    if (!CONTAINER_KEYS.has(k)) collectJumpRefs(flow[k], handlerRefs);
+  }
 
   const tasks = [];
   const nodes = [];
@@ -188,7 +222,10 @@ export function parseFlowYaml(root) {
 
   taskList.forEach((t, i) => {
     const isStart = hasStartRef ? t.refId === startRef : (!t.isMenu && (t.isStartup || i === 0));
-    tasks.push({ id: t.refId, name: t.name, isStart, isMenu: !!t.isMenu, isState: !!t.isState, isBot: !!t.isBot });
+    tasks.push({
+      id: t.refId, name: t.name, isStart, isMenu: !!t.isMenu, isState: !!t.isState, isBot: !!t.isBot,
+      isHandler: handlerRefs.has(t.refId),
+    });
     nodes.push({ id: t.refId, kind: "task", label: t.name, isContainer: true, isStart, isMenu: !!t.isMenu, isState: !!t.isState, isBot: !!t.isBot });
     // Each task's actions reconverge to an implicit "end of task" (no node).
     // `walk` returns the id of the task's first (entry) action. In tasks whose
@@ -211,6 +248,10 @@ export function parseFlowYaml(root) {
       type: flowTypeKey,
       division: flow.division || "",
       defaultLanguage: flow.defaultLanguage || "",
+      // Keyed by language code ("en-us": { textToSpeech, … }).
+      supportedLanguages: flow.supportedLanguages && typeof flow.supportedLanguages === "object"
+        ? Object.keys(flow.supportedLanguages)
+        : (flow.defaultLanguage ? [flow.defaultLanguage] : []),
       description: flow.description || "",
       taskCount: tasks.filter((t) => !t.isMenu && !t.isState && !t.isBot).length,
       menuCount: tasks.filter((t) => t.isMenu).length,
@@ -242,6 +283,9 @@ const CONTAINER_COLLECTIONS = [
   { key: "tasks", item: "task", flag: null },
 ];
 
+/** Top-level keys holding containers; everything else is flow settings. */
+const CONTAINER_KEYS = new Set([...CONTAINER_COLLECTIONS.map((c) => c.key), "menus", "startUpTaskActions"]);
+
 function collectTasks(flow) {
   const out = [];
   for (const spec of CONTAINER_COLLECTIONS) {
@@ -338,6 +382,7 @@ function parseVariables(list) {
       type,
       scope: scopeOf(v.name),
       initialText: v.initialValue ? valueText(v.initialValue) : "",
+      initialExpr: v.initialValue ? exprOf(v.initialValue) : "",
       isInput: !!v.isInput,
       isOutput: !!v.isOutput,
       isSecure: !!v.isSecure,
@@ -394,6 +439,15 @@ function processAction(it, next, scope, ctx) {
     taskId: scope.taskId, taskName: scope.taskName,
     sets: [], refs: [], exprText: "", sublabel: "", depName: "", targetTaskRef: null,
     inputs: [], outputs: [], cases: [], depCategory: "", dynamicRefs: [],
+    props: settingsOf(body),
+    reads: [], writes: [],
+    // Set when one of its branches runs off the end of the task: back to the
+    // caller of a called task, or out of the flow.
+    endsTask: false,
+    // The action after this one in its sequence (null = end of the task). An
+    // output the YAML leaves out — a schedule group's Holiday path with no
+    // actions — carries on here.
+    nextId: next || null,
   };
 
   // Collect variable references + assignments + dependency + condition text.
@@ -408,7 +462,7 @@ function processAction(it, next, scope, ctx) {
   // `detail` is long-form text for the edge (a switch case's condition): too long
   // for the on-diagram label, shown on hover and in the connection panel.
   const addEdge = (source, target, label, ekind, detail) => {
-    if (!target) return;
+    if (!target) { action.endsTask = true; return; }
     const edge = { id: `${source}->${target}:${label || ""}`, source, target, label: label || "", kind: ekind || "flow" };
     if (detail) edge.detail = detail;
     ctx.edges.push(edge);
@@ -583,6 +637,30 @@ function walkLoopBody(actions, scope, loopId, ctx) {
   return walk(actions, scope, loopId, ctx);
 }
 
+/**
+ * An action's own settings, flattened to path → text ("condition",
+ * "evaluate.firstTrue.cases[0].case.value", "outputs.failure.enabled"). This is
+ * what a flow diff compares (js/lib/flowDiff.js). Nested `actions` sequences
+ * are left out: those are actions in their own right, compared as such, and
+ * including them would report every ancestor of a changed action as changed.
+ */
+function settingsOf(body) {
+  const out = {};
+  const visit = (v, path) => {
+    if (v == null) return;
+    if (typeof v !== "object") { out[path] = String(v); return; }
+    if (Array.isArray(v)) { v.forEach((x, i) => visit(x, `${path}[${i}]`)); return; }
+    if ("exp" in v || "lit" in v || "var" in v || "noValue" in v) {
+      // A literal can be an object (a queue or prompt by name) — keep all of it.
+      out[path] = v.lit != null && typeof v.lit === "object" ? JSON.stringify(v.lit) : valueText(v);
+      return;
+    }
+    for (const k of Object.keys(v)) if (k !== "actions") visit(v[k], path ? `${path}.${k}` : k);
+  };
+  if (body && typeof body === "object") visit(body, "");
+  return out;
+}
+
 // ── Detail extraction (deps, assignments, variable refs, condition) ──────────
 
 function extractDetails(key, body, action, ctx) {
@@ -670,16 +748,126 @@ function extractDetails(key, body, action, ctx) {
     for (const st of body.statements) {
       const t = singleKey(st);
       const s = st[t];
-      if (s && s.variable) action.sets.push({ target: s.variable, value: valueText(s.value) });
+      if (s && s.variable) action.sets.push({ target: s.variable, value: valueText(s.value), expr: exprOf(s.value) });
     }
   }
 
+  extractBindings(key, body, action);
+
   scanReferences(body, action, ctx);
 
   // Deep-scan for variable references (exp/var/variable tokens) matching declared vars.
   const refs = new Set();
   collectRefs(body, refs, ctx.varNames);
   action.refs = [...refs];
+
+  scanAccess(body, action, ctx.varNames);
+}
+
+/** Resource fields whose value the simulator evaluates, to name what was used. */
+const BOUND_REF_FIELDS = ["scheduleGroup", "emergencyGroup", "targetQueue", "targetNumber"];
+
+/**
+ * What goes into an action and where its results land, for the flow simulator:
+ *   inputs  — { name, expr }: a lookup's key, a data action's inputs, a loop's
+ *             count, the schedule group or queue it uses
+ *   outputs — { name, variable, on }: the variable a column, data action
+ *             output, collected digits or loop index is written to, and the
+ *             branch (lower-case) on which it is written
+ * Outputs mapped to no variable are left out.
+ */
+function extractBindings(key, body, action) {
+  const addOutputs = (map, on) => {
+    for (const name of Object.keys(map || {})) {
+      const v = map[name];
+      if (v && typeof v === "object" && typeof v.var === "string") action.outputs.push({ name, variable: v.var, on });
+    }
+  };
+  if (key === "dataTableLookup") {
+    action.inputs.push({ name: "lookupValue", expr: exprOf(body.lookupValue) });
+    const tbl = body.dataTable && body.dataTable[singleKey(body.dataTable)];
+    if (tbl) {
+      addOutputs(tbl.foundOutputs, "found");
+      addOutputs(tbl.failureOutputs, "failure");
+    }
+  }
+  if (key === "callData") {
+    const cat = body.category && body.category[singleKey(body.category)];
+    const das = cat && cat.dataAction;
+    const da = das && das[singleKey(das)];
+    if (da) {
+      for (const name of Object.keys(da.inputs || {})) action.inputs.push({ name, expr: exprOf(da.inputs[name]) });
+      addOutputs(da.successOutputs, "success");
+      addOutputs(da.failureOutputs, "failure");
+    }
+  }
+  if (key === "collectInput") addOutputs({ inputData: body.inputData }, "success");
+  if (LOOP_CONTAINER_KEYS.has(key)) {
+    if (body.loopCount) action.inputs.push({ name: "loopCount", expr: exprOf(body.loopCount) });
+    addOutputs({ currentIndex: body.currentIndex }, "loop");
+  }
+  for (const field of BOUND_REF_FIELDS) {
+    const v = body[field];
+    if (v && typeof v === "object" && !v.noValue) action.inputs.push({ name: field, expr: exprOf(v) });
+  }
+}
+
+/**
+ * Which declared variables this action reads and which it writes, for the flow
+ * linter. Archy writes an assignment target as a bare `var:` / `variable:`
+ * (updateData statements, data action and lookup outputs, collected input, a
+ * loop's index) and everything evaluated as `exp:`, so the key tells the two
+ * apart. Unlike `refs`, nested `actions` are not descended into: a variable
+ * set inside a decision's Yes branch is set by that action, not the decision.
+ */
+function scanAccess(body, action, varNames) {
+  const reads = new Set();
+  const writes = new Set();
+  const visit = (node) => {
+    if (node == null || typeof node !== "object") return;
+    if (Array.isArray(node)) { node.forEach(visit); return; }
+    for (const k of Object.keys(node)) {
+      const v = node[k];
+      if (k === "actions") continue;
+      if ((k === "var" || k === "variable") && typeof v === "string") {
+        if (varNames.has(v)) writes.add(v);
+      } else if (k === "exp" && typeof v === "string") {
+        for (const name of varNames) if (mentions(v, name)) reads.add(name);
+      } else if (v && typeof v === "object") {
+        visit(v);
+      }
+    }
+  };
+  visit(body);
+  action.reads = [...reads];
+  action.writes = [...writes];
+}
+
+/** `name` as a whole token of `expr` — Flow.Queue is not in Flow.QueueName. */
+function mentions(expr, name) {
+  let i = expr.indexOf(name);
+  while (i !== -1) {
+    const before = i ? expr[i - 1] : "";
+    const after = expr[i + name.length] || "";
+    if (!/[\w.]/.test(before) && !/\w/.test(after)) return true;
+    i = expr.indexOf(name, i + 1);
+  }
+  return false;
+}
+
+/** Every container refId a jump pointer anywhere under `node` addresses. */
+function collectJumpRefs(node, out) {
+  if (node == null || typeof node !== "object") return;
+  if (Array.isArray(node)) { node.forEach((x) => collectJumpRefs(x, out)); return; }
+  for (const k of Object.keys(node)) {
+    const v = node[k];
+    if (/^target(Task|Menu|State)Ref$/.test(k) && typeof v === "string") {
+      const ref = jumpTargetId(v);
+      if (ref) out.add(ref);
+    } else if (v && typeof v === "object") {
+      collectJumpRefs(v, out);
+    }
+  }
 }
 
 /**
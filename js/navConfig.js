@@ -165,6 +165,7 @@ export const NAV_TREE = [
     enabled: true,
     children: [
       { label: "Scheduled Exports", path: "scheduled", enabled: true, access: "export.scheduled" },
+      { label: "Report Packs", path: "report-packs", enabled: true, access: "export.reportPacks" },
       {
         label: "Roles",
         path: "roles",
@@ -201,6 +202,8 @@ export const NAV_TREE = [
         enabled: true,
         children: [
           { label: "Create", path: "create", enabled: true, access: "export.documentation.create" },
+          { label: "Compare", path: "compare", enabled: true, access: "export.documentation.compare" },
+          { label: "Drift", path: "drift", enabled: true, access: "export.documentation.drift" },
         ],
       },
       {
@@ -287,6 +290,9 @@ export const NAV_TREE = [
     enabled: true,
     children: [
       { label: "Flow Overview", path: "flow-overview", enabled: true, access: "flows.flowoverview" },
+      { label: "Flow Compare", path: "flow-compare", enabled: true, access: "flows.flowcompare" },
+      { label: "Flow Lint", path: "flow-lint", enabled: true, access: "flows.flowlint" },
+      { label: "Flow Simulator", path: "flow-simulator", enabled: true, access: "flows.flowsimulator" },
       { label: "Journey Flow", path: "journey", enabled: true, access: "flows.journey" },
       { label: "Delete Flow", path: "delete", enabled: true, access: "flows.delete" },
     ],
@@ -354,6 +360,14 @@ export const NAV_TREE = [
       { label: "Permission Catalog", path: "permission-catalog", enabled: true, access: "utilities.permissionCatalog" },
     ],
   },
+  {
+    label: "Admin",
+    path: "admin",
+    enabled: true,
+    children: [
+      { label: "SIEM Forwarding", path: "siem", enabled: true, access: "admin.siem" },
+    ],
+  },
 ];
 
 /** Collect all leaf routes from enabled nodes only. */
@@ -16,6 +16,10 @@ const registry = {
   "/activity-log": (ctx) =>
     import("./pages/admin/activityLog.js").then((m) => m.default(ctx)),
 
+  // ── Admin ────────────────────────────────────────────
+  "/admin/siem": (ctx) =>
+    import("./pages/admin/siemForwarding.js").then((m) => m.default(ctx)),
+
   // ── Data Actions ──────────────────────────────────────
   "/dataactions/copy-between": (ctx) =>
     import("./pages/dataactions/copyBetweenOrgs.js").then((m) => m.default(ctx)),
@@ -53,6 +57,8 @@ const registry = {
   // ── Export ─────────────────────────────────────────
   "/export/scheduled": (ctx) =>
     import("./pages/export/scheduledExports.js").then((m) => m.default(ctx)),
+  "/export/report-packs": (ctx) =>
+    import("./pages/export/reportPacks.js").then((m) => m.default(ctx)),
   "/export/roles/all-orgs": (ctx) =>
     import("./pages/export/roles/allOrgs.js").then((m) => m.default(ctx)),
   "/export/roles/single-org": (ctx) =>
@@ -87,6 +93,10 @@ const registry = {
     import("./pages/export/users/trustee.js").then((m) => m.default(ctx)),
   "/export/documentation/create": (ctx) =>
     import("./pages/export/documentation/create.js").then((m) => m.default(ctx)),
+  "/export/documentation/compare": (ctx) =>
+    import("./pages/export/documentation/compare.js").then((m) => m.default(ctx)),
+  "/export/documentation/drift": (ctx) =>
+    import("./pages/export/documentation/drift.js").then((m) => m.default(ctx)),
   "/export/interactions/totals": (ctx) =>
     import("./pages/export/interactions/totals.js").then((m) => m.default(ctx)),
 
@@ -194,6 +204,12 @@ const registry = {
     import("./pages/deployment/datatables.js").then((m) => m.default(ctx)),
   "/flows/flow-overview": (ctx) =>
     import("./pages/flows/flowOverview.js").then((m) => m.default(ctx)),
+  "/flows/flow-compare": (ctx) =>
+    import("./pages/flows/flowCompare.js").then((m) => m.default(ctx)),
+  "/flows/flow-lint": (ctx) =>
+    import("./pages/flows/flowLint.js").then((m) => m.default(ctx)),
+  "/flows/flow-simulator": (ctx) =>
+    import("./pages/flows/flowSimulator.js").then((m) => m.default(ctx)),
   "/deployment/onboarding": (ctx) =>
     import("./pages/deployment/onboarding.js").then((m) => m.default(ctx)),
   "/deployment/test/test-cases": (ctx) =>
@@ -2,6 +2,9 @@
  * Admin — Activity Log
  *
  * Displays a searchable, filterable table of all logged user actions.
+ * Filtering happens on the server: every change of filter reloads the first
+ * page, Load more follows the continuation token, and Export Excel / Export
+ * CSV download everything the current filters match, not just what is shown.
  *
  * Access rules: everyone sees their own organisation's activity, all of it.
  * The endpoint decides which org that is (internal vs the caller's customer
@@ -9,10 +12,18 @@
  * admin-gated — the User column and filter exist precisely because the page
  * shows other people's actions.
  *
- * API: GET /api/activity-log?userEmail={email}&limit=500
+ * Items the proxy journaled carry `journalIds`; their Changes button loads the
+ * before/after pair, shows it as a property diff, and offers Revert (see
+ * services/changeJournalService.js).
+ *
+ * API: GET /api/activity-log?userEmail={email}&from=…&to=…&action=…&user=…
+ *          &orgId=…&result=…&q=…&continuationToken=…   (one page)
+ *      GET /api/activity-log?…same filters…&format=xlsx|csv   (export)
+ *      GET /api/change-journal?ids=…
  */
-import { escapeHtml, formatDateTime, makeStatus } from "../../utils.js";
+import { escapeHtml, formatDateTime, makeStatus, downloadBase64 } from "../../utils.js";
 import { withUserToken } from "../../services/apiAuth.js";
+import { fetchChanges, propertyDiff, revertChange } from "../../services/changeJournalService.js";
 
 // ── Action labels ────────────────────────────────────────
 const ACTION_LABELS = {
@@ -33,8 +44,15 @@ const ACTION_LABELS = {
   schedule_create:        "Schedule Create",
   schedule_update:        "Schedule Update",
   schedule_delete:        "Schedule Delete",
+  schedule_resend:        "Schedule Re-send",
+  schedule_run_now:       "Schedule Run Now",
   gdpr_request:           "GDPR Request",
   export_run:             "Export Run",
+  config_baseline:        "Config Baseline",
+  flow_lint_rules:        "Flow Lint Rules",
+  flow_scenario:          "Flow Scenario",
+  api_write:              "API Write",
+  siem_replay:            "SIEM Replay",
 };
 
 function actionLabel(action) {
@@ -110,14 +128,57 @@ function itemHtml(item) {
   const label = renamed
     ? `${escapeHtml(item.old)} <span class="al-item-arrow">→</span> ${escapeHtml(item.new)}`
     : escapeHtml(item.new || item.old || "—");
+  const journaled = Array.isArray(item.journalIds) && item.journalIds.length > 0;
   return `
-    <li class="al-item al-item--${status}">
+    <li class="al-item al-item--${status}${journaled ? " al-item--journaled" : ""}">
       <span class="al-item-glyph">${ITEM_GLYPH[status]}</span>
       <span class="al-item-name">${label}</span>
       ${item.detail ? `<span class="al-item-detail">${escapeHtml(item.detail)}</span>` : ""}
+      ${journaled ? `
+        <button type="button" class="al-details-toggle al-changes-toggle"
+                data-journal="${escapeHtml(item.journalIds.join(","))}" aria-expanded="false">
+          <span class="al-caret">▸</span> Changes
+        </button>
+        <div class="al-changes" hidden></div>` : ""}
     </li>`;
 }
 
+// ── Change journal (before/after + Revert) ───────────────
+
+// Long values (a whole permission policy, a schedule's rrule) are cut for the
+// table; the full text is in the cell's tooltip.
+const DIFF_CELL_MAX = 160;
+
+function diffCell(value) {
+  const short = value.length > DIFF_CELL_MAX ? `${value.slice(0, DIFF_CELL_MAX)}…` : value;
+  return `<td title="${escapeHtml(value)}">${short ? escapeHtml(short) : `<span class="al-diff-none">—</span>`}</td>`;
+}
+
+function changeHtml(record, note = "") {
+  const diff = record.before != null && record.after != null ? propertyDiff(record.before, record.after) : [];
+  const reverted = record.revertedAt
+    ? `Reverted ${escapeHtml(formatDateTime(record.revertedAt))}${record.revertedBy ? ` by ${escapeHtml(record.revertedBy)}` : ""}`
+    : "";
+  const canRevert = !record.revertedAt && !record.tooLarge && record.revert;
+  return `
+    <div class="al-change" data-id="${escapeHtml(record.id)}">
+      <div class="al-change-head">
+        <span class="al-change-name">${escapeHtml(record.label)} · ${escapeHtml(record.objectName || record.objectId)}</span>
+        ${reverted ? `<span class="al-change-reverted">${reverted}</span>` : ""}
+        ${canRevert ? `<button type="button" class="btn btn-sm al-revert-btn" data-id="${escapeHtml(record.id)}">Revert</button>` : ""}
+      </div>
+      ${record.tooLarge
+        ? `<p class="al-omitted">The object was too large to keep a copy of; it cannot be diffed or reverted here.</p>`
+        : diff.length
+          ? `<table class="al-diff">
+               <thead><tr><th>Property</th><th>Before</th><th>After</th></tr></thead>
+               <tbody>${diff.map((d) => `<tr><td class="al-diff-path">${escapeHtml(d.path)}</td>${diffCell(d.before)}${diffCell(d.after)}</tr>`).join("")}</tbody>
+             </table>`
+          : `<p class="al-omitted">No property changed.</p>`}
+      <p class="al-change-note">${note}</p>
+    </div>`;
+}
+
 function phaseHtml(phase) {
   const items = phase.items || [];
   const counts = ["ok", "skipped", "error", "planned"]
@@ -164,7 +225,7 @@ function detailsHtml(details) {
 
 // ── Page renderer ────────────────────────────────────────
 
-export default async function renderActivityLog({ me }) {
+export default async function renderActivityLog({ me, api }) {
   const el = document.createElement("section");
   el.className = "card";
 
@@ -176,7 +237,11 @@ export default async function renderActivityLog({ me }) {
           All activity in your organisation. Entries older than 12 months are automatically purged.
         </p>
       </div>
-      <button class="btn al-refresh-btn" id="alRefreshBtn">Refresh</button>
+      <div class="al-header-actions">
+        <button class="btn" id="alExportXlsxBtn">Export Excel</button>
+        <button class="btn" id="alExportCsvBtn">Export CSV</button>
+        <button class="btn al-refresh-btn" id="alRefreshBtn">Refresh</button>
+      </div>
     </div>
 
     <hr class="hr">
@@ -221,6 +286,10 @@ export default async function renderActivityLog({ me }) {
           <option value="">All users</option>
         </select>
       </div>
+      <div class="di-control-group al-search-group">
+        <label class="di-label">Search</label>
+        <input type="search" class="input" id="alSearch" placeholder="Description, error, user, org…">
+      </div>
     </div>
 
     <!-- Status / loading -->
@@ -242,6 +311,7 @@ export default async function renderActivityLog({ me }) {
         <tbody id="alTbody"></tbody>
       </table>
       <p class="al-count" id="alCount"></p>
+      <button class="btn btn-sm al-more-btn" id="alMoreBtn" hidden>Load more</button>
     </div>
   `;
 
@@ -255,10 +325,25 @@ export default async function renderActivityLog({ me }) {
   const $action    = el.querySelector("#alAction");
   const $org       = el.querySelector("#alOrg");
   const $user      = el.querySelector("#alUser");
+  const $search    = el.querySelector("#alSearch");
   const $refresh   = el.querySelector("#alRefreshBtn");
+  const $more      = el.querySelector("#alMoreBtn");
+  const $exportXlsx = el.querySelector("#alExportXlsxBtn");
+  const $exportCsv  = el.querySelector("#alExportCsvBtn");
   const setStatus  = makeStatus($status, "al-status");
 
   let allEntries = [];
+  let nextToken  = null;
+  // Bumped per first-page load, so a slow response to an older filter set
+  // cannot overwrite a newer one.
+  let loadSeq    = 0;
+  // Org and User options seen so far. They only grow: with server-side
+  // filtering the loaded entries no longer cover every org and user, and an
+  // option must not vanish while it is selected.
+  const knownOrgs  = new Map();
+  const knownUsers = new Set();
+  // Journal records by id, fetched on first expand and kept across re-renders.
+  const changeCache = new Map();
 
   // ── Set default date range: last 7 days ──────────────
   const today = new Date();
@@ -267,75 +352,117 @@ export default async function renderActivityLog({ me }) {
   $to.value   = today.toISOString().slice(0, 10);
   $from.value = week.toISOString().slice(0, 10);
 
+  // ── Filters → query string ───────────────────────────
+  // The date inputs are local days; the log is stored in UTC, so they are sent
+  // as the instants the local day starts and ends.
+  function filterParams() {
+    const params = new URLSearchParams({ userEmail: me.email });
+    if ($from.value) params.set("from", new Date(`${$from.value}T00:00:00`).toISOString());
+    if ($to.value)   params.set("to",   new Date(`${$to.value}T23:59:59.999`).toISOString());
+    const set = (key, value) => { if (value) params.set(key, value); };
+    set("result", $result.value);
+    set("action", $action.value);
+    set("orgId",  $org.value);
+    set("user",   $user.value);
+    set("q",      $search.value.trim());
+    return params;
+  }
+
+  function refreshFilterOptions(entries) {
+    for (const e of entries) {
+      if (e.orgId && !knownOrgs.has(e.orgId)) knownOrgs.set(e.orgId, e.orgName || e.orgId);
+      if (e.userEmail) knownUsers.add(e.userEmail);
+    }
+    const orgs = [...knownOrgs.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+    const currentOrg = $org.value;
+    $org.innerHTML = `<option value="">All orgs</option>` +
+      orgs.map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join("");
+    $org.value = currentOrg;
+
+    const emails = [...knownUsers].sort();
+    const currentUser = $user.value;
+    $user.innerHTML = `<option value="">All users</option>` +
+      emails.map(e => `<option value="${escapeHtml(e)}">${escapeHtml(e)}</option>`).join("");
+    $user.value = currentUser;
+  }
+
   // ── Fetch entries ────────────────────────────────────
-  async function loadEntries() {
-    setStatus("Loading…");
-    $status.style.display = "";
-    $tableWrap.style.display = "none";
+  // `append` follows the continuation token; otherwise the first page for the
+  // current filters replaces whatever is shown.
+  async function loadEntries({ append = false } = {}) {
+    const seq = append ? loadSeq : ++loadSeq;
+    if (!append) {
+      setStatus("Loading…");
+      $status.style.display = "";
+      $tableWrap.style.display = "none";
+    }
     $refresh.disabled = true;
+    $more.disabled = true;
 
     try {
       // userEmail identifies the caller; it does not narrow the result. The
       // endpoint scopes the read to the caller's own organisation.
-      const params = new URLSearchParams({ userEmail: me.email });
+      const params = filterParams();
+      if (append && nextToken) params.set("continuationToken", nextToken);
 
       const resp  = await fetch(`/api/activity-log?${params}`, { headers: withUserToken() });
       if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
       const data  = await resp.json();
+      if (seq !== loadSeq) return;
 
-      allEntries = data.entries || [];
-
-      // Populate org filter
-      if (allEntries.length) {
-        const orgs = [...new Map(
-          allEntries
-            .filter(e => e.orgId)
-            .map(e => [e.orgId, e.orgName || e.orgId])
-        ).entries()].sort((a, b) => a[1].localeCompare(b[1]));
-        const currentOrg = $org.value;
-        $org.innerHTML = `<option value="">All orgs</option>` +
-          orgs.map(([id, name]) => `<option value="${escapeHtml(id)}">${escapeHtml(name)}</option>`).join("");
-        if (currentOrg) $org.value = currentOrg;
-      }
+      const entries = data.entries || [];
+      const start = append ? allEntries.length : 0;
+      allEntries = append ? allEntries.concat(entries) : entries;
+      nextToken  = data.continuationToken || null;
 
-      // Populate user filter
-      if (allEntries.length) {
-        const emails = [...new Set(allEntries.map(e => e.userEmail).filter(Boolean))].sort();
-        const current = $user.value;
-        $user.innerHTML = `<option value="">All users</option>` +
-          emails.map(e => `<option value="${escapeHtml(e)}">${escapeHtml(e)}</option>`).join("");
-        if (current) $user.value = current;
+      refreshFilterOptions(entries);
+      renderTable(start);
+    } catch (err) {
+      if (seq !== loadSeq) return;
+      if (append) {
+        $count.textContent = `Failed to load more entries: ${err.message}`;
+      } else {
+        setStatus(`Failed to load activity log: ${err.message}`);
+      }
+    } finally {
+      if (seq === loadSeq) {
+        $refresh.disabled = false;
+        $more.disabled = false;
       }
+    }
+  }
 
-      $status.style.display = "none";
-      renderTable();
+  // ── Export the filtered log ──────────────────────────
+  async function exportLog(format, btn) {
+    const label = btn.textContent;
+    btn.disabled = true;
+    btn.textContent = "Exporting…";
+    try {
+      const params = filterParams();
+      params.set("format", format);
+      const resp = await fetch(`/api/activity-log?${params}`, { headers: withUserToken() });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok) throw new Error(data.error || `HTTP ${resp.status}`);
+      if (!data.count) {
+        alert("No log entries match the selected filters — nothing to export.");
+        return;
+      }
+      downloadBase64(data.filename, data.base64);
+      if (data.truncated) {
+        alert(`The export holds the newest ${data.count} matching entries. Narrow the date range to export the rest.`);
+      }
     } catch (err) {
-      setStatus(`Failed to load activity log: ${err.message}`);
+      alert(`Export failed: ${err.message}`);
     } finally {
-      $refresh.disabled = false;
+      btn.disabled = false;
+      btn.textContent = label;
     }
   }
 
-  // ── Render table with active filters ─────────────────
-  function renderTable() {
-    const fromStr = $from.value;
-    const toStr   = $to.value;
-    const result  = $result.value;
-    const action  = $action.value;
-    const org     = $org?.value  || "";
-    const user    = $user?.value || "";
-
-    const filtered = allEntries.filter(e => {
-      if (fromStr && e.logTimestamp < fromStr) return false;
-      if (toStr   && e.logTimestamp > toStr + "T23:59:59Z") return false;
-      if (result  && e.result !== result) return false;
-      if (action  && e.action !== action) return false;
-      if (org     && e.orgId !== org) return false;
-      if (user    && e.userEmail?.toLowerCase() !== user.toLowerCase()) return false;
-      return true;
-    });
-
-    if (!filtered.length) {
+  // ── Render table ─────────────────────────────────────
+  // Rows from `start` on are appended; 0 rebuilds the table.
+  function renderTable(start = 0) {
+    if (!allEntries.length) {
       setStatus("No log entries match the selected filters.");
       $status.style.display = "";
       $tableWrap.style.display = "none";
@@ -347,7 +474,8 @@ export default async function renderActivityLog({ me }) {
 
     const colSpan = 6;
 
-    $tbody.innerHTML = filtered.map((e, i) => {
+    const html = allEntries.slice(start).map((e, n) => {
+      const i = start + n;
       const hasDetails = !!e.details && typeof e.details === "object";
       return `
       <tr class="al-row${e.result === "failure" ? " al-row--fail" : e.result === "partial" ? " al-row--partial" : ""}">
@@ -372,13 +500,80 @@ export default async function renderActivityLog({ me }) {
       </tr>` : ""}`;
     }).join("");
 
-    $count.textContent = `Showing ${filtered.length} of ${allEntries.length} entr${allEntries.length !== 1 ? "ies" : "y"}`;
+    if (start) $tbody.insertAdjacentHTML("beforeend", html);
+    else $tbody.innerHTML = html;
+
+    const n = allEntries.length;
+    $count.textContent = `Showing ${n} entr${n !== 1 ? "ies" : "y"}` +
+      (nextToken ? " — more match the filters" : "");
+    $more.hidden = !nextToken;
   }
 
   // ── Event listeners ───────────────────────────────────
 
+  async function toggleChanges(btn) {
+    const panel = btn.parentElement.querySelector(".al-changes");
+    const open = panel.hidden;
+    panel.hidden = !open;
+    btn.setAttribute("aria-expanded", String(open));
+    btn.querySelector(".al-caret").textContent = open ? "▾" : "▸";
+    if (!open || panel.dataset.loaded) return;
+
+    const ids = btn.dataset.journal.split(",");
+    panel.innerHTML = `<p class="al-omitted">Loading…</p>`;
+    try {
+      const missing = ids.filter((id) => !changeCache.has(id));
+      if (missing.length) (await fetchChanges(missing)).forEach((r) => changeCache.set(r.id, r));
+      const records = ids.map((id) => changeCache.get(id)).filter(Boolean);
+      panel.innerHTML = records.length
+        ? records.map((r) => changeHtml(r)).join("")
+        : `<p class="al-omitted">The before/after copy is no longer available.</p>`;
+      panel.dataset.loaded = "1";
+    } catch (err) {
+      panel.innerHTML = `<p class="al-detail-error">${escapeHtml(err.message)}</p>`;
+    }
+  }
+
+  async function revert(btn) {
+    const record = changeCache.get(btn.dataset.id);
+    if (!record) return;
+    if (!confirm(
+      `Put ${record.label.toLowerCase()} "${record.objectName || record.objectId}" in ${record.orgName || record.orgId} ` +
+      `back the way it was before this change?`
+    )) return;
+
+    const box = btn.closest(".al-change");
+    const $note = box.querySelector(".al-change-note");
+    btn.disabled = true;
+    $note.textContent = "Reverting…";
+    try {
+      const out = await revertChange(api, record);
+      if (out.status === "conflict") {
+        $note.innerHTML =
+          `Not reverted — it has been changed again since (${out.drift.slice(0, 5).map((d) => escapeHtml(d.path)).join(", ")}` +
+          `${out.drift.length > 5 ? ", …" : ""}). Reverting now would also undo that later change.`;
+        btn.disabled = false;
+        return;
+      }
+      if (out.status === "simulated") {
+        $note.textContent = "Simulate is on — the revert was recorded in the plan, not sent.";
+        btn.disabled = false;
+        return;
+      }
+      changeCache.set(record.id, { ...record, ...out.record });
+      box.outerHTML = changeHtml(changeCache.get(record.id), "Reverted. The revert is logged as its own entry — Refresh to see it.");
+    } catch (err) {
+      $note.textContent = `Revert failed: ${err.message}`;
+      btn.disabled = false;
+    }
+  }
+
   // Delegated: the table body is rebuilt on every filter change.
   $tbody.addEventListener("click", (ev) => {
+    const revertBtn = ev.target.closest(".al-revert-btn");
+    if (revertBtn) { revert(revertBtn); return; }
+    const changesBtn = ev.target.closest(".al-changes-toggle");
+    if (changesBtn) { toggleChanges(changesBtn); return; }
     const btn = ev.target.closest(".al-details-toggle");
     if (!btn) return;
     const row = el.querySelector(`#alDetails${btn.dataset.idx}`);
@@ -389,12 +584,19 @@ export default async function renderActivityLog({ me }) {
     btn.querySelector(".al-caret").textContent = open ? "▾" : "▸";
   });
 
-  [$from, $to, $result, $action].forEach(el => {
-    if (el) el.addEventListener("change", renderTable);
+  [$from, $to, $result, $action, $org, $user].forEach(el => {
+    el.addEventListener("change", () => loadEntries());
+  });
+  // Typing reloads once the user pauses, not on every keystroke.
+  let searchTimer = null;
+  $search.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => loadEntries(), 400);
   });
-  if ($org)  $org.addEventListener("change", renderTable);
-  if ($user) $user.addEventListener("change", renderTable);
-  $refresh.addEventListener("click", loadEntries);
+  $refresh.addEventListener("click", () => loadEntries());
+  $more.addEventListener("click", () => loadEntries({ append: true }));
+  $exportXlsx.addEventListener("click", () => exportLog("xlsx", $exportXlsx));
+  $exportCsv.addEventListener("click", () => exportLog("csv", $exportCsv));
 
   // Initial load
   await loadEntries();
@@ -0,0 +1,214 @@
+/**
+ * Admin — SIEM Forwarding
+ *
+ * Delivery status for the Activity Log's SIEM feed: which sink is configured,
+ * when it last accepted or refused an entry, and the retry queue — entries
+ * still being retried (pending) and those that ran out of attempts (failed).
+ * From here an admin retries what is due, replays or discards queued entries,
+ * and re-sends a whole time range for a collector that lost data on its side.
+ *
+ * Superuser only (access key `admin.siem`, never granted to a group); the API
+ * enforces the same from the caller's token. See api/lib/siemForwarder.js.
+ *
+ * API: GET /api/siem, POST /api/siem
+ */
+import { escapeHtml, formatDateTime, makeStatus } from "../../utils.js";
+import {
+  fetchSiemStatus, retryDue, replayQueued, replayRange, discardQueued,
+} from "../../services/siemService.js";
+
+function summary(t) {
+  const parts = [];
+  if (t.matched != null) parts.push(`${t.matched} entr${t.matched === 1 ? "y" : "ies"} in range${t.truncated ? " (the newest 1,000 — narrow the range for the rest)" : ""}`);
+  if (t.discarded) parts.push(`${t.discarded} discarded`);
+  if (t.delivered) parts.push(`${t.delivered} delivered`);
+  if (t.retrying)  parts.push(`${t.retrying} still failing, will retry`);
+  if (t.failed)    parts.push(`${t.failed} out of attempts`);
+  if (t.dropped)   parts.push(`${t.dropped} no longer in the log, dropped`);
+  if (t.deferred)  parts.push(`${t.deferred} not tried — the sink kept failing`);
+  if (t.queued)    parts.push(`${t.queued} queued for retry`);
+  return parts.join(", ") || "Nothing to send.";
+}
+
+function queueTable(kind, items, maxAttempts) {
+  if (!items.length) {
+    return `<p class="muted">${kind === "pending" ? "Nothing waiting to be retried." : "No entries have run out of attempts."}</p>`;
+  }
+  return `
+    <table class="data-table siem-table">
+      <thead>
+        <tr>
+          <th><input type="checkbox" class="siem-all" data-kind="${kind}" aria-label="Select all"></th>
+          <th>Logged</th>
+          <th>Entry</th>
+          <th>Attempts</th>
+          <th>${kind === "pending" ? "Next attempt" : "Last attempt"}</th>
+          <th>Last error</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${items.map((it) => `
+          <tr>
+            <td><input type="checkbox" class="siem-pick" data-kind="${kind}" value="${escapeHtml(it.id)}"></td>
+            <td class="siem-when">${escapeHtml(formatDateTime(it.entry?.logTimestamp) || "—")}</td>
+            <td>${it.entry
+              ? `<strong>${escapeHtml(it.entry.action)}</strong> · ${escapeHtml(it.entry.userName || it.entry.userEmail || "—")}` +
+                `${it.entry.orgName ? ` · ${escapeHtml(it.entry.orgName)}` : ""}<br>` +
+                `<span class="muted">${escapeHtml(it.entry.description)}</span>`
+              : `<span class="muted">No longer in the Activity Log — will be dropped on the next attempt.</span>`}</td>
+            <td>${it.attempts} / ${maxAttempts}</td>
+            <td class="siem-when">${escapeHtml(formatDateTime(kind === "pending" ? it.nextAttemptAt : it.lastAttemptAt) || "—")}</td>
+            <td class="siem-error">${escapeHtml(it.lastError || "")}</td>
+          </tr>`).join("")}
+      </tbody>
+    </table>
+    <div class="sim-actions">
+      <button type="button" class="btn btn-sm" data-act="replay" data-kind="${kind}">Replay selected</button>
+      <button type="button" class="btn btn-sm btn--danger" data-act="discard" data-kind="${kind}">Discard selected</button>
+    </div>`;
+}
+
+export default async function renderSiemForwarding() {
+  const el = document.createElement("section");
+  el.className = "card";
+
+  el.innerHTML = `
+    <div class="al-header">
+      <div>
+        <h2 class="h2">SIEM Forwarding</h2>
+        <p class="page-desc">
+          Every Activity Log entry is sent to the security team's SIEM within minutes of being written.
+          Deliveries that fail are retried automatically with increasing delays; this page
+          shows what is still waiting and lets you send it again.
+        </p>
+      </div>
+      <div class="al-header-actions">
+        <button class="btn" id="siemRetryBtn">Retry due now</button>
+        <button class="btn" id="siemRefreshBtn">Refresh</button>
+      </div>
+    </div>
+
+    <hr class="hr">
+
+    <div class="siem-sink" id="siemSink"></div>
+    <p class="al-status" id="siemStatus"></p>
+
+    <h3 class="siem-section-title">Pending</h3>
+    <div id="siemPending"></div>
+
+    <h3 class="siem-section-title">Failed</h3>
+    <div id="siemFailed"></div>
+
+    <h3 class="siem-section-title">Replay a time range</h3>
+    <p class="p sim-note">
+      Re-send every Activity Log entry in the range, whether or not it was delivered
+      the first time — for a collector that lost data on its side. At most 1,000 entries
+      per replay; the SIEM may receive entries it already has.
+    </p>
+    <div class="al-filters">
+      <div class="di-control-group">
+        <label class="di-label">From</label>
+        <input type="datetime-local" class="input" id="siemFrom">
+      </div>
+      <div class="di-control-group">
+        <label class="di-label">To</label>
+        <input type="datetime-local" class="input" id="siemTo">
+      </div>
+      <div class="di-control-group siem-range-btn">
+        <button type="button" class="btn btn--primary" id="siemRangeBtn">Replay range</button>
+      </div>
+    </div>
+  `;
+
+  const $sink    = el.querySelector("#siemSink");
+  const $status  = el.querySelector("#siemStatus");
+  const $pending = el.querySelector("#siemPending");
+  const $failed  = el.querySelector("#siemFailed");
+  const $retry   = el.querySelector("#siemRetryBtn");
+  const $refresh = el.querySelector("#siemRefreshBtn");
+  const $from    = el.querySelector("#siemFrom");
+  const $to      = el.querySelector("#siemTo");
+  const $range   = el.querySelector("#siemRangeBtn");
+  const setStatus = makeStatus($status, "al-status");
+
+  // Default range: the last 24 hours, in local time for the inputs.
+  const local = (d) => new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+  const now = new Date();
+  $to.value   = local(now);
+  $from.value = local(new Date(now.getTime() - 24 * 3600 * 1000));
+
+  let configured = false;
+
+  async function load() {
+    $refresh.disabled = true;
+    try {
+      const data = await fetchSiemStatus();
+      const { sink, state } = data;
+      configured = sink.configured;
+
+      $sink.innerHTML = sink.configured
+        ? `<p class="p"><strong>Sink:</strong> ${escapeHtml(sink.kind)} → <code>${escapeHtml(sink.target)}</code></p>`
+        : `<p class="p"><strong>Sink:</strong> not configured${sink.error ? ` — ${escapeHtml(sink.error)}` : ""}.
+             Set <code>SIEM_SINK</code> and its settings in the app settings (see the setup guide).</p>`;
+      $sink.innerHTML += `
+        <p class="p sim-note">
+          Last delivered: ${escapeHtml(formatDateTime(state.lastDeliveredAt) || "never")}
+          · Last failure: ${escapeHtml(formatDateTime(state.lastFailureAt) || "never")}
+          ${state.lastError ? `<br><span class="siem-error">${escapeHtml(state.lastError)}</span>` : ""}
+        </p>`;
+
+      $pending.innerHTML = queueTable("pending", data.pending, data.maxAttempts);
+      $failed.innerHTML  = queueTable("failed", data.failed, data.maxAttempts);
+      $retry.disabled = $range.disabled = !configured;
+    } catch (err) {
+      setStatus(`Failed to load SIEM status: ${err.message}`);
+    } finally {
+      $refresh.disabled = false;
+    }
+  }
+
+  async function run(btn, label, fn) {
+    btn.disabled = true;
+    setStatus(`${label}…`);
+    try {
+      setStatus(`${label}: ${summary(await fn())}`);
+    } catch (err) {
+      setStatus(`${label} failed: ${err.message}`);
+    } finally {
+      btn.disabled = false;
+      await load();
+    }
+  }
+
+  // Delegated: both tables are rebuilt on every load.
+  el.addEventListener("change", (ev) => {
+    const all = ev.target.closest(".siem-all");
+    if (!all) return;
+    el.querySelectorAll(`.siem-pick[data-kind="${all.dataset.kind}"]`).forEach((cb) => { cb.checked = all.checked; });
+  });
+  el.addEventListener("click", (ev) => {
+    const btn = ev.target.closest("button[data-act]");
+    if (!btn) return;
+    const ids = [...el.querySelectorAll(`.siem-pick[data-kind="${btn.dataset.kind}"]:checked`)].map((cb) => cb.value);
+    if (!ids.length) { setStatus("Select at least one entry first."); return; }
+    if (btn.dataset.act === "replay") {
+      if (!configured) { setStatus("SIEM forwarding is not configured."); return; }
+      run(btn, `Replaying ${ids.length}`, () => replayQueued(ids));
+    } else {
+      if (!confirm(`Discard ${ids.length} queued deliver${ids.length === 1 ? "y" : "ies"}? They stay in the Activity Log but will not be sent to the SIEM unless you replay their time range.`)) return;
+      run(btn, `Discarding ${ids.length}`, () => discardQueued(ids));
+    }
+  });
+
+  $retry.addEventListener("click", () => run($retry, "Retrying due deliveries", retryDue));
+  $refresh.addEventListener("click", load);
+  $range.addEventListener("click", () => {
+    const from = new Date($from.value);
+    const to   = new Date($to.value);
+    if (isNaN(from) || isNaN(to) || from > to) { setStatus("Pick a From before the To."); return; }
+    run($range, "Replaying range", () => replayRange(from.toISOString(), to.toISOString()));
+  });
+
+  await load();
+  return el;
+}
@@ -20,9 +20,14 @@
 import { escapeHtml, formatDateTime, todayStr, daysAgoStr, exportXlsx, timestampedFilename, makeStatus } from "../../utils.js";
 import * as gc from "../../services/genesysApi.js";
 import { createSingleSelect } from "../../components/multiSelect.js";
+import { createSchedulePanel } from "../../components/schedulePanel.js";
 
 // ── Constants ────────────────────────────────────────────────────────
 
+const AUTOMATION_ENABLED = true;
+const AUTOMATION_EXPORT_TYPE = "auditSearch";
+const AUTOMATION_EXPORT_LABEL = "Audit Search";
+
 const CHUNK_DAYS = 30;
 const REALTIME_CHUNK_DAYS = 1; // realtime endpoint times out on multi-day intervals
 
@@ -960,5 +965,41 @@ export default function renderAuditSearch({ route, me, api, orgContext }) {
 
   $exportBtn.addEventListener("click", exportToExcel);
 
+  // ── Automation (api/lib/exports/auditSearch.js) ──────────────────
+  // A schedule runs this search for the days before each run; the range
+  // must therefore end today, and is kept as its length in days.
+  function captureSchedule() {
+    const days = calcRangeDays($dateFrom.value, todayStr());
+    const serviceName = ssService.getValue();
+    if ($dateTo.value !== todayStr()) throw new Error("Set Date To to today — a schedule covers the days up to each run");
+    if ($timeFrom.value !== "00:00" || $timeTo.value !== "23:59") {
+      throw new Error("Reset the times to 00:00–23:59 — a schedule covers whole days");
+    }
+    if (days > 14 && !serviceName) throw new Error("Select a service — ranges over 14 days need one");
+    return {
+      orgId,
+      orgName: org.name,
+      periodDays: days,
+      serviceName,
+      entityType: ssEntityType.getValue(),
+      action:     ssAction.getValue(),
+      changedBy:  ssChangedBy.getValue(),
+    };
+  }
+
+  if (AUTOMATION_ENABLED) {
+    el.appendChild(createSchedulePanel({
+      exportType: AUTOMATION_EXPORT_TYPE,
+      exportLabel: AUTOMATION_EXPORT_LABEL,
+      me,
+      captureConfig: captureSchedule,
+      configSummary: (cfg) => [
+        cfg.serviceName || "All services",
+        cfg.periodDays ? `last ${cfg.periodDays} days` : "today",
+        cfg.entityType, cfg.action, cfg.changedBy,
+      ].filter(Boolean).join(", "),
+    }));
+  }
+
   return el;
 }
@@ -13,7 +13,7 @@
  *
  * Per-org failures are tolerated and reported in the status summary.
  */
-import { timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import { fetchBillingOverview } from "../../../services/billingService.js";
 import { filterBillableCustomers } from "../../../utils/billingTrustees.js";
 import { processBillingOverview } from "../../../utils/billingProcessor.js";
@@ -62,7 +62,8 @@ export default function renderBillingAllOrgsLatestExport({ me, api }) {
     </div>
 
     <div id="balDownload" style="display:none;margin-top:10px">
-      <button class="btn te-btn-export" id="balDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("balFormat")}
+      <button class="btn te-btn-export" id="balDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -105,6 +106,7 @@ export default function renderBillingAllOrgsLatestExport({ me, api }) {
   const $progBar   = el.querySelector("#balProgressBar");
   const $dlWrap    = el.querySelector("#balDownload");
   const $dlBtn     = el.querySelector("#balDownloadBtn");
+  const $format    = el.querySelector("#balFormat");
   const $emailChk  = el.querySelector("#balEmailChk");
   const $emailFld  = el.querySelector("#balEmailFields");
   const $emailTo   = el.querySelector("#balEmailTo");
@@ -258,10 +260,10 @@ export default function renderBillingAllOrgsLatestExport({ me, api }) {
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
@@ -25,7 +25,7 @@
  * Scheduling is available: the handler always exports the previous calendar
  * year (current year − 1). See api/lib/exports/billingCalendarYear.js.
  */
-import { timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import {
   fetchBillingPeriodsForCalendarYear,
 } from "../../../services/billingService.js";
@@ -94,7 +94,8 @@ export default function renderBillingCalendarYearExport({ me, api }) {
     </div>
 
     <div id="bcyDownload" style="display:none;margin-top:10px">
-      <button class="btn te-btn-export" id="bcyDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("bcyFormat")}
+      <button class="btn te-btn-export" id="bcyDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -139,6 +140,7 @@ export default function renderBillingCalendarYearExport({ me, api }) {
   const $progBar   = el.querySelector("#bcyProgressBar");
   const $dlWrap    = el.querySelector("#bcyDownload");
   const $dlBtn     = el.querySelector("#bcyDownloadBtn");
+  const $format    = el.querySelector("#bcyFormat");
   const $emailChk  = el.querySelector("#bcyEmailChk");
   const $emailFld  = el.querySelector("#bcyEmailFields");
   const $emailTo   = el.querySelector("#bcyEmailTo");
@@ -292,10 +294,10 @@ export default function renderBillingCalendarYearExport({ me, api }) {
     setStatus("Cancelling…", "error");
   });
 
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
@@ -16,7 +16,7 @@
  *
  * No scheduled variant (no Python equivalent; the org list is interactive).
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import { fetchBillingOverview } from "../../../services/billingService.js";
 import { filterBillableCustomers } from "../../../utils/billingTrustees.js";
 import { processBillingOverview } from "../../../utils/billingProcessor.js";
@@ -96,7 +96,8 @@ export default function renderBillingCustomOrgsExport({ me, api }) {
     </div>
 
     <div id="bcoDownload" style="display:none;margin-top:10px">
-      <button class="btn te-btn-export" id="bcoDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("bcoFormat")}
+      <button class="btn te-btn-export" id="bcoDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -128,6 +129,7 @@ export default function renderBillingCustomOrgsExport({ me, api }) {
   const $progBar    = el.querySelector("#bcoProgressBar");
   const $dlWrap     = el.querySelector("#bcoDownload");
   const $dlBtn      = el.querySelector("#bcoDownloadBtn");
+  const $format     = el.querySelector("#bcoFormat");
   const $emailChk   = el.querySelector("#bcoEmailChk");
   const $emailFld   = el.querySelector("#bcoEmailFields");
   const $emailTo    = el.querySelector("#bcoEmailTo");
@@ -302,10 +304,10 @@ export default function renderBillingCustomOrgsExport({ me, api }) {
     setStatus("Cancelling…", "error");
   });
 
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
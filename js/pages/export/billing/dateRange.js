@@ -25,7 +25,7 @@
  * No scheduled variant — there is no Python equivalent, and the date range
  * requires explicit user-chosen dates.
  */
-import { timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import {
   fetchBillingPeriodsForDateRange,
   MONTH_ABBR,
@@ -121,7 +121,8 @@ export default function renderBillingDateRangeExport({ me, api }) {
     </div>
 
     <div id="bdrDownload" style="display:none;margin-top:10px">
-      <button class="btn te-btn-export" id="bdrDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("bdrFormat")}
+      <button class="btn te-btn-export" id="bdrDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -156,6 +157,7 @@ export default function renderBillingDateRangeExport({ me, api }) {
   const $progBar   = el.querySelector("#bdrProgressBar");
   const $dlWrap    = el.querySelector("#bdrDownload");
   const $dlBtn     = el.querySelector("#bdrDownloadBtn");
+  const $format    = el.querySelector("#bdrFormat");
   const $emailChk  = el.querySelector("#bdrEmailChk");
   const $emailFld  = el.querySelector("#bdrEmailFields");
   const $emailTo   = el.querySelector("#bdrEmailTo");
@@ -323,10 +325,10 @@ export default function renderBillingDateRangeExport({ me, api }) {
     setStatus("Cancelling…", "error");
   });
 
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
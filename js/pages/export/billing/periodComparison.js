@@ -27,7 +27,7 @@
  *
  * No scheduled / no server variant (Python has none; comparison is interactive).
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import {
   fetchBillingOverview,
   fetchBillingPeriods,
@@ -319,7 +319,8 @@ export default function renderBillingPeriodComparisonExport({ me, api }) {
     </div>
 
     <div id="bpcDownload" style="display:none;margin-top:10px">
-      <button class="btn te-btn-export" id="bpcDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("bpcFormat")}
+      <button class="btn te-btn-export" id="bpcDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -354,6 +355,7 @@ export default function renderBillingPeriodComparisonExport({ me, api }) {
   const $progBar   = el.querySelector("#bpcProgressBar");
   const $dlWrap    = el.querySelector("#bpcDownload");
   const $dlBtn     = el.querySelector("#bpcDownloadBtn");
+  const $format    = el.querySelector("#bpcFormat");
   const $emailChk  = el.querySelector("#bpcEmailChk");
   const $emailFld  = el.querySelector("#bpcEmailFields");
   const $emailTo   = el.querySelector("#bpcEmailTo");
@@ -597,10 +599,10 @@ export default function renderBillingPeriodComparisonExport({ me, api }) {
     setStatus("Cancelling…", "error");
   });
 
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
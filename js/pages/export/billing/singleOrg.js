@@ -16,7 +16,7 @@
  *
  * No preview. Same UX as other exports: Run → status → Download Excel.
  */
-import { timestampedFilename, downloadWorkbook, makeStatus, makeControlBusy } from "../../../utils.js";
+import { timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus, makeControlBusy } from "../../../utils.js";
 import {
   fetchBillingPeriods,
   clearBillingPeriodsCache,
@@ -67,7 +67,8 @@ export default function renderBillingSingleOrgExport({ me, api, orgContext }) {
     </div>
 
     <div id="bsoDownload" style="display:none;margin-top:10px">
-      <button class="btn te-btn-export" id="bsoDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("bsoFormat")}
+      <button class="btn te-btn-export" id="bsoDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -116,6 +117,7 @@ export default function renderBillingSingleOrgExport({ me, api, orgContext }) {
   const $progBar   = el.querySelector("#bsoProgressBar");
   const $dlWrap    = el.querySelector("#bsoDownload");
   const $dlBtn     = el.querySelector("#bsoDownloadBtn");
+  const $format    = el.querySelector("#bsoFormat");
   const $emailChk  = el.querySelector("#bsoEmailChk");
   const $emailFld  = el.querySelector("#bsoEmailFields");
   const $emailTo   = el.querySelector("#bsoEmailTo");
@@ -338,10 +340,10 @@ export default function renderBillingSingleOrgExport({ me, api, orgContext }) {
   });
 
   // ── Download ─────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
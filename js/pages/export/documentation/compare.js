@@ -0,0 +1,262 @@
+/**
+ * Export › Documentation — Compare
+ *
+ * Configuration drift between two documentation exports: the same org at two
+ * visits, or a demo org against a customer's. Each side is a Documentation
+ * workbook — uploaded (the .xlsx, or the .zip with data tables, whose main
+ * workbook is used) or exported now for the org selected in the header, via
+ * a documentation export job (js/services/docExportService.js) without data
+ * table contents.
+ *
+ * The comparison is js/lib/docDiff.js: rows matched per sheet on a natural key,
+ * mostly the name, and reported as added, removed or changed, the changed ones
+ * cell by cell. The result is shown as a per-sheet table here and downloaded as
+ * a workbook with the differing cells highlighted.
+ *
+ * The schedule panel runs the same comparison server-side
+ * (api/lib/exports/documentationCompare.js): against another org, or against
+ * the schedule's own previous run.
+ */
+import { downloadWorkbook, escapeHtml, makeStatus, timestampedFilename, withBusy } from "../../../utils.js";
+import { runDocExport } from "../../../services/docExportService.js";
+import { logAction } from "../../../services/activityLogService.js";
+import { createSchedulePanel } from "../../../components/schedulePanel.js";
+import { INDEX_SHEET, readDocSheets, compareDocs, summaryText, buildDiffWorkbook } from "../../../lib/docDiff.js";
+
+// ── Automation ─────────────────────────────────────────────────────────────────
+const AUTOMATION_ENABLED     = true;
+const AUTOMATION_EXPORT_TYPE  = "documentationCompare";
+const AUTOMATION_EXPORT_LABEL = "Documentation Compare";
+
+const SIDES = {
+  before: { title: "Before", hint: "The earlier export, or the reference org's" },
+  after:  { title: "After",  hint: "The later export, or the org under review" },
+};
+
+function stamp(d = new Date()) {
+  return d.toLocaleString("sv-SE", { dateStyle: "short", timeStyle: "short" });
+}
+
+/** The Documentation workbook in an uploaded .xlsx, or in the .zip the export makes with data tables. */
+async function readUpload(file) {
+  const buf = await file.arrayBuffer();
+  if (/\.zip$/i.test(file.name)) {
+    if (typeof JSZip === "undefined") throw new Error("Zip library not loaded. Please reload the page.");
+    const zip = await JSZip.loadAsync(buf);
+    const main = Object.values(zip.files).find((f) =>
+      !f.dir && /\.xlsx$/i.test(f.name) && !/_DataTables_/i.test(f.name));
+    if (!main) throw new Error(`${file.name} holds no Documentation workbook`);
+    return XLSX.read(await main.async("arraybuffer"), { type: "array" });
+  }
+  return XLSX.read(buf, { type: "array" });
+}
+
+export default function renderDocumentationCompare({ route, me, api, orgContext }) {
+  const el = document.createElement("section");
+  el.className = "card";
+
+  // ── State ──────────────────────────────────────────────────────────────
+  const loaded   = { before: null, after: null }; // { label, sheets }
+  let lastDiff   = null;
+
+  // ── HTML ───────────────────────────────────────────────────────────────
+  el.innerHTML = `
+    <h1 class="h1">Export — Documentation — Compare</h1>
+    <hr class="hr">
+    <p class="page-desc">
+      Compares two documentation exports sheet by sheet — one org between two
+      visits, or a demo org against a customer's. Rows are matched on their name
+      (or the sheet's natural key) and reported as added, removed or changed; the
+      downloaded workbook highlights every cell that differs.
+    </p>
+
+    ${Object.entries(SIDES).map(([side, s]) => `
+    <div style="margin-bottom:10px">
+      <div style="font-weight:600">${s.title} <span class="te-user-count">— ${s.hint}</span></div>
+      <div class="te-actions" style="margin-top:6px">
+        <button class="btn" id="dcUpload_${side}">Upload workbook…</button>
+        <input type="file" id="dcFile_${side}" accept=".xlsx,.zip" style="display:none" />
+        <button class="btn" id="dcExport_${side}">Export selected org now</button>
+        <span class="te-user-count" id="dcLabel_${side}">Nothing loaded</span>
+      </div>
+    </div>`).join("")}
+
+    <label class="em-toggle" style="margin:6px 0 10px">
+      <input type="checkbox" id="dcIgnoreIds">
+      <span>Ignore ID columns — ids always differ between two orgs</span>
+    </label>
+
+    <div class="te-actions">
+      <button class="btn te-btn-export" id="dcCompareBtn" disabled>Compare</button>
+      <button class="btn" id="dcDownloadBtn" style="display:none">⬇ Download Differences</button>
+    </div>
+
+    <div class="te-status" id="dcStatus"></div>
+    <div class="wc-summary" id="dcSummary" style="display:none"></div>
+    <div class="te-table-scroll" id="dcResult" style="display:none"></div>
+  `;
+
+  // ── Automation panel ────────────────────────────────────────────────────
+  if (AUTOMATION_ENABLED) {
+    const orgs = orgContext?.getCustomers?.() || [];
+    el.appendChild(createSchedulePanel({
+      exportType:  AUTOMATION_EXPORT_TYPE,
+      exportLabel: AUTOMATION_EXPORT_LABEL,
+      me,
+      requiresOrg: true,
+      extraConfigFields: [
+        {
+          key: "baselineOrgId",
+          label: "Compare with",
+          type: "select",
+          default: "",
+          options: [
+            { value: "", label: "This org's previous run" },
+            ...orgs.map((c) => ({ value: c.id, label: c.name })),
+          ],
+          hint: "Another org is exported in the same run. The first run against the previous run delivers the documentation itself.",
+        },
+        {
+          key: "ignoreIds",
+          label: "ID columns",
+          type: "select",
+          default: "",
+          options: [
+            { value: "",      label: "Ignore only against another org" },
+            { value: "true",  label: "Always ignore" },
+            { value: "false", label: "Always compare" },
+          ],
+        },
+      ],
+      configSummary: (cfg) => {
+        const other = orgs.find((c) => c.id === cfg.baselineOrgId);
+        return cfg.baselineOrgId ? `against ${other?.name || cfg.baselineOrgId}` : "against the previous run";
+      },
+    }));
+  }
+
+  // ── References ─────────────────────────────────────────────────────────
+  const $compareBtn  = el.querySelector("#dcCompareBtn");
+  const $downloadBtn = el.querySelector("#dcDownloadBtn");
+  const $ignoreIds   = el.querySelector("#dcIgnoreIds");
+  const $summary     = el.querySelector("#dcSummary");
+  const $result      = el.querySelector("#dcResult");
+  const setStatus    = makeStatus(el.querySelector("#dcStatus"), "te-status");
+
+  // ── Helpers ────────────────────────────────────────────────────────────
+  function clearResult() {
+    lastDiff = null;
+    $summary.style.display = "none";
+    $result.style.display = "none";
+    $downloadBtn.style.display = "none";
+  }
+
+  function setSide(side, label, wb) {
+    if (!wb.SheetNames.includes(INDEX_SHEET)) {
+      throw new Error(`${label} is not a Documentation export — it has no ${INDEX_SHEET} sheet`);
+    }
+    loaded[side] = { label, sheets: readDocSheets(wb) };
+    el.querySelector(`#dcLabel_${side}`).textContent =
+      `${label} — ${Object.keys(loaded[side].sheets).length} sheets`;
+    $compareBtn.disabled = !(loaded.before && loaded.after);
+    clearResult();
+  }
+
+  function renderResult(diff) {
+    const rows = diff.sheets.filter((s) => s.status === "error" ||
+      s.added.length || s.removed.length || s.changed.length);
+    $summary.textContent = summaryText(diff);
+    $summary.style.display = "";
+    if (!rows.length) {
+      $result.style.display = "none";
+      return;
+    }
+    $result.innerHTML = `
+      <table class="data-table">
+        <thead><tr><th>Sheet</th><th>Matched On</th><th>Added</th><th>Removed</th><th>Changed</th><th>Unchanged</th></tr></thead>
+        <tbody>${rows.map((s) => s.status === "error"
+          ? `<tr><td>${escapeHtml(s.name)}</td><td colspan="5" class="muted">Not exported in ${
+              escapeHtml([s.errorBefore ? "Before" : "", s.errorAfter ? "After" : ""].filter(Boolean).join(" and "))
+            }: ${escapeHtml(s.errorBefore || s.errorAfter)}</td></tr>`
+          : `<tr><td>${escapeHtml(s.name)}</td><td>${escapeHtml(s.key.join(" + "))}</td>
+               <td>${s.added.length}</td><td>${s.removed.length}</td><td>${s.changed.length}</td><td>${s.unchanged}</td></tr>`
+        ).join("")}</tbody>
+      </table>`;
+    $result.style.display = "";
+  }
+
+  // ── Sources ────────────────────────────────────────────────────────────
+  for (const side of Object.keys(SIDES)) {
+    const $file = el.querySelector(`#dcFile_${side}`);
+    const $exportBtn = el.querySelector(`#dcExport_${side}`);
+
+    el.querySelector(`#dcUpload_${side}`).addEventListener("click", () => $file.click());
+
+    $file.addEventListener("change", async () => {
+      const file = $file.files[0];
+      // Reset so the same file can be re-selected later
+      $file.value = "";
+      if (!file) return;
+      setStatus(`Reading ${file.name}…`);
+      try {
+        setSide(side, file.name, await readUpload(file));
+        setStatus("");
+      } catch (err) {
+        setStatus(`Could not read ${file.name}: ${err.message}`, "error");
+      }
+    });
+
+    $exportBtn.addEventListener("click", () => withBusy($exportBtn, async () => {
+      const org = orgContext?.getDetails?.();
+      if (!org) {
+        setStatus("Please select a customer org from the header dropdown first.", "error");
+        return;
+      }
+      setStatus(`Exporting documentation for ${org.name} — this can take several minutes…`);
+      try {
+        const result = await runDocExport(org.id, { includeDataTables: false }, {
+          onPoll: (job) => {
+            const settled = job.selected.filter((name) => job.sheets[name]).length;
+            setStatus(`Exporting documentation for ${org.name}… ${settled} / ${job.selected.length} sheets`);
+          },
+        });
+
+        setSide(side, `${org.name} — ${stamp()}`, XLSX.read(result.base64, { type: "base64" }));
+        setStatus(`Exported ${org.name}: ${result.summary}`, "success");
+      } catch (err) {
+        setStatus(`Export failed: ${err.message}`, "error");
+      }
+    }));
+  }
+
+  // ── Compare ────────────────────────────────────────────────────────────
+  $compareBtn.addEventListener("click", () => {
+    if (!loaded.before || !loaded.after) return;
+    try {
+      lastDiff = compareDocs(loaded.before.sheets, loaded.after.sheets, { ignoreIds: $ignoreIds.checked });
+      renderResult(lastDiff);
+      $downloadBtn.style.display = "";
+      setStatus(`Compared ${loaded.before.label} with ${loaded.after.label}`, "success");
+      const org = orgContext?.getDetails?.();
+      logAction({ me, orgId: org?.id || "", orgName: org?.name || "", action: "export_run",
+        description: `Compared Documentation '${loaded.before.label}' with '${loaded.after.label}'` });
+    } catch (err) {
+      setStatus(`Compare failed: ${err.message}`, "error");
+    }
+  });
+
+  $ignoreIds.addEventListener("change", clearResult);
+
+  // ── Download ───────────────────────────────────────────────────────────
+  $downloadBtn.addEventListener("click", () => {
+    if (!lastDiff) return;
+    try {
+      const wb = buildDiffWorkbook(lastDiff, { before: loaded.before.label, after: loaded.after.label });
+      downloadWorkbook(wb, timestampedFilename("Documentation_Compare", "xlsx"));
+    } catch (err) {
+      setStatus(err.message, "error");
+    }
+  });
+
+  return el;
+}
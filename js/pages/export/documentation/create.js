@@ -1,28 +1,37 @@
 /**
  * Export › Documentation — Create
  *
- * Triggers a server-side documentation export for the selected org.
- * Calls POST /api/doc-export with { orgId }, waits for the result,
- * then lets the user download the produced XLSX or ZIP file.
+ * Triggers a server-side documentation export for the selected org, as a job
+ * (js/services/docExportService.js → /api/doc-export): the page polls it and
+ * fills in each sheet as its fetch settles — rows, empty, or the 403/404 that
+ * kept it out — then lets the user download the produced XLSX or ZIP file.
+ * The sheets and the data table contents are chosen before it starts, and a
+ * running export can be cancelled.
+ *
+ * Output is the workbook, or a zipped HTML site of the same sheets for handing
+ * to a customer: a page per object type and per object, linked to each other
+ * (queue → wrap-up codes and members, flow → data tables), with search and a
+ * print style (api/lib/docSite.js).
  *
  * The server-side handler (api/lib/exports/documentation.js) fetches
  * all major Genesys Cloud configuration objects and builds a multi-sheet
  * workbook that mirrors the Python Export_All.py output exactly:
- *   - 42 configuration sheets (alphabetically sorted)
+ *   - 52 configuration sheets (alphabetically sorted)
  *   - "Index" cover sheet with table of contents and clickable hyperlinks
  *   - Optional second workbook with DataTable contents (bundled as ZIP when present)
  *
- * Note: This export can take up to 5–10 minutes for large organisations.
- *       A throbber runs beside the status line for the whole request, because
- *       the server reports nothing until it is finished — the status text does
- *       not change once, and without the throbber a long run is
- *       indistinguishable from a dead one. See docs/throbber-design.md.
+ * Note: A full export can take up to 5–10 minutes for large organisations;
+ *       Queues + Users + Flows alone takes seconds. The progress bar is the
+ *       share of the selected sheets that have settled.
  */
-import { downloadBase64, makeStatus } from "../../../utils.js";
+import { downloadBase64, escapeHtml, makeStatus } from "../../../utils.js";
 import { sendEmail } from "../../../services/emailService.js";
-import { withUserToken } from "../../../services/apiAuth.js";
 import { logAction } from "../../../services/activityLogService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
+import { createMultiSelect } from "../../../components/multiSelect.js";
+import {
+  DOC_SHEETS, QUICK_SHEETS, runDocExport, cancelDocExport,
+} from "../../../services/docExportService.js";
 
 // ── Automation ─────────────────────────────────────────────────────────────────
 const AUTOMATION_ENABLED     = true;
@@ -36,6 +45,7 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
   // ── State ──────────────────────────────────────────────────────────────
   let isRunning   = false;
   let lastResult  = null; // { filename, base64, mimeType, summary }
+  let jobId       = null; // the running export, for Cancel
 
   // ── HTML ───────────────────────────────────────────────────────────────
   el.innerHTML = `
@@ -49,10 +59,31 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
       A second workbook with DataTable contents is included as a ZIP when present.
     </p>
     <p class="page-desc" style="color:#f59e0b;margin-top:4px">
-      ⏱ This export may take a while for large organisations.
+      ⏱ A full export may take a while for large organisations —
+      pick only the sheets you need for a quick one.
       Please keep this tab open while it runs.
     </p>
 
+    <div class="di-control-group" style="max-width:420px">
+      <label class="di-label">Sheets</label>
+      <div id="docSheets"></div>
+    </div>
+    <div class="di-control-group" style="max-width:420px">
+      <label class="di-label" for="docOutput">Output</label>
+      <select class="input" id="docOutput">
+        <option value="workbook">Excel workbook</option>
+        <option value="site">HTML site (zip) — browsable, cross-linked, printable</option>
+      </select>
+    </div>
+    <div class="te-actions" style="margin-top:6px">
+      <button class="btn" id="docAllBtn" type="button">All sheets</button>
+      <button class="btn" id="docQuickBtn" type="button">Queues + Users + Flows</button>
+      <label class="em-toggle" style="margin-left:8px">
+        <input type="checkbox" id="docDataTablesChk" checked>
+        <span>Include data table contents</span>
+      </label>
+    </div>
+
     <div style="margin-bottom:8px">
       <span class="te-user-count" id="docOrgLabel">
         Select an org from the header dropdown above, then click Generate.
@@ -61,6 +92,7 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
 
     <div class="te-actions">
       <button class="btn te-btn-export" id="docGenBtn">Generate Documentation</button>
+      <button class="btn" id="docCancelBtn" style="display:none">Cancel</button>
     </div>
 
     <div class="te-status" id="docStatus"></div>
@@ -69,9 +101,8 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
       <div class="te-progress-wrap">
         <div class="te-progress-bar" id="docProgressBar"></div>
       </div>
-      <p style="font-size:0.85rem;color:#888;margin-top:6px">
-        Fetching configuration data from Genesys in parallel — please wait…
-      </p>
+      <p style="font-size:0.85rem;color:#888;margin-top:6px" id="docProgressText"></p>
+      <div class="te-table-scroll" id="docSheetTable"></div>
     </div>
 
     <div class="wc-summary" id="docSummary" style="display:none"></div>
@@ -110,6 +141,18 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
       exportLabel: AUTOMATION_EXPORT_LABEL,
       me,
       requiresOrg: true,
+      extraConfigFields: [
+        {
+          key: "output",
+          label: "Output",
+          type: "select",
+          default: "workbook",
+          options: [
+            { value: "workbook", label: "Excel workbook" },
+            { value: "site",     label: "HTML site (zip)" },
+          ],
+        },
+      ],
     });
     el.appendChild(schedulePanel);
   }
@@ -117,6 +160,13 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
   // ── References ─────────────────────────────────────────────────────────
   const $orgLabel    = el.querySelector("#docOrgLabel");
   const $genBtn      = el.querySelector("#docGenBtn");
+  const $cancelBtn   = el.querySelector("#docCancelBtn");
+  const $allBtn      = el.querySelector("#docAllBtn");
+  const $quickBtn    = el.querySelector("#docQuickBtn");
+  const $dataTables  = el.querySelector("#docDataTablesChk");
+  const $output      = el.querySelector("#docOutput");
+  const $progText    = el.querySelector("#docProgressText");
+  const $sheetTable  = el.querySelector("#docSheetTable");
   const $status      = el.querySelector("#docStatus");
   const $spinner     = el.querySelector("#docSpinnerWrap");
   const $progBar     = el.querySelector("#docProgressBar");
@@ -129,6 +179,25 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
   const $emailTo     = el.querySelector("#docEmailTo");
   const $emailBody   = el.querySelector("#docEmailBody");
 
+  const sheetSelect = createMultiSelect({
+    placeholder: "No sheets selected",
+    searchable: true,
+    onChange: (sel) => { $genBtn.disabled = isRunning || !sel.size; },
+  });
+  sheetSelect.setItems(DOC_SHEETS.map((name) => ({ id: name, label: name })));
+  sheetSelect.setSelected(new Set(DOC_SHEETS));
+  el.querySelector("#docSheets").append(sheetSelect.el);
+
+  $allBtn.addEventListener("click", () => {
+    sheetSelect.setSelected(new Set(DOC_SHEETS));
+    $genBtn.disabled = isRunning;
+  });
+  $quickBtn.addEventListener("click", () => {
+    sheetSelect.setSelected(new Set(QUICK_SHEETS));
+    $dataTables.checked = false;
+    $genBtn.disabled = isRunning;
+  });
+
   // Toggle email fields
   $emailChk.addEventListener("change", () => {
     $emailFields.style.display = $emailChk.checked ? "" : "none";
@@ -137,15 +206,58 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
   // ── Helpers ────────────────────────────────────────────────────────────
   const setStatus = makeStatus($status, "te-status");
 
+  const BADGES = {
+    data:    ["badge--green", (s) => `${s.rows} row${s.rows !== 1 ? "s" : ""}`],
+    empty:   ["badge--grey",  () => "Empty — left out"],
+    error:   ["badge--red",   (s) => s.httpStatus ? `${s.httpStatus}` : "Error"],
+    running: ["badge--blue",  () => "Fetching…"],
+  };
+
+  function badge(s) {
+    const [cls, text] = BADGES[s?.status] || ["badge--grey", () => "Waiting"];
+    return `<span class="badge ${cls}">${escapeHtml(text(s || {}))}</span>`;
+  }
+
+  /** Progress from a polled job: the bar, the count, and a row per sheet. */
+  function showProgress(job) {
+    const settled = job.selected.filter((name) => job.sheets[name]).length;
+    const steps   = job.selected.length + (job.includeDataTables ? 1 : 0);
+    const dtDone  = job.dataTables && job.dataTables.status !== "running" ? 1 : 0;
+    $progBar.style.transition = "width 0.3s ease";
+    $progBar.style.width = `${Math.round(((settled + dtDone) / steps) * 100)}%`;
+    $progText.textContent = job.status === "queued" ? "Waiting for the export to start…"
+      : settled < job.selected.length ? `Fetching sheets — ${settled} of ${job.selected.length} done…`
+      : job.includeDataTables && !dtDone ? "Fetching data table contents…"
+      : job.output === "site" ? "Reading links and building the site…"
+      : "Building the workbook…";
+
+    const rows = job.selected.map((name) => {
+      const s = job.sheets[name];
+      return `<tr><td>${escapeHtml(name)}</td><td>${badge(s)}</td>` +
+        `<td>${s?.status === "error" ? escapeHtml(s.error) : ""}</td></tr>`;
+    });
+    if (job.includeDataTables) {
+      const dt = job.dataTables;
+      const dtBadge = !dt ? badge(null)
+        : dt.status === "data" ? `<span class="badge badge--green">${dt.tables} table${dt.tables !== 1 ? "s" : ""}</span>`
+        : badge(dt);
+      rows.push(`<tr><td>Data table contents</td><td>${dtBadge}</td>` +
+        `<td>${dt?.status === "error" ? escapeHtml(dt.error) : ""}</td></tr>`);
+    }
+    $sheetTable.innerHTML = `
+      <table class="data-table">
+        <thead><tr><th>Sheet</th><th>Status</th><th>Error</th></tr></thead>
+        <tbody>${rows.join("")}</tbody>
+      </table>`;
+  }
+
   function showSpinner(visible) {
     $spinner.style.display = visible ? "" : "none";
+    $progBar.style.transition = "width 0.3s ease";
+    $progBar.style.width = "0%";
     if (visible) {
-      // Animated "running" look: fill to ~80 % then hold
-      $progBar.style.transition = "width 8s ease-out";
-      $progBar.style.width = "80%";
-    } else {
-      $progBar.style.transition = "width 0.3s ease";
-      $progBar.style.width = "0%";
+      $progText.textContent = "Starting…";
+      $sheetTable.innerHTML = "";
     }
   }
 
@@ -176,6 +288,11 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
     if (isRunning) return;
     isRunning  = true;
     lastResult = null;
+    sheetSelect.setEnabled(false);
+    $output.disabled = true;
+
+    const selected = sheetSelect.getSelected();
+    const sheets   = selected.size === DOC_SHEETS.length ? undefined : DOC_SHEETS.filter((s) => selected.has(s));
 
     // Reset UI
     $genBtn.disabled           = true;
@@ -187,28 +304,23 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
     const startTs = Date.now();
 
     try {
-      const resp = await fetch("/api/doc-export", {
-        method: "POST",
-        headers: withUserToken({ "Content-Type": "application/json" }),
-        body: JSON.stringify({ orgId: org.id, includeDataTables: true }),
+      const options = { sheets, includeDataTables: $dataTables.checked, output: $output.value };
+      const result = await runDocExport(org.id, options, {
+        onStart: (id) => {
+          jobId = id;
+          $cancelBtn.disabled = false;
+          $cancelBtn.style.display = "";
+          setStatus(`Exporting documentation for ${org.name}…`);
+        },
+        onPoll: showProgress,
       });
 
-      if (!resp.ok) {
-        const errData = await resp.json().catch(() => ({}));
-        throw new Error(errData.error || `Server returned ${resp.status}`);
-      }
-
-      const result = await resp.json();
-
-      if (!result.success) {
-        throw new Error(result.error || "Export failed");
-      }
-
       const elapsed = Math.round((Date.now() - startTs) / 1000);
       lastResult = result;
 
       const isZip  = result.mimeType === "application/zip";
-      const extStr = isZip ? "ZIP (XLSX + DataTables XLSX)" : "XLSX";
+      const extStr = options.output === "site" ? "ZIP (HTML site)"
+        : isZip ? "ZIP (XLSX + DataTables XLSX)" : "XLSX";
 
       $summary.textContent   = `${result.summary}`;
       $summary.style.display = "";
@@ -249,14 +361,32 @@ export default function renderDocumentationCreate({ route, me, api, orgContext }
         );
       }
     } catch (err) {
-      setStatus(`Export failed: ${err.message}`, "error");
+      if (err.cancelled) setStatus("Export cancelled");
+      else setStatus(`Export failed: ${err.message}`, "error");
     } finally {
       isRunning        = false;
-      $genBtn.disabled = false;
+      jobId            = null;
+      sheetSelect.setEnabled(true);
+      $output.disabled = false;
+      $genBtn.disabled = !sheetSelect.getSelected().size;
+      $cancelBtn.style.display = "none";
       showSpinner(false);
     }
   });
 
+  // ── Cancel ─────────────────────────────────────────────────────────────
+  $cancelBtn.addEventListener("click", async () => {
+    if (!jobId) return;
+    $cancelBtn.disabled = true;
+    setStatus("Cancelling…");
+    try {
+      await cancelDocExport(jobId);
+    } catch (err) {
+      // Most likely it finished in the meantime; the next poll says how.
+      setStatus(`Cancel failed: ${err.message}`, "error");
+    }
+  });
+
   // ── Download ───────────────────────────────────────────────────────────
   $dlBtn.addEventListener("click", () => {
     if (!lastResult) return;
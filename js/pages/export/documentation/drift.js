@@ -0,0 +1,267 @@
+/**
+ * Export › Documentation — Drift
+ *
+ * The org selected in the header against its pinned configuration baseline:
+ * queues, flows, data actions, OAuth clients, trunks and roles, read the way the
+ * documentation export reads them. Pin the baseline once the org is as it should
+ * be; "Check now" — or a schedule — re-reads it and shows what drifted, per
+ * object type. Drift that was meant is accepted per type, which rolls the
+ * baseline forward to what the last check read.
+ *
+ * Everything runs server-side (/api/config-baselines, api/lib/configDrift.js);
+ * the baseline is kept per org in Blob Storage. The schedule panel runs the check
+ * daily or as often as set (api/lib/exports/configDrift.js) and emails the drift
+ * report only when something drifted; each object type is notify or ignore.
+ *
+ * Pinning, accepting and unpinning are refused for customer sessions.
+ */
+import { downloadBase64, escapeHtml, formatDateTime, makeStatus, withBusy } from "../../../utils.js";
+import { logAction } from "../../../services/activityLogService.js";
+import { createSchedulePanel } from "../../../components/schedulePanel.js";
+import {
+  fetchBaseline, pinBaseline, checkDrift, acceptDrift, removeBaseline,
+} from "../../../services/configBaselineService.js";
+
+// ── Automation ─────────────────────────────────────────────────────────────────
+const AUTOMATION_ENABLED     = true;
+const AUTOMATION_EXPORT_TYPE  = "configDrift";
+const AUTOMATION_EXPORT_LABEL = "Config Drift";
+
+/** The object types, in report order — OBJECT_TYPES in api/lib/configDrift.js. */
+const TYPES = {
+  queues:       "Queues",
+  flows:        "Flows",
+  dataActions:  "Data actions",
+  oauthClients: "OAuth clients",
+  trunks:       "Trunks",
+  roles:        "Roles",
+};
+
+export default function renderDocumentationDrift({ route, me, api, orgContext }) {
+  const el = document.createElement("section");
+  el.className = "card";
+
+  const org = orgContext?.getDetails?.();
+
+  // ── HTML ───────────────────────────────────────────────────────────────
+  el.innerHTML = `
+    <h1 class="h1">Export — Documentation — Drift</h1>
+    <hr class="hr">
+    <p class="page-desc">
+      Pins the selected org's queues, flows, data actions, OAuth clients, trunks
+      and roles as a baseline, and reports what has changed since — added,
+      removed or changed, cell by cell. Accept drift that was meant to roll the
+      baseline forward; schedule the check below to be emailed the same day.
+    </p>
+
+    <div style="margin-bottom:8px">
+      <span class="te-user-count" id="cdBaselineLabel">
+        ${org ? "Loading baseline…" : "Select an org from the header dropdown above."}
+      </span>
+    </div>
+
+    <div class="te-actions">
+      <button class="btn te-btn-export" id="cdCheckBtn" disabled>Check now</button>
+      <button class="btn" id="cdPinBtn" disabled>Pin baseline</button>
+      <button class="btn" id="cdAcceptAllBtn" style="display:none">Accept all drift</button>
+      <button class="btn" id="cdDownloadBtn" style="display:none">⬇ Download Drift Report</button>
+      <button class="btn" id="cdUnpinBtn" style="display:none">Unpin</button>
+    </div>
+
+    <div class="te-status" id="cdStatus"></div>
+    <div class="wc-summary" id="cdSummary" style="display:none"></div>
+    <div class="te-table-scroll" id="cdResult" style="display:none"></div>
+  `;
+
+  // ── Automation panel ────────────────────────────────────────────────────
+  if (AUTOMATION_ENABLED) {
+    el.appendChild(createSchedulePanel({
+      exportType:  AUTOMATION_EXPORT_TYPE,
+      exportLabel: AUTOMATION_EXPORT_LABEL,
+      me,
+      requiresOrg: true,
+      extraConfigFields: Object.entries(TYPES).map(([key, label]) => ({
+        key,
+        label,
+        type: "select",
+        default: "notify",
+        options: [
+          { value: "notify", label: "Notify" },
+          { value: "ignore", label: "Ignore" },
+        ],
+      })),
+      configSummary: (cfg) => {
+        const ignored = Object.keys(TYPES).filter((t) => cfg[t] === "ignore").map((t) => TYPES[t]);
+        return ignored.length ? `ignoring ${ignored.join(", ")}` : "all object types";
+      },
+    }));
+  }
+
+  // ── References ─────────────────────────────────────────────────────────
+  const $label       = el.querySelector("#cdBaselineLabel");
+  const $checkBtn    = el.querySelector("#cdCheckBtn");
+  const $pinBtn      = el.querySelector("#cdPinBtn");
+  const $acceptAll   = el.querySelector("#cdAcceptAllBtn");
+  const $downloadBtn = el.querySelector("#cdDownloadBtn");
+  const $unpinBtn    = el.querySelector("#cdUnpinBtn");
+  const $summary     = el.querySelector("#cdSummary");
+  const $result      = el.querySelector("#cdResult");
+  const setStatus    = makeStatus(el.querySelector("#cdStatus"), "te-status");
+
+  // ── State ──────────────────────────────────────────────────────────────
+  let state = null; // { baseline, latest, drift }
+
+  const drifted = (d) => d && (d.added || d.removed || d.changed || d.errors);
+
+  // ── Render ─────────────────────────────────────────────────────────────
+  function render() {
+    const { baseline, latest, drift } = state || {};
+    $pinBtn.disabled = false;
+    $pinBtn.textContent = baseline ? "Re-pin baseline" : "Pin baseline";
+    $checkBtn.disabled = !baseline;
+    $unpinBtn.style.display = baseline ? "" : "none";
+
+    if (!baseline) {
+      $label.textContent = "No baseline pinned for this org yet — pin one once its configuration is as it should be.";
+      $summary.style.display = "none";
+      $result.style.display = "none";
+      $acceptAll.style.display = "none";
+      $downloadBtn.style.display = "none";
+      return;
+    }
+
+    $label.textContent = `${org.name} — baseline pinned ${formatDateTime(baseline.pinnedAt)} by ${baseline.pinnedBy}` +
+      (latest ? `; last checked ${formatDateTime(latest.takenAt)} by ${latest.takenBy}` : "; not checked yet");
+
+    const anyDrift = Object.keys(TYPES).some((t) => drifted(drift?.types?.[t]));
+    $summary.textContent = !latest ? "Not checked since the baseline was pinned."
+      : anyDrift ? `Drift: ${drift.totals.added} added, ${drift.totals.removed} removed, ${drift.totals.changed} changed` +
+          (drift.totals.errors ? ` — ${drift.totals.errors} sheet(s) could not be read` : "")
+      : "No drift from the baseline.";
+    $summary.style.display = "";
+    $acceptAll.style.display = anyDrift ? "" : "none";
+    $downloadBtn.style.display = anyDrift ? "" : "none";
+
+    $result.innerHTML = `
+      <table class="data-table">
+        <thead><tr><th>Object Type</th><th>Baseline</th><th>Rows</th><th>Added</th><th>Removed</th><th>Changed</th><th>Where</th><th></th></tr></thead>
+        <tbody>${Object.entries(TYPES).map(([t, label]) => {
+          const b = baseline.types[t];
+          const d = drift?.types?.[t];
+          const since = !b ? `<span class="muted">Not pinned — ${escapeHtml(latest?.types?.[t]?.errors?.[0] || "not read yet")}</span>`
+            : escapeHtml(`${formatDateTime(b.takenAt)}${b.acceptedBy ? ` (accepted by ${b.acceptedBy})` : ""}`);
+          const where = (d?.sheets || [])
+            .filter((s) => s.error || s.added || s.removed || s.changed)
+            .map((s) => s.error ? `${s.name}: not read — ${s.error}`
+              : `${s.name}: ${[s.added && `${s.added} added`, s.removed && `${s.removed} removed`, s.changed && `${s.changed} changed`].filter(Boolean).join(", ")}`)
+            .join("; ");
+          return `<tr>
+            <td>${escapeHtml(label)}</td>
+            <td>${since}</td>
+            <td>${b ? b.rows : ""}</td>
+            <td>${d ? d.added : ""}</td><td>${d ? d.removed : ""}</td><td>${d ? d.changed : ""}</td>
+            <td>${escapeHtml(where)}</td>
+            <td>${drifted(d) && !d.errors ? `<button class="btn" data-accept="${t}">Accept</button>` : ""}</td>
+          </tr>`;
+        }).join("")}</tbody>
+      </table>`;
+    $result.style.display = "";
+  }
+
+  async function load() {
+    try {
+      state = await fetchBaseline(org.id);
+      render();
+    } catch (err) {
+      $label.textContent = "";
+      setStatus(`Could not load the baseline: ${err.message}`, "error");
+    }
+  }
+
+  function log(description) {
+    logAction({ me, orgId: org.id, orgName: org.name, action: "config_baseline", description });
+  }
+
+  async function accept(types) {
+    const labels = types.map((t) => TYPES[t]).join(", ");
+    if (!confirm(`Accept the drift in ${labels} as ${org.name}'s new baseline?`)) return;
+    try {
+      await acceptDrift(org.id, types);
+      // Re-read rather than patch: the accepted types now match the last
+      // reading, so the server's drift for them is gone.
+      state = await fetchBaseline(org.id);
+      render();
+      setStatus(`Accepted the drift in ${labels}`, "success");
+      log(`Accepted config drift in ${labels}`);
+    } catch (err) {
+      setStatus(`Accept failed: ${err.message}`, "error");
+    }
+  }
+
+  // ── Actions ────────────────────────────────────────────────────────────
+  $pinBtn.addEventListener("click", () => withBusy($pinBtn, async () => {
+    if (state?.baseline && !confirm(`Replace ${org.name}'s baseline with its configuration as it is now? Unaccepted drift becomes the baseline.`)) return;
+    setStatus(`Reading ${org.name}'s configuration…`);
+    try {
+      const { unreadable } = await pinBaseline(org.id);
+      state = await fetchBaseline(org.id);
+      render();
+      setStatus(unreadable.length
+        ? `Baseline pinned, without what could not be read: ${unreadable.join("; ")}`
+        : "Baseline pinned", unreadable.length ? "error" : "success");
+      log("Pinned the config baseline");
+    } catch (err) {
+      setStatus(`Pin failed: ${err.message}`, "error");
+    }
+  }));
+
+  $checkBtn.addEventListener("click", () => withBusy($checkBtn, async () => {
+    setStatus(`Reading ${org.name}'s configuration…`);
+    try {
+      const { baseline, latest, drift, pinnedNow } = await checkDrift(org.id);
+      state = { baseline, latest, drift };
+      render();
+      setStatus(`Checked ${org.name}` +
+        (pinnedNow.length ? ` — ${pinnedNow.map((t) => TYPES[t]).join(", ")} added to the baseline` : ""), "success");
+    } catch (err) {
+      setStatus(`Check failed: ${err.message}`, "error");
+    }
+  }));
+
+  $result.addEventListener("click", (e) => {
+    const t = e.target.closest("[data-accept]")?.dataset.accept;
+    if (t) accept([t]);
+  });
+
+  $acceptAll.addEventListener("click", () =>
+    accept(Object.keys(TYPES).filter((t) => {
+      const d = state?.drift?.types?.[t];
+      return drifted(d) && !d.errors;
+    })));
+
+  $downloadBtn.addEventListener("click", () => withBusy($downloadBtn, async () => {
+    try {
+      const { report } = await fetchBaseline(org.id, { report: true });
+      if (!report) throw new Error("Nothing to download — check the org first");
+      downloadBase64(report.filename, report.base64);
+    } catch (err) {
+      setStatus(err.message, "error");
+    }
+  }));
+
+  $unpinBtn.addEventListener("click", () => withBusy($unpinBtn, async () => {
+    if (!confirm(`Unpin ${org.name}'s baseline? Scheduled checks pin a new one on their next run.`)) return;
+    try {
+      await removeBaseline(org.id);
+      state = null;
+      render();
+      setStatus("Baseline unpinned", "success");
+      log("Unpinned the config baseline");
+    } catch (err) {
+      setStatus(`Unpin failed: ${err.message}`, "error");
+    }
+  }));
+
+  if (org) load();
+  return el;
+}
@@ -14,7 +14,7 @@
  *      Returns pre-computed counts grouped by dimension — fast at any scale.
  */
 
-import { timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
 import { STYLE_HEADER, STYLE_ROW_EVEN, STYLE_ROW_ODD } from "../../../utils/excelStyles.js";
@@ -141,7 +141,10 @@ export default function renderTotals({ route, me, api, orgContext }) {
 
     <div class="cs-actions" style="display:flex;justify-content:space-between;align-items:center">
       <button class="btn" id="itLoadBtn">Load Totals</button>
-      <button class="btn te-btn-export" id="itExportBtn" style="display:none">Export Excel</button>
+      <span id="itExport" style="display:none">
+        ${exportFormatSelectHtml("itFormat")}
+        <button class="btn te-btn-export" id="itExportBtn">Export</button>
+      </span>
     </div>
 
     <!-- Status -->
@@ -260,7 +263,9 @@ export default function renderTotals({ route, me, api, orgContext }) {
   const $chartMedia   = el.querySelector("#itChartMedia");
   const $chartDir     = el.querySelector("#itChartDir");
   const $chartRouting = el.querySelector("#itChartRouting");
+  const $exportWrap = el.querySelector("#itExport");
   const $exportBtn = el.querySelector("#itExportBtn");
+  const $format    = el.querySelector("#itFormat");
   const $emailChk  = el.querySelector("#itEmailChk");
   const $emailFld  = el.querySelector("#itEmailFields");
   const $emailTo   = el.querySelector("#itEmailTo");
@@ -493,7 +498,7 @@ export default function renderTotals({ route, me, api, orgContext }) {
       lastWorkbook = wb;
       lastFilename = fname;
 
-      $exportBtn.style.display = "";
+      $exportWrap.style.display = "";
 
       logAction({ me, orgId: org?.id || "", orgName: org?.name || "",
         action: "export_run",
@@ -535,11 +540,11 @@ export default function renderTotals({ route, me, api, orgContext }) {
     }
   });
 
-  // ── Export Excel (download) ─────────────────────────
-  $exportBtn.addEventListener("click", () => {
+  // ── Export (download) ───────────────────────────────
+  $exportBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
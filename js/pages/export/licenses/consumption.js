@@ -11,7 +11,7 @@
  * Matches the Python script: GUI_Users_Export_Licenses.py
  * Sheet name: "User Licenses"
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
@@ -166,7 +166,8 @@ export default function renderLicenseConsumptionExport({ route, me, api, orgCont
     <div class="wc-summary" id="lcSummary" style="display:none"></div>
 
     <div id="lcDownload" style="display:none">
-      <button class="btn te-btn-export" id="lcDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("lcFormat")}
+      <button class="btn te-btn-export" id="lcDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -229,6 +230,7 @@ export default function renderLicenseConsumptionExport({ route, me, api, orgCont
   const $summary      = el.querySelector("#lcSummary");
   const $dlWrap       = el.querySelector("#lcDownload");
   const $dlBtn        = el.querySelector("#lcDownloadBtn");
+  const $format       = el.querySelector("#lcFormat");
   const $emailChk     = el.querySelector("#lcEmailChk");
   const $emailFld     = el.querySelector("#lcEmailFields");
   const $emailTo      = el.querySelector("#lcEmailTo");
@@ -392,10 +394,10 @@ export default function renderLicenseConsumptionExport({ route, me, api, orgCont
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
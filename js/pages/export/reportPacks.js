@@ -0,0 +1,75 @@
+/**
+ * Export › Report Packs — several exports for one org, in one scheduled delivery.
+ *
+ * A report pack is a schedule like any other (exportType "reportPack"), so this
+ * page is only its automation panel: pick the org, the exports in the pack and
+ * whether they arrive as one workbook with an Index sheet or as a zip of their
+ * own files. The runner (api/lib/exports/reportPack.js) runs the members side
+ * by side and delivers them once, with a combined summary; a member that fails
+ * is noted and the others are still delivered.
+ *
+ * Runs, Run now and History are on Scheduled Exports, as for every schedule.
+ */
+import { escapeHtml } from "../../utils.js";
+import { createSchedulePanel } from "../../components/schedulePanel.js";
+
+const AUTOMATION_EXPORT_TYPE  = "reportPack";
+const AUTOMATION_EXPORT_LABEL = "Report Pack";
+
+/** What a pack may hold — mirrors MEMBERS in api/lib/exports/reportPack.js, which enforces it. */
+const PACK_MEMBERS = [
+  { value: "lastLogin",           label: "Last Login" },
+  { value: "licensesConsumption", label: "License Consumption" },
+  { value: "allRoles",            label: "All Roles" },
+  { value: "queuesSkills",        label: "Queues/Skills" },
+  { value: "allGroups",           label: "All Groups" },
+  { value: "skillTemplates",      label: "Skill Templates" },
+  { value: "rolesSingleOrg",      label: "Roles" },
+  { value: "interactionTotals",   label: "Interaction Totals" },
+];
+
+const PACK_FORMATS = [
+  { value: "workbook", label: "One workbook, with an Index sheet" },
+  { value: "zip",      label: "ZIP of one file per export" },
+];
+
+export default function renderReportPacks({ route, me }) {
+  const el = document.createElement("section");
+  el.className = "card";
+
+  el.innerHTML = `
+    <h1 class="h1">Export — Report Packs</h1>
+    <hr class="hr">
+    <p class="page-desc">
+      Bundle several exports for one org into a single scheduled delivery —
+      for example a monthly governance pack of ${PACK_MEMBERS.slice(0, 4).map((m) => escapeHtml(m.label)).join(", ")}.
+      The exports run side by side with their default settings and arrive together,
+      once, with a combined summary. If one of them fails, the others are still
+      delivered and the failure is noted.
+    </p>
+  `;
+
+  el.appendChild(createSchedulePanel({
+    exportType: AUTOMATION_EXPORT_TYPE,
+    exportLabel: AUTOMATION_EXPORT_LABEL,
+    me,
+    requiresOrg: true,
+    extraConfigFields: [
+      { key: "packName", label: "Pack name", type: "text", default: "", placeholder: "e.g. Monthly governance pack",
+        hint: "Names the file and its Index." },
+      { key: "packFormat", label: "Bundle as", type: "select", default: "workbook", options: PACK_FORMATS },
+    ],
+    dynamicOrgFields: async () => [{
+      key: "members",
+      label: "Exports in the pack",
+      options: PACK_MEMBERS,
+    }],
+    configSummary: (cfg) => [
+      cfg.packName,
+      (cfg.membersLabels || []).join(", "),
+      cfg.packFormat === "zip" ? "ZIP" : "Workbook",
+    ].filter(Boolean).join(" — "),
+  }));
+
+  return el;
+}
@@ -14,7 +14,7 @@
  * No schedule panel — run on-demand only.
  * Filename prefix: Roles_AllOrgs_
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { addStyledSheet } from "../../../utils/excelStyles.js";
@@ -72,7 +72,8 @@ export default function renderRolesAllOrgs({ route, me, api }) {
     <div class="wc-summary" id="raSummary" style="display:none"></div>
 
     <div id="raDownload" style="display:none">
-      <button class="btn te-btn-export" id="raDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("raFormat")}
+      <button class="btn te-btn-export" id="raDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -106,6 +107,7 @@ export default function renderRolesAllOrgs({ route, me, api }) {
   const $summary   = el.querySelector("#raSummary");
   const $dlWrap    = el.querySelector("#raDownload");
   const $dlBtn     = el.querySelector("#raDownloadBtn");
+  const $format    = el.querySelector("#raFormat");
   const $emailChk  = el.querySelector("#raEmailChk");
   const $emailFld  = el.querySelector("#raEmailFields");
   const $emailTo   = el.querySelector("#raEmailTo");
@@ -242,10 +244,10 @@ export default function renderRolesAllOrgs({ route, me, api }) {
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
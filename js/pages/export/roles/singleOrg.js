@@ -13,7 +13,7 @@
  * Sheet name: "Roles"
  * Filename prefix: Roles_{OrgName}_
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
@@ -104,7 +104,8 @@ export default function renderRolesSingleOrg({ route, me, api, orgContext }) {
     <div class="wc-summary" id="rsSummary" style="display:none"></div>
 
     <div id="rsDownload" style="display:none">
-      <button class="btn te-btn-export" id="rsDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("rsFormat")}
+      <button class="btn te-btn-export" id="rsDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -150,6 +151,7 @@ export default function renderRolesSingleOrg({ route, me, api, orgContext }) {
   const $summary   = el.querySelector("#rsSummary");
   const $dlWrap    = el.querySelector("#rsDownload");
   const $dlBtn     = el.querySelector("#rsDownloadBtn");
+  const $format    = el.querySelector("#rsFormat");
   const $emailChk  = el.querySelector("#rsEmailChk");
   const $emailFld  = el.querySelector("#rsEmailFields");
   const $emailTo   = el.querySelector("#rsEmailTo");
@@ -255,10 +257,10 @@ export default function renderRolesSingleOrg({ route, me, api, orgContext }) {
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
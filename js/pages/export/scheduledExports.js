@@ -3,13 +3,30 @@
  *
  * Shows a table listing every schedule, regardless of export type.
  * Only the creator (or admin) can edit/delete a schedule.
+ *
+ * History opens a schedule's past runs (api/schedule-runs): when each ran, how
+ * long it took, what the handler reported, how each delivery target fared, and
+ * the file it produced — downloadable by anyone who can see the schedule, and
+ * re-sendable by whoever can edit it.
+ *
+ * Run now queues a schedule for the runner's next tick (at most five minutes
+ * away) rather than running it in the browser's request, so it is recorded,
+ * retried and alerted exactly like a scheduled run. Same rule as editing.
+ *
+ * While the runner has a job queued or running for any schedule, the table
+ * refreshes every 10 seconds and shows the job's phase in place of its last
+ * run status.
  */
-import { escapeHtml, makeStatus } from "../../utils.js";
+import { escapeHtml, formatDateTime, makeStatus, downloadBase64 } from "../../utils.js";
 import { logAction } from "../../services/activityLogService.js";
 import {
   fetchSchedules,
   updateSchedule,
   deleteSchedule,
+  fetchScheduleRuns,
+  fetchRunFile,
+  resendRun,
+  requestRunNow,
 } from "../../services/scheduleService.js";
 import {
   describeSchedule,
@@ -17,8 +34,12 @@ import {
   buildScheduleForm,
   formatLastRun,
   formatLastStatus,
+  formatDelivery,
+  isJobActive,
 } from "../../components/schedulePanel.js";
 
+const POLL_MS = 10_000;
+
 export default function renderScheduledExports({ route, me }) {
   const el = document.createElement("section");
   el.className = "card";
@@ -35,13 +56,16 @@ export default function renderScheduledExports({ route, me }) {
       <div class="spin-panel"><div class="spin spin--block" aria-hidden="true"></div><p class="muted">Loading…</p></div>
     </div>
     <div class="se-form-container" id="seFormContainer"></div>
+    <div class="se-history-container" id="seHistoryContainer"></div>
   `;
 
   const $body = el.querySelector("#seBody");
   const $formContainer = el.querySelector("#seFormContainer");
+  const $historyContainer = el.querySelector("#seHistoryContainer");
   const $status = el.querySelector("#seStatus");
 
   let schedules = [];
+  let pollTimer = null;
 
   const setStatus = makeStatus($status, "se-status");
 
@@ -69,7 +93,7 @@ export default function renderScheduledExports({ route, me }) {
             <th>Export</th>
             ${hasOrg ? "<th>Organisation</th>" : ""}
             <th>Schedule</th>
-            <th>Recipients</th>
+            <th>Delivery</th>
             <th>Enabled</th>
             <th>Created by</th>
             <th>Last run</th>
@@ -84,16 +108,20 @@ export default function renderScheduledExports({ route, me }) {
         <td>${escapeHtml(s.exportLabel || s.exportType)}</td>
         ${hasOrg ? `<td>${escapeHtml(s.exportConfig?.orgName || "—")}</td>` : ""}
         <td>${escapeHtml(describeSchedule(s))}</td>
-        <td class="se-cell-email">${escapeHtml(s.emailRecipients)}</td>
+        <td class="se-cell-email">${formatDelivery(s)}</td>
         <td>${s.enabled
           ? `<span class="sp-badge sp-badge--on">On</span>`
           : `<span class="sp-badge sp-badge--off">Off</span>`}</td>
         <td>${escapeHtml(s.createdByName || s.createdBy)}</td>
         <td>${formatLastRun(s)}</td>
         <td>${formatLastStatus(s)}</td>
-        <td>${editable
-          ? `<button class="btn btn-sm sp-btn-edit" data-id="${s.id}">Edit</button>`
-          : ""}</td>
+        <td class="se-cell-actions">
+          <button class="btn btn-sm se-btn-history" data-id="${s.id}">History</button>
+          ${editable
+            ? `<button class="btn btn-sm se-btn-run" data-id="${s.id}"${s.runRequestedAt || isJobActive(s) ? " disabled" : ""}>Run now</button>
+               <button class="btn btn-sm sp-btn-edit" data-id="${s.id}">Edit</button>`
+            : ""}
+        </td>
       </tr>`;
     }
 
@@ -107,10 +135,42 @@ export default function renderScheduledExports({ route, me }) {
         if (sched) showForm(sched);
       });
     });
+    $body.querySelectorAll(".se-btn-run").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const sched = schedules.find((s) => s.id === btn.dataset.id);
+        if (sched) runNow(sched, btn);
+      });
+    });
+    $body.querySelectorAll(".se-btn-history").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        const sched = schedules.find((s) => s.id === btn.dataset.id);
+        if (sched) showHistory(sched);
+      });
+    });
+  }
+
+  // ── Run now ───────────────────────────────────────────
+  async function runNow(schedule, btn) {
+    const label = schedule.exportLabel || schedule.exportType;
+    btn.disabled = true;
+    try {
+      await requestRunNow(schedule.id, me.email);
+      logAction({
+        me,
+        action:      "schedule_run_now",
+        description: `Requested a run of '${label}'`,
+      });
+      await loadData();
+      setStatus(`'${label}' is queued — the runner picks it up within 5 minutes. Its result appears under History.`, "success");
+    } catch (err) {
+      btn.disabled = false;
+      setStatus(`Run now failed: ${err.message}`, "error");
+    }
   }
 
   // ── Show edit form ────────────────────────────────────
   function showForm(existing) {
+    hideHistory();
     $formContainer.innerHTML = "";
     const form = buildScheduleForm({
       existing,
@@ -154,6 +214,85 @@ export default function renderScheduledExports({ route, me }) {
     $formContainer.innerHTML = "";
   }
 
+  // ── Run history ───────────────────────────────────────
+  async function showHistory(schedule) {
+    hideForm();
+    const label = schedule.exportLabel || schedule.exportType;
+    const editable = canEditSchedule(schedule, me);
+    $historyContainer.innerHTML = `
+      <div class="sp-form se-history">
+        <div class="se-history-head">
+          <h4 class="sp-form-title">Run history — ${escapeHtml(label)}</h4>
+          <button class="btn btn-sm" id="seHistoryClose">Close</button>
+        </div>
+        ${editable ? `
+          <div class="sp-form-group se-resend-to">
+            <label class="sp-form-label" for="seResendTo">Re-send to</label>
+            <input class="sp-form-input" id="seResendTo" type="text"
+                   value="${escapeHtml(schedule.emailRecipients || "")}">
+          </div>` : ""}
+        <div class="sp-form-status" id="seHistoryStatus"></div>
+        <div id="seHistoryBody">
+          <div class="spin-panel"><div class="spin spin--block" aria-hidden="true"></div><p class="muted">Loading runs…</p></div>
+        </div>
+      </div>`;
+    $historyContainer.scrollIntoView({ behavior: "smooth", block: "nearest" });
+
+    const $hBody = $historyContainer.querySelector("#seHistoryBody");
+    const setHistoryStatus = makeStatus($historyContainer.querySelector("#seHistoryStatus"), "sp-form-status");
+    $historyContainer.querySelector("#seHistoryClose").addEventListener("click", hideHistory);
+
+    let runs = [];
+    let retentionDays = null;
+    try {
+      const data = await fetchScheduleRuns(schedule.id);
+      runs = data.runs;
+      retentionDays = data.retentionDays;
+      $hBody.innerHTML = renderRuns(runs, editable, retentionDays);
+    } catch (err) {
+      $hBody.innerHTML = "";
+      setHistoryStatus(`Failed to load run history: ${err.message}`, "error");
+      return;
+    }
+
+    $hBody.addEventListener("click", async (ev) => {
+      const btn = ev.target.closest("button[data-run]");
+      if (!btn) return;
+      const run = runs.find((r) => r.id === btn.dataset.run);
+      if (!run) return;
+      btn.disabled = true;
+      try {
+        if (btn.dataset.act === "download") {
+          setHistoryStatus("Downloading…");
+          const file = await fetchRunFile(schedule.id, run.id);
+          downloadBase64(file.filename, file.base64);
+          setHistoryStatus("");
+        } else {
+          const to = $historyContainer.querySelector("#seResendTo")?.value.trim() || "";
+          if (!to) { setHistoryStatus("Enter at least one recipient", "error"); return; }
+          setHistoryStatus("Sending…");
+          const res = await resendRun(schedule.id, run.id, me.email, to);
+          logAction({
+            me,
+            action:      "schedule_resend",
+            description: `Re-sent the ${formatDateTime(run.startedAt)} run of '${label}' to ${res.recipients.join(", ")}`,
+          });
+          Object.assign(run, res.run);
+          $hBody.innerHTML = renderRuns(runs, editable, retentionDays);
+          setHistoryStatus(`Sent to ${res.recipients.join(", ")}`, "success");
+        }
+      } catch (err) {
+        setHistoryStatus(err.message, "error");
+      } finally {
+        btn.disabled = false;
+      }
+    });
+  }
+
+  function hideHistory() {
+    $historyContainer.innerHTML = "";
+  }
+
   // ── Load data ─────────────────────────────────────────
   async function loadData() {
     try {
@@ -164,8 +303,128 @@ export default function renderScheduledExports({ route, me }) {
       setStatus(`Failed to load schedules: ${err.message}`, "error");
       $body.innerHTML = `<p class="sp-empty">Could not load schedules.</p>`;
     }
+    schedulePoll();
+  }
+
+  // Follows running jobs until none is left. A failed refresh keeps the table
+  // as it was and tries again on the next round.
+  function schedulePoll() {
+    clearTimeout(pollTimer);
+    if (!schedules.some((s) => isJobActive(s) || s.runRequestedAt)) return;
+    pollTimer = setTimeout(async () => {
+      if (!el.isConnected) return;
+      try {
+        schedules = await fetchSchedules(me?.email || "");
+        renderTable();
+      } catch (_) { /* next round */ }
+      schedulePoll();
+    }, POLL_MS);
   }
 
   loadData();
   return el;
 }
+
+// ── Run history rendering ───────────────────────────────
+
+function formatSize(bytes) {
+  if (bytes == null) return "";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(ms) {
+  if (ms == null) return "—";
+  if (ms < 1000) return `${ms} ms`;
+  const s = Math.round(ms / 1000);
+  return s < 60 ? `${s} s` : `${Math.floor(s / 60)} min ${s % 60} s`;
+}
+
+const TRIGGER_LABELS = { schedule: "Scheduled", retry: "Retry", manual: "Run now" };
+const STEP_LABELS = { handler: "export", delivery: "delivery", store: "saving the result" };
+
+function runTrigger(run) {
+  const label = TRIGGER_LABELS[run.trigger] || run.trigger || "Scheduled";
+  return run.trigger === "retry" && run.attempt
+    ? `${label} <span class="sp-form-hint">attempt ${run.attempt}</span>`
+    : escapeHtml(label);
+}
+
+function runStatus(run) {
+  if (run.failedStep === "store") {
+    return `<span class="se-fail" title="${escapeHtml(run.error || "")}">Failed at ${STEP_LABELS.store}</span>`;
+  }
+  if (run.status === "success") return `<span class="se-ok">Success</span>`;
+  if (run.status === "unchanged") return `<span class="se-ok">No changes</span>`;
+  if (run.status === "delivery-failed") return `<span class="se-fail">Delivery failed</span>`;
+  if (run.status === "email-failed") return `<span class="se-fail">Email failed</span>`;
+  const step = STEP_LABELS[run.failedStep] ? ` (${STEP_LABELS[run.failedStep]})` : "";
+  return `<span class="se-fail" title="${escapeHtml(run.error || "")}">Failure${step}${run.error ? ` — ${escapeHtml(run.error)}` : ""}</span>`;
+}
+
+/**
+ * Each target's outcome. Runs recorded before delivery targets existed carry
+ * only the email outcome, which is shown as before.
+ */
+function runDelivery(run) {
+  const base = run.status === "unchanged" ? `<span class="se-none">Not delivered — nothing changed</span>`
+    : run.deliveries?.length
+    ? run.deliveries.map((d) => d.status === "sent"
+      ? `<span class="se-ok" title="${escapeHtml(d.detail || "")}">${escapeHtml(d.label)} — sent</span>`
+      : `<span class="se-fail" title="${escapeHtml(d.error || "")}">${escapeHtml(d.label)} — failed${d.error ? `: ${escapeHtml(d.error)}` : ""}</span>`
+    ).join("<br>")
+    : run.emailStatus === "sent" ? `<span class="se-ok">Sent</span>`
+    : run.emailStatus === "failed" ? `<span class="se-fail" title="${escapeHtml(run.emailError || "")}">Failed${run.emailError ? ` — ${escapeHtml(run.emailError)}` : ""}</span>`
+    : run.emailStatus === "skipped" ? `<span class="se-none">No recipients</span>`
+    : `<span class="se-none">—</span>`;
+  const resent = run.resendCount
+    ? `<br><span class="sp-form-hint">Re-sent ${run.resendCount}× — last ${escapeHtml(formatDateTime(run.lastResentAt))}${run.lastResentBy ? ` by ${escapeHtml(run.lastResentBy)}` : ""}</span>`
+    : "";
+  return base + resent;
+}
+
+function runFile(run, editable) {
+  if (!run.filename) return `<span class="se-none">No file</span>`;
+  const name = `${escapeHtml(run.filename)} <span class="sp-form-hint">${formatSize(run.fileSize)}</span>`;
+  if (!run.artifact) {
+    return `${name}<br><span class="sp-form-hint">Not kept${run.artifactError ? ` — ${escapeHtml(run.artifactError)}` : ""}</span>`;
+  }
+  return `${name}<div class="se-run-actions">
+      <button class="btn btn-sm" data-act="download" data-run="${escapeHtml(run.id)}">Download</button>
+      ${editable ? `<button class="btn btn-sm" data-act="resend" data-run="${escapeHtml(run.id)}">Re-send</button>` : ""}
+    </div>`;
+}
+
+function renderRuns(runs, editable, retentionDays) {
+  const note = retentionDays
+    ? `<p class="sp-form-hint">Runs and their files are kept for ${retentionDays} days.</p>`
+    : "";
+  if (!runs.length) return `${note}<p class="sp-empty">No runs recorded yet.</p>`;
+  return `${note}
+    <div class="se-table-wrap">
+      <table class="data-table se-table">
+        <thead><tr>
+          <th>Started</th>
+          <th>Trigger</th>
+          <th>Duration</th>
+          <th>Status</th>
+          <th>Summary</th>
+          <th>Delivery</th>
+          <th>File</th>
+        </tr></thead>
+        <tbody>
+          ${runs.map((r) => `<tr>
+            <td>${escapeHtml(formatDateTime(r.startedAt))}</td>
+            <td>${runTrigger(r)}</td>
+            <td>${formatDuration(r.durationMs)}</td>
+            <td>${runStatus(r)}</td>
+            <td class="se-summary">${escapeHtml(r.summary || "—")}${r.changeSummary
+              ? `<div class="sp-form-hint se-changes">${escapeHtml(r.changeSummary)}</div>` : ""}</td>
+            <td>${runDelivery(r)}</td>
+            <td>${runFile(r, editable)}</td>
+          </tr>`).join("")}
+        </tbody>
+      </table>
+    </div>`;
+}
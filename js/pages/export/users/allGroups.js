@@ -14,7 +14,7 @@
  *
  * Matches the Python script: GUI_Users_Export_All_Groups.py
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
@@ -130,7 +130,8 @@ export default function renderAllGroupsExport({ route, me, api, orgContext }) {
     <div class="wc-summary" id="agSummary" style="display:none"></div>
 
     <div id="agDownload" style="display:none">
-      <button class="btn te-btn-export" id="agDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("agFormat")}
+      <button class="btn te-btn-export" id="agDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -176,6 +177,7 @@ export default function renderAllGroupsExport({ route, me, api, orgContext }) {
   const $summary   = el.querySelector("#agSummary");
   const $dlWrap    = el.querySelector("#agDownload");
   const $dlBtn     = el.querySelector("#agDownloadBtn");
+  const $format    = el.querySelector("#agFormat");
   const $emailChk  = el.querySelector("#agEmailChk");
   const $emailFld  = el.querySelector("#agEmailFields");
   const $emailTo   = el.querySelector("#agEmailTo");
@@ -307,10 +309,10 @@ export default function renderAllGroupsExport({ route, me, api, orgContext }) {
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
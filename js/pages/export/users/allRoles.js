@@ -22,7 +22,7 @@
  * Inherited rows are shown (matching the Roles › Permissions vs. Users page
  * behaviour).
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
@@ -173,7 +173,8 @@ export default function renderAllRolesExport({ route, me, api, orgContext }) {
     <div class="wc-summary" id="arSummary" style="display:none"></div>
 
     <div id="arDownload" style="display:none">
-      <button class="btn te-btn-export" id="arDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("arFormat")}
+      <button class="btn te-btn-export" id="arDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -219,6 +220,7 @@ export default function renderAllRolesExport({ route, me, api, orgContext }) {
   const $summary   = el.querySelector("#arSummary");
   const $dlWrap    = el.querySelector("#arDownload");
   const $dlBtn     = el.querySelector("#arDownloadBtn");
+  const $format    = el.querySelector("#arFormat");
   const $emailChk  = el.querySelector("#arEmailChk");
   const $emailFld  = el.querySelector("#arEmailFields");
   const $emailTo   = el.querySelector("#arEmailTo");
@@ -404,10 +406,10 @@ export default function renderAllRolesExport({ route, me, api, orgContext }) {
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
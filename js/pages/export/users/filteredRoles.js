@@ -15,7 +15,7 @@
  * Matches the Python script: GUI_Users_Export_Roles.py
  * Sheet name: "User Roles"
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
@@ -117,7 +117,8 @@ export default function renderFilteredRolesExport({ route, me, api, orgContext }
     <div class="wc-summary" id="frSummary" style="display:none"></div>
 
     <div id="frDownload" style="display:none">
-      <button class="btn te-btn-export" id="frDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("frFormat")}
+      <button class="btn te-btn-export" id="frDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -187,6 +188,7 @@ export default function renderFilteredRolesExport({ route, me, api, orgContext }
   const $summary    = el.querySelector("#frSummary");
   const $dlWrap     = el.querySelector("#frDownload");
   const $dlBtn      = el.querySelector("#frDownloadBtn");
+  const $format     = el.querySelector("#frFormat");
   const $emailChk   = el.querySelector("#frEmailChk");
   const $emailFld   = el.querySelector("#frEmailFields");
   const $emailTo    = el.querySelector("#frEmailTo");
@@ -359,10 +361,10 @@ export default function renderFilteredRolesExport({ route, me, api, orgContext }
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
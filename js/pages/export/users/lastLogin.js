@@ -13,7 +13,7 @@
  *
  * Matches the Python script: GUI_Users_Export_LastLogin.py
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
@@ -145,7 +145,8 @@ export default function renderLastLoginExport({ route, me, api, orgContext }) {
     <div class="wc-summary" id="llSummary" style="display:none"></div>
 
     <div id="llDownload" style="display:none">
-      <button class="btn te-btn-export" id="llDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("llFormat")}
+      <button class="btn te-btn-export" id="llDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -202,6 +203,7 @@ export default function renderLastLoginExport({ route, me, api, orgContext }) {
   const $summary  = el.querySelector("#llSummary");
   const $dlWrap   = el.querySelector("#llDownload");
   const $dlBtn    = el.querySelector("#llDownloadBtn");
+  const $format   = el.querySelector("#llFormat");
   const $emailChk = el.querySelector("#llEmailChk");
   const $emailFld = el.querySelector("#llEmailFields");
   const $emailTo  = el.querySelector("#llEmailTo");
@@ -344,10 +346,10 @@ export default function renderLastLoginExport({ route, me, api, orgContext }) {
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
@@ -8,7 +8,7 @@
  * - Preview + Excel with columns: Name, Queue, Skill, Language Skill
  * - One row per user assignment combination (blank values when a dimension has no assignments)
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { createMultiSelect } from "../../../components/multiSelect.js";
 import { sendEmail } from "../../../services/emailService.js";
@@ -229,7 +229,8 @@ export default function renderQueuesSkillsExport({ route, me, api, orgContext })
           <button class="btn te-btn-cancel" id="qsCancelBtn" style="display:none">Cancel</button>
         </div>
         <div id="qsDownload" style="display:none">
-          <button class="btn te-btn-export" id="qsDownloadBtn">Download Excel</button>
+          ${exportFormatSelectHtml("qsFormat")}
+          <button class="btn te-btn-export" id="qsDownloadBtn">Download</button>
         </div>
       </div>
       <p class="sp-form-hint" style="margin-top:6px">Select at least one filter before loading results.</p>
@@ -340,6 +341,7 @@ export default function renderQueuesSkillsExport({ route, me, api, orgContext })
   const $summary = el.querySelector("#qsSummary");
   const $dlWrap = el.querySelector("#qsDownload");
   const $dlBtn = el.querySelector("#qsDownloadBtn");
+  const $format = el.querySelector("#qsFormat");
   const $emailChk = el.querySelector("#qsEmailChk");
   const $emailFld = el.querySelector("#qsEmailFields");
   const $emailTo = el.querySelector("#qsEmailTo");
@@ -685,10 +687,10 @@ export default function renderQueuesSkillsExport({ route, me, api, orgContext })
     $cancelBtn.style.display = "none";
   });
 
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
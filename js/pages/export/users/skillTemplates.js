@@ -14,7 +14,7 @@
  *   1. Click Export → fetch all templates + assignments + schedules for the selected org
  *   2. Build 7-sheet workbook, preview, download
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import { sendEmail } from "../../../services/emailService.js";
 import { createSchedulePanel } from "../../../components/schedulePanel.js";
 import { buildStyledWorkbook, addStyledSheet } from "../../../utils/excelStyles.js";
@@ -67,7 +67,8 @@ export default function renderSkillTemplatesExport({ route, me, api, orgContext
     <div class="wc-summary" id="stSummary" style="display:none"></div>
 
     <div id="stDownload" style="display:none">
-      <button class="btn te-btn-export" id="stDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("stFormat")}
+      <button class="btn te-btn-export" id="stDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -113,6 +114,7 @@ export default function renderSkillTemplatesExport({ route, me, api, orgContext
   const $summary      = el.querySelector("#stSummary");
   const $dlWrap       = el.querySelector("#stDownload");
   const $dlBtn        = el.querySelector("#stDownloadBtn");
+  const $format       = el.querySelector("#stFormat");
   const $emailChk     = el.querySelector("#stEmailChk");
   const $emailFld     = el.querySelector("#stEmailFields");
   const $emailTo      = el.querySelector("#stEmailTo");
@@ -362,10 +364,10 @@ export default function renderSkillTemplatesExport({ route, me, api, orgContext
   });
 
   // ── Download ──────────────────────────────────────────
-  $dlBtn.addEventListener("click", () => {
+  $dlBtn.addEventListener("click", async () => {
     if (!lastWorkbook || !lastFilename) return;
     try {
-      downloadWorkbook(lastWorkbook, lastFilename);
+      await downloadExport(lastWorkbook, lastFilename, $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
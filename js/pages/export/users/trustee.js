@@ -19,7 +19,7 @@
  *   GET /api/v2/groups/{groupId}/members
  *   GET /api/v2/users/{id}
  */
-import { escapeHtml, timestampedFilename, downloadWorkbook, makeStatus } from "../../../utils.js";
+import { escapeHtml, timestampedFilename, downloadExport, exportFormatSelectHtml, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { fetchCustomers } from "../../../services/customerService.js";
 import { sendEmail } from "../../../services/emailService.js";
@@ -228,7 +228,8 @@ export default function renderTrusteeExport({ route, me, api }) {
     <div class="wc-summary" id="teSummary" style="display:none"></div>
 
     <div id="teDownload" style="display:none">
-      <button class="btn te-btn-export" id="teDownloadBtn">Download Excel</button>
+      ${exportFormatSelectHtml("teFormat")}
+      <button class="btn te-btn-export" id="teDownloadBtn">Download</button>
     </div>
 
     <div class="em-section">
@@ -262,6 +263,7 @@ export default function renderTrusteeExport({ route, me, api }) {
   const $summary     = el.querySelector("#teSummary");
   const $download    = el.querySelector("#teDownload");
   const $downloadBtn = el.querySelector("#teDownloadBtn");
+  const $format      = el.querySelector("#teFormat");
   const $emailChk    = el.querySelector("#teEmailChk");
   const $emailFields = el.querySelector("#teEmailFields");
   const $emailTo     = el.querySelector("#teEmailTo");
@@ -290,17 +292,17 @@ export default function renderTrusteeExport({ route, me, api }) {
   }
 
   /**
-   * Build and trigger Excel download (styled).
+   * Build the (styled) workbook and download it in the chosen format.
    *
    * Runs from a plain click handler, so a blocked pop-up has to be reported
    * here — an escaping throw would leave the button looking dead.
    */
-  function downloadExcel(byTrusteeOrg, customerNames) {
+  async function downloadExcel(byTrusteeOrg, customerNames) {
     const wb = buildTrusteeWorkbook(byTrusteeOrg, customerNames);
     if (!wb.SheetNames.length) return;
 
     try {
-      downloadWorkbook(wb, timestampedFilename("trustee_export", "xlsx"));
+      await downloadExport(wb, timestampedFilename("trustee_export", "xlsx"), $format.value);
     } catch (err) {
       setStatus(err.message, "error");
     }
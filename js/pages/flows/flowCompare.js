@@ -0,0 +1,451 @@
+/**
+ * Flows › Flow Compare
+ *
+ * A structural diff between two Architect flows: two saved versions of one
+ * flow ("something changed in the IVR last week"), or the same flow in two
+ * orgs. Lists the tasks added and removed, the actions whose settings changed
+ * (old and new value), the branches that now lead somewhere else, and the
+ * variables and dependencies added or removed — and draws either side with
+ * the changed nodes highlighted.
+ *
+ * Pipeline:
+ *   1. Per side: an org, one of its flows, and a saved version (or the latest).
+ *   2. js/lib/flowSource.js fetches each side's YAML via POST /api/flow-yaml
+ *      (`flowVersion` for a saved version) and parses it — the same parse
+ *      Flow Overview draws.
+ *   3. js/lib/flowDiff.js matches the two parses and reports the differences.
+ *   4. js/lib/flowLayout.js lays out each side at high detail, and
+ *      js/components/flowDiagram.js draws it, coloured by the diff's marks.
+ *
+ * INTERNAL ONLY in practice, like every page built on flowSource.js: the YAML
+ * export answers 403 for a customer session.
+ */
+
+import { escapeHtml, exportXlsx, formatDateTime, makeStatus, timestampedFilename, withBusy } from "../../utils.js";
+import { buildModel, ACTION_KINDS } from "../../lib/flowYaml.js";
+import { FLOW_TYPE_LABELS, listFlows, listFlowVersions, loadFlow } from "../../lib/flowSource.js";
+import { layoutModel } from "../../lib/flowLayout.js";
+import { diffFlows, summaryText } from "../../lib/flowDiff.js";
+import { createFlowDiagram, CANVAS_BG, NODE_STROKE, NODE_SUBTEXT, SELECT_COLOR } from "../../components/flowDiagram.js";
+
+// One colour per kind of change, on the diagram and in the list.
+const MARKS = {
+  added:     { label: "Added",      color: "#2ea043" },
+  removed:   { label: "Removed",    color: "#da3633" },
+  changed:   { label: "Changed",    color: "#d29922" },
+  repointed: { label: "Re-pointed", color: "#388bfd" },
+};
+
+const SIDES = {
+  before: { title: "Before", hint: "the earlier version, or the reference org" },
+  after:  { title: "After",  hint: "the later version, or the org under review" },
+};
+
+// Longest setting value shown in the list; the full value is on hover and in the download.
+const VALUE_MAX = 160;
+
+function truncate(str, max) {
+  str = String(str || "");
+  return str.length > max ? str.slice(0, max - 1) + "…" : str;
+}
+
+function kindLabel(kind) {
+  return (ACTION_KINDS[kind] && ACTION_KINDS[kind].label) || kind || "Action";
+}
+
+function flowLabel(f) {
+  return `${f.name} (${FLOW_TYPE_LABELS[f.type] || f.type})`;
+}
+
+export default function renderFlowCompare({ route, me, api, orgContext }) {
+  const el = document.createElement("section");
+  el.className = "card";
+
+  const customers = orgContext.getCustomers();
+  const orgOptions = `<option value="">Select org…</option>`
+    + customers.map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join("");
+
+  el.innerHTML = `
+    <style>
+      .fc-side-title { font-weight:600; margin:4px 0 2px; }
+      .fc-side-title span { font-weight:400; color:${NODE_SUBTEXT}; font-size:12px; }
+      .fc-layout { display:flex; gap:12px; align-items:stretch; height:72vh; min-height:420px; margin-top:10px; }
+      .fc-canvas-wrap { flex:1; min-width:0; display:flex; flex-direction:column; gap:6px; }
+      .fc-canvas { flex:1; min-height:0; border:1px solid ${NODE_STROKE}; border-radius:8px; overflow:hidden;
+                   background:${CANVAS_BG}; position:relative; }
+      .fc-canvas svg { width:100%; height:100%; display:block; cursor:grab; }
+      .fc-empty { position:absolute; inset:0; display:flex; align-items:center; justify-content:center;
+                  color:${NODE_SUBTEXT}; font-size:14px; text-align:center; padding:20px; }
+      .fc-empty[hidden] { display:none; }
+      .fc-view .btn.is-active { background:rgba(240,180,41,.18); border-color:rgba(240,180,41,.4); color:${SELECT_COLOR}; }
+      .fc-legend { display:flex; flex-wrap:wrap; gap:6px 12px; font-size:11px; color:${NODE_SUBTEXT}; }
+      .fc-legend span { display:inline-flex; align-items:center; gap:5px; }
+      .fc-legend i { width:11px; height:11px; border-radius:3px; display:inline-block; }
+      .fc-list { width:420px; flex:none; overflow:auto; border:1px solid ${NODE_STROKE}; border-radius:8px; font-size:12.5px; }
+      .fc-section { padding:8px 10px; font-weight:600; border-bottom:1px solid ${NODE_STROKE}; background:rgba(255,255,255,.03); }
+      .fc-row { padding:6px 10px; border-bottom:1px solid rgba(255,255,255,.05); }
+      .fc-row[data-node] { cursor:pointer; }
+      .fc-row[data-node]:hover { background:rgba(255,255,255,.05); }
+      .fc-row.is-selected { background:rgba(240,180,41,.12); }
+      .fc-meta { color:${NODE_SUBTEXT}; font-size:11px; }
+      .fc-badge { display:inline-block; padding:0 6px; border-radius:8px; font-size:10.5px; color:#fff; margin-right:4px; }
+      .fc-changes { width:100%; border-collapse:collapse; margin-top:4px; font-size:11.5px; }
+      .fc-changes td { padding:2px 4px; vertical-align:top; border-top:1px solid rgba(255,255,255,.05); word-break:break-word; }
+      .fc-changes td:first-child { color:${NODE_SUBTEXT}; width:34%; }
+      .fc-old { color:#f85149; text-decoration:line-through; }
+      .fc-new { color:#3fb950; }
+    </style>
+
+    <h2>Flows — Flow Compare</h2>
+    <p class="page-desc">
+      Compare two versions of an Architect flow, or the same flow in two orgs. The
+      comparison lists the tasks added and removed, the actions whose settings changed
+      (with the old and new value), the branches that now lead somewhere else, and the
+      variables and dependencies added or removed. Click a difference to find it on
+      the diagram, where every changed node is highlighted.
+    </p>
+
+    ${Object.entries(SIDES).map(([side, s]) => `
+    <div class="fc-side-title">${s.title} <span>— ${s.hint}</span></div>
+    <div class="dt-controls">
+      <div class="dt-control-group">
+        <label class="dt-label">Org</label>
+        <select class="dt-select" id="fcOrg_${side}">${orgOptions}</select>
+      </div>
+      <div class="dt-control-group">
+        <label class="dt-label">Flow</label>
+        <select class="dt-select" id="fcFlow_${side}" style="width:340px" disabled><option value="">Select an org first</option></select>
+      </div>
+      <div class="dt-control-group">
+        <label class="dt-label">Version</label>
+        <select class="dt-select" id="fcVer_${side}" style="width:260px" disabled><option value="">Latest</option></select>
+      </div>
+    </div>`).join("")}
+
+    <div class="dt-actions" style="display:flex;align-items:center;gap:8px;flex-wrap:wrap">
+      <button class="btn" id="fcCompareBtn" disabled>Compare</button>
+      <button class="btn btn--secondary" id="fcDownloadBtn" style="display:none">⬇ Download Differences</button>
+      <span id="fcStatus" style="font-size:12px;color:${NODE_SUBTEXT}"></span>
+    </div>
+
+    <div class="fc-layout">
+      <div class="fc-canvas-wrap">
+        <div style="display:flex;align-items:center;gap:8px;flex-wrap:wrap">
+          <div class="fc-view" style="display:flex;gap:6px">
+            <button class="btn btn-sm" data-view="before" disabled>Before</button>
+            <button class="btn btn-sm is-active" data-view="after" disabled>After</button>
+          </div>
+          <button class="btn btn--secondary btn-sm" id="fcFit" disabled>Fit</button>
+          <span style="flex:1"></span>
+          <div class="fc-legend">${Object.values(MARKS).map((m) => `<span><i style="background:${m.color}"></i>${m.label}</span>`).join("")}</div>
+        </div>
+        <div class="fc-canvas" id="fcCanvas">
+          <div class="fc-empty" id="fcEmpty">Pick a flow on each side and compare.</div>
+        </div>
+      </div>
+      <div class="fc-list" id="fcList"><div class="fc-row fc-meta">No comparison yet.</div></div>
+    </div>
+  `;
+
+  // ── DOM refs ────────────────────────────────────────────────────────────────
+  const $ = (sel) => el.querySelector(sel);
+  const $compareBtn = $("#fcCompareBtn");
+  const $downloadBtn = $("#fcDownloadBtn");
+  const $fitBtn = $("#fcFit");
+  const $canvas = $("#fcCanvas");
+  const $empty = $("#fcEmpty");
+  const $list = $("#fcList");
+  const viewBtns = [...el.querySelectorAll(".fc-view .btn")];
+  const setStatus = makeStatus($("#fcStatus"));
+
+  // ── State ───────────────────────────────────────────────────────────────────
+  const sides = {
+    before: { orgId: "", flows: [], versions: [], entry: null, laid: null, label: "" },
+    after:  { orgId: "", flows: [], versions: [], entry: null, laid: null, label: "" },
+  };
+  const state = { diff: null, view: "after" };
+
+  // A node is outlined in its change colour; unchanged actions are dimmed so
+  // the changes stand out.
+  const diagram = createFlowDiagram($canvas, {
+    idPrefix: "fc",
+    tintMarked: true,
+    nodeStyle: (n) => {
+      const mark = state.diff.marks[state.view].get(n.id);
+      return mark
+        ? { color: MARKS[mark].color, title: ` — ${MARKS[mark].label}` }
+        : { opacity: 0.45 };
+    },
+  });
+
+  // Both sides usually start on the same org: list its flows once.
+  const flowLists = new Map(); // orgId → Promise<flows>
+  const flowsFor = (orgId) => {
+    if (!flowLists.has(orgId)) flowLists.set(orgId, listFlows(api, orgId).catch((err) => { flowLists.delete(orgId); throw err; }));
+    return flowLists.get(orgId);
+  };
+
+  const orgSel = (side) => $(`#fcOrg_${side}`);
+  const flowSel = (side) => $(`#fcFlow_${side}`);
+  const verSel = (side) => $(`#fcVer_${side}`);
+  const pickedFlow = (side) => sides[side].flows.find((f) => f.id === flowSel(side).value) || null;
+
+  function refreshCompareBtn() {
+    $compareBtn.disabled = !(pickedFlow("before") && pickedFlow("after"));
+  }
+
+  function clearResult() {
+    state.diff = null;
+    sides.before.laid = sides.after.laid = null;
+    $downloadBtn.style.display = "none";
+    viewBtns.forEach((b) => (b.disabled = true));
+    $fitBtn.disabled = true;
+    diagram.select(null);
+    diagram.render(null);
+    $empty.hidden = false;
+    $empty.textContent = "Pick a flow on each side and compare.";
+    $list.innerHTML = `<div class="fc-row fc-meta">No comparison yet.</div>`;
+  }
+
+  // ── Pickers ─────────────────────────────────────────────────────────────────
+  async function loadOrgFlows(side) {
+    const s = sides[side];
+    s.orgId = orgSel(side).value;
+    s.flows = [];
+    flowSel(side).disabled = true;
+    verSel(side).disabled = true;
+    verSel(side).innerHTML = `<option value="">Latest</option>`;
+    if (!s.orgId) {
+      flowSel(side).innerHTML = `<option value="">Select an org first</option>`;
+      refreshCompareBtn();
+      return;
+    }
+    flowSel(side).innerHTML = `<option value="">Loading flows…</option>`;
+    try {
+      s.flows = await flowsFor(s.orgId);
+      flowSel(side).innerHTML = `<option value="">Select a flow…</option>`
+        + s.flows.map((f) => `<option value="${escapeHtml(f.id)}">${escapeHtml(flowLabel(f))}</option>`).join("");
+      flowSel(side).disabled = false;
+    } catch (err) {
+      flowSel(side).innerHTML = `<option value="">Could not load flows</option>`;
+      setStatus(`Error loading flows: ${err.message || err}`, "error");
+    }
+    refreshCompareBtn();
+  }
+
+  async function loadVersions(side) {
+    const s = sides[side];
+    const f = pickedFlow(side);
+    s.versions = [];
+    verSel(side).innerHTML = `<option value="">Latest</option>`;
+    verSel(side).disabled = true;
+    if (!f) return;
+    try {
+      s.versions = await listFlowVersions(api, s.orgId, f.id);
+    } catch (err) {
+      // The latest is still there to compare; only the history is missing.
+      setStatus(`Could not list the versions of “${f.name}”: ${err.message || err}`, "error");
+    }
+    verSel(side).innerHTML = `<option value="">Latest</option>`
+      + s.versions.map((v) => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.id)}${v.createdDate ? ` — ${escapeHtml(formatDateTime(v.createdDate))}` : ""}${v.createdBy ? ` · ${escapeHtml(v.createdBy)}` : ""}</option>`).join("");
+    verSel(side).disabled = false;
+  }
+
+  /** The same flow on both sides compares the latest with the version before it. */
+  function defaultVersions() {
+    const b = pickedFlow("before"), a = pickedFlow("after");
+    if (!b || !a || b.id !== a.id || sides.before.orgId !== sides.after.orgId) return;
+    const prev = sides.before.versions[1];
+    if (prev && !verSel("before").value && !verSel("after").value) verSel("before").value = prev.id;
+  }
+
+  /** Follow the Before flow into the After org by name and type, unless one is already picked there. */
+  function mirrorFlow() {
+    const b = pickedFlow("before");
+    if (!b || flowSel("after").value) return null;
+    const match = sides.after.flows.find((f) => f.name === b.name && f.type === b.type);
+    if (match) flowSel("after").value = match.id;
+    return match || null;
+  }
+
+  for (const side of Object.keys(SIDES)) {
+    orgSel(side).addEventListener("change", async () => {
+      clearResult();
+      await loadOrgFlows(side);
+      if (side === "after" && mirrorFlow()) { await loadVersions("after"); refreshCompareBtn(); }
+    });
+    flowSel(side).addEventListener("change", async () => {
+      clearResult();
+      refreshCompareBtn();
+      await loadVersions(side);
+      if (side === "before" && mirrorFlow()) await loadVersions("after");
+      defaultVersions();
+      refreshCompareBtn();
+    });
+    verSel(side).addEventListener("change", clearResult);
+  }
+
+  // ── Compare ─────────────────────────────────────────────────────────────────
+  function sideLabel(side) {
+    const f = pickedFlow(side);
+    const org = customers.find((c) => c.id === sides[side].orgId);
+    const ver = verSel(side).value;
+    return `${f.name} ${ver ? `v${ver}` : "(latest)"}${sides.before.orgId !== sides.after.orgId ? ` · ${org ? org.name : sides[side].orgId}` : ""}`;
+  }
+
+  $compareBtn.addEventListener("click", () => withBusy($compareBtn, async () => {
+    const fb = pickedFlow("before"), fa = pickedFlow("after");
+    if (!fb || !fa) return;
+    if (sides.before.orgId === sides.after.orgId && fb.id === fa.id && verSel("before").value === verSel("after").value) {
+      setStatus("Both sides are the same flow at the same version — pick another version or org.", "error");
+      return;
+    }
+    clearResult();
+    try {
+      // One side after the other: each export is its own SDK session on the runner.
+      for (const side of Object.keys(SIDES)) {
+        const f = pickedFlow(side);
+        sides[side].label = sideLabel(side);
+        setStatus(`Loading ${SIDES[side].title.toLowerCase()}: ${sides[side].label}…`);
+        sides[side].entry = await loadFlow(api, sides[side].orgId, f, { version: verSel(side).value });
+      }
+      setStatus("Comparing…");
+      state.diff = diffFlows(sides.before.entry, sides.after.entry);
+      renderList();
+      for (const side of Object.keys(SIDES)) {
+        setStatus(`Laying out ${SIDES[side].title.toLowerCase()}…`);
+        sides[side].laid = await layoutModel(buildModel(sides[side].entry.data, { level: "high" }));
+      }
+      viewBtns.forEach((b) => (b.disabled = false));
+      $fitBtn.disabled = false;
+      $downloadBtn.style.display = "";
+      showView("after");
+      setStatus(`${sides.before.label} → ${sides.after.label}: ${summaryText(state.diff)}`, "success");
+    } catch (err) {
+      setStatus(`Compare failed: ${err.message || err}`, "error");
+    }
+  }));
+
+  // ── Difference list ─────────────────────────────────────────────────────────
+  function badge(mark) {
+    return `<span class="fc-badge" style="background:${MARKS[mark].color}">${MARKS[mark].label}</span>`;
+  }
+
+  function row(side, nodeId, html) {
+    const attrs = nodeId ? ` data-side="${side}" data-node="${escapeHtml(nodeId)}"` : "";
+    return `<div class="fc-row"${attrs}>${html}</div>`;
+  }
+
+  function value(v, cls) {
+    if (v === "") return `<span class="fc-meta">(empty)</span>`;
+    return `<span class="${cls}" title="${escapeHtml(v)}">${escapeHtml(truncate(v, VALUE_MAX))}</span>`;
+  }
+
+  function section(title, rows) {
+    return rows.length ? `<div class="fc-section">${escapeHtml(title)} (${rows.length})</div>${rows.join("")}` : "";
+  }
+
+  function renderList() {
+    const d = state.diff;
+    const taskRows = [
+      ...d.tasks.added.map((t) => row("after", t.id, `${badge("added")}${escapeHtml(t.kind)}: <strong>${escapeHtml(t.name)}</strong> <span class="fc-meta">${t.actionCount} action(s)</span>`)),
+      ...d.tasks.removed.map((t) => row("before", t.id, `${badge("removed")}${escapeHtml(t.kind)}: <strong>${escapeHtml(t.name)}</strong> <span class="fc-meta">${t.actionCount} action(s)</span>`)),
+      ...d.tasks.renamed.map((r) => row("after", r.after.id, `${badge("changed")}${escapeHtml(r.after.kind)} renamed: ${value(r.before.name, "fc-old")} → ${value(r.after.name, "fc-new")}`)),
+    ];
+    const actionLine = (a) => `<strong>${escapeHtml(a.name)}</strong> <span class="fc-meta">${escapeHtml(kindLabel(a.kind))} · ${escapeHtml(a.taskName)}</span>`;
+    const actionRows = [
+      ...d.actions.added.map((a) => row("after", a.id, `${badge("added")}${actionLine(a)}`)),
+      ...d.actions.removed.map((a) => row("before", a.id, `${badge("removed")}${actionLine(a)}`)),
+      ...d.actions.changed.map((c) => row("after", c.after.id, `${badge("changed")}${actionLine(c.after)}
+        <table class="fc-changes">${c.changes.map((x) => `<tr><td>${escapeHtml(x.setting)}</td><td>${value(x.before, "fc-old")}<br>${value(x.after, "fc-new")}</td></tr>`).join("")}</table>`)),
+    ];
+    const branchRows = d.branches.map((b) => row("after", b.action.id,
+      `${badge("repointed")}<strong>${escapeHtml(b.action.name)}</strong> <span class="fc-meta">${escapeHtml(b.label)} · ${escapeHtml(b.action.taskName)}</span>
+       <div>${value(b.before.label, "fc-old")} → ${value(b.after.label, "fc-new")}</div>`));
+    const varRows = [
+      ...d.variables.added.map((v) => row("", null, `${badge("added")}${escapeHtml(v.name)} <span class="fc-meta">${escapeHtml(v.type || "")}</span>`)),
+      ...d.variables.removed.map((v) => row("", null, `${badge("removed")}${escapeHtml(v.name)} <span class="fc-meta">${escapeHtml(v.type || "")}</span>`)),
+    ];
+    const depRows = [
+      ...d.dependencies.added.map((x) => row("", null, `${badge("added")}${escapeHtml(x.name)} <span class="fc-meta">${escapeHtml(x.type)} · ${x.uses} use(s)</span>`)),
+      ...d.dependencies.removed.map((x) => row("", null, `${badge("removed")}${escapeHtml(x.name)} <span class="fc-meta">${escapeHtml(x.type)} · ${x.uses} use(s)</span>`)),
+    ];
+    const html = [
+      section("Tasks", taskRows), section("Actions", actionRows), section("Branches re-pointed", branchRows),
+      section("Variables", varRows), section("Dependencies", depRows),
+    ].join("");
+    $list.innerHTML = html || `<div class="fc-row fc-meta">No structural differences.</div>`;
+    $list.querySelectorAll(".fc-row[data-node]").forEach((r) =>
+      r.addEventListener("click", () => {
+        $list.querySelectorAll(".fc-row.is-selected").forEach((x) => x.classList.remove("is-selected"));
+        r.classList.add("is-selected");
+        goTo(r.dataset.side, r.dataset.node);
+      })
+    );
+  }
+
+  // ── Diagram ─────────────────────────────────────────────────────────────────
+  function showView(side) {
+    state.view = side;
+    viewBtns.forEach((b) => b.classList.toggle("is-active", b.dataset.view === side));
+    renderGraph();
+  }
+  viewBtns.forEach((b) => b.addEventListener("click", () => { if (b.dataset.view !== state.view) showView(b.dataset.view); }));
+  $fitBtn.addEventListener("click", () => diagram.fit());
+
+  function goTo(side, nodeId) {
+    if (side !== state.view) showView(side);
+    diagram.select(nodeId);
+    diagram.centerOn(nodeId);
+  }
+
+  function renderGraph() {
+    const laid = sides[state.view].laid;
+    if (laid) $empty.hidden = true;
+    diagram.render(laid);
+  }
+
+  // ── Download ────────────────────────────────────────────────────────────────
+  $downloadBtn.addEventListener("click", () => {
+    const d = state.diff;
+    if (!d) return;
+    const rows = [];
+    const add = (area, change, task, name, detail, before, after) => rows.push({ area, change, task, name, detail, before, after });
+    for (const t of d.tasks.added) add(t.kind, "Added", "", t.name, `${t.actionCount} action(s)`, "", "");
+    for (const t of d.tasks.removed) add(t.kind, "Removed", "", t.name, `${t.actionCount} action(s)`, "", "");
+    for (const r of d.tasks.renamed) add(r.after.kind, "Renamed", "", r.after.name, "", r.before.name, r.after.name);
+    for (const a of d.actions.added) add("Action", "Added", a.taskName, a.name, kindLabel(a.kind), "", "");
+    for (const a of d.actions.removed) add("Action", "Removed", a.taskName, a.name, kindLabel(a.kind), "", "");
+    for (const c of d.actions.changed) {
+      for (const x of c.changes) add("Action", "Changed", c.after.taskName, c.after.name, x.setting, x.before, x.after);
+    }
+    for (const b of d.branches) add("Branch", "Re-pointed", b.action.taskName, b.action.name, b.label, b.before.label, b.after.label);
+    for (const v of d.variables.added) add("Variable", "Added", "", v.name, v.type || "", "", "");
+    for (const v of d.variables.removed) add("Variable", "Removed", "", v.name, v.type || "", "", "");
+    for (const x of d.dependencies.added) add("Dependency", "Added", "", x.name, x.type, "", "");
+    for (const x of d.dependencies.removed) add("Dependency", "Removed", "", x.name, x.type, "", "");
+    try {
+      exportXlsx([{
+        name: "Flow Compare", rows,
+        columns: [
+          { key: "area", label: "Area" }, { key: "change", label: "Change" }, { key: "task", label: "Task" },
+          { key: "name", label: "Name" }, { key: "detail", label: "Setting / Branch / Type" },
+          { key: "before", label: `Before — ${sides.before.label}` }, { key: "after", label: `After — ${sides.after.label}` },
+        ],
+      }], timestampedFilename(`Flow_Compare_${pickedFlow("after").name.replace(/[^a-z0-9]+/gi, "_")}`, "xlsx"));
+    } catch (err) {
+      setStatus(err.message, "error");
+    }
+  });
+
+  // ── Init: both sides start on the org selected in the header ────────────────
+  const headerOrg = orgContext.get();
+  if (headerOrg) {
+    for (const side of Object.keys(SIDES)) {
+      orgSel(side).value = headerOrg;
+      loadOrgFlows(side);
+    }
+  }
+
+  return el;
+}
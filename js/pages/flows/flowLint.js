@@ -0,0 +1,437 @@
+/**
+ * Flows › Flow Lint
+ *
+ * Static checks over an Architect flow: tasks nothing reaches, variables set
+ * and never read (or read and never set), data actions that hang up on the
+ * caller when they fail, queues and skills chosen by name, transfers with no
+ * failure path, loops with no way out, and prompts missing one of the flow's
+ * languages. Findings are listed by severity and drawn on the flow; click one
+ * to find it.
+ *
+ * Pipeline:
+ *   1. js/lib/flowSource.js fetches the flow's YAML via POST /api/flow-yaml and
+ *      parses it — the same parse Flow Overview draws. The org's user prompts
+ *      are read alongside, for the prompt check.
+ *   2. js/lib/flowLint.js runs every rule the org has not switched off. Which
+ *      rules are off is kept per org (/api/flow-lint-rules); ticking a rule
+ *      re-runs the check at once, Save makes it the org's rule set.
+ *   3. js/lib/flowLayout.js lays the flow out at high detail, and
+ *      js/components/flowDiagram.js draws it, each node coloured by its worst
+ *      finding.
+ *
+ * INTERNAL ONLY in practice, like every page built on flowSource.js: the YAML
+ * export answers 403 for a customer session, and so does the rule store.
+ */
+
+import { escapeHtml, exportXlsx, formatDateTime, makeStatus, timestampedFilename, withBusy } from "../../utils.js";
+import { buildModel } from "../../lib/flowYaml.js";
+import { FLOW_TYPE_LABELS, listFlows, loadFlow } from "../../lib/flowSource.js";
+import { layoutModel } from "../../lib/flowLayout.js";
+import { LINT_RULES, SEVERITIES, lintFlow, lintSummary } from "../../lib/flowLint.js";
+import { fetchPrompts } from "../../services/genesysApi.js";
+import { fetchLintRules, saveLintRules } from "../../services/flowLintService.js";
+import { logAction } from "../../services/activityLogService.js";
+import { createFlowDiagram, CANVAS_BG, NODE_STROKE, NODE_SUBTEXT } from "../../components/flowDiagram.js";
+
+// One colour per severity, on the diagram and in the list.
+const SEVERITY_COLORS = {
+  error:   "#da3633",
+  warning: "#d29922",
+  info:    "#388bfd",
+};
+
+const RULE_LABELS = new Map(LINT_RULES.map((r) => [r.id, r.label]));
+
+function flowLabel(f) {
+  return `${f.name} (${FLOW_TYPE_LABELS[f.type] || f.type})`;
+}
+
+/** The org's user prompts → the languages each has a resource for, lower-cased. */
+async function promptLanguages(api, orgId) {
+  const prompts = await fetchPrompts(api, orgId);
+  return new Map(prompts.map((p) => [
+    String(p.name || "").toLowerCase(),
+    new Set((p.resources || []).map((r) => String(r.language || "").toLowerCase()).filter(Boolean)),
+  ]));
+}
+
+export default function renderFlowLint({ route, me, api, orgContext }) {
+  const el = document.createElement("section");
+  el.className = "card";
+
+  const customers = orgContext.getCustomers();
+  const orgOptions = `<option value="">Select org…</option>`
+    + customers.map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join("");
+
+  el.innerHTML = `
+    <style>
+      .fl-layout { display:flex; gap:12px; align-items:stretch; height:72vh; min-height:420px; margin-top:10px; }
+      .fl-canvas-wrap { flex:1; min-width:0; display:flex; flex-direction:column; gap:6px; }
+      .fl-canvas { flex:1; min-height:0; border:1px solid ${NODE_STROKE}; border-radius:8px; overflow:hidden;
+                   background:${CANVAS_BG}; position:relative; }
+      .fl-canvas svg { width:100%; height:100%; display:block; cursor:grab; }
+      .fl-empty { position:absolute; inset:0; display:flex; align-items:center; justify-content:center;
+                  color:${NODE_SUBTEXT}; font-size:14px; text-align:center; padding:20px; }
+      .fl-empty[hidden] { display:none; }
+      .fl-legend { display:flex; flex-wrap:wrap; gap:6px 12px; font-size:11px; color:${NODE_SUBTEXT}; }
+      .fl-legend span { display:inline-flex; align-items:center; gap:5px; }
+      .fl-legend i { width:11px; height:11px; border-radius:3px; display:inline-block; }
+      .fl-list { width:420px; flex:none; overflow:auto; border:1px solid ${NODE_STROKE}; border-radius:8px; font-size:12.5px; }
+      .fl-section { padding:8px 10px; font-weight:600; border-bottom:1px solid ${NODE_STROKE}; background:rgba(255,255,255,.03); }
+      .fl-row { padding:6px 10px; border-bottom:1px solid rgba(255,255,255,.05); }
+      .fl-row[data-node] { cursor:pointer; }
+      .fl-row[data-node]:hover { background:rgba(255,255,255,.05); }
+      .fl-row.is-selected { background:rgba(240,180,41,.12); }
+      .fl-meta { color:${NODE_SUBTEXT}; font-size:11px; }
+      .fl-badge { display:inline-block; padding:0 6px; border-radius:8px; font-size:10.5px; color:#fff; margin-right:4px; }
+      .fl-rules { margin-top:10px; border:1px solid ${NODE_STROKE}; border-radius:8px; padding:6px 10px; font-size:12.5px; }
+      .fl-rules summary { cursor:pointer; font-weight:600; }
+      .fl-rule { display:flex; gap:8px; align-items:flex-start; padding:4px 0; }
+      .fl-rule input { margin-top:3px; }
+    </style>
+
+    <h2>Flows — Flow Lint</h2>
+    <p class="page-desc">
+      Check an Architect flow for common mistakes: tasks nothing reaches, variables that
+      are set but never read or read but never set, data actions that disconnect the
+      caller when they fail, queues and skills chosen by name, transfers without a
+      failure path, loops with no way out, and prompts missing one of the flow's
+      languages. Click a finding to find it on the diagram. Which rules run is set per org.
+    </p>
+
+    <div class="dt-controls">
+      <div class="dt-control-group">
+        <label class="dt-label">Org</label>
+        <select class="dt-select" id="flOrg">${orgOptions}</select>
+      </div>
+      <div class="dt-control-group">
+        <label class="dt-label">Flow</label>
+        <select class="dt-select" id="flFlow" style="width:380px" disabled><option value="">Select an org first</option></select>
+      </div>
+    </div>
+
+    <details class="fl-rules" id="flRules">
+      <summary>Rules <span class="fl-meta" id="flRulesMeta"></span></summary>
+      <div id="flRuleList"></div>
+      <div style="display:flex;align-items:center;gap:8px;margin:6px 0 2px">
+        <button class="btn btn--secondary btn-sm" id="flSaveRules" disabled>Save for this org</button>
+        <span class="fl-meta" id="flRulesSaved"></span>
+      </div>
+    </details>
+
+    <div class="dt-actions" style="display:flex;align-items:center;gap:8px;flex-wrap:wrap">
+      <button class="btn" id="flLintBtn" disabled>Lint</button>
+      <button class="btn btn--secondary" id="flDownloadBtn" style="display:none">⬇ Download Findings</button>
+      <span id="flStatus" style="font-size:12px;color:${NODE_SUBTEXT}"></span>
+    </div>
+
+    <div class="fl-layout">
+      <div class="fl-canvas-wrap">
+        <div style="display:flex;align-items:center;gap:8px;flex-wrap:wrap">
+          <button class="btn btn--secondary btn-sm" id="flFit" disabled>Fit</button>
+          <span style="flex:1"></span>
+          <div class="fl-legend">${Object.entries(SEVERITIES).map(([k, s]) => `<span><i style="background:${SEVERITY_COLORS[k]}"></i>${s.label}</span>`).join("")}</div>
+        </div>
+        <div class="fl-canvas" id="flCanvas">
+          <div class="fl-empty" id="flEmpty">Pick a flow and lint it.</div>
+        </div>
+      </div>
+      <div class="fl-list" id="flList"><div class="fl-row fl-meta">No findings yet.</div></div>
+    </div>
+  `;
+
+  // ── DOM refs ────────────────────────────────────────────────────────────────
+  const $ = (sel) => el.querySelector(sel);
+  const $org = $("#flOrg");
+  const $flow = $("#flFlow");
+  const $lintBtn = $("#flLintBtn");
+  const $downloadBtn = $("#flDownloadBtn");
+  const $fitBtn = $("#flFit");
+  const $canvas = $("#flCanvas");
+  const $empty = $("#flEmpty");
+  const $list = $("#flList");
+  const $ruleList = $("#flRuleList");
+  const $rulesMeta = $("#flRulesMeta");
+  const $rulesSaved = $("#flRulesSaved");
+  const $saveRules = $("#flSaveRules");
+  const setStatus = makeStatus($("#flStatus"));
+
+  // A node is outlined in its worst finding's colour; actions without findings
+  // are dimmed.
+  const diagram = createFlowDiagram($canvas, {
+    idPrefix: "fl",
+    tintMarked: true,
+    nodeStyle: (n) => {
+      const severity = state.marks.get(n.id);
+      const here = state.result.findings.filter((f) => f.nodeId === n.id).map((f) => `\n• ${f.message}`).join("");
+      return severity ? { color: SEVERITY_COLORS[severity], title: here } : { opacity: 0.45, title: here };
+    },
+  });
+
+  // ── State ───────────────────────────────────────────────────────────────────
+  const state = {
+    orgId: "", flows: [],
+    disabled: new Set(),     // as ticked on the page
+    savedDisabled: new Set(), // as stored for the org
+    entry: null, prompts: null, flowName: "",
+    result: null, marks: new Map(), laid: null,
+    selected: null,
+  };
+  // Prompts only change between visits; read them once per org.
+  const promptsByOrg = new Map(); // orgId → Promise<Map|null>
+
+  const pickedFlow = () => state.flows.find((f) => f.id === $flow.value) || null;
+
+  function clearResult() {
+    state.entry = null;
+    state.result = null;
+    state.marks = new Map();
+    state.laid = null;
+    state.selected = null;
+    $downloadBtn.style.display = "none";
+    $fitBtn.disabled = true;
+    diagram.select(null);
+    diagram.render(null);
+    $empty.hidden = false;
+    $empty.textContent = "Pick a flow and lint it.";
+    $list.innerHTML = `<div class="fl-row fl-meta">No findings yet.</div>`;
+  }
+
+  // ── Rules ───────────────────────────────────────────────────────────────────
+  function renderRules() {
+    $ruleList.innerHTML = LINT_RULES.map((r) => `
+      <label class="fl-rule">
+        <input type="checkbox" data-rule="${escapeHtml(r.id)}" ${state.disabled.has(r.id) ? "" : "checked"} ${state.orgId ? "" : "disabled"}>
+        <span>${severityBadge(r.severity)}<strong>${escapeHtml(r.label)}</strong>
+          <span class="fl-meta">— ${escapeHtml(r.description)}</span></span>
+      </label>`).join("");
+    const on = LINT_RULES.length - LINT_RULES.filter((r) => state.disabled.has(r.id)).length;
+    $rulesMeta.textContent = `(${on} of ${LINT_RULES.length} on)`;
+    $saveRules.disabled = !state.orgId || sameSet(state.disabled, state.savedDisabled);
+    $ruleList.querySelectorAll("input[data-rule]").forEach((cb) =>
+      cb.addEventListener("change", () => {
+        if (cb.checked) state.disabled.delete(cb.dataset.rule);
+        else state.disabled.add(cb.dataset.rule);
+        renderRules();
+        if (state.entry) relint();
+      })
+    );
+  }
+
+  function sameSet(a, b) {
+    return a.size === b.size && [...a].every((x) => b.has(x));
+  }
+
+  function showSaved(rules) {
+    $rulesSaved.textContent = rules.updatedAt
+      ? `Saved ${formatDateTime(rules.updatedAt)}${rules.updatedBy ? ` by ${rules.updatedBy}` : ""}`
+      : "Every rule is on until this org's rules are saved.";
+  }
+
+  async function loadRules() {
+    state.disabled = new Set();
+    state.savedDisabled = new Set();
+    $rulesSaved.textContent = "";
+    renderRules();
+    if (!state.orgId) return;
+    try {
+      const rules = await fetchLintRules(state.orgId);
+      state.disabled = new Set(rules.disabled);
+      state.savedDisabled = new Set(rules.disabled);
+      showSaved(rules);
+    } catch (err) {
+      setStatus(`Could not load this org's rules — every rule is on: ${err.message || err}`, "error");
+    }
+    renderRules();
+  }
+
+  $saveRules.addEventListener("click", () => withBusy($saveRules, async () => {
+    const org = customers.find((c) => c.id === state.orgId);
+    const off = LINT_RULES.filter((r) => state.disabled.has(r.id));
+    try {
+      const saved = await saveLintRules(state.orgId, off.map((r) => r.id));
+      state.savedDisabled = new Set(saved.disabled);
+      showSaved(saved);
+      renderRules();
+      setStatus("Rules saved for this org.", "success");
+      logAction({
+        me, orgId: state.orgId, orgName: org ? org.name : state.orgId, action: "flow_lint_rules",
+        description: off.length ? `Flow lint rules switched off: ${off.map((r) => r.label).join(", ")}` : "Flow lint rules: all on",
+      });
+    } catch (err) {
+      setStatus(`Saving rules failed: ${err.message || err}`, "error");
+    }
+  }));
+
+  // ── Pickers ─────────────────────────────────────────────────────────────────
+  async function loadOrg() {
+    clearResult();
+    state.orgId = $org.value;
+    state.flows = [];
+    $flow.disabled = true;
+    $lintBtn.disabled = true;
+    loadRules();
+    if (!state.orgId) {
+      $flow.innerHTML = `<option value="">Select an org first</option>`;
+      return;
+    }
+    $flow.innerHTML = `<option value="">Loading flows…</option>`;
+    try {
+      state.flows = await listFlows(api, state.orgId);
+      $flow.innerHTML = `<option value="">Select a flow…</option>`
+        + state.flows.map((f) => `<option value="${escapeHtml(f.id)}">${escapeHtml(flowLabel(f))}</option>`).join("");
+      $flow.disabled = false;
+    } catch (err) {
+      $flow.innerHTML = `<option value="">Could not load flows</option>`;
+      setStatus(`Error loading flows: ${err.message || err}`, "error");
+    }
+  }
+
+  $org.addEventListener("change", loadOrg);
+  $flow.addEventListener("change", () => {
+    clearResult();
+    $lintBtn.disabled = !pickedFlow();
+  });
+
+  // ── Lint ────────────────────────────────────────────────────────────────────
+  function promptsFor(orgId) {
+    if (!promptsByOrg.has(orgId)) {
+      // A missing permission costs the prompt check, not the lint.
+      promptsByOrg.set(orgId, promptLanguages(api, orgId).catch(() => { promptsByOrg.delete(orgId); return null; }));
+    }
+    return promptsByOrg.get(orgId);
+  }
+
+  $lintBtn.addEventListener("click", () => withBusy($lintBtn, async () => {
+    const f = pickedFlow();
+    if (!f) return;
+    clearResult();
+    try {
+      setStatus(`Loading ${f.name}…`);
+      const [entry, prompts] = await Promise.all([loadFlow(api, state.orgId, f), promptsFor(state.orgId)]);
+      state.entry = entry;
+      state.prompts = prompts;
+      state.flowName = f.name;
+      relint();
+      setStatus("Laying out…");
+      state.laid = await layoutModel(buildModel(entry.data, { level: "high" }));
+      $fitBtn.disabled = false;
+      $downloadBtn.style.display = "";
+      renderGraph();
+      setStatus(`${f.name}: ${lintSummary(state.result.findings)}`, state.result.findings.length ? "" : "success");
+    } catch (err) {
+      setStatus(`Lint failed: ${err.message || err}`, "error");
+    }
+  }));
+
+  /** Run the ticked rules over the loaded flow and redraw. */
+  function relint() {
+    state.result = lintFlow(state.entry.data, { disabled: [...state.disabled], prompts: state.prompts });
+    state.marks = new Map();
+    for (const f of state.result.findings) {
+      if (!f.nodeId) continue;
+      const prev = state.marks.get(f.nodeId);
+      if (!prev || SEVERITIES[f.severity].order < SEVERITIES[prev].order) state.marks.set(f.nodeId, f.severity);
+    }
+    if (state.selected && !state.marks.has(state.selected)) {
+      state.selected = null;
+      diagram.select(null);
+    }
+    renderList();
+    if (state.laid) {
+      renderGraph();
+      setStatus(`${state.flowName}: ${lintSummary(state.result.findings)}`, state.result.findings.length ? "" : "success");
+    }
+  }
+
+  // ── Finding list ────────────────────────────────────────────────────────────
+  function severityBadge(severity) {
+    return `<span class="fl-badge" style="background:${SEVERITY_COLORS[severity]}">${SEVERITIES[severity].label}</span>`;
+  }
+
+  function renderList() {
+    const { findings, skipped } = state.result;
+    const sections = Object.entries(SEVERITIES).map(([key, s]) => {
+      const rows = findings.filter((f) => f.severity === key).map((f) => {
+        const attrs = f.nodeId ? ` data-node="${escapeHtml(f.nodeId)}"` : "";
+        const where = [RULE_LABELS.get(f.rule), f.task, f.action].filter(Boolean).map(escapeHtml).join(" · ");
+        return `<div class="fl-row"${attrs}>${severityBadge(f.severity)}${escapeHtml(f.message)}
+          <div class="fl-meta">${where}</div>
+          ${f.detail ? `<div class="fl-meta">${escapeHtml(f.detail)}</div>` : ""}</div>`;
+      });
+      return rows.length ? `<div class="fl-section">${s.label}${key === "info" ? "" : "s"} (${rows.length})</div>${rows.join("")}` : "";
+    }).join("");
+    const skippedRows = skipped.map((x) =>
+      `<div class="fl-row fl-meta">${escapeHtml(RULE_LABELS.get(x.rule))} — not checked: ${escapeHtml(x.reason)}</div>`).join("");
+    $list.innerHTML = (sections || `<div class="fl-row fl-meta">No findings.</div>`)
+      + (skippedRows ? `<div class="fl-section">Not checked (${skipped.length})</div>${skippedRows}` : "");
+    $list.querySelectorAll(".fl-row[data-node]").forEach((r) =>
+      r.addEventListener("click", () => {
+        $list.querySelectorAll(".fl-row.is-selected").forEach((x) => x.classList.remove("is-selected"));
+        r.classList.add("is-selected");
+        state.selected = r.dataset.node;
+        diagram.select(state.selected);
+        diagram.centerOn(state.selected);
+      })
+    );
+  }
+
+  // ── Diagram ─────────────────────────────────────────────────────────────────
+  $fitBtn.addEventListener("click", () => diagram.fit());
+
+  function renderGraph() {
+    if (!state.laid) return;
+    $empty.hidden = true;
+    // Re-linting after a rule is ticked redraws in place rather than jumping back to fit.
+    diagram.render(state.laid, { keepView: true });
+  }
+
+  // ── Download ────────────────────────────────────────────────────────────────
+  $downloadBtn.addEventListener("click", () => {
+    const r = state.result;
+    if (!r) return;
+    const counts = new Map();
+    for (const f of r.findings) counts.set(f.rule, (counts.get(f.rule) || 0) + 1);
+    const skipped = new Map(r.skipped.map((x) => [x.rule, x.reason]));
+    try {
+      exportXlsx([
+        {
+          name: "Findings",
+          rows: r.findings.map((f) => ({
+            severity: SEVERITIES[f.severity].label, rule: RULE_LABELS.get(f.rule),
+            task: f.task, action: f.action, message: f.message, detail: f.detail,
+          })),
+          columns: [
+            { key: "severity", label: "Severity" }, { key: "rule", label: "Rule" }, { key: "task", label: "Task" },
+            { key: "action", label: "Action" }, { key: "message", label: "Finding" }, { key: "detail", label: "Detail" },
+          ],
+        },
+        {
+          name: "Rules",
+          rows: LINT_RULES.map((rule) => ({
+            rule: rule.label, severity: SEVERITIES[rule.severity].label,
+            status: skipped.has(rule.id) ? `Not checked — ${skipped.get(rule.id)}` : "Checked",
+            findings: skipped.has(rule.id) ? "" : counts.get(rule.id) || 0,
+            description: rule.description,
+          })),
+          columns: [
+            { key: "rule", label: "Rule" }, { key: "severity", label: "Severity" }, { key: "status", label: "Status" },
+            { key: "findings", label: "Findings" }, { key: "description", label: "Checks for" },
+          ],
+        },
+      ], timestampedFilename(`Flow_Lint_${state.flowName.replace(/[^a-z0-9]+/gi, "_")}`, "xlsx"));
+    } catch (err) {
+      setStatus(err.message, "error");
+    }
+  });
+
+  // ── Init: start on the org selected in the header ───────────────────────────
+  renderRules();
+  const headerOrg = orgContext.get();
+  if (headerOrg) {
+    $org.value = headerOrg;
+    loadOrg();
+  }
+
+  return el;
+}
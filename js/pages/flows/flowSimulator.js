@@ -0,0 +1,831 @@
+/**
+ * Flows › Flow Simulator
+ *
+ * Runs an Architect flow against one call: the call attributes, what the data
+ * tables and data actions answer, whether each schedule group is open and what
+ * the caller keys in. The path it takes is listed step by step — with the
+ * branch, why it was taken and the variable values at that point — and drawn
+ * on the flow. Scenarios are saved per flow with the path they produced; Run
+ * all re-runs them after the flow changes and shows which now go elsewhere.
+ *
+ * Pipeline:
+ *   1. js/lib/flowSource.js fetches the flow's YAML via POST /api/flow-yaml and
+ *      parses it — the same parse Flow Overview draws and Flow Lint checks.
+ *   2. js/lib/flowSimulator.js lists what a scenario can fill in and runs it;
+ *      conditions go through js/lib/flowExpression.js. Nothing is called in
+ *      the org: every outside answer comes from the scenario or is assumed.
+ *   3. Scenarios and their expected paths are kept per org and flow
+ *      (/api/flow-scenarios).
+ *   4. js/lib/flowLayout.js lays the flow out at high detail, and
+ *      js/components/flowDiagram.js draws it with the path picked out.
+ *
+ * INTERNAL ONLY in practice, like every page built on flowSource.js: the YAML
+ * export answers 403 for a customer session, and so does the scenario store.
+ */
+
+import { escapeHtml, exportXlsx, formatDateTime, makeStatus, timestampedFilename, withBusy } from "../../utils.js";
+import { buildModel, ACTION_KINDS } from "../../lib/flowYaml.js";
+import { FLOW_TYPE_LABELS, listFlows, loadFlow } from "../../lib/flowSource.js";
+import { layoutModel } from "../../lib/flowLayout.js";
+import {
+  RESULT_OPTIONS, compareRun, emptyScenario, expectationOf, normalizeScenario, scenarioInputs, simulate,
+} from "../../lib/flowSimulator.js";
+import { createScenario, deleteScenario, fetchScenarios, updateScenario } from "../../services/flowScenarioService.js";
+import { logAction } from "../../services/activityLogService.js";
+import { createFlowDiagram, CANVAS_BG, EDGE_COLOR, NODE_STROKE, NODE_SUBTEXT, SELECT_COLOR } from "../../components/flowDiagram.js";
+
+// The path a run took, and one colour per way a run can end.
+const PATH_COLOR = "#388bfd";
+
+const OUTCOME_COLORS = {
+  transfer:   "#238636",
+  disconnect: "#6e7681",
+  end:        "#6e7681",
+  stuck:      "#da3633",
+  limit:      "#d29922",
+};
+
+const DECIDED_BY = {
+  condition: { label: "Condition", color: "#388bfd" },
+  scenario:  { label: "Scenario",  color: "#238636" },
+  forced:    { label: "Forced",    color: "#8957e5" },
+  assumed:   { label: "Assumed",   color: "#d29922" },
+};
+
+const STATUS_BADGES = {
+  pass:    { label: "Pass",    color: "#238636" },
+  changed: { label: "Changed", color: "#da3633" },
+  new:     { label: "New",     color: "#6e7681" },
+};
+
+function kindLabel(kind) {
+  return (ACTION_KINDS[kind] && ACTION_KINDS[kind].label) || kind || "Action";
+}
+
+function flowLabel(f) {
+  return `${f.name} (${FLOW_TYPE_LABELS[f.type] || f.type})`;
+}
+
+function badge(label, color) {
+  return `<span class="fs-badge" style="background:${color}">${escapeHtml(label)}</span>`;
+}
+
+function resultSelect(options, value, attrs) {
+  return `<select class="dt-select fs-input" ${attrs}><option value="">(assume)</option>`
+    + options.map(([v, l]) => `<option value="${v}"${v === value ? " selected" : ""}>${l}</option>`).join("")
+    + `</select>`;
+}
+
+export default function renderFlowSimulator({ route, me, api, orgContext }) {
+  const el = document.createElement("section");
+  el.className = "card";
+
+  const customers = orgContext.getCustomers();
+  const orgOptions = `<option value="">Select org…</option>`
+    + customers.map((c) => `<option value="${escapeHtml(c.id)}">${escapeHtml(c.name)}</option>`).join("");
+
+  el.innerHTML = `
+    <style>
+      .fs-layout { display:flex; gap:12px; align-items:stretch; height:72vh; min-height:420px; margin-top:10px; }
+      .fs-canvas-wrap { flex:1; min-width:0; display:flex; flex-direction:column; gap:6px; }
+      .fs-canvas { flex:1; min-height:0; border:1px solid ${NODE_STROKE}; border-radius:8px; overflow:hidden;
+                   background:${CANVAS_BG}; position:relative; }
+      .fs-canvas svg { width:100%; height:100%; display:block; cursor:grab; }
+      .fs-empty { position:absolute; inset:0; display:flex; align-items:center; justify-content:center;
+                  color:${NODE_SUBTEXT}; font-size:14px; text-align:center; padding:20px; }
+      .fs-empty[hidden] { display:none; }
+      .fs-list { width:440px; flex:none; overflow:auto; border:1px solid ${NODE_STROKE}; border-radius:8px; font-size:12.5px; }
+      .fs-section { padding:8px 10px; font-weight:600; border-bottom:1px solid ${NODE_STROKE}; background:rgba(255,255,255,.03); }
+      .fs-row { padding:6px 10px; border-bottom:1px solid rgba(255,255,255,.05); }
+      .fs-row[data-step] { cursor:pointer; }
+      .fs-row[data-step]:hover { background:rgba(255,255,255,.05); }
+      .fs-row.is-selected { background:rgba(240,180,41,.12); }
+      .fs-meta { color:${NODE_SUBTEXT}; font-size:11px; }
+      .fs-badge { display:inline-block; padding:0 6px; border-radius:8px; font-size:10.5px; color:#fff; margin-right:4px; }
+      .fs-outcome { padding:8px 10px; color:#fff; font-weight:600; }
+      .fs-values td { padding:1px 6px 1px 0; vertical-align:top; }
+      .fs-values tr.is-changed td { color:${SELECT_COLOR}; }
+      .fs-inputs { margin-top:10px; border:1px solid ${NODE_STROKE}; border-radius:8px; padding:6px 10px; font-size:12.5px; }
+      .fs-inputs summary { cursor:pointer; font-weight:600; }
+      .fs-group { margin:8px 0; }
+      .fs-group h4 { margin:0 0 4px; font-size:12.5px; }
+      .fs-grid { display:grid; grid-template-columns:minmax(160px,max-content) 1fr auto; gap:4px 10px; align-items:center; }
+      .fs-grid .fs-input { width:100%; max-width:360px; }
+      .fs-block { border-left:2px solid ${NODE_STROKE}; padding-left:8px; margin:6px 0; }
+    </style>
+
+    <h2>Flows — Flow Simulator</h2>
+    <p class="page-desc">
+      Follow one call through an Architect flow. Give the call attributes, what each
+      data table and data action answers, whether schedule groups are open and what the
+      caller keys in; decisions and switches are evaluated against the flow's variables.
+      The path is listed with the variable values at every step and drawn on the flow.
+      Save a scenario to keep the path it takes, and run all of a flow's scenarios after
+      changing it to see which now go somewhere else. Nothing is called in the org.
+    </p>
+
+    <div class="dt-controls">
+      <div class="dt-control-group">
+        <label class="dt-label">Org</label>
+        <select class="dt-select" id="fsOrg">${orgOptions}</select>
+      </div>
+      <div class="dt-control-group">
+        <label class="dt-label">Flow</label>
+        <select class="dt-select" id="fsFlow" style="width:380px" disabled><option value="">Select an org first</option></select>
+      </div>
+      <div class="dt-control-group">
+        <label class="dt-label">&nbsp;</label>
+        <button class="btn btn--secondary" id="fsLoadBtn" disabled>Load flow</button>
+      </div>
+    </div>
+
+    <div class="dt-controls">
+      <div class="dt-control-group">
+        <label class="dt-label">Scenario</label>
+        <select class="dt-select" id="fsScenario" style="width:280px" disabled><option value="">New scenario</option></select>
+      </div>
+      <div class="dt-control-group">
+        <label class="dt-label">Name</label>
+        <input class="dt-input" id="fsName" style="width:260px" maxlength="120" placeholder="e.g. VIP caller, weekend" disabled>
+      </div>
+    </div>
+
+    <details class="fs-inputs" id="fsInputs" open>
+      <summary>Scenario inputs <span class="fs-meta" id="fsInputsMeta"></span></summary>
+      <div id="fsForm"><div class="fs-meta" style="padding:6px 0">Load a flow to see what it asks for.</div></div>
+    </details>
+
+    <div class="dt-actions" style="display:flex;align-items:center;gap:8px;flex-wrap:wrap">
+      <button class="btn" id="fsRunBtn" disabled>Run</button>
+      <button class="btn btn--secondary" id="fsSaveBtn" disabled>Save scenario</button>
+      <button class="btn btn--secondary" id="fsDeleteBtn" style="display:none">Delete</button>
+      <button class="btn btn--secondary" id="fsRunAllBtn" disabled>Run all saved</button>
+      <button class="btn btn--secondary" id="fsDownloadBtn" style="display:none">⬇ Download Run</button>
+      <span id="fsStatus" style="font-size:12px;color:${NODE_SUBTEXT}"></span>
+    </div>
+
+    <div class="fs-layout">
+      <div class="fs-canvas-wrap">
+        <div style="display:flex;align-items:center;gap:8px;flex-wrap:wrap">
+          <button class="btn btn--secondary btn-sm" id="fsFit" disabled>Fit</button>
+          <span style="flex:1"></span>
+          <div class="fs-meta">${Object.values(DECIDED_BY).map((d) => badge(d.label, d.color)).join("")}</div>
+        </div>
+        <div class="fs-canvas" id="fsCanvas">
+          <div class="fs-empty" id="fsEmpty">Pick a flow and load it.</div>
+        </div>
+      </div>
+      <div class="fs-list" id="fsList"><div class="fs-row fs-meta">No run yet.</div></div>
+    </div>
+  `;
+
+  // ── DOM refs ────────────────────────────────────────────────────────────────
+  const $ = (sel) => el.querySelector(sel);
+  const $org = $("#fsOrg");
+  const $flow = $("#fsFlow");
+  const $loadBtn = $("#fsLoadBtn");
+  const $scenario = $("#fsScenario");
+  const $name = $("#fsName");
+  const $form = $("#fsForm");
+  const $inputsMeta = $("#fsInputsMeta");
+  const $runBtn = $("#fsRunBtn");
+  const $saveBtn = $("#fsSaveBtn");
+  const $deleteBtn = $("#fsDeleteBtn");
+  const $runAllBtn = $("#fsRunAllBtn");
+  const $downloadBtn = $("#fsDownloadBtn");
+  const $fitBtn = $("#fsFit");
+  const $canvas = $("#fsCanvas");
+  const $empty = $("#fsEmpty");
+  const $list = $("#fsList");
+  const setStatus = makeStatus($("#fsStatus"));
+
+  // ── State ───────────────────────────────────────────────────────────────────
+  const state = {
+    orgId: "", flows: [],
+    flow: null, entry: null, inputs: null, laid: null,
+    scenarios: [],          // saved for this flow
+    current: null,          // { id|null, scenario } — what the form shows
+    result: null,           // the last run of the form
+    regression: null,       // Map scenario id → compareRun(), after Run all
+    selectedStep: 0,
+  };
+
+  // Where the last run went, for the diagram: the steps at each node, the
+  // edges it took and the node it ended on.
+  let trail = { visits: new Map(), taken: new Set(), ended: null };
+
+  // A node the run passed is outlined and badged with its step numbers, the
+  // one it ended on takes the outcome's colour; after a run the rest are dimmed.
+  const diagram = createFlowDiagram($canvas, {
+    idPrefix: "fs",
+    nodeStyle: (n) => {
+      const visits = trail.visits.get(n.id);
+      const color = n.id === trail.ended ? OUTCOME_COLORS[state.result.outcome.kind] : visits ? PATH_COLOR : null;
+      return {
+        color,
+        opacity: state.result && !color ? 0.4 : null,
+        badge: visits && !n.isContainer ? visits.join(",") : null,
+        title: visits ? `\nStep${visits.length === 1 ? "" : "s"} ${visits.join(", ")}` : "",
+      };
+    },
+    edgeStyle: (e) => (trail.taken.has(e.id)
+      ? { color: PATH_COLOR, width: 2.6 }
+      : { opacity: state.result ? 0.4 : null }),
+  });
+
+  const pickedFlow = () => state.flows.find((f) => f.id === $flow.value) || null;
+  const orgName = () => (customers.find((c) => c.id === state.orgId) || {}).name || state.orgId;
+
+  function clearFlow() {
+    state.flow = state.entry = state.inputs = state.laid = null;
+    state.scenarios = [];
+    state.current = null;
+    state.regression = null;
+    clearRun();
+    $scenario.innerHTML = `<option value="">New scenario</option>`;
+    $scenario.disabled = true;
+    $name.value = "";
+    $name.disabled = true;
+    $form.innerHTML = `<div class="fs-meta" style="padding:6px 0">Load a flow to see what it asks for.</div>`;
+    $inputsMeta.textContent = "";
+    $runBtn.disabled = $saveBtn.disabled = $runAllBtn.disabled = true;
+    $deleteBtn.style.display = "none";
+    $fitBtn.disabled = true;
+    diagram.render(null);
+    $empty.hidden = false;
+    $empty.textContent = "Pick a flow and load it.";
+  }
+
+  function clearRun() {
+    state.result = null;
+    state.selectedStep = 0;
+    $downloadBtn.style.display = "none";
+    renderList();
+  }
+
+  // ── Pickers ─────────────────────────────────────────────────────────────────
+  async function loadOrg() {
+    clearFlow();
+    state.orgId = $org.value;
+    state.flows = [];
+    $flow.disabled = true;
+    $loadBtn.disabled = true;
+    if (!state.orgId) {
+      $flow.innerHTML = `<option value="">Select an org first</option>`;
+      return;
+    }
+    $flow.innerHTML = `<option value="">Loading flows…</option>`;
+    try {
+      state.flows = await listFlows(api, state.orgId);
+      $flow.innerHTML = `<option value="">Select a flow…</option>`
+        + state.flows.map((f) => `<option value="${escapeHtml(f.id)}">${escapeHtml(flowLabel(f))}</option>`).join("");
+      $flow.disabled = false;
+    } catch (err) {
+      $flow.innerHTML = `<option value="">Could not load flows</option>`;
+      setStatus(`Error loading flows: ${err.message || err}`, "error");
+    }
+  }
+
+  $org.addEventListener("change", loadOrg);
+  $flow.addEventListener("change", () => {
+    clearFlow();
+    $loadBtn.disabled = !pickedFlow();
+  });
+
+  $loadBtn.addEventListener("click", () => withBusy($loadBtn, async () => {
+    const f = pickedFlow();
+    if (!f) return;
+    clearFlow();
+    try {
+      setStatus(`Loading ${f.name}…`);
+      const [entry, scenarios] = await Promise.all([
+        loadFlow(api, state.orgId, f),
+        // The simulator still works without the store; only saving is lost.
+        fetchScenarios(state.orgId, f.id).catch((err) => {
+          setStatus(`Could not load saved scenarios: ${err.message || err}`, "error");
+          return [];
+        }),
+      ]);
+      state.flow = f;
+      state.entry = entry;
+      state.inputs = scenarioInputs(entry.data);
+      state.scenarios = scenarios;
+      openScenario(null);
+      setStatus("Laying out…");
+      state.laid = await layoutModel(buildModel(entry.data, { level: "high" }));
+      $fitBtn.disabled = false;
+      renderGraph();
+      setStatus(`${f.name} loaded — ${scenarios.length} saved scenario${scenarios.length === 1 ? "" : "s"}.`);
+    } catch (err) {
+      setStatus(`Loading the flow failed: ${err.message || err}`, "error");
+    }
+  }));
+
+  // ── Saved scenarios ─────────────────────────────────────────────────────────
+  function renderScenarioPicker() {
+    const cur = state.current && state.current.id;
+    $scenario.innerHTML = `<option value="">New scenario</option>`
+      + state.scenarios.map((s) => {
+        const check = state.regression && state.regression.get(s.id);
+        const mark = check ? ` — ${STATUS_BADGES[check.status].label}` : "";
+        return `<option value="${escapeHtml(s.id)}"${s.id === cur ? " selected" : ""}>${escapeHtml(s.name)}${mark}</option>`;
+      }).join("");
+    $scenario.disabled = !state.entry;
+    $deleteBtn.style.display = cur ? "" : "none";
+    $runAllBtn.disabled = !state.entry || !state.scenarios.length;
+  }
+
+  /** Show a saved scenario (or a blank one for null) in the form. */
+  function openScenario(id) {
+    const saved = id ? state.scenarios.find((s) => s.id === id) : null;
+    state.current = { id: saved ? saved.id : null, scenario: normalizeScenario(saved ? saved.scenario : emptyScenario()) };
+    $name.value = saved ? saved.name : "";
+    $name.disabled = false;
+    $runBtn.disabled = $saveBtn.disabled = false;
+    renderScenarioPicker();
+    renderForm();
+    clearRun();
+  }
+
+  $scenario.addEventListener("change", () => {
+    openScenario($scenario.value || null);
+    if (state.current.id) run();
+  });
+
+  $saveBtn.addEventListener("click", () => withBusy($saveBtn, async () => {
+    const name = $name.value.trim();
+    if (!name) {
+      setStatus("Give the scenario a name first.", "error");
+      $name.focus();
+      return;
+    }
+    // What is saved is expected: the run of exactly these inputs.
+    run();
+    const scenario = state.current.scenario;
+    const expected = expectationOf(state.result);
+    const f = state.flow;
+    try {
+      let saved;
+      if (state.current.id) {
+        saved = await updateScenario(state.current.id, { orgId: state.orgId, name, flowName: f.name, scenario, expected });
+        state.scenarios = state.scenarios.map((s) => (s.id === saved.id ? saved : s));
+      } else {
+        saved = await createScenario({ orgId: state.orgId, flowId: f.id, flowName: f.name, name, scenario, expected });
+        state.scenarios.push(saved);
+      }
+      state.scenarios.sort((a, b) => a.name.localeCompare(b.name));
+      state.current.id = saved.id;
+      if (state.regression) state.regression.set(saved.id, compareRun(saved.expected, state.result));
+      renderScenarioPicker();
+      renderList();
+      setStatus(`Scenario "${saved.name}" saved with its current path.`, "success");
+      logAction({
+        me, orgId: state.orgId, orgName: orgName(), action: "flow_scenario",
+        description: `Saved flow scenario "${saved.name}" for ${f.name} — ${state.result.outcome.text}`,
+      });
+    } catch (err) {
+      setStatus(`Saving failed: ${err.message || err}`, "error");
+    }
+  }));
+
+  $deleteBtn.addEventListener("click", () => withBusy($deleteBtn, async () => {
+    const saved = state.scenarios.find((s) => s.id === state.current?.id);
+    if (!saved || !confirm(`Delete scenario "${saved.name}"?`)) return;
+    try {
+      await deleteScenario(state.orgId, saved.id);
+      state.scenarios = state.scenarios.filter((s) => s.id !== saved.id);
+      if (state.regression) state.regression.delete(saved.id);
+      openScenario(null);
+      setStatus(`Scenario "${saved.name}" deleted.`, "success");
+      logAction({
+        me, orgId: state.orgId, orgName: orgName(), action: "flow_scenario",
+        description: `Deleted flow scenario "${saved.name}" for ${state.flow.name}`,
+      });
+    } catch (err) {
+      setStatus(`Deleting failed: ${err.message || err}`, "error");
+    }
+  }));
+
+  /** Take a scenario's new path as what it should do from now on. */
+  async function acceptRun(id) {
+    const saved = state.scenarios.find((s) => s.id === id);
+    if (!saved) return;
+    const result = simulate(state.entry.data, saved.scenario);
+    try {
+      const updated = await updateScenario(id, { orgId: state.orgId, flowName: state.flow.name, expected: expectationOf(result) });
+      state.scenarios = state.scenarios.map((s) => (s.id === id ? updated : s));
+      state.regression.set(id, compareRun(updated.expected, result));
+      renderScenarioPicker();
+      renderList();
+      setStatus(`"${saved.name}" now expects ${result.outcome.text}.`, "success");
+      logAction({
+        me, orgId: state.orgId, orgName: orgName(), action: "flow_scenario",
+        description: `Accepted the new path of flow scenario "${saved.name}" for ${state.flow.name} — ${result.outcome.text}`,
+      });
+    } catch (err) {
+      setStatus(`Saving failed: ${err.message || err}`, "error");
+    }
+  }
+
+  $runAllBtn.addEventListener("click", () => {
+    state.regression = new Map(state.scenarios.map((s) =>
+      [s.id, compareRun(s.expected, simulate(state.entry.data, s.scenario))]));
+    const counts = { pass: 0, changed: 0, new: 0 };
+    for (const c of state.regression.values()) counts[c.status]++;
+    renderScenarioPicker();
+    renderList();
+    const parts = [`${counts.pass} pass`, `${counts.changed} changed`];
+    if (counts.new) parts.push(`${counts.new} with no saved path`);
+    setStatus(`${state.scenarios.length} scenario${state.scenarios.length === 1 ? "" : "s"}: ${parts.join(", ")}.`,
+      counts.changed ? "error" : "success");
+  });
+
+  // ── Scenario form ───────────────────────────────────────────────────────────
+  function renderForm() {
+    const inp = state.inputs;
+    const sc = state.current.scenario;
+    const groups = [];
+
+    const varRow = (name, type, note, removable) => `
+      <label>${escapeHtml(name)} <span class="fs-meta">${escapeHtml(type || "")}${note ? ` · ${escapeHtml(note)}` : ""}</span></label>
+      <input class="dt-input fs-input" data-var="${escapeHtml(name)}" value="${escapeHtml(sc.variables[name] ?? "")}" placeholder="NOT_SET">
+      ${removable ? `<button class="btn btn--secondary btn-sm" data-unvar="${escapeHtml(name)}">✕</button>` : "<span></span>"}`;
+
+    const asked = new Set(inp.attributes.map((a) => a.name));
+    const extra = Object.keys(sc.variables).filter((n) => !asked.has(n)).sort();
+    const typeOf = new Map(inp.variables.map((v) => [v.name, v.type]));
+    const addable = inp.variables.filter((v) => !(v.name in sc.variables));
+    groups.push(`
+      <div class="fs-group"><h4>Call</h4>
+        <div class="fs-grid">
+          <label>Date and time <span class="fs-meta">UTC</span></label>
+          <input class="dt-input fs-input" type="datetime-local" id="fsNow" value="${escapeHtml(sc.now.slice(0, 16))}">
+          <span class="fs-meta">empty = now</span>
+          ${inp.attributes.map((a) => varRow(a.name, a.type, a.source === "input" ? "flow input" : "", false)).join("")}
+          ${extra.map((n) => varRow(n, typeOf.get(n), "starting value", true)).join("")}
+        </div>
+        ${addable.length ? `
+          <div style="display:flex;gap:6px;align-items:center;margin-top:6px">
+            <select class="dt-select" id="fsAddVar"><option value="">Start a flow variable at…</option>
+              ${addable.map((v) => `<option value="${escapeHtml(v.name)}">${escapeHtml(v.name)} (${escapeHtml(v.type)})</option>`).join("")}
+            </select>
+          </div>` : ""}
+      </div>`);
+
+    if (inp.usesDtmf) {
+      groups.push(`
+        <div class="fs-group"><h4>Key presses</h4>
+          <input class="dt-input" id="fsDtmf" style="width:360px" value="${escapeHtml(sc.dtmf.join(", "))}" placeholder="e.g. 2, 12345">
+          <div class="fs-meta">One entry per menu or Collect Input, in order, separated by commas. Leave an entry empty for no input.</div>
+        </div>`);
+    }
+
+    if (inp.dataTables.length) {
+      groups.push(`<div class="fs-group"><h4>Data tables</h4>${inp.dataTables.map((t) => {
+        const e = sc.dataTables.find((x) => x.table === t.name) || {};
+        const values = e.values || {};
+        return `
+          <div class="fs-block" data-dt="${escapeHtml(t.name)}">
+            <div class="fs-grid">
+              <label><strong>${escapeHtml(t.name)}</strong></label>
+              ${resultSelect(RESULT_OPTIONS.dataTable, e.result, `data-field="result"`)}<span></span>
+              <label>Only for key</label>
+              <input class="dt-input fs-input" data-field="key" value="${escapeHtml(e.key ?? "")}" placeholder="any lookup"><span></span>
+              ${t.columns.map((c) => `
+                <label>${escapeHtml(c)}</label>
+                <input class="dt-input fs-input" data-col="${escapeHtml(c)}" value="${escapeHtml(values[c] ?? "")}" placeholder="NOT_SET"><span></span>`).join("")}
+            </div>
+          </div>`;
+      }).join("")}</div>`);
+    }
+
+    if (inp.dataActions.length) {
+      groups.push(`<div class="fs-group"><h4>Data actions</h4>${inp.dataActions.map((d) => {
+        const e = sc.dataActions.find((x) => x.action === d.name) || {};
+        const values = e.values || {};
+        return `
+          <div class="fs-block" data-da="${escapeHtml(d.name)}">
+            <div class="fs-grid">
+              <label><strong>${escapeHtml(d.name)}</strong></label>
+              ${resultSelect(RESULT_OPTIONS.dataAction, e.result, `data-field="result"`)}<span></span>
+              ${d.outputs.map((o) => `
+                <label>${escapeHtml(o)}</label>
+                <input class="dt-input fs-input" data-out="${escapeHtml(o)}" value="${escapeHtml(values[o] ?? "")}" placeholder="NOT_SET"><span></span>`).join("")}
+            </div>
+          </div>`;
+      }).join("")}</div>`);
+    }
+
+    const scheduleRows = [...inp.scheduleGroups.map((g) => [g, g])];
+    if (inp.dynamicGroups || inp.scheduleGroups.length) scheduleRows.push(["*", inp.scheduleGroups.length ? "Any other group" : "Every group"]);
+    if (scheduleRows.length) {
+      groups.push(`
+        <div class="fs-group"><h4>Schedule groups</h4>
+          <div class="fs-grid">${scheduleRows.map(([key, label]) => `
+            <label>${escapeHtml(label)}</label>
+            ${resultSelect(RESULT_OPTIONS.schedule, sc.schedules[key], `data-sg="${escapeHtml(key)}"`)}<span></span>`).join("")}
+          </div>
+        </div>`);
+    }
+
+    if (sc.branches.length) {
+      groups.push(`
+        <div class="fs-group"><h4>Forced branches</h4>
+          ${sc.branches.map((b, i) => `
+            <div style="display:flex;gap:8px;align-items:center;margin:2px 0">
+              <span>${escapeHtml(b.task ? `${b.task} › ` : "")}${escapeHtml(b.action)} → <strong>${escapeHtml(b.branch)}</strong></span>
+              <button class="btn btn--secondary btn-sm" data-unforce="${i}">✕</button>
+            </div>`).join("")}
+          <div class="fs-meta">Force a branch from the path list, on any step with more than one way on.</div>
+        </div>`);
+    }
+
+    $form.innerHTML = groups.join("");
+    const n = inp.attributes.length + inp.dataTables.length + inp.dataActions.length + inp.scheduleGroups.length;
+    $inputsMeta.textContent = `(${n} input${n === 1 ? "" : "s"}${inp.usesDtmf ? ", key presses" : ""})`;
+
+    $form.querySelector("#fsAddVar")?.addEventListener("change", (e) => {
+      if (!e.target.value) return;
+      readForm();
+      state.current.scenario.variables[e.target.value] = "";
+      renderForm();
+      $form.querySelector(`[data-var="${CSS.escape(e.target.value)}"]`)?.focus();
+    });
+    $form.querySelectorAll("[data-unvar]").forEach((b) => b.addEventListener("click", () => {
+      readForm();
+      delete state.current.scenario.variables[b.dataset.unvar];
+      renderForm();
+    }));
+    $form.querySelectorAll("[data-unforce]").forEach((b) => b.addEventListener("click", () => {
+      readForm();
+      state.current.scenario.branches.splice(Number(b.dataset.unforce), 1);
+      renderForm();
+      if (state.result) run();
+    }));
+  }
+
+  /** The form back into state.current.scenario; forced branches are kept as they are. */
+  function readForm() {
+    const sc = state.current.scenario;
+    const now = $form.querySelector("#fsNow")?.value || "";
+    sc.now = now ? `${now.length === 16 ? `${now}:00` : now}Z` : "";
+
+    const variables = {};
+    $form.querySelectorAll("[data-var]").forEach((i) => {
+      // An added variable stays listed while empty; an attribute left empty is not given.
+      if (i.value !== "" || i.closest(".fs-grid").querySelector(`[data-unvar="${CSS.escape(i.dataset.var)}"]`)) {
+        variables[i.dataset.var] = i.value;
+      }
+    });
+    sc.variables = variables;
+
+    const dtmf = $form.querySelector("#fsDtmf");
+    if (dtmf) sc.dtmf = dtmf.value.trim() ? dtmf.value.split(",").map((x) => x.trim()) : [];
+
+    // Entries for tables and actions the flow no longer uses are kept, unasked.
+    const shownTables = new Set(state.inputs.dataTables.map((t) => t.name));
+    const tables = sc.dataTables.filter((e) => !shownTables.has(e.table));
+    $form.querySelectorAll("[data-dt]").forEach((b) => {
+      const values = {};
+      b.querySelectorAll("[data-col]").forEach((i) => { if (i.value !== "") values[i.dataset.col] = i.value; });
+      const result = b.querySelector(`[data-field="result"]`).value;
+      const key = b.querySelector(`[data-field="key"]`).value.trim();
+      if (result || key || Object.keys(values).length) tables.push({ table: b.dataset.dt, key, result, values });
+    });
+    sc.dataTables = tables;
+
+    const shownActions = new Set(state.inputs.dataActions.map((d) => d.name));
+    const actions = sc.dataActions.filter((e) => !shownActions.has(e.action));
+    $form.querySelectorAll("[data-da]").forEach((b) => {
+      const values = {};
+      b.querySelectorAll("[data-out]").forEach((i) => { if (i.value !== "") values[i.dataset.out] = i.value; });
+      const result = b.querySelector(`[data-field="result"]`).value;
+      if (result || Object.keys(values).length) actions.push({ action: b.dataset.da, result, values });
+    });
+    sc.dataActions = actions;
+
+    const schedules = {};
+    $form.querySelectorAll("[data-sg]").forEach((s) => { if (s.value) schedules[s.dataset.sg] = s.value; });
+    sc.schedules = schedules;
+    return sc;
+  }
+
+  // ── Run ─────────────────────────────────────────────────────────────────────
+  /** Run the form's scenario and show the path. */
+  function run() {
+    if (!state.entry || !state.current) return;
+    state.result = simulate(state.entry.data, readForm());
+    state.selectedStep = 0;
+    $downloadBtn.style.display = "";
+    renderList();
+    renderGraph();
+    const o = state.result.outcome;
+    setStatus(`${state.result.steps.length} step${state.result.steps.length === 1 ? "" : "s"}: ${o.text}`,
+      o.kind === "stuck" || o.kind === "limit" ? "error" : "success");
+  }
+
+  $runBtn.addEventListener("click", run);
+
+  /** Force (or, with "", stop forcing) a branch at the step's action and re-run. */
+  function forceBranch(step, branch) {
+    readForm();
+    const sc = state.current.scenario;
+    sc.branches = sc.branches.filter((b) => !(b.action === step.action && b.task === step.task));
+    if (branch) sc.branches.push({ task: step.task, action: step.action, branch });
+    renderForm();
+    run();
+  }
+
+  // ── Path list ───────────────────────────────────────────────────────────────
+  function renderList() {
+    const parts = [];
+    if (state.regression && state.scenarios.length) parts.push(regressionHtml());
+    const r = state.result;
+    if (!r) {
+      parts.push(`<div class="fs-row fs-meta">${state.entry ? "Fill in the scenario and run it." : "No run yet."}</div>`);
+      $list.innerHTML = parts.join("");
+      wireList();
+      return;
+    }
+    parts.push(`<div class="fs-outcome" style="background:${OUTCOME_COLORS[r.outcome.kind] || EDGE_COLOR}">${escapeHtml(r.outcome.text)}</div>`);
+    if (state.current.id) {
+      const saved = state.scenarios.find((s) => s.id === state.current.id);
+      const check = saved && compareRun(saved.expected, r);
+      if (check) parts.push(`<div class="fs-row">${checkHtml(check)}</div>`);
+    }
+    if (r.assumptions.length) {
+      parts.push(`<div class="fs-section">Assumed (${r.assumptions.length})</div>`
+        + r.assumptions.map((a) => `<div class="fs-row fs-meta">${escapeHtml(a)}</div>`).join(""));
+    }
+    const forcedAt = new Map(state.current.scenario.branches.map((b) => [`${b.task}\u0000${b.action}`, b.branch]));
+    parts.push(`<div class="fs-section">Path (${r.steps.length} step${r.steps.length === 1 ? "" : "s"})</div>`);
+    for (const s of r.steps) {
+      const d = DECIDED_BY[s.decidedBy];
+      const forced = forcedAt.get(`${s.task}\u0000${s.action}`) || "";
+      const options = [...new Set(s.options)];
+      const changes = s.changes.map((c) => `${c.variable} = ${c.value}`).join(", ");
+      parts.push(`
+        <div class="fs-row${s.index === state.selectedStep ? " is-selected" : ""}" data-step="${s.index}">
+          <span class="fs-meta">${s.index}.</span> ${d ? badge(d.label, d.color) : ""}<strong>${escapeHtml(s.action)}</strong>
+          ${s.branch ? ` → ${escapeHtml(s.branch)}` : ""}
+          <div class="fs-meta">${escapeHtml(s.task)} · ${escapeHtml(kindLabel(s.kind))}</div>
+          ${s.note ? `<div class="fs-meta">${escapeHtml(s.note)}</div>` : ""}
+          ${changes ? `<div class="fs-meta">Set: ${escapeHtml(changes)}</div>` : ""}
+          ${options.length > 1 ? `
+            <div class="fs-meta">Force:
+              <select class="dt-select" data-force="${s.index}" style="font-size:11px;padding:0 4px">
+                <option value="">as simulated</option>
+                ${options.map((o) => `<option value="${escapeHtml(o)}"${o === forced ? " selected" : ""}>${escapeHtml(o)}</option>`).join("")}
+              </select>
+            </div>` : ""}
+        </div>`);
+    }
+    const step = r.steps.find((s) => s.index === state.selectedStep);
+    parts.push(valuesHtml(step ? step.values : r.variables, step));
+    $list.innerHTML = parts.join("");
+    wireList();
+  }
+
+  function wireList() {
+    $list.querySelectorAll(".fs-row[data-step]").forEach((row) => row.addEventListener("click", (e) => {
+      if (e.target.closest("select")) return;
+      const index = Number(row.dataset.step);
+      state.selectedStep = state.selectedStep === index ? 0 : index;
+      renderList();
+      const step = selectStep();
+      if (step) diagram.centerOn(step.nodeId);
+    }));
+    $list.querySelectorAll("select[data-force]").forEach((sel) => sel.addEventListener("change", () => {
+      forceBranch(state.result.steps.find((s) => s.index === Number(sel.dataset.force)), sel.value);
+    }));
+    $list.querySelectorAll("[data-open]").forEach((b) => b.addEventListener("click", () => {
+      openScenario(b.dataset.open);
+      run();
+    }));
+    $list.querySelectorAll("[data-accept]").forEach((b) =>
+      b.addEventListener("click", () => withBusy(b, () => acceptRun(b.dataset.accept))));
+  }
+
+  function checkHtml(check) {
+    const b = STATUS_BADGES[check.status];
+    let detail = "";
+    if (check.status === "new") detail = "No saved path yet.";
+    else if (check.status === "changed" && check.step) detail = `Step ${check.step}: expected ${check.expected}, now ${check.actual}`;
+    else if (check.status === "changed") detail = `Same path, but expected ${check.expected}; now ${check.actual}`;
+    else detail = "Same path and outcome as saved.";
+    return `${badge(b.label, b.color)}<span class="fs-meta">${escapeHtml(detail)}</span>`;
+  }
+
+  function regressionHtml() {
+    const rows = state.scenarios.map((s) => {
+      const check = state.regression.get(s.id);
+      if (!check) return "";
+      return `
+        <div class="fs-row">
+          <strong>${escapeHtml(s.name)}</strong>
+          <div>${checkHtml(check)}</div>
+          <div class="fs-meta">Saved ${escapeHtml(formatDateTime(s.updatedAt))}${s.updatedBy ? ` by ${escapeHtml(s.updatedBy)}` : ""}</div>
+          <div style="display:flex;gap:6px;margin-top:4px">
+            <button class="btn btn--secondary btn-sm" data-open="${escapeHtml(s.id)}">Open</button>
+            ${check.status === "pass" ? "" : `<button class="btn btn--secondary btn-sm" data-accept="${escapeHtml(s.id)}">Accept new path</button>`}
+          </div>
+        </div>`;
+    }).join("");
+    return `<div class="fs-section">Saved scenarios</div>${rows}`;
+  }
+
+  function valuesHtml(values, step) {
+    const changed = new Set(step ? step.changes.map((c) => c.variable) : []);
+    const names = Object.keys(values || {}).sort();
+    const title = step ? `Values after step ${step.index}` : "Values at the end";
+    if (!names.length) return `<div class="fs-section">${title}</div><div class="fs-row fs-meta">The flow has no variables.</div>`;
+    return `<div class="fs-section">${title}</div>
+      <div class="fs-row"><table class="fs-values">${names.map((n) => `
+        <tr class="${changed.has(n) ? "is-changed" : ""}"><td>${escapeHtml(n)}</td><td>${escapeHtml(values[n])}</td></tr>`).join("")}
+      </table></div>`;
+  }
+
+  // ── Diagram ─────────────────────────────────────────────────────────────────
+  $fitBtn.addEventListener("click", () => diagram.fit());
+
+  function renderGraph() {
+    if (!state.laid) return;
+    $empty.hidden = true;
+    trail = { visits: new Map(), taken: new Set(), ended: state.result && state.result.outcome.nodeId };
+    for (const s of state.result ? state.result.steps : []) {
+      if (!trail.visits.has(s.nodeId)) trail.visits.set(s.nodeId, []);
+      trail.visits.get(s.nodeId).push(s.index);
+      if (s.edgeId) trail.taken.add(s.edgeId);
+    }
+    selectStep();
+    // Re-running redraws in place rather than jumping back to fit.
+    diagram.render(state.laid, { keepView: true });
+  }
+
+  /** Ring the picked step's node on the diagram; returns the step, if any. */
+  function selectStep() {
+    const step = state.result && state.result.steps.find((s) => s.index === state.selectedStep);
+    diagram.select(step ? step.nodeId : null);
+    return step;
+  }
+
+  // ── Download ────────────────────────────────────────────────────────────────
+  $downloadBtn.addEventListener("click", () => {
+    const r = state.result;
+    if (!r) return;
+    const sheets = [
+      {
+        name: "Path",
+        rows: r.steps.map((s) => ({
+          step: s.index, task: s.task, action: s.action, kind: kindLabel(s.kind), branch: s.branch,
+          decidedBy: DECIDED_BY[s.decidedBy] ? DECIDED_BY[s.decidedBy].label : "", note: s.note,
+          changes: s.changes.map((c) => `${c.variable} = ${c.value}`).join("; "),
+        })),
+        columns: [
+          { key: "step", label: "Step" }, { key: "task", label: "Task" }, { key: "action", label: "Action" },
+          { key: "kind", label: "Kind" }, { key: "branch", label: "Branch" }, { key: "decidedBy", label: "Decided by" },
+          { key: "note", label: "Why" }, { key: "changes", label: "Variables set" },
+        ],
+      },
+      {
+        name: "Outcome",
+        rows: [
+          { item: "Outcome", value: r.outcome.text },
+          ...r.assumptions.map((a) => ({ item: "Assumed", value: a })),
+          ...Object.keys(r.variables).sort().map((n) => ({ item: n, value: r.variables[n] })),
+        ],
+        columns: [{ key: "item", label: "Item" }, { key: "value", label: "Value" }],
+      },
+    ];
+    if (state.regression && state.scenarios.length) {
+      sheets.push({
+        name: "Regression",
+        rows: state.scenarios.filter((s) => state.regression.has(s.id)).map((s) => {
+          const c = state.regression.get(s.id);
+          return {
+            scenario: s.name, status: STATUS_BADGES[c.status].label, step: c.step || "",
+            expected: c.expected, actual: c.actual,
+          };
+        }),
+        columns: [
+          { key: "scenario", label: "Scenario" }, { key: "status", label: "Status" }, { key: "step", label: "First different step" },
+          { key: "expected", label: "Expected" }, { key: "actual", label: "Now" },
+        ],
+      });
+    }
+    try {
+      exportXlsx(sheets, timestampedFilename(`Flow_Simulator_${state.flow.name.replace(/[^a-z0-9]+/gi, "_")}`, "xlsx"));
+    } catch (err) {
+      setStatus(err.message, "error");
+    }
+  });
+
+  // ── Init: start on the org selected in the header ───────────────────────────
+  const headerOrg = orgContext.get();
+  if (headerOrg) {
+    $org.value = headerOrg;
+    loadOrg();
+  }
+
+  return el;
+}
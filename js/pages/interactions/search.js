@@ -21,6 +21,11 @@ import { escapeHtml, formatDateTime, buildInterval, todayStr, daysAgoStr, export
 import * as gc from "../../services/genesysApi.js";
 import { createSingleSelect } from "../../components/multiSelect.js";
 import { attrValue, filterByPD } from "../../lib/participantData.js";
+import { createSchedulePanel } from "../../components/schedulePanel.js";
+
+const AUTOMATION_ENABLED = true;
+const AUTOMATION_EXPORT_TYPE = "interactionSearch";
+const AUTOMATION_EXPORT_LABEL = "Interaction Search";
 
 // ── Column definitions (page-specific) ──────────────────────────────
 const COLUMNS = [
@@ -1018,5 +1023,57 @@ export default function renderInteractionSearch({ route, me, api, orgContext })
     }
   })();
 
+  // ── Automation (api/lib/exports/interactionSearch.js) ──────────
+  // The dates become a period that rolls forward: the quick range in force,
+  // or a number of days ending two days ago, as Previous 7/30 Days do.
+  function captureSchedule() {
+    const $quick = $quickBtns.find(b => b.classList.contains("is-active"));
+    let period;
+    if ($quick === $quickLastWeek) period = { periodPreset: "lastWeek" };
+    else if ($quick === $quickLastMonth) period = { periodPreset: "lastMonth" };
+    else {
+      if ($dateTo.value !== daysAgoStr(2)) {
+        throw new Error("Pick a quick range, or end the range two days ago — a schedule's period rolls forward with each run");
+      }
+      const days = Math.round((new Date($dateTo.value) - new Date($dateFrom.value)) / 86_400_000) + 1;
+      if (!(days >= 1 && days <= 93)) throw new Error("A scheduled period is 1 to 93 days");
+      period = { periodPreset: "days", periodDays: days };
+    }
+    const queueId    = ssQueue.getValue();
+    const divisionId = ssDivision.getValue();
+    return {
+      orgId:         orgContext.get(),
+      orgName:       org.name,
+      ...period,
+      queueId,
+      queueName:     queues.find(q => q.id === queueId)?.name || "",
+      direction:     ssDirection.getValue(),
+      mediaType:     ssMedia.getValue(),
+      divisionId,
+      divisionName:  divisions.find(d => d.id === divisionId)?.name || "",
+      pdFilters:     pdFilters.map(f => ({ ...f })),
+      pdExclude:     $pdExclude.checked,
+      multiValue:    $pdMultiVal.checked,
+    };
+  }
+
+  if (AUTOMATION_ENABLED) {
+    el.appendChild(createSchedulePanel({
+      exportType: AUTOMATION_EXPORT_TYPE,
+      exportLabel: AUTOMATION_EXPORT_LABEL,
+      me,
+      captureConfig: captureSchedule,
+      configSummary: (cfg) => [
+        cfg.periodPreset === "lastWeek" ? "Last week"
+          : cfg.periodPreset === "lastMonth" ? "Last month"
+          : `Previous ${cfg.periodDays ?? 7} days`,
+        cfg.queueName, cfg.direction, cfg.mediaType, cfg.divisionName,
+        (cfg.pdFilters || []).length
+          ? `${cfg.pdExclude ? "not " : ""}${cfg.pdFilters.map(f => f.value ? `${f.key}=${f.value}` : f.key).join(", ")}`
+          : "",
+      ].filter(Boolean).join(", "),
+    }));
+  }
+
   return el;
 }
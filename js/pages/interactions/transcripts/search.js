@@ -24,6 +24,11 @@
 import { escapeHtml, formatDateTime, buildInterval, todayStr, exportXlsx, timestampedFilename, sleep, makeStatus } from "../../../utils.js";
 import * as gc from "../../../services/genesysApi.js";
 import { createSingleSelect } from "../../../components/multiSelect.js";
+import { createSchedulePanel } from "../../../components/schedulePanel.js";
+
+const AUTOMATION_ENABLED = true;
+const AUTOMATION_EXPORT_TYPE = "transcriptSearch";
+const AUTOMATION_EXPORT_LABEL = "Transcript Search";
 
 // ── Concurrency knob ─────────────────────────────────────────────────
 const CONCURRENCY = 10;
@@ -1026,5 +1031,44 @@ export default function renderTranscriptSearch({ route, me, api, orgContext }) {
     }
   })();
 
+  // ── Automation (api/lib/exports/transcriptSearch.js) ──────────
+  // The date is kept as days before the run — yesterday stays yesterday —
+  // and every conversation is checked, so "Not checked" has no scheduled form.
+  function captureSchedule() {
+    if (searchMode === "ids") throw new Error("Switch to date search — a list of conversation IDs cannot be scheduled");
+    if (!$date.value) throw new Error("Select a date");
+    if (transcriptFilter === "unchecked") throw new Error("Choose another transcript filter — a scheduled run checks every conversation");
+    const dayOffset = Math.round((new Date(todayStr()) - new Date($date.value)) / 86_400_000);
+    if (!(dayOffset >= 0 && dayOffset <= 30)) throw new Error("Pick a date within the last 30 days");
+    const queueId = ssQueue.getValue();
+    return {
+      orgId:      orgContext.get(),
+      orgName:    org.name,
+      dayOffset,
+      timeFrom:   $timeFrom.value || "00:00",
+      timeTo:     $timeTo.value   || "23:59",
+      queueId,
+      queueName:  queueMap[queueId] || "",
+      mediaType:  ssMedia.getValue(),
+      direction:  ssDirection.getValue(),
+      transcriptFilter,
+    };
+  }
+
+  if (AUTOMATION_ENABLED) {
+    el.appendChild(createSchedulePanel({
+      exportType: AUTOMATION_EXPORT_TYPE,
+      exportLabel: AUTOMATION_EXPORT_LABEL,
+      me,
+      captureConfig: captureSchedule,
+      configSummary: (cfg) => [
+        cfg.dayOffset === 0 ? "Same day" : cfg.dayOffset === 1 ? "Previous day" : `${cfg.dayOffset} days before`,
+        `${cfg.timeFrom}–${cfg.timeTo} UTC`,
+        cfg.queueName, cfg.mediaType, cfg.direction,
+        { true: "with transcript", false: "without transcript", error: "check failed" }[cfg.transcriptFilter],
+      ].filter(Boolean).join(", "),
+    }));
+  }
+
   return el;
 }
@@ -24,14 +24,22 @@
  *
  * Column alignment: every domain table uses table-layout:fixed with an
  * identical <colgroup> so columns line up across all domain groups.
+ *
+ * Only "roles" mode can be scheduled (api/lib/exports/rolesCompare.js): the
+ * selected roles, "Differences only" and the filter are captured.
  */
 import { escapeHtml, exportXlsx, timestampedFilename, makeStatus } from "../../utils.js";
 import { createMultiSelect } from "../../components/multiSelect.js";
 import { fetchAllAuthorizationRoles } from "../../services/genesysApi.js";
+import { createSchedulePanel } from "../../components/schedulePanel.js";
 import {
   HOURLY_DISQUALIFYING_PERMISSIONS,
 } from "../../lib/hourlyDisqualifyingPermissions.js";
 
+const AUTOMATION_ENABLED = true;
+const AUTOMATION_EXPORT_TYPE = "rolesCompare";
+const AUTOMATION_EXPORT_LABEL = "Roles Compare";
+
 // ── Disqualifying-permission helpers (for Hourly Interacting mode) ────────────
 
 const SCRAPE_ENDPOINT = "/api/scrape-disqualifying-permissions";
@@ -148,6 +156,7 @@ export default function renderRolesCompare({ me, api, orgContext }) {
   let viewMode        = "all";  // "all" | "diff"
   let filterText      = "";
   let rolesLoaded     = false;
+  let roleNames       = {}; // { roleId → name }, for what a schedule shows
   let selectedUsers   = [null, null]; // [{id,name}, {id,name}]
   let hourlyResults   = null; // { roles: [{name, ready, forbidden:[{domain,entity,actions}]}] }
 
@@ -503,6 +512,7 @@ export default function renderRolesCompare({ me, api, orgContext }) {
       const roles = await fetchAllAuthorizationRoles(api, org.id);
       roles.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
       roleSelect.setItems(roles.map(r => ({ id: r.id, label: r.name || r.id })));
+      roleNames = Object.fromEntries(roles.map(r => [r.id, r.name || r.id]));
       setStatus("");
     } catch (err) {
       setStatus(`Failed to load roles: ${err.message}`, "error");
@@ -1411,5 +1421,37 @@ export default function renderRolesCompare({ me, api, orgContext }) {
     }
   }
 
+  // ── Automation ───────────────────────────────────────────
+  function captureSchedule() {
+    const org = orgContext?.getDetails?.();
+    if (!org) throw new Error("Select a customer org first");
+    if (mode !== "roles") throw new Error("Switch to Compare Roles — only role comparisons can be scheduled");
+    const roleIds = [...roleSelect.getSelected()];
+    if (roleIds.length < 2 || roleIds.length > 10) throw new Error("Select 2 to 10 roles");
+    return {
+      orgId:      org.id,
+      orgName:    org.name,
+      roleIds,
+      roleNames:  roleIds.map(id => roleNames[id] || id),
+      diffOnly:   viewMode === "diff",
+      filterText: filterText.trim(),
+    };
+  }
+
+  if (AUTOMATION_ENABLED) {
+    el.appendChild(createSchedulePanel({
+      exportType: AUTOMATION_EXPORT_TYPE,
+      exportLabel: AUTOMATION_EXPORT_LABEL,
+      me,
+      captureConfig: captureSchedule,
+      configSummary: (cfg) => {
+        const names = cfg.roleNames || [];
+        const shown = names.slice(0, 2).join(", ") + (names.length > 2 ? ` +${names.length - 2} more` : "");
+        return [shown, cfg.diffOnly ? "differences only" : "", cfg.filterText ? `"${cfg.filterText}"` : ""]
+          .filter(Boolean).join(", ");
+      },
+    }));
+  }
+
   return el;
 }
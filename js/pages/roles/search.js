@@ -14,8 +14,8 @@
  *  3. For every discovered role we fetch
  *       GET /api/v2/authorization/roles/{roleId}/users  (paginated)
  *     and stream rows into the results table immediately.
- *  4. Source attribution resolves asynchronously (batches of 10 concurrent
- *     users):
+ *  4. Source attribution resolves through the proxy's batch mode (one
+ *     round trip per 100 calls, run server-side):
  *       GET /api/v2/authorization/subjects/{userId}
  *       GET /api/v2/users/{userId}?expand=groups
  *       → per-group: GET /api/v2/authorization/subjects/{groupId}
@@ -25,7 +25,7 @@
  *     results have loaded.
  */
 import { escapeHtml, exportXlsx, timestampedFilename, makeStatus, makeControlBusy } from "../../utils.js";
-import { fetchAllAuthorizationRoles, fetchAllUsers } from "../../services/genesysApi.js";
+import { fetchAllAuthorizationRoles, fetchAllUsers, proxyBatch } from "../../services/genesysApi.js";
 
 // ── Permission catalog ────────────────────────────────────────────────────────
 
@@ -87,21 +87,6 @@ function buildSourceLabel(roleId, userGroups, groupGrantsCache, groupNameCache)
   return sources.length ? sources.join("; ") : "Assigned manually";
 }
 
-// ── Concurrency helper ────────────────────────────────────────────────────────
-
-async function runBatched(tasks, concurrency = 10) {
-  const results = new Array(tasks.length);
-  let idx = 0;
-  async function worker() {
-    while (idx < tasks.length) {
-      const i = idx++;
-      results[i] = await tasks[i]();
-    }
-  }
-  await Promise.all(Array.from({ length: Math.min(concurrency, tasks.length) }, worker));
-  return results;
-}
-
 // ── Page ──────────────────────────────────────────────────────────────────────
 
 export default function renderRolesSearch({ me, api, orgContext }) {
@@ -551,22 +536,17 @@ export default function renderRolesSearch({ me, api, orgContext }) {
       // with expand=authorization across 1000+ users in a single bulk fetch.
       if (matchedUsers.length > 0) {
         const uniqueUserIds = [...new Set(matchedUsers.map(u => u.userId))];
-        let grpFetched = 0;
         setStatus(`Found ${matchedUsers.length} assignment${matchedUsers.length !== 1 ? "s" : ""} — fetching group memberships…`);
-        showProgress(grpFetched, uniqueUserIds.length);
+        showProgress(0, uniqueUserIds.length);
         const userGroupMap  = new Map(); // userId → groups[]
-        await runBatched(
-          uniqueUserIds.map(userId => async () => {
-            try {
-              const detail = await api.proxyGenesys(org.id, "GET", `/api/v2/users/${userId}`, { query: { expand: "groups" } });
-              userGroupMap.set(userId, detail.groups || []);
-            } catch {
-              userGroupMap.set(userId, []);
-            }
-            showProgress(++grpFetched, uniqueUserIds.length);
-          }),
-          10
+        const userDetails = await proxyBatch(api, org.id,
+          uniqueUserIds.map(userId => ({ method: "GET", path: `/api/v2/users/${userId}`, query: { expand: "groups" } })),
+          { onProgress: (done, total) => showProgress(done, total) }
         );
+        uniqueUserIds.forEach((userId, i) => {
+          const r = userDetails[i];
+          userGroupMap.set(userId, r?.ok ? (r.body?.groups || []) : []);
+        });
         for (const u of matchedUsers) {
           u.groups = userGroupMap.get(u.userId) || [];
         }
@@ -594,23 +574,25 @@ export default function renderRolesSearch({ me, api, orgContext }) {
 
       if (allGroupIds.size > 0) showProgress(0, allGroupIds.size);
       else hideProgress();
-      let srcFetched = 0;
-      await runBatched(
-        [...allGroupIds].map(groupId => async () => {
-          try {
-            const [gs, gd] = await Promise.all([
-              api.proxyGenesys(org.id, "GET", `/api/v2/authorization/subjects/${groupId}`),
-              api.proxyGenesys(org.id, "GET", `/api/v2/groups/${groupId}`),
-            ]);
-            groupGrantsCache.set(groupId, gs.grants || []);
-            groupNameCache.set(groupId, gd.name || groupId);
-          } catch {
-            groupGrantsCache.set(groupId, []);
-          }
-          showProgress(++srcFetched, allGroupIds.size);
-        }),
-        10
+      // Two calls per group, interleaved so a group's pair lands in one batch.
+      const groupIds = [...allGroupIds];
+      const groupResults = await proxyBatch(api, org.id,
+        groupIds.flatMap(groupId => [
+          { method: "GET", path: `/api/v2/authorization/subjects/${groupId}` },
+          { method: "GET", path: `/api/v2/groups/${groupId}` },
+        ]),
+        { onProgress: (done) => showProgress(Math.floor(done / 2), groupIds.length) }
       );
+      groupIds.forEach((groupId, i) => {
+        const gs = groupResults[i * 2];
+        const gd = groupResults[i * 2 + 1];
+        if (gs?.ok && gd?.ok) {
+          groupGrantsCache.set(groupId, gs.body?.grants || []);
+          groupNameCache.set(groupId, gd.body?.name || groupId);
+        } else {
+          groupGrantsCache.set(groupId, []);
+        }
+      });
 
       // ── Step 4: render table (names + sources already known, sorted) ──
       $results.appendChild(buildResultsTable());
@@ -0,0 +1,142 @@
+/**
+ * Simulation Plan page (reached from the header's Plan button).
+ *
+ * Lists every write recorded while the Simulate switch was on — the calls the
+ * proxy answered synthetically instead of sending — in the order the pages
+ * made them. The operator reviews it here and downloads it as JSON or Excel
+ * to attach to a change ticket. See services/simulation.js.
+ */
+import { escapeHtml, exportXlsx, downloadText, timestampedFilename } from "../utils.js";
+import { simulation } from "../services/simulation.js";
+
+/** Pretty JSON for display and the workbook; "" for an absent value. */
+function json(v) {
+  if (v === null || v === undefined) return "";
+  return JSON.stringify(v, null, 2);
+}
+
+// Excel caps a cell at 32,767 characters. A body that long is still complete
+// in the JSON download.
+const CELL_MAX = 32000;
+
+export function renderSimulationPlanPage() {
+  const root = document.createElement("section");
+  root.className = "card";
+
+  root.innerHTML = `
+    <div class="release-notes__header">
+      <button type="button" class="release-notes__back" id="simBack">← Back</button>
+      <h1 class="h1">Simulation Plan</h1>
+    </div>
+    <p class="p sim-note" id="simState"></p>
+    <p class="p sim-note">
+      Reads were made for real so the plan reflects this org as it is; every
+      create, update and delete below was recorded instead of sent. The plan
+      is kept until you clear it or reload the app.
+    </p>
+    <div class="sim-actions">
+      <button type="button" class="btn" id="simToggle"></button>
+      <button type="button" class="btn btn--primary" id="simJson">Download JSON</button>
+      <button type="button" class="btn" id="simXlsx">Download Excel</button>
+      <button type="button" class="btn btn--danger" id="simClear">Clear plan</button>
+    </div>
+    <p class="p sim-note" id="simError"></p>
+    <div id="simTable"></div>
+  `;
+
+  const $ = (sel) => root.querySelector(sel);
+
+  $("#simBack").addEventListener("click", () => {
+    if (window.history.length > 1) window.history.back();
+    else window.location.hash = "#/";
+  });
+
+  function render() {
+    const plan = simulation.getPlan();
+    const on = simulation.isEnabled();
+
+    $("#simState").textContent = on
+      ? `Simulate is ON — ${plan.length} write${plan.length === 1 ? "" : "s"} recorded so far.`
+      : `Simulate is off — pages change Genesys for real. ${plan.length} write${plan.length === 1 ? "" : "s"} recorded earlier.`;
+    $("#simToggle").textContent = on ? "Turn Simulate off" : "Turn Simulate on";
+    $("#simJson").disabled = !plan.length;
+    $("#simXlsx").disabled = !plan.length;
+    $("#simClear").disabled = !plan.length;
+
+    if (!plan.length) {
+      $("#simTable").innerHTML = `<p class="p">Nothing recorded yet. Turn Simulate on, run a page as you normally would, and its writes appear here.</p>`;
+      return;
+    }
+
+    const rows = plan.map((e) => `
+      <tr>
+        <td>${e.seq}</td>
+        <td>${escapeHtml(e.at.slice(11, 19))}</td>
+        <td>${escapeHtml(e.route)}</td>
+        <td>${escapeHtml(e.orgId)}</td>
+        <td><span class="sim-method sim-method--${escapeHtml(e.method)}">${escapeHtml(e.method)}</span></td>
+        <td class="sim-path">${escapeHtml(e.path)}${e.query ? `<br><span class="p">?${escapeHtml(new URLSearchParams(e.query).toString())}</span>` : ""}</td>
+        <td>${e.body === null ? "" : `<details class="sim-body"><summary>Body</summary><pre>${escapeHtml(json(e.body))}</pre></details>`}</td>
+      </tr>`).join("");
+
+    $("#simTable").innerHTML = `
+      <div style="overflow-x:auto">
+        <table class="data-table sim-table">
+          <thead><tr><th>#</th><th>Time</th><th>Page</th><th>Org</th><th>Method</th><th>Path</th><th>Body</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>`;
+  }
+
+  $("#simToggle").addEventListener("click", () => simulation.setEnabled(!simulation.isEnabled()));
+
+  $("#simJson").addEventListener("click", () => {
+    $("#simError").textContent = "";
+    try {
+      const payload = { generatedAt: new Date().toISOString(), calls: simulation.getPlan() };
+      downloadText(timestampedFilename("Simulation_Plan", "json"), JSON.stringify(payload, null, 2));
+    } catch (err) {
+      $("#simError").textContent = err.message;
+    }
+  });
+
+  $("#simXlsx").addEventListener("click", () => {
+    $("#simError").textContent = "";
+    try {
+      const rows = simulation.getPlan().map((e) => ({
+        ...e,
+        query: e.query ? new URLSearchParams(e.query).toString() : "",
+        body: json(e.body).slice(0, CELL_MAX),
+      }));
+      exportXlsx([{
+        name: "Plan",
+        rows,
+        columns: [
+          { key: "seq",    label: "#" },
+          { key: "at",     label: "Time" },
+          { key: "route",  label: "Page" },
+          { key: "orgId",  label: "Org" },
+          { key: "method", label: "Method" },
+          { key: "path",   label: "Path" },
+          { key: "query",  label: "Query" },
+          { key: "body",   label: "Body" },
+        ],
+      }], timestampedFilename("Simulation_Plan", "xlsx"));
+    } catch (err) {
+      $("#simError").textContent = err.message;
+    }
+  });
+
+  $("#simClear").addEventListener("click", () => {
+    if (!confirm("Clear the recorded plan? This cannot be undone.")) return;
+    simulation.clearPlan();
+  });
+
+  const unsubscribe = simulation.onChange(() => {
+    if (!root.isConnected) { unsubscribe(); return; }
+    render();
+  });
+
+  render();
+  return root;
+}
@@ -6,7 +6,9 @@
  *
  * Adding a list means adding one entry to LIST_DEFS below. Everything else
  * (fetching, table, column filters, sorting, Excel export) is generic and
- * already written, so a new list is a fetch function plus its columns.
+ * already written, so a new list is a fetch function plus its columns. A list
+ * that should also be schedulable needs the same entry in LIST_DEFS of
+ * api/lib/exports/getLists.js; the schedule panel offers the rest.
  *
  * Each definition supplies:
  *   key        id used by the picker
@@ -21,6 +23,11 @@
 import { escapeHtml, exportXlsx, timestampedFilename, makeStatus } from "../../utils.js";
 import { fetchAllWrapupCodes, fetchAllDivisions } from "../../services/genesysApi.js";
 import { orgContext } from "../../services/orgContext.js";
+import { createSchedulePanel } from "../../components/schedulePanel.js";
+
+const AUTOMATION_ENABLED = true;
+const AUTOMATION_EXPORT_TYPE = "getLists";
+const AUTOMATION_EXPORT_LABEL = "Get Lists";
 
 // ── Presence definitions ──────────────────────────────────────────────
 /**
@@ -690,5 +697,21 @@ export default async function renderGetLists(ctx = {}) {
   // Nothing is fetched until Load is clicked.
   showIdle();
 
+  // ── Automation (api/lib/exports/getLists.js) ─────────
+  // A schedule delivers the selected list whole; column filters are a view.
+  if (AUTOMATION_ENABLED) {
+    el.appendChild(createSchedulePanel({
+      exportType: AUTOMATION_EXPORT_TYPE,
+      exportLabel: AUTOMATION_EXPORT_LABEL,
+      me: ctx.me,
+      captureConfig: () => {
+        const org = orgContext?.getDetails?.();
+        if (!org) throw new Error("Select an org first");
+        return { orgId: org.id, orgName: org.name, list: currentDef.key, listLabel: currentDef.label };
+      },
+      configSummary: (cfg) => cfg.listLabel || cfg.list,
+    }));
+  }
+
   return el;
 }
@@ -20,6 +20,273 @@
  * exposing nothing.
  */
 export const RELEASE_NOTES = [
+  {
+    version: "6.6",
+    date: "2026-10-19",
+    title: "Flow Simulator (internal)",
+    internalOnly: true,
+    changes: [
+      "A new Flows › Flow Simulator page follows one call through a flow: give the call details, what data tables and data actions answer, whether schedule groups are open and what the caller keys in, and see the exact path it takes.",
+      "Each step shows the branch taken and why, and the variable values at that point; the path is drawn on the flow, and anything the scenario left out is listed as an assumption.",
+      "Scenarios can be saved for a flow and re-run together after the flow changes, showing which now take a different path and from which step.",
+    ],
+  },
+  {
+    version: "6.5",
+    date: "2026-10-19",
+    title: "Flow Lint (internal)",
+    internalOnly: true,
+    changes: [
+      "A new Flows › Flow Lint page checks a flow for common mistakes: tasks nothing reaches, variables set but never read or read but never set, data actions whose failure path just disconnects, hard-coded queues and skills, transfers without a failure path, loops without an exit, and prompts missing one of the flow's languages.",
+      "Each finding is an error, a warning or for information, and is coloured on the flow diagram; click a finding to jump to it.",
+      "Rules can be switched off and the choice saved for each organisation. The findings can be downloaded as a spreadsheet.",
+    ],
+  },
+  {
+    version: "6.4",
+    date: "2026-10-19",
+    title: "Flow Compare (internal)",
+    internalOnly: true,
+    changes: [
+      "A new Flows › Flow Compare page shows what is different between two versions of a flow, or between the same flow in two organisations.",
+      "It lists the tasks and actions that were added, removed or changed — with each changed setting before and after — the branches that now lead somewhere else, and the variables and dependencies that came or went.",
+      "Both flows are drawn as diagrams with the differences coloured in; click a difference to jump to it. The list can be downloaded as a spreadsheet.",
+    ],
+  },
+  {
+    version: "6.3",
+    date: "2026-10-19",
+    title: "More of the org in the documentation export",
+    changes: [
+      "Ten new documentation sheets: WFM business units, management units and activity codes; quality evaluation forms; knowledge bases; speech and text analytics topics and programs; recording settings; utilization; and external contact schemas.",
+      "Each new sheet shows the permission error that kept it out (for example 403) like the existing sheets, and can be picked on its own.",
+      "Documentation Compare and the HTML site understand the new sheets.",
+    ],
+  },
+  {
+    version: "6.2",
+    date: "2026-10-19",
+    title: "Documentation as a browsable HTML site",
+    changes: [
+      "Export › Documentation › Create can produce a zipped HTML site instead of the workbook: a page for every object type and every object, for handing over to a customer.",
+      "Pages link to the objects they use and list the ones that use them — a queue's flow, wrap-up codes and members, a user's queues, the flows that use a data table.",
+      "Search every object by name from any page, and print any page cleanly.",
+    ],
+  },
+  {
+    version: "6.1",
+    date: "2026-10-19",
+    title: "Documentation export progress and sheet selection",
+    changes: [
+      "Export › Documentation › Create shows each sheet as it is fetched — its row count, empty, or the error that kept it out (for example 403 for a missing permission).",
+      "Choose which of the 42 sheets to export, and whether to include data table contents. Queues + Users + Flows on its own takes seconds.",
+      "A running documentation export can be cancelled.",
+    ],
+  },
+  {
+    version: "6.0",
+    date: "2026-10-19",
+    title: "Config baselines and drift alerts",
+    changes: [
+      "New page Export › Documentation › Drift: pin an org's queues, flows, data actions, OAuth clients, trunks and roles as a baseline, and see what has changed since.",
+      "Check now lists what was added, removed or changed per object type. Accept drift that was meant, per type or all at once, to roll the baseline forward.",
+      "Schedule the check to be emailed the same day something drifts. Runs with no drift send nothing; each object type can be set to notify or ignore.",
+      "Documentation exports now mark the OAuth sheets as errors when the OAuth clients cannot be read, instead of leaving them out as if there were none.",
+    ],
+  },
+  {
+    version: "5.9",
+    date: "2026-10-19",
+    title: "Compare documentation exports",
+    changes: [
+      "New page Export › Documentation › Compare: compare two documentation exports to see what changed in an org between visits, or how a customer's org differs from a demo org.",
+      "Upload either export (the .xlsx or the .zip), or export the selected org right there.",
+      "Rows are matched by name and listed as added, removed or changed; the downloaded workbook highlights each cell that differs.",
+      "Schedule it to receive what changed since the previous run, or the differences from another org, on a regular basis.",
+    ],
+  },
+  {
+    version: "5.8",
+    date: "2026-10-19",
+    title: "Schedule the search pages",
+    changes: [
+      "Audit › Search, Interactions › Search, Transcripts › Search, Utilities › Get Lists and Roles › Compare now have an Automation panel, like the export pages.",
+      "A new schedule takes the page's filters as they are when you create it — for example \"every Monday, audits for Architect over the last 7 days\". Dates move forward with each run.",
+      "Editing a schedule keeps its filters unless you tick \"Replace with this page's current filters\".",
+      "Roles › Compare schedules role comparisons only; user comparisons and CX Cloud readiness stay interactive.",
+    ],
+  },
+  {
+    version: "5.7",
+    date: "2026-10-19",
+    title: "Report packs",
+    changes: [
+      "New page Export › Report Packs: schedule several exports for one org — for example Last Login, License Consumption, All Roles and Queues/Skills — and receive them together in one delivery.",
+      "Choose one workbook with an Index sheet linking to each export, or a ZIP with each export's own file.",
+      "If one export in the pack fails, the others are still delivered and the failure is listed in the summary and on the Index.",
+    ],
+  },
+  {
+    version: "5.6",
+    date: "2026-10-19",
+    title: "Exports as CSV or JSON",
+    changes: [
+      "Every export page now has a format choice beside the Download button: Excel, CSV (a zip with one file per sheet) or JSON.",
+      "Scheduled exports can be delivered in any of the three, or several at once in a single zip, by every delivery target.",
+      "Billing exports in CSV or JSON come as one flat table — org, period, licence type, product and the committed, used and on-demand figures.",
+    ],
+  },
+  {
+    version: "5.5",
+    date: "2026-10-19",
+    title: "Scheduled exports can skip the days nothing changed",
+    changes: [
+      "New schedule option \"Only deliver when changed\": the export still runs, but it is only delivered when its content differs from the last delivered run.",
+      "When it is delivered, the email, Teams or Slack message and HTTPS payload say what changed — for example \"3 users gained role Supervisor\" or \"2 members left queue Sales\".",
+      "For the roles, trustee and queues/skills exports only role, queue, skill, language and org access changes count, so a new login date alone does not trigger a delivery.",
+      "Runs that found nothing new show as \"No changes\" in History, with the file still available to download.",
+    ],
+  },
+  {
+    version: "5.4",
+    date: "2026-10-19",
+    title: "Scheduled exports no longer wait in line",
+    changes: [
+      "Due scheduled exports now run side by side instead of one after another, so a large documentation export no longer delays every other report due at the same time.",
+      "An export that runs far too long is stopped and reported as a failure — and retried if its schedule says so — instead of taking the rest of the run down with it.",
+      "A schedule can no longer run twice at once when the runner is busy.",
+      "While a schedule runs, Scheduled Exports shows what it is doing — running the export, storing the file, or delivering it and to which target — and updates by itself.",
+    ],
+  },
+  {
+    version: "5.3",
+    date: "2026-10-19",
+    title: "Run now, automatic retries and failure alerts",
+    changes: [
+      "Scheduled Exports has a Run now button: the schedule runs within five minutes, exactly as it would on its own time, and appears in its History.",
+      "A schedule can retry a failed run before its next regular one — choose how many attempts and how long to wait before the first retry in the schedule's form.",
+      "When a schedule fails several times in a row (three by default), its owner and the superusers get an email saying which step failed: the export itself, the delivery, or saving the result.",
+      "History shows what started each run — schedule, retry or Run now — and the schedule list shows a pending retry or Run now.",
+    ],
+  },
+  {
+    version: "5.2",
+    date: "2026-10-19",
+    title: "Scheduled exports delivered where you want them",
+    changes: [
+      "A scheduled export no longer has to arrive by email. Add one or more delivery targets to a schedule: upload to an SFTP server or an Azure Blob container, post a download link to a Microsoft Teams or Slack channel, or send the file to your own HTTPS endpoint.",
+      "Email still works as before, and can be combined with any of the others — or left out altogether.",
+      "Passwords, SAS URLs and webhook addresses are stored encrypted and never shown again; leave the field blank when editing to keep the saved one.",
+      "Run history shows how each target fared, so one failed upload is easy to spot among successful deliveries.",
+    ],
+  },
+  {
+    version: "5.1",
+    date: "2026-10-19",
+    title: "Scheduled exports remember every run",
+    changes: [
+      "Each scheduled export now keeps a history of its runs: when it ran, how long it took, what it found, whether the email went out — and the file it produced.",
+      "On Scheduled Exports, History next to a schedule lists its runs. Download any past file, or send it again — to the schedule's recipients or to whoever is asking for last Tuesday's report.",
+      "The file is saved before the email is sent, so a report whose email failed can still be fetched.",
+      "Runs and their files are kept for 90 days.",
+    ],
+  },
+  {
+    version: "5.0",
+    date: "2026-10-19",
+    title: "Scheduled exports on your own timetable, in your own time zone",
+    changes: [
+      "Scheduled exports are no longer limited to once a day, once a week or once a month. Choose Custom (cron) to describe any timetable — every weekday at 07:00, the 1st and 15th of the month, every two hours during office hours.",
+      "Every schedule now has a time zone. Existing schedules stay on Danish time; new ones can follow any time zone, so a report for a team abroad arrives at their start of day.",
+      "The schedule form shows when the next five runs will happen, as you edit it — in the schedule's time zone, and in yours when it is different.",
+      "Changes to and from summer time are handled: a run that falls in the hour skipped in spring happens an hour later that day, and one in the hour repeated in autumn happens once.",
+      "Monthly template schedules set to the 29th, 30th or 31st now skip the months that do not have that day, as scheduled exports always have. They used to run on the 1st of the next month instead.",
+    ],
+  },
+  {
+    version: "4.9",
+    date: "2026-10-19",
+    title: "Activity Log sent to the security team's SIEM (internal)",
+    internalOnly: true,
+    changes: [
+      "Everything recorded in the Activity Log can now also be sent, as it happens, to the security team's monitoring system (SIEM) — either to a web address, signed so the receiver can tell it really came from this app, or as a standard syslog line.",
+      "If the receiving system is down, nothing is lost: entries that could not be delivered are kept and sent again automatically, at growing intervals, for up to a day and a half.",
+      "A new Admin › SIEM Forwarding page, for superusers only, shows whether delivery is working, what is still waiting, and lets you send entries again — individually, or everything from a chosen period.",
+    ],
+  },
+  {
+    version: "4.8",
+    date: "2026-10-19",
+    title: "Search the whole Activity Log, and export it",
+    changes: [
+      "The Activity Log used to show only its newest 500 entries, so older activity could not be found however you set the filters. The date range, result, action, organisation and user filters — and a new Search box — now look through the whole log.",
+      "Results arrive a page at a time; Load more at the bottom of the list fetches the next page.",
+      "Export Excel and Export CSV download every entry that matches your filters, not just the ones on screen.",
+    ],
+  },
+  {
+    version: "4.7",
+    date: "2026-10-19",
+    title: "See exactly what changed — and undo it",
+    changes: [
+      "When the app changes a role, a queue, a wrap-up code, a schedule, a data table row or the division a user belongs to, it now keeps a copy of how that object looked just before. In the Activity Log, Changes under the entry shows each setting that changed, side by side: what it was, and what it became.",
+      "Revert puts the object back the way it was, in one click. A mistaken bulk edit no longer has to be pieced together again by hand.",
+      "If someone has changed the same object again since, Revert stops and says what is different, rather than quietly undoing their work as well.",
+      "A revert is itself recorded in the Activity Log like any other change — and can be reverted in turn.",
+    ],
+  },
+  {
+    version: "4.6",
+    date: "2026-10-19",
+    title: "The Activity Log now records every change",
+    changes: [
+      "Until now the Activity Log held what each page chose to write down, so some changes — editing a single data table row, setting up Direct Routing on a user — left no trace. Every change the app sends to Genesys is now recorded, whichever page made it, as an “API Write” entry.",
+      "Each entry says who made the change, in which organisation, what was changed and whether Genesys accepted it. Open Details to see each individual change and what was sent; a change Genesys refused shows its reason first.",
+      "A page that changes many things at once writes one entry for the lot rather than one per change, so the log stays readable. Passwords and other secrets are never written to it.",
+      "Looking things up is not recorded, and neither is anything done with Simulate on.",
+    ],
+  },
+  {
+    version: "4.5",
+    date: "2026-10-19",
+    title: "A practice Genesys for testing the app (internal)",
+    internalOnly: true,
+    changes: [
+      "The app can now be run against a stand-in for Genesys Cloud on a developer's own machine, instead of a customer organisation. It has its own users, queues, roles, flows, data tables and phones, answers searches and audit queries, and lets every page be tried from start to finish without touching anyone's real setup — or needing a network at all.",
+      "The stand-in can be told to misbehave on purpose — to refuse a request for lack of permission, to say “slow down”, or to let a long-running search fail — so the way the app copes with a bad day at Genesys can be checked before a customer ever has one.",
+      "It only ever runs on a developer's machine. The live app cannot be pointed at it.",
+    ],
+  },
+  {
+    version: "4.4",
+    date: "2026-10-19",
+    title: "Simulate: see every change a page would make, before it makes any",
+    changes: [
+      "A new Simulate switch sits in the header. Turn it on and run any page exactly as you normally would — Deployment › Basic, a Divisions move, Configure Users, Copy from User — and nothing in Genesys changes. Every create, update and delete the page would have made is written down instead.",
+      "Reading still happens for real, so the list reflects the organisation as it is today: the users it would have changed are the users who are actually there.",
+      "Plan (the button beside the switch) lists each change in the order it would have been made — what kind of change, where, and with what content. Download it as JSON or Excel and attach it to the change ticket before anyone touches production.",
+      "While Simulate is on, the header has an amber edge on every page, and nothing is written to the Activity Log — nothing happened. Reloading the app keeps the switch on, so a refresh can never quietly turn a rehearsal into the real thing.",
+    ],
+  },
+  {
+    version: "4.3",
+    date: "2026-10-19",
+    title: "Big jobs share an organisation's rate limit instead of fighting over it",
+    changes: [
+      "Genesys allows each organisation only so many requests a minute. Two people running large jobs against the same organisation at once — a bulk role change here, a phone clean-up there — used to each pace themselves as if the other were not there, and whichever hit the limit first saw errors. Requests to an organisation now wait their turn together, so both jobs slow down a little instead of one of them failing.",
+      "When Genesys asks us to back off, we now do exactly as long as it says, and then send the request again. Before, the request came back to the page as a failure and most pages simply recorded it as one.",
+      "When a run is slowed down for this reason, its status line says so — “slowed by Genesys rate limits” — for as long as it lasts. A run that has slowed to a crawl no longer looks like one that has stalled.",
+    ],
+  },
+  {
+    version: "4.2",
+    date: "2026-10-19",
+    title: "Roles › Search: sources resolve in a fraction of the time",
+    changes: [
+      "Working out where each user's role came from — assigned directly or inherited from a group — used to cost one request from your browser per user and two per group, ten at a time. A permission held by a few hundred people meant a few hundred round trips before the Source column filled in. Those calls now travel together, a hundred at a time, and run on our side of the connection, so the same search finishes in seconds.",
+      "Nothing about the results changes. A user or group that cannot be read still shows as assigned manually, exactly as before.",
+    ],
+  },
   {
     version: "4.1",
     date: "2026-08-21",
@@ -38,13 +38,21 @@
  *   schedule_create      — Create an automated schedule
  *   schedule_update      — Update an automated schedule
  *   schedule_delete      — Delete an automated schedule
+ *   schedule_resend      — E-mail a past scheduled-export file again
+ *   schedule_run_now     — Queue a scheduled export to run on the next runner tick
  *   gdpr_request         — Submit a GDPR data subject request
  *   export_run           — Run an on-demand export
+ *   config_baseline      — Pin, accept drift into or unpin an org's config baseline
+ *   flow_lint_rules      — Save the flow lint rules an org has switched off
+ *   flow_scenario        — Save, delete or accept the new path of a Flow Simulator scenario
  *   deployment_basic     — Basic deployment (sites, queues, users, …)
  *   deployment_onboarding — Onboarding deploy (written by the runner, not here)
  *   flow_delete          — Delete a callflow and its orphaned dependencies
+ *   api_write            — Any proxied write (written by the proxy, not here)
+ *   siem_replay          — Replay or discard of SIEM deliveries (written by /api/siem)
  */
 import { withUserToken } from "./apiAuth.js";
+import { simulation } from "./simulation.js";
 
 export function logAction({
   me,
@@ -58,6 +66,9 @@ export function logAction({
   details      = null,
 } = {}) {
   if (!me?.email) return; // Nothing to log without user identity
+  // A simulated run changed nothing; logging it would put actions that never
+  // happened into the audit trail. The simulation plan is the record instead.
+  if (simulation.isEnabled()) return;
 
   fetch("/api/activity-log", {
     method:  "POST",
@@ -1,4 +1,6 @@
 import { CONFIG } from "../config.js";
+import { noteThrottle } from "../utils.js";
+import { simulation } from "./simulation.js";
 
 /**
  * Minimal API client for the Genesys Admin Tool.
@@ -69,9 +71,17 @@ export function createApiClient(getToken) {
         "X-Genesys-Token": token,
         Authorization: `Bearer ${token}`,
       },
-      body: JSON.stringify({ customerId, method, path, body, query }),
+      body: JSON.stringify({ customerId, method, path, body, query, simulate: simulation.isEnabled() }),
     });
 
+    // The proxy's rate-limit governor reports how long this call was queued.
+    noteThrottle(Number(resp.headers.get("X-Throttle-Delay-Ms")));
+
+    // Simulate switch on and this was a write: the proxy did not send it.
+    if (resp.headers.get("X-Simulated")) {
+      simulation.record({ orgId: customerId, method, path, query, body });
+    }
+
     if (resp.status === 204) return null;
     const json = await resp.json().catch(() => ({}));
     if (!resp.ok) {
@@ -85,6 +95,51 @@ export function createApiClient(getToken) {
     return json;
   }
 
+  /**
+   * Send several Genesys API calls to the proxy in one round trip.
+   *
+   * The proxy runs them server-side with bounded concurrency and answers with
+   * one `{ status, body }` per operation, in order. A failed operation does not
+   * throw — only a failure of the batch itself does (auth, org lock, bad input).
+   * Use `proxyBatch` in genesysApi.js rather than this directly: it chunks to
+   * the proxy's per-call cap.
+   *
+   * @param {string}   customerId   Customer identifier
+   * @param {Object[]} operations   [{ method, path, body?, query? }]
+   * @param {Object}   [opts]
+   * @param {number}   [opts.concurrency]  Server-side parallelism (proxy caps it)
+   * @returns {Promise<{ status: number, body: any }[]>}
+   */
+  async function proxyGenesysBatch(customerId, operations, { concurrency } = {}) {
+    const token = typeof getToken === "function" ? getToken() : getToken;
+    if (!token) throw new Error("No valid access token");
+
+    const resp = await fetch("/api/genesys-proxy", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Genesys-Token": token,
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify({ customerId, operations, concurrency, simulate: simulation.isEnabled() }),
+    });
+    noteThrottle(Number(resp.headers.get("X-Throttle-Delay-Ms")));
+
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok) {
+      const detail = json.message || json.error || "";
+      const err = new Error(detail || `Proxy batch of ${operations.length} → ${resp.status}`);
+      err.status = resp.status;
+      err.body = json;
+      throw err;
+    }
+    const results = json.results || [];
+    results.forEach((r, i) => {
+      if (r.simulated) simulation.record({ orgId: customerId, ...operations[i] });
+    });
+    return results;
+  }
+
   return {
     /** Raw request helper — use for one-off calls. */
     request,
@@ -128,6 +183,9 @@ export function createApiClient(getToken) {
     /** Proxy a Genesys API call through the backend for a customer org. */
     proxyGenesys,
 
+    /** Proxy many Genesys API calls in one request (see proxyBatch in genesysApi.js). */
+    proxyGenesysBatch,
+
     /** GET /api/v2/users/me */
     getUsersMe: () => request("/api/v2/users/me"),
   };
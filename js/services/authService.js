@@ -78,8 +78,8 @@ function getLoginClientId() {
   return (sessionStorage.getItem(K_LOGIN_CLIENT_ID) || "").trim() || CONFIG.oauthClientId;
 }
 
-function authHostFor(region) { return `login.${region}`; }
-function apiBaseFor(region) { return `https://api.${region}`; }
+function loginBaseFor(region) { return CONFIG.genesysBaseOverride || `https://login.${region}`; }
+function apiBaseFor(region) { return CONFIG.genesysBaseOverride || `https://api.${region}`; }
 
 // IMPORTANT: preserve hash routing (#/dashboards) after login
 function clearQueryPreserveHash() {
@@ -166,7 +166,7 @@ async function startLoginRedirect() {
   sessionStorage.setItem(K_OAUTH_STATE, state);
 
   const authUrl =
-    `https://${authHostFor(region)}/oauth/authorize` +
+    `${loginBaseFor(region)}/oauth/authorize` +
     `?response_type=code` +
     `&client_id=${encodeURIComponent(clientId)}` +
     `&redirect_uri=${encodeURIComponent(redirectUri)}` +
@@ -181,7 +181,7 @@ async function startLoginRedirect() {
 async function exchangeCodeForToken(code) {
   const clientId = getLoginClientId();
   const redirectUri = CONFIG.oauthRedirectUri;
-  const authHost = authHostFor(getLoginRegion());
+  const loginBase = loginBaseFor(getLoginRegion());
 
   const verifier = sessionStorage.getItem(K_PKCE_VERIFIER);
   if (!verifier) throw new Error("Missing pkce_verifier (session lost).");
@@ -194,7 +194,7 @@ async function exchangeCodeForToken(code) {
     code_verifier: verifier
   });
 
-  const resp = await fetch(`https://${authHost}/oauth/token`, {
+  const resp = await fetch(`${loginBase}/oauth/token`, {
     method: "POST",
     headers: { "Content-Type": "application/x-www-form-urlencoded" },
     body
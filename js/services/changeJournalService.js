@@ -0,0 +1,159 @@
+/**
+ * Change Journal Service — before/after snapshots and Revert.
+ *
+ * The proxy journals updates to roles, queues, wrap-up codes, schedules, data
+ * table rows and user divisions (api/lib/changeJournal.js); the Activity Log
+ * entry for the write lists the record ids. This module fetches the records,
+ * diffs them property by property, and reverts one: it reads the object as it
+ * is now, refuses if it has moved on since the logged change, and otherwise
+ * sends the previous state back through the proxy — as the signed-in user,
+ * journaled and logged like any other write.
+ */
+import { withUserToken } from "./apiAuth.js";
+import { simulation } from "./simulation.js";
+
+const BASE = "/api/change-journal";
+
+// Properties Genesys maintains itself. They differ between any two reads and
+// say nothing about what the operator changed.
+const VOLATILE = new Set([
+  "selfUri", "version", "dateModified", "modifiedDate", "modifiedBy", "createdBy",
+  "dateCreated", "userCount", "memberCount", "userMemberCount", "joinedMemberCount",
+]);
+
+/**
+ * Fetch journal records by id. Ids from another organisation, or past the
+ * retention window, are simply absent from the result.
+ * @param {string[]} ids
+ * @returns {Promise<Array>}
+ */
+export async function fetchChanges(ids) {
+  const res = await fetch(`${BASE}?ids=${encodeURIComponent(ids.join(","))}`, { headers: withUserToken() });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Failed to fetch changes (${res.status})`);
+  return json.records || [];
+}
+
+async function markReverted(id) {
+  const res = await fetch(BASE, {
+    method: "POST",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ id }),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Could not record the revert (${res.status})`);
+  return json;
+}
+
+// ── Diff ─────────────────────────────────────────────────
+
+/** Stable key for an array element, so lists diff by member rather than position. */
+function elementKey(el) {
+  if (!el || typeof el !== "object") return null;
+  if (el.id) return el.id;
+  if (el.domain && el.entityName) return `${el.domain}:${el.entityName}`;
+  return null;
+}
+
+/** { "a.b": 1, "list[id]": … } — leaves only, volatile properties dropped. */
+function flatten(value, prefix = "", out = {}) {
+  if (Array.isArray(value)) {
+    const keys = value.map(elementKey);
+    if (value.length && keys.every(Boolean)) {
+      value.forEach((el, i) => flatten(el, `${prefix}[${keys[i]}]`, out));
+    } else {
+      out[prefix] = value.length ? JSON.stringify(value) : "[]";
+    }
+    return out;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).filter(([k]) => !VOLATILE.has(k));
+    if (!entries.length && prefix) out[prefix] = "{}";
+    for (const [k, v] of entries) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+    return out;
+  }
+  if (prefix) out[prefix] = value;
+  return out;
+}
+
+function display(v) {
+  if (v === undefined) return "";
+  if (v === null) return "null";
+  return typeof v === "string" ? v : JSON.stringify(v);
+}
+
+/**
+ * Property-level differences between two snapshots.
+ * @returns {Array<{ path: string, before: string, after: string }>}
+ */
+export function propertyDiff(before, after) {
+  const a = flatten(before);
+  const b = flatten(after);
+  const paths = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+  return paths
+    .filter((p) => display(a[p]) !== display(b[p]))
+    .map((p) => ({ path: p, before: display(a[p]), after: display(b[p]) }));
+}
+
+/**
+ * What has changed on the object since the logged write left it as `after`.
+ * Uses `version` where Genesys keeps one; otherwise compares the properties the
+ * write left behind.
+ */
+function driftSince(after, current) {
+  if (after?.version != null && current?.version != null) {
+    return after.version === current.version
+      ? []
+      : [{ path: "version", before: display(after.version), after: display(current.version) }];
+  }
+  const a = flatten(after);
+  const c = flatten(current);
+  return Object.keys(a)
+    .filter((p) => display(a[p]) !== display(c[p]))
+    .map((p) => ({ path: p, before: display(a[p]), after: display(c[p]) }));
+}
+
+// ── Revert ───────────────────────────────────────────────
+
+/**
+ * Put an object back the way it was before a journaled change.
+ *
+ * @param {Object} api     The page's apiClient
+ * @param {Object} record  A record from fetchChanges
+ * @returns {Promise<
+ *   { status: "reverted", record } |
+ *   { status: "conflict", drift: Array<{ path, before, after }> } |
+ *   { status: "simulated" }
+ * >}
+ *   `conflict` means the object was changed again after the logged write;
+ *   nothing was sent, since re-sending the old state would undo that too.
+ */
+export async function revertChange(api, record) {
+  if (!record.revert || record.before == null) {
+    throw new Error("No copy of this object was kept (it was too large), so it cannot be reverted here.");
+  }
+
+  const current = await api.proxyGenesys(record.orgId, "GET", record.readPath,
+    record.readQuery ? { query: record.readQuery } : {});
+  const drift = driftSince(record.after, current);
+  if (drift.length) return { status: "conflict", drift };
+
+  const { method, path, body: fixed, pick } = record.revert;
+  let body;
+  if (fixed !== undefined) {
+    body = fixed;
+  } else {
+    body = pick
+      ? Object.fromEntries(pick.filter((k) => k in record.before).map((k) => [k, record.before[k]]))
+      : { ...record.before };
+    // Genesys accepts an update only against the version it holds now.
+    if (current?.version != null) body.version = current.version;
+  }
+
+  await api.proxyGenesys(record.orgId, method, path, { body });
+
+  // With Simulate on the proxy recorded the revert instead of sending it.
+  if (simulation.isEnabled()) return { status: "simulated" };
+
+  return { status: "reverted", record: await markReverted(record.id) };
+}
@@ -0,0 +1,58 @@
+/**
+ * Config Baseline Service — frontend API calls for config baselines and drift.
+ *
+ * All methods talk to the /api/config-baselines Azure Function endpoint; the
+ * baseline, the last check's reading and the comparison live server-side
+ * (api/lib/configDrift.js).
+ */
+import { withUserToken } from "./apiAuth.js";
+
+const BASE = "/api/config-baselines";
+
+/**
+ * The org's baseline, last reading and drift.
+ * @param {string} orgId
+ * @param {{ report?: boolean }} [options]  report → include the drift workbook
+ * @returns {Promise<{ baseline, latest, drift, report? }>}
+ */
+export async function fetchBaseline(orgId, { report = false } = {}) {
+  const res = await fetch(`${BASE}?orgId=${encodeURIComponent(orgId)}${report ? "&report=1" : ""}`,
+    { headers: withUserToken() });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Failed to fetch the baseline (${res.status})`);
+  return json;
+}
+
+async function post(body, what) {
+  const res = await fetch(BASE, {
+    method: "POST",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify(body),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `${what} failed (${res.status})`);
+  return json;
+}
+
+/** Pin every object type as the org is now. @returns {Promise<{ baseline, unreadable }>} */
+export function pinBaseline(orgId) {
+  return post({ orgId, action: "pin" }, "Pin");
+}
+
+/** Read the org now and compare it with the baseline. @returns {Promise<{ baseline, latest, drift, pinnedNow }>} */
+export function checkDrift(orgId, types) {
+  return post({ orgId, action: "check", ...(types ? { types } : {}) }, "Check");
+}
+
+/** Roll `types` forward to the last check's reading. @returns {Promise<{ baseline }>} */
+export function acceptDrift(orgId, types) {
+  return post({ orgId, action: "accept", types }, "Accept");
+}
+
+/** Unpin the org's baseline. */
+export async function removeBaseline(orgId) {
+  const res = await fetch(`${BASE}?orgId=${encodeURIComponent(orgId)}`, { method: "DELETE", headers: withUserToken() });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Unpin failed (${res.status})`);
+  return json;
+}
@@ -0,0 +1,128 @@
+/**
+ * Doc Export Service — frontend API calls for documentation export jobs.
+ *
+ * All methods talk to the /api/doc-export Azure Function endpoint. An export is
+ * a job: create it, send the run request without waiting on it, and poll until
+ * it finishes — the run request may well be cut off by the gateway long before
+ * a large org is exported, and the job carries on regardless.
+ */
+import { withUserToken } from "./apiAuth.js";
+
+const BASE = "/api/doc-export";
+const POLL_MS = 2000;
+// Polls that may fail in a row before the export is given up on.
+const MAX_POLL_FAILURES = 5;
+
+/** The 52 sheets, in workbook order — SHEETS in api/lib/exports/documentation.js. */
+export const DOC_SHEETS = [
+  "Agent Copilots", "Agent Copilots - Rules", "Data Actions", "DB Schemas", "DID Numbers",
+  "DID Pools", "Email Addresses", "Email Domains", "External Contacts - Schema", "Flow Outcomes",
+  "Flows", "Integrations", "Knowledge Bases", "Messenger Configurations", "Messenger Deployments",
+  "Milestones", "OAuth - CLIENT-CREDENTIALS", "OAuth - CODE", "OAuth - PASSWORD",
+  "OAuth - SAML2-BEARER", "OAuth - TOKEN", "OB - Attempt Controls", "OB - Call Analysis",
+  "OB - Campaign Rules", "OB - Campaigns", "OB - Contact List Filters",
+  "OB - Contact List Templates", "OB - Contact Lists", "OB - Contactable Time Sets",
+  "OB - Settings", "Policies", "Quality - Evaluation Forms", "Queues", "Recording - Settings",
+  "Routing - Calls", "Routing - Messaging", "Schedule Groups", "Schedules", "Sites",
+  "Sites - Number Plans", "Sites - Outbound Routes", "Speech - Programs", "Speech - Topics",
+  "Triggers", "Trunks", "User Prompts", "Users", "Utilization", "WFM - Activity Codes",
+  "WFM - Business Units", "WFM - Management Units", "Wrapup Codes",
+];
+
+/** A quick look at an org: seconds rather than minutes. */
+export const QUICK_SHEETS = ["Flows", "Queues", "Users"];
+
+/**
+ * Create an export job.
+ * @param {string} orgId
+ * @param {{ sheets?: string[], includeDataTables?: boolean, output?: "workbook"|"site" }} [options]
+ *        sheets → all when omitted; output → the workbook, or the zipped HTML site
+ * @returns {Promise<{ jobId: string, status: string }>}
+ */
+export async function createDocExport(orgId, { sheets, includeDataTables = true, output = "workbook" } = {}) {
+  const res = await fetch(BASE, {
+    method: "POST",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ orgId, includeDataTables, output, ...(sheets ? { sheets } : {}) }),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Server returned ${res.status}`);
+  return json;
+}
+
+/** The job: status, and per sheet { status, rows?, error?, httpStatus? }. */
+export async function fetchDocExport(jobId) {
+  const res = await fetch(`${BASE}?jobId=${encodeURIComponent(jobId)}`, { headers: withUserToken() });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Failed to fetch the export (${res.status})`);
+  return json;
+}
+
+/** Ask a queued or running job to stop. */
+export async function cancelDocExport(jobId) {
+  const res = await fetch(BASE, {
+    method: "POST",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ jobId, action: "cancel" }),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Cancel failed (${res.status})`);
+  return json;
+}
+
+/** A done job's file. @returns {Promise<{ filename, base64, mimeType, summary }>} */
+export async function downloadDocExport(jobId) {
+  const res = await fetch(`${BASE}?jobId=${encodeURIComponent(jobId)}&download=1`, { headers: withUserToken() });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Download failed (${res.status})`);
+  return json;
+}
+
+/**
+ * Export an org start to finish: create the job, run it, poll until it ends.
+ *
+ * @param {string}   orgId
+ * @param {Object}   [options]  as createDocExport
+ * @param {Object}   [hooks]
+ * @param {Function} [hooks.onStart]  (jobId) — once the job exists, e.g. to offer Cancel
+ * @param {Function} [hooks.onPoll]   (job) — after every poll
+ * @returns {Promise<{ filename, base64, mimeType, summary }>}
+ * @throws {Error} with `cancelled: true` when the job was cancelled
+ */
+export async function runDocExport(orgId, options = {}, { onStart, onPoll } = {}) {
+  const { jobId } = await createDocExport(orgId, options);
+  onStart?.(jobId);
+
+  // Not awaited: this request lasts as long as the export, or until the
+  // gateway gives up on it. Only a refusal (4xx) matters — the job then never
+  // leaves "queued", and polling would wait for nothing.
+  let refused = null;
+  fetch(BASE, {
+    method: "POST",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ jobId, action: "run" }),
+  }).then(async (res) => {
+    if (res.status >= 400 && res.status < 500) {
+      const json = await res.json().catch(() => ({}));
+      refused = json.error || `Server returned ${res.status}`;
+    }
+  }).catch(() => { /* the job reports how it went */ });
+
+  let failures = 0;
+  for (;;) {
+    await new Promise((r) => setTimeout(r, POLL_MS));
+    let job;
+    try {
+      job = await fetchDocExport(jobId);
+      failures = 0;
+    } catch (err) {
+      if (++failures >= MAX_POLL_FAILURES) throw err;
+      continue;
+    }
+    onPoll?.(job);
+    if (job.status === "done") return downloadDocExport(jobId);
+    if (job.status === "cancelled") throw Object.assign(new Error("Export cancelled"), { cancelled: true });
+    if (job.status === "failed") throw new Error(job.error || "Export failed");
+    if (refused && job.status === "queued") throw new Error(refused);
+  }
+}
@@ -0,0 +1,39 @@
+/**
+ * Flow Lint Service — frontend API calls for an org's flow lint rule set.
+ *
+ * All methods talk to the /api/flow-lint-rules Azure Function endpoint. The
+ * rules are js/lib/flowLint.js; the backend only keeps which of them an org has
+ * switched off.
+ */
+import { withUserToken } from "./apiAuth.js";
+
+const BASE = "/api/flow-lint-rules";
+
+/**
+ * The org's switched-off rules.
+ * @param {string} orgId
+ * @returns {Promise<{ orgId: string, disabled: string[], updatedAt: string|null, updatedBy: string }>}
+ */
+export async function fetchLintRules(orgId) {
+  const res = await fetch(`${BASE}?orgId=${encodeURIComponent(orgId)}`, { headers: withUserToken() });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Failed to fetch lint rules (${res.status})`);
+  return json;
+}
+
+/**
+ * Replace the org's switched-off rules.
+ * @param {string}   orgId
+ * @param {string[]} disabled  rule ids
+ * @returns {Promise<{ orgId: string, disabled: string[], updatedAt: string, updatedBy: string }>}
+ */
+export async function saveLintRules(orgId, disabled) {
+  const res = await fetch(BASE, {
+    method: "PUT",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ orgId, disabled }),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Saving lint rules failed (${res.status})`);
+  return json;
+}
@@ -0,0 +1,61 @@
+/**
+ * Flow Scenario Service — frontend API calls for saved Flow Simulator scenarios.
+ *
+ * All methods talk to the /api/flow-scenarios Azure Function endpoint. The
+ * simulator is js/lib/flowSimulator.js; the backend only keeps each scenario's
+ * inputs and the path and outcome it is expected to produce.
+ */
+import { withUserToken } from "./apiAuth.js";
+
+const BASE = "/api/flow-scenarios";
+
+async function send(url, options, what) {
+  const res = await fetch(url, options);
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `${what} failed (${res.status})`);
+  return json;
+}
+
+/**
+ * A flow's saved scenarios, by name.
+ * @param {string} orgId
+ * @param {string} flowId
+ * @returns {Promise<Array<{ id, name, scenario, expected, updatedAt, updatedBy }>>}
+ */
+export function fetchScenarios(orgId, flowId) {
+  const qs = `orgId=${encodeURIComponent(orgId)}&flowId=${encodeURIComponent(flowId)}`;
+  return send(`${BASE}?${qs}`, { headers: withUserToken() }, "Loading scenarios");
+}
+
+/**
+ * Save a new scenario.
+ * @param {{ orgId: string, flowId: string, flowName: string, name: string, scenario: object, expected: object|null }} body
+ */
+export function createScenario(body) {
+  return send(BASE, {
+    method: "POST",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify(body),
+  }, "Saving the scenario");
+}
+
+/**
+ * Update a scenario's name, inputs or expectation.
+ * @param {string} id
+ * @param {{ orgId: string, name?: string, flowName?: string, scenario?: object, expected?: object|null }} body
+ */
+export function updateScenario(id, body) {
+  return send(`${BASE}/${encodeURIComponent(id)}`, {
+    method: "PUT",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify(body),
+  }, "Saving the scenario");
+}
+
+/** Delete a scenario. */
+export function deleteScenario(orgId, id) {
+  return send(`${BASE}/${encodeURIComponent(id)}?orgId=${encodeURIComponent(orgId)}`, {
+    method: "DELETE",
+    headers: withUserToken(),
+  }, "Deleting the scenario");
+}
@@ -32,6 +32,9 @@ import { sleep } from "../utils.js";
  * @param {number}   [opts.pageSize=100] Items per page.
  * @param {string}   [opts.entitiesKey="entities"] Key containing the array in each response.
  * @param {Function} [opts.onProgress]   Called with (fetchedSoFar, totalEstimate).
+ * @param {boolean}  [opts.batch=false]  Fetch pages 2…pageCount in proxy
+ *   batches instead of one call each. Worth it for deep collections; the
+ *   endpoint must report `pageCount`.
  * @returns {Promise<Object[]>}  All entities concatenated.
  */
 export async function fetchAllPages(api, orgId, path, opts = {}) {
@@ -41,12 +44,43 @@ export async function fetchAllPages(api, orgId, path, opts = {}) {
     entitiesKey = "entities",
     onProgress,
     shouldStop,
+    batch = false,
   } = opts;
 
   let page = 1;
   let all = [];
   let total = null;
 
+  if (batch) {
+    const pageQuery = (n) => ({ ...extraQuery, pageSize: String(pageSize), pageNumber: String(n) });
+    const first = await api.proxyGenesys(orgId, "GET", path, { query: pageQuery(1) });
+    all = (first[entitiesKey] || []).slice();
+    total = first.total ?? null;
+    if (onProgress) onProgress(all.length, total);
+
+    const pageCount = Number(first.pageCount);
+    if (all.length < pageSize || !Number.isFinite(pageCount) || pageCount <= 1) return all;
+
+    const ops = [];
+    for (let n = 2; n <= pageCount; n++) ops.push({ method: "GET", path, query: pageQuery(n) });
+
+    const results = await proxyBatch(api, orgId, ops, {
+      shouldStop,
+      onProgress: (done) => { if (onProgress) onProgress(all.length + done * pageSize, total); },
+    });
+    for (const r of results) {
+      if (!r.ok) {
+        const err = new Error(r.body?.message || r.body?.error || `Proxy GET ${path} → ${r.status}`);
+        err.status = r.status;
+        err.body = r.body;
+        throw err;
+      }
+      for (const item of (r.body?.[entitiesKey] || [])) all.push(item);
+    }
+    if (onProgress) onProgress(all.length, total);
+    return all;
+  }
+
   while (true) {
     const query = { ...extraQuery, pageSize: String(pageSize), pageNumber: String(page) };
     const resp = await api.proxyGenesys(orgId, "GET", path, { query });
@@ -72,6 +106,53 @@ export async function fetchAllPages(api, orgId, path, opts = {}) {
   return all;
 }
 
+// ─────────────────────────────────────────────────────────────────────
+// Batch proxy
+// ─────────────────────────────────────────────────────────────────────
+
+/** Operations per proxy batch call. Matches the proxy's own cap. */
+export const BATCH_SIZE = 100;
+
+/**
+ * Run many Genesys calls through the proxy's batch mode.
+ *
+ * For fan-outs of independent calls — a GET per user, a DELETE per phone —
+ * where the cost is dominated by browser-to-Function round trips rather than
+ * by Genesys. The proxy classifies the caller once per batch and runs the
+ * operations server-side with bounded concurrency.
+ *
+ * Never throws for a failed operation: each result carries its own `status`
+ * and `ok`, in the same order as `operations`. A batch that fails as a whole
+ * (auth, org lock) throws, as a single call would.
+ *
+ * @param {Object}   api
+ * @param {string}   orgId
+ * @param {Object[]} operations  [{ method, path, body?, query? }]
+ * @param {Object}   [opts]
+ * @param {number}   [opts.concurrency]   Server-side parallelism per batch.
+ * @param {Function} [opts.onProgress]    Called with (doneSoFar, total) after each batch.
+ * @param {Function} [opts.shouldStop]    Checked between batches; stops early.
+ * @returns {Promise<{ ok: boolean, status: number, body: any }[]>}
+ *   Shorter than `operations` only when stopped early.
+ */
+export async function proxyBatch(api, orgId, operations, opts = {}) {
+  const { concurrency, onProgress, shouldStop } = opts;
+  const results = [];
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    if (i > 0 && shouldStop && shouldStop()) break;
+
+    const chunk = operations.slice(i, i + BATCH_SIZE);
+    const resp = await api.proxyGenesysBatch(orgId, chunk, { concurrency });
+    for (const r of resp) {
+      results.push({ ok: r.status >= 200 && r.status < 300, status: r.status, body: r.body });
+    }
+    if (onProgress) onProgress(results.length, operations.length);
+  }
+
+  return results;
+}
+
 /**
  * Fetch all results from a cursor-paginated Genesys endpoint.
  *
@@ -782,6 +863,16 @@ export async function fetchAllFlows(api, orgId, opts = {}) {
   return fetchAllPages(api, orgId, "/api/v2/flows", { ...opts, query });
 }
 
+/** Fetch a flow's saved versions ({ id: "3.0", createdDate, createdBy, … }). */
+export async function fetchFlowVersions(api, orgId, flowId, opts = {}) {
+  return fetchAllPages(api, orgId, `/api/v2/flows/${encodeURIComponent(flowId)}/versions`, opts);
+}
+
+/** Fetch all user prompts, each with its per-language `resources`. */
+export async function fetchPrompts(api, orgId, opts = {}) {
+  return fetchAllPages(api, orgId, "/api/v2/architect/prompts", opts);
+}
+
 // ─────────────────────────────────────────────────────────────────────
 // Architect — Dependency Tracking
 //
@@ -1051,11 +1142,12 @@ export async function fetchAllPhones(api, orgId, opts = {}) {
 /**
  * Run an API call, retrying it when Genesys rate-limits.
  *
- * For bulk write loops. The proxy returns a JSON body only, so the server's
- * own `Retry-After` header is not visible to the browser and the delay is a
- * fixed exponential instead. Without this a burst of 429s is indistinguishable
- * from real failures in a run log, and the affected objects are silently left
- * untouched.
+ * For bulk write loops. The proxy's rate-limit governor already queues 429s
+ * server-side, honouring Genesys's `Retry-After`; a 429 reaches the browser
+ * only once the proxy has waited as long as the gateway allows. This is the
+ * backstop for that case, with a fixed exponential delay. Without it a burst
+ * of 429s is indistinguishable from real failures in a run log, and the
+ * affected objects are silently left untouched.
  *
  * Only 429 is retried. A 4xx does not become correct by being repeated.
  */
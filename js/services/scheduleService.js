@@ -72,3 +72,69 @@ export async function deleteSchedule(id, userEmail) {
   if (!res.ok) throw new Error(json.error || `Delete failed (${res.status})`);
   return json;
 }
+
+// ── Run history ─────────────────────────────────────────
+
+const RUNS = "/api/schedule-runs";
+
+/**
+ * Past runs of one schedule, newest first.
+ * @param {string} scheduleId
+ * @returns {Promise<{ runs: Array, retentionDays: number }>}
+ */
+export async function fetchScheduleRuns(scheduleId) {
+  const res = await fetch(`${RUNS}?scheduleId=${encodeURIComponent(scheduleId)}`, { headers: withUserToken() });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Failed to fetch run history (${res.status})`);
+  return json;
+}
+
+/**
+ * The file a past run produced.
+ * @returns {Promise<{ filename: string, base64: string, mimeType: string }>}
+ */
+export async function fetchRunFile(scheduleId, runId) {
+  const res = await fetch(
+    `${RUNS}/${encodeURIComponent(runId)}?scheduleId=${encodeURIComponent(scheduleId)}`,
+    { headers: withUserToken() }
+  );
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Download failed (${res.status})`);
+  return json;
+}
+
+/**
+ * E-mail a past run's file again.
+ * @param {string} scheduleId
+ * @param {string} runId
+ * @param {string} userEmail   Requesting user's email (creator or admin only)
+ * @param {string} [recipients] Comma/semicolon list; defaults to the schedule's
+ * @returns {Promise<{ sent: boolean, recipients: string[], run: Object }>}
+ */
+export async function resendRun(scheduleId, runId, userEmail, recipients) {
+  const res = await fetch(`${RUNS}/${encodeURIComponent(runId)}`, {
+    method: "POST",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ scheduleId, userEmail, recipients: recipients || undefined }),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Re-send failed (${res.status})`);
+  return json;
+}
+
+/**
+ * Ask the runner to run a schedule on its next tick ("Run now").
+ * @param {string} scheduleId
+ * @param {string} userEmail   Requesting user's email (creator or admin only)
+ * @returns {Promise<{ queued: boolean, runRequestedAt: string }>}
+ */
+export async function requestRunNow(scheduleId, userEmail) {
+  const res = await fetch(RUNS, {
+    method: "POST",
+    headers: withUserToken({ "Content-Type": "application/json" }),
+    body: JSON.stringify({ scheduleId, userEmail }),
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `Run now failed (${res.status})`);
+  return json;
+}
@@ -0,0 +1,54 @@
+/**
+ * SIEM Service — forwarding status and replay (superuser only).
+ *
+ * The API forwards every Activity Log entry to the configured SIEM sink and
+ * queues the ones that fail (api/lib/siemForwarder.js). This module reads the
+ * queue and asks the API to retry, replay or discard; it never talks to the
+ * sink itself, and never sees its settings beyond the target's address.
+ */
+import { withUserToken } from "./apiAuth.js";
+
+const BASE = "/api/siem";
+
+async function call(method, body) {
+  const res = await fetch(BASE, {
+    method,
+    headers: withUserToken(body ? { "Content-Type": "application/json" } : {}),
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const json = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(json.error || `SIEM request failed (${res.status})`);
+  return json;
+}
+
+/**
+ * Sink, last outcome and the retry queue.
+ * @returns {Promise<{ sink, state, pending: Array, failed: Array, maxAttempts: number }>}
+ */
+export function fetchSiemStatus() {
+  return call("GET");
+}
+
+/** Retry every queued delivery that is due. */
+export function retryDue() {
+  return call("POST", { action: "retry" });
+}
+
+/** Retry these queued deliveries now, pending or failed. */
+export function replayQueued(ids) {
+  return call("POST", { action: "replay", ids });
+}
+
+/**
+ * Re-send every Activity Log entry in a time range, queued or not.
+ * @param {string} from  ISO date/time
+ * @param {string} to    ISO date/time
+ */
+export function replayRange(from, to) {
+  return call("POST", { action: "replay-range", from, to });
+}
+
+/** Drop queued deliveries without sending them. */
+export function discardQueued(ids) {
+  return call("POST", { action: "discard", ids });
+}
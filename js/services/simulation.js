@@ -0,0 +1,98 @@
+/**
+ * Simulation (dry-run) mode — shared state for the header switch.
+ *
+ * While on, every proxied Genesys call carries `simulate: true`. The proxy
+ * still runs reads, but answers any call that would change something with a
+ * synthetic success instead of sending it (api/lib/simulation.js), and marks
+ * the answer with X-Simulated. apiClient records each marked call here, so at
+ * the end of a run the operator has the exact list of writes the page would
+ * have made — method, path, query and body — to review or attach to a change
+ * ticket.
+ *
+ *   - simulation.isEnabled()     → boolean
+ *   - simulation.setEnabled(on)  → flip the switch (fires change listeners)
+ *   - simulation.record(entry)   → called by apiClient for a simulated call
+ *   - simulation.getPlan()       → recorded calls, oldest first
+ *   - simulation.clearPlan()
+ *   - simulation.onChange(fn)    → subscribe (returns unsubscribe function)
+ *
+ * The switch is kept in sessionStorage so a reload cannot quietly turn a
+ * simulated session into a live one. The plan itself is in memory only and
+ * does not survive a reload; the plan page says so.
+ */
+
+const K_SIMULATE = "gc_simulate";
+const listeners = new Set();
+let plan = [];
+
+function notify() {
+  for (const fn of listeners) {
+    try { fn(); } catch (_) { /* listener error — ignore */ }
+  }
+}
+
+/**
+ * A recorded body must not carry a file. `__fileUpload` holds the whole file
+ * as base64; the plan only needs to say which file would have gone.
+ */
+function summariseBody(body) {
+  if (body && body.__fileUpload) {
+    const { fileName, fileMimeType, fileBase64 } = body.__fileUpload;
+    return { __fileUpload: { fileName, fileMimeType, bytes: Math.floor((fileBase64 || "").length * 3 / 4) } };
+  }
+  return body ?? null;
+}
+
+export const simulation = {
+  /** True while the Simulate switch is on. */
+  isEnabled() {
+    try { return sessionStorage.getItem(K_SIMULATE) === "1"; } catch (_) { return false; }
+  },
+
+  /** Turn simulation on or off. The plan is kept either way. */
+  setEnabled(on) {
+    try {
+      if (on) sessionStorage.setItem(K_SIMULATE, "1");
+      else sessionStorage.removeItem(K_SIMULATE);
+    } catch (_) { /* storage unavailable — switch stays off */ }
+    notify();
+  },
+
+  /**
+   * Record a call the proxy answered synthetically.
+   * @param {{ orgId: string, method: string, path: string, query?: Object, body?: any }} entry
+   */
+  record({ orgId, method, path, query, body }) {
+    plan.push({
+      seq: plan.length + 1,
+      at: new Date().toISOString(),
+      route: (window.location.hash || "").replace(/^#/, "") || "/",
+      orgId: orgId || "",
+      method: String(method || "").toUpperCase(),
+      path,
+      query: query || null,
+      body: summariseBody(body),
+    });
+    notify();
+  },
+
+  /** The recorded calls, oldest first. */
+  getPlan() {
+    return plan.slice();
+  },
+
+  clearPlan() {
+    plan = [];
+    notify();
+  },
+
+  /**
+   * Subscribe to switch and plan changes.
+   * @param {Function} fn
+   * @returns {Function} Unsubscribe function
+   */
+  onChange(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  },
+};
@@ -60,6 +60,37 @@ export function daysAgoStr(n) {
 // stopped updating because the request is slow and one that stopped because
 // the request died look identical, and only motion tells them apart.
 
+// Rate-limit notices. The proxy queues requests when Genesys is rate-limiting
+// the org and says how long each waited (X-Throttle-Delay-Ms). Without a word
+// on the status line, a run that has slowed to a crawl for that reason looks
+// like one that is struggling for no reason at all.
+const THROTTLE_MIN_MS    = 1000;    // shorter waits are not worth mentioning
+const THROTTLE_NOTICE_MS = 15_000;  // how long the notice outlives the last wait
+let lastThrottle = { at: 0, ms: 0 };
+const busyStatuses = new Set();     // re-render callbacks of busy status lines
+let throttleExpiry = null;
+
+/**
+ * Record that a request was held back by the proxy's rate-limit governor.
+ * Called by the API client; busy status lines pick it up immediately.
+ *
+ * @param {number} ms  Time the request spent queued.
+ */
+export function noteThrottle(ms) {
+  if (!(ms >= THROTTLE_MIN_MS)) return;
+  lastThrottle = { at: Date.now(), ms };
+  for (const refresh of busyStatuses) refresh();
+  // Take the notice down again once it has gone stale, even if the page
+  // writes nothing new in the meantime.
+  clearTimeout(throttleExpiry);
+  throttleExpiry = setTimeout(() => { for (const refresh of busyStatuses) refresh(); }, THROTTLE_NOTICE_MS + 50);
+}
+
+function throttleNotice() {
+  if (Date.now() - lastThrottle.at > THROTTLE_NOTICE_MS) return "";
+  return ` — slowed by Genesys rate limits (requests queued up to ${Math.ceil(lastThrottle.ms / 1000)}s)`;
+}
+
 /**
  * Build a status line that carries a throbber.
  *
@@ -77,6 +108,9 @@ export function daysAgoStr(n) {
  * operations append a counter after the ellipsis — `Resolving group role
  * grants… 340 / 1200`.
  *
+ * While busy, the line also says when Genesys rate limits are the reason it is
+ * slow (see `noteThrottle`). Nothing is needed from the page for that.
+ *
  * @param {HTMLElement} $el       The status element.
  * @param {string}      [baseClass] Its class, e.g. "te-status". A `type`
  *                                argument appends `${baseClass}--${type}` as
@@ -104,13 +138,24 @@ export function makeStatus($el, baseClass) {
   $el.replaceChildren(text);
   $el.setAttribute("role", "status");         // implicit aria-live="polite"
 
+  let lastMsg = "";
+
+  function refresh() {
+    // A page navigated away from mid-run leaves its line behind; drop it.
+    if (!$el.isConnected) { busyStatuses.delete(refresh); return; }
+    text.nodeValue = ` ${lastMsg}${throttleNotice()}`;
+  }
+
   function setStatus(msg, type = "", busy = null) {
     const s = String(typeof msg === "function" ? msg() : (msg ?? ""));
     // Three dots as well as the character: the app writes "…" everywhere bar
     // one page, and a stray "..." must not silently lose its throbber.
     const isBusy = busy === null ? (s.includes("…") || s.includes("...")) : !!busy;
 
-    text.nodeValue = isBusy ? ` ${s}` : s;
+    lastMsg = s;
+    text.nodeValue = isBusy ? ` ${s}${throttleNotice()}` : s;
+    if (isBusy) busyStatuses.add(refresh);
+    else busyStatuses.delete(refresh);
 
     // A caller that also writes $el.textContent directly replaces every child,
     // detaching the two nodes held above. insertBefore would then throw
@@ -376,6 +421,22 @@ export function downloadBase64(filename, b64) {
   }
 }
 
+/**
+ * Hand a text file (JSON, CSV, HTML…) to download.html, UTF-8 encoded.
+ *
+ * @param {string} filename  Suggested filename, extension included.
+ * @param {string} text      File content.
+ */
+export function downloadText(filename, text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  downloadBase64(filename, btoa(binary));
+}
+
 /**
  * Encode a finished workbook and hand it to download.html.
  *
@@ -389,6 +450,82 @@ export function downloadWorkbook(wb, filename) {
   downloadBase64(filename, XLSX.write(wb, { bookType: "xlsx", type: "base64" }));
 }
 
+/**
+ * File formats an export can be downloaded or delivered in — mirrors FORMATS
+ * in api/lib/exportFormats.js, which does the same for scheduled runs.
+ */
+export const EXPORT_FORMATS = {
+  xlsx: "Excel (.xlsx)",
+  csv:  "CSV (zipped, one file per sheet)",
+  json: "JSON",
+};
+
+/** A `<select>` of EXPORT_FORMATS to sit beside an export page's download button. */
+export function exportFormatSelectHtml(id) {
+  return `<select class="input te-format-select" id="${escapeHtml(id)}" title="File format">
+    ${Object.entries(EXPORT_FORMATS).map(([f, label]) =>
+      `<option value="${f}">${escapeHtml(label)}</option>`).join("")}
+  </select>`;
+}
+
+/**
+ * Download a finished workbook in one of EXPORT_FORMATS:
+ *
+ *   xlsx  the workbook itself (downloadWorkbook)
+ *   csv   a zip with one CSV per sheet, header row first
+ *   json  { generatedAt, sheets: { <sheet name>: [{ <column>: value, … }] } },
+ *         each sheet's first row taken as the column names
+ *
+ * Async because the zip is; throws like downloadWorkbook.
+ *
+ * @param {object} wb        SheetJS workbook.
+ * @param {string} filename  The .xlsx filename; other formats swap the extension.
+ * @param {string} [format]  A key of EXPORT_FORMATS.
+ */
+export async function downloadExport(wb, filename, format = "xlsx") {
+  if (format === "xlsx") return downloadWorkbook(wb, filename);
+  if (typeof XLSX === "undefined") {
+    throw new Error("Excel library not loaded. Please reload the page.");
+  }
+  const base = filename.replace(/\.xlsx?$/i, "");
+
+  if (format === "json") {
+    const sheets = {};
+    for (const name of wb.SheetNames) {
+      const [columns = [], ...rows] = XLSX.utils.sheet_to_json(wb.Sheets[name], { header: 1, defval: "" });
+      // A blank or repeated column name gets its position instead.
+      const seen = new Set();
+      const keys = columns.map((c, i) => {
+        const key = c !== "" && !seen.has(String(c)) ? String(c) : `Column ${i + 1}`;
+        seen.add(key);
+        return key;
+      });
+      sheets[name] = rows.map((row) => Object.fromEntries(keys.map((k, i) => [k, row[i] ?? ""])));
+    }
+    downloadText(`${base}.json`, JSON.stringify({ generatedAt: new Date().toISOString(), sheets }, null, 2));
+    return;
+  }
+
+  if (format === "csv") {
+    if (typeof JSZip === "undefined") {
+      throw new Error("Zip library not loaded. Please reload the page.");
+    }
+    const zip = new JSZip();
+    const used = new Set();
+    for (const name of wb.SheetNames) {
+      const safe = name.replace(/[\\/:*?"<>|]/g, "_") || "Sheet";
+      let file = `${safe}.csv`;
+      for (let n = 2; used.has(file.toLowerCase()); n++) file = `${safe} (${n}).csv`;
+      used.add(file.toLowerCase());
+      zip.file(file, XLSX.utils.sheet_to_csv(wb.Sheets[name]));
+    }
+    downloadBase64(`${base}.zip`, await zip.generateAsync({ type: "base64", compression: "DEFLATE" }));
+    return;
+  }
+
+  throw new Error(`Unknown export format: ${format}`);
+}
+
 /** Generate a timestamped filename, e.g. "Prefix_2026-02-27T14-30-00". */
 export function timestampedFilename(prefix, ext = "csv") {
   const ts = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
@@ -8,8 +8,10 @@
  * onboarding processor).
  *
  * Auth: shared secret in the `x-export-key` header, compared to EXPORT_YAML_KEY.
- * Body: { orgId, flowName, flowType }
- * Returns: { yaml, flowName, flowType }
+ * Body: { orgId, flowName, flowType, flowVersion? } — flowVersion is a saved
+ *       version ("3.0", as GET /api/v2/flows/{id}/versions lists them); the
+ *       latest when omitted
+ * Returns: { yaml, flowName, flowType, flowVersion }
  */
 "use strict";
 
@@ -49,9 +51,13 @@ module.exports = async function (context, req) {
   const orgId = String(body.orgId || "").trim();
   const flowName = String(body.flowName || "").trim();
   const flowType = String(body.flowType || "").trim().toLowerCase();
+  const flowVersion = String(body.flowVersion || "").trim();
   if (!orgId || !flowName || !flowType) {
     return json(context, 400, { error: "orgId, flowName and flowType are required" });
   }
+  if (flowVersion && !/^\d+(\.\d+)?$/.test(flowVersion)) {
+    return json(context, 400, { error: `invalid flowVersion '${flowVersion}'` });
+  }
 
   let org;
   try {
@@ -69,6 +75,7 @@ module.exports = async function (context, req) {
       "--flowName", flowName,
       "--flowType", flowType,
       "--outDir", outDir,
+      ...(flowVersion ? ["--flowVersion", flowVersion] : []),
     ];
     const res = await runChild(EXPORT_SCRIPT, args);
     const m = res.stdout.match(/EXPORTED (.+)/);
@@ -80,7 +87,7 @@ module.exports = async function (context, req) {
     }
     const yamlPath = m[1].trim();
     const yaml = fs.readFileSync(yamlPath, "utf8");
-    return json(context, 200, { yaml, flowName, flowType });
+    return json(context, 200, { yaml, flowName, flowType, flowVersion: flowVersion || null });
   } catch (err) {
     context.log.error("[export-yaml] error:", err.message || err);
     return json(context, 500, { error: err.message || String(err) });
@@ -14,6 +14,12 @@
  * Onboarding is internal-only (the API guards it with requireInternal), so every
  * entry written here is owned by "internal".
  *
+ * SIEM forwarding: the runner does not send to the SIEM itself. When SIEM_SINK
+ * is set here too, each entry is put on the API's SIEM retry queue (table
+ * "siemqueue", same row shape as api/lib/siemQueueStore.js) as due now, and the
+ * API delivers it on the scheduled runner's next tick. One sender, one set of
+ * sink credentials.
+ *
  * Requires app setting:
  *   AZURE_STORAGE_CONNECTION_STRING   (same account as the job store)
  */
@@ -122,8 +128,9 @@ function serializeDetails(details) {
  * @param {object} data  { userEmail, userName, userId, orgId, orgName, action,
  *                         description, result, errorMessage, count, details }
  *                       `details` may be an object (serialized here) or a string.
+ * @param {Function} log  context.log, for a failure to queue the entry for the SIEM
  */
-async function create(data) {
+async function create(data, log) {
   await ensureTable();
   const entity = {
     partitionKey: "log",
@@ -143,7 +150,31 @@ async function create(data) {
     details: serializeDetails(data.details),
   };
   await getClient().createEntity(entity);
+  await queueForSiem(entity.rowKey, log);
   return entity;
 }
 
+/** Hand the entry to the API's SIEM queue. Never fails the log write. */
+async function queueForSiem(id, log) {
+  if (!String(process.env.SIEM_SINK || "").trim()) return;
+  try {
+    const queue = TableClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING, "siemqueue");
+    try { await queue.createTable(); }
+    catch (err) { if (err.statusCode !== 409) throw err; }
+    const now = new Date().toISOString();
+    await queue.upsertEntity({
+      partitionKey: "pending",
+      rowKey: id,
+      enqueuedAt: now,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastAttemptAt: "",
+      lastError: "",
+    }, "Replace");
+  } catch (err) {
+    const message = `[activityLogStore] could not queue ${id} for the SIEM: ${err?.message || err}`;
+    log.warn ? log.warn(message) : log(message);
+  }
+}
+
 module.exports = { create, serializeDetails, MAX_DETAILS_CHARS };
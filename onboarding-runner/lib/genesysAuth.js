@@ -2,6 +2,8 @@
  * Genesys Cloud OAuth2 Client Credentials token manager (copy for the runner app).
  * Caches tokens per org and refreshes before expiry.
  */
+const { loginBase } = require("./genesysHost");
+
 const tokenCache = new Map();
 const EXPIRY_BUFFER_MS = 60 * 1000;
 
@@ -11,7 +13,7 @@ async function getGenesysToken(customerId, region, clientId, clientSecret) {
     return cached.accessToken;
   }
 
-  const resp = await fetch(`https://login.${region}/oauth/token`, {
+  const resp = await fetch(`${loginBase(region)}/oauth/token`, {
     method: "POST",
     headers: {
       "Content-Type": "application/x-www-form-urlencoded",
@@ -0,0 +1,47 @@
+/**
+ * Base URLs for Genesys Cloud, per region (copy for the runner app).
+ *
+ * Same override as api/lib/genesysHost.js, so the runner's REST calls — data
+ * tables, data actions, scripts, and the token they need — reach the offline
+ * stand-in in dev/mock-genesys too. The flow phases do not: the Flow Scripting
+ * SDK picks its own hosts from the region.
+ *
+ * Optional app setting (local development only):
+ *   GENESYS_API_BASE_OVERRIDE — e.g. http://localhost:4010. Sends every api.*,
+ *   login.* and apps.* call there, whatever the org's region. Honoured only for
+ *   a loopback address: a stray value in a deployed app would otherwise hand
+ *   every org's client credentials to whatever it named.
+ */
+"use strict";
+
+const LOOPBACK_HOSTS = new Set(["localhost", "127.0.0.1", "[::1]"]);
+
+function resolveOverride() {
+  const raw = (process.env.GENESYS_API_BASE_OVERRIDE || "").trim();
+  if (!raw) return null;
+  try {
+    const url = new URL(raw);
+    if (LOOPBACK_HOSTS.has(url.hostname)) return url.origin;
+  } catch (_) { /* fall through */ }
+  console.warn(`[genesysHost] Ignoring GENESYS_API_BASE_OVERRIDE=${raw}: only a loopback URL is accepted`);
+  return null;
+}
+
+const OVERRIDE = resolveOverride();
+
+/** `https://api.<region>`, or the local override. */
+function apiBase(region) {
+  return OVERRIDE || `https://api.${region}`;
+}
+
+/** `https://login.<region>`, or the local override. */
+function loginBase(region) {
+  return OVERRIDE || `https://login.${region}`;
+}
+
+/** `https://apps.<region>` (uploads), or the local override. */
+function appsBase(region) {
+  return OVERRIDE || `https://apps.${region}`;
+}
+
+module.exports = { apiBase, loginBase, appsBase };
@@ -6,10 +6,11 @@
 "use strict";
 
 const { getGenesysToken } = require("./genesysAuth");
+const { apiBase, appsBase } = require("./genesysHost");
 
 async function gcFetch(org, method, path, { query, body } = {}) {
   const token = await getGenesysToken(org.id, org.region, org.clientId, org.clientSecret);
-  let url = `https://api.${org.region}${path}`;
+  let url = `${apiBase(org.region)}${path}`;
   if (query) {
     const qs = new URLSearchParams(query).toString();
     if (qs) url += `?${qs}`;
@@ -122,7 +123,7 @@ async function importScript(org, scriptName, fileText) {
   form.append("file", new Blob([fileText], { type: "application/json" }), "script.json");
   form.append("scriptName", scriptName);
   // NB: uses the apps.<region> host, not api.<region>.
-  const resp = await fetch(`https://apps.${org.region}/uploads/v2/scripter`, {
+  const resp = await fetch(`${appsBase(org.region)}/uploads/v2/scripter`, {
     method: "POST",
     headers: { Authorization: `Bearer ${token}` },
     body: form,
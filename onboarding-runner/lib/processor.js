@@ -220,7 +220,7 @@ async function logJobOutcome({ job, source, target, division, phases, warnings,
         warnings,
         error: error || null,
       },
-    });
+    }, log);
   } catch (err) {
     log.error
       ? log.error(`[onboarding-runner] activity log write failed (non-critical): ${err.message}`)
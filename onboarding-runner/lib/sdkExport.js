@@ -4,6 +4,7 @@
  * Spawned by processor.js as its own process (a Scripting session = one org).
  *
  * Args: --clientId --clientSecret --location --flowName --flowType --outDir
+ *       [--flowVersion]  a saved version ("3.0"); the latest when omitted
  * On success prints "EXPORTED <fullPath>" and exits 0.
  */
 const fs = require("fs");
@@ -40,9 +41,12 @@ let exitCode = 1;
 
 function doWork() {
   return archFactoryFlows
-    .loadFlowByFlowNameAsync(args.flowName, args.flowType)
+    .loadFlowByFlowNameAsync(args.flowName, args.flowType, args.flowVersion)
     .then((flow) => {
-      if (!flow) throw new Error(`Flow not found: '${args.flowName}' (${args.flowType})`);
+      if (!flow) {
+        const ver = args.flowVersion ? ` version ${args.flowVersion}` : "";
+        throw new Error(`Flow not found: '${args.flowName}' (${args.flowType})${ver}`);
+      }
       return flow.exportToDirAsync(args.outDir, undefined, format);
     })
     .then((fullPath) => { console.log("EXPORTED " + fullPath); exitCode = 0; })
@@ -3,8 +3,32 @@
  *
  * Replaces the GitHub Actions cron workflow with precise Azure-native scheduling.
  * Reads SWA_URL and SCHEDULE_RUNNER_KEY from app settings.
+ *
+ * Two steps: ask the runner to dispatch — claim a job for every due schedule —
+ * then run each job as its own request, SCHEDULE_RUNNER_CONCURRENCY (default 3)
+ * at a time. A slow documentation export then only occupies one slot, and
+ * cannot push every other report past the runner's function timeout. A job that
+ * fails is logged and the rest carry on; its lease runs out on the SWA side, so
+ * a later tick picks the schedule up again.
+ *
+ * The tick itself is bounded by TICK_BUDGET_MS, not by its jobs. A job can run
+ * for up to ten minutes, longer than this invocation may live and longer than
+ * the gap to the next tick, so once the budget is spent no further job is
+ * started and the invocation returns without waiting for the ones in flight —
+ * they finish on the runner either way, and their outcome is in the run
+ * history. A job not started keeps its lease until it runs out, after which a
+ * later tick claims the schedule again.
  */
+const DEFAULT_CONCURRENCY = 3;
+const MAX_CONCURRENCY = 10;
+// A job is time-boxed by the runner well inside its 10-minute function timeout;
+// waiting longer than that only holds a slot for an answer that is not coming.
+const JOB_REQUEST_TIMEOUT_MS = 11 * 60 * 1000;
+// Inside the 5-minute tick, and so inside any functionTimeout (host.json).
+const TICK_BUDGET_MS = 4 * 60 * 1000;
+
 module.exports = async function (context, timer) {
+  const startedAt = Date.now();
   if (timer.isPastDue) {
     context.log("Timer is past due — running immediately.");
   }
@@ -18,25 +42,66 @@ module.exports = async function (context, timer) {
   }
 
   const url = `${swaUrl}/api/scheduled-runner`;
-  context.log(`Calling ${url} at ${new Date().toISOString()}`);
+  const post = (body, signal) => fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "x-runner-key": runnerKey,
+    },
+    body: JSON.stringify(body),
+    signal,
+  });
 
+  // ── 1. Dispatch ───────────────────────────────────────
+  context.log(`Calling ${url} (dispatch) at ${new Date().toISOString()}`);
+  let jobs;
   try {
-    const resp = await fetch(url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-runner-key": runnerKey,
-      },
-    });
-
+    const resp = await post({ mode: "dispatch" });
     const body = await resp.json().catch(() => ({}));
     context.log(`Response ${resp.status}: ${JSON.stringify(body)}`);
 
     if (resp.status >= 500) {
       throw new Error(`Runner returned ${resp.status}: ${JSON.stringify(body)}`);
     }
+    // A runner that predates dispatch has already run the schedules itself.
+    jobs = Array.isArray(body.jobs) ? body.jobs : [];
   } catch (err) {
     context.log.error(`Failed to call scheduled-runner: ${err.message}`);
     throw err;
   }
+
+  if (!jobs.length) return;
+
+  // ── 2. Run each job as its own request ────────────────
+  const parsed = parseInt(process.env.SCHEDULE_RUNNER_CONCURRENCY, 10);
+  const limit = Math.min(parsed > 0 ? parsed : DEFAULT_CONCURRENCY, MAX_CONCURRENCY);
+  context.log(`${jobs.length} job(s) dispatched — running ${Math.min(limit, jobs.length)} at a time.`);
+
+  let next = 0;
+  let returned = false; // no logging once the invocation is over
+  const worker = async () => {
+    while (next < jobs.length && Date.now() - startedAt < TICK_BUDGET_MS) {
+      const { scheduleId, jobId, trigger } = jobs[next++];
+      try {
+        const resp = await post({ scheduleId, jobId }, AbortSignal.timeout(JOB_REQUEST_TIMEOUT_MS));
+        const body = await resp.json().catch(() => ({}));
+        if (!returned) context.log(`Job ${scheduleId} (${trigger}) → ${resp.status}: ${body.status || body.error || ""}`);
+      } catch (err) {
+        if (!returned) context.log.error(`Job ${scheduleId} (${trigger}) failed: ${err.message}`);
+      }
+    }
+  };
+  const all = Promise.all(Array.from({ length: Math.min(limit, jobs.length) }, worker));
+  let budgetTimer;
+  const budget = new Promise((resolve) => {
+    budgetTimer = setTimeout(resolve, Math.max(0, TICK_BUDGET_MS - (Date.now() - startedAt)), "budget");
+  });
+  const finished = await Promise.race([all, budget]);
+  clearTimeout(budgetTimer);
+  returned = true;
+  if (finished === "budget") {
+    const notStarted = jobs.length - next;
+    context.log(`Tick budget of ${TICK_BUDGET_MS / 60000} min spent — leaving the running job(s) to finish on the runner`
+      + (notStarted ? `; ${notStarted} not started, picked up again once their leases run out.` : "."));
+  }
 };
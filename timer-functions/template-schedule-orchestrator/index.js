@@ -2,8 +2,9 @@
  * Template Schedule Orchestrator — Durable Functions orchestrator.
  *
  * Receives schedule config as input, computes the exact next fire time
- * (in Europe/Copenhagen timezone), sleeps via a durable timer until that
- * moment, then calls the activity to execute the template runner.
+ * (in Europe/Copenhagen — see lib/cronSchedule.js), sleeps via a durable timer
+ * until that moment, then calls the activity to execute the template runner.
+ * A monthly schedule on a day some months lack (29–31) skips those months.
  *
  * For recurring schedules (daily/weekly/monthly), the orchestrator loops
  * by calling `continueAsNew`.  For one-time schedules, it exits after
@@ -13,6 +14,7 @@
  * Functions replays them from Azure Storage history automatically.
  */
 const df = require("durable-functions");
+const { nextRun } = require("../lib/cronSchedule");
 
 module.exports = df.orchestrator(function* (context) {
   const schedule = context.df.getInput();
@@ -62,77 +64,10 @@ module.exports = df.orchestrator(function* (context) {
   };
 });
 
-// ── Timezone helpers ────────────────────────────────────
-// All schedule times are in Europe/Copenhagen (CET/CEST).
-// We compute the next fire time and convert it to UTC.
-
-/**
- * Get date/time components in the Copenhagen timezone for a given UTC Date.
- */
-function getCopenhagenParts(utcDate) {
-  const parts = new Intl.DateTimeFormat("en-GB", {
-    timeZone: "Europe/Copenhagen",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    second: "2-digit",
-    weekday: "short",
-    hour12: false,
-  }).formatToParts(utcDate);
-
-  const get = (type) => parts.find((p) => p.type === type)?.value;
-  const weekdayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
-
-  return {
-    year: Number(get("year")),
-    month: Number(get("month")),
-    day: Number(get("day")),
-    hour: Number(get("hour")),
-    minute: Number(get("minute")),
-    weekday: weekdayNames.indexOf(get("weekday")),
-  };
-}
-
-/**
- * Convert a Copenhagen local date/time to a UTC Date.
- *
- * Approach: create a "guess" UTC Date using the Copenhagen values, then
- * measure the Copenhagen offset at that instant, and subtract it.
- */
-function copenhagenToUTC(year, month, day, hour, minute) {
-  // Guess: treat Copenhagen values as UTC
-  const guess = new Date(Date.UTC(year, month - 1, day, hour, minute, 0, 0));
-
-  // What Copenhagen time is it at this UTC instant?
-  const cphParts = new Intl.DateTimeFormat("en-GB", {
-    timeZone: "Europe/Copenhagen",
-    year: "numeric",
-    month: "2-digit",
-    day: "2-digit",
-    hour: "2-digit",
-    minute: "2-digit",
-    hour12: false,
-  }).formatToParts(guess);
-
-  const get = (type) => Number(cphParts.find((p) => p.type === type)?.value);
-  const cphAtGuess = Date.UTC(
-    get("year"),
-    get("month") - 1,
-    get("day"),
-    get("hour"),
-    get("minute"),
-    0,
-    0
-  );
-
-  // Offset = how far Copenhagen is ahead of UTC (in ms)
-  const offsetMs = cphAtGuess - guess.getTime();
-
-  // The true UTC time for the intended Copenhagen time
-  return new Date(guess.getTime() - offsetMs);
-}
+// ── Next fire time ──────────────────────────────────────
+// Worked out by lib/cronSchedule.js, the same calculation the export runner
+// uses. Template schedules have no time zone of their own, so it is
+// Europe/Copenhagen, with daylight-saving gaps and repeats resolved there.
 
 /**
  * Compute the next fire time (as a UTC Date) for a template schedule.
@@ -143,56 +78,10 @@ function copenhagenToUTC(year, month, day, hour, minute) {
  * @returns {Date|null}      – Next fire time in UTC, or null if none
  */
 function computeNextFireUTC(schedule, nowUTC) {
-  const [hh, mm] = (schedule.scheduleTime || "08:00").split(":").map(Number);
-  const cph = getCopenhagenParts(nowUTC);
-
-  if (schedule.scheduleType === "once") {
-    // scheduleDate is "YYYY-MM-DD"
-    if (!schedule.scheduleDate) return null;
-    const [y, m, d] = schedule.scheduleDate.split("-").map(Number);
-    const fireUTC = copenhagenToUTC(y, m, d, hh, mm);
-    // Only fire if in the future
-    return fireUTC > nowUTC ? fireUTC : null;
+  try {
+    return nextRun(schedule, nowUTC);
+  } catch (_) {
+    // A schedule saved with unusable fields has no next fire time.
+    return null;
   }
-
-  if (schedule.scheduleType === "daily") {
-    // Try today first
-    let fireUTC = copenhagenToUTC(cph.year, cph.month, cph.day, hh, mm);
-    if (fireUTC > nowUTC) return fireUTC;
-    // Already past → tomorrow
-    const tomorrow = new Date(Date.UTC(cph.year, cph.month - 1, cph.day + 1));
-    const tmCph = getCopenhagenParts(tomorrow);
-    return copenhagenToUTC(tmCph.year, tmCph.month, tmCph.day, hh, mm);
-  }
-
-  if (schedule.scheduleType === "weekly") {
-    const targetDay = schedule.scheduleDayOfWeek; // 0=Sun … 6=Sat
-    // Find the next occurrence of targetDay
-    for (let offset = 0; offset <= 7; offset++) {
-      const candidate = new Date(
-        Date.UTC(cph.year, cph.month - 1, cph.day + offset)
-      );
-      const candCph = getCopenhagenParts(candidate);
-      if (candCph.weekday === targetDay) {
-        const fireUTC = copenhagenToUTC(
-          candCph.year, candCph.month, candCph.day, hh, mm
-        );
-        if (fireUTC > nowUTC) return fireUTC;
-      }
-    }
-    return null; // Should never happen
-  }
-
-  if (schedule.scheduleType === "monthly") {
-    const targetDom = schedule.scheduleDayOfMonth; // 1–31
-    // Try this month
-    let fireUTC = copenhagenToUTC(cph.year, cph.month, targetDom, hh, mm);
-    if (fireUTC > nowUTC) return fireUTC;
-    // Next month
-    const nextMonth = cph.month === 12 ? 1 : cph.month + 1;
-    const nextYear = cph.month === 12 ? cph.year + 1 : cph.year;
-    return copenhagenToUTC(nextYear, nextMonth, targetDom, hh, mm);
-  }
-
-  return null;
 }